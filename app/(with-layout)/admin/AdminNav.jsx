@@ -0,0 +1,45 @@
+/**
+ * Admin Nav Component
+ * Tabs between the admin console sections
+ */
+
+'use client'
+
+import Link from 'next/link'
+import { usePathname } from 'next/navigation'
+import { ListOrdered, BarChart3, Building, GitMerge } from 'lucide-react'
+import { cn } from '@/lib/utils'
+
+const SECTIONS = [
+  { href: '/admin', label: 'Queue', icon: ListOrdered },
+  { href: '/admin/usage', label: 'API Usage', icon: BarChart3 },
+  { href: '/admin/hoas', label: 'HOA Records', icon: Building },
+  { href: '/admin/duplicates', label: 'Duplicates', icon: GitMerge }
+]
+
+export default function AdminNav() {
+  const pathname = usePathname()
+
+  return (
+    <nav className="flex gap-1">
+      {SECTIONS.map(({ href, label, icon: Icon }) => {
+        const active = pathname === href
+        return (
+          <Link
+            key={href}
+            href={href}
+            className={cn(
+              'flex items-center gap-2 px-4 py-2 text-xs font-mono uppercase tracking-wider border-b-2 transition-colors',
+              active
+                ? 'border-cyan-400 text-cyan-400'
+                : 'border-transparent text-slate-500 hover:text-slate-300'
+            )}
+          >
+            <Icon className="h-3.5 w-3.5" />
+            {label}
+          </Link>
+        )
+      })}
+    </nav>
+  )
+}
@@ -0,0 +1,210 @@
+/**
+ * Queue Monitor Component
+ * Polls processing_queue and exposes retry, cancel and priority controls
+ */
+
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import Link from 'next/link'
+import { RotateCcw, XCircle, RefreshCw } from 'lucide-react'
+import { getQueueJobs, retryJob, cancelJob, setJobPriority } from '@/app/actions/admin'
+import { cn, formatDate } from '@/lib/utils'
+
+const POLL_INTERVAL_MS = 5000
+
+const STATUS_STYLES = {
+  pending: 'text-amber-300 border-amber-500/40 bg-amber-500/10',
+  processing: 'text-cyan-300 border-cyan-500/40 bg-cyan-500/10',
+  completed: 'text-green-300 border-green-500/40 bg-green-500/10',
+  failed: 'text-red-300 border-red-500/40 bg-red-500/10',
+  cancelled: 'text-slate-400 border-slate-600 bg-slate-800/40'
+}
+
+const FILTERS = ['all', 'pending', 'processing', 'failed', 'completed', 'cancelled']
+
+export default function QueueMonitor({ initial }) {
+  const [filter, setFilter] = useState('all')
+  const [jobs, setJobs] = useState(initial?.jobs || [])
+  const [counts, setCounts] = useState(initial?.counts || {})
+  const [error, setError] = useState(initial?.success === false ? initial.error : null)
+  const [busyJobId, setBusyJobId] = useState(null)
+  const [lastRefresh, setLastRefresh] = useState(() => Date.now())
+
+  const refresh = useCallback(async () => {
+    const result = await getQueueJobs({ status: filter })
+    if (result.success) {
+      setJobs(result.jobs)
+      setCounts(result.counts)
+      setError(null)
+    } else {
+      setError(result.error)
+    }
+    setLastRefresh(Date.now())
+  }, [filter])
+
+  useEffect(() => {
+    refresh()
+    const poll = setInterval(refresh, POLL_INTERVAL_MS)
+    return () => clearInterval(poll)
+  }, [refresh])
+
+  const runAction = async (jobId, action) => {
+    setBusyJobId(jobId)
+    const result = await action()
+    if (!result.success) {
+      setError(result.error)
+    }
+    await refresh()
+    setBusyJobId(null)
+  }
+
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+      {/* Status filters with counts */}
+      <div className="px-5 py-4 border-b border-dossier-border flex flex-wrap items-center gap-2">
+        {FILTERS.map(status => (
+          <button
+            key={status}
+            onClick={() => setFilter(status)}
+            className={cn(
+              'px-3 py-1 text-[10px] font-mono uppercase tracking-wider rounded border transition-colors',
+              filter === status
+                ? 'border-cyan-400 text-cyan-300 bg-cyan-500/10'
+                : 'border-dossier-border text-slate-500 hover:text-slate-300'
+            )}
+          >
+            {status}
+            {status !== 'all' && <span className="ml-1.5 tabular-nums">{counts[status] ?? 0}</span>}
+          </button>
+        ))}
+
+        <span className="ml-auto flex items-center gap-1.5 text-[10px] font-mono text-slate-500">
+          <RefreshCw className="h-3 w-3" />
+          Live · updated {new Date(lastRefresh).toLocaleTimeString()}
+        </span>
+      </div>
+
+      {error && (
+        <p className="px-5 py-3 text-xs font-mono text-red-300 bg-red-500/10 border-b border-red-500/30">
+          {error}
+        </p>
+      )}
+
+      {jobs.length === 0 ? (
+        <p className="p-5 text-sm text-slate-500">No jobs.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-left text-[10px] uppercase tracking-widest text-slate-500 border-b border-dossier-border">
+                <th className="px-5 py-3 font-normal">Job</th>
+                <th className="px-3 py-3 font-normal">HOA</th>
+                <th className="px-3 py-3 font-normal">Status</th>
+                <th className="px-3 py-3 font-normal">Attempts</th>
+                <th className="px-3 py-3 font-normal">Priority</th>
+                <th className="px-3 py-3 font-normal">Created / Next run</th>
+                <th className="px-5 py-3 font-normal text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.id} className="border-b border-dossier-border/50 align-top">
+                  <td className="px-5 py-3">
+                    <p className="text-slate-200">{job.job_type}</p>
+                    <p className="text-[10px] text-slate-600">{job.id.slice(0, 8)}</p>
+                  </td>
+                  <td className="px-3 py-3">
+                    {job.payload?.hoaId ? (
+                      <Link href={`/reports/${job.payload.hoaId}`} className="text-cyan-400 hover:underline">
+                        {job.hoaName || job.payload.hoaId.slice(0, 8)}
+                      </Link>
+                    ) : (
+                      <span className="text-slate-600">—</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-3">
+                    <span className={cn('px-2 py-0.5 rounded border text-[10px] uppercase', STATUS_STYLES[job.status])}>
+                      {job.status}
+                    </span>
+                    {job.error && (
+                      <p className="mt-1.5 max-w-xs text-[10px] text-red-300/80 break-words">{job.error}</p>
+                    )}
+                  </td>
+                  <td className="px-3 py-3 tabular-nums text-slate-300">
+                    {job.retry_count}/{job.max_retries}
+                  </td>
+                  <td className="px-3 py-3">
+                    <PriorityInput
+                      job={job}
+                      disabled={busyJobId === job.id || job.status !== 'pending'}
+                      onSave={(priority) => runAction(job.id, () => setJobPriority(job.id, priority))}
+                    />
+                  </td>
+                  <td className="px-3 py-3 text-slate-400">
+                    <p>{formatDate(job.created_at, 'full')}</p>
+                    {job.status === 'pending' && new Date(job.run_after) > new Date() && (
+                      <p className="text-[10px] text-amber-300/80">
+                        Backoff until {new Date(job.run_after).toLocaleTimeString()}
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-5 py-3">
+                    <div className="flex justify-end gap-2">
+                      {['failed', 'cancelled', 'pending'].includes(job.status) && (
+                        <button
+                          onClick={() => runAction(job.id, () => retryJob(job.id))}
+                          disabled={busyJobId === job.id}
+                          className="flex items-center gap-1 px-2 py-1 rounded border border-cyan-500/40 text-cyan-300 hover:bg-cyan-500/10 disabled:opacity-40"
+                        >
+                          <RotateCcw className="h-3 w-3" />
+                          {job.status === 'pending' ? 'Run now' : 'Retry'}
+                        </button>
+                      )}
+                      {job.status === 'pending' && (
+                        <button
+                          onClick={() => runAction(job.id, () => cancelJob(job.id))}
+                          disabled={busyJobId === job.id}
+                          className="flex items-center gap-1 px-2 py-1 rounded border border-red-500/40 text-red-300 hover:bg-red-500/10 disabled:opacity-40"
+                        >
+                          <XCircle className="h-3 w-3" />
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+function PriorityInput({ job, disabled, onSave }) {
+  const [value, setValue] = useState(String(job.priority ?? 0))
+
+  useEffect(() => {
+    setValue(String(job.priority ?? 0))
+  }, [job.priority])
+
+  const save = () => {
+    if (value !== String(job.priority ?? 0)) {
+      onSave(value)
+    }
+  }
+
+  return (
+    <input
+      type="number"
+      value={value}
+      disabled={disabled}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => e.key === 'Enter' && save()}
+      className="w-16 px-2 py-1 bg-slate-900/60 border border-dossier-border rounded text-slate-200 tabular-nums disabled:opacity-40"
+    />
+  )
+}
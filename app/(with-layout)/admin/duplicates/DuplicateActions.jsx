@@ -0,0 +1,71 @@
+/**
+ * Duplicate Actions Component
+ * Merge a suggested duplicate pair (either way round) or mark it distinct
+ */
+
+'use client'
+
+import { useState, useTransition } from 'react'
+import { useRouter } from 'next/navigation'
+import { ArrowLeftRight, GitMerge, X } from 'lucide-react'
+import { mergeHOAs, dismissDuplicate } from '@/app/actions/admin'
+
+export default function DuplicateActions({ survivor, duplicate }) {
+  const router = useRouter()
+  const [isPending, startTransition] = useTransition()
+  const [message, setMessage] = useState(null)
+
+  const run = (action, describe, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return
+
+    setMessage(null)
+    startTransition(async () => {
+      const result = await action()
+      setMessage(result.success
+        ? { ok: true, text: describe(result) }
+        : { ok: false, text: result.error })
+      router.refresh()
+    })
+  }
+
+  const merge = (keep, remove) => run(
+    () => mergeHOAs(keep.id, remove.id),
+    (result) => `Merged into ${result.hoaName}`,
+    `Merge "${remove.name}" into "${keep.name}"? "${remove.name}" will be deleted and kept as an alias.`
+  )
+
+  return (
+    <div className="flex flex-col items-end gap-1.5">
+      <div className="flex flex-wrap justify-end gap-2">
+        <button
+          onClick={() => merge(survivor, duplicate)}
+          disabled={isPending}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-cyan-500/40 text-cyan-300 hover:bg-cyan-500/10 disabled:opacity-40"
+        >
+          <GitMerge className="h-3 w-3" />
+          Merge
+        </button>
+        <button
+          onClick={() => merge(duplicate, survivor)}
+          disabled={isPending}
+          title={`Keep "${duplicate.name}" instead`}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-violet-500/40 text-violet-300 hover:bg-violet-500/10 disabled:opacity-40"
+        >
+          <ArrowLeftRight className="h-3 w-3" />
+          Keep other
+        </button>
+        <button
+          onClick={() => run(() => dismissDuplicate(survivor.id, duplicate.id), () => 'Marked as different HOAs')}
+          disabled={isPending}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-slate-500/40 text-slate-300 hover:bg-slate-500/10 disabled:opacity-40"
+        >
+          <X className="h-3 w-3" />
+          Not duplicates
+        </button>
+      </div>
+      {message && (
+        <p className={`text-[10px] ${message.ok ? 'text-green-300' : 'text-red-300'}`}>{message.text}</p>
+      )}
+    </div>
+  )
+}
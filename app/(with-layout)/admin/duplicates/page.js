@@ -0,0 +1,99 @@
+/**
+ * Admin: Duplicate HOAs
+ * Pairs of HOA records that look like the same association, to merge or
+ * dismiss
+ */
+
+import Link from 'next/link'
+import { GitMerge } from 'lucide-react'
+import { getDuplicateSuggestions } from '@/app/actions/admin'
+import { formatDate } from '@/lib/utils'
+import DuplicateActions from './DuplicateActions'
+
+const EVIDENCE_LABELS = {
+  document_number: 'Registry filing',
+  name: 'Name',
+  location: 'Location'
+}
+
+function HOASummary({ hoa, label }) {
+  return (
+    <div className="min-w-0">
+      <p className="text-[10px] uppercase tracking-widest text-slate-500 mb-1">{label}</p>
+      <Link href={`/reports/${hoa.id}`} className="text-cyan-400 hover:underline break-words">
+        {hoa.hoa_name}
+      </Link>
+      <p className="text-[10px] text-slate-500">
+        {[hoa.address, hoa.city, hoa.state, hoa.zip_code].filter(Boolean).join(', ')}
+      </p>
+      <p className="text-[10px] text-slate-500">
+        {[
+          hoa.sunbiz_document_number && `Doc ${hoa.sunbiz_document_number}`,
+          hoa.management_company,
+          `${hoa.data_completeness ?? 0}% complete`,
+          `added ${formatDate(hoa.created_at)}`
+        ].filter(Boolean).join(' · ')}
+      </p>
+      {hoa.aliases?.length > 0 && (
+        <p className="text-[10px] text-slate-600">aka {hoa.aliases.join(', ')}</p>
+      )}
+    </div>
+  )
+}
+
+export default async function AdminDuplicatesPage() {
+  const result = await getDuplicateSuggestions()
+
+  if (!result.success) {
+    return (
+      <p className="p-5 rounded border border-red-500/30 bg-red-500/10 text-xs font-mono text-red-300">
+        {result.error}
+      </p>
+    )
+  }
+
+  const { suggestions } = result
+
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+      <div className="px-5 py-3 border-b border-dossier-border flex items-center gap-2">
+        <GitMerge className="h-4 w-4 text-cyan-400" />
+        <h2 className="text-[10px] font-mono uppercase tracking-widest text-slate-500">
+          {suggestions.length} possible duplicate{suggestions.length === 1 ? '' : 's'}
+        </h2>
+      </div>
+
+      {suggestions.length === 0 ? (
+        <p className="p-5 text-sm text-slate-500">No duplicates found.</p>
+      ) : (
+        <ul className="divide-y divide-dossier-border/50 text-xs font-mono">
+          {suggestions.map(({ survivor, duplicate, score, likely, evidence, reasons }) => (
+            <li key={`${survivor.id}-${duplicate.id}`} className="px-5 py-4">
+              <div className="flex items-center gap-2 mb-3">
+                <span className={`px-2 py-0.5 rounded border text-[10px] uppercase ${likely
+                  ? 'border-red-500/40 bg-red-500/10 text-red-300'
+                  : 'border-amber-500/40 bg-amber-500/10 text-amber-300'}`}
+                >
+                  {likely ? 'Likely' : 'Possible'} · {Math.round(score * 100)}%
+                </span>
+                <span className="text-[10px] text-slate-500">
+                  Found by {EVIDENCE_LABELS[evidence] || evidence}
+                  {reasons.length > 0 && ` · ${reasons.join(' · ')}`}
+                </span>
+              </div>
+
+              <div className="grid md:grid-cols-[1fr_1fr_auto] gap-4 items-start">
+                <HOASummary hoa={survivor} label="Keep" />
+                <HOASummary hoa={duplicate} label="Merge in" />
+                <DuplicateActions
+                  survivor={{ id: survivor.id, name: survivor.hoa_name }}
+                  duplicate={{ id: duplicate.id, name: duplicate.hoa_name }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,90 @@
+/**
+ * HOA Actions Component
+ * Force re-analysis or re-enrichment of a single HOA, or import its
+ * boundary from a plat or parcel GeoJSON file
+ */
+
+'use client'
+
+import { useRef, useState, useTransition } from 'react'
+import { useRouter } from 'next/navigation'
+import { MapIcon, RefreshCw, Sparkles } from 'lucide-react'
+import { forceReanalysis, forceReenrichment, importHOABoundary } from '@/app/actions/admin'
+
+export default function HOAActions({ hoaId }) {
+  const router = useRouter()
+  const [isPending, startTransition] = useTransition()
+  const [message, setMessage] = useState(null)
+  const fileInput = useRef(null)
+
+  const run = (action, describe) => {
+    setMessage(null)
+    startTransition(async () => {
+      const result = await action(hoaId)
+      setMessage(result.success
+        ? { ok: true, text: describe(result) }
+        : { ok: false, text: result.error })
+      router.refresh()
+    })
+  }
+
+  const importBoundary = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    let geojson
+    try {
+      geojson = JSON.parse(await file.text())
+    } catch {
+      setMessage({ ok: false, text: `${file.name} is not valid GeoJSON` })
+      return
+    }
+
+    run(
+      (id) => importHOABoundary(id, geojson, file.name),
+      (result) => `Boundary imported (${result.polygons} polygon${result.polygons === 1 ? '' : 's'})`
+    )
+  }
+
+  return (
+    <div className="flex flex-col items-end gap-1.5">
+      <div className="flex gap-2">
+        <button
+          onClick={() => run(forceReanalysis, (result) => result.deduplicated ? 'Already queued' : 'Re-analysis queued')}
+          disabled={isPending}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-cyan-500/40 text-cyan-300 hover:bg-cyan-500/10 disabled:opacity-40"
+        >
+          <RefreshCw className="h-3 w-3" />
+          Re-analyze
+        </button>
+        <button
+          onClick={() => run(forceReenrichment, (result) => result.found ? 'Enriched' : 'Enrichment found nothing new')}
+          disabled={isPending}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-violet-500/40 text-violet-300 hover:bg-violet-500/10 disabled:opacity-40"
+        >
+          <Sparkles className="h-3 w-3" />
+          Re-enrich
+        </button>
+        <button
+          onClick={() => fileInput.current?.click()}
+          disabled={isPending}
+          className="flex items-center gap-1 px-2 py-1 rounded border border-emerald-500/40 text-emerald-300 hover:bg-emerald-500/10 disabled:opacity-40"
+        >
+          <MapIcon className="h-3 w-3" />
+          Boundary
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".geojson,.json,application/geo+json,application/json"
+          onChange={importBoundary}
+          className="hidden"
+        />
+      </div>
+      {message && (
+        <p className={`text-[10px] ${message.ok ? 'text-green-300' : 'text-red-300'}`}>{message.text}</p>
+      )}
+    </div>
+  )
+}
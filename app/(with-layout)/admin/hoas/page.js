@@ -0,0 +1,88 @@
+/**
+ * Admin: HOA Records
+ * Reports with low data completeness or a fallback analysis
+ */
+
+import Link from 'next/link'
+import { AlertTriangle } from 'lucide-react'
+import { getHOAsNeedingAttention } from '@/app/actions/admin'
+import { formatDate } from '@/lib/utils'
+import HOAActions from './HOAActions'
+
+export default async function AdminHOAsPage() {
+  const result = await getHOAsNeedingAttention()
+
+  if (!result.success) {
+    return (
+      <p className="p-5 rounded border border-red-500/30 bg-red-500/10 text-xs font-mono text-red-300">
+        {result.error}
+      </p>
+    )
+  }
+
+  const { hoas, threshold } = result
+
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+      <div className="px-5 py-3 border-b border-dossier-border flex items-center gap-2">
+        <AlertTriangle className="h-4 w-4 text-amber-400" />
+        <h2 className="text-[10px] font-mono uppercase tracking-widest text-slate-500">
+          {hoas.length} reports below {threshold}% completeness or using fallback analysis
+        </h2>
+      </div>
+
+      {hoas.length === 0 ? (
+        <p className="p-5 text-sm text-slate-500">Nothing needs attention.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-left text-[10px] uppercase tracking-widest text-slate-500 border-b border-dossier-border">
+                <th className="px-5 py-3 font-normal">HOA</th>
+                <th className="px-3 py-3 font-normal text-right">Completeness</th>
+                <th className="px-3 py-3 font-normal">Analysis</th>
+                <th className="px-3 py-3 font-normal">Updated</th>
+                <th className="px-5 py-3 font-normal text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {hoas.map(hoa => (
+                <tr key={hoa.id} className="border-b border-dossier-border/50 align-top">
+                  <td className="px-5 py-3">
+                    <Link href={`/reports/${hoa.id}`} className="text-cyan-400 hover:underline">
+                      {hoa.hoa_name}
+                    </Link>
+                    <p className="text-[10px] text-slate-500">
+                      {[hoa.city, hoa.state, hoa.zip_code].filter(Boolean).join(', ')}
+                    </p>
+                  </td>
+                  <td className={`px-3 py-3 text-right tabular-nums ${(hoa.data_completeness ?? 0) < threshold ? 'text-amber-300' : 'text-slate-300'}`}>
+                    {hoa.data_completeness ?? 0}%
+                  </td>
+                  <td className="px-3 py-3">
+                    {hoa.is_fallback ? (
+                      <>
+                        <span className="px-2 py-0.5 rounded border border-red-500/40 bg-red-500/10 text-[10px] uppercase text-red-300">
+                          Fallback
+                        </span>
+                        {hoa.fallback_reason && (
+                          <p className="mt-1.5 max-w-xs text-[10px] text-slate-500 break-words">{hoa.fallback_reason}</p>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-slate-400">AI · score {hoa.overall_score ?? '—'}</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-3 text-slate-400">{formatDate(hoa.last_updated)}</td>
+                  <td className="px-5 py-3">
+                    <HOAActions hoaId={hoa.id} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
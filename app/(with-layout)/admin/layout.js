@@ -0,0 +1,49 @@
+/**
+ * Admin Console Layout
+ * Operator-only area: queue, API usage and HOA maintenance.
+ * Non-admins get a 404 rather than a hint that the area exists.
+ */
+
+import { notFound } from 'next/navigation'
+import { getCurrentUser, hasRole } from '@/lib/supabase/server'
+import AdminNav from './AdminNav'
+
+export const metadata = {
+  title: 'Admin Console | HOA Scout',
+  robots: { index: false, follow: false }
+}
+
+export default async function AdminLayout({ children }) {
+  const user = await getCurrentUser()
+
+  if (!user || !(await hasRole(user, 'admin'))) {
+    notFound()
+  }
+
+  return (
+    <div className="min-h-screen bg-dossier-bg">
+      <header className="relative border-b border-dossier-border">
+        <div className="absolute inset-0 bg-grid-pattern bg-[size:20px_20px] opacity-30" />
+
+        <div className="relative max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-8">
+          <div className="flex items-center gap-3 mb-2">
+            <span className="text-[10px] font-mono uppercase tracking-[0.2em] text-cyan-400 border border-cyan-400/30 px-2 py-0.5 rounded">
+              Restricted
+            </span>
+            <span className="text-[10px] font-mono uppercase tracking-wider text-slate-500">
+              {user.email}
+            </span>
+          </div>
+          <h1 className="text-2xl font-mono font-bold text-slate-100 mb-6">
+            Operations Console
+          </h1>
+          <AdminNav />
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {children}
+      </main>
+    </div>
+  )
+}
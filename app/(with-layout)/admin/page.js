@@ -0,0 +1,13 @@
+/**
+ * Admin: Processing Queue
+ * Live view of processing_queue with retry, cancel and reprioritize
+ */
+
+import { getQueueJobs } from '@/app/actions/admin'
+import QueueMonitor from './QueueMonitor'
+
+export default async function AdminQueuePage() {
+  const initial = await getQueueJobs()
+
+  return <QueueMonitor initial={initial} />
+}
@@ -0,0 +1,205 @@
+/**
+ * Usage Charts Component
+ * Daily calls and cost per provider, a status code breakdown and search
+ * cache hit rates
+ */
+
+'use client'
+
+import { useMemo } from 'react'
+import {
+  BarChart, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer
+} from 'recharts'
+import { formatDate, formatNumber } from '@/lib/utils'
+
+const PROVIDER_COLORS = {
+  claude: '#22d3ee',
+  perplexity: '#a78bfa',
+  yelp: '#f87171',
+  google_maps: '#34d399',
+  reddit: '#fb923c',
+  other: '#94a3b8'
+}
+
+const AXIS_STYLE = { fontSize: 10, fontFamily: 'monospace', fill: '#64748b' }
+
+export default function UsageCharts({ rows, cache = [], since, days }) {
+  const { providers, daily, byStatus, totals } = useMemo(() => summarize(rows), [rows])
+
+  if (rows.length === 0) {
+    return (
+      <p className="p-5 rounded border border-dossier-border bg-dossier-surface/50 text-sm text-slate-500">
+        No API calls logged since {formatDate(since)}.
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Stat label={`Calls (${days}d)`} value={formatNumber(totals.calls)} />
+        <Stat label="Errors" value={formatNumber(totals.errors)} accent={totals.errors > 0 ? 'text-red-300' : undefined} />
+        <Stat label="Tokens" value={formatNumber(totals.tokens)} />
+        <Stat label="Cost" value={`$${totals.cost.toFixed(2)}`} />
+      </div>
+
+      <ChartPanel title="Calls per day">
+        <BarChart data={daily}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+          <XAxis dataKey="day" tick={AXIS_STYLE} />
+          <YAxis tick={AXIS_STYLE} allowDecimals={false} />
+          <Tooltip contentStyle={{ background: '#0f172a', border: '1px solid #334155', fontSize: 12 }} />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          {providers.map(provider => (
+            <Bar key={provider} dataKey={`${provider}.calls`} name={provider} stackId="calls" fill={providerColor(provider)} />
+          ))}
+        </BarChart>
+      </ChartPanel>
+
+      <ChartPanel title="Cost per day (USD)">
+        <BarChart data={daily}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+          <XAxis dataKey="day" tick={AXIS_STYLE} />
+          <YAxis tick={AXIS_STYLE} tickFormatter={(value) => `$${value}`} />
+          <Tooltip
+            formatter={(value) => `$${Number(value).toFixed(4)}`}
+            contentStyle={{ background: '#0f172a', border: '1px solid #334155', fontSize: 12 }}
+          />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          {providers.map(provider => (
+            <Bar key={provider} dataKey={`${provider}.cost`} name={provider} stackId="cost" fill={providerColor(provider)} />
+          ))}
+        </BarChart>
+      </ChartPanel>
+
+      {/* Status codes per provider */}
+      <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+        <h2 className="px-5 py-3 border-b border-dossier-border text-[10px] font-mono uppercase tracking-widest text-slate-500">
+          Responses by status code
+        </h2>
+        <table className="w-full text-xs font-mono">
+          <thead>
+            <tr className="text-left text-[10px] uppercase tracking-widest text-slate-500 border-b border-dossier-border">
+              <th className="px-5 py-2 font-normal">Provider</th>
+              <th className="px-3 py-2 font-normal">Status</th>
+              <th className="px-3 py-2 font-normal text-right">Calls</th>
+              <th className="px-3 py-2 font-normal text-right">Avg ms</th>
+              <th className="px-5 py-2 font-normal text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byStatus.map(row => (
+              <tr key={`${row.api_name}-${row.status_code}`} className="border-b border-dossier-border/50">
+                <td className="px-5 py-2 text-slate-200">{row.api_name}</td>
+                <td className={`px-3 py-2 ${row.status_code >= 400 ? 'text-red-300' : 'text-slate-400'}`}>
+                  {row.status_code ?? '—'}
+                </td>
+                <td className="px-3 py-2 text-right tabular-nums text-slate-300">{formatNumber(row.calls)}</td>
+                <td className="px-3 py-2 text-right tabular-nums text-slate-400">{Math.round(row.avgMs)}</td>
+                <td className="px-5 py-2 text-right tabular-nums text-slate-300">${row.cost.toFixed(4)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      {cache.length > 0 && (
+        <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+          <h2 className="px-5 py-3 border-b border-dossier-border text-[10px] font-mono uppercase tracking-widest text-slate-500">
+            Search cache
+          </h2>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-left text-[10px] uppercase tracking-widest text-slate-500 border-b border-dossier-border">
+                <th className="px-5 py-2 font-normal">Search</th>
+                <th className="px-3 py-2 font-normal text-right">Hits</th>
+                <th className="px-3 py-2 font-normal text-right">Misses</th>
+                <th className="px-3 py-2 font-normal text-right">Forced</th>
+                <th className="px-5 py-2 font-normal text-right">Hit rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cache.map(row => (
+                <tr key={row.namespace} className="border-b border-dossier-border/50">
+                  <td className="px-5 py-2 text-slate-200">{row.namespace}</td>
+                  <td className="px-3 py-2 text-right tabular-nums text-green-300">{formatNumber(row.hits)}</td>
+                  <td className="px-3 py-2 text-right tabular-nums text-slate-300">{formatNumber(row.misses)}</td>
+                  <td className="px-3 py-2 text-right tabular-nums text-slate-400">{formatNumber(row.bypasses)}</td>
+                  <td className="px-5 py-2 text-right tabular-nums text-slate-300">{Math.round(row.hitRate * 100)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  )
+}
+
+function Stat({ label, value, accent = 'text-slate-100' }) {
+  return (
+    <div className="bg-dossier-surface/50 rounded border border-dossier-border px-4 py-3">
+      <p className="text-[10px] font-mono uppercase tracking-widest text-slate-500">{label}</p>
+      <p className={`mt-1 text-xl font-mono tabular-nums ${accent}`}>{value}</p>
+    </div>
+  )
+}
+
+function ChartPanel({ title, children }) {
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border p-5">
+      <h2 className="mb-4 text-[10px] font-mono uppercase tracking-widest text-slate-500">{title}</h2>
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          {children}
+        </ResponsiveContainer>
+      </div>
+    </section>
+  )
+}
+
+function providerColor(provider) {
+  return PROVIDER_COLORS[provider] || PROVIDER_COLORS.other
+}
+
+/**
+ * Pivot api_usage_daily rows into per-day provider series, a
+ * provider/status breakdown and overall totals
+ */
+function summarize(rows) {
+  const providers = [...new Set(rows.map(row => row.api_name))].sort()
+  const days = new Map()
+  const statuses = new Map()
+  const totals = { calls: 0, errors: 0, tokens: 0, cost: 0 }
+
+  for (const row of rows) {
+    const day = days.get(row.day) || { day: row.day }
+    const cell = day[row.api_name] || { calls: 0, cost: 0 }
+    cell.calls += row.calls
+    cell.cost += row.cost_usd
+    day[row.api_name] = cell
+    days.set(row.day, day)
+
+    const key = `${row.api_name}:${row.status_code}`
+    const status = statuses.get(key) || { api_name: row.api_name, status_code: row.status_code, calls: 0, cost: 0, totalMs: 0 }
+    status.calls += row.calls
+    status.cost += row.cost_usd
+    status.totalMs += (row.avg_response_ms || 0) * row.calls
+    statuses.set(key, status)
+
+    totals.calls += row.calls
+    totals.tokens += row.tokens
+    totals.cost += row.cost_usd
+    if (row.status_code >= 400) totals.errors += row.calls
+  }
+
+  return {
+    providers,
+    daily: [...days.values()],
+    byStatus: [...statuses.values()]
+      .map(status => ({ ...status, avgMs: status.calls ? status.totalMs / status.calls : 0 }))
+      .sort((a, b) => a.api_name.localeCompare(b.api_name) || (a.status_code ?? 0) - (b.status_code ?? 0)),
+    totals
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Admin: API Usage
+ * Calls, errors and cost per provider per day from api_usage, and search
+ * cache hit rates
+ */
+
+import { getApiUsageStats } from '@/app/actions/admin'
+import UsageCharts from './UsageCharts'
+
+const USAGE_WINDOW_DAYS = 14
+
+export default async function AdminUsagePage() {
+  const result = await getApiUsageStats({ days: USAGE_WINDOW_DAYS })
+
+  if (!result.success) {
+    return (
+      <p className="p-5 rounded border border-red-500/30 bg-red-500/10 text-xs font-mono text-red-300">
+        {result.error}
+      </p>
+    )
+  }
+
+  return <UsageCharts rows={result.rows} cache={result.cache} since={result.since} days={USAGE_WINDOW_DAYS} />
+}
@@ -0,0 +1,201 @@
+/**
+ * Analysis Changes Component
+ * "What changed since last analysis" - diffs any two analysis runs
+ */
+
+'use client'
+
+import { useMemo, useState } from 'react'
+import { History, ArrowUpRight, ArrowDownRight, Minus, Plus, X } from 'lucide-react'
+import { diffAnalysisRuns } from '@/lib/analysis/diff'
+import { formatDate } from '@/lib/utils'
+
+const FLAG_COLORS = {
+  redFlags: 'text-red-400',
+  yellowFlags: 'text-amber-400',
+  greenFlags: 'text-green-400'
+}
+
+export default function AnalysisChanges({ runs }) {
+  // runs are ordered newest first
+  const [fromId, setFromId] = useState(runs[1]?.id)
+  const [toId, setToId] = useState(runs[0]?.id)
+
+  const fromRun = runs.find(run => run.id === fromId)
+  const toRun = runs.find(run => run.id === toId)
+
+  const diff = useMemo(
+    () => (fromRun && toRun ? diffAnalysisRuns(fromRun, toRun) : null),
+    [fromRun, toRun]
+  )
+
+  if (runs.length < 2) {
+    return null
+  }
+
+  const changedScores = diff?.scores.filter(score => score.changed) || []
+  const flagChanges = diff?.flags.filter(f => f.added.length > 0 || f.removed.length > 0) || []
+
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+      <div className="px-5 py-4 border-b border-dossier-border flex items-center gap-2">
+        <History className="h-4 w-4 text-cyan-400" />
+        <h2 className="text-xs font-mono uppercase tracking-widest text-slate-400">
+          What Changed Since Last Analysis
+        </h2>
+      </div>
+
+      <div className="p-5 space-y-5">
+        {/* Run pickers */}
+        <div className="flex flex-wrap items-center gap-3 text-xs font-mono">
+          <RunSelect label="From" value={fromId} onChange={setFromId} runs={runs} />
+          <span className="text-slate-600">→</span>
+          <RunSelect label="To" value={toId} onChange={setToId} runs={runs} />
+        </div>
+
+        {!diff || fromId === toId ? (
+          <p className="text-sm text-slate-500">Select two different analyses to compare.</p>
+        ) : !diff.hasChanges ? (
+          <p className="text-sm text-slate-400">No changes between these analyses.</p>
+        ) : (
+          <>
+            {/* Score changes */}
+            {changedScores.length > 0 && (
+              <div>
+                <h3 className="text-[10px] font-mono uppercase tracking-widest text-cyan-400/80 mb-3">
+                  Scores
+                </h3>
+                <div className="space-y-2">
+                  {changedScores.map(score => (
+                    <div key={score.key} className="flex items-center justify-between text-sm">
+                      <span className="text-slate-300">{score.label}</span>
+                      <span className="font-mono tabular-nums flex items-center gap-2">
+                        <span className="text-slate-500">{formatScore(score.before)}</span>
+                        <span className="text-slate-600">→</span>
+                        <span className="text-dossier-text">{formatScore(score.after)}</span>
+                        <Delta value={score.delta} inverted={score.key === 'restrictiveness'} />
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Flag changes */}
+            {flagChanges.length > 0 && (
+              <div>
+                <h3 className="text-[10px] font-mono uppercase tracking-widest text-cyan-400/80 mb-3">
+                  Flags
+                </h3>
+                <div className="space-y-3">
+                  {flagChanges.map(group => (
+                    <div key={group.key}>
+                      <p className={`text-[10px] font-mono uppercase tracking-wider mb-1 ${FLAG_COLORS[group.key]}`}>
+                        {group.label}
+                      </p>
+                      <ul className="space-y-1">
+                        {group.added.map((flag, idx) => (
+                          <li key={`added-${idx}`} className="flex items-start gap-2 text-sm text-slate-300">
+                            <Plus className="h-3.5 w-3.5 mt-0.5 text-cyan-400 flex-shrink-0" />
+                            {flag.title}
+                          </li>
+                        ))}
+                        {group.removed.map((flag, idx) => (
+                          <li key={`removed-${idx}`} className="flex items-start gap-2 text-sm text-slate-500 line-through">
+                            <X className="h-3.5 w-3.5 mt-0.5 text-slate-600 flex-shrink-0" />
+                            {flag.title}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Fee and data quality */}
+            {(diff.fee.changed || diff.completeness.changed) && (
+              <div className="grid grid-cols-2 gap-3">
+                {diff.fee.changed && (
+                  <div className="p-3 bg-slate-800/30 rounded">
+                    <p className="text-[10px] font-mono uppercase tracking-widest text-slate-500 mb-1">Monthly Fee</p>
+                    <p className="font-mono text-sm text-dossier-text">
+                      {formatFee(diff.fee.before)} → {formatFee(diff.fee.after)}
+                    </p>
+                    {diff.fee.percent !== null && (
+                      <p className={`text-[10px] font-mono ${diff.fee.delta > 0 ? 'text-amber-400' : 'text-green-400'}`}>
+                        {diff.fee.delta > 0 ? '+' : ''}{diff.fee.percent}%
+                      </p>
+                    )}
+                  </div>
+                )}
+                {diff.completeness.changed && (
+                  <div className="p-3 bg-slate-800/30 rounded">
+                    <p className="text-[10px] font-mono uppercase tracking-widest text-slate-500 mb-1">Data Quality</p>
+                    <p className="font-mono text-sm text-dossier-text">
+                      {diff.completeness.before ?? '—'}% → {diff.completeness.after ?? '—'}%
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Explain changes that come from us rather than the HOA */}
+        {diff && fromId !== toId && (diff.promptChanged || diff.modelChanged || toRun?.isFallback || fromRun?.isFallback) && (
+          <p className="text-[10px] font-mono text-slate-500 border-t border-dossier-border pt-3">
+            {diff.promptChanged && 'Our analysis method changed between these runs. '}
+            {diff.modelChanged && 'A different AI model was used. '}
+            {(toRun?.isFallback || fromRun?.isFallback) && 'One of these runs used limited rule-based analysis. '}
+            Some differences may reflect these changes rather than the HOA itself.
+          </p>
+        )}
+      </div>
+    </section>
+  )
+}
+
+function RunSelect({ label, value, onChange, runs }) {
+  return (
+    <label className="flex items-center gap-2">
+      <span className="uppercase tracking-wider text-slate-500">{label}</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="bg-dossier-bg border border-dossier-border rounded px-2 py-1 text-slate-300 focus:outline-none focus:border-cyan-500"
+      >
+        {runs.map((run, idx) => (
+          <option key={run.id} value={run.id}>
+            {formatDate(run.completedAt, 'short')}{idx === 0 ? ' (current)' : ''} · {formatScore(run.overallScore)}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+function Delta({ value, inverted = false }) {
+  if (value === null || value === 0) {
+    return <Minus className="h-3.5 w-3.5 text-slate-600" />
+  }
+
+  // For restrictiveness a lower score is better
+  const isImprovement = inverted ? value < 0 : value > 0
+  const Icon = value > 0 ? ArrowUpRight : ArrowDownRight
+
+  return (
+    <span className={`flex items-center text-xs ${isImprovement ? 'text-green-400' : 'text-red-400'}`}>
+      <Icon className="h-3.5 w-3.5" />
+      {value > 0 ? '+' : ''}{value}
+    </span>
+  )
+}
+
+function formatScore(score) {
+  return score === null || score === undefined ? '—' : Number(score).toFixed(1)
+}
+
+function formatFee(fee) {
+  return fee === null || fee === undefined ? 'Unknown' : `$${Math.round(fee)}`
+}
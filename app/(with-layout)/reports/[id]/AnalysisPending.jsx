@@ -1,71 +1,81 @@
 /**
  * Analysis Pending Component
- * Shows loading state and auto-refreshes when analysis completes
+ * Streams real step-by-step analysis progress and refreshes when analysis completes
  */
 
 'use client'
 
 import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
+import { ANALYSIS_STEPS } from '@/lib/analysis/steps'
 
-export default function AnalysisPending({ hoaId }) {
+// No progress update for this long means the analysis is probably stuck
+const STALL_TIMEOUT_MS = 3 * 60 * 1000
+
+const INITIAL_STEPS = ANALYSIS_STEPS.map(step => ({ ...step, status: 'pending' }))
+
+export default function AnalysisPending({ hoaId, retryToken }) {
   const router = useRouter()
   const [dots, setDots] = useState('')
-  const [checkCount, setCheckCount] = useState(0)
-  const [timedOut, setTimedOut] = useState(false)
+  const [now, setNow] = useState(() => Date.now())
+  const [progress, setProgress] = useState(null)
+  const [lastChangeAt, setLastChangeAt] = useState(() => Date.now())
+  const [connectionLost, setConnectionLost] = useState(false)
+  const [streamKey, setStreamKey] = useState(0)
   const [isRetrying, setIsRetrying] = useState(false)
+  const [retryError, setRetryError] = useState(null)
 
   useEffect(() => {
-    // Animate the dots
-    const dotInterval = setInterval(() => {
+    // Animate the dots and tick elapsed timers
+    const tick = setInterval(() => {
       setDots(prev => prev.length >= 3 ? '' : prev + '.')
+      setNow(Date.now())
     }, 500)
 
-    return () => clearInterval(dotInterval)
+    return () => clearInterval(tick)
   }, [])
 
   useEffect(() => {
-    if (timedOut) return // Don't poll if timed out
-
-    // Poll for completion every 3 seconds
-    const pollInterval = setInterval(async () => {
-      try {
-        const response = await fetch(`/api/hoa/${hoaId}/status`)
-        const data = await response.json()
-
-        setCheckCount(prev => prev + 1)
-
-        if (data.isComplete) {
-          // Analysis complete - refresh the page
-          clearInterval(pollInterval)
-          router.refresh()
-        }
-      } catch (error) {
-        console.error('Error checking analysis status:', error)
-      }
-    }, 3000)
-
-    // Stop polling after 2 minutes (40 checks) and show timeout message
-    const timeout = setTimeout(() => {
-      clearInterval(pollInterval)
-      setTimedOut(true)
-    }, 120000)
-
-    return () => {
-      clearInterval(pollInterval)
-      clearTimeout(timeout)
+    const source = new EventSource(`/api/hoa/${hoaId}/progress`)
+
+    source.addEventListener('progress', (event) => {
+      setProgress(JSON.parse(event.data))
+      setLastChangeAt(Date.now())
+      setConnectionLost(false)
+    })
+
+    source.addEventListener('complete', () => {
+      source.close()
+      router.refresh()
+    })
+
+    source.onerror = () => {
+      // EventSource reconnects on its own; just surface the state
+      setConnectionLost(true)
     }
-  }, [hoaId, router, timedOut])
+
+    return () => source.close()
+  }, [hoaId, router, streamKey])
 
   const handleRetry = async () => {
     setIsRetrying(true)
-    setTimedOut(false)
-    setCheckCount(0)
+    setRetryError(null)
 
     try {
-      // Trigger analysis via API
-      await fetch(`/api/hoa/${hoaId}/analyze`, { method: 'POST' })
-      // Polling will restart automatically due to timedOut state change
+      const response = await fetch(`/api/hoa/${hoaId}/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ retryToken })
+      })
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}))
+        setRetryError(body.error || 'Could not start the analysis')
+        return
+      }
+
+      setProgress(null)
+      setLastChangeAt(Date.now())
+      setStreamKey(prev => prev + 1)
     } catch (error) {
       console.error('Error triggering analysis:', error)
     } finally {
@@ -77,8 +87,19 @@ export default function AnalysisPending({ hoaId }) {
     router.refresh()
   }
 
-  // Timeout state - show retry options
-  if (timedOut) {
+  const steps = progress?.steps || INITIAL_STEPS
+  const job = progress?.job
+  const jobFailed = job?.status === 'failed'
+  const isStalled = !jobFailed && now - lastChangeAt > STALL_TIMEOUT_MS
+  const awaitingRetry = job?.status === 'pending' && job.retryCount > 0
+
+  const firstStart = steps
+    .map(step => step.startedAt && new Date(step.startedAt).getTime())
+    .filter(Boolean)
+    .sort((a, b) => a - b)[0]
+
+  // Failed or stuck - show retry options
+  if (jobFailed || isStalled) {
     return (
       <div className="flex flex-col items-center justify-center py-20">
         <div className="w-16 h-16 rounded-full bg-amber-500/20 border-2 border-amber-500/50 flex items-center justify-center mb-6">
@@ -86,15 +107,30 @@ export default function AnalysisPending({ hoaId }) {
         </div>
 
         <h2 className="text-2xl font-mono text-dossier-text mb-3">
-          Analysis Taking Longer Than Expected
+          {jobFailed ? 'Analysis Failed' : 'Analysis Taking Longer Than Expected'}
         </h2>
 
         <p className="text-sm text-slate-400 text-center max-w-md mb-6">
-          The analysis is still processing. This can happen with complex HOAs or during high demand.
-          You can wait and check again, or retry the analysis.
+          {jobFailed
+            ? `The analysis stopped after ${job.retryCount + 1} attempt${job.retryCount === 0 ? '' : 's'}. You can retry it now.`
+            : 'No progress has been reported for a few minutes. You can wait and check again, or retry the analysis.'}
         </p>
 
-        <div className="flex gap-4">
+        {job?.error && (
+          <p className="text-xs font-mono text-red-400 text-center max-w-md mb-6 break-words">
+            {job.error}
+          </p>
+        )}
+
+        <StepList steps={steps} now={now} />
+
+        {retryError && (
+          <p className="text-xs font-mono text-amber-400 text-center max-w-md mt-6">
+            {retryError}
+          </p>
+        )}
+
+        <div className="flex gap-4 mt-8">
           <button
             onClick={handleRefresh}
             className="px-6 py-3 bg-cyan-500 hover:bg-cyan-400 text-dossier-bg font-mono text-sm font-semibold rounded transition-colors"
@@ -109,10 +145,6 @@ export default function AnalysisPending({ hoaId }) {
             {isRetrying ? 'Retrying...' : 'Retry Analysis'}
           </button>
         </div>
-
-        <p className="text-[10px] font-mono text-slate-600 mt-8">
-          Checked {checkCount} times over 2 minutes
-        </p>
       </div>
     )
   }
@@ -136,52 +168,85 @@ export default function AnalysisPending({ hoaId }) {
         This typically takes 30-60 seconds.
       </p>
 
-      {/* Progress indicators */}
-      <div className="flex flex-col gap-2 text-xs font-mono text-slate-500">
-        <StatusLine
-          label="Geocoding address"
-          status={checkCount >= 0 ? 'complete' : 'pending'}
-        />
-        <StatusLine
-          label="Fetching public records"
-          status={checkCount >= 1 ? 'complete' : checkCount >= 0 ? 'active' : 'pending'}
-        />
-        <StatusLine
-          label="Gathering neighborhood data"
-          status={checkCount >= 3 ? 'complete' : checkCount >= 1 ? 'active' : 'pending'}
-        />
-        <StatusLine
-          label="Running AI analysis"
-          status={checkCount >= 5 ? 'complete' : checkCount >= 3 ? 'active' : 'pending'}
-        />
-        <StatusLine
-          label="Generating report"
-          status={checkCount >= 7 ? 'active' : 'pending'}
-        />
-      </div>
+      {awaitingRetry && (
+        <p className="text-xs font-mono text-amber-400 text-center max-w-md mb-6">
+          Attempt {job.retryCount} failed{job.error ? `: ${job.error}` : ''}.
+          {' '}Retrying {formatCountdown(job.nextAttemptAt, now)}.
+        </p>
+      )}
+
+      <StepList steps={steps} now={now} />
 
       <p className="text-[10px] font-mono text-slate-600 mt-8">
-        Auto-refreshing • Check #{checkCount + 1}
+        {connectionLost
+          ? 'Connection lost • Reconnecting'
+          : firstStart
+            ? `Live progress • Elapsed ${formatDuration(now - firstStart)}`
+            : job?.status === 'pending' ? 'Queued • Waiting for a worker' : 'Live progress'}
       </p>
     </div>
   )
 }
 
-function StatusLine({ label, status }) {
+function StepList({ steps, now }) {
   return (
-    <div className="flex items-center gap-3">
-      {status === 'complete' && (
-        <span className="text-cyan-400">✓</span>
-      )}
-      {status === 'active' && (
-        <span className="text-amber-400 animate-pulse">●</span>
-      )}
-      {status === 'pending' && (
-        <span className="text-slate-600">○</span>
-      )}
-      <span className={status === 'complete' ? 'text-slate-400' : status === 'active' ? 'text-slate-300' : 'text-slate-600'}>
-        {label}
+    <div className="flex flex-col gap-2 text-xs font-mono text-slate-500 w-full max-w-md">
+      {steps.map(step => (
+        <StatusLine key={step.key} step={step} now={now} />
+      ))}
+    </div>
+  )
+}
+
+function StatusLine({ step, now }) {
+  const { status, label, detail, error } = step
+
+  const elapsed = status === 'running' && step.startedAt
+    ? now - new Date(step.startedAt).getTime()
+    : step.durationMs
+
+  return (
+    <div className="flex items-start gap-3">
+      <span className="w-3 shrink-0">
+        {status === 'completed' && <span className="text-cyan-400">✓</span>}
+        {status === 'running' && <span className="text-amber-400 animate-pulse">●</span>}
+        {status === 'failed' && <span className="text-red-400">✕</span>}
+        {status === 'skipped' && <span className="text-slate-600">–</span>}
+        {status === 'pending' && <span className="text-slate-600">○</span>}
       </span>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex justify-between gap-3">
+          <span className={
+            status === 'running' ? 'text-slate-300' :
+            status === 'completed' ? 'text-slate-400' :
+            status === 'failed' ? 'text-red-300' : 'text-slate-600'
+          }>
+            {label}
+          </span>
+          {elapsed !== null && elapsed !== undefined && status !== 'skipped' && (
+            <span className="text-slate-600 tabular-nums">{formatDuration(elapsed)}</span>
+          )}
+        </div>
+        {status === 'failed' && error && (
+          <p className="text-[10px] text-red-400/80 break-words">{error}</p>
+        )}
+        {detail && status !== 'pending' && (
+          <p className="text-[10px] text-slate-600">{detail}</p>
+        )}
+      </div>
     </div>
   )
 }
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000))
+  if (seconds < 60) return `${seconds}s`
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
+
+function formatCountdown(timestamp, now) {
+  if (!timestamp) return 'soon'
+  const remaining = new Date(timestamp).getTime() - now
+  return remaining > 0 ? `in ${formatDuration(remaining)}` : 'now'
+}
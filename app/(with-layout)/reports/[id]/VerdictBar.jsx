@@ -122,6 +122,7 @@ export default function VerdictBar({ redFlags, yellowFlags, greenFlags }) {
                 title={flag.title}
                 description={flag.description}
                 source={flag.source}
+                sources={flag.sources}
               />
             ))}
 
@@ -132,6 +133,7 @@ export default function VerdictBar({ redFlags, yellowFlags, greenFlags }) {
                 title={flag.title}
                 description={flag.description}
                 source={flag.source}
+                sources={flag.sources}
               />
             ))}
 
@@ -142,6 +144,7 @@ export default function VerdictBar({ redFlags, yellowFlags, greenFlags }) {
                 title={flag.title}
                 description={flag.description}
                 source={flag.source}
+                sources={flag.sources}
               />
             ))}
 
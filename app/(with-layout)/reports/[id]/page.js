@@ -5,9 +5,13 @@
 
 import React from 'react'
 import { getHOAById } from '@/app/actions/hoa-search'
+import { getAnalysisHistory } from '@/app/actions/analysis-history'
 import { fetchNeighborhoodForAddress } from '@/app/actions/fetch-neighborhood'
-import { analyzeHOA } from '@/app/actions/analyze-hoa'
-import { notFound } from 'next/navigation'
+import { enqueueJob, JOB_TYPES } from '@/lib/queue/jobs'
+import { createRetryToken } from '@/lib/http/retry-token'
+import { getStateProfile } from '@/lib/states'
+import { getCountyFromZip } from '@/lib/geo/counties'
+import { notFound, redirect } from 'next/navigation'
 import ScoreDisplay from '@/components/hoa-report/ScoreDisplay'
 import FlagCard, { FlagBadge } from '@/components/hoa-report/FlagCard'
 import NeighborhoodContext from '@/components/hoa-report/NeighborhoodContext'
@@ -21,7 +25,10 @@ import { formatCurrency, formatDate } from '@/lib/utils'
 import VerdictBar from './VerdictBar'
 import AnalysisPending from './AnalysisPending'
 import EnrichmentStatus from '@/components/hoa-report/EnrichmentStatus'
+import FieldProvenance from '@/components/hoa-report/FieldProvenance'
+import BoundaryMap from '@/components/hoa-report/BoundaryMap'
 import ReportActions from './ReportActions'
+import AnalysisChanges from './AnalysisChanges'
 
 export async function generateMetadata({ params }) {
   const { id } = await params
@@ -44,21 +51,35 @@ export default async function HOAReportPage({ params, searchParams }) {
   const resolvedSearchParams = await searchParams
   const result = await getHOAById(id)
 
+  if (result.mergedInto) {
+    redirect(`/reports/${result.mergedInto}`)
+  }
+
   if (!result.success || !result.data) {
     notFound()
   }
 
   const hoa = result.data
+  const { registry } = getStateProfile(hoa.state)
+  // Rows created before the county column was backfilled fall back to the ZIP
+  const county = hoa.county || getCountyFromZip(hoa.zip_code)?.name || null
   const isAnalysisComplete = hoa.overall_score !== null
 
-  // Trigger analysis if not already complete (runs in background)
+  // Make sure an analysis job exists if not already complete
+  // (enqueue is a no-op when one is already pending or processing). The
+  // scheduled worker runs it: after() work spawned from a server component
+  // can't read cookies, which the analysis path does.
   if (!isAnalysisComplete) {
-    // Fire and forget - don't await, let it run in background
-    analyzeHOA(id).catch(err => {
-      console.error('Background analysis error:', err)
-    })
+    await enqueueJob(JOB_TYPES.ANALYZE_HOA, { hoaId: id })
   }
 
+  // Factor-by-factor explanation from the scoring engine (absent on older analyses)
+  const scoreBreakdown = hoa.ai_analysis?.scoreBreakdown || null
+  const budget = hoa.ai_analysis?.analysisMeta?.budget || null
+
+  const history = isAnalysisComplete ? await getAnalysisHistory(id) : null
+  const analysisRuns = history?.success ? history.runs : []
+
   // Check if user provided their property address via URL params
   const userLat = resolvedSearchParams?.lat ? parseFloat(resolvedSearchParams.lat) : null
   const userLng = resolvedSearchParams?.lng ? parseFloat(resolvedSearchParams.lng) : null
@@ -128,6 +149,7 @@ export default async function HOAReportPage({ params, searchParams }) {
                   <MapPin className="h-4 w-4 text-cyan-400" />
                   <span className="font-mono text-sm">
                     {hoa.city}, {hoa.state} {hoa.zip_code}
+                    {county && <span className="text-slate-500"> • {county}</span>}
                   </span>
                 </div>
 
@@ -141,12 +163,12 @@ export default async function HOAReportPage({ params, searchParams }) {
                   </div>
                 )}
 
-                {/* SunBiz Verified Badge */}
+                {/* Registry Verified Badge */}
                 {hoa.public_records?.data?.sunbiz?.documentNumber && (
                   <div className="flex items-center gap-2 px-3 py-1 rounded bg-green-500/10 border border-green-500/30">
                     <CheckCircle2 className="h-4 w-4 text-green-400" />
                     <span className="font-mono text-[10px] text-green-300 font-semibold uppercase tracking-wider">
-                      SunBiz Verified
+                      {registry.shortName} Verified
                     </span>
                   </div>
                 )}
@@ -207,7 +229,7 @@ export default async function HOAReportPage({ params, searchParams }) {
           /* ═══════════════════════════════════════════════════════════════════
              LOADING STATE - Auto-refreshes when analysis completes
           ═══════════════════════════════════════════════════════════════════ */
-          <AnalysisPending hoaId={id} />
+          <AnalysisPending hoaId={id} retryToken={createRetryToken(id)} />
         ) : (
           <>
             {/* ═══════════════════════════════════════════════════════════════
@@ -219,6 +241,22 @@ export default async function HOAReportPage({ params, searchParams }) {
               greenFlags={hoa.green_flags || []}
             />
 
+            {/* Searches dropped because the run hit ANALYSIS_BUDGET_USD */}
+            {budget?.exceeded && (
+              <div className="mt-6 p-4 bg-amber-500/10 border border-amber-500/30 rounded flex items-start gap-3">
+                <AlertTriangle className="h-4 w-4 text-amber-400 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="text-[10px] font-mono uppercase tracking-widest text-amber-400 mb-1">
+                    Research Budget Reached
+                  </p>
+                  <p className="text-sm text-slate-300">
+                    This analysis hit its ${budget.budgetUsd} research budget, so some searches were skipped
+                    and the related sections use estimates: {budget.skipped.join(', ')}.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* ═══════════════════════════════════════════════════════════════
                 MAIN CONTENT GRID - Two-column asymmetric layout
             ═══════════════════════════════════════════════════════════════ */}
@@ -302,16 +340,19 @@ export default async function HOAReportPage({ params, searchParams }) {
                       label="Financial Health"
                       score={hoa.financial_health_score}
                       icon={<DollarSign className="h-4 w-4" />}
+                      breakdown={scoreBreakdown?.financialHealth}
                     />
                     <ScoreBar
                       label="Management Quality"
                       score={hoa.management_quality_score}
                       icon={<TrendingUp className="h-4 w-4" />}
+                      breakdown={scoreBreakdown?.managementQuality}
                     />
                     <ScoreBar
                       label="Community Sentiment"
                       score={hoa.community_sentiment_score}
                       icon={<Users className="h-4 w-4" />}
+                      breakdown={scoreBreakdown?.communitySentiment}
                     />
                     <ScoreBar
                       label="Rule Restrictiveness"
@@ -319,10 +360,22 @@ export default async function HOAReportPage({ params, searchParams }) {
                       icon={<FileText className="h-4 w-4" />}
                       inverted
                       invertedLabel="Lower = Less Restrictive"
+                      breakdown={scoreBreakdown?.restrictiveness}
+                    />
+                    <ScoreBar
+                      label="Legal History"
+                      score={hoa.ai_analysis?.scores?.legalHistory}
+                      icon={<Shield className="h-4 w-4" />}
+                      breakdown={scoreBreakdown?.legalHistory}
                     />
                   </div>
                 </section>
 
+                {/* What Changed Since Last Analysis */}
+                {analysisRuns.length > 1 && (
+                  <AnalysisChanges runs={analysisRuns} />
+                )}
+
                 {/* Action Items Section */}
                 {(hoa.questions_to_ask?.length > 0 || hoa.documents_to_request?.length > 0) && (
                   <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
@@ -408,8 +461,8 @@ export default async function HOAReportPage({ params, searchParams }) {
                     {hoa.data_completeness && (
                       <StatBox label="Data Quality" value={`${hoa.data_completeness}%`} />
                     )}
-                    {hoa.public_records?.data?.county && (
-                      <StatBox label="County" value={hoa.public_records.data.county} />
+                    {county && (
+                      <StatBox label="County" value={county} />
                     )}
                   </div>
 
@@ -448,11 +501,24 @@ export default async function HOAReportPage({ params, searchParams }) {
                   )}
                 </section>
 
+                {/* Recorded subdivision boundary */}
+                <BoundaryMap
+                  boundary={hoa.boundary}
+                  source={hoa.boundary_source}
+                  updatedAt={hoa.boundary_updated_at}
+                  hoaPoint={hoa.coordinates}
+                  userPoint={hasUserAddress ? { lat: userLat, lng: userLng } : null}
+                />
+
+                {/* Where fee, management and contact values came from */}
+                <FieldProvenance provenance={hoa.field_provenance} />
+
                 {/* Public Records Enrichment (Perplexity) */}
                 <EnrichmentStatus
                   hoaId={id}
                   initialPublicRecords={hoa.public_records}
                   hoaName={hoa.hoa_name}
+                  state={hoa.state}
                 />
 
                 {/* Neighborhood Context (Yelp) */}
@@ -492,7 +558,7 @@ export default async function HOAReportPage({ params, searchParams }) {
                       Always verify information directly with the HOA and review official documents before making purchasing decisions.
                     </p>
                     <p className="text-[10px] font-mono text-slate-500 mt-2">
-                      Report generated {formatDate(hoa.last_updated, 'full')} • Sources: Florida SunBiz, Public Records, Yelp{hoa.public_records?.enriched ? ', Perplexity AI' : ''}
+                      Report generated {formatDate(hoa.last_updated, 'full')} • Sources: {registry.name}, Public Records, Yelp{hoa.public_records?.enriched ? ', Perplexity AI' : ''}
                     </p>
                   </div>
                 </div>
@@ -540,9 +606,11 @@ function StatBox({ label, value }) {
   )
 }
 
-function ScoreBar({ label, score, icon, inverted = false, invertedLabel = '' }) {
+function ScoreBar({ label, score, icon, inverted = false, invertedLabel = '', breakdown = null }) {
   if (score === null || score === undefined) return null
 
+  score = Number(score)
+
   const getColor = (s) => {
     if (inverted) s = 10 - s
     if (s >= 8) return { text: 'text-cyan-400', bg: 'bg-cyan-500' }
@@ -576,6 +644,34 @@ function ScoreBar({ label, score, icon, inverted = false, invertedLabel = '' })
           style={{ width: `${score * 10}%` }}
         />
       </div>
+      {breakdown?.factors?.length > 0 && (
+        <details className="mt-2 group">
+          <summary className="text-[10px] font-mono uppercase tracking-wider text-slate-500 cursor-pointer hover:text-slate-300 list-none">
+            <span className="group-open:hidden">+ Why this score</span>
+            <span className="hidden group-open:inline">− Why this score</span>
+          </summary>
+          <ul className="mt-2 space-y-1 pl-3 border-l border-dossier-border">
+            <li className="flex justify-between text-[11px] font-mono text-slate-500">
+              <span>Baseline{breakdown.basis === 'estimated' ? ' (limited verified data)' : ''}</span>
+              <span className="tabular-nums">{breakdown.base.toFixed(1)}</span>
+            </li>
+            {breakdown.factors.map((factor, idx) => (
+              <li key={idx} className="flex justify-between gap-3 text-[11px] font-mono">
+                <span className="text-slate-400">
+                  {factor.label}
+                  {factor.detail && <span className="text-slate-600"> · {factor.detail}</span>}
+                </span>
+                <span className={`tabular-nums ${
+                  factor.impact === 0 ? 'text-slate-600' :
+                  (factor.impact > 0) !== inverted ? 'text-green-400' : 'text-red-400'
+                }`}>
+                  {factor.impact > 0 ? '+' : ''}{factor.impact === 0 ? '—' : factor.impact.toFixed(1)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
     </div>
   )
 }
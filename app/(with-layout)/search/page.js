@@ -122,7 +122,7 @@ export default async function SearchPage() {
         {/* Info Section */}
         <div className="mt-8 text-center text-sm text-gray-600">
           <p>
-            <strong>Note:</strong> HOA data is sourced from Florida SunBiz corporate records.
+            <strong>Note:</strong> HOA data is sourced from state corporate registries (SunBiz in Florida).
             Reports are generated using AI analysis. For the most accurate information,
             always verify with the HOA directly.
           </p>
@@ -0,0 +1,475 @@
+/**
+ * Server Actions: Admin console
+ * Queue controls, API usage rollups and HOA maintenance for operators.
+ * Every action checks requireRole('admin') before touching the service client.
+ */
+
+'use server'
+
+import { revalidatePath } from 'next/cache'
+import { createServiceClient, requireRole } from '@/lib/supabase/server'
+import { enqueueJob, JOB_TYPES } from '@/lib/queue/jobs'
+import { drainQueueAfterResponse } from '@/lib/queue/worker'
+import { getRequestMetadata } from '@/lib/http/request-meta'
+import { recordAnalysisTrigger } from '@/lib/analysis/triggers'
+import { enrichHOAData } from '@/app/actions/enrich-hoa'
+import { normalizeBoundary } from '@/lib/geo/boundaries'
+import { findDuplicateSuggestions, scoreDuplicatePair } from '@/lib/matching/dedupe'
+
+const QUEUE_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled']
+
+// Reports below this completeness are listed for follow-up
+const LOW_COMPLETENESS_THRESHOLD = 50
+
+/**
+ * Jobs in processing_queue, newest first, with their HOA name
+ *
+ * @param {Object} filters - { status: one of QUEUE_STATUSES or 'all', limit }
+ */
+export async function getQueueJobs({ status = 'all', limit = 100 } = {}) {
+  try {
+    await requireRole('admin')
+    const supabase = createServiceClient()
+
+    let query = supabase
+      .from('processing_queue')
+      .select('id, job_type, status, priority, payload, error, retry_count, max_retries, run_after, created_at, started_at, completed_at, locked_by')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (QUEUE_STATUSES.includes(status)) {
+      query = query.eq('status', status)
+    }
+
+    const { data: jobs, error } = await query
+
+    if (error) {
+      console.error('❌ [ADMIN] Failed to load queue:', error)
+      return { success: false, error: error.message }
+    }
+
+    // Attach HOA names for display
+    const hoaIds = [...new Set(jobs.map(job => job.payload?.hoaId).filter(Boolean))]
+    const { data: hoas } = hoaIds.length > 0
+      ? await supabase.from('hoa_profiles').select('id, hoa_name').in('id', hoaIds)
+      : { data: [] }
+    const names = Object.fromEntries((hoas || []).map(hoa => [hoa.id, hoa.hoa_name]))
+
+    const counts = await Promise.all(QUEUE_STATUSES.map(async (queueStatus) => {
+      const { count } = await supabase
+        .from('processing_queue')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', queueStatus)
+      return [queueStatus, count || 0]
+    }))
+
+    return {
+      success: true,
+      jobs: jobs.map(job => ({ ...job, hoaName: names[job.payload?.hoaId] || null })),
+      counts: Object.fromEntries(counts)
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Run a failed or cancelled job again, or a pending job now instead of
+ * after its backoff
+ */
+export async function retryJob(jobId) {
+  try {
+    await requireRole('admin')
+    const supabase = createServiceClient()
+
+    const { data: job, error: fetchError } = await supabase
+      .from('processing_queue')
+      .select('id, status')
+      .eq('id', jobId)
+      .single()
+
+    if (fetchError || !job) {
+      return { success: false, error: 'Job not found' }
+    }
+
+    if (job.status === 'processing' || job.status === 'completed') {
+      return { success: false, error: `Cannot retry a ${job.status} job` }
+    }
+
+    const update = { status: 'pending', run_after: new Date().toISOString() }
+    if (job.status !== 'pending') {
+      Object.assign(update, { retry_count: 0, error: null, completed_at: null })
+    }
+
+    const { error } = await supabase
+      .from('processing_queue')
+      .update(update)
+      .eq('id', jobId)
+      .eq('status', job.status)
+
+    if (error) {
+      // 23505 = another open job already exists for this HOA and type
+      return {
+        success: false,
+        error: error.code === '23505' ? 'Another job for this HOA is already queued' : error.message
+      }
+    }
+
+    console.log(`🔁 [ADMIN] Job ${jobId} requeued`)
+    drainQueueAfterResponse()
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Cancel a pending job. Running jobs can't be interrupted.
+ */
+export async function cancelJob(jobId) {
+  try {
+    await requireRole('admin')
+    const supabase = createServiceClient()
+
+    const { data, error } = await supabase
+      .from('processing_queue')
+      .update({
+        status: 'cancelled',
+        error: 'Cancelled by admin',
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .eq('status', 'pending')
+      .select('id')
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    if (!data?.length) {
+      return { success: false, error: 'Only pending jobs can be cancelled' }
+    }
+
+    console.log(`🛑 [ADMIN] Job ${jobId} cancelled`)
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Change a job's priority (higher runs first)
+ */
+export async function setJobPriority(jobId, priority) {
+  try {
+    await requireRole('admin')
+    const supabase = createServiceClient()
+
+    const value = parseInt(priority, 10)
+    if (!Number.isFinite(value)) {
+      return { success: false, error: 'Priority must be a number' }
+    }
+
+    const { error } = await supabase
+      .from('processing_queue')
+      .update({ priority: value })
+      .eq('id', jobId)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * API usage per day, provider and status code for the last `days` days,
+ * plus search cache hit rates over the same window
+ */
+export async function getApiUsageStats({ days = 14 } = {}) {
+  try {
+    await requireRole('admin')
+    const supabase = createServiceClient()
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+    const { data, error } = await supabase
+      .from('api_usage_daily')
+      .select('day, api_name, status_code, calls, tokens, cost_usd, avg_response_ms')
+      .gte('day', since)
+      .order('day', { ascending: true })
+
+    if (error) {
+      console.error('❌ [ADMIN] Failed to load API usage:', error)
+      return { success: false, error: error.message }
+    }
+
+    const { data: cacheStats } = await supabase
+      .from('cache_stats')
+      .select('namespace, hits, misses, bypasses')
+      .gte('day', since)
+
+    return {
+      success: true,
+      since,
+      cache: summarizeCacheStats(cacheStats || []),
+      rows: (data || []).map(row => ({
+        ...row,
+        calls: Number(row.calls),
+        tokens: Number(row.tokens),
+        cost_usd: Number(row.cost_usd)
+      }))
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Total cache lookups per namespace with the hit rate
+ */
+function summarizeCacheStats(rows) {
+  const totals = {}
+
+  for (const row of rows) {
+    const total = totals[row.namespace] ||= { namespace: row.namespace, hits: 0, misses: 0, bypasses: 0 }
+    total.hits += Number(row.hits)
+    total.misses += Number(row.misses)
+    total.bypasses += Number(row.bypasses)
+  }
+
+  return Object.values(totals)
+    .map(total => {
+      const lookups = total.hits + total.misses + total.bypasses
+      return { ...total, hitRate: lookups ? total.hits / lookups : 0 }
+    })
+    .sort((a, b) => a.namespace.localeCompare(b.namespace))
+}
+
+/**
+ * HOAs whose reports need attention: low data completeness or a fallback
+ * (rule-based) analysis
+ */
+export async function getHOAsNeedingAttention({ threshold = LOW_COMPLETENESS_THRESHOLD, limit = 100 } = {}) {
+  try {
+    await requireRole('admin')
+    const supabase = createServiceClient()
+
+    const { data, error } = await supabase
+      .from('hoa_profiles')
+      .select('id, hoa_name, city, state, zip_code, data_completeness, overall_score, last_updated, is_fallback:ai_analysis->>isFallback, fallback_reason:ai_analysis->>fallbackReason')
+      .or(`data_completeness.lt.${threshold},ai_analysis->>isFallback.eq.true`)
+      .order('data_completeness', { ascending: true, nullsFirst: true })
+      .limit(limit)
+
+    if (error) {
+      console.error('❌ [ADMIN] Failed to load HOAs:', error)
+      return { success: false, error: error.message }
+    }
+
+    return {
+      success: true,
+      threshold,
+      hoas: (data || []).map(hoa => ({ ...hoa, is_fallback: hoa.is_fallback === 'true' }))
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Queue a fresh analysis for an HOA ahead of normal traffic
+ */
+export async function forceReanalysis(hoaId) {
+  try {
+    const admin = await requireRole('admin')
+
+    const result = await enqueueJob(
+      JOB_TYPES.REFRESH_DATA,
+      { hoaId, requestedBy: admin.id },
+      { priority: 10 }
+    )
+
+    await recordAnalysisTrigger({
+      hoaId,
+      userId: admin.id,
+      via: 'admin',
+      forced: true,
+      outcome: !result.success ? 'failed' : result.deduplicated ? 'deduplicated' : 'queued',
+      jobId: result.job?.id,
+      meta: await getRequestMetadata()
+    })
+
+    if (!result.success) {
+      return { success: false, error: result.error }
+    }
+
+    console.log(`🔄 [ADMIN] ${admin.email} queued re-analysis for ${hoaId}`)
+    drainQueueAfterResponse()
+    revalidatePath('/admin')
+    return { success: true, jobId: result.job?.id, deduplicated: result.deduplicated }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Re-run Perplexity enrichment for an HOA, ignoring the 30-day cache
+ */
+export async function forceReenrichment(hoaId) {
+  try {
+    const admin = await requireRole('admin')
+    console.log(`🔄 [ADMIN] ${admin.email} forced re-enrichment for ${hoaId}`)
+
+    const result = await enrichHOAData(hoaId, true)
+    revalidatePath('/admin/hoas')
+    return result.success
+      ? { success: true, found: result.found }
+      : { success: false, error: result.error }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Record an HOA's boundary from plat or parcel GeoJSON, or clear it with null.
+ * Addresses inside the boundary resolve to this HOA from the next search on.
+ *
+ * @param {string} hoaId
+ * @param {Object|null} geojson - Polygon, MultiPolygon, Feature or FeatureCollection
+ * @param {string} source - where the outline came from, e.g. the plat file name
+ */
+export async function importHOABoundary(hoaId, geojson, source = null) {
+  try {
+    const admin = await requireRole('admin')
+    const supabase = createServiceClient()
+
+    let boundary = null
+    if (geojson) {
+      const normalized = normalizeBoundary(geojson)
+      if (normalized.error) {
+        return { success: false, error: normalized.error }
+      }
+      boundary = normalized.boundary
+    }
+
+    const { error } = await supabase
+      .from('hoa_profiles')
+      .update({
+        boundary,
+        boundary_source: boundary ? String(source || 'import').slice(0, 200) : null,
+        boundary_updated_at: new Date().toISOString()
+      })
+      .eq('id', hoaId)
+
+    if (error) {
+      console.error('❌ [ADMIN] Failed to save boundary:', error)
+      return { success: false, error: error.message }
+    }
+
+    console.log(`🗺️ [ADMIN] ${admin.email} ${boundary ? 'imported' : 'cleared'} the boundary for ${hoaId}`)
+    revalidatePath('/admin/hoas')
+    revalidatePath(`/reports/${hoaId}`)
+    return { success: true, polygons: boundary?.coordinates.length || 0 }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * HOA pairs that look like the same association, best first
+ */
+export async function getDuplicateSuggestions({ limit = 50 } = {}) {
+  try {
+    await requireRole('admin')
+
+    const { suggestions, error } = await findDuplicateSuggestions({ limit })
+    if (error) {
+      return { success: false, error }
+    }
+
+    return { success: true, suggestions }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Merge a duplicate HOA into the one being kept. Searches, saved reports,
+ * neighborhood data and address choices move to the survivor, the
+ * duplicate's names become its aliases, and the duplicate is deleted.
+ */
+export async function mergeHOAs(survivorId, duplicateId) {
+  try {
+    const admin = await requireRole('admin')
+    const supabase = createServiceClient()
+
+    const { data: hoas, error: loadError } = await supabase
+      .from('hoa_profiles')
+      .select('id, hoa_name, aliases, coordinates, management_company, sunbiz_document_number')
+      .in('id', [survivorId, duplicateId])
+
+    if (loadError) {
+      return { success: false, error: loadError.message }
+    }
+
+    const survivor = hoas?.find(hoa => hoa.id === survivorId)
+    const duplicate = hoas?.find(hoa => hoa.id === duplicateId)
+    if (!survivor || !duplicate || survivorId === duplicateId) {
+      return { success: false, error: 'Both HOAs must exist and be different' }
+    }
+
+    const { score } = scoreDuplicatePair(survivor, duplicate)
+
+    const { data: merged, error } = await supabase
+      .rpc('merge_hoa_profiles', {
+        p_survivor: survivorId,
+        p_duplicate: duplicateId,
+        p_merged_by: admin.id,
+        p_score: score
+      })
+      .single()
+
+    if (error) {
+      console.error('❌ [ADMIN] Merge failed:', error)
+      return { success: false, error: error.message }
+    }
+
+    console.log(`🔗 [ADMIN] ${admin.email} merged "${duplicate.hoa_name}" (${duplicateId}) into "${merged.hoa_name}" (${survivorId})`)
+    revalidatePath('/admin/duplicates')
+    revalidatePath(`/reports/${survivorId}`)
+    return { success: true, survivorId, hoaName: merged.hoa_name, aliases: merged.aliases }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Mark two HOAs as distinct so the pair stops being suggested
+ */
+export async function dismissDuplicate(hoaId, otherId) {
+  try {
+    const admin = await requireRole('admin')
+    const supabase = createServiceClient()
+
+    // Pairs are stored in id order
+    const [first, second] = [hoaId, otherId].sort()
+
+    const { error } = await supabase
+      .from('hoa_duplicate_dismissals')
+      .upsert({ hoa_id: first, other_id: second, dismissed_by: admin.id }, { onConflict: 'hoa_id,other_id' })
+
+    if (error) {
+      console.error('❌ [ADMIN] Failed to dismiss duplicate:', error)
+      return { success: false, error: error.message }
+    }
+
+    revalidatePath('/admin/duplicates')
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
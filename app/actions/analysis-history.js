@@ -0,0 +1,50 @@
+/**
+ * Server Action: Analysis history
+ * Returns past analysis runs for an HOA for the "what changed" view
+ */
+
+'use server'
+
+import { createServiceClient } from '@/lib/supabase/server'
+
+/**
+ * Get completed analysis runs for an HOA, newest first
+ */
+export async function getAnalysisHistory(hoaId, limit = 20) {
+  try {
+    const supabase = createServiceClient()
+
+    const { data, error } = await supabase
+      .from('hoa_analysis_runs')
+      .select('id, completed_at, overall_score, scores, red_flags, yellow_flags, green_flags, monthly_fee, data_completeness, model_id, prompt_version, is_fallback')
+      .eq('hoa_id', hoaId)
+      .eq('status', 'completed')
+      .order('completed_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      console.error('Error fetching analysis history:', error)
+      return { success: false, error: error.message }
+    }
+
+    const runs = (data || []).map(run => ({
+      id: run.id,
+      completedAt: run.completed_at,
+      overallScore: run.overall_score,
+      scores: run.scores || {},
+      redFlags: run.red_flags || [],
+      yellowFlags: run.yellow_flags || [],
+      greenFlags: run.green_flags || [],
+      monthlyFee: run.monthly_fee,
+      dataCompleteness: run.data_completeness,
+      modelId: run.model_id,
+      promptVersion: run.prompt_version,
+      isFallback: run.is_fallback
+    }))
+
+    return { success: true, runs }
+  } catch (error) {
+    console.error('Get analysis history error:', error)
+    return { success: false, error: error.message }
+  }
+}
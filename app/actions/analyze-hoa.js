@@ -1,7 +1,7 @@
 /**
  * Server Action: Analyze HOA data using AI and external APIs
  * This runs the complete analysis pipeline for a new HOA
- * Optimized for Florida HOAs with comprehensive Perplexity searches
+ * Comprehensive Perplexity searches, tailored by the HOA's state profile
  */
 
 'use server'
@@ -9,22 +9,100 @@
 import { createServiceClient } from '@/lib/supabase/server'
 import { getNeighborhoodContext, cacheYelpData } from '@/lib/apis/yelp'
 import { analyzeHOAData, generateNeighborhoodVibe as generateVibeWithAI } from '@/lib/apis/claude'
-import { geocodeAddress } from '@/lib/apis/geocoding'
+import { geocodeAddress, isCentroid } from '@/lib/apis/geocoding'
 import {
   searchHOAInfo,
   searchManagementCompaniesByZip,
-  searchFloridaSunBiz,
+  searchStateRegistry,
   searchHOAFinancials,
   searchHOARules,
   searchHOAReviews
 } from '@/lib/apis/perplexity'
+import { enqueueJob, JOB_TYPES } from '@/lib/queue/jobs'
+import { createProgressTracker } from '@/lib/analysis/progress'
+import { acquireAnalysisLease } from '@/lib/analysis/lease'
+import { startAnalysisRun, completeAnalysisRun, failAnalysisRun } from '@/lib/analysis/history'
+import { withCassette } from '@/lib/http/cassette'
+import { withSearchCacheBypass } from '@/lib/apis/search-cache'
+import { normalizeSources } from '@/lib/analysis/citations'
+import { createProvenanceRecorder } from '@/lib/analysis/provenance'
+import { withUsageLedger, isOverBudget, recordBudgetSkip, getLedgerSummary } from '@/lib/analysis/budget'
+import { getStateProfile } from '@/lib/states'
+import { getCountyFromZip } from '@/lib/geo/counties'
+
+// Runs started by this process, keyed by HOA id, so concurrent callers
+// in the same process can await the same promise
+const inFlightAnalyses = new Map()
+
+// Progress detail for steps dropped by ANALYSIS_BUDGET_USD
+const BUDGET_SKIP_DETAIL = 'Skipped: analysis budget reached'
 
 /**
  * Main function to analyze an HOA
- * This is called from the processing queue or can be triggered manually
+ * This is called from the processing queue or can be triggered manually.
+ * Only one run per HOA can be active: callers that find a run in flight
+ * attach to it instead of starting another pipeline.
+ *
+ * @param {string} hoaId - HOA profile ID
+ * @param {Object} options - { refresh }: re-run every search instead of
+ *   reusing cached results
  */
-export async function analyzeHOA(hoaId) {
-  console.log('🔍 Starting Florida HOA analysis for:', hoaId)
+export async function analyzeHOA(hoaId, { refresh = false } = {}) {
+  const inFlight = inFlightAnalyses.get(hoaId)
+  if (inFlight) {
+    console.log('🔗 Analysis already running in this process, attaching:', hoaId)
+    return inFlight
+  }
+
+  const run = (async () => {
+    let lease
+
+    try {
+      lease = await acquireAnalysisLease(hoaId)
+    } catch (error) {
+      console.error('❌ Could not acquire analysis lease:', error)
+      return { success: false, error: error.message }
+    }
+
+    if (!lease.acquired) {
+      // Another process holds the lease - report its run instead of duplicating it
+      return {
+        success: true,
+        attached: true,
+        hoaId,
+        runId: lease.runId,
+        leaseExpiresAt: lease.expiresAt
+      }
+    }
+
+    try {
+      // Recorded per HOA so a report's exact API inputs can be replayed offline;
+      // API spend is attributed to the run and checked against its budget
+      const pipeline = () => withCassette(`hoa-${hoaId}`, () =>
+        withUsageLedger(lease.runId, hoaId, () => runAnalysis(hoaId, lease))
+      )
+      return await (refresh ? withSearchCacheBypass(pipeline) : pipeline())
+    } finally {
+      await lease.release()
+    }
+  })()
+
+  inFlightAnalyses.set(hoaId, run)
+
+  try {
+    return await run
+  } finally {
+    inFlightAnalyses.delete(hoaId)
+  }
+}
+
+/**
+ * Run the full analysis pipeline while holding the HOA's lease
+ */
+async function runAnalysis(hoaId, lease) {
+  console.log('🔍 Starting HOA analysis for:', hoaId, `(run ${lease.runId})`)
+
+  let progress = null
 
   try {
     const supabase = createServiceClient()
@@ -43,10 +121,36 @@ export async function analyzeHOA(hoaId) {
     }
     console.log('✅ HOA profile loaded:', hoa.hoa_name)
 
+    // Statutes, registry and prompts for the HOA's state; the gather steps
+    // use the normalized code from here on
+    const stateProfile = getStateProfile(hoa.state)
+    hoa.state = stateProfile.code
+    if (!stateProfile.supported) {
+      console.warn(`⚠️ No state profile for ${stateProfile.code}, using generic prompts`)
+    }
+
+    // Profiles the county backfill didn't reach get theirs on the next run
+    if (!hoa.county) {
+      const county = getCountyFromZip(hoa.zip_code)
+      hoa.county = county?.name || null
+      hoa.county_fips = county?.fips || null
+    }
+
+    progress = createProgressTracker(hoaId, lease.runId)
+    await Promise.all([
+      progress.reset(),
+      startAnalysisRun(hoaId, lease.runId)
+    ])
+
+    // Candidate values for fee, management company, units and contact info,
+    // kept across runs so each source's latest observation is compared
+    const provenance = createProvenanceRecorder(hoa.field_provenance)
+    provenance.recordSeed(hoa)
+
     const analysisData = {
       hoaName: hoa.hoa_name,
       city: hoa.city,
-      state: hoa.state || 'FL',
+      state: hoa.state,
       zipCode: hoa.zip_code,
       monthlyFee: hoa.monthly_fee,
       totalUnits: hoa.total_units,
@@ -56,9 +160,9 @@ export async function analyzeHOA(hoaId) {
     // Step 2: Gather data from multiple Perplexity searches (comprehensive)
     console.log('📊 Step 2: Gathering HOA data from multiple sources...')
 
-    // 2a: Public records + SunBiz (primary data source)
-    console.log('  → Gathering public records & SunBiz data...')
-    let publicRecords = await gatherPublicRecords(hoa)
+    // 2a: Public records + state corporate registry (primary data source)
+    console.log(`  → Gathering public records & ${stateProfile.registry.name} data...`)
+    let publicRecords = await gatherPublicRecords(hoa, progress, provenance)
 
     // IMPORTANT: If no contact info found in primary search, do a secondary search
     // This helps ensure Claude has contact info when generating flags
@@ -66,25 +170,27 @@ export async function analyzeHOA(hoaId) {
         !publicRecords.data?.contactInfo?.website &&
         !publicRecords.data?.contactInfo?.email) {
       console.log('  → Primary search found no contact info, attempting secondary search...')
-      const secondaryResult = await searchHOAInfo(
+      const secondaryResult = await runOptionalSearch('Secondary contact search', () => searchHOAInfo(
         hoa.hoa_name,
         hoa.city,
-        hoa.state || 'FL',
+        hoa.state,
         hoa.zip_code,
         hoa.address
-      )
+      ))
 
-      // Merge any found contact info
+      // Record any found contact info; it's merged by the resolution below
       if (secondaryResult.contactInfo?.phone || secondaryResult.contactInfo?.website || secondaryResult.contactInfo?.email) {
         console.log('  ✓ Secondary search found contact info')
-        publicRecords.data.contactInfo = {
-          ...publicRecords.data.contactInfo,
-          phone: secondaryResult.contactInfo?.phone || publicRecords.data.contactInfo?.phone,
-          email: secondaryResult.contactInfo?.email || publicRecords.data.contactInfo?.email,
-          website: secondaryResult.contactInfo?.website || publicRecords.data.contactInfo?.website,
-          address: secondaryResult.contactInfo?.address || publicRecords.data.contactInfo?.address,
-          verified: secondaryResult.foundInfo
-        }
+        provenance.recordSearch(secondaryResult, {
+          source: 'hoa_search',
+          observedAt: secondaryResult.retrievedAt,
+          confidence: secondaryResult.foundInfo ? 'medium' : 'low'
+        })
+        publicRecords.data.contactInfo.verified = secondaryResult.foundInfo
+        publicRecords.sources = [
+          ...publicRecords.sources,
+          ...normalizeSources(secondaryResult.sources, 'hoa_info', secondaryResult.retrievedAt)
+        ]
         // Update confidence if we found more data
         if (publicRecords.confidence === 'low' && secondaryResult.foundInfo) {
           publicRecords.confidence = 'medium'
@@ -93,6 +199,7 @@ export async function analyzeHOA(hoaId) {
       }
     }
 
+    applyResolvedFields(publicRecords, provenance.resolve())
     analysisData.publicRecords = publicRecords
     console.log('  ✓ Public records gathered')
 
@@ -101,22 +208,36 @@ export async function analyzeHOA(hoaId) {
 
     // 2b: Community feedback with real reviews
     console.log('  → Gathering community feedback...')
-    const communityFeedback = await gatherCommunityFeedback(hoa, managementCompany)
+    const communityFeedback = await gatherCommunityFeedback(hoa, managementCompany, progress)
     analysisData.communityFeedback = communityFeedback
     console.log('  ✓ Community feedback gathered')
 
     // 2c: Financial data search
     console.log('  → Gathering financial data...')
-    const financialData = await gatherFinancialData(hoa, managementCompany, publicRecords)
+    const financialData = await gatherFinancialData(hoa, managementCompany, publicRecords, progress, provenance)
     analysisData.financialData = financialData
     console.log('  ✓ Financial data gathered')
 
     // 2d: Rules and restrictions search
     console.log('  → Gathering rules data...')
-    const rulesData = await gatherRulesData(hoa, publicRecords.data?.subdivisionName)
+    const rulesData = await gatherRulesData(hoa, publicRecords.data?.subdivisionName, progress)
     analysisData.rulesData = rulesData
     console.log('  ✓ Rules data gathered')
 
+    // 2e: Settle fee, management company and unit count across all sources
+    const resolvedFields = provenance.resolve()
+    if (resolvedFields.monthlyFee) {
+      financialData.data.monthlyFee = resolvedFields.monthlyFee.value
+    }
+    analysisData.monthlyFee = resolvedFields.monthlyFee?.value ?? hoa.monthly_fee
+    analysisData.managementCompany = resolvedFields.managementCompany?.value ?? hoa.management_company
+    analysisData.totalUnits = resolvedFields.totalUnits?.value ?? hoa.total_units
+
+    const conflicts = Object.keys(resolvedFields).filter(field => resolvedFields[field].conflict)
+    if (conflicts.length > 0) {
+      console.log('  ⚖️ Sources disagree on:', conflicts.join(', '))
+    }
+
     // Step 3: Get Yelp neighborhood context
     console.log('🌆 Step 3: Fetching Yelp neighborhood data...')
     let yelpData = null
@@ -124,11 +245,14 @@ export async function analyzeHOA(hoaId) {
 
     try {
       // If no coordinates, try to geocode the HOA location
-      if (!hoaCoordinates) {
+      if (hoaCoordinates) {
+        await progress.skip('geocode', 'Coordinates already on file')
+      } else {
         console.log('  → No coordinates stored, attempting to geocode...')
+        await progress.start('geocode')
         const addressToGeocode = hoa.address
-          ? `${hoa.address}, ${hoa.city}, ${hoa.state || 'FL'} ${hoa.zip_code}`
-          : `${hoa.city}, ${hoa.state || 'FL'} ${hoa.zip_code}`
+          ? `${hoa.address}, ${hoa.city}, ${hoa.state} ${hoa.zip_code}`
+          : `${hoa.city}, ${hoa.state} ${hoa.zip_code}`
 
         try {
           const geocodeResult = await geocodeAddress(addressToGeocode)
@@ -136,25 +260,40 @@ export async function analyzeHOA(hoaId) {
             hoaCoordinates = { lat: geocodeResult.lat, lng: geocodeResult.lng }
             console.log(`  ✓ Geocoded to: ${hoaCoordinates.lat}, ${hoaCoordinates.lng}`)
 
-            // Save coordinates to HOA profile for future use
-            await supabase
-              .from('hoa_profiles')
-              .update({ coordinates: hoaCoordinates })
-              .eq('id', hoaId)
-            console.log('  ✓ Coordinates saved to database')
+            if (isCentroid(geocodeResult)) {
+              // A ZIP/city centroid is fine for neighborhood context, but
+              // saving it would make it look like the HOA's location
+              console.log(`  ⚠ Only a ${geocodeResult.precision.replace('_', ' ')} - not saving coordinates`)
+              await progress.complete('geocode', 'Approximate location (ZIP or city)')
+            } else {
+              // Save coordinates to HOA profile for future use
+              await supabase
+                .from('hoa_profiles')
+                .update({ coordinates: hoaCoordinates })
+                .eq('id', hoaId)
+              console.log('  ✓ Coordinates saved to database')
+              await progress.complete('geocode', 'Address located')
+            }
+          } else {
+            await progress.fail('geocode', 'Address could not be located')
           }
         } catch (geocodeError) {
           console.log('  ⚠ Geocoding failed:', geocodeError.message)
+          await progress.fail('geocode', geocodeError)
         }
       }
 
-      if (hoaCoordinates) {
+      if (hoaCoordinates && isOverBudget()) {
+        recordBudgetSkip('Neighborhood data (Yelp)')
+        await progress.skip('yelp', BUDGET_SKIP_DETAIL)
+      } else if (hoaCoordinates) {
         console.log('  → Calling Yelp API...')
+        await progress.start('yelp')
         yelpData = await getNeighborhoodContext(
           hoaCoordinates.lat,
           hoaCoordinates.lng,
           hoa.city,
-          hoa.state || 'FL'
+          hoa.state
         )
         console.log('  ✓ Yelp data received')
 
@@ -170,24 +309,43 @@ export async function analyzeHOA(hoaId) {
           hoaId,
           hoaCoordinates,
           hoa.city,
-          hoa.state || 'FL',
+          hoa.state,
           yelpData,
           supabase
         )
         console.log('  ✓ Yelp data cached')
+        await progress.complete('yelp', `${yelpData.summary?.totalBusinesses || 0} nearby businesses`)
       } else {
         console.log('  ⚠ No coordinates available after geocoding attempt, skipping Yelp data')
+        await progress.skip('yelp', 'No coordinates available')
       }
     } catch (yelpError) {
       console.error('❌ Yelp API error:', yelpError)
       // Continue without Yelp data if it fails
+      await progress.fail('yelp', yelpError, 'Continuing without neighborhood data')
     }
 
     // Step 4: Run AI analysis with Claude
     console.log('🤖 Step 4: Running AI analysis with Claude...')
+    await progress.start('claude')
     const aiAnalysis = await analyzeHOAData(analysisData, yelpData)
     console.log('✅ AI analysis completed')
 
+    // Spend for the whole run (all APIs), and any searches the budget cut
+    const budget = getLedgerSummary()
+    aiAnalysis.analysisMeta = { ...aiAnalysis.analysisMeta, budget }
+    console.log(`💸 Run cost: $${budget.spentUsd.toFixed(4)} over ${budget.calls} API calls${budget.budgetUsd ? ` (budget $${budget.budgetUsd})` : ''}`)
+
+    if (aiAnalysis.isFallback) {
+      await progress.fail('claude', aiAnalysis.fallbackReason || 'AI analysis failed', 'Used rule-based fallback analysis')
+    } else {
+      const filledCount = aiAnalysis.analysisMeta?.filledFields?.length || 0
+      await progress.complete(
+        'claude',
+        `Overall score ${aiAnalysis.overallScore}/10${filledCount > 0 ? ` (${filledCount} field${filledCount === 1 ? '' : 's'} filled from defaults)` : ''}`
+      )
+    }
+
     // Step 5: Update HOA profile with analysis results
     console.log('💾 Step 5: Saving analysis results to database...')
 
@@ -205,6 +363,15 @@ export async function analyzeHOA(hoaId) {
       // Summary
       one_sentence_summary: aiAnalysis.oneSentenceSummary,
 
+      county: hoa.county,
+      county_fips: hoa.county_fips,
+
+      // Values settled across sources, and every candidate behind them
+      monthly_fee: analysisData.monthlyFee,
+      management_company: analysisData.managementCompany,
+      total_units: analysisData.totalUnits,
+      field_provenance: provenance.snapshot(),
+
       // Raw data with enhanced Perplexity results
       public_records: publicRecords,
       community_feedback: communityFeedback,
@@ -226,6 +393,9 @@ export async function analyzeHOA(hoaId) {
       last_updated: new Date().toISOString()
     }
 
+    // Never overwrite results if another run took over after our lease expired
+    lease.assertHeld()
+
     const { error: updateError } = await supabase
       .from('hoa_profiles')
       .update(updateData)
@@ -237,12 +407,25 @@ export async function analyzeHOA(hoaId) {
     }
     console.log('✅ HOA profile updated successfully')
 
+    // Snapshot the run so later analyses can be compared against it
+    await completeAnalysisRun(lease.runId, {
+      inputs: {
+        ...analysisData,
+        neighborhood: yelpData ? { summary: yelpData.summary, walkability: yelpData.walkability } : null
+      },
+      aiAnalysis,
+      monthlyFee: analysisData.monthlyFee,
+      dataCompleteness,
+      budget
+    })
+
     console.log('🎉 HOA analysis completed successfully for:', hoaId)
     console.log(`   Data completeness: ${dataCompleteness}%`)
 
     return {
       success: true,
       hoaId,
+      runId: lease.runId,
       analysis: aiAnalysis,
       dataCompleteness
     }
@@ -250,6 +433,13 @@ export async function analyzeHOA(hoaId) {
     console.error('💥 HOA analysis error:', error)
     console.error('Stack trace:', error.stack)
 
+    if (progress) {
+      await Promise.all([
+        progress.abort(error),
+        failAnalysisRun(lease.runId, error.message)
+      ])
+    }
+
     return {
       success: false,
       error: error.message
@@ -257,6 +447,44 @@ export async function analyzeHOA(hoaId) {
   }
 }
 
+/**
+ * Run a search the report can do without, unless the run's budget is spent
+ * Skipped searches resolve to an empty result and are listed in the report.
+ */
+async function runOptionalSearch(label, search) {
+  if (isOverBudget()) {
+    recordBudgetSkip(label)
+    return { success: false, foundInfo: false, skippedForBudget: true }
+  }
+  return search()
+}
+
+/**
+ * Write resolved field values into the public records passed to Claude,
+ * replacing the first-search-wins values gatherPublicRecords started with
+ */
+function applyResolvedFields(publicRecords, resolved) {
+  const data = publicRecords.data
+
+  if (resolved.managementCompany) {
+    data.managementCompany = {
+      ...data.managementCompany,
+      name: resolved.managementCompany.value,
+      verified: resolved.managementCompany.source !== 'hoa_profile'
+    }
+  }
+
+  for (const field of ['phone', 'email', 'website', 'address']) {
+    if (resolved[field]) {
+      data.contactInfo[field] = resolved[field].value
+    }
+  }
+
+  if (resolved.totalUnits) {
+    data.totalUnits = resolved.totalUnits.value
+  }
+}
+
 /**
  * Calculate data completeness based on verified fields across all sources
  */
@@ -296,10 +524,11 @@ function calculateDataCompleteness(publicRecords, communityFeedback, financialDa
 
 /**
  * Gather public records data using comprehensive Perplexity searches
- * Includes Florida SunBiz corporation data
+ * Includes corporation data from the state's registry (SunBiz in Florida)
  */
-async function gatherPublicRecords(hoa) {
-  console.log('📋 [PUBLIC RECORDS] Gathering Florida public records for:', hoa.hoa_name)
+async function gatherPublicRecords(hoa, progress, provenance) {
+  const { name: stateName, registry } = getStateProfile(hoa.state)
+  console.log(`📋 [PUBLIC RECORDS] Gathering ${stateName} public records for:`, hoa.hoa_name)
 
   // Extract street address from HOA name if it follows "HOA at [address]" pattern
   let streetAddress = null
@@ -307,35 +536,53 @@ async function gatherPublicRecords(hoa) {
     streetAddress = hoa.hoa_name.substring(7)
   }
 
-  // Step 1: Primary search - comprehensive Florida HOA search
-  console.log('📋 [PUBLIC RECORDS] Step 1: Primary Florida HOA search...')
+  // Step 1: Primary search - comprehensive HOA search
+  console.log('📋 [PUBLIC RECORDS] Step 1: Primary HOA search...')
+  await progress.start('public_records')
   const perplexityResult = await searchHOAInfo(
     hoa.hoa_name,
     hoa.city,
-    hoa.state || 'FL',
+    hoa.state,
     hoa.zip_code,
     streetAddress
   )
 
-  // Step 2: SunBiz search if primary didn't find corporation data
-  let sunbizResult = null
-  if (!perplexityResult.sunbiz?.documentNumber) {
-    console.log('📋 [PUBLIC RECORDS] Step 2: Florida SunBiz corporation search...')
-    sunbizResult = await searchFloridaSunBiz(hoa.hoa_name, hoa.city)
-  }
-
-  // Step 3: Fallback search by zip code if needed
+  // Step 2: Fallback search by zip code if needed
   let zipSearchResult = null
   if (!perplexityResult.foundInfo && !perplexityResult.managementCompany) {
-    console.log('📋 [PUBLIC RECORDS] Step 3: Fallback - searching by zip code...')
-    zipSearchResult = await searchManagementCompaniesByZip(
+    console.log('📋 [PUBLIC RECORDS] Step 2: Fallback - searching by zip code...')
+    zipSearchResult = await runOptionalSearch('Area management company search', () => searchManagementCompaniesByZip(
       hoa.zip_code,
       hoa.city,
-      hoa.state || 'FL'
-    )
+      hoa.state
+    ))
+  }
+
+  if (perplexityResult.error) {
+    await progress.fail('public_records', perplexityResult.error, 'Continuing with estimated data')
+  } else {
+    await progress.complete('public_records', perplexityResult.foundInfo ? 'HOA records found' : 'No direct match, using area data')
   }
 
-  // Merge SunBiz data with primary search
+  // Step 3: Registry search if primary didn't find corporation data
+  let sunbizResult = null
+  if (!perplexityResult.sunbiz?.documentNumber) {
+    console.log(`📋 [PUBLIC RECORDS] Step 3: ${registry.name} corporation search...`)
+    await progress.start('sunbiz')
+    sunbizResult = await runOptionalSearch(`${registry.name} search`, () => searchStateRegistry(hoa.hoa_name, hoa.city, hoa.state))
+
+    if (sunbizResult.skippedForBudget) {
+      await progress.skip('sunbiz', BUDGET_SKIP_DETAIL)
+    } else if (sunbizResult.error) {
+      await progress.fail('sunbiz', sunbizResult.error)
+    } else {
+      await progress.complete('sunbiz', sunbizResult.foundInfo ? `Status: ${sunbizResult.status || 'Unknown'}` : 'No corporation filing found')
+    }
+  } else {
+    await progress.skip('sunbiz', 'Filing found in primary search')
+  }
+
+  // Merge registry data with primary search
   const sunbizData = sunbizResult?.foundInfo ? {
     status: sunbizResult.status,
     documentNumber: sunbizResult.documentNumber,
@@ -347,13 +594,13 @@ async function gatherPublicRecords(hoa) {
     principalAddress: sunbizResult.principalAddress
   } : perplexityResult.sunbiz || {}
 
-  // Use SunBiz officers as board members if available
+  // Use registry officers as board members if available
   const boardMembers = sunbizData.officers?.length > 0
     ? sunbizData.officers.map(o => ({
         name: o.name,
         position: o.title,
         verified: true,
-        source: 'Florida SunBiz'
+        source: registry.name
       }))
     : [
         { name: 'Board President', position: 'President', verified: false },
@@ -368,10 +615,10 @@ async function gatherPublicRecords(hoa) {
   if (sunbizData.documentNumber || perplexityResult.foundInfo) {
     if (sunbizData.documentNumber && perplexityResult.managementCompany) {
       confidence = 'high'
-      dataSource = 'Florida SunBiz + Perplexity Search'
+      dataSource = `${registry.name} + Perplexity Search`
     } else if (sunbizData.documentNumber) {
       confidence = 'high'
-      dataSource = 'Florida SunBiz Corporation Records'
+      dataSource = `${registry.name} Corporation Records`
     } else if (perplexityResult.managementCompany && perplexityResult.contactInfo?.phone) {
       confidence = 'high'
       dataSource = 'Perplexity Search + Public Records'
@@ -385,12 +632,33 @@ async function gatherPublicRecords(hoa) {
   }
 
   console.log(`📋 [PUBLIC RECORDS] Data confidence: ${confidence}`)
-  console.log(`📋 [PUBLIC RECORDS] SunBiz status: ${sunbizData.status || 'Not found'}`)
+  console.log(`📋 [PUBLIC RECORDS] Registry status: ${sunbizData.status || 'Not found'}`)
+
+  const recordingDate = new Date().toISOString()
+
+  provenance.recordSearch(perplexityResult, {
+    source: 'hoa_search',
+    observedAt: perplexityResult.retrievedAt || recordingDate,
+    confidence: perplexityResult.foundInfo ? 'medium' : 'low'
+  })
+  if (sunbizResult?.foundInfo) {
+    provenance.record('address', sunbizResult.principalAddress, {
+      source: 'sunbiz',
+      observedAt: sunbizResult.retrievedAt || recordingDate,
+      confidence: 'high'
+    })
+  }
 
   return {
-    recordingDate: new Date().toISOString(),
+    recordingDate,
     source: dataSource,
     confidence,
+    // Citation URLs, labelled by search, for flags to reference
+    sources: [
+      ...normalizeSources(perplexityResult.sources, 'hoa_info', perplexityResult.retrievedAt || recordingDate),
+      ...normalizeSources(sunbizResult?.sources, 'sunbiz', sunbizResult?.retrievedAt || recordingDate),
+      ...normalizeSources(zipSearchResult?.sources, 'zip_companies', zipSearchResult?.retrievedAt || recordingDate)
+    ],
     data: {
       legalName: sunbizData.corporationName || hoa.hoa_name,
       subdivisionName: perplexityResult.subdivisionName || null,
@@ -410,7 +678,7 @@ async function gatherPublicRecords(hoa) {
         verified: perplexityResult.foundInfo
       },
 
-      // Florida SunBiz data
+      // State corporate registry data (stored as sunbiz for every state)
       sunbiz: sunbizData,
 
       // Additional HOA info
@@ -421,7 +689,7 @@ async function gatherPublicRecords(hoa) {
       is55Plus: perplexityResult.is55Plus || false,
       monthlyFeeEstimate: perplexityResult.monthlyFee || (hoa.monthly_fee ? `$${hoa.monthly_fee}` : null),
 
-      // Board members (from SunBiz or placeholder)
+      // Board members (from the registry or placeholder)
       boardMembers,
 
       // Area management companies (from fallback)
@@ -430,7 +698,7 @@ async function gatherPublicRecords(hoa) {
       masterCommunities: zipSearchResult?.masterCommunities || [],
 
       // County info
-      county: perplexityResult.county || zipSearchResult?.county || null,
+      county: hoa.county || perplexityResult.county || zipSearchResult?.county || null,
 
       // Data quality metadata
       dataQuality: {
@@ -465,22 +733,32 @@ async function gatherPublicRecords(hoa) {
 /**
  * Gather community feedback using Perplexity review search
  */
-async function gatherCommunityFeedback(hoa, managementCompany = null) {
+async function gatherCommunityFeedback(hoa, managementCompany = null, progress) {
   console.log('💬 [COMMUNITY] Gathering community feedback for:', hoa.hoa_name)
+  await progress.start('community_feedback')
 
   // Call Perplexity review search
-  const reviewResult = await searchHOAReviews(
+  const reviewResult = await runOptionalSearch('Community review search', () => searchHOAReviews(
     hoa.hoa_name,
     managementCompany,
     hoa.city,
-    hoa.state || 'FL'
-  )
+    hoa.state
+  ))
+
+  if (reviewResult.skippedForBudget) {
+    await progress.skip('community_feedback', BUDGET_SKIP_DETAIL)
+  } else if (reviewResult.error) {
+    await progress.fail('community_feedback', reviewResult.error)
+  } else {
+    await progress.complete('community_feedback', reviewResult.foundInfo ? `${reviewResult.reviewCount || 0} reviews found` : 'No online reviews found')
+  }
 
   if (reviewResult.foundInfo) {
     console.log(`💬 [COMMUNITY] Found ${reviewResult.reviewCount} reviews, sentiment: ${reviewResult.sentiment}`)
+    const collectedAt = new Date().toISOString()
 
     return {
-      collectedAt: new Date().toISOString(),
+      collectedAt,
       source: 'Perplexity Review Search',
       verified: true,
       sentiment: reviewResult.sentiment,
@@ -494,7 +772,7 @@ async function gatherCommunityFeedback(hoa, managementCompany = null) {
       bbbComplaints: reviewResult.bbbComplaints,
       newsArticles: reviewResult.newsArticles,
       neighborhoodApps: reviewResult.neighborhoodApps,
-      sources: reviewResult.sources,
+      sources: normalizeSources(reviewResult.sources, 'reviews', reviewResult.retrievedAt || collectedAt),
       responseTimeMs: reviewResult.responseTimeMs
     }
   }
@@ -514,6 +792,7 @@ async function gatherCommunityFeedback(hoa, managementCompany = null) {
     googleRating: null,
     bbbRating: null,
     newsArticles: [],
+    sources: [],
     note: 'No community feedback found online. Consider asking current residents for their experience.'
   }
 }
@@ -521,35 +800,51 @@ async function gatherCommunityFeedback(hoa, managementCompany = null) {
 /**
  * Gather financial data using Perplexity search
  */
-async function gatherFinancialData(hoa, managementCompany = null, publicRecords = null) {
+async function gatherFinancialData(hoa, managementCompany = null, publicRecords = null, progress, provenance) {
   console.log('💰 [FINANCIAL] Gathering financial data for:', hoa.hoa_name)
+  await progress.start('financials')
 
   // Call Perplexity financial search
-  const financialResult = await searchHOAFinancials(
+  const financialResult = await runOptionalSearch('Financial records search', () => searchHOAFinancials(
     hoa.hoa_name,
     managementCompany,
     hoa.city,
-    hoa.state || 'FL',
+    hoa.state,
     hoa.zip_code
-  )
+  ))
+
+  if (financialResult.skippedForBudget) {
+    await progress.skip('financials', BUDGET_SKIP_DETAIL)
+  } else if (financialResult.error) {
+    await progress.fail('financials', financialResult.error, 'Using estimates')
+  } else {
+    await progress.complete('financials', financialResult.foundInfo ? 'Financial data found' : 'No verified financials, using estimates')
+  }
 
   const currentFee = hoa.monthly_fee || 250
   const totalUnits = hoa.total_units || publicRecords?.data?.totalUnits || 100
 
   if (financialResult.foundInfo) {
     console.log(`💰 [FINANCIAL] Found financial data: ${financialResult.monthlyFee || 'no fee info'}`)
+    provenance.record('monthlyFee', financialResult.monthlyFee, {
+      source: 'financial_search',
+      observedAt: financialResult.retrievedAt,
+      confidence: 'medium'
+    })
 
     // Parse verified monthly fee if available
     const verifiedFee = financialResult.monthlyFee
       ? parseFloat(financialResult.monthlyFee.replace(/[^0-9.]/g, ''))
       : null
 
+    const lastUpdated = new Date().toISOString()
+
     return {
-      lastUpdated: new Date().toISOString(),
+      lastUpdated,
       source: 'Perplexity Financial Search',
       verified: true,
       responseTimeMs: financialResult.responseTimeMs,
-      sources: financialResult.sources,
+      sources: normalizeSources(financialResult.sources, 'financials', financialResult.retrievedAt || lastUpdated),
       data: {
         monthlyFee: verifiedFee || currentFee,
         monthlyFeeVerified: !!verifiedFee,
@@ -596,6 +891,7 @@ async function gatherFinancialData(hoa, managementCompany = null, publicRecords
     lastUpdated: new Date().toISOString(),
     source: 'Estimated Financial Data (verification recommended)',
     verified: false,
+    sources: [],
     data: {
       monthlyFee: currentFee,
       monthlyFeeVerified: !!hoa.monthly_fee,
@@ -628,26 +924,38 @@ async function gatherFinancialData(hoa, managementCompany = null, publicRecords
 /**
  * Gather rules and restrictions using Perplexity search
  */
-async function gatherRulesData(hoa, subdivisionName = null) {
+async function gatherRulesData(hoa, subdivisionName = null, progress) {
+  const { name: stateName, typicalRules } = getStateProfile(hoa.state)
   console.log('📜 [RULES] Gathering rules data for:', hoa.hoa_name)
+  await progress.start('rules')
 
   // Call Perplexity rules search
-  const rulesResult = await searchHOARules(
+  const rulesResult = await runOptionalSearch('Rules & CC&Rs search', () => searchHOARules(
     hoa.hoa_name,
     subdivisionName,
     hoa.city,
-    hoa.state || 'FL'
-  )
+    hoa.state
+  ))
+
+  if (rulesResult.skippedForBudget) {
+    await progress.skip('rules', BUDGET_SKIP_DETAIL)
+  } else if (rulesResult.error) {
+    await progress.fail('rules', rulesResult.error, `Using typical ${stateName} rules`)
+  } else {
+    await progress.complete('rules', rulesResult.foundInfo ? 'Rules data found' : `No verified rules, using typical ${stateName} rules`)
+  }
 
   if (rulesResult.foundInfo) {
     console.log(`📜 [RULES] Found rules data, CC&Rs online: ${rulesResult.ccrsAvailableOnline}`)
 
+    const lastUpdated = new Date().toISOString()
+
     return {
-      lastUpdated: new Date().toISOString(),
+      lastUpdated,
       source: 'Perplexity Rules Search',
       verified: true,
       responseTimeMs: rulesResult.responseTimeMs,
-      sources: rulesResult.sources,
+      sources: normalizeSources(rulesResult.sources, 'rules', rulesResult.retrievedAt || lastUpdated),
       data: {
         ccrsAvailableOnline: rulesResult.ccrsAvailableOnline || false,
 
@@ -681,13 +989,14 @@ async function gatherRulesData(hoa, subdivisionName = null) {
     }
   }
 
-  // Fallback to typical Florida HOA rules
-  console.log('📜 [RULES] No verified rules found, using typical Florida HOA rules')
+  // Fallback to typical HOA rules for the state
+  console.log(`📜 [RULES] No verified rules found, using typical ${stateName} HOA rules`)
 
   return {
     lastUpdated: new Date().toISOString(),
-    source: 'Typical Florida HOA Rules (verification recommended)',
+    source: `Typical ${stateName} HOA Rules (verification recommended)`,
     verified: false,
+    sources: [],
     data: {
       ccrsAvailableOnline: false,
 
@@ -695,7 +1004,7 @@ async function gatherRulesData(hoa, subdivisionName = null) {
         shortTermAllowed: null,
         minLeaseTerm: null,
         rentalCapPercent: null,
-        note: 'Florida law requires HOAs to disclose rental restrictions'
+        note: typicalRules.rental
       },
 
       petRestrictions: {
@@ -703,30 +1012,26 @@ async function gatherRulesData(hoa, subdivisionName = null) {
         maxNumber: 2,
         weightLimit: null,
         breedRestrictions: null,
-        note: 'Typical Florida HOA allows pets with some restrictions'
+        note: typicalRules.pets
       },
 
       parkingRules: {
         guestParking: 'Varies by community',
         rvBoatAllowed: false,
         garageRequired: null,
-        note: 'Most Florida HOAs restrict RV/boat parking'
+        note: typicalRules.parking
       },
 
       exteriorModifications: {
         approvalRequired: true,
         commonRestrictions: ['Exterior paint colors', 'Landscaping changes', 'Fencing'],
-        note: 'Florida HOAs typically require approval for exterior changes'
+        note: typicalRules.exterior
       },
 
       notableRules: [],
       recentRuleChanges: [],
 
-      floridaLawNotes: [
-        'Florida Statute 720 governs HOAs',
-        'HOAs must provide governing documents within 10 days of request',
-        'Rental restrictions may apply - verify with HOA'
-      ]
+      stateLawNotes: typicalRules.lawNotes
     }
   }
 }
@@ -759,9 +1064,9 @@ export async function getAnalysisStatus(hoaId) {
 
     const { data: job } = await supabase
       .from('processing_queue')
-      .select('status')
+      .select('status, retry_count, max_retries, run_after, error')
       .eq('payload->>hoaId', hoaId)
-      .eq('job_type', 'analyze_hoa')
+      .in('job_type', ['analyze_hoa', 'refresh_data'])
       .order('created_at', { ascending: false })
       .limit(1)
       .single()
@@ -773,7 +1078,14 @@ export async function getAnalysisStatus(hoaId) {
         'completed': 100,
         'failed': 0
       }
-      return { status: job.status, progress: progressMap[job.status] || 0 }
+      return {
+        status: job.status,
+        progress: progressMap[job.status] || 0,
+        retryCount: job.retry_count,
+        maxRetries: job.max_retries,
+        nextAttemptAt: job.status === 'pending' ? job.run_after : null,
+        error: job.error
+      }
     }
 
     return { status: 'pending', progress: 0 }
@@ -800,20 +1112,22 @@ export async function triggerAnalysis(hoaId) {
       return { success: false, error: 'HOA not found' }
     }
 
-    await supabase
-      .from('processing_queue')
-      .insert({
-        job_type: 'analyze_hoa',
-        status: 'pending',
-        payload: {
-          hoaId: hoa.id,
-          hoaName: hoa.hoa_name,
-          city: hoa.city,
-          state: hoa.state || 'FL'
-        }
-      })
+    const queued = await enqueueJob(JOB_TYPES.ANALYZE_HOA, {
+      hoaId: hoa.id,
+      hoaName: hoa.hoa_name,
+      city: hoa.city,
+      state: getStateProfile(hoa.state).code
+    })
 
-    return { success: true, message: 'Analysis queued successfully' }
+    if (!queued.success) {
+      return { success: false, error: queued.error }
+    }
+
+    return {
+      success: true,
+      jobId: queued.job?.id,
+      message: queued.deduplicated ? 'Analysis already queued' : 'Analysis queued successfully'
+    }
   } catch (error) {
     console.error('Trigger analysis error:', error)
     return { success: false, error: error.message }
@@ -5,8 +5,10 @@
 
 'use server'
 
-import { createServiceClient } from '@/lib/supabase/server'
+import { createServiceClient, getCurrentUser } from '@/lib/supabase/server'
+import { enforceRateLimit } from '@/lib/http/rate-limit'
 import { searchHOAInfo } from '@/lib/apis/perplexity'
+import { createProvenanceRecorder } from '@/lib/analysis/provenance'
 import { revalidatePath } from 'next/cache'
 
 /**
@@ -54,6 +56,17 @@ export async function enrichHOAData(hoaId, force = false) {
       console.log(`⚠️ [ENRICH] Enrichment is ${Math.floor(daysSinceEnriched)} days old, refreshing...`)
     }
 
+    // Only fresh lookups cost anything, so cached results aren't limited
+    const rateLimit = await enforceRateLimit('enrich', { user: await getCurrentUser() })
+    if (!rateLimit.allowed) {
+      return {
+        success: false,
+        status: rateLimit.status,
+        error: rateLimit.error,
+        retryAfter: rateLimit.retryAfter
+      }
+    }
+
     // 3. Call Perplexity API
     console.log(`🌐 [ENRICH] Calling Perplexity API for: ${hoa.hoa_name}, ${hoa.city}, ${hoa.state} ${hoa.zip_code}`)
 
@@ -62,7 +75,8 @@ export async function enrichHOAData(hoaId, force = false) {
       hoa.city,
       hoa.state,
       hoa.zip_code,
-      hoa.address
+      hoa.address,
+      { bypassCache: force }
     )
 
     if (!perplexityResult.success) {
@@ -140,30 +154,31 @@ export async function enrichHOAData(hoaId, force = false) {
       subdivisionName: enrichedData.subdivisionName
     })
 
-    // 5. Update database
+    // 5. Record what the search found alongside earlier sources, and let
+    // the resolution policy decide the profile values
+    const provenance = createProvenanceRecorder(hoa.field_provenance)
+    provenance.recordSeed(hoa)
+    provenance.recordSearch(perplexityResult, {
+      source: 'enrichment',
+      observedAt: perplexityResult.retrievedAt || enrichedData.enrichedAt,
+      confidence: enrichedData.confidence
+    })
+    const resolved = provenance.resolve()
+
     const updateData = {
       public_records: enrichedData,
+      field_provenance: provenance.snapshot(),
       last_updated: new Date().toISOString()
     }
 
-    // Update management_company if we found one and it's better than what we have
-    if (perplexityResult.managementCompany && !hoa.management_company) {
-      updateData.management_company = perplexityResult.managementCompany
+    if (resolved.managementCompany) {
+      updateData.management_company = resolved.managementCompany.value
     }
-
-    // Update monthly_fee if we found one and don't have one
-    if (perplexityResult.monthlyFee && !hoa.monthly_fee) {
-      // Handle both string and number types
-      const feeValue = perplexityResult.monthlyFee
-      if (typeof feeValue === 'number') {
-        updateData.monthly_fee = feeValue
-      } else if (typeof feeValue === 'string') {
-        // Try to parse the fee (e.g., "$150/month" -> 150)
-        const feeMatch = feeValue.match(/\$?(\d+(?:,\d+)?(?:\.\d+)?)/)
-        if (feeMatch) {
-          updateData.monthly_fee = parseFloat(feeMatch[1].replace(',', ''))
-        }
-      }
+    if (resolved.monthlyFee) {
+      updateData.monthly_fee = resolved.monthlyFee.value
+    }
+    if (resolved.totalUnits) {
+      updateData.total_units = resolved.totalUnits.value
     }
 
     const { error: updateError } = await supabase
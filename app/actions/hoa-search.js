@@ -6,13 +6,30 @@
 'use server'
 
 import { createClient, createServiceClient, getCurrentUser } from '@/lib/supabase/server'
-import { geocodeAddress, extractHOAName } from '@/lib/apis/geocoding'
+import { geocodeAddress, extractHOAName, isCentroid } from '@/lib/apis/geocoding'
 import { revalidatePath } from 'next/cache'
-import { analyzeHOA } from './analyze-hoa'
+import { enqueueJob, JOB_TYPES } from '@/lib/queue/jobs'
+import { drainQueueAfterResponse } from '@/lib/queue/worker'
+import { getRequestMetadata } from '@/lib/http/request-meta'
+import { enforceRateLimit } from '@/lib/http/rate-limit'
+import { getCountyFromZip } from '@/lib/geo/counties'
+import {
+  findHOACandidates,
+  summarizeCandidate,
+  recordMatchChoice,
+  savePendingChoice,
+  takePendingChoice
+} from '@/lib/matching/address-match'
+
+// hoaId value for "none of these": create a new HOA for the address
+const NEW_HOA_CHOICE = 'new'
 
 /**
  * Search for an HOA by address
- * Returns existing data if available, otherwise initiates new analysis
+ * Returns existing data if available, otherwise initiates new analysis.
+ * When the address could belong to several HOAs, nothing is created or
+ * analyzed: the result is { needsChoice: true, choiceId, candidates } and
+ * the form calls confirmHOAChoice with the pick.
  */
 export async function searchHOA(formData) {
   try {
@@ -29,138 +46,207 @@ export async function searchHOA(formData) {
 
     // Get current user (optional - searches work for anonymous users too)
     const user = await getCurrentUser()
+    const meta = await getRequestMetadata()
+
+    // New searches can create profiles and queue paid analyses
+    const rateLimit = await enforceRateLimit('search', { user, meta })
+    if (!rateLimit.allowed) {
+      return {
+        success: false,
+        status: rateLimit.status,
+        error: rateLimit.error,
+        retryAfter: rateLimit.retryAfter
+      }
+    }
 
     // Step 1: Geocode the address to get location details
     const location = await geocodeAddress(address)
 
+    // ZIP or city centroids from the offline fallback can't tell one HOA from the next
     if (!location || location.confidence < 0.3) {
       return {
         success: false,
-        error: 'Could not find that address. Please try a more specific address.'
+        error: isCentroid(location)
+          ? 'We could only place that address by its ZIP code or city. Please check the street address and try again.'
+          : 'Could not find that address. Please try a more specific address.'
       }
     }
 
-    // Extract HOA name from address if possible, or create a unique one
-    const extractedHOAName = extractHOAName(address)
-    // Make HOA name unique by including street address if it's "Unknown"
-    const hoaName = extractedHOAName || `HOA at ${location.streetAddress || address.split(',')[0].trim()}`
-
     // Step 2: Check if we already have this HOA in database
-    const supabase = createServiceClient()
+    // A boundary, agreeing earlier choices or a lone HOA next door settles
+    // it; otherwise the user picks from the ranked candidates
+    const { candidates, match } = await findHOACandidates({ location, query: address })
+    const candidateIds = candidates.map(candidate => candidate.hoa.id)
+
+    if (match) {
+      console.log(`🎯 Matched HOA (${match.matchReason}): ${match.hoa.hoa_name}`)
+    } else if (candidates.length) {
+      console.log(`🤔 ${candidates.length} candidate HOAs, asking the user to choose`)
+      const choiceId = await savePendingChoice({
+        address,
+        location,
+        candidateIds,
+        userId: user?.id,
+        sessionId: meta.sessionId
+      })
 
-    // Try to find by location proximity (same city/state and nearby coordinates)
-    // Get all HOAs in the same city/state/zip
-    const { data: potentialMatches } = await supabase
-      .from('hoa_profiles')
-      .select('*')
-      .eq('city', location.city)
-      .eq('state', location.stateCode)
-      .eq('zip_code', location.zipCode)
+      if (!choiceId) {
+        return {
+          success: false,
+          error: 'Something went wrong matching that address. Please try again.'
+        }
+      }
 
-    // Find the closest match by coordinates (within ~200 meters / 0.002 degrees)
-    let existingHOA = null
-    if (potentialMatches && potentialMatches.length > 0) {
-      const PROXIMITY_THRESHOLD = 0.002 // ~200 meters in degrees
+      return {
+        success: true,
+        needsChoice: true,
+        choiceId,
+        address: location.formattedAddress,
+        candidates: candidates.map(summarizeCandidate)
+      }
+    } else {
+      console.log('📍 No HOA matches this address')
+    }
 
-      existingHOA = potentialMatches.find(hoa => {
-        if (!hoa.coordinates) return false
-        const latDiff = Math.abs(hoa.coordinates.lat - location.lat)
-        const lngDiff = Math.abs(hoa.coordinates.lng - location.lng)
-        const isNearby = latDiff < PROXIMITY_THRESHOLD && lngDiff < PROXIMITY_THRESHOLD
+    return await completeSearch({
+      user,
+      meta,
+      address,
+      location,
+      existingHOA: match?.hoa || null,
+      chosen: false,
+      candidateIds
+    })
+  } catch (error) {
+    console.error('HOA search error:', error)
 
-        if (isNearby) {
-          console.log(`🎯 Found nearby HOA: ${hoa.hoa_name} (${latDiff.toFixed(6)}°, ${lngDiff.toFixed(6)}° away)`)
-        }
+    return {
+      success: false,
+      error: error.message || 'An unexpected error occurred during search'
+    }
+  }
+}
 
-        return isNearby
-      })
+/**
+ * Finish a search paused for the user to pick an HOA
+ * The search was already rate limited and geocoded; this resumes it with
+ * the pick (a candidate's id, or 'new' for none of them).
+ */
+export async function confirmHOAChoice(choiceId, hoaId) {
+  try {
+    const user = await getCurrentUser()
+    const meta = await getRequestMetadata()
 
-      if (!existingHOA) {
-        console.log(`📍 No nearby HOAs found. ${potentialMatches.length} HOAs in same zip code but too far away.`)
+    const pending = await takePendingChoice(choiceId, { userId: user?.id, sessionId: meta.sessionId })
+    if (!pending) {
+      return {
+        success: false,
+        error: 'This search has expired. Please search again.'
       }
     }
 
-    // Step 3: Log the search (for analytics)
-    const searchLog = {
-      user_id: user?.id || null,
-      search_query: address,
-      search_address: location.formattedAddress,
-      search_result_status: 'processing',
-      ip_address: null, // Would need to get from request headers
-      user_agent: null  // Would need to get from request headers
-    }
-
-    if (existingHOA) {
-      console.log('📦 Found existing HOA:', existingHOA.id)
-      console.log('🔍 Checking analysis status - overall_score:', existingHOA.overall_score)
-
-      // Check if analysis has been completed AND is good quality
-      const isAnalyzed = existingHOA.overall_score !== null
-      const isLowQuality = existingHOA.data_completeness <= 30 // Fallback analysis produces 25%
-      const needsReanalysis = !isAnalyzed || isLowQuality
-
-      if (needsReanalysis) {
-        const reason = !isAnalyzed ? 'not analyzed yet' : 'low quality data (likely fallback)'
-        console.log(`⚠️ HOA exists but ${reason} - triggering re-analysis`)
-        // Trigger analysis for unanalyzed HOA
-        analyzeHOA(existingHOA.id)
-          .then(result => {
-            console.log('✅ Analysis completed for existing HOA:', existingHOA.id, result)
-          })
-          .catch(error => {
-            console.error('❌ Background analysis error for existing HOA:', existingHOA.id, error)
-          })
-
-        searchLog.hoa_id = existingHOA.id
-        searchLog.search_result_status = 'processing'
-
-        await supabase
-          .from('user_searches')
-          .insert(searchLog)
-
+    let existingHOA = null
+    if (hoaId !== NEW_HOA_CHOICE) {
+      if (!pending.candidateIds.includes(hoaId)) {
         return {
-          success: true,
-          hoaId: existingHOA.id,
-          cached: true,
-          processing: true,
-          data: existingHOA
+          success: false,
+          error: 'That HOA is no longer a match for this address. Please search again.'
         }
       }
 
-      // Check if data is recent (less than 30 days old) AND good quality
-      const daysSinceUpdate = (Date.now() - new Date(existingHOA.last_updated).getTime()) / (1000 * 60 * 60 * 24)
-      const hasGoodQuality = existingHOA.data_completeness > 30
-
-      if (daysSinceUpdate < 30 && hasGoodQuality) {
-        // Data is fresh, analyzed, and good quality - return it
-        console.log('✅ Returning fresh analyzed HOA (quality:', existingHOA.data_completeness + '%)')
-        searchLog.hoa_id = existingHOA.id
-        searchLog.search_result_status = 'found'
-
-        await supabase
-          .from('user_searches')
-          .insert(searchLog)
+      const { data } = await createServiceClient()
+        .from('hoa_profiles')
+        .select('*')
+        .eq('id', hoaId)
+        .maybeSingle()
 
+      if (!data) {
         return {
-          success: true,
-          hoaId: existingHOA.id,
-          cached: true,
-          data: existingHOA
+          success: false,
+          error: 'That HOA is no longer a match for this address. Please search again.'
         }
       }
 
-      // Data is stale or low quality, trigger immediate re-analysis
-      const staleReason = !hasGoodQuality ? 'low quality' : 'stale'
-      console.log(`⚠️ HOA data is ${staleReason}, triggering re-analysis`)
+      existingHOA = data
+      console.log(`👆 User chose HOA: ${existingHOA.hoa_name}`)
+    } else {
+      console.log('👆 User chose none of the candidate HOAs')
+    }
+
+    return await completeSearch({
+      user,
+      meta,
+      address: pending.address,
+      location: pending.location,
+      existingHOA,
+      chosen: true,
+      candidateIds: pending.candidateIds
+    })
+  } catch (error) {
+    console.error('HOA choice error:', error)
 
-      // Trigger immediate re-analysis instead of just queueing
-      analyzeHOA(existingHOA.id)
-        .then(result => {
-          console.log('✅ Re-analysis completed for HOA:', existingHOA.id, result)
-        })
-        .catch(error => {
-          console.error('❌ Re-analysis error for HOA:', existingHOA.id, error)
-        })
+    return {
+      success: false,
+      error: error.message || 'An unexpected error occurred during search'
+    }
+  }
+}
+
+/**
+ * Return the matched HOA, refreshing it if needed, or create one for the
+ * address and queue its analysis
+ *
+ * @param {Object} params - { user, meta, address, location, existingHOA, chosen, candidateIds }
+ *   chosen is true when the user picked existingHOA (or none) from candidateIds
+ */
+async function completeSearch({ user, meta, address, location, existingHOA, chosen, candidateIds }) {
+  const supabase = createServiceClient()
+
+  // Extract HOA name from address if possible, or create a unique one
+  const extractedHOAName = extractHOAName(address)
+  // Make HOA name unique by including street address if it's "Unknown"
+  const hoaName = extractedHOAName || `HOA at ${location.streetAddress || address.split(',')[0].trim()}`
+
+  // Picks feed back into future matching at this address
+  const rememberChoice = async (hoaId) => {
+    if (!chosen) return
+    await recordMatchChoice({
+      hoaId,
+      location,
+      address,
+      candidateIds,
+      userId: user?.id,
+      sessionId: meta.sessionId
+    })
+  }
+
+  // Step 3: Log the search (for analytics)
+  const searchLog = {
+    user_id: user?.id || null,
+    search_query: address,
+    search_address: location.formattedAddress,
+    search_result_status: 'processing',
+    ip_address: meta.ip,
+    user_agent: meta.userAgent,
+    referrer: meta.referrer,
+    session_id: meta.sessionId
+  }
+
+  if (existingHOA) {
+    console.log('📦 Found existing HOA:', existingHOA.id)
+    await rememberChoice(existingHOA.id)
+    console.log('🔍 Checking analysis status - overall_score:', existingHOA.overall_score)
+
+    // Check if analysis has been completed AND is good quality
+    const isAnalyzed = existingHOA.overall_score !== null
+    const isLowQuality = existingHOA.data_completeness <= 30 // Fallback analysis produces 25%
+    const needsReanalysis = !isAnalyzed || isLowQuality
+
+    if (needsReanalysis) {
+      const reason = !isAnalyzed ? 'not analyzed yet' : 'low quality data (likely fallback)'
+      console.log(`⚠️ HOA exists but ${reason} - queueing re-analysis`)
+      await enqueueJob(JOB_TYPES.ANALYZE_HOA, { hoaId: existingHOA.id })
+      drainQueueAfterResponse()
 
       searchLog.hoa_id = existingHOA.id
       searchLog.search_result_status = 'processing'
@@ -173,97 +259,126 @@ export async function searchHOA(formData) {
         success: true,
         hoaId: existingHOA.id,
         cached: true,
-        processing: true, // Indicate re-analysis is happening
-        stale: true,
+        processing: true,
         data: existingHOA
       }
     }
 
-    // Step 4: No existing HOA found, create new profile and queue analysis
-    console.log('🆕 No existing HOA found, creating new profile...')
-    const { data: newHOA, error: createError } = await supabase
-      .from('hoa_profiles')
-      .insert({
-        hoa_name: hoaName,
-        address: location.streetAddress || address,
-        city: location.city,
-        state: location.stateCode,
-        zip_code: location.zipCode,
-        coordinates: { lat: location.lat, lng: location.lng },
-        data_completeness: 10, // Just basic info so far
-        overall_score: null, // Will be populated by analysis
-        one_sentence_summary: 'Analysis in progress...'
-      })
-      .select()
-      .single()
+    // Check if data is recent (less than 30 days old) AND good quality
+    const daysSinceUpdate = (Date.now() - new Date(existingHOA.last_updated).getTime()) / (1000 * 60 * 60 * 24)
+    const hasGoodQuality = existingHOA.data_completeness > 30
+
+    if (daysSinceUpdate < 30 && hasGoodQuality) {
+      // Data is fresh, analyzed, and good quality - return it
+      console.log('✅ Returning fresh analyzed HOA (quality:', existingHOA.data_completeness + '%)')
+      searchLog.hoa_id = existingHOA.id
+      searchLog.search_result_status = 'found'
+
+      await supabase
+        .from('user_searches')
+        .insert(searchLog)
 
-    if (createError) {
-      console.error('❌ Error creating HOA profile:', createError)
       return {
-        success: false,
-        error: 'Failed to create HOA profile. Please try again.'
+        success: true,
+        hoaId: existingHOA.id,
+        cached: true,
+        data: existingHOA
       }
     }
-    console.log('✅ Created new HOA profile:', newHOA.id)
-
-    // Step 5: Queue background analysis job
-    const { error: queueError } = await supabase
-      .from('processing_queue')
-      .insert({
-        job_type: 'analyze_hoa',
-        status: 'pending',
-        payload: {
-          hoaId: newHOA.id,
-          hoaName,
-          address: location.formattedAddress,
-          city: location.city,
-          state: location.stateCode,
-          zipCode: location.zipCode,
-          lat: location.lat,
-          lng: location.lng
-        }
-      })
 
-    if (queueError) {
-      console.error('Error queuing analysis:', queueError)
-    }
+    // Data is stale or low quality, trigger immediate re-analysis
+    const staleReason = !hasGoodQuality ? 'low quality' : 'stale'
+    console.log(`⚠️ HOA data is ${staleReason}, queueing refresh`)
+    await queueHOARefresh(existingHOA.id)
+    drainQueueAfterResponse()
 
-    // Log the search
-    searchLog.hoa_id = newHOA.id
+    searchLog.hoa_id = existingHOA.id
     searchLog.search_result_status = 'processing'
 
     await supabase
       .from('user_searches')
       .insert(searchLog)
 
-    // Trigger the analysis asynchronously (don't await - let it run in background)
-    console.log('🚀 Triggering analysis for HOA:', newHOA.id)
-    analyzeHOA(newHOA.id)
-      .then(result => {
-        console.log('✅ Analysis completed for HOA:', newHOA.id, result)
-      })
-      .catch(error => {
-        console.error('❌ Background analysis error for HOA:', newHOA.id, error)
-      })
-
-    // Trigger revalidation of the search page
-    revalidatePath('/search')
-
     return {
       success: true,
-      hoaId: newHOA.id,
-      cached: false,
-      processing: true,
-      data: newHOA
+      hoaId: existingHOA.id,
+      cached: true,
+      processing: true, // Indicate re-analysis is happening
+      stale: true,
+      data: existingHOA
     }
-  } catch (error) {
-    console.error('HOA search error:', error)
+  }
 
+  // Step 4: No existing HOA found, create new profile and queue analysis
+  console.log('🆕 No existing HOA found, creating new profile...')
+  const county = getCountyFromZip(location.zipCode)
+  const { data: newHOA, error: createError } = await supabase
+    .from('hoa_profiles')
+    .insert({
+      hoa_name: hoaName,
+      address: location.streetAddress || address,
+      city: location.city,
+      state: location.stateCode,
+      zip_code: location.zipCode,
+      county: county?.name || null,
+      county_fips: county?.fips || null,
+      coordinates: { lat: location.lat, lng: location.lng },
+      data_completeness: 10, // Just basic info so far
+      overall_score: null, // Will be populated by analysis
+      one_sentence_summary: 'Analysis in progress...'
+    })
+    .select()
+    .single()
+
+  if (createError) {
+    console.error('❌ Error creating HOA profile:', createError)
     return {
       success: false,
-      error: error.message || 'An unexpected error occurred during search'
+      error: 'Failed to create HOA profile. Please try again.'
     }
   }
+  console.log('✅ Created new HOA profile:', newHOA.id)
+  await rememberChoice(newHOA.id)
+
+  // Step 5: Queue background analysis job
+  const queued = await enqueueJob(JOB_TYPES.ANALYZE_HOA, {
+    hoaId: newHOA.id,
+    hoaName,
+    address: location.formattedAddress,
+    city: location.city,
+    state: location.stateCode,
+    zipCode: location.zipCode,
+    lat: location.lat,
+    lng: location.lng
+  })
+
+  if (!queued.success) {
+    console.error('Error queuing analysis:', queued.error)
+  }
+
+  // Log the search
+  searchLog.hoa_id = newHOA.id
+  searchLog.search_result_status = 'processing'
+
+  await supabase
+    .from('user_searches')
+    .insert(searchLog)
+
+  // Start the worker once the response is sent; the scheduled worker
+  // picks the job up if this instance goes away first
+  console.log('🚀 Queued analysis for HOA:', newHOA.id)
+  drainQueueAfterResponse()
+
+  // Trigger revalidation of the search page
+  revalidatePath('/search')
+
+  return {
+    success: true,
+    hoaId: newHOA.id,
+    cached: false,
+    processing: true,
+    data: newHOA
+  }
 }
 
 /**
@@ -283,6 +398,19 @@ export async function getHOAById(hoaId) {
       .single()
 
     if (error) {
+      // Merged duplicates live on in their survivor
+      if (error.code === 'PGRST116') {
+        const { data: merge } = await supabase
+          .from('hoa_merges')
+          .select('survivor_id')
+          .eq('merged_id', hoaId)
+          .maybeSingle()
+
+        if (merge) {
+          return { success: false, error: 'HOA was merged', mergedInto: merge.survivor_id }
+        }
+      }
+
       console.error('Error fetching HOA:', error)
       return { success: false, error: error.message }
     }
@@ -530,15 +658,7 @@ export async function submitSearchFeedback(searchId, feedback, rating = null) {
  */
 async function queueHOARefresh(hoaId) {
   try {
-    const supabase = createServiceClient()
-
-    await supabase
-      .from('processing_queue')
-      .insert({
-        job_type: 'refresh_data',
-        status: 'pending',
-        payload: { hoaId }
-      })
+    await enqueueJob(JOB_TYPES.REFRESH_DATA, { hoaId })
   } catch (error) {
     console.error('Error queuing refresh:', error)
   }
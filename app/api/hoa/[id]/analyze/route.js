@@ -1,10 +1,21 @@
 /**
  * API Route: Trigger HOA Analysis
  * Used to manually trigger or retry analysis
+ *
+ * Callers need a session, or the signed retry token the report page gives
+ * AnalysisPending. Fresh reports and recently updated HOAs are refused
+ * unless an admin sends { force: true }. Every request from an authorized
+ * caller is logged to analysis_triggers.
  */
 
 import { NextResponse } from 'next/server'
-import { analyzeHOA } from '@/app/actions/analyze-hoa'
+import { enqueueJob, JOB_TYPES } from '@/lib/queue/jobs'
+import { drainQueueAfterResponse } from '@/lib/queue/worker'
+import { createServiceClient, getCurrentUser, hasRole } from '@/lib/supabase/server'
+import { enforceRateLimit, rateLimitResponse } from '@/lib/http/rate-limit'
+import { getRequestMetadata } from '@/lib/http/request-meta'
+import { verifyRetryToken } from '@/lib/http/retry-token'
+import { checkAnalysisTrigger, recordAnalysisTrigger } from '@/lib/analysis/triggers'
 
 export async function POST(request, { params }) {
   try {
@@ -14,14 +25,92 @@ export async function POST(request, { params }) {
       return NextResponse.json({ success: false, error: 'HOA ID required' }, { status: 400 })
     }
 
-    // Trigger analysis in background (don't await)
-    analyzeHOA(id).catch(err => {
-      console.error('Analysis error:', err)
+    const body = await request.json().catch(() => ({}))
+    const user = await getCurrentUser()
+    const isAdmin = user ? await hasRole(user, 'admin') : false
+
+    let via = null
+    if (isAdmin) via = 'admin'
+    else if (user) via = 'session'
+    else if (verifyRetryToken(body.retryToken, id)) via = 'retry_token'
+
+    if (!via) {
+      return NextResponse.json({ success: false, error: 'Sign in to request an analysis' }, { status: 401 })
+    }
+
+    if (body.force && !isAdmin) {
+      return NextResponse.json({ success: false, error: 'Only admins can force a re-analysis' }, { status: 403 })
+    }
+    const forced = !!body.force
+
+    const meta = await getRequestMetadata()
+    const rateLimit = await enforceRateLimit('analyze', { user, meta })
+    if (!rateLimit.allowed) {
+      return rateLimitResponse(rateLimit)
+    }
+
+    const supabase = createServiceClient()
+    const { data: hoa } = await supabase
+      .from('hoa_profiles')
+      .select('id, overall_score, data_completeness, last_updated')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (!hoa) {
+      return NextResponse.json({ success: false, error: 'HOA not found' }, { status: 404 })
+    }
+
+    const trigger = { hoaId: id, userId: user?.id || null, via, forced, meta }
+
+    if (!forced) {
+      const { data: latestJob } = await supabase
+        .from('processing_queue')
+        .select('status')
+        .eq('payload->>hoaId', id)
+        .in('job_type', [JOB_TYPES.ANALYZE_HOA, JOB_TYPES.REFRESH_DATA])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      const policy = checkAnalysisTrigger(hoa, latestJob)
+
+      if (!policy.allowed) {
+        await recordAnalysisTrigger({ ...trigger, outcome: policy.outcome })
+
+        if (policy.outcome === 'cooldown') {
+          return rateLimitResponse(policy)
+        }
+        return NextResponse.json({ success: false, error: policy.error }, { status: 409 })
+      }
+    }
+
+    // A forced run is a refresh: it skips cached searches for new information
+    const queued = await enqueueJob(
+      forced ? JOB_TYPES.REFRESH_DATA : JOB_TYPES.ANALYZE_HOA,
+      { hoaId: id, requestedBy: user?.id || null },
+      forced ? { priority: 10 } : {}
+    )
+
+    if (!queued.success) {
+      await recordAnalysisTrigger({ ...trigger, outcome: 'failed' })
+      return NextResponse.json({ success: false, error: 'Failed to queue analysis' }, { status: 500 })
+    }
+
+    await recordAnalysisTrigger({
+      ...trigger,
+      outcome: queued.deduplicated ? 'deduplicated' : 'queued',
+      jobId: queued.job?.id
     })
 
+    console.log(`📥 [ANALYZE] ${via} request for ${id}${forced ? ' (forced)' : ''}: ${queued.deduplicated ? 'already queued' : 'queued'}`)
+
+    // Start working on it once the response is sent
+    drainQueueAfterResponse()
+
     return NextResponse.json({
       success: true,
-      message: 'Analysis triggered'
+      message: queued.deduplicated ? 'Analysis already queued' : 'Analysis queued',
+      jobId: queued.job?.id
     })
   } catch (error) {
     console.error('Error triggering analysis:', error)
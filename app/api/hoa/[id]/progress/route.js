@@ -0,0 +1,90 @@
+/**
+ * API Route: Stream HOA Analysis Progress
+ * GET /api/hoa/[id]/progress
+ * Server-Sent Events stream of step-level progress for AnalysisPending.
+ *
+ * Events:
+ *   progress - full progress payload, sent whenever it changes
+ *   complete - analysis finished, client should refresh the report
+ *   stream-error - progress could not be loaded
+ *
+ * Progress is read from the database (not process memory) so the stream
+ * works no matter which instance is running the analysis. Streams close
+ * after a few minutes and EventSource reconnects automatically.
+ */
+
+import { getAnalysisProgress } from '@/lib/analysis/progress'
+
+export const dynamic = 'force-dynamic'
+
+const POLL_INTERVAL_MS = 1000
+const MAX_STREAM_MS = 4 * 60 * 1000
+const RECONNECT_DELAY_MS = 2000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+export async function GET(request, { params }) {
+  const { id } = await params
+  const encoder = new TextEncoder()
+  let closed = false
+
+  request.signal.addEventListener('abort', () => {
+    closed = true
+  })
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const write = (chunk) => {
+        if (!closed) controller.enqueue(encoder.encode(chunk))
+      }
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+      write(`retry: ${RECONNECT_DELAY_MS}\n\n`)
+
+      const streamStart = Date.now()
+      let lastPayload = null
+
+      try {
+        while (!closed && Date.now() - streamStart < MAX_STREAM_MS) {
+          const progress = await getAnalysisProgress(id)
+          const payload = JSON.stringify(progress)
+
+          if (payload !== lastPayload) {
+            send('progress', progress)
+            lastPayload = payload
+          } else {
+            // Comment line keeps proxies from timing out the connection
+            write(': keep-alive\n\n')
+          }
+
+          if (progress.isComplete) {
+            send('complete', { score: progress.score })
+            break
+          }
+
+          await sleep(POLL_INTERVAL_MS)
+        }
+      } catch (error) {
+        console.error('[PROGRESS] Stream error:', error)
+        send('stream-error', { error: 'Unable to load analysis progress' })
+      }
+
+      if (!closed) {
+        closed = true
+        controller.close()
+      }
+    },
+    cancel() {
+      closed = true
+    }
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  })
+}
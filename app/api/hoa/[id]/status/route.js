@@ -1,39 +1,21 @@
 /**
  * API Route: Check HOA Analysis Status
- * Used by the AnalysisPending component to poll for completion
+ * Returns completion state plus per-step progress of the latest analysis run.
+ * The progress endpoint streams the same payload over Server-Sent Events.
  */
 
-import { createClient } from '@supabase/supabase-js'
 import { NextResponse } from 'next/server'
-
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-)
+import { getAnalysisProgress } from '@/lib/analysis/progress'
 
 export async function GET(request, { params }) {
   try {
     const { id } = await params
 
-    const { data, error } = await supabase
-      .from('hoa_profiles')
-      .select('overall_score')
-      .eq('id', id)
-      .single()
-
-    if (error) {
-      console.error('Error checking HOA status:', error)
-      return NextResponse.json({ isComplete: false, error: error.message }, { status: 500 })
-    }
-
-    const isComplete = data?.overall_score !== null
+    const progress = await getAnalysisProgress(id)
 
-    return NextResponse.json({
-      isComplete,
-      score: data?.overall_score
-    })
+    return NextResponse.json(progress)
   } catch (error) {
-    console.error('Error in status check:', error)
+    console.error('Error checking HOA status:', error)
     return NextResponse.json({ isComplete: false, error: 'Internal error' }, { status: 500 })
   }
 }
@@ -1,7 +1,7 @@
 /**
  * HOA Browse API
- * GET /api/hoa/browse?city=Miami&zip=33139&page=1&limit=20
- * Returns paginated HOAs filtered by city and/or zip
+ * GET /api/hoa/browse?city=Miami&zip=33139&state=FL&page=1&limit=20
+ * Returns paginated HOAs filtered by city and/or zip, optionally within a state
  */
 
 import { createServiceClient } from '@/lib/supabase/server'
@@ -12,6 +12,7 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url)
     const city = searchParams.get('city')
     const zip = searchParams.get('zip')
+    const state = searchParams.get('state')
     const page = Math.max(parseInt(searchParams.get('page') || '1'), 1)
     const limit = Math.min(parseInt(searchParams.get('limit') || '20'), 100)
 
@@ -38,6 +39,10 @@ export async function GET(request) {
       query = query.eq('zip_code', zip.trim())
     }
 
+    if (state) {
+      query = query.eq('state', state.trim().toUpperCase())
+    }
+
     // Execute query with pagination
     const { data, error, count } = await query
       .order('hoa_name', { ascending: true })
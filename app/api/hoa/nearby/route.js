@@ -0,0 +1,62 @@
+/**
+ * Nearby HOAs API
+ * GET /api/hoa/nearby?lat=25.79&lng=-80.13&radius=0.5&limit=50
+ * Returns HOAs within radius miles (default 0.5, max 25) of a point,
+ * nearest first, each with distanceMiles
+ */
+
+import { NextResponse } from 'next/server'
+import { findNearbyHOAs, DEFAULT_RADIUS_MILES, MAX_RADIUS_MILES } from '@/lib/geo/nearby'
+import { isInUnitedStates } from '@/lib/apis/geocoding'
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const lat = parseFloat(searchParams.get('lat'))
+    const lng = parseFloat(searchParams.get('lng'))
+    const radius = parseFloat(searchParams.get('radius') || String(DEFAULT_RADIUS_MILES))
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '50') || 50, 1), 200)
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !isInUnitedStates(lat, lng)) {
+      return NextResponse.json(
+        { error: 'Please provide lat and lng for a US location' },
+        { status: 400 }
+      )
+    }
+
+    if (!(radius > 0) || radius > MAX_RADIUS_MILES) {
+      return NextResponse.json(
+        { error: `radius must be between 0 and ${MAX_RADIUS_MILES} miles` },
+        { status: 400 }
+      )
+    }
+
+    const { hoas, error } = await findNearbyHOAs({
+      lat,
+      lng,
+      radiusMiles: radius,
+      limit,
+      columns: 'id, hoa_name, address, city, state, zip_code, coordinates, management_company, monthly_fee, overall_score'
+    })
+
+    if (error) {
+      return NextResponse.json(
+        { error: 'Failed to search nearby HOAs' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      success: true,
+      center: { lat, lng },
+      radiusMiles: radius,
+      results: hoas.map(hoa => ({ ...hoa, distanceMiles: Math.round(hoa.distanceMiles * 100) / 100 }))
+    })
+  } catch (error) {
+    console.error('Nearby HOA search error:', error)
+    return NextResponse.json(
+      { error: 'An unexpected error occurred' },
+      { status: 500 }
+    )
+  }
+}
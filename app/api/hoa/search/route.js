@@ -1,17 +1,18 @@
 /**
  * HOA Name Search API
  * GET /api/hoa/search?q=sunset&limit=10
- * Returns HOAs matching the name query
+ * Returns HOAs whose name, aliases, subdivision, registry name or management
+ * company match the query, best match first, with the spans to highlight
  */
 
-import { createServiceClient } from '@/lib/supabase/server'
 import { NextResponse } from 'next/server'
+import { searchHOAsByName } from '@/lib/matching/search'
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url)
     const query = searchParams.get('q')
-    const limit = Math.min(parseInt(searchParams.get('limit') || '10'), 50)
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '10') || 10, 1), 50)
 
     if (!query || query.trim().length < 2) {
       return NextResponse.json(
@@ -20,18 +21,9 @@ export async function GET(request) {
       )
     }
 
-    const supabase = createServiceClient()
-
-    // Search for HOAs by name using ilike for case-insensitive partial matching
-    const { data, error } = await supabase
-      .from('hoa_profiles')
-      .select('id, hoa_name, city, state, zip_code, management_company')
-      .ilike('hoa_name', `%${query.trim()}%`)
-      .order('hoa_name', { ascending: true })
-      .limit(limit)
+    const { results, error } = await searchHOAsByName({ query, limit })
 
     if (error) {
-      console.error('HOA search error:', error)
       return NextResponse.json(
         { error: 'Failed to search HOAs' },
         { status: 500 }
@@ -40,8 +32,8 @@ export async function GET(request) {
 
     return NextResponse.json({
       success: true,
-      results: data || [],
-      count: data?.length || 0
+      results,
+      count: results.length
     })
   } catch (error) {
     console.error('HOA search error:', error)
@@ -0,0 +1,59 @@
+/**
+ * API Route: Process Queue
+ * GET/POST /api/queue/process?limit=5
+ * Worker entry point - drains pending jobs from processing_queue.
+ * Intended to be called by a scheduler (e.g. Vercel Cron) with
+ * Authorization: Bearer $CRON_SECRET
+ */
+
+import { NextResponse } from 'next/server'
+import { processQueue } from '@/lib/queue/worker'
+
+// Analyses can take a few minutes each
+export const maxDuration = 300
+
+const DEFAULT_LIMIT = 3
+const MAX_LIMIT = 10
+
+/**
+ * Check the request carries the cron secret
+ * Without CRON_SECRET configured the route is only open in development
+ */
+function isAuthorized(request) {
+  const secret = process.env.CRON_SECRET
+
+  if (!secret) {
+    return process.env.NODE_ENV !== 'production'
+  }
+
+  return request.headers.get('authorization') === `Bearer ${secret}`
+}
+
+async function handleProcess(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const requestedLimit = parseInt(searchParams.get('limit') || DEFAULT_LIMIT, 10)
+    const limit = Math.min(Math.max(requestedLimit || DEFAULT_LIMIT, 1), MAX_LIMIT)
+
+    const summary = await processQueue({ limit })
+
+    console.log(`[QUEUE] Worker ${summary.workerId} processed ${summary.processed} job(s)`)
+
+    return NextResponse.json({ success: true, ...summary })
+  } catch (error) {
+    console.error('[QUEUE] Worker error:', error)
+    return NextResponse.json({ success: false, error: 'Internal error' }, { status: 500 })
+  }
+}
+
+export async function GET(request) {
+  return handleProcess(request)
+}
+
+export async function POST(request) {
+  return handleProcess(request)
+}
@@ -0,0 +1,109 @@
+/**
+ * Boundary Map Component - Dossier Theme
+ * Inline SVG of the HOA's recorded boundary, with the HOA's point and the
+ * user's property (when given) marked. No map tiles, so nothing to load.
+ */
+
+import { MapIcon } from 'lucide-react'
+import { formatDate } from '@/lib/utils'
+
+const WIDTH = 320
+const HEIGHT = 220
+const PADDING = 14
+const MILES_PER_DEGREE_LAT = 69.05
+
+/**
+ * Equirectangular projection into the SVG box, with longitude shrunk by
+ * cos(latitude) so the outline keeps its shape
+ */
+function createProjection(boundary, points) {
+  const positions = [...boundary.coordinates.flat(2), ...points.map(point => [point.lng, point.lat])]
+  const lngs = positions.map(([lng]) => lng)
+  const lats = positions.map(([, lat]) => lat)
+  const minLng = Math.min(...lngs)
+  const maxLng = Math.max(...lngs)
+  const minLat = Math.min(...lats)
+  const maxLat = Math.max(...lats)
+
+  const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180)
+  const spanX = Math.max((maxLng - minLng) * lngScale, 1e-9)
+  const spanY = Math.max(maxLat - minLat, 1e-9)
+  const scale = Math.min((WIDTH - PADDING * 2) / spanX, (HEIGHT - PADDING * 2) / spanY)
+  const offsetX = (WIDTH - spanX * scale) / 2
+  const offsetY = (HEIGHT - spanY * scale) / 2
+
+  return {
+    widthMiles: spanX * MILES_PER_DEGREE_LAT,
+    project: ([lng, lat]) => [
+      +(offsetX + (lng - minLng) * lngScale * scale).toFixed(1),
+      +(offsetY + (maxLat - lat) * scale).toFixed(1)
+    ]
+  }
+}
+
+function isPoint(point) {
+  return Number.isFinite(point?.lat) && Number.isFinite(point?.lng)
+}
+
+export default function BoundaryMap({ boundary, source, updatedAt, hoaPoint, userPoint }) {
+  if (boundary?.type !== 'MultiPolygon' || !boundary.coordinates?.length) return null
+
+  const markers = [
+    isPoint(hoaPoint) && { ...hoaPoint, label: 'HOA', className: 'fill-cyan-400' },
+    isPoint(userPoint) && { ...userPoint, label: 'Your property', className: 'fill-amber-400' }
+  ].filter(Boolean)
+
+  const { project, widthMiles } = createProjection(boundary, markers)
+
+  // Holes (inner rings) are cut out by the evenodd fill rule
+  const path = boundary.coordinates
+    .flatMap(polygon => polygon.map(ring =>
+      ring.map((position, i) => `${i === 0 ? 'M' : 'L'}${project(position).join(' ')}`).join('') + 'Z'
+    ))
+    .join('')
+
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+      <div className="px-5 py-4 border-b border-dossier-border flex items-center gap-2">
+        <MapIcon className="h-4 w-4 text-cyan-400" />
+        <h2 className="text-xs font-mono uppercase tracking-widest text-slate-400">
+          Boundary
+        </h2>
+      </div>
+
+      <div className="p-5">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto bg-slate-900/40 rounded"
+          role="img"
+          aria-label="Outline of the HOA's recorded boundary"
+        >
+          <path
+            d={path}
+            fillRule="evenodd"
+            className="fill-cyan-500/15 stroke-cyan-400"
+            strokeWidth="1.5"
+            strokeLinejoin="round"
+          />
+          {markers.map(marker => {
+            const [x, y] = project([marker.lng, marker.lat])
+            return (
+              <g key={marker.label}>
+                <circle cx={x} cy={y} r="4" className={`${marker.className} stroke-slate-900`} strokeWidth="1.5" />
+                <text x={x + 7} y={y + 3} className="fill-slate-300 font-mono" fontSize="9">
+                  {marker.label}
+                </text>
+              </g>
+            )
+          })}
+        </svg>
+
+        <p className="mt-2 text-[10px] font-mono text-slate-500">
+          ≈ {widthMiles < 0.1 ? `${Math.round(widthMiles * 5280)} ft` : `${widthMiles.toFixed(1)} mi`} across
+          {source && <> • from {source}</>}
+          {updatedAt && <> • {formatDate(updatedAt)}</>}
+        </p>
+      </div>
+    </section>
+  )
+}
@@ -7,12 +7,14 @@
 
 import { useState, useEffect } from 'react'
 import { enrichHOAData } from '@/app/actions/enrich-hoa'
+import { getStateProfile } from '@/lib/states'
 import {
   Loader2, Search, CheckCircle2, AlertCircle, RefreshCw,
   Phone, Mail, Globe, MapPin, Building, ExternalLink, Clock
 } from 'lucide-react'
 
-export default function EnrichmentStatus({ hoaId, initialPublicRecords, hoaName }) {
+export default function EnrichmentStatus({ hoaId, initialPublicRecords, hoaName, state }) {
+  const { registry, managerLicensing } = getStateProfile(state)
   const [isEnriching, setIsEnriching] = useState(false)
   const [enrichmentData, setEnrichmentData] = useState(initialPublicRecords || null)
   const [error, setError] = useState(null)
@@ -81,7 +83,7 @@ export default function EnrichmentStatus({ hoaId, initialPublicRecords, hoaName
 
           {/* Animated search lines */}
           <div className="mt-4 space-y-2">
-            {['Florida SunBiz Corporation Records', 'Management Company Portals', 'Community Websites', 'Florida DBPR'].map((source, i) => (
+            {[`${registry.name} Corporation Records`, 'Management Company Portals', 'Community Websites', managerLicensing?.name].filter(Boolean).map((source, i) => (
               <div
                 key={source}
                 className="flex items-center gap-2 text-[10px] font-mono text-slate-500"
@@ -164,13 +166,13 @@ export default function EnrichmentStatus({ hoaId, initialPublicRecords, hoaName
         </div>
 
         <div className="p-5 space-y-4">
-          {/* SunBiz Verification Badge */}
+          {/* Registry Verification Badge */}
           {enrichmentData.data?.sunbiz?.documentNumber && (
             <div className="p-3 bg-green-500/10 border border-green-500/30 rounded">
               <div className="flex items-center gap-2 mb-2">
                 <CheckCircle2 className="h-4 w-4 text-green-400" />
                 <span className="text-[10px] font-mono uppercase tracking-widest text-green-400">
-                  Florida SunBiz Verified
+                  {registry.name} Verified
                 </span>
               </div>
               <div className="grid grid-cols-2 gap-2 text-[11px] font-mono">
@@ -0,0 +1,64 @@
+/**
+ * Field Provenance Component - Dossier Theme
+ * Shows where the fee, management company, unit count and contact details
+ * came from, and every value the sources reported when they disagree
+ */
+
+import { AlertTriangle, CheckCircle2, GitCompare } from 'lucide-react'
+import { cn, formatDate } from '@/lib/utils'
+import {
+  PROVENANCE_FIELDS,
+  PROVENANCE_SOURCES,
+  resolveProvenance,
+  formatProvenanceValue,
+  describeResolution
+} from '@/lib/analysis/provenance'
+
+export default function FieldProvenance({ provenance }) {
+  const resolved = resolveProvenance(provenance)
+
+  // Single-source fields have nothing to compare
+  const fields = Object.entries(resolved)
+    .filter(([, resolution]) => resolution.conflict || resolution.groups[0].count > 1)
+
+  if (fields.length === 0) return null
+
+  return (
+    <section className="bg-dossier-surface/50 rounded border border-dossier-border overflow-hidden">
+      <div className="px-5 py-4 border-b border-dossier-border flex items-center gap-2">
+        <GitCompare className="h-4 w-4 text-cyan-400" />
+        <h2 className="text-xs font-mono uppercase tracking-widest text-slate-400">
+          Source Agreement
+        </h2>
+      </div>
+
+      <ul className="p-5 space-y-4">
+        {fields.map(([field, resolution]) => {
+          const StatusIcon = resolution.conflict ? AlertTriangle : CheckCircle2
+
+          return (
+            <li key={field}>
+              <div className="flex items-center justify-between gap-3">
+                <p className="text-[10px] font-mono uppercase tracking-widest text-slate-500">
+                  {PROVENANCE_FIELDS[field].label}
+                </p>
+                <StatusIcon
+                  className={cn('h-3.5 w-3.5 flex-shrink-0', resolution.conflict ? 'text-amber-400' : 'text-green-400')}
+                />
+              </div>
+              <p className="text-sm font-mono font-semibold text-slate-200 mt-1 break-words">
+                {formatProvenanceValue(field, resolution.value)}
+              </p>
+              <p className={cn('text-[10px] font-mono mt-1', resolution.conflict ? 'text-amber-300/80' : 'text-slate-500')}>
+                {describeResolution(field, resolution)}
+              </p>
+              <p className="text-[10px] font-mono text-slate-600 mt-0.5">
+                Using {PROVENANCE_SOURCES[resolution.source]?.label || resolution.source}, {formatDate(resolution.observedAt, 'short')}
+              </p>
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
@@ -6,14 +6,16 @@
 
 'use client'
 
-import { XCircle, AlertTriangle, CheckCircle, AlertOctagon, ShieldCheck, ShieldAlert } from 'lucide-react'
-import { cn } from '@/lib/utils'
+import { XCircle, AlertTriangle, CheckCircle, AlertOctagon, ShieldCheck, ShieldAlert, ExternalLink } from 'lucide-react'
+import { cn, formatDate } from '@/lib/utils'
+import { sourceHostname } from '@/lib/analysis/citations'
 
 export default function FlagCard({
   type,
   title,
   description,
   source,
+  sources = [],
   severity,
   compact = false,
   className = ''
@@ -98,6 +100,26 @@ export default function FlagCard({
               SOURCE: {source}
             </p>
           )}
+          {sources?.length > 0 && (
+            <ul className="mt-2 space-y-1">
+              {sources.map((citation) => (
+                <li key={citation.index} className="text-[10px] font-mono text-slate-500">
+                  <a
+                    href={citation.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-cyan-400 hover:text-cyan-300 hover:underline"
+                  >
+                    [{citation.index}] {citation.title || sourceHostname(citation.url)}
+                    <ExternalLink className="h-3 w-3" />
+                  </a>
+                  <span className="uppercase tracking-wider ml-2">
+                    Retrieved {formatDate(citation.retrievedAt, 'short')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
     </div>
@@ -4,11 +4,13 @@ import { useState } from 'react'
 import { MapPin, Loader2, Search, AlertTriangle, CheckCircle } from 'lucide-react'
 import HOAResultCard from './HOAResultCard'
 import { cn } from '@/lib/utils'
+import { SUPPORTED_STATES, DEFAULT_STATE_CODE } from '@/lib/states'
 
 export default function AddressLookup({ onSelect, className }) {
   const [address, setAddress] = useState('')
   const [city, setCity] = useState('')
   const [zip, setZip] = useState('')
+  const [state, setState] = useState(DEFAULT_STATE_CODE)
   const [isGeocoding, setIsGeocoding] = useState(false)
   const [isSearching, setIsSearching] = useState(false)
   const [geocodeResult, setGeocodeResult] = useState(null)
@@ -29,7 +31,7 @@ export default function AddressLookup({ onSelect, className }) {
     setHoaResults([])
 
     try {
-      const fullAddress = [address.trim(), city, 'FL', zip].filter(Boolean).join(', ')
+      const fullAddress = [address.trim(), city, state, zip].filter(Boolean).join(', ')
 
       const response = await fetch('/api/hoa/geocode', {
         method: 'POST',
@@ -54,9 +56,10 @@ export default function AddressLookup({ onSelect, className }) {
         if (data.data.city) setCity(data.data.city)
         if (data.data.zip) setZip(data.data.zip)
 
-        // If it's a Florida address, search for nearby HOAs
-        if (data.data.isFloridaAddress) {
-          await searchNearbyHOAs(data.data.city, data.data.zip)
+        // If it's in a state we cover, search for nearby HOAs
+        if (data.data.isSupportedState) {
+          setState(data.data.state)
+          await searchNearbyHOAs(data.data.city, data.data.zip, data.data.state)
         }
       }
     } catch (err) {
@@ -66,7 +69,7 @@ export default function AddressLookup({ onSelect, className }) {
     }
   }
 
-  const searchNearbyHOAs = async (searchCity, searchZip) => {
+  const searchNearbyHOAs = async (searchCity, searchZip, searchState) => {
     if (!searchCity && !searchZip) return
 
     setIsSearching(true)
@@ -75,6 +78,7 @@ export default function AddressLookup({ onSelect, className }) {
       const params = new URLSearchParams()
       if (searchCity) params.append('city', searchCity)
       if (searchZip) params.append('zip', searchZip)
+      if (searchState) params.append('state', searchState)
       params.append('limit', '10')
 
       const response = await fetch(`/api/hoa/browse?${params}`)
@@ -97,7 +101,7 @@ export default function AddressLookup({ onSelect, className }) {
 
   const handleManualSearch = () => {
     if (city || zip) {
-      searchNearbyHOAs(city, zip)
+      searchNearbyHOAs(city, zip, state)
     }
   }
 
@@ -153,19 +157,23 @@ export default function AddressLookup({ onSelect, className }) {
           </div>
         </div>
 
-        {/* State (fixed to FL) */}
+        {/* State (covered states only) */}
         <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
+          <label htmlFor="state-select" className="block text-sm font-medium text-gray-700 mb-1">
             State
           </label>
-          <input
-            type="text"
-            value="Florida"
-            disabled
-            className="w-full px-4 py-3 text-base border-2 border-gray-200 rounded-xl bg-gray-50 text-gray-600"
-          />
+          <select
+            id="state-select"
+            value={state}
+            onChange={(e) => setState(e.target.value)}
+            className="w-full px-4 py-3 text-base border-2 border-gray-300 rounded-xl bg-white focus:border-blue-500 focus:outline-none transition-colors"
+          >
+            {SUPPORTED_STATES.map(({ code, name }) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
           <p className="text-xs text-gray-500 mt-1">
-            HOA Scout currently only covers Florida HOAs
+            HOA Scout covers {SUPPORTED_STATES.map(({ name }) => name).join(', ')}
           </p>
         </div>
 
@@ -190,7 +198,7 @@ export default function AddressLookup({ onSelect, className }) {
       </form>
 
       {/* Geocode Success */}
-      {geocodeResult && geocodeResult.isFloridaAddress && (
+      {geocodeResult && geocodeResult.isSupportedState && (
         <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-start">
           <CheckCircle className="h-5 w-5 text-green-600 mr-2 flex-shrink-0 mt-0.5" />
           <div>
@@ -200,13 +208,13 @@ export default function AddressLookup({ onSelect, className }) {
         </div>
       )}
 
-      {/* Warning (non-Florida address) */}
+      {/* Warning (address outside covered states) */}
       {warning && (
         <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start">
           <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0 mt-0.5" />
           <div>
             <p className="text-sm text-yellow-800">{warning}</p>
-            {geocodeResult && !geocodeResult.isFloridaAddress && (
+            {geocodeResult && !geocodeResult.isSupportedState && (
               <button
                 onClick={handleManualSearch}
                 className="text-sm text-yellow-700 underline mt-1 hover:text-yellow-800"
@@ -261,7 +269,7 @@ export default function AddressLookup({ onSelect, className }) {
       )}
 
       {/* No Results */}
-      {geocodeResult && geocodeResult.isFloridaAddress && !isSearching && hoaResults.length === 0 && (
+      {geocodeResult && geocodeResult.isSupportedState && !isSearching && hoaResults.length === 0 && (
         <div className="text-center py-6">
           <p className="text-gray-600">No HOAs found in this area</p>
           <p className="text-sm text-gray-500 mt-1">
@@ -5,6 +5,36 @@ import { Search, Loader2, Building2, MapPin, X } from 'lucide-react'
 import { useRouter } from 'next/navigation'
 import { cn } from '@/lib/utils'
 
+// How a match outside the HOA's own name is introduced
+const MATCHED_FIELD_LABELS = {
+  alias: 'Also known as',
+  subdivision: 'Subdivision',
+  corporation: 'Registered as',
+  management_company: 'Managed by'
+}
+
+/**
+ * Text with the API's [start, end) match spans marked
+ */
+function Highlighted({ text, spans }) {
+  if (!spans?.length) return text
+
+  const parts = []
+  let cursor = 0
+  spans.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(text.slice(cursor, start))
+    parts.push(
+      <mark key={i} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    )
+    cursor = end
+  })
+  if (cursor < text.length) parts.push(text.slice(cursor))
+
+  return parts
+}
+
 export default function HOAAutocomplete({ onSelect, className }) {
   const [query, setQuery] = useState('')
   const [results, setResults] = useState([])
@@ -114,22 +144,6 @@ export default function HOAAutocomplete({ onSelect, className }) {
     inputRef.current?.focus()
   }
 
-  // Highlight matching text
-  const highlightMatch = (text, query) => {
-    if (!query.trim()) return text
-
-    const parts = text.split(new RegExp(`(${query})`, 'gi'))
-    return parts.map((part, i) =>
-      part.toLowerCase() === query.toLowerCase() ? (
-        <mark key={i} className="bg-yellow-200 text-gray-900 rounded px-0.5">
-          {part}
-        </mark>
-      ) : (
-        part
-      )
-    )
-  }
-
   return (
     <div className={cn('relative', className)}>
       <div className="relative">
@@ -186,8 +200,14 @@ export default function HOAAutocomplete({ onSelect, className }) {
               </div>
               <div className="flex-1 min-w-0">
                 <p className="font-medium text-gray-900 truncate">
-                  {highlightMatch(hoa.hoa_name, query)}
+                  <Highlighted text={hoa.hoa_name} spans={hoa.highlights?.name} />
                 </p>
+                {MATCHED_FIELD_LABELS[hoa.matchedField] && (
+                  <p className="text-xs text-gray-500 truncate mt-0.5">
+                    {MATCHED_FIELD_LABELS[hoa.matchedField]}{' '}
+                    <Highlighted text={hoa.matchedText} spans={hoa.highlights?.matched} />
+                  </p>
+                )}
                 <p className="text-sm text-gray-600 flex items-center mt-0.5">
                   <MapPin className="h-3 w-3 mr-1 flex-shrink-0" />
                   {hoa.city}, {hoa.state} {hoa.zip_code}
@@ -50,7 +50,7 @@ export default function HybridSearch({ className, defaultTab = 'name' }) {
         <TabsContent value="location">
           <div className="space-y-3">
             <p className="text-sm text-gray-600">
-              Browse all HOAs in a Florida city or zip code.
+              Browse all HOAs in a city or zip code.
             </p>
             <CityZipBrowser onSelect={handleSelectHOA} />
           </div>
@@ -1,34 +1,61 @@
 /**
  * Search Form Component
- * Main search interface for finding HOAs by address
+ * Main search interface for finding HOAs by address. When the address could
+ * belong to several HOAs, the user picks one (or none) before anything is
+ * created or analyzed.
  */
 
 'use client'
 
 import { useState } from 'react'
-import { Search, Loader2, MapPin, ArrowRight } from 'lucide-react'
-import { searchHOA } from '@/app/actions/hoa-search'
+import { Search, Loader2, MapPin, ArrowRight, Plus } from 'lucide-react'
+import { searchHOA, confirmHOAChoice } from '@/app/actions/hoa-search'
 import { useRouter } from 'next/navigation'
 
+const MATCH_REASONS = {
+  chosen: 'Chosen by others at this address',
+  adjacent: 'Right next to this address',
+  name: 'Name matches your search',
+  nearby: 'Nearby'
+}
+
+function formatDistance(miles) {
+  if (miles === null || miles === undefined) return null
+  return miles < 0.1 ? `${Math.round(miles * 5280)} ft away` : `${miles.toFixed(1)} mi away`
+}
+
 export default function SearchForm({ className = '', showExamples = true, buttonText = 'Get Report', placeholder = 'Enter property address or HOA name...' }) {
   const [address, setAddress] = useState('')
   const [isSearching, setIsSearching] = useState(false)
   const [error, setError] = useState(null)
+  const [choice, setChoice] = useState(null)
   const router = useRouter()
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
+  // With hoaId (the chosen candidate's id, or 'new' for none of them) this
+  // confirms the pending choice instead of searching again
+  const search = async (hoaId = null) => {
     setError(null)
     setIsSearching(true)
 
     try {
-      const formData = new FormData()
-      formData.append('address', address)
-
-      const result = await searchHOA(formData)
+      let result
+      if (hoaId) {
+        result = await confirmHOAChoice(choice.choiceId, hoaId)
+      } else {
+        const formData = new FormData()
+        formData.append('address', address)
+        result = await searchHOA(formData)
+      }
 
       if (!result.success) {
         setError(result.error)
+        setChoice(null)
+        setIsSearching(false)
+        return
+      }
+
+      if (result.needsChoice) {
+        setChoice({ choiceId: result.choiceId, address: result.address, candidates: result.candidates })
         setIsSearching(false)
         return
       }
@@ -41,6 +68,12 @@ export default function SearchForm({ className = '', showExamples = true, button
     }
   }
 
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setChoice(null)
+    search()
+  }
+
   return (
     <form onSubmit={handleSubmit} className={className}>
       <div className="relative">
@@ -49,7 +82,10 @@ export default function SearchForm({ className = '', showExamples = true, button
           <input
             type="text"
             value={address}
-            onChange={(e) => setAddress(e.target.value)}
+            onChange={(e) => {
+              setAddress(e.target.value)
+              setChoice(null)
+            }}
             placeholder={placeholder}
             className="w-full pl-12 pr-32 py-4 text-base border-2 border-gray-300 rounded-xl focus:border-blue-500 focus:outline-none transition-colors"
             required
@@ -86,8 +122,60 @@ export default function SearchForm({ className = '', showExamples = true, button
           </div>
         )}
 
+        {/* HOA Chooser */}
+        {choice && (
+          <div className="mt-3 p-4 bg-white border border-gray-200 rounded-xl animate-slide-up">
+            <p className="text-sm font-semibold text-gray-900">Which HOA is this property in?</p>
+            <p className="text-xs text-gray-500 mb-3">
+              {choice.address} could belong to more than one HOA.
+            </p>
+
+            <ul className="space-y-2">
+              {choice.candidates.map((candidate) => (
+                <li key={candidate.id}>
+                  <button
+                    type="button"
+                    onClick={() => search(candidate.id)}
+                    disabled={isSearching}
+                    className="w-full text-left p-3 border border-gray-200 rounded-lg hover:border-blue-500 hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                  >
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="font-medium text-gray-900 truncate">{candidate.name}</p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {[candidate.address, candidate.city, candidate.state].filter(Boolean).join(', ')}
+                        </p>
+                      </div>
+                      {formatDistance(candidate.distanceMiles) && (
+                        <span className="flex-shrink-0 text-xs text-gray-500">
+                          {formatDistance(candidate.distanceMiles)}
+                        </span>
+                      )}
+                    </div>
+                    <p className="mt-1 text-xs text-blue-700">
+                      {MATCH_REASONS[candidate.matchReason] || MATCH_REASONS.nearby}
+                      {candidate.votes > 0 && ` (${candidate.votes})`}
+                      {candidate.matchReason !== 'name' && candidate.nameSimilarity >= 0.6 && ' • Name matches your search'}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <button
+              type="button"
+              onClick={() => search('new')}
+              disabled={isSearching}
+              className="mt-3 inline-flex items-center text-sm text-gray-700 hover:text-gray-900 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              None of these - start a new report
+            </button>
+          </div>
+        )}
+
         {/* Example Searches */}
-        {showExamples && (
+        {showExamples && !choice && (
           <div className="mt-4">
             <p className="text-sm text-gray-600 mb-2">Try these examples:</p>
             <div className="flex flex-wrap gap-2">
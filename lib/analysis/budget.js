@@ -0,0 +1,90 @@
+/**
+ * Analysis Budget
+ * Per-run cost ledger for analyzeHOA. Every API call logged while a run is
+ * active is attributed to it (api_usage.run_id) and added to its spend.
+ *
+ * ANALYSIS_BUDGET_USD caps a run: once spend reaches it, optional searches
+ * are skipped and the skips are recorded for the report. The required
+ * searches and the Claude analysis still run, so the budget is a soft cap.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+const ledgerScope = new AsyncLocalStorage()
+
+/**
+ * Budget per run in USD, or null when unlimited
+ */
+export function getAnalysisBudget() {
+  const budget = parseFloat(process.env.ANALYSIS_BUDGET_USD)
+  return Number.isFinite(budget) && budget > 0 ? budget : null
+}
+
+/**
+ * Run fn with API usage attributed to the given analysis run
+ */
+export function withUsageLedger(runId, hoaId, fn) {
+  const ledger = {
+    runId,
+    hoaId,
+    budgetUsd: getAnalysisBudget(),
+    spentUsd: 0,
+    calls: 0,
+    skipped: []
+  }
+
+  return ledgerScope.run(ledger, fn)
+}
+
+/**
+ * Ledger of the run the current call belongs to, or null outside a run
+ */
+export function currentLedger() {
+  return ledgerScope.getStore() || null
+}
+
+/**
+ * Add a call's cost to the current run
+ */
+export function recordSpend(costUsd) {
+  const ledger = currentLedger()
+  if (!ledger) return
+
+  ledger.calls++
+  ledger.spentUsd += costUsd || 0
+}
+
+export function isOverBudget() {
+  const ledger = currentLedger()
+  return !!ledger?.budgetUsd && ledger.spentUsd >= ledger.budgetUsd
+}
+
+/**
+ * Note that a search was skipped because the budget ran out
+ *
+ * @param {string} search - Human-readable search name
+ */
+export function recordBudgetSkip(search) {
+  const ledger = currentLedger()
+  if (!ledger) return
+
+  console.warn(`💸 [BUDGET] $${ledger.spentUsd.toFixed(4)} of $${ledger.budgetUsd} spent, skipping: ${search}`)
+  ledger.skipped.push(search)
+}
+
+/**
+ * Spend so far for the current run
+ * @returns {Object|null} { budgetUsd, spentUsd, calls, exceeded, skipped }
+ */
+export function getLedgerSummary() {
+  const ledger = currentLedger()
+  if (!ledger) return null
+
+  return {
+    budgetUsd: ledger.budgetUsd,
+    spentUsd: Math.round(ledger.spentUsd * 10000) / 10000,
+    calls: ledger.calls,
+    exceeded: ledger.skipped.length > 0,
+    skipped: [...ledger.skipped]
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Analysis Citations
+ * Carries source URLs from the Perplexity searches through to the flags
+ * Claude writes, so every flag can say where it came from.
+ */
+
+// Label shown next to each citation, keyed by the gather step it came from
+export const CITATION_SECTIONS = {
+  hoa_info: 'HOA records',
+  sunbiz: 'Corporate registry',
+  zip_companies: 'Area management companies',
+  financials: 'Financial records',
+  rules: 'Rules & CC&Rs',
+  reviews: 'Community reviews'
+}
+
+/**
+ * Normalize Perplexity citations into source records
+ * Perplexity returns plain URLs; newer responses may return { url, title }.
+ *
+ * @param {Array} citations - Raw citations from a search result
+ * @param {string} section - Key from CITATION_SECTIONS
+ * @param {string} retrievedAt - ISO timestamp of the search
+ * @returns {Array} [{ url, title, section, retrievedAt }]
+ */
+export function normalizeSources(citations, section, retrievedAt = new Date().toISOString()) {
+  return (citations || [])
+    .map(citation => (typeof citation === 'string' ? { url: citation } : citation))
+    .filter(citation => typeof citation?.url === 'string' && /^https?:\/\//.test(citation.url))
+    .map(citation => ({
+      url: citation.url,
+      title: citation.title || null,
+      section,
+      retrievedAt
+    }))
+}
+
+/**
+ * Build the numbered citation list Claude references
+ * Sources are de-duplicated by URL; the first section to cite a URL keeps it.
+ *
+ * @param {Object} hoaData - { publicRecords, communityFeedback, financialData, rulesData }
+ * @returns {Array} [{ index, url, title, section, retrievedAt }] with 1-based indices
+ */
+export function buildCitationIndex(hoaData) {
+  const all = [
+    ...(hoaData.publicRecords?.sources || []),
+    ...(hoaData.financialData?.sources || []),
+    ...(hoaData.rulesData?.sources || []),
+    ...(hoaData.communityFeedback?.sources || [])
+  ]
+
+  const seen = new Set()
+  const citations = []
+
+  for (const source of all) {
+    if (!source?.url || seen.has(source.url)) continue
+    seen.add(source.url)
+    citations.push({ index: citations.length + 1, ...source })
+  }
+
+  return citations
+}
+
+/**
+ * Replace the citation indices on each flag with the sources they point to
+ * Unknown indices are dropped rather than trusted.
+ */
+export function attachFlagSources(flags, citations) {
+  const byIndex = new Map(citations.map(citation => [citation.index, citation]))
+
+  return (flags || []).map(flag => {
+    const indices = [...new Set((flag.citations || []).map(Number))]
+    const sources = indices.map(index => byIndex.get(index)).filter(Boolean)
+    return { ...flag, citations: sources.map(source => source.index), sources }
+  })
+}
+
+/**
+ * Short display name for a source URL ("sunbiz.org")
+ */
+export function sourceHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch {
+    return url
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Analysis run diffing
+ * Compares two analysis snapshots - safe to use on the client
+ */
+
+export const SCORE_FIELDS = [
+  { key: 'overall', label: 'Overall' },
+  { key: 'financialHealth', label: 'Financial Health' },
+  { key: 'restrictiveness', label: 'Restrictiveness' },
+  { key: 'managementQuality', label: 'Management Quality' },
+  { key: 'communitySentiment', label: 'Community Sentiment' },
+  { key: 'legalHistory', label: 'Legal History' }
+]
+
+export const FLAG_TYPES = [
+  { key: 'redFlags', label: 'Red flags' },
+  { key: 'yellowFlags', label: 'Yellow flags' },
+  { key: 'greenFlags', label: 'Green flags' }
+]
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+function getScore(run, key) {
+  return toNumber(key === 'overall' ? run.overallScore : run.scores?.[key])
+}
+
+function compareValues(before, after) {
+  const delta = before !== null && after !== null
+    ? Math.round((after - before) * 10) / 10
+    : null
+
+  return { before, after, delta, changed: before !== after }
+}
+
+// Claude rewords descriptions between runs, so flags are matched on title
+function flagKey(flag) {
+  return (flag?.title || '').trim().toLowerCase()
+}
+
+function diffFlags(beforeFlags = [], afterFlags = []) {
+  const beforeKeys = new Set(beforeFlags.map(flagKey))
+  const afterKeys = new Set(afterFlags.map(flagKey))
+
+  return {
+    added: afterFlags.filter(flag => !beforeKeys.has(flagKey(flag))),
+    removed: beforeFlags.filter(flag => !afterKeys.has(flagKey(flag)))
+  }
+}
+
+/**
+ * Diff two analysis runs
+ *
+ * @param {Object} from - Older run snapshot
+ * @param {Object} to - Newer run snapshot
+ * @returns {Object} { scores, flags, fee, completeness, promptChanged, modelChanged, hasChanges }
+ */
+export function diffAnalysisRuns(from, to) {
+  const scores = SCORE_FIELDS.map(({ key, label }) => ({
+    key,
+    label,
+    ...compareValues(getScore(from, key), getScore(to, key))
+  }))
+
+  const flags = FLAG_TYPES.map(({ key, label }) => ({
+    key,
+    label,
+    ...diffFlags(from[key] || [], to[key] || [])
+  }))
+
+  const fee = compareValues(toNumber(from.monthlyFee), toNumber(to.monthlyFee))
+  fee.percent = fee.before && fee.delta !== null
+    ? Math.round((fee.delta / fee.before) * 1000) / 10
+    : null
+
+  const completeness = compareValues(toNumber(from.dataCompleteness), toNumber(to.dataCompleteness))
+
+  const promptChanged = (from.promptVersion || null) !== (to.promptVersion || null)
+  const modelChanged = (from.modelId || null) !== (to.modelId || null)
+
+  const hasChanges = scores.some(s => s.changed) ||
+    flags.some(f => f.added.length > 0 || f.removed.length > 0) ||
+    fee.changed ||
+    completeness.changed
+
+  return { scores, flags, fee, completeness, promptChanged, modelChanged, hasChanges }
+}
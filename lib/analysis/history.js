@@ -0,0 +1,87 @@
+/**
+ * Analysis History
+ * Snapshots each analyzeHOA run into hoa_analysis_runs
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+
+/**
+ * Record the start of a run
+ * History writes are best-effort: losing a snapshot must not fail the analysis.
+ */
+export async function startAnalysisRun(hoaId, runId) {
+  const supabase = createServiceClient()
+
+  const { error } = await supabase
+    .from('hoa_analysis_runs')
+    .insert({
+      id: runId,
+      hoa_id: hoaId,
+      status: 'running',
+      started_at: new Date().toISOString()
+    })
+
+  if (error) {
+    console.warn('⚠️ [HISTORY] Failed to record analysis run start:', error.message)
+  }
+}
+
+/**
+ * Snapshot a completed run
+ *
+ * @param {string} runId - Run identifier
+ * @param {Object} snapshot - { inputs, aiAnalysis, monthlyFee, dataCompleteness, budget }
+ *   budget is the run's ledger summary; its spend covers every API, not just Claude
+ */
+export async function completeAnalysisRun(runId, { inputs, aiAnalysis, monthlyFee, dataCompleteness, budget = null }) {
+  const supabase = createServiceClient()
+  const meta = aiAnalysis.analysisMeta || {}
+
+  const { error } = await supabase
+    .from('hoa_analysis_runs')
+    .update({
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      inputs,
+      ai_output: aiAnalysis,
+      overall_score: aiAnalysis.overallScore,
+      scores: aiAnalysis.scores,
+      red_flags: aiAnalysis.redFlags || [],
+      yellow_flags: aiAnalysis.yellowFlags || [],
+      green_flags: aiAnalysis.greenFlags || [],
+      monthly_fee: monthlyFee,
+      data_completeness: dataCompleteness,
+      model_id: meta.model || null,
+      prompt_version: meta.promptVersion || null,
+      is_fallback: !!aiAnalysis.isFallback,
+      tokens_used: meta.tokensUsed || 0,
+      cost_estimate: budget ? budget.spentUsd : meta.costEstimate || 0,
+      budget_usd: budget?.budgetUsd ?? null,
+      skipped_for_budget: budget?.skipped || []
+    })
+    .eq('id', runId)
+
+  if (error) {
+    console.warn('⚠️ [HISTORY] Failed to snapshot analysis run:', error.message)
+  }
+}
+
+/**
+ * Mark a run as failed
+ */
+export async function failAnalysisRun(runId, errorMessage) {
+  const supabase = createServiceClient()
+
+  const { error } = await supabase
+    .from('hoa_analysis_runs')
+    .update({
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error: errorMessage
+    })
+    .eq('id', runId)
+
+  if (error) {
+    console.warn('⚠️ [HISTORY] Failed to record analysis run failure:', error.message)
+  }
+}
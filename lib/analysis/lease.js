@@ -0,0 +1,125 @@
+/**
+ * Analysis Lease
+ * Database-backed single-flight lock so one HOA is never analyzed concurrently.
+ * The holder renews the lease on a heartbeat; if the process dies the lease
+ * expires and the next caller can take over.
+ */
+
+import { hostname } from 'os'
+import { randomUUID } from 'crypto'
+import { createServiceClient } from '@/lib/supabase/server'
+
+const LEASE_TTL_SECONDS = 5 * 60
+const HEARTBEAT_INTERVAL_MS = 60 * 1000
+
+/**
+ * Try to acquire the analysis lease for an HOA
+ *
+ * @param {string} hoaId - HOA to lock
+ * @returns {Promise<Object>} { acquired, runId, acquiredAt, expiresAt, ...lease handle when acquired }
+ */
+export async function acquireAnalysisLease(hoaId) {
+  const supabase = createServiceClient()
+  const runId = randomUUID()
+  const holder = `${hostname()}:${process.pid}`
+
+  const { data, error } = await supabase
+    .rpc('acquire_analysis_lease', {
+      p_hoa_id: hoaId,
+      p_run_id: runId,
+      p_holder: holder,
+      p_ttl_seconds: LEASE_TTL_SECONDS
+    })
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to acquire analysis lease: ${error.message}`)
+  }
+
+  if (!data.acquired) {
+    console.log(`🔒 [LEASE] HOA ${hoaId} is already being analyzed by run ${data.run_id}`)
+    return {
+      acquired: false,
+      runId: data.run_id,
+      acquiredAt: data.acquired_at,
+      expiresAt: data.expires_at
+    }
+  }
+
+  console.log(`🔒 [LEASE] Acquired lease for HOA ${hoaId} (run ${runId})`)
+
+  let lost = false
+
+  const heartbeat = setInterval(async () => {
+    const { data: renewed, error: renewError } = await supabase.rpc('renew_analysis_lease', {
+      p_hoa_id: hoaId,
+      p_run_id: runId,
+      p_ttl_seconds: LEASE_TTL_SECONDS
+    })
+
+    if (renewError) {
+      console.warn('⚠️ [LEASE] Heartbeat failed:', renewError.message)
+    } else if (!renewed) {
+      console.error(`❌ [LEASE] Lost lease for HOA ${hoaId} (run ${runId})`)
+      lost = true
+      clearInterval(heartbeat)
+    }
+  }, HEARTBEAT_INTERVAL_MS)
+
+  // Don't keep the process alive just for the heartbeat
+  heartbeat.unref?.()
+
+  return {
+    acquired: true,
+    runId,
+    acquiredAt: data.acquired_at,
+    expiresAt: data.expires_at,
+
+    /** Throw if another run has taken over, so we never overwrite its results */
+    assertHeld() {
+      if (lost) {
+        throw new Error('Analysis lease was lost to another run')
+      }
+    },
+
+    async release() {
+      clearInterval(heartbeat)
+
+      const { error: releaseError } = await supabase.rpc('release_analysis_lease', {
+        p_hoa_id: hoaId,
+        p_run_id: runId
+      })
+
+      if (releaseError) {
+        console.warn('⚠️ [LEASE] Failed to release lease:', releaseError.message)
+      } else {
+        console.log(`🔓 [LEASE] Released lease for HOA ${hoaId}`)
+      }
+    }
+  }
+}
+
+/**
+ * Get the current lease for an HOA, if any
+ */
+export async function getAnalysisLease(hoaId) {
+  const supabase = createServiceClient()
+
+  const { data } = await supabase
+    .from('analysis_leases')
+    .select('run_id, acquired_at, heartbeat_at, expires_at')
+    .eq('hoa_id', hoaId)
+    .maybeSingle()
+
+  if (!data) {
+    return null
+  }
+
+  return {
+    runId: data.run_id,
+    acquiredAt: data.acquired_at,
+    heartbeatAt: data.heartbeat_at,
+    expiresAt: data.expires_at,
+    active: new Date(data.expires_at).getTime() > Date.now()
+  }
+}
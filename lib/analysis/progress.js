@@ -0,0 +1,176 @@
+/**
+ * Analysis Progress
+ * Persists step-level progress for analyzeHOA into hoa_analysis_steps
+ * and reads it back for the status and progress endpoints
+ */
+
+import { randomUUID } from 'crypto'
+import { createServiceClient } from '@/lib/supabase/server'
+import { ANALYSIS_STEPS, STEP_STATUS } from './steps'
+import { getAnalysisLease } from './lease'
+
+/**
+ * Create a tracker for one analysis run
+ * Progress writes never throw - a failed write only costs us a stale UI,
+ * it must not fail the analysis itself.
+ *
+ * @param {string} hoaId - HOA being analyzed
+ * @param {string} runId - Identifier shared by all steps of this run
+ */
+export function createProgressTracker(hoaId, runId = randomUUID()) {
+  const supabase = createServiceClient()
+  const startTimes = {}
+  const finished = new Set()
+
+  async function write(rows) {
+    try {
+      const { error } = await supabase
+        .from('hoa_analysis_steps')
+        .upsert(rows, { onConflict: 'hoa_id,step' })
+
+      if (error) {
+        console.warn('⚠️ [PROGRESS] Failed to record progress:', error.message)
+      }
+    } catch (error) {
+      console.warn('⚠️ [PROGRESS] Failed to record progress:', error.message)
+    }
+  }
+
+  function row(step, fields) {
+    return {
+      hoa_id: hoaId,
+      run_id: runId,
+      step,
+      updated_at: new Date().toISOString(),
+      ...fields
+    }
+  }
+
+  function finish(step, status, fields = {}) {
+    finished.add(step)
+    const startedAt = startTimes[step]
+
+    return write(row(step, {
+      status,
+      completed_at: new Date().toISOString(),
+      duration_ms: startedAt ? Date.now() - startedAt : null,
+      ...fields
+    }))
+  }
+
+  return {
+    runId,
+
+    /** Reset every step to pending at the start of a run */
+    reset() {
+      return write(ANALYSIS_STEPS.map(({ key }) => row(key, {
+        status: STEP_STATUS.PENDING,
+        detail: null,
+        error: null,
+        started_at: null,
+        completed_at: null,
+        duration_ms: null
+      })))
+    },
+
+    start(step) {
+      startTimes[step] = Date.now()
+      return write(row(step, {
+        status: STEP_STATUS.RUNNING,
+        started_at: new Date(startTimes[step]).toISOString()
+      }))
+    },
+
+    complete(step, detail = null) {
+      return finish(step, STEP_STATUS.COMPLETED, { detail })
+    },
+
+    fail(step, error, detail = null) {
+      return finish(step, STEP_STATUS.FAILED, {
+        error: typeof error === 'string' ? error : error?.message || 'Unknown error',
+        detail
+      })
+    },
+
+    skip(step, reason = null) {
+      return finish(step, STEP_STATUS.SKIPPED, { detail: reason })
+    },
+
+    /** Mark steps still running as failed when the whole run aborts */
+    abort(error) {
+      const running = Object.keys(startTimes).filter(step => !finished.has(step))
+      return Promise.all(running.map(step => this.fail(step, error)))
+    }
+  }
+}
+
+/**
+ * Load the current progress for an HOA
+ * Combines the profile (is the report ready?), the step rows of the latest
+ * run, the newest queue job (retries, backoff, permanent failure) and the
+ * analysis lease (is a run in flight right now?).
+ */
+export async function getAnalysisProgress(hoaId) {
+  const supabase = createServiceClient()
+
+  const [profileResult, stepsResult, jobResult, lease] = await Promise.all([
+    supabase
+      .from('hoa_profiles')
+      .select('overall_score')
+      .eq('id', hoaId)
+      .single(),
+    supabase
+      .from('hoa_analysis_steps')
+      .select('run_id, step, status, detail, error, started_at, completed_at, duration_ms, updated_at')
+      .eq('hoa_id', hoaId),
+    supabase
+      .from('processing_queue')
+      .select('status, retry_count, max_retries, run_after, error')
+      .eq('payload->>hoaId', hoaId)
+      .in('job_type', ['analyze_hoa', 'refresh_data'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    getAnalysisLease(hoaId)
+  ])
+
+  if (profileResult.error) {
+    throw new Error(profileResult.error.message)
+  }
+
+  const rows = stepsResult.data || []
+  const rowsByStep = Object.fromEntries(rows.map(r => [r.step, r]))
+
+  const steps = ANALYSIS_STEPS.map(({ key, label }) => {
+    const stepRow = rowsByStep[key]
+    return {
+      key,
+      label,
+      status: stepRow?.status || STEP_STATUS.PENDING,
+      detail: stepRow?.detail || null,
+      error: stepRow?.error || null,
+      startedAt: stepRow?.started_at || null,
+      completedAt: stepRow?.completed_at || null,
+      durationMs: stepRow?.duration_ms ?? null
+    }
+  })
+
+  const lastUpdate = rows.reduce((latest, r) => (r.updated_at > latest ? r.updated_at : latest), '')
+  const job = jobResult.data
+
+  return {
+    isComplete: profileResult.data?.overall_score !== null,
+    score: profileResult.data?.overall_score ?? null,
+    runId: rows[0]?.run_id || null,
+    lastUpdate: lastUpdate || null,
+    steps,
+    lease,
+    job: job ? {
+      status: job.status,
+      retryCount: job.retry_count,
+      maxRetries: job.max_retries,
+      nextAttemptAt: job.status === 'pending' ? job.run_after : null,
+      error: job.error
+    } : null
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Field Provenance
+ * Records every candidate value for the HOA fields our sources disagree on
+ * (fee, management company, unit count, contact info) and resolves them with
+ * a fixed policy instead of letting the last writer win.
+ *
+ * Stored on hoa_profiles.field_provenance as
+ *   { [field]: [{ value, source, observedAt, confidence }] }
+ * with at most one candidate per source - a newer observation from the same
+ * source replaces the older one.
+ *
+ * Resolution: verified registry > web search > seed data, then newer beats
+ * older (by day), then higher confidence, then the value more sources agree on.
+ */
+
+// Fields tracked, with how their values are compared and displayed
+export const PROVENANCE_FIELDS = {
+  monthlyFee: { label: 'Monthly fee', type: 'money' },
+  managementCompany: { label: 'Management company', type: 'name' },
+  totalUnits: { label: 'Total units', type: 'count' },
+  phone: { label: 'Phone', type: 'phone' },
+  email: { label: 'Email', type: 'email' },
+  website: { label: 'Website', type: 'url' },
+  address: { label: 'Address', type: 'name' }
+}
+
+// Where candidates come from. Tier encodes "registry beats web search beats seed".
+export const PROVENANCE_SOURCES = {
+  sunbiz: { label: 'State corporate registry', tier: 3 },
+  hoa_search: { label: 'HOA web search', tier: 2 },
+  financial_search: { label: 'Financial web search', tier: 2 },
+  enrichment: { label: 'Enrichment web search', tier: 2 },
+  hoa_profile: { label: 'Seed data', tier: 1 }
+}
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 }
+
+/**
+ * Parse "$385/month", "385.00" or 385 into a number
+ */
+export function parseMoney(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value !== 'string') return null
+
+  const match = value.match(/\$?\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?/)
+  if (!match) return null
+  return parseFloat(`${match[1].replace(/,/g, '')}.${match[2] || '0'}`)
+}
+
+/**
+ * Coerce a raw value to the field's type; null when it isn't usable
+ */
+function cleanValue(field, value) {
+  if (value === null || value === undefined || value === '') return null
+
+  switch (PROVENANCE_FIELDS[field]?.type) {
+    case 'money': {
+      const amount = parseMoney(value)
+      return amount > 0 ? amount : null
+    }
+    case 'count': {
+      const count = typeof value === 'number' ? value : parseInt(String(value).replace(/,/g, ''), 10)
+      return Number.isFinite(count) && count > 0 ? Math.round(count) : null
+    }
+    default: {
+      const text = String(value).trim()
+      return text && !/^(unknown|n\/a|none|null)$/i.test(text) ? text : null
+    }
+  }
+}
+
+/**
+ * Key used to decide whether two candidates agree
+ */
+function comparisonKey(field, value) {
+  switch (PROVENANCE_FIELDS[field]?.type) {
+    case 'money':
+      return value.toFixed(2)
+    case 'count':
+      return String(value)
+    case 'phone':
+      return value.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '')
+    case 'email':
+      return value.toLowerCase()
+    case 'url':
+      return value.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '')
+    default:
+      return value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').replace(/\b(inc|llc|corp|co)\b/g, '').trim()
+  }
+}
+
+/**
+ * Add a candidate value for a field
+ * Null/unknown values are ignored. Returns a new provenance object.
+ *
+ * @param {Object} provenance - Existing field_provenance (may be null)
+ * @param {string} field - Key from PROVENANCE_FIELDS
+ * @param {*} value - Raw value as the source reported it
+ * @param {Object} meta - { source, observedAt, confidence }
+ */
+export function recordCandidate(provenance, field, value, { source, observedAt = new Date().toISOString(), confidence = 'medium' }) {
+  const current = provenance || {}
+  const cleaned = cleanValue(field, value)
+  if (cleaned === null) return current
+
+  const others = (current[field] || []).filter(candidate => candidate.source !== source)
+  return {
+    ...current,
+    [field]: [...others, { value: cleaned, source, observedAt, confidence }]
+  }
+}
+
+/**
+ * Whether a source already has a candidate for a field
+ */
+export function hasCandidate(provenance, field, source) {
+  return (provenance?.[field] || []).some(candidate => candidate.source === source)
+}
+
+/**
+ * Accumulates candidates during a run, threaded through the gather steps
+ * the same way the progress tracker is
+ *
+ * @param {Object} initial - Provenance stored from earlier runs
+ */
+export function createProvenanceRecorder(initial = null) {
+  let provenance = initial || {}
+
+  return {
+    record(field, value, meta) {
+      provenance = recordCandidate(provenance, field, value, meta)
+    },
+
+    /**
+     * Record the tracked fields a Perplexity search returned
+     * (managementCompany, monthlyFee, totalUnits, contactInfo)
+     */
+    recordSearch(result, meta) {
+      if (!result) return
+      this.record('managementCompany', result.managementCompany, meta)
+      this.record('monthlyFee', result.monthlyFee, meta)
+      this.record('totalUnits', result.totalUnits, meta)
+      for (const field of ['phone', 'email', 'website', 'address']) {
+        this.record(field, result.contactInfo?.[field], meta)
+      }
+    },
+
+    /**
+     * Record the profile's own columns once, as seed data. Later runs write
+     * resolved values back to these columns, so re-recording them would
+     * count a resolution as an extra agreeing source.
+     */
+    recordSeed(hoa) {
+      const meta = { source: 'hoa_profile', observedAt: hoa.created_at || new Date().toISOString(), confidence: 'low' }
+      const columns = { monthlyFee: hoa.monthly_fee, managementCompany: hoa.management_company, totalUnits: hoa.total_units }
+
+      for (const [field, value] of Object.entries(columns)) {
+        if (!hasCandidate(provenance, field, 'hoa_profile')) {
+          this.record(field, value, meta)
+        }
+      }
+    },
+
+    resolve() {
+      return resolveProvenance(provenance)
+    },
+
+    snapshot() {
+      return provenance
+    }
+  }
+}
+
+function observedDay(candidate) {
+  return Math.floor(new Date(candidate.observedAt).getTime() / 86400000) || 0
+}
+
+function compareCandidates(a, b) {
+  const tier = (PROVENANCE_SOURCES[b.source]?.tier || 0) - (PROVENANCE_SOURCES[a.source]?.tier || 0)
+  if (tier !== 0) return tier
+
+  // Compared by day: searches from the same run count as equally recent
+  const age = observedDay(b) - observedDay(a)
+  if (age !== 0) return age
+
+  return (CONFIDENCE_RANK[b.confidence] || 0) - (CONFIDENCE_RANK[a.confidence] || 0)
+}
+
+/**
+ * Resolve one field's candidates
+ *
+ * @returns {Object|null} { value, source, observedAt, confidence, conflict,
+ *   groups: [{ value, sources, count }] } - groups ordered winner first
+ */
+export function resolveField(field, candidates) {
+  if (!candidates?.length) return null
+
+  const groups = new Map()
+  for (const candidate of candidates) {
+    const key = comparisonKey(field, candidate.value)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(candidate)
+  }
+
+  const ranked = [...groups.values()]
+    .map(members => members.sort(compareCandidates))
+    .sort((a, b) => compareCandidates(a[0], b[0]) || b.length - a.length)
+
+  const winner = ranked[0][0]
+
+  return {
+    value: winner.value,
+    source: winner.source,
+    observedAt: winner.observedAt,
+    confidence: winner.confidence,
+    conflict: ranked.length > 1,
+    groups: ranked.map(members => ({
+      value: members[0].value,
+      sources: members.map(member => member.source),
+      count: members.length
+    }))
+  }
+}
+
+/**
+ * Resolve every tracked field
+ * @returns {Object} { [field]: resolution } for fields with at least one candidate
+ */
+export function resolveProvenance(provenance) {
+  const resolved = {}
+  for (const field of Object.keys(PROVENANCE_FIELDS)) {
+    const resolution = resolveField(field, provenance?.[field])
+    if (resolution) resolved[field] = resolution
+  }
+  return resolved
+}
+
+/**
+ * Display a resolved value ("$385", "120", "Sunstate Management")
+ */
+export function formatProvenanceValue(field, value) {
+  if (PROVENANCE_FIELDS[field]?.type === 'money') {
+    return `$${Number.isInteger(value) ? value : value.toFixed(2)}`
+  }
+  return String(value)
+}
+
+/**
+ * One-line summary of where a field's value came from
+ * "$385 (2 sources agree), $420 (1 source)"
+ */
+export function describeResolution(field, resolution) {
+  if (!resolution) return null
+
+  return resolution.groups.map(group => {
+    const support = group.count === 1 ? '1 source' : `${group.count} sources agree`
+    return `${formatProvenanceValue(field, group.value)} (${support})`
+  }).join(', ')
+}
@@ -0,0 +1,286 @@
+/**
+ * Analysis Output Schemas
+ * Schemas for the JSON Claude returns, plus a small validator and a
+ * field-by-field repair that fills gaps from defaults.
+ *
+ * Schema nodes: { type, required, nullable, enum, min, max, minLength,
+ * minItems, items, properties, default }. `type` may be an array of types.
+ */
+
+const score = { type: 'number', min: 0, max: 10 }
+const text = { type: 'string' }
+const requiredText = { type: 'string', required: true, minLength: 1 }
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } }
+
+const flagList = (severities, required = false) => ({
+  type: 'array',
+  required,
+  items: {
+    type: 'object',
+    properties: {
+      title: requiredText,
+      description: requiredText,
+      severity: { type: 'string', enum: severities, default: severities[0] },
+      source: { ...text, nullable: true },
+      // Indices into the SOURCES list given in the prompt
+      citations: { type: 'array', items: { type: 'number', min: 1 } }
+    }
+  }
+})
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    oneSentenceSummary: requiredText,
+
+    // Set by the scoring engine, validated so the stored object is consistent
+    overallScore: score,
+    scores: {
+      type: 'object',
+      properties: {
+        financialHealth: score,
+        restrictiveness: score,
+        managementQuality: score,
+        communitySentiment: score,
+        legalHistory: score
+      }
+    },
+
+    redFlags: flagList(['high', 'critical'], true),
+    yellowFlags: flagList(['moderate', 'low']),
+    greenFlags: flagList(['positive']),
+
+    financialAnalysis: {
+      type: 'object',
+      properties: {
+        monthlyFee: { type: 'number', min: 0, nullable: true },
+        feeAssessment: text,
+        reserveFundStatus: { type: 'string', enum: ['healthy', 'concerning', 'unknown'] },
+        specialAssessmentRisk: { type: 'string', enum: ['low', 'moderate', 'high', 'unknown'] },
+        budgetTransparency: { type: 'string', enum: ['good', 'poor', 'unknown'] },
+        financialTrend: { type: 'string', enum: ['stable', 'improving', 'declining', 'unknown'] }
+      }
+    },
+
+    rulesHighlight: {
+      type: 'object',
+      properties: {
+        mostRestrictive: stringList,
+        leastRestrictive: stringList,
+        dealBreakers: stringList
+      }
+    },
+
+    managementInsights: {
+      type: 'object',
+      properties: {
+        responsiveness: text,
+        transparency: text,
+        competence: text,
+        boardDynamics: text
+      }
+    },
+
+    communitySentiment: {
+      type: 'object',
+      properties: {
+        overallMood: { type: 'string', enum: ['positive', 'negative', 'mixed', 'unknown'] },
+        commonComplaints: stringList,
+        commonPraise: stringList,
+        turnoverIndicator: { type: 'string', enum: ['low', 'moderate', 'high', 'unknown'] }
+      }
+    },
+
+    questionsToAsk: { ...stringList, minItems: 1 },
+    documentsToRequest: { ...stringList, minItems: 1 },
+
+    neighborhoodContext: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        walkability: text,
+        amenities: text,
+        lifestyle: text
+      }
+    },
+
+    buyerConsiderations: {
+      type: 'object',
+      properties: {
+        bestSuitedFor: text,
+        notIdealFor: text,
+        hiddenCosts: { type: ['string', 'array'], items: { type: 'string' } }
+      }
+    },
+
+    dataQuality: {
+      type: 'object',
+      properties: {
+        completeness: { type: 'number', min: 0, max: 100 },
+        confidence: { type: 'string', enum: ['high', 'moderate', 'low'] },
+        missingData: stringList
+      }
+    }
+  }
+}
+
+export const FEEDBACK_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    sentiment: { type: 'string', required: true, enum: ['positive', 'negative', 'mixed'] },
+    summary: requiredText,
+    positiveThemes: stringList,
+    negativeThemes: stringList,
+    concernLevel: { type: 'string', enum: ['low', 'moderate', 'high', 'unknown'] }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid'
+  return typeof value
+}
+
+function matchesType(value, node) {
+  const types = Array.isArray(node.type) ? node.type : [node.type]
+  return types.includes(typeOf(value))
+}
+
+function describeType(node) {
+  return Array.isArray(node.type) ? node.type.join(' or ') : node.type
+}
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key)
+
+/**
+ * Validate a value against a schema node
+ *
+ * @returns {string[]} Human-readable errors ("redFlags[0].severity: must be one of high, critical")
+ */
+export function validateSchema(value, node, path = '') {
+  const label = path || 'response'
+
+  if (value === undefined) {
+    return node.required ? [`${label}: is required`] : []
+  }
+  if (value === null) {
+    return node.nullable ? [] : [`${label}: must not be null`]
+  }
+  if (!matchesType(value, node)) {
+    return [`${label}: expected ${describeType(node)}, got ${typeOf(value)}`]
+  }
+
+  const errors = []
+
+  if (typeof value === 'string') {
+    if (node.minLength && value.trim().length < node.minLength) errors.push(`${label}: must not be empty`)
+    if (node.enum && !node.enum.includes(value)) errors.push(`${label}: must be one of ${node.enum.join(', ')}`)
+  }
+
+  if (typeof value === 'number') {
+    if (node.min !== undefined && value < node.min) errors.push(`${label}: must be at least ${node.min}`)
+    if (node.max !== undefined && value > node.max) errors.push(`${label}: must be at most ${node.max}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems && value.length < node.minItems) errors.push(`${label}: needs at least ${node.minItems} item(s)`)
+    if (node.items) {
+      value.forEach((item, idx) => errors.push(...validateSchema(item, node.items, joinPath(path, idx))))
+    }
+  }
+
+  if (typeOf(value) === 'object' && node.properties) {
+    for (const [key, child] of Object.entries(node.properties)) {
+      errors.push(...validateSchema(value[key], child, joinPath(path, key)))
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Repair a value against a schema, field by field
+ *
+ * Valid fields are kept as-is. Out-of-range numbers are clamped. Invalid array
+ * items that can't be repaired are dropped. Anything else that is missing or
+ * invalid is replaced with the node's `default`, or the matching field from
+ * `fallback`. Required fields are never filled from the fallback - they are
+ * reported as unrecoverable so the caller can decide what to do.
+ *
+ * @param {*} value - Parsed model output
+ * @param {Object} node - Schema node
+ * @param {*} fallback - Defaults with the same shape as the schema
+ * @returns {Object} { value, filled, dropped, unrecoverable }
+ */
+export function repairToSchema(value, node, fallback) {
+  const report = { filled: [], dropped: [], unrecoverable: [] }
+  const repaired = repairNode(value, node, fallback, '', report)
+  return { value: repaired, ...report }
+}
+
+function repairNode(value, node, fallback, path, report) {
+  if (validateSchema(value, node, path).length === 0) {
+    return value
+  }
+
+  const structurallyValid = value !== undefined && value !== null && matchesType(value, node)
+
+  if (structurallyValid && typeof value === 'number' && !node.enum) {
+    const clamped = Math.min(node.max ?? Infinity, Math.max(node.min ?? -Infinity, value))
+    report.filled.push(path)
+    return clamped
+  }
+
+  if (structurallyValid && Array.isArray(value) && node.items) {
+    const items = []
+    value.forEach((item, idx) => {
+      const itemReport = { filled: [], dropped: [], unrecoverable: [] }
+      const repairedItem = repairNode(item, node.items, undefined, joinPath(path, idx), itemReport)
+      if (itemReport.unrecoverable.length > 0 || repairedItem === undefined) {
+        report.dropped.push(joinPath(path, idx))
+      } else {
+        report.filled.push(...itemReport.filled)
+        report.dropped.push(...itemReport.dropped)
+        items.push(repairedItem)
+      }
+    })
+
+    if (!node.minItems || items.length >= node.minItems) {
+      return items
+    }
+  }
+
+  if (structurallyValid && typeOf(value) === 'object' && node.properties) {
+    const result = { ...value }
+    for (const [key, child] of Object.entries(node.properties)) {
+      const repaired = repairNode(value[key], child, fallback?.[key], joinPath(path, key), report)
+      if (repaired === undefined) {
+        delete result[key]
+      } else {
+        result[key] = repaired
+      }
+    }
+    return result
+  }
+
+  // Missing, wrong type, bad enum or too few items - replace the whole field
+  if (node.default !== undefined) {
+    report.filled.push(path)
+    return node.default
+  }
+  if (node.required) {
+    report.unrecoverable.push(path || 'response')
+    return value
+  }
+  if (fallback !== undefined) {
+    report.filled.push(path)
+    return fallback
+  }
+  if (value !== undefined) {
+    report.dropped.push(path)
+  }
+  return undefined
+}
@@ -0,0 +1,362 @@
+/**
+ * HOA Scoring Engine
+ * Deterministic, explainable scores computed from the structured data we gather.
+ * Identical inputs always produce identical scores; Claude only writes the prose.
+ *
+ * Every dimension starts from a neutral base and is moved by factors. Each
+ * factor is recorded in the breakdown so the report can show why a score
+ * is what it is. Placeholder estimates (used when a search finds nothing)
+ * are noted but never move a score.
+ */
+
+export const SCORING_VERSION = '1.0'
+
+// Weights used for the overall score (restrictiveness is inverted)
+export const SCORE_WEIGHTS = {
+  financialHealth: 0.3,
+  restrictiveness: 0.15,
+  managementQuality: 0.25,
+  communitySentiment: 0.2,
+  legalHistory: 0.1
+}
+
+const clamp = (value) => Math.min(10, Math.max(0, value))
+const round1 = (value) => Math.round(value * 10) / 10
+
+// Search results are model output: lists may be missing, not arrays, or
+// hold nulls, and text fields may not be strings
+const list = (value) => (Array.isArray(value) ? value.filter(item => item !== null && item !== undefined) : [])
+const text = (value) => (typeof value === 'string' ? value : '')
+
+/**
+ * Collects factors for one dimension and produces its breakdown
+ */
+function createDimension(base, basis) {
+  const factors = []
+
+  return {
+    add(label, impact, detail = null) {
+      factors.push({ label, impact: round1(impact), detail })
+    },
+    note(label, detail = null) {
+      factors.push({ label, impact: 0, detail })
+    },
+    isEmpty() {
+      return factors.length === 0
+    },
+    result() {
+      const total = factors.reduce((sum, f) => sum + f.impact, base)
+      return { score: round1(clamp(total)), base, basis, factors }
+    }
+  }
+}
+
+/**
+ * Parse "$1,250" / "1250.00" / 1250 into a number
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  const number = parseFloat(String(value).replace(/[^0-9.]/g, ''))
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Parse "6 months" / "1 year" / 12 into months
+ */
+function parseLeaseMonths(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'number') return value
+  const match = String(value).match(/(\d+(?:\.\d+)?)\s*(year|yr|month|mo|day)?/i)
+  if (!match) return null
+  const amount = parseFloat(match[1])
+  const unit = (match[2] || 'month').toLowerCase()
+  if (unit.startsWith('y')) return amount * 12
+  if (unit.startsWith('d')) return amount / 30
+  return amount
+}
+
+function parseYear(value) {
+  if (!value) return null
+  const match = String(value).match(/(19|20)\d{2}/)
+  return match ? parseInt(match[0], 10) : null
+}
+
+/**
+ * Financial health: reserves, special assessments, fee trend, delinquency
+ */
+function scoreFinancialHealth(financialData, currentYear) {
+  const verified = financialData?.verified === true
+  const data = financialData?.data || {}
+  const dim = createDimension(6, verified ? 'verified' : 'estimated')
+
+  if (!verified) {
+    dim.note('No verified financial records', 'Score held at neutral baseline')
+    return dim.result()
+  }
+
+  const reservePercent = parseAmount(data.reserveFund?.percentFunded)
+  if (reservePercent === null) {
+    dim.add('Reserve funding unknown', -0.5)
+  } else if (reservePercent >= 70) {
+    dim.add('Reserves well funded', 2, `${reservePercent}% funded`)
+  } else if (reservePercent >= 40) {
+    dim.add('Reserves partially funded', 0, `${reservePercent}% funded`)
+  } else if (reservePercent >= 30) {
+    dim.add('Reserves underfunded', -1.5, `${reservePercent}% funded`)
+  } else {
+    dim.add('Reserves critically underfunded', -2.5, `${reservePercent}% funded`)
+  }
+
+  const studyYear = parseYear(data.reserveFund?.lastStudy)
+  if (studyYear && currentYear - studyYear <= 3) {
+    dim.add('Recent reserve study', 0.5, String(studyYear))
+  } else if (studyYear && currentYear - studyYear > 5) {
+    dim.add('Outdated reserve study', -0.5, String(studyYear))
+  }
+
+  const assessments = list(data.specialAssessments?.history)
+    .filter(a => !parseYear(a.year) || currentYear - parseYear(a.year) <= 5)
+  if (assessments.length > 0) {
+    dim.add(
+      'Special assessments in last 5 years',
+      -Math.min(assessments.length, 3),
+      `${assessments.length} assessment${assessments.length === 1 ? '' : 's'}`
+    )
+
+    const largest = Math.max(...assessments.map(a => parseAmount(a.amount) || 0))
+    if (largest >= 5000) {
+      dim.add('Large special assessment', -1, `$${Math.round(largest).toLocaleString()}`)
+    }
+  } else if (data.specialAssessments?.verified) {
+    dim.add('No recent special assessments', 0.5)
+  }
+
+  // Annualized fee growth from verified fee history
+  const history = list(data.feeHistory)
+    .map(entry => ({ year: parseYear(entry.year), amount: parseAmount(entry.amount) }))
+    .filter(entry => entry.year && entry.amount)
+    .sort((a, b) => a.year - b.year)
+  if (data.feeHistoryVerified && history.length >= 2) {
+    const first = history[0]
+    const last = history[history.length - 1]
+    const years = last.year - first.year
+    if (years > 0) {
+      const growth = (Math.pow(last.amount / first.amount, 1 / years) - 1) * 100
+      const detail = `${round1(growth)}%/yr since ${first.year}`
+      if (growth > 8) dim.add('Steep fee increases', -1.5, detail)
+      else if (growth > 5) dim.add('Above-average fee increases', -0.5, detail)
+      else if (growth <= 3) dim.add('Stable fees', 0.5, detail)
+    }
+  }
+
+  if (data.financialHealth === 'healthy') {
+    dim.add('Reported as financially healthy', 1)
+  } else if (data.financialHealth === 'concerning') {
+    dim.add('Reported financial concerns', -1.5)
+  }
+
+  const delinquency = parseAmount(data.delinquencyRate)
+  if (delinquency !== null) {
+    if (delinquency > 10) dim.add('High owner delinquency', -1.5, `${delinquency}%`)
+    else if (delinquency > 5) dim.add('Elevated owner delinquency', -0.5, `${delinquency}%`)
+    else if (delinquency <= 3) dim.add('Low owner delinquency', 0.5, `${delinquency}%`)
+  }
+
+  return dim.result()
+}
+
+/**
+ * Restrictiveness: higher = more restrictive (rentals, pets, parking, exterior)
+ */
+function scoreRestrictiveness(rulesData) {
+  const verified = rulesData?.verified === true
+  const data = rulesData?.data || {}
+  const dim = createDimension(5, verified ? 'verified' : 'estimated')
+
+  if (!verified) {
+    dim.note('Rules not verified', 'Assumed typical for the area')
+    return dim.result()
+  }
+
+  const rental = data.rentalRestrictions || {}
+  if (rental.shortTermAllowed === false) dim.add('Short-term rentals prohibited', 1)
+  if (rental.shortTermAllowed === true) dim.add('Short-term rentals allowed', -1)
+
+  const leaseMonths = parseLeaseMonths(rental.minLeaseTerm)
+  if (leaseMonths !== null && leaseMonths >= 12) dim.add('Minimum lease of a year or more', 1, String(rental.minLeaseTerm))
+  else if (leaseMonths !== null && leaseMonths >= 6) dim.add('Minimum lease term', 0.5, String(rental.minLeaseTerm))
+
+  if (parseAmount(rental.rentalCapPercent) !== null) dim.add('Rental cap', 1, `${rental.rentalCapPercent}%`)
+  if (rental.ownerOccupiedRequired) dim.add('Owner-occupancy requirement', 0.5)
+
+  const pets = data.petRestrictions || {}
+  if (pets.allowed === false) {
+    dim.add('Pets prohibited', 2)
+  } else {
+    if (pets.maxNumber !== null && pets.maxNumber !== undefined && pets.maxNumber <= 1) dim.add('Single pet limit', 0.5)
+    if (pets.weightLimit) dim.add('Pet weight limit', 0.5, String(pets.weightLimit))
+    if (list(pets.breedRestrictions).length > 0) dim.add('Breed restrictions', 0.5)
+  }
+
+  const parking = data.parkingRules || {}
+  if (parking.rvBoatAllowed === false) dim.add('No RV/boat parking', 0.5)
+  if (parking.garageRequired === true) dim.add('Vehicles must be garaged', 0.5)
+
+  const exterior = data.exteriorModifications || {}
+  if (exterior.approvalRequired === true) dim.add('Exterior changes need approval', 0.5)
+  if (list(exterior.commonRestrictions).length >= 3) dim.add('Many exterior restrictions', 0.5)
+
+  const notable = list(data.notableRules).length
+  if (notable > 0) dim.add('Notable rules', Math.min(notable * 0.25, 1), `${notable} noted`)
+
+  return dim.result()
+}
+
+/**
+ * Management quality: corporate standing, transparency, reachability, BBB
+ */
+function scoreManagementQuality(publicRecords, communityFeedback, rulesData, currentYear) {
+  const data = publicRecords?.data || {}
+  const sunbiz = data.sunbiz || {}
+  const contact = data.contactInfo || {}
+  const verifiedInputs = !!sunbiz.documentNumber || publicRecords?.confidence === 'high'
+  const dim = createDimension(5, verifiedInputs ? 'verified' : 'estimated')
+
+  const status = text(sunbiz.status).toLowerCase()
+  if (status === 'active') {
+    dim.add('Corporation active with the state', 1)
+  } else if (status.includes('inactive') || status.includes('dissolved') || status.includes('revoked')) {
+    dim.add('Corporation not in good standing', -3, sunbiz.status)
+  }
+
+  const reportYear = parseYear(sunbiz.lastAnnualReport)
+  if (reportYear && currentYear - reportYear <= 1) dim.add('Annual report filed on time', 0.5, String(reportYear))
+  else if (reportYear && currentYear - reportYear > 1) dim.add('Annual report overdue', -1, String(reportYear))
+
+  if (data.managementCompany?.verified) dim.add('Management company identified', 0.5, data.managementCompany.name)
+  if (contact.phone) dim.add('Phone contact available', 0.5)
+  if (contact.website) dim.add('Website available', 0.5)
+  if (contact.email) dim.add('Email contact available', 0.25)
+
+  if (rulesData?.verified && rulesData.data?.ccrsAvailableOnline) {
+    dim.add('Governing documents published online', 0.5)
+  }
+
+  if (communityFeedback?.verified) {
+    const bbb = text(communityFeedback.bbbRating).toUpperCase().trim()
+    if (bbb.startsWith('A')) dim.add('Strong BBB rating', 1, bbb)
+    else if (bbb.startsWith('C') || bbb.startsWith('D') || bbb.startsWith('F')) dim.add('Poor BBB rating', -1.5, bbb)
+
+    const complaints = parseAmount(communityFeedback.bbbComplaints)
+    if (complaints !== null && complaints > 5) dim.add('Many BBB complaints', -1, `${complaints} complaints`)
+  }
+
+  if (dim.isEmpty()) {
+    dim.note('No verified management records', 'Score held at neutral baseline')
+  }
+
+  return dim.result()
+}
+
+/**
+ * Community sentiment: review sentiment and ratings, damped when reviews are few
+ */
+function scoreCommunitySentiment(communityFeedback) {
+  const verified = communityFeedback?.verified === true
+  const dim = createDimension(5, verified ? 'verified' : 'estimated')
+
+  if (!verified) {
+    dim.note('No online reviews found', 'Score held at neutral baseline')
+    return dim.result()
+  }
+
+  const reviewCount = parseAmount(communityFeedback.reviewCount) || 0
+  // With only a couple of reviews, each signal counts half
+  const weight = reviewCount < 3 ? 0.5 : 1
+  const weighted = (impact) => impact * weight
+
+  if (weight < 1) {
+    dim.note('Few reviews - signals weighted at 50%', `${reviewCount} review${reviewCount === 1 ? '' : 's'}`)
+  }
+
+  const sentiment = text(communityFeedback.sentiment).toLowerCase()
+  if (sentiment === 'positive') dim.add('Positive resident sentiment', weighted(2))
+  else if (sentiment === 'negative') dim.add('Negative resident sentiment', weighted(-2))
+  else if (sentiment === 'mixed') dim.add('Mixed resident sentiment', 0)
+
+  const rating = parseAmount(communityFeedback.averageRating) ?? parseAmount(communityFeedback.googleRating)
+  if (rating !== null && rating >= 1 && rating <= 5) {
+    dim.add('Average review rating', weighted(rating - 3), `${rating}/5`)
+  }
+
+  if (list(communityFeedback.commonComplaints).length >= 3) dim.add('Recurring complaints', weighted(-0.5))
+  if (list(communityFeedback.commonPraise).length >= 3) dim.add('Recurring praise', weighted(0.5))
+
+  return dim.result()
+}
+
+/**
+ * Legal history: higher = cleaner (lawsuits, corporate standing)
+ */
+function scoreLegalHistory(financialData, publicRecords) {
+  const verified = financialData?.verified === true
+  const lawsuits = verified ? list(financialData.data?.lawsuits) : []
+  const dim = createDimension(8, verified ? 'verified' : 'estimated')
+
+  if (!verified) {
+    dim.note('No verified legal records searched')
+  } else if (lawsuits.length === 0) {
+    dim.add('No lawsuits found', 1)
+  } else {
+    dim.add(
+      'Lawsuits on record',
+      -Math.min(lawsuits.length * 2, 6),
+      `${lawsuits.length} found`
+    )
+  }
+
+  const status = text(publicRecords?.data?.sunbiz?.status).toLowerCase()
+  if (status.includes('dissolved') || status.includes('revoked')) {
+    dim.add('Corporation dissolved or revoked', -2)
+  }
+
+  return dim.result()
+}
+
+/**
+ * Compute all HOA scores from gathered data
+ *
+ * @param {Object} hoaData - { publicRecords, communityFeedback, financialData, rulesData }
+ * @param {Object} options - { currentYear } (defaults to this year; pass for reproducible re-scoring)
+ * @returns {Object} { overallScore, scores, breakdown, weights, version }
+ */
+export function computeScores(hoaData, { currentYear = new Date().getFullYear() } = {}) {
+  const breakdown = {
+    financialHealth: scoreFinancialHealth(hoaData.financialData, currentYear),
+    restrictiveness: scoreRestrictiveness(hoaData.rulesData),
+    managementQuality: scoreManagementQuality(hoaData.publicRecords, hoaData.communityFeedback, hoaData.rulesData, currentYear),
+    communitySentiment: scoreCommunitySentiment(hoaData.communityFeedback),
+    legalHistory: scoreLegalHistory(hoaData.financialData, hoaData.publicRecords)
+  }
+
+  const scores = Object.fromEntries(
+    Object.entries(breakdown).map(([key, dimension]) => [key, dimension.score])
+  )
+
+  const overallScore = round1(
+    scores.financialHealth * SCORE_WEIGHTS.financialHealth +
+    (10 - scores.restrictiveness) * SCORE_WEIGHTS.restrictiveness +
+    scores.managementQuality * SCORE_WEIGHTS.managementQuality +
+    scores.communitySentiment * SCORE_WEIGHTS.communitySentiment +
+    scores.legalHistory * SCORE_WEIGHTS.legalHistory
+  )
+
+  return {
+    overallScore,
+    scores,
+    breakdown,
+    weights: SCORE_WEIGHTS,
+    version: SCORING_VERSION
+  }
+}
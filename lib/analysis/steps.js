@@ -0,0 +1,23 @@
+/**
+ * Analysis pipeline steps
+ * Shared by the server-side progress tracker and the AnalysisPending UI
+ */
+
+export const ANALYSIS_STEPS = [
+  { key: 'public_records', label: 'Searching public records' },
+  { key: 'sunbiz', label: 'Checking state corporate filings' },
+  { key: 'community_feedback', label: 'Gathering community feedback' },
+  { key: 'financials', label: 'Researching financials' },
+  { key: 'rules', label: 'Reviewing rules & restrictions' },
+  { key: 'geocode', label: 'Locating the community' },
+  { key: 'yelp', label: 'Gathering neighborhood data' },
+  { key: 'claude', label: 'Running AI analysis' }
+]
+
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+}
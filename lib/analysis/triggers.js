@@ -0,0 +1,94 @@
+/**
+ * Analysis Triggers
+ * Policy for on-demand analysis requests and the analysis_triggers log.
+ *
+ * A request is refused when the report is fresh and complete enough that a
+ * new run would only spend money, or when the HOA changed within the
+ * cooldown (ANALYSIS_COOLDOWN_SECONDS, default 5 minutes). Admins can force
+ * past both. A report that has no score yet skips the cooldown while its
+ * latest job failed or is still open, so the retry button AnalysisPending
+ * offers on a failed or stalled run works; an open job is deduplicated by
+ * the queue rather than run twice.
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+
+const DEFAULT_COOLDOWN_SECONDS = 5 * 60
+
+// Same bar hoa-search uses before serving a cached report
+const FRESH_ANALYSIS_DAYS = 30
+const MIN_GOOD_COMPLETENESS = 30
+
+export function getAnalysisCooldownSeconds() {
+  const seconds = parseInt(process.env.ANALYSIS_COOLDOWN_SECONDS, 10)
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_COOLDOWN_SECONDS
+}
+
+const RETRYABLE_JOB_STATUSES = ['failed', 'pending', 'processing']
+
+/**
+ * Whether a new analysis may be queued for this HOA
+ *
+ * @param {Object} hoa - { overall_score, data_completeness, last_updated }
+ * @param {Object|null} latestJob - { status } of the HOA's newest analysis job
+ * @returns {Object} { allowed } or { allowed: false, outcome: 'fresh' | 'cooldown', error, retryAfter }
+ */
+export function checkAnalysisTrigger(hoa, latestJob = null) {
+  const ageSeconds = (Date.now() - new Date(hoa.last_updated).getTime()) / 1000
+
+  const isFresh = hoa.overall_score !== null &&
+    hoa.data_completeness > MIN_GOOD_COMPLETENESS &&
+    ageSeconds < FRESH_ANALYSIS_DAYS * 24 * 60 * 60
+
+  if (isFresh) {
+    return {
+      allowed: false,
+      outcome: 'fresh',
+      error: 'This report is already up to date'
+    }
+  }
+
+  const isRetry = hoa.overall_score === null && RETRYABLE_JOB_STATUSES.includes(latestJob?.status)
+
+  const cooldown = getAnalysisCooldownSeconds()
+  if (!isRetry && ageSeconds < cooldown) {
+    const retryAfter = Math.max(1, Math.ceil(cooldown - ageSeconds))
+    return {
+      allowed: false,
+      outcome: 'cooldown',
+      retryAfter,
+      error: `This HOA was updated moments ago. Please try again in ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''}.`
+    }
+  }
+
+  return { allowed: true }
+}
+
+/**
+ * Log an analysis request and its outcome
+ * Best-effort: a lost log entry must not fail the request.
+ *
+ * @param {Object} trigger - { hoaId, userId, via, forced, outcome, jobId, meta }
+ *   meta is the request metadata from getRequestMetadata()
+ */
+export async function recordAnalysisTrigger({ hoaId, userId = null, via, forced = false, outcome, jobId = null, meta = null }) {
+  const supabase = createServiceClient()
+
+  const { error } = await supabase
+    .from('analysis_triggers')
+    .insert({
+      hoa_id: hoaId,
+      user_id: userId,
+      via,
+      forced,
+      outcome,
+      job_id: jobId,
+      ip_address: meta?.ip || null,
+      user_agent: meta?.userAgent || null,
+      session_id: meta?.sessionId || null
+    })
+
+  if (error) {
+    console.warn('⚠️ [TRIGGER] Failed to record analysis trigger:', error.message)
+  }
+}
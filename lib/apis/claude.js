@@ -6,13 +6,42 @@
  */
 
 import { logApiUsage, checkRateLimit } from '@/lib/supabase/server'
+import { computeScores } from '@/lib/analysis/scoring'
+import { ANALYSIS_SCHEMA, FEEDBACK_SCHEMA, validateSchema, repairToSchema } from '@/lib/analysis/schema'
+import { isMockMode } from '@/lib/mocks'
+import { fetchWithCassette } from '@/lib/http/cassette'
+import { mockClaudeRequest } from '@/lib/mocks/claude'
+import { CITATION_SECTIONS, buildCitationIndex, attachFlagSources } from '@/lib/analysis/citations'
+import { estimateCost } from '@/lib/apis/pricing'
+import { isOverBudget } from '@/lib/analysis/budget'
+import { getStateProfile, evaluateStateRules } from '@/lib/states'
 
 const CLAUDE_API_BASE = 'https://api.anthropic.com/v1/messages'
 
+export const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929' // Claude Sonnet 4.5 (Nov 2025)
+
+// Bump whenever the HOA analysis prompt or output format changes,
+// so analysis history can tell prompt changes apart from data changes
+export const ANALYSIS_PROMPT_VERSION = 'states-v4'
+
+// How many times we send validation errors back to Claude before giving up
+const MAX_REPAIR_ATTEMPTS = 2
+
+// Upper bound when a truncated response is retried with more room
+const MAX_REPAIR_TOKENS = 8000
+
 /**
  * Make request to Claude API
+ * Returns the response text along with model and token usage
+ *
+ * options.task names the kind of request (hoa_analysis, feedback_summary,
+ * neighborhood_vibe) so mock mode can answer it
  */
 async function claudeRequest(messages, options = {}) {
+  if (isMockMode()) {
+    return mockClaudeRequest(messages, options)
+  }
+
   // Validate API key is present
   if (!process.env.ANTHROPIC_API_KEY) {
     console.error('❌ [CLAUDE] ANTHROPIC_API_KEY environment variable is not set')
@@ -38,7 +67,7 @@ async function claudeRequest(messages, options = {}) {
 
   try {
     const requestBody = {
-      model: 'claude-sonnet-4-5-20250929', // Claude Sonnet 4.5 (Nov 2025)
+      model: CLAUDE_MODEL,
       max_tokens: maxTokens,
       temperature,
       messages
@@ -49,7 +78,7 @@ async function claudeRequest(messages, options = {}) {
       requestBody.system = system
     }
 
-    const response = await fetch(CLAUDE_API_BASE, {
+    const response = await fetchWithCassette('claude', CLAUDE_API_BASE, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -66,14 +95,19 @@ async function claudeRequest(messages, options = {}) {
     console.log('🤖 [CLAUDE] Response data keys:', Object.keys(data))
 
     // Extract token usage for cost tracking
-    const tokensUsed = data.usage?.input_tokens + data.usage?.output_tokens || 0
-    const costEstimate = (tokensUsed / 1000) * 0.003 // Approximate cost per 1K tokens
+    const inputTokens = data.usage?.input_tokens || 0
+    const outputTokens = data.usage?.output_tokens || 0
+    const tokensUsed = inputTokens + outputTokens
+    const costEstimate = estimateCost(CLAUDE_MODEL, { inputTokens, outputTokens })
 
     // Log API usage
     await logApiUsage('claude', {
       endpoint: '/messages',
+      model: CLAUDE_MODEL,
       response_time_ms: responseTime,
       status_code: response.status,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
       tokens_used: tokensUsed,
       cost_estimate: costEstimate
     })
@@ -96,7 +130,13 @@ async function claudeRequest(messages, options = {}) {
     }
 
     console.log('✅ [CLAUDE] API request successful, tokens used:', tokensUsed)
-    return data.content[0].text
+    return {
+      text: data.content[0].text,
+      model: data.model || CLAUDE_MODEL,
+      stopReason: data.stop_reason,
+      tokensUsed,
+      costEstimate
+    }
   } catch (error) {
     await logApiUsage('claude', {
       endpoint: '/messages',
@@ -107,11 +147,166 @@ async function claudeRequest(messages, options = {}) {
   }
 }
 
+/**
+ * Extract the JSON object from a Claude response
+ * Strips markdown code fences and any prose around the object
+ */
+function parseJsonResponse(text) {
+  let cleaned = text.trim()
+
+  if (cleaned.startsWith('```')) {
+    cleaned = cleaned.replace(/^```(?:json)?\s*/, '').replace(/```$/, '').trim()
+    console.log('🧹 [CLAUDE] Stripped markdown code blocks from response')
+  }
+
+  const start = cleaned.indexOf('{')
+  const end = cleaned.lastIndexOf('}')
+  if (start > 0 || (end !== -1 && end < cleaned.length - 1)) {
+    cleaned = cleaned.slice(start, end + 1)
+  }
+
+  return JSON.parse(cleaned)
+}
+
+/**
+ * Request JSON from Claude and validate it against a schema
+ *
+ * When the response doesn't parse or doesn't match the schema, the errors are
+ * sent back to Claude in the same conversation and it is asked for a corrected
+ * object, up to MAX_REPAIR_ATTEMPTS times.
+ *
+ * @returns {Object} { value, errors, attempts, model, tokensUsed, costEstimate }
+ *   value is null when no attempt produced parseable JSON; errors lists what
+ *   is still wrong with the last attempt
+ */
+async function requestValidatedJson(messages, options, { schema, label }) {
+  const conversation = [...messages]
+  let requestOptions = { ...options }
+  const result = { value: null, errors: [], attempts: 0, model: CLAUDE_MODEL, tokensUsed: 0, costEstimate: 0 }
+
+  while (result.attempts <= MAX_REPAIR_ATTEMPTS) {
+    result.attempts++
+    const response = await claudeRequest(conversation, requestOptions)
+    result.model = response.model
+    result.tokensUsed += response.tokensUsed
+    result.costEstimate += response.costEstimate
+
+    let repairPrompt
+    try {
+      const parsed = parseJsonResponse(response.text)
+      const errors = validateSchema(parsed, schema)
+
+      // Keep the latest parseable attempt even if it still has errors
+      result.value = parsed
+      result.errors = errors
+
+      if (errors.length === 0) {
+        if (result.attempts > 1) {
+          console.log(`✅ [CLAUDE] ${label} repaired after ${result.attempts - 1} retry(s)`)
+        }
+        return result
+      }
+
+      console.warn(`⚠️ [CLAUDE] ${label} failed validation (${errors.length} errors):`, errors.slice(0, 5))
+      repairPrompt = `Your JSON did not match the required format:
+${errors.slice(0, 15).map(error => `- ${error}`).join('\n')}
+
+Return the COMPLETE corrected JSON object with these problems fixed. Return ONLY the JSON.`
+    } catch (parseError) {
+      const truncated = response.stopReason === 'max_tokens'
+      result.errors = [truncated ? 'response was truncated' : `invalid JSON: ${parseError.message}`]
+      console.warn(`⚠️ [CLAUDE] ${label} response was not valid JSON:`, result.errors[0])
+
+      if (truncated) {
+        requestOptions = {
+          ...requestOptions,
+          maxTokens: Math.min(Math.round((requestOptions.maxTokens || 4000) * 1.5), MAX_REPAIR_TOKENS)
+        }
+      }
+
+      repairPrompt = truncated
+        ? 'Your response was cut off before the JSON was complete. Return the COMPLETE JSON object again, keeping descriptions brief. Return ONLY the JSON.'
+        : `Your response could not be parsed as JSON (${parseError.message}). Return the COMPLETE JSON object only, with no text before or after it.`
+    }
+
+    // Repairs are retries of work we already paid for - stop once over budget
+    if (isOverBudget()) {
+      console.warn(`💸 [CLAUDE] Analysis budget reached, not repairing ${label}`)
+      break
+    }
+
+    conversation.push(
+      { role: 'assistant', content: response.text },
+      { role: 'user', content: repairPrompt }
+    )
+  }
+
+  return result
+}
+
+/**
+ * Format the scoring breakdown for the prompt
+ */
+function formatScoringForPrompt(scoring) {
+  const lines = [`Overall: ${scoring.overallScore}/10`]
+
+  for (const [key, dimension] of Object.entries(scoring.breakdown)) {
+    lines.push(`${key}: ${dimension.score}/10 (${dimension.basis})`)
+    for (const factor of dimension.factors) {
+      const impact = factor.impact > 0 ? `+${factor.impact}` : `${factor.impact}`
+      lines.push(`  - ${factor.label}${factor.detail ? ` (${factor.detail})` : ''}: ${impact}`)
+    }
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Format the numbered source list for the prompt
+ * "[2] https://sunbiz.org/... — Florida SunBiz, retrieved 2025-03-01"
+ */
+function formatCitationsForPrompt(citations, profile) {
+  if (citations.length === 0) return 'No sources available.'
+
+  return citations.map(citation => {
+    const label = citation.section === 'sunbiz'
+      ? profile.registry.name
+      : CITATION_SECTIONS[citation.section] || citation.section
+    return `[${citation.index}] ${citation.url} — ${label}, retrieved ${citation.retrievedAt.slice(0, 10)}`
+  }).join('\n')
+}
+
+/**
+ * Add the state rules' flags ahead of Claude's, skipping any Claude already
+ * raised under the same title
+ */
+function withStateFlags(analysis, stateFlags) {
+  for (const key of ['redFlags', 'yellowFlags']) {
+    const existing = analysis[key] || []
+    const titles = new Set(existing.map(flag => flag.title?.toLowerCase()))
+    analysis[key] = [
+      ...stateFlags[key].filter(flag => !titles.has(flag.title.toLowerCase())),
+      ...existing
+    ]
+  }
+  return analysis
+}
+
 /**
  * Analyze HOA data and generate comprehensive report
- * Enhanced for Florida HOAs with state-specific considerations
+ * Legal context, registry and red-flag rules come from the HOA's state profile
+ *
+ * Scores come from the deterministic scoring engine; Claude writes the
+ * narrative (summary, flags, insights) around them.
  */
 export async function analyzeHOAData(hoaData, yelpData = null) {
+  const scoring = computeScores(hoaData)
+  const citations = buildCitationIndex(hoaData)
+  const profile = getStateProfile(hoaData.state)
+  const { registry } = profile
+  const stateFlags = evaluateStateRules(profile, hoaData)
+  const stateFlagTitles = [...stateFlags.redFlags, ...stateFlags.yellowFlags].map(flag => flag.title)
+
   // Extract verification status for data quality awareness
   const publicRecordsVerified = hoaData.publicRecords?.confidence === 'high'
   const sunbizVerified = !!hoaData.publicRecords?.data?.sunbiz?.documentNumber
@@ -129,30 +324,25 @@ export async function analyzeHOAData(hoaData, yelpData = null) {
   const hasAddress = !!contactInfo.address || !!hoaData.publicRecords?.data?.sunbiz?.principalAddress
   const hasAnyContactInfo = hasPhone || hasEmail || hasWebsite || hasAddress || !!sunbizAgent
 
-  const system = `You are a real estate analyst specializing in Florida HOA evaluation with 20+ years of experience helping homebuyers make informed decisions about Florida properties.
+  const system = `You are a real estate analyst specializing in ${profile.name} HOA evaluation with 20+ years of experience helping homebuyers make informed decisions about ${profile.name} properties.
 
 Your analysis must be:
 - HONEST and DIRECT about problems
 - SPECIFIC with examples from the data
 - ACTIONABLE with clear next steps
 - BALANCED showing both positives and negatives
-- AWARE of Florida-specific HOA laws and considerations
+- AWARE of ${profile.name}-specific HOA laws and considerations
 
-FLORIDA-SPECIFIC CONTEXT:
-- Florida Statute 720 governs HOAs (Homeowners' Associations Act)
-- Florida has mandatory reserve fund requirements (post-Surfside reforms)
-- Florida HOAs must provide governing documents within 10 days of request
-- Hurricane preparedness is critical for Florida properties
-- Many Florida communities are 55+ age-restricted
-- Florida has strict condo/HOA disclosure requirements for buyers
+${profile.name.toUpperCase()}-SPECIFIC CONTEXT:
+${profile.context.map(line => `- ${line}`).join('\n')}
 
 DATA VERIFICATION:
 When analyzing, give MORE WEIGHT to verified data and note when data is estimated:
-- SunBiz Verified: ${sunbizVerified ? 'YES - Corporation data from Florida records' : 'NO'}
+- ${registry.name} Verified: ${sunbizVerified ? `YES - Corporation data from ${registry.agency} records` : 'NO'}
 - Public Records Verified: ${publicRecordsVerified ? 'YES' : 'Partial/Estimated'}
 - Community Feedback Verified: ${communityFeedbackVerified ? 'YES - Real reviews found' : 'NO - Estimated'}
 - Financial Data Verified: ${financialDataVerified ? 'YES' : 'NO - Estimated'}
-- Rules Data Verified: ${rulesDataVerified ? 'YES' : 'NO - Typical Florida HOA rules'}
+- Rules Data Verified: ${rulesDataVerified ? 'YES' : `NO - Typical ${profile.name} HOA rules`}
 
 CONTACT INFO AVAILABLE:
 ${hasAnyContactInfo ? `Contact information IS available:` : `WARNING: No contact info found.`}
@@ -160,34 +350,39 @@ ${hasAnyContactInfo ? `Contact information IS available:` : `WARNING: No contact
 - Email: ${hasEmail ? 'YES' : 'NO'}
 - Website: ${hasWebsite ? 'YES' : 'NO'}
 - Address: ${hasAddress ? 'YES' : 'NO'}
-- SunBiz Registered Agent: ${sunbizAgent ? 'YES' : 'NO'}
+- ${registry.name} Registered Agent: ${sunbizAgent ? 'YES' : 'NO'}
 
 IMPORTANT FLAG RULES:
 - Do NOT flag "No Contact Information" if there IS a website, address, or registered agent
 - A website IS a form of contact - users can reach the HOA through it
-- SunBiz registered agent address IS contact info for official correspondence
+- The registered agent address IS contact info for official correspondence
 - Only flag "No Contact Info" as a red flag if ALL of the above are missing
+${stateFlagTitles.length > 0 ? `- These flags are added automatically from ${profile.name} filing and statute checks - do NOT repeat them: ${stateFlagTitles.join('; ')}
+` : ''}
+SCORES:
+Scores are computed by our scoring engine from the structured data and are FINAL.
+Do not invent different numbers. Your flags and summary must be consistent with them.
 
-Remember: This is potentially a $300,000+ decision in Florida. Be thorough and truthful.`
+Remember: This is potentially a $300,000+ decision in ${profile.name}. Be thorough and truthful.`
 
-  const prompt = `Analyze this Florida HOA data and provide a comprehensive evaluation for a potential homebuyer.
+  const prompt = `Analyze this ${profile.name} HOA data and provide a comprehensive evaluation for a potential homebuyer.
 
 HOA INFORMATION:
 Name: ${hoaData.hoaName || 'Unknown'}
-Location: ${hoaData.city}, FL ${hoaData.zipCode}
+Location: ${hoaData.city}, ${profile.code} ${hoaData.zipCode}
 County: ${hoaData.publicRecords?.data?.county || 'Unknown'}
 Monthly Fee: ${hoaData.monthlyFee ? `$${hoaData.monthlyFee}` : 'Unknown'}
 Total Units: ${hoaData.totalUnits || hoaData.publicRecords?.data?.totalUnits || 'Unknown'}
 Management: ${hoaData.managementCompany || hoaData.publicRecords?.data?.managementCompany?.name || 'Unknown'}
 ${is55Plus ? '⚠️ 55+ AGE-RESTRICTED COMMUNITY' : ''}
 
-FLORIDA SUNBIZ CORPORATION DATA:
+${registry.name.toUpperCase()} CORPORATION DATA:
 ${hoaData.publicRecords?.data?.sunbiz ? `
 Status: ${hoaData.publicRecords.data.sunbiz.status || 'Unknown'}
 Document Number: ${hoaData.publicRecords.data.sunbiz.documentNumber || 'Not found'}
 Registered Agent: ${hoaData.publicRecords.data.sunbiz.registeredAgent?.name || 'Unknown'}
 Filing Date: ${hoaData.publicRecords.data.sunbiz.filingDate || 'Unknown'}
-Last Annual Report: ${hoaData.publicRecords.data.sunbiz.lastAnnualReport || 'Unknown'}` : 'Not verified through SunBiz'}
+Last Annual Report: ${hoaData.publicRecords.data.sunbiz.lastAnnualReport || 'Unknown'}` : `Not verified through ${registry.name}`}
 
 PUBLIC RECORDS DATA (Confidence: ${hoaData.publicRecords?.confidence || 'low'}):
 ${JSON.stringify(hoaData.publicRecords?.data || {}, null, 2)}
@@ -209,26 +404,24 @@ Beaches: ${yelpData.statistics?.beaches || 0}
 Golf Courses: ${yelpData.statistics?.golf || 0}
 Overall vibe: ${yelpData.vibe?.description || 'Not available'}` : ''}
 
+COMPUTED SCORES (restrictiveness: 10 = very restrictive; legalHistory: 10 = clean history):
+${formatScoringForPrompt(scoring)}
+
+SOURCES (cite these by number in each flag's "citations"; use [] if a flag isn't backed by a listed source):
+${formatCitationsForPrompt(citations, profile)}
+
 Provide your analysis in this EXACT JSON format:
 
 {
-  "overallScore": [0-10 score as number],
   "oneSentenceSummary": "[One clear sentence summarizing the HOA]",
 
-  "scores": {
-    "financialHealth": [0-10],
-    "restrictiveness": [0-10 where 10 = very restrictive],
-    "managementQuality": [0-10],
-    "communitySentiment": [0-10],
-    "legalHistory": [0-10 where 10 = clean history]
-  },
-
   "redFlags": [
     {
       "title": "[Serious issue title]",
       "description": "[1-2 sentences explaining why this matters]",
       "severity": "high",
-      "source": "[Where this info came from]"
+      "source": "[Where this info came from]",
+      "citations": [1, 3]
     }
   ],
 
@@ -237,7 +430,8 @@ Provide your analysis in this EXACT JSON format:
       "title": "[Concern title]",
       "description": "[1-2 sentences explaining the concern]",
       "severity": "moderate",
-      "source": "[Data source]"
+      "source": "[Data source]",
+      "citations": [2]
     }
   ],
 
@@ -246,7 +440,8 @@ Provide your analysis in this EXACT JSON format:
       "title": "[Positive aspect]",
       "description": "[Why this is good for buyers]",
       "severity": "positive",
-      "source": "[Data source]"
+      "source": "[Data source]",
+      "citations": []
     }
   ],
 
@@ -328,32 +523,49 @@ CRITICAL: Return ONLY the JSON object. No additional text before or after.`
   ]
 
   try {
-    const response = await claudeRequest(messages, { system, temperature: 0.7 })
-
-    // Clean response - strip markdown code blocks if present
-    let cleanedResponse = response.trim()
-    const hadMarkdown = cleanedResponse.startsWith('```')
-    if (cleanedResponse.startsWith('```json')) {
-      cleanedResponse = cleanedResponse.slice(7)
-    } else if (cleanedResponse.startsWith('```')) {
-      cleanedResponse = cleanedResponse.slice(3)
-    }
-    if (cleanedResponse.endsWith('```')) {
-      cleanedResponse = cleanedResponse.slice(0, -3)
+    const response = await requestValidatedJson(messages, { system, temperature: 0.7, task: 'hoa_analysis' }, {
+      schema: ANALYSIS_SCHEMA,
+      label: 'HOA analysis'
+    })
+
+    if (!response.value) {
+      throw new Error(`Unparseable analysis after ${response.attempts} attempts: ${response.errors[0]}`)
     }
-    cleanedResponse = cleanedResponse.trim()
 
-    if (hadMarkdown) {
-      console.log('🧹 [CLAUDE] Stripped markdown code blocks from response')
+    // Whatever is still wrong after the repair loop is filled in section by
+    // section from the rule-based analysis, rather than discarding everything
+    const defaults = generateFallbackAnalysis(hoaData, yelpData, null, scoring)
+    const { value: analysis, filled, dropped, unrecoverable } = repairToSchema(response.value, ANALYSIS_SCHEMA, defaults)
+
+    if (unrecoverable.length > 0) {
+      throw new Error(`Invalid analysis format: ${unrecoverable.join(', ')} missing or invalid`)
     }
 
-    // Parse JSON response
-    const analysis = JSON.parse(cleanedResponse)
+    if (filled.length > 0 || dropped.length > 0) {
+      console.warn('⚠️ [CLAUDE] Filled analysis fields from defaults:', filled, '| dropped:', dropped)
+    }
     console.log('✅ [CLAUDE] Successfully parsed HOA analysis JSON')
 
-    // Validate response structure
-    if (!analysis.overallScore || !analysis.scores) {
-      throw new Error('Invalid analysis format')
+    analysis.overallScore = scoring.overallScore
+    analysis.scores = scoring.scores
+    analysis.scoreBreakdown = scoring.breakdown
+    analysis.scoringVersion = scoring.version
+
+    analysis.citations = citations
+    analysis.redFlags = attachFlagSources(analysis.redFlags, citations)
+    analysis.yellowFlags = attachFlagSources(analysis.yellowFlags, citations)
+    analysis.greenFlags = attachFlagSources(analysis.greenFlags, citations)
+    withStateFlags(analysis, stateFlags)
+
+    analysis.analysisMeta = {
+      model: response.model,
+      promptVersion: ANALYSIS_PROMPT_VERSION,
+      state: profile.code,
+      tokensUsed: response.tokensUsed,
+      costEstimate: response.costEstimate,
+      attempts: response.attempts,
+      filledFields: filled,
+      droppedFields: dropped
     }
 
     return analysis
@@ -361,7 +573,7 @@ CRITICAL: Return ONLY the JSON object. No additional text before or after.`
     console.error('HOA analysis error:', error)
 
     // Return fallback analysis if AI fails
-    return generateFallbackAnalysis(hoaData, yelpData)
+    return withStateFlags(generateFallbackAnalysis(hoaData, yelpData, error.message, scoring), stateFlags)
   }
 }
 
@@ -401,10 +613,11 @@ Just provide the 1-2 sentence description, nothing else.`
   try {
     const response = await claudeRequest(messages, {
       maxTokens: 200,
-      temperature: 0.8
+      temperature: 0.8,
+      task: 'neighborhood_vibe'
     })
 
-    return response.trim()
+    return response.text.trim()
   } catch (error) {
     console.error('Vibe generation error:', error)
 
@@ -421,11 +634,7 @@ Just provide the 1-2 sentence description, nothing else.`
  */
 export async function analyzeCommunityFeedback(feedback) {
   if (!feedback || feedback.length === 0) {
-    return {
-      sentiment: 'unknown',
-      summary: 'No community feedback available',
-      themes: []
-    }
+    return fallbackFeedbackSummary('No community feedback available')
   }
 
   const prompt = `Analyze this community feedback about an HOA and identify key themes and overall sentiment.
@@ -452,65 +661,67 @@ Return ONLY the JSON.`
   ]
 
   try {
-    const response = await claudeRequest(messages, {
-      maxTokens: 500,
-      temperature: 0.5
+    const response = await requestValidatedJson(messages, { maxTokens: 500, temperature: 0.5, task: 'feedback_summary' }, {
+      schema: FEEDBACK_SCHEMA,
+      label: 'Feedback analysis'
     })
 
-    return JSON.parse(response)
+    if (!response.value) {
+      throw new Error(`Unparseable feedback summary: ${response.errors[0]}`)
+    }
+
+    const { value, unrecoverable } = repairToSchema(
+      response.value,
+      FEEDBACK_SCHEMA,
+      fallbackFeedbackSummary('Unable to analyze feedback')
+    )
+
+    if (unrecoverable.length > 0) {
+      throw new Error(`Invalid feedback summary: ${unrecoverable.join(', ')} missing or invalid`)
+    }
+
+    return value
   } catch (error) {
     console.error('Feedback analysis error:', error)
 
-    return {
-      sentiment: 'unknown',
-      summary: 'Unable to analyze feedback',
-      themes: []
-    }
+    return fallbackFeedbackSummary('Unable to analyze feedback')
+  }
+}
+
+function fallbackFeedbackSummary(summary) {
+  return {
+    sentiment: 'unknown',
+    summary,
+    themes: [],
+    positiveThemes: [],
+    negativeThemes: [],
+    concernLevel: 'unknown'
   }
 }
 
 /**
  * Generate fallback analysis when AI is unavailable
- * Uses rule-based scoring as backup
+ * Scores still come from the scoring engine; only the narrative is generic
  */
-function generateFallbackAnalysis(hoaData, yelpData) {
-  // Basic scoring logic
-  let financialScore = 5
-  let restrictiveScore = 5
-  let managementScore = 5
-  let communityScore = 5
-  let legalScore = 8
-
-  // Adjust scores based on available data
-  if (hoaData.monthlyFee) {
-    financialScore = hoaData.monthlyFee > 500 ? 4 :
-                    hoaData.monthlyFee > 300 ? 6 : 7
-  }
-
-  if (hoaData.publicRecords?.lawsuits?.length > 0) {
-    legalScore = 3
-  }
-
-  const overallScore = (
-    financialScore * 0.3 +
-    (10 - restrictiveScore) * 0.15 +
-    managementScore * 0.25 +
-    communityScore * 0.2 +
-    legalScore * 0.1
-  ).toFixed(1)
-
+function generateFallbackAnalysis(hoaData, yelpData, reason = null, scoring = computeScores(hoaData)) {
   return {
-    overallScore: parseFloat(overallScore),
+    overallScore: scoring.overallScore,
     oneSentenceSummary: 'Limited data available for comprehensive HOA analysis.',
-
-    scores: {
-      financialHealth: financialScore,
-      restrictiveness: restrictiveScore,
-      managementQuality: managementScore,
-      communitySentiment: communityScore,
-      legalHistory: legalScore
+    isFallback: true,
+    fallbackReason: reason,
+    analysisMeta: {
+      model: null,
+      promptVersion: ANALYSIS_PROMPT_VERSION,
+      state: getStateProfile(hoaData.state).code,
+      tokensUsed: 0,
+      costEstimate: 0
     },
 
+    scores: scoring.scores,
+    scoreBreakdown: scoring.breakdown,
+    scoringVersion: scoring.version,
+    citations: buildCitationIndex(hoaData),
+
     redFlags: [],
     yellowFlags: [
       {
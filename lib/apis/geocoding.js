@@ -1,337 +1,170 @@
 /**
- * Google Maps Geocoding API Integration
- * Converts addresses to coordinates and extracts location components
+ * Geocoding Service
+ * One entry point for forward and reverse geocoding, used by the search
+ * action, the analysis pipeline and /api/hoa/geocode. Providers are tried in
+ * order until one answers:
  *
- * Alternative: Can use Mapbox or other geocoding services if preferred
+ *   1. Google Maps (when GOOGLE_MAPS_API_KEY is set)
+ *   2. OpenStreetMap Nominatim
+ *   3. Offline gazetteer - ZIP/city centroids only (lib/geo/gazetteer.js)
+ *
+ * Every provider returns the same shape: formattedAddress, lat, lng, the
+ * address components (streetAddress, city, county, state, stateCode,
+ * zipCode, ...), placeId, precision ('address' | 'area' | 'zip_centroid' |
+ * 'city_centroid'), confidence (0-1) and source (the provider).
+ *
+ * Google and Nominatim answers are cached in geocode_cache by normalized
+ * address or rounded coordinates.
  */
 
-import { logApiUsage } from '@/lib/supabase/server'
+import { createServiceClient } from '@/lib/supabase/server'
+import { isMockMode } from '@/lib/mocks'
+import { mockGeocodeAddress, mockReverseGeocode } from '@/lib/mocks/geocoding'
+import google from '@/lib/geo/providers/google'
+import nominatim from '@/lib/geo/providers/nominatim'
+import gazetteer from '@/lib/geo/providers/gazetteer'
+
+const PROVIDERS = [google, nominatim, gazetteer]
 
-const GOOGLE_GEOCODING_API = 'https://maps.googleapis.com/maps/api/geocode/json'
+const CACHE_TTL_SECONDS = 90 * 24 * 60 * 60
 
 /**
- * Geocode an address to get coordinates and components
+ * Cache key form of an address: case, punctuation and a trailing "USA"
+ * don't make a different address
  */
-export async function geocodeAddress(address) {
-  if (!address) {
-    throw new Error('Address is required for geocoding')
-  }
+function normalizeAddress(address) {
+  return address
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\s(usa?|united states( of america)?)$/, '')
+    .trim()
+}
 
-  console.log('🔍 [GEOCODING] Starting geocode for address:', address)
+async function readCache(supabase, key) {
+  const { data, error } = await supabase
+    .from('geocode_cache')
+    .select('result, expires_at')
+    .eq('key', key)
+    .maybeSingle()
 
-  // Check if Google Maps API key is configured
-  if (!process.env.GOOGLE_MAPS_API_KEY) {
-    console.warn('⚠️ [GEOCODING] Google Maps API key not configured, using fallback geocoding')
-    return fallbackGeocode(address)
+  if (error) {
+    console.warn('⚠️ [GEOCODING] Cache read failed:', error.message)
+    return null
   }
 
-  console.log('✅ [GEOCODING] Google Maps API key found, using Google Geocoding API')
-  const startTime = Date.now()
-
-  try {
-    const url = new URL(GOOGLE_GEOCODING_API)
-    url.searchParams.append('address', address)
-    url.searchParams.append('key', process.env.GOOGLE_MAPS_API_KEY)
-
-    console.log('📡 [GEOCODING] Calling Google Maps API...')
-    const response = await fetch(url.toString())
-    const responseTime = Date.now() - startTime
-
-    if (!response.ok) {
-      console.error('❌ [GEOCODING] API HTTP error:', response.status)
-      throw new Error(`Geocoding API error: ${response.status}`)
-    }
-
-    const data = await response.json()
-    console.log('📊 [GEOCODING] API Response Status:', data.status)
-    console.log('📊 [GEOCODING] API Response Time:', responseTime + 'ms')
-
-    // Log API usage
-    await logApiUsage('google_maps', {
-      endpoint: '/geocode',
-      response_time_ms: responseTime,
-      status_code: response.status
-    })
-
-    if (data.status !== 'OK' || !data.results || data.results.length === 0) {
-      console.error('❌ [GEOCODING] API returned non-OK status:', data.status, data.error_message)
-      console.warn('⚠️ [GEOCODING] Falling back to manual geocoding')
-      return fallbackGeocode(address)
-    }
-
-    // Parse the first result
-    const result = data.results[0]
-    const components = parseAddressComponents(result.address_components)
-    const confidence = getConfidenceScore(result)
-
-    const geocodedResult = {
-      formattedAddress: result.formatted_address,
-      lat: result.geometry.location.lat,
-      lng: result.geometry.location.lng,
-      ...components,
-      placeId: result.place_id,
-      confidence
-    }
-
-    console.log('✅ [GEOCODING] Successfully geocoded via Google Maps API')
-    console.log('📍 [GEOCODING] Location:', geocodedResult.city, geocodedResult.state, geocodedResult.zipCode)
-    console.log('📍 [GEOCODING] Coordinates:', geocodedResult.lat, geocodedResult.lng)
-    console.log('📍 [GEOCODING] Confidence:', confidence)
+  const hit = data && new Date(data.expires_at) > new Date()
+  const { error: statsError } = await supabase.rpc('record_cache_event', {
+    p_namespace: 'geocode',
+    p_event: hit ? 'hit' : 'miss',
+    p_key: hit ? key : null
+  })
+  if (statsError) {
+    console.warn('⚠️ [GEOCODING] Failed to record cache event:', statsError.message)
+  }
 
-    return geocodedResult
-  } catch (error) {
-    console.error('❌ [GEOCODING] Exception caught:', error.message)
+  return hit ? data.result : null
+}
 
-    // Log error
-    await logApiUsage('google_maps', {
-      endpoint: '/geocode',
-      error_message: error.message,
-      status_code: 500
+async function writeCache(supabase, key, query, result) {
+  const now = new Date()
+  const { error } = await supabase
+    .from('geocode_cache')
+    .upsert({
+      key,
+      query,
+      provider: result.source,
+      result,
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + CACHE_TTL_SECONDS * 1000).toISOString(),
+      hit_count: 0,
+      last_hit_at: null
     })
 
-    // Use fallback geocoding
-    console.warn('⚠️ [GEOCODING] Falling back to manual geocoding due to exception')
-    return fallbackGeocode(address)
+  if (error) {
+    console.warn('⚠️ [GEOCODING] Cache write failed:', error.message)
   }
 }
 
 /**
- * Reverse geocode coordinates to get address
+ * Cached answer, else the first provider in the chain that has one
+ * Provider errors and cache failures never fail the caller - the chain
+ * just moves on.
  */
-export async function reverseGeocode(lat, lng) {
-  if (!lat || !lng) {
-    throw new Error('Coordinates are required for reverse geocoding')
-  }
+async function resolve(key, query, lookup) {
+  const supabase = createServiceClient()
 
-  if (!process.env.GOOGLE_MAPS_API_KEY) {
-    return {
-      formattedAddress: `${lat}, ${lng}`,
-      city: 'Unknown',
-      state: 'Unknown',
-      zipCode: 'Unknown'
-    }
+  const cached = await readCache(supabase, key)
+  if (cached) {
+    console.log(`📦 [GEOCODING] Cache hit (${cached.source}) for:`, query)
+    return cached
   }
 
-  try {
-    const url = new URL(GOOGLE_GEOCODING_API)
-    url.searchParams.append('latlng', `${lat},${lng}`)
-    url.searchParams.append('key', process.env.GOOGLE_MAPS_API_KEY)
+  for (const provider of PROVIDERS) {
+    if (!provider.isAvailable()) continue
 
-    const response = await fetch(url.toString())
-
-    if (!response.ok) {
-      throw new Error(`Reverse geocoding API error: ${response.status}`)
-    }
-
-    const data = await response.json()
-
-    if (data.status !== 'OK' || !data.results || data.results.length === 0) {
-      throw new Error(`Reverse geocoding failed: ${data.status}`)
-    }
-
-    const result = data.results[0]
-    const components = parseAddressComponents(result.address_components)
+    try {
+      const result = await lookup(provider)
+      if (!result) {
+        console.log(`🔍 [GEOCODING] ${provider.name}: no result`)
+        continue
+      }
 
-    return {
-      formattedAddress: result.formatted_address,
-      ...components
-    }
-  } catch (error) {
-    console.error('Reverse geocoding error:', error)
-
-    return {
-      formattedAddress: `${lat}, ${lng}`,
-      city: 'Unknown',
-      state: 'Unknown',
-      zipCode: 'Unknown'
+      console.log(`✅ [GEOCODING] ${provider.name}: ${result.city}, ${result.stateCode} ${result.zipCode} (${result.precision}, ${result.confidence})`)
+      if (provider.cacheable) {
+        await writeCache(supabase, key, query, result)
+      }
+      return result
+    } catch (error) {
+      console.error(`❌ [GEOCODING] ${provider.name} failed:`, error.message)
     }
   }
+
+  console.warn('⚠️ [GEOCODING] No provider could locate:', query)
+  return null
 }
 
 /**
- * Parse address components from Google's response
+ * Geocode an address to get coordinates and components
+ * @returns {Promise<Object|null>} null when the address can't be located at all
  */
-function parseAddressComponents(components) {
-  const parsed = {
-    streetNumber: '',
-    street: '',
-    city: '',
-    county: '',
-    state: '',
-    stateCode: '',
-    country: '',
-    countryCode: '',
-    zipCode: '',
-    neighborhood: ''
+export async function geocodeAddress(address) {
+  if (!address) {
+    throw new Error('Address is required for geocoding')
   }
 
-  if (!components) return parsed
-
-  components.forEach(component => {
-    const types = component.types
-
-    if (types.includes('street_number')) {
-      parsed.streetNumber = component.long_name
-    }
-    if (types.includes('route')) {
-      parsed.street = component.long_name
-    }
-    if (types.includes('locality')) {
-      parsed.city = component.long_name
-    }
-    if (types.includes('administrative_area_level_2')) {
-      parsed.county = component.long_name
-    }
-    if (types.includes('administrative_area_level_1')) {
-      parsed.state = component.long_name
-      parsed.stateCode = component.short_name
-    }
-    if (types.includes('country')) {
-      parsed.country = component.long_name
-      parsed.countryCode = component.short_name
-    }
-    if (types.includes('postal_code')) {
-      parsed.zipCode = component.long_name
-    }
-    if (types.includes('neighborhood')) {
-      parsed.neighborhood = component.long_name
-    }
-    // Sometimes the city is stored as sublocality
-    if (types.includes('sublocality_level_1') && !parsed.city) {
-      parsed.city = component.long_name
-    }
-  })
+  console.log('🔍 [GEOCODING] Geocoding address:', address)
 
-  // Build full street address
-  if (parsed.streetNumber && parsed.street) {
-    parsed.streetAddress = `${parsed.streetNumber} ${parsed.street}`
-  } else {
-    parsed.streetAddress = parsed.street
+  if (isMockMode()) {
+    return mockGeocodeAddress(address) || gazetteer.geocode(address)
   }
 
-  return parsed
+  return resolve(`address:${normalizeAddress(address)}`, address, provider => provider.geocode(address))
 }
 
 /**
- * Calculate confidence score for geocoding result
+ * Reverse geocode coordinates to get address
+ * @returns {Promise<Object|null>} null when nothing is known there
  */
-function getConfidenceScore(result) {
-  // Higher confidence for more precise location types
-  const locationType = result.geometry.location_type
-
-  const scores = {
-    'ROOFTOP': 1.0,              // Precise location
-    'RANGE_INTERPOLATED': 0.8,   // Approximate location
-    'GEOMETRIC_CENTER': 0.6,     // Center of area
-    'APPROXIMATE': 0.4            // Rough approximation
+export async function reverseGeocode(lat, lng) {
+  if (!lat || !lng) {
+    throw new Error('Coordinates are required for reverse geocoding')
+  }
+
+  if (isMockMode()) {
+    return mockReverseGeocode(lat, lng)
   }
 
-  return scores[locationType] || 0.5
+  // ~1 meter
+  const key = `latlng:${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`
+  return resolve(key, `${lat}, ${lng}`, provider => provider.reverse(lat, lng))
 }
 
 /**
- * Fallback geocoding without Google Maps API
- * Uses a simple parsing approach for demo purposes
+ * Whether a result is only a ZIP or city centroid from the offline gazetteer
+ * - fine for neighborhood context, never for telling one address from another
  */
-function fallbackGeocode(address) {
-  console.log('🔄 [FALLBACK GEOCODING] Starting fallback geocoding')
-  console.log('🔄 [FALLBACK GEOCODING] Input address:', address)
-
-  // Parse address string manually
-  const parts = address.split(',').map(s => s.trim())
-  console.log('🔄 [FALLBACK GEOCODING] Address parts:', parts)
-
-  // Try to extract city, state, zip from address
-  let city = ''
-  let state = ''
-  let zipCode = ''
-
-  // Common address patterns
-  // "123 Main St, Los Angeles, CA 90001"
-  // "Los Angeles, CA"
-  // "90001"
-
-  if (parts.length >= 2) {
-    // Assume last part might be "STATE ZIP" or just "STATE"
-    const lastPart = parts[parts.length - 1]
-    const stateZipMatch = lastPart.match(/^([A-Z]{2})\s*(\d{5})?/)
-
-    if (stateZipMatch) {
-      state = stateZipMatch[1]
-      zipCode = stateZipMatch[2] || ''
-
-      // City is probably the second to last part
-      if (parts.length >= 2) {
-        city = parts[parts.length - 2]
-      }
-    } else {
-      // Maybe it's just city, state format
-      if (parts.length === 2) {
-        city = parts[0]
-        state = parts[1]
-      }
-    }
-  }
-
-  // Generate approximate coordinates for major cities (for demo)
-  const cityCoordinates = {
-    'Los Angeles': { lat: 34.0522, lng: -118.2437 },
-    'Las Vegas': { lat: 36.1699, lng: -115.1398 },
-    'San Francisco': { lat: 37.7749, lng: -122.4194 },
-    'San Diego': { lat: 32.7157, lng: -117.1611 },
-    'Phoenix': { lat: 33.4484, lng: -112.0740 },
-    'Seattle': { lat: 47.6062, lng: -122.3321 },
-    'Portland': { lat: 45.5152, lng: -122.6784 },
-    'Denver': { lat: 39.7392, lng: -104.9903 },
-    'Austin': { lat: 30.2672, lng: -97.7431 },
-    'Miami': { lat: 25.7617, lng: -80.1918 }
-  }
-
-  // Try to find coordinates for the city
-  let lat = 34.0522  // Default to LA
-  let lng = -118.2437
-  let matchedCity = 'Los Angeles'
-
-  Object.entries(cityCoordinates).forEach(([name, coords]) => {
-    if (city.toLowerCase().includes(name.toLowerCase())) {
-      lat = coords.lat
-      lng = coords.lng
-      matchedCity = name
-    }
-  })
-
-  // If no city was matched, use the parsed city name
-  if (matchedCity === 'Los Angeles' && city && city.toLowerCase() !== 'los angeles') {
-    // Keep the original city name instead of defaulting to LA
-    matchedCity = city
-  }
-
-  const fallbackResult = {
-    formattedAddress: address,
-    lat,
-    lng,
-    streetAddress: parts[0] || '',
-    city: city || matchedCity,
-    state: state || 'CA',
-    stateCode: state || 'CA',
-    country: 'United States',
-    countryCode: 'US',
-    zipCode: zipCode || '',
-    confidence: 0.3 // Low confidence for fallback
-  }
-
-  console.log('🔄 [FALLBACK GEOCODING] Parsed city:', city)
-  console.log('🔄 [FALLBACK GEOCODING] Matched city:', matchedCity)
-  console.log('🔄 [FALLBACK GEOCODING] Final result:', {
-    city: fallbackResult.city,
-    state: fallbackResult.state,
-    zipCode: fallbackResult.zipCode,
-    lat: fallbackResult.lat,
-    lng: fallbackResult.lng,
-    confidence: fallbackResult.confidence
-  })
-
-  return fallbackResult
+export function isCentroid(result) {
+  return result?.precision === 'zip_centroid' || result?.precision === 'city_centroid'
 }
 
 /**
@@ -1,34 +1,23 @@
 /**
  * Perplexity API Integration
  * Used to search for real HOA management company information
- * Optimized for Florida HOAs
+ * Prompts are built from the HOA's state profile (lib/states)
  *
  * Pricing: ~$0.01 per search (sonar-pro)
  * Docs: https://docs.perplexity.ai/
  */
 
 import { logApiUsage, checkRateLimit } from '@/lib/supabase/server'
+import { isMockMode } from '@/lib/mocks'
+import * as mockPerplexity from '@/lib/mocks/perplexity'
+import { fetchWithCassette } from '@/lib/http/cassette'
+import { estimateCost } from '@/lib/apis/pricing'
+import { cachedSearch } from '@/lib/apis/search-cache'
+import { getStateProfile } from '@/lib/states'
+import { getCountyFromZip } from '@/lib/geo/counties'
 
 const PERPLEXITY_API_BASE = 'https://api.perplexity.ai/chat/completions'
-
-// Florida-specific management companies (largest in state)
-const FLORIDA_MANAGEMENT_COMPANIES = [
-  'FirstService Residential',
-  'Associa',
-  'Sentry Management',
-  'Castle Group',
-  'Leland Management',
-  'Vesta Property Services',
-  'KW Property Management',
-  'Seacrest Services',
-  'Campbell Property Management',
-  'Greenacre Properties',
-  'Sterling Property Services',
-  'RealManage',
-  'Beacon Community Management',
-  'Alliant Property Management',
-  'Trident Association Management'
-]
+const PERPLEXITY_MODEL = 'sonar-pro'
 
 /**
  * Extract potential subdivision/community name from HOA name or address
@@ -68,40 +57,70 @@ function extractSearchTerms(hoaName, city) {
 }
 
 /**
- * Get Florida county from zip code (approximate mapping for major counties)
+ * Log a Perplexity call with its token usage and cost
+ * Failed requests are logged without usage (data is null)
  */
-function getCountyFromZip(zip) {
-  const zipPrefix = zip.substring(0, 3)
-  const countyMap = {
-    '330': 'Miami-Dade',
-    '331': 'Miami-Dade',
-    '332': 'Miami-Dade',
-    '333': 'Broward',
-    '334': 'Palm Beach',
-    '335': 'Indian River',
-    '336': 'Polk',
-    '337': 'Hillsborough',
-    '338': 'Manatee',
-    '339': 'Charlotte',
-    '340': 'Lee',
-    '341': 'Collier',
-    '342': 'Orange',
-    '346': 'Brevard',
-    '347': 'Volusia',
-    '320': 'Duval',
-    '321': 'St. Johns',
-    '322': 'Alachua',
-    '323': 'Leon',
-    '324': 'Escambia'
-  }
-  return countyMap[zipPrefix] || null
+async function logPerplexityUsage(searchType, response, responseTime, data) {
+  const inputTokens = data?.usage?.prompt_tokens || 0
+  const outputTokens = data?.usage?.completion_tokens || 0
+
+  await logApiUsage('perplexity', {
+    endpoint: '/chat/completions',
+    model: PERPLEXITY_MODEL,
+    search_type: searchType,
+    response_time_ms: responseTime,
+    status_code: response.status,
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    tokens_used: inputTokens + outputTokens,
+    cost_estimate: data ? estimateCost(PERPLEXITY_MODEL, { inputTokens, outputTokens }) : 0
+  })
+}
+
+/**
+ * Numbered search strategy for the HOA info prompt
+ * Registry, manager licensing and county offices come from the state profile.
+ */
+function hoaInfoStrategy(profile, primarySearch, city, county) {
+  const { registry, managerLicensing } = profile
+
+  const sections = [
+    `${registry.name.toUpperCase()}${registry.site ? ` (${registry.site})` : ''} - Search for:
+   - "${primarySearch}" or variations with "Homeowners", "Property Owners", "Association"
+   - Get corporation document number, status (Active/Inactive), registered agent${registry.annualReports ? '\n   - Check if annual reports are current' : ''}`,
+
+    managerLicensing && `${managerLicensing.name.toUpperCase()} (${managerLicensing.site}):
+   - Search for ${managerLicensing.license} in ${city}
+   - Look for management companies licensed in ${county || 'this county'}`,
+
+    `MAJOR ${profile.name.toUpperCase()} HOA MANAGEMENT COMPANIES:
+   ${profile.managementCompanies.slice(0, 8).map(c => `- ${c}`).join('\n   ')}`,
+
+    `COUNTY-SPECIFIC SEARCHES:
+   ${profile.countyRecords.map(office => `- ${county || 'County'} ${office}`).join('\n   ')}`,
+
+    `COMMUNITY RESOURCES:
+   - HOA/subdivision websites
+   - Management company portals (often have community search)
+   - Real estate listings mentioning HOA details
+   - Local news articles about this HOA`
+  ]
+
+  return sections
+    .filter(Boolean)
+    .map((section, i) => `${i + 1}. ${section}`)
+    .join('\n\n')
 }
 
 /**
  * Search for HOA management company and contact information
- * Optimized for Florida HOAs with SunBiz and county-specific searches
+ * Uses the state's corporate registry and county-specific searches
  */
-export async function searchHOAInfo(hoaName, city, state, zip, streetAddress = null) {
+async function fetchHOAInfo(hoaName, city, state, zip, streetAddress = null) {
+  if (isMockMode()) {
+    return mockPerplexity.searchHOAInfo(hoaName, city, state, zip, streetAddress)
+  }
+
   const apiKey = process.env.PERPLEXITY_API_KEY
 
   if (!apiKey) {
@@ -116,27 +135,28 @@ export async function searchHOAInfo(hoaName, city, state, zip, streetAddress = n
   }
 
   const startTime = Date.now()
-  const county = getCountyFromZip(zip)
+  const profile = getStateProfile(state)
+  const county = getCountyFromZip(zip)?.name || null
 
   try {
     const searchTerms = extractSearchTerms(hoaName, city)
     const primarySearch = searchTerms[0] || hoaName
 
-    console.log(`🔍 [PERPLEXITY] Florida HOA Search:`)
+    console.log(`🔍 [PERPLEXITY] ${profile.name} HOA Search:`)
     console.log(`   Primary: "${primarySearch}"`)
-    console.log(`   Location: ${city}, FL ${zip} (${county || 'Unknown'} County)`)
+    console.log(`   Location: ${city}, ${profile.code} ${zip} (${county || 'county unknown'})`)
 
-    const response = await fetch(PERPLEXITY_API_BASE, {
+    const response = await fetchWithCassette('perplexity', PERPLEXITY_API_BASE, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        model: 'sonar-pro',
+        model: PERPLEXITY_MODEL,
         messages: [{
           role: 'system',
-          content: `You are an expert at finding Florida HOA and homeowners association information from public sources.
+          content: `You are an expert at finding ${profile.name} HOA and homeowners association information from public sources.
 
 CRITICAL: Respond with ONLY a valid JSON object, no markdown, no explanations, no code blocks.
 
@@ -154,45 +174,25 @@ Required JSON format:
   "totalUnits": number or null,
   "amenities": ["pool", "gym", "clubhouse"] or [],
   "masterAssociation": "Master HOA name if applicable or null",
-  "sunbizStatus": "Active" or "Inactive" or "Dissolved" or null,
+  "corporationStatus": "Active" or "Inactive" or "Dissolved" or null,
   "registeredAgent": "Registered agent name or null",
-  "documentNumber": "Florida corporation document number or null",
+  "documentNumber": "${profile.registry.documentNumber} or null",
   "is55Plus": true or false or null,
   "foundOnline": true or false
 }`
         }, {
           role: 'user',
-          content: `Find HOA information for a property in Florida:
+          content: `Find HOA information for a property in ${profile.name}:
 
 LOCATION:
-- City: ${city}, FL ${zip}
-- County: ${county || 'Unknown'} County
+- City: ${city}, ${profile.code} ${zip}
+- County: ${county || 'Unknown'}
 ${streetAddress ? `- Street Address: ${streetAddress}` : ''}
 - HOA/Subdivision Name: ${primarySearch}
 
-FLORIDA-SPECIFIC SEARCH STRATEGY:
-
-1. FLORIDA SUNBIZ (sunbiz.org) - Search for:
-   - "${primarySearch}" or variations with "Homeowners", "Property Owners", "Association"
-   - Get corporation document number, status (Active/Inactive), registered agent
-   - Check if annual reports are current
-
-2. FLORIDA DBPR (myfloridalicense.com):
-   - Search for Community Association Manager licenses in ${city}
-   - Look for management companies licensed in ${county || 'this'} County
+${profile.name.toUpperCase()}-SPECIFIC SEARCH STRATEGY:
 
-3. MAJOR FLORIDA HOA MANAGEMENT COMPANIES:
-   ${FLORIDA_MANAGEMENT_COMPANIES.slice(0, 8).map(c => `- ${c}`).join('\n   ')}
-
-4. COUNTY-SPECIFIC SEARCHES:
-   - ${county || 'County'} Property Appraiser for subdivision info
-   - ${county || 'County'} Clerk for recorded HOA documents/covenants
-
-5. COMMUNITY RESOURCES:
-   - HOA/subdivision websites
-   - Management company portals (often have community search)
-   - Real estate listings mentioning HOA details
-   - Local news articles about this HOA
+${hoaInfoStrategy(profile, primarySearch, city, county)}
 
 IMPORTANT:
 - Return the subdivision/community name even if you can't find other details
@@ -209,12 +209,8 @@ IMPORTANT:
 
     const responseTime = Date.now() - startTime
 
-    await logApiUsage('perplexity', {
-      endpoint: '/chat/completions',
-      response_time_ms: responseTime,
-      status_code: response.status,
-      search_type: 'hoa_info'
-    })
+    const data = response.ok ? await response.json() : null
+    await logPerplexityUsage('hoa_info', response, responseTime, data)
 
     if (!response.ok) {
       const errorData = await response.text()
@@ -222,7 +218,6 @@ IMPORTANT:
       throw new Error(`Perplexity API error: ${response.status}`)
     }
 
-    const data = await response.json()
     let responseText = data.choices?.[0]?.message?.content || ''
 
     // Strip markdown code blocks
@@ -242,10 +237,10 @@ IMPORTANT:
 
     const citations = data.citations || []
 
-    console.log('✅ [PERPLEXITY] Florida HOA info found:', {
+    console.log(`✅ [PERPLEXITY] ${profile.name} HOA info found:`, {
       subdivision: hoaInfo.subdivisionName || 'Not found',
       management: hoaInfo.managementCompany || 'Not found',
-      sunbiz: hoaInfo.sunbizStatus || 'Not checked',
+      registry: hoaInfo.corporationStatus || 'Not checked',
       is55Plus: hoaInfo.is55Plus,
       citationCount: citations.length,
       hasPhone: !!hoaInfo.phone,
@@ -280,7 +275,7 @@ IMPORTANT:
       amenities: hoaInfo.amenities || [],
       masterAssociation: hoaInfo.masterAssociation || null,
       sunbiz: {
-        status: hoaInfo.sunbizStatus || null,
+        status: hoaInfo.corporationStatus || null,
         registeredAgent: hoaInfo.registeredAgent || null,
         documentNumber: hoaInfo.documentNumber || null
       },
@@ -298,9 +293,13 @@ IMPORTANT:
 }
 
 /**
- * Search for HOA management companies serving a specific Florida zip code
+ * Search for HOA management companies serving a specific zip code
  */
-export async function searchManagementCompaniesByZip(zip, city, state) {
+async function fetchManagementCompaniesByZip(zip, city, state) {
+  if (isMockMode()) {
+    return mockPerplexity.searchManagementCompaniesByZip(zip, city, state)
+  }
+
   const apiKey = process.env.PERPLEXITY_API_KEY
 
   if (!apiKey) {
@@ -313,22 +312,23 @@ export async function searchManagementCompaniesByZip(zip, city, state) {
   }
 
   const startTime = Date.now()
-  const county = getCountyFromZip(zip)
+  const profile = getStateProfile(state)
+  const county = getCountyFromZip(zip)?.name || null
 
   try {
-    console.log(`🔍 [PERPLEXITY] Searching Florida management companies in ${zip}`)
+    console.log(`🔍 [PERPLEXITY] Searching ${profile.name} management companies in ${zip}`)
 
-    const response = await fetch(PERPLEXITY_API_BASE, {
+    const response = await fetchWithCassette('perplexity', PERPLEXITY_API_BASE, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        model: 'sonar-pro',
+        model: PERPLEXITY_MODEL,
         messages: [{
           role: 'system',
-          content: `You are an expert at finding Florida HOA management companies.
+          content: `You are an expert at finding ${profile.name} HOA management companies.
 
 CRITICAL: Respond with ONLY a valid JSON object, no markdown, no code blocks.
 
@@ -348,16 +348,15 @@ Required JSON format:
 }`
         }, {
           role: 'user',
-          content: `Find HOA management companies serving ${city}, FL ${zip} (${county || 'Florida'} County).
+          content: `Find HOA management companies serving ${city}, ${profile.code} ${zip}${county ? ` (${county})` : ''}.
 
 List management companies with verified presence in this area.
 
-FLORIDA MANAGEMENT COMPANIES TO CHECK:
-${FLORIDA_MANAGEMENT_COMPANIES.map(c => `- ${c}`).join('\n')}
+${profile.name.toUpperCase()} MANAGEMENT COMPANIES TO CHECK:
+${profile.managementCompanies.map(c => `- ${c}`).join('\n')}
 
 Also search:
-- Florida DBPR licensed Community Association Managers in ${county || 'this'} County
-- Local/regional Florida management companies
+${profile.managerLicensing ? `- ${profile.managerLicensing.name} ${profile.managerLicensing.license} in ${county || 'this county'}\n` : ''}- Local/regional ${profile.name} management companies
 
 Include any known subdivisions or master-planned communities in zip ${zip}.`
         }],
@@ -369,16 +368,11 @@ Include any known subdivisions or master-planned communities in zip ${zip}.`
 
     const responseTime = Date.now() - startTime
 
-    await logApiUsage('perplexity', {
-      endpoint: '/chat/completions',
-      response_time_ms: responseTime,
-      status_code: response.status,
-      search_type: 'zip_companies'
-    })
+    const data = response.ok ? await response.json() : null
+    await logPerplexityUsage('zip_companies', response, responseTime, data)
 
     if (!response.ok) throw new Error(`Perplexity API error: ${response.status}`)
 
-    const data = await response.json()
     let responseText = data.choices?.[0]?.message?.content || ''
 
     let cleanedResponse = responseText.trim()
@@ -389,7 +383,7 @@ Include any known subdivisions or master-planned communities in zip ${zip}.`
     const result = JSON.parse(cleanedResponse.trim())
     const citations = data.citations || []
 
-    console.log('✅ [PERPLEXITY] Found FL management companies:', {
+    console.log(`✅ [PERPLEXITY] Found ${profile.code} management companies:`, {
       count: result.companies?.length || 0,
       subdivisions: result.commonSubdivisions?.length || 0
     })
@@ -411,9 +405,14 @@ Include any known subdivisions or master-planned communities in zip ${zip}.`
 }
 
 /**
- * Search Florida SunBiz for HOA corporation details
+ * Search the state's corporate registry (SunBiz in Florida) for HOA
+ * corporation details
  */
-export async function searchFloridaSunBiz(hoaName, city) {
+async function fetchStateRegistry(hoaName, city, state) {
+  if (isMockMode()) {
+    return mockPerplexity.searchStateRegistry(hoaName, city, state)
+  }
+
   const apiKey = process.env.PERPLEXITY_API_KEY
 
   if (!apiKey) {
@@ -426,21 +425,22 @@ export async function searchFloridaSunBiz(hoaName, city) {
   }
 
   const startTime = Date.now()
+  const { name: stateName, registry } = getStateProfile(state)
 
   try {
-    console.log(`🔍 [PERPLEXITY] Searching Florida SunBiz for: ${hoaName}`)
+    console.log(`🔍 [PERPLEXITY] Searching ${registry.name} for: ${hoaName}`)
 
-    const response = await fetch(PERPLEXITY_API_BASE, {
+    const response = await fetchWithCassette('perplexity', PERPLEXITY_API_BASE, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        model: 'sonar-pro',
+        model: PERPLEXITY_MODEL,
         messages: [{
           role: 'system',
-          content: `You are an expert at searching Florida SunBiz corporation records.
+          content: `You are an expert at searching ${registry.name} corporation records.
 
 CRITICAL: Respond with ONLY valid JSON, no markdown, no code blocks.
 
@@ -448,7 +448,7 @@ Required JSON format:
 {
   "found": true or false,
   "corporationName": "Official registered name",
-  "documentNumber": "Florida document number (e.g., N12345678)",
+  "documentNumber": "${registry.documentNumber}",
   "status": "Active" or "Inactive" or "Dissolved",
   "filingDate": "YYYY-MM-DD or null",
   "lastAnnualReport": "YYYY-MM-DD or null",
@@ -463,10 +463,10 @@ Required JSON format:
 }`
         }, {
           role: 'user',
-          content: `Search Florida SunBiz (sunbiz.org) for this HOA:
+          content: `Search ${registry.name}${registry.site ? ` (${registry.site})` : ''} for this HOA:
 
 HOA Name: "${hoaName}"
-City: ${city}, Florida
+City: ${city}, ${stateName}
 
 Search variations:
 - "${hoaName}"
@@ -474,15 +474,15 @@ Search variations:
 - "${hoaName} Homeowners Association"
 - "${hoaName} Property Owners Association"
 
-From SunBiz records, extract:
+From ${registry.agency} records, extract:
 1. Official corporation name and document number
 2. Status (Active/Inactive/Dissolved)
-3. Filing date and last annual report date
+3. Filing date and last annual report date (null if the state has none)
 4. Registered agent name and address
 5. Principal address
 6. Current officers (President, Secretary, Treasurer)
 
-Only return data you find on SunBiz. Set found to false if no matching corporation exists.`
+Only return data you find in ${registry.agency} records. Set found to false if no matching corporation exists.`
         }],
         return_citations: true,
         max_tokens: 1500,
@@ -492,16 +492,11 @@ Only return data you find on SunBiz. Set found to false if no matching corporati
 
     const responseTime = Date.now() - startTime
 
-    await logApiUsage('perplexity', {
-      endpoint: '/chat/completions',
-      response_time_ms: responseTime,
-      status_code: response.status,
-      search_type: 'sunbiz'
-    })
+    const data = response.ok ? await response.json() : null
+    await logPerplexityUsage('sunbiz', response, responseTime, data)
 
     if (!response.ok) throw new Error(`Perplexity API error: ${response.status}`)
 
-    const data = await response.json()
     let responseText = data.choices?.[0]?.message?.content || ''
 
     let cleanedResponse = responseText.trim()
@@ -512,7 +507,7 @@ Only return data you find on SunBiz. Set found to false if no matching corporati
     const result = JSON.parse(cleanedResponse.trim())
     const citations = data.citations || []
 
-    console.log('✅ [PERPLEXITY] SunBiz result:', {
+    console.log(`✅ [PERPLEXITY] ${registry.name} result:`, {
       found: result.found,
       status: result.status,
       documentNumber: result.documentNumber
@@ -526,7 +521,7 @@ Only return data you find on SunBiz. Set found to false if no matching corporati
       responseTimeMs: responseTime
     }
   } catch (error) {
-    console.error('❌ [PERPLEXITY] SunBiz search error:', error.message)
+    console.error('❌ [PERPLEXITY] Registry search error:', error.message)
     return { success: false, foundInfo: false, error: error.message }
   }
 }
@@ -534,7 +529,11 @@ Only return data you find on SunBiz. Set found to false if no matching corporati
 /**
  * Search for HOA financial information
  */
-export async function searchHOAFinancials(hoaName, managementCompany, city, state, zip) {
+async function fetchHOAFinancials(hoaName, managementCompany, city, state, zip) {
+  if (isMockMode()) {
+    return mockPerplexity.searchHOAFinancials(hoaName, managementCompany, city, state, zip)
+  }
+
   const apiKey = process.env.PERPLEXITY_API_KEY
 
   if (!apiKey) {
@@ -547,18 +546,19 @@ export async function searchHOAFinancials(hoaName, managementCompany, city, stat
   }
 
   const startTime = Date.now()
+  const profile = getStateProfile(state)
 
   try {
     console.log(`🔍 [PERPLEXITY] Searching financials for: ${hoaName}`)
 
-    const response = await fetch(PERPLEXITY_API_BASE, {
+    const response = await fetchWithCassette('perplexity', PERPLEXITY_API_BASE, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        model: 'sonar-pro',
+        model: PERPLEXITY_MODEL,
         messages: [{
           role: 'system',
           content: `You are an expert at finding HOA financial information from public sources.
@@ -590,7 +590,7 @@ Required JSON format:
 
 HOA: "${hoaName}"
 ${managementCompany ? `Management Company: ${managementCompany}` : ''}
-Location: ${city}, FL ${zip}
+Location: ${city}, ${profile.code} ${zip}
 
 Look for:
 1. Monthly/quarterly/annual assessment amounts
@@ -600,7 +600,7 @@ Look for:
 5. Any lawsuits, liens, or financial disputes
 6. Delinquency rates if mentioned
 
-Search real estate listings, HOA disclosure documents, news articles, and management company info.
+Search real estate listings, HOA disclosure documents (in ${profile.name}, the ${profile.disclosure.document}), news articles, and management company info.
 Only include information you can verify from sources.`
         }],
         return_citations: true,
@@ -611,16 +611,11 @@ Only include information you can verify from sources.`
 
     const responseTime = Date.now() - startTime
 
-    await logApiUsage('perplexity', {
-      endpoint: '/chat/completions',
-      response_time_ms: responseTime,
-      status_code: response.status,
-      search_type: 'financials'
-    })
+    const data = response.ok ? await response.json() : null
+    await logPerplexityUsage('financials', response, responseTime, data)
 
     if (!response.ok) throw new Error(`Perplexity API error: ${response.status}`)
 
-    const data = await response.json()
     let responseText = data.choices?.[0]?.message?.content || ''
 
     let cleanedResponse = responseText.trim()
@@ -653,7 +648,11 @@ Only include information you can verify from sources.`
 /**
  * Search for HOA rules and CC&R information
  */
-export async function searchHOARules(hoaName, subdivisionName, city, state) {
+async function fetchHOARules(hoaName, subdivisionName, city, state) {
+  if (isMockMode()) {
+    return mockPerplexity.searchHOARules(hoaName, subdivisionName, city, state)
+  }
+
   const apiKey = process.env.PERPLEXITY_API_KEY
 
   if (!apiKey) {
@@ -667,18 +666,19 @@ export async function searchHOARules(hoaName, subdivisionName, city, state) {
 
   const startTime = Date.now()
   const searchName = subdivisionName || hoaName
+  const profile = getStateProfile(state)
 
   try {
     console.log(`🔍 [PERPLEXITY] Searching rules for: ${searchName}`)
 
-    const response = await fetch(PERPLEXITY_API_BASE, {
+    const response = await fetchWithCassette('perplexity', PERPLEXITY_API_BASE, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        model: 'sonar-pro',
+        model: PERPLEXITY_MODEL,
         messages: [{
           role: 'system',
           content: `You are an expert at finding HOA rules and restrictions from public sources.
@@ -718,7 +718,7 @@ Required JSON format:
           content: `Search for rules and restrictions for:
 
 HOA/Subdivision: "${searchName}"
-Location: ${city}, FL
+Location: ${city}, ${profile.code}
 
 Find information about:
 1. Rental restrictions (short-term/Airbnb, minimum lease terms, rental caps)
@@ -730,7 +730,7 @@ Find information about:
 
 Also check:
 - If CC&Rs are publicly available online
-- Florida-specific HOA regulations that apply
+- ${profile.name}-specific HOA regulations that apply${profile.statutes.length > 0 ? ` (${profile.statutes.map(statute => statute.citation).join(', ')})` : ''}
 - Any news about rule disputes or enforcement issues
 
 Only include rules you can verify from actual sources.`
@@ -743,16 +743,11 @@ Only include rules you can verify from actual sources.`
 
     const responseTime = Date.now() - startTime
 
-    await logApiUsage('perplexity', {
-      endpoint: '/chat/completions',
-      response_time_ms: responseTime,
-      status_code: response.status,
-      search_type: 'rules'
-    })
+    const data = response.ok ? await response.json() : null
+    await logPerplexityUsage('rules', response, responseTime, data)
 
     if (!response.ok) throw new Error(`Perplexity API error: ${response.status}`)
 
-    const data = await response.json()
     let responseText = data.choices?.[0]?.message?.content || ''
 
     let cleanedResponse = responseText.trim()
@@ -784,9 +779,13 @@ Only include rules you can verify from actual sources.`
 
 /**
  * Search for HOA reviews and community sentiment
- * Enhanced for Florida with local sources
+ * Adds the state's subreddit and HOA regulator to the sources
  */
-export async function searchHOAReviews(hoaName, managementCompany, city, state) {
+async function fetchHOAReviews(hoaName, managementCompany, city, state) {
+  if (isMockMode()) {
+    return mockPerplexity.searchHOAReviews(hoaName, managementCompany, city, state)
+  }
+
   const apiKey = process.env.PERPLEXITY_API_KEY
 
   if (!apiKey) {
@@ -799,22 +798,24 @@ export async function searchHOAReviews(hoaName, managementCompany, city, state)
   }
 
   const startTime = Date.now()
+  const profile = getStateProfile(state)
+  const { subreddit, regulator } = profile.reviewSources
 
   try {
-    console.log(`🔍 [PERPLEXITY] Searching reviews for: ${hoaName} in ${city}, FL`)
+    console.log(`🔍 [PERPLEXITY] Searching reviews for: ${hoaName} in ${city}, ${profile.code}`)
 
     const searchTarget = managementCompany
       ? `"${hoaName}" HOA or "${managementCompany}" management company`
       : `"${hoaName}" HOA`
 
-    const response = await fetch(PERPLEXITY_API_BASE, {
+    const response = await fetchWithCassette('perplexity', PERPLEXITY_API_BASE, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        model: 'sonar-pro',
+        model: PERPLEXITY_MODEL,
         messages: [{
           role: 'system',
           content: `You are an expert at finding HOA reviews and community feedback from public sources.
@@ -838,17 +839,16 @@ Required JSON format:
 }`
         }, {
           role: 'user',
-          content: `Search for reviews and community feedback about ${searchTarget} in ${city}, Florida.
+          content: `Search for reviews and community feedback about ${searchTarget} in ${city}, ${profile.name}.
 
 SEARCH THESE SOURCES:
 1. Google reviews of the management company
 2. BBB (Better Business Bureau) - complaints count and rating
-3. Reddit - r/florida, r/HOA, r/${city.toLowerCase().replace(/\s/g, '')} if exists
+3. Reddit - ${subreddit ? `r/${subreddit}, ` : ''}r/HOA, r/${city.toLowerCase().replace(/\s/g, '')} if exists
 4. Yelp reviews of management company
 5. HOA forums - HOAForum.com, BiggerPockets
 6. NextDoor and neighborhood apps (note if community is active)
-7. Local Florida news articles about HOA disputes
-8. Florida CAM complaints (DBPR)
+7. Local ${profile.name} news articles about HOA disputes${regulator ? `\n8. ${regulator}` : ''}
 
 For management company "${managementCompany || 'unknown'}", also check:
 - Google Business reviews
@@ -871,16 +871,11 @@ Set foundOnline to true only if you found actual reviews or mentions.`
 
     const responseTime = Date.now() - startTime
 
-    await logApiUsage('perplexity', {
-      endpoint: '/chat/completions',
-      response_time_ms: responseTime,
-      status_code: response.status,
-      search_type: 'reviews'
-    })
+    const data = response.ok ? await response.json() : null
+    await logPerplexityUsage('reviews', response, responseTime, data)
 
     if (!response.ok) throw new Error(`Perplexity API error: ${response.status}`)
 
-    const data = await response.json()
     let responseText = data.choices?.[0]?.message?.content || ''
 
     let cleanedResponse = responseText.trim()
@@ -920,3 +915,37 @@ Set foundOnline to true only if you found actual reviews or mentions.`
     return { success: false, foundInfo: false, error: error.message }
   }
 }
+
+// Cached entry points: each search is cached by its normalized arguments (TTLs in
+// lib/apis/search-cache.js). Pass { bypassCache: true } as the last argument
+// to force a fresh search; the fresh result replaces the cached one.
+
+export async function searchHOAInfo(hoaName, city, state, zip, streetAddress = null, options = {}) {
+  return cachedSearch('hoa_info', [hoaName, city, state, zip, streetAddress],
+    () => fetchHOAInfo(hoaName, city, state, zip, streetAddress), options)
+}
+
+export async function searchManagementCompaniesByZip(zip, city, state, options = {}) {
+  return cachedSearch('zip_companies', [zip, city, state],
+    () => fetchManagementCompaniesByZip(zip, city, state), options)
+}
+
+export async function searchStateRegistry(hoaName, city, state, options = {}) {
+  return cachedSearch('sunbiz', [hoaName, city, state],
+    () => fetchStateRegistry(hoaName, city, state), options)
+}
+
+export async function searchHOAFinancials(hoaName, managementCompany, city, state, zip, options = {}) {
+  return cachedSearch('financials', [hoaName, managementCompany, city, state, zip],
+    () => fetchHOAFinancials(hoaName, managementCompany, city, state, zip), options)
+}
+
+export async function searchHOARules(hoaName, subdivisionName, city, state, options = {}) {
+  return cachedSearch('rules', [hoaName, subdivisionName, city, state],
+    () => fetchHOARules(hoaName, subdivisionName, city, state), options)
+}
+
+export async function searchHOAReviews(hoaName, managementCompany, city, state, options = {}) {
+  return cachedSearch('reviews', [hoaName, managementCompany, city, state],
+    () => fetchHOAReviews(hoaName, managementCompany, city, state), options)
+}
@@ -0,0 +1,35 @@
+/**
+ * API Pricing
+ * Per-model token prices used to cost each logged API call.
+ * Prices are USD per million tokens; Perplexity also charges per request.
+ * Update these when provider pricing changes - past api_usage rows keep
+ * the cost they were logged with.
+ */
+
+export const MODEL_PRICING = {
+  'claude-sonnet-4-5-20250929': { input: 3.0, output: 15.0 },
+  // Request fee is for the default (low) search context size
+  'sonar-pro': { input: 3.0, output: 15.0, perRequest: 0.006 },
+  sonar: { input: 1.0, output: 1.0, perRequest: 0.005 },
+  'mock-claude': { input: 0, output: 0 }
+}
+
+// Used for models missing from the table so unknown spend is never costed at $0
+const FALLBACK_PRICING = { input: 15.0, output: 75.0 }
+
+/**
+ * Estimate the USD cost of one API call
+ *
+ * @param {string} model - Model id as sent to the API
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number} Cost in USD
+ */
+export function estimateCost(model, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const pricing = MODEL_PRICING[model]
+  if (!pricing) {
+    console.warn(`⚠️ [PRICING] No pricing for model "${model}", using fallback rates`)
+  }
+
+  const { input, output, perRequest = 0 } = pricing || FALLBACK_PRICING
+  return (inputTokens * input + outputTokens * output) / 1_000_000 + perRequest
+}
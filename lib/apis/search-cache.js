@@ -0,0 +1,95 @@
+/**
+ * Search Cache
+ * Caches Perplexity search results in the cache table, keyed by search type
+ * and normalized arguments, so the same HOA looked up twice within a TTL
+ * costs one call. Only successful results are cached.
+ *
+ * Forced refreshes skip the read (but still store the fresh result), either
+ * per call with { bypassCache: true } or for everything inside
+ * withSearchCacheBypass() - used by refresh_data analysis jobs.
+ *
+ * Mock mode and HTTP cassettes bypass the cache entirely, so fixtures and
+ * recordings never leak into it and recordings see every request.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { getCachedData } from '@/lib/supabase/server'
+import { isMockMode } from '@/lib/mocks'
+import { getCassetteMode } from '@/lib/http/cassette'
+
+const DAY_SECONDS = 24 * 60 * 60
+
+// How long each search's results stay cached
+export const SEARCH_CACHE_TTL = {
+  hoa_info: 7 * DAY_SECONDS,
+  zip_companies: 30 * DAY_SECONDS,
+  sunbiz: 30 * DAY_SECONDS,
+  financials: 14 * DAY_SECONDS,
+  rules: 30 * DAY_SECONDS,
+  reviews: 7 * DAY_SECONDS
+}
+
+const bypassScope = new AsyncLocalStorage()
+
+/**
+ * Run fn with every cached search inside it fetching fresh results
+ */
+export function withSearchCacheBypass(fn) {
+  return bypassScope.run(true, fn)
+}
+
+/**
+ * Case, whitespace and punctuation-insensitive form of one argument
+ */
+function normalizeArg(value) {
+  if (value === null || value === undefined) return ''
+
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Cache key for a search, e.g. "perplexity:sunbiz:sunset lakes hoa|tampa"
+ */
+export function searchCacheKey(searchType, args) {
+  return `perplexity:${searchType}:${args.map(normalizeArg).join('|')}`
+}
+
+/**
+ * Run a search through the cache
+ * Results carry retrievedAt (when the search actually ran) and cached.
+ *
+ * @param {string} searchType - Key of SEARCH_CACHE_TTL
+ * @param {Array} args - Arguments that identify the search
+ * @param {Function} search - Runs the real search
+ * @param {Object} options - { bypassCache }
+ */
+export async function cachedSearch(searchType, args, search, { bypassCache = false } = {}) {
+  if (isMockMode() || getCassetteMode() !== 'off') {
+    return search()
+  }
+
+  let fetched = false
+  const result = await getCachedData(
+    searchCacheKey(searchType, args),
+    async () => {
+      fetched = true
+      return { ...await search(), retrievedAt: new Date().toISOString() }
+    },
+    SEARCH_CACHE_TTL[searchType],
+    {
+      namespace: `perplexity:${searchType}`,
+      bypass: bypassCache || bypassScope.getStore() === true,
+      shouldCache: (data) => data?.success === true
+    }
+  )
+
+  if (!fetched) {
+    console.log(`📦 [CACHE] ${searchType} hit (retrieved ${result.retrievedAt})`)
+  }
+
+  return { ...result, cached: !fetched }
+}
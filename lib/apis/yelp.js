@@ -7,6 +7,9 @@
  */
 
 import { logApiUsage, checkRateLimit } from '@/lib/supabase/server'
+import { isMockMode } from '@/lib/mocks'
+import { mockYelpRequest } from '@/lib/mocks/yelp'
+import { fetchWithCassette } from '@/lib/http/cassette'
 
 const YELP_API_BASE = 'https://api.yelp.com/v3'
 
@@ -14,6 +17,10 @@ const YELP_API_BASE = 'https://api.yelp.com/v3'
  * Make authenticated request to Yelp API
  */
 async function yelpRequest(endpoint, params = {}) {
+  if (isMockMode()) {
+    return mockYelpRequest(endpoint, params)
+  }
+
   // Check rate limit (100 requests per hour per user)
   const canProceed = await checkRateLimit('yelp', 100)
   if (!canProceed) {
@@ -30,7 +37,7 @@ async function yelpRequest(endpoint, params = {}) {
   const startTime = Date.now()
 
   try {
-    const response = await fetch(url.toString(), {
+    const response = await fetchWithCassette('yelp', url.toString(), {
       headers: {
         'Authorization': `Bearer ${process.env.YELP_API_KEY}`,
         'Accept': 'application/json'
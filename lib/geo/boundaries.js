@@ -0,0 +1,126 @@
+/**
+ * HOA Boundaries
+ * Subdivision outlines imported from plat or parcel data, stored on
+ * hoa_profiles.boundary as a GeoJSON MultiPolygon. An address inside a
+ * boundary belongs to that HOA outright; the hoas_containing_point() RPC does
+ * the indexed point-in-polygon test.
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+
+// Keeps a row (and the report's SVG) a sensible size; plats rarely need more
+const MAX_VERTICES = 20000
+
+/**
+ * Round to ~10 cm, plenty for a lot line
+ */
+function round(value) {
+  return Math.round(value * 1e6) / 1e6
+}
+
+/**
+ * Collect polygon coordinate arrays from any GeoJSON object
+ * @returns {Array|null} polygons, or null when something isn't a polygon
+ */
+function collectPolygons(geojson) {
+  switch (geojson?.type) {
+    case 'Polygon':
+      return [geojson.coordinates]
+    case 'MultiPolygon':
+      return geojson.coordinates
+    case 'Feature':
+      return collectPolygons(geojson.geometry)
+    case 'FeatureCollection': {
+      if (!Array.isArray(geojson.features)) return null
+      const polygons = geojson.features.map(collectPolygons)
+      return polygons.includes(null) ? null : polygons.flat()
+    }
+    case 'GeometryCollection': {
+      if (!Array.isArray(geojson.geometries)) return null
+      const polygons = geojson.geometries.map(collectPolygons)
+      return polygons.includes(null) ? null : polygons.flat()
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Validate a ring of [lng, lat] positions, dropping altitude and closing it
+ * @returns {Array|null} the cleaned ring, or null when it isn't usable
+ */
+function normalizeRing(ring) {
+  if (!Array.isArray(ring)) return null
+
+  const positions = []
+  for (const position of ring) {
+    const [lng, lat] = Array.isArray(position) ? position : []
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) return null
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) return null
+    positions.push([round(lng), round(lat)])
+  }
+
+  const [first] = positions
+  const last = positions[positions.length - 1]
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([...first])
+  }
+
+  return positions.length >= 4 ? positions : null
+}
+
+/**
+ * Turn imported GeoJSON (a Polygon, MultiPolygon, Feature or
+ * FeatureCollection of them) into the MultiPolygon stored on hoa_profiles.
+ * Parcel exports come as one feature per lot; their union is the
+ * subdivision, which PostGIS computes when the row is written.
+ * @returns {{boundary: Object|null, error?: string}}
+ */
+export function normalizeBoundary(geojson) {
+  const polygons = collectPolygons(geojson)
+
+  if (!polygons?.length) {
+    return { boundary: null, error: 'Boundary must be a GeoJSON Polygon or MultiPolygon (or features of them)' }
+  }
+
+  const coordinates = []
+  for (const polygon of polygons) {
+    const rings = Array.isArray(polygon) ? polygon.map(normalizeRing) : [null]
+    if (!rings.length || rings.includes(null)) {
+      return {
+        boundary: null,
+        error: 'Every ring needs at least 3 distinct [longitude, latitude] points in WGS84 degrees'
+      }
+    }
+    coordinates.push(rings)
+  }
+
+  const vertices = coordinates.flat(2).length
+  if (vertices > MAX_VERTICES) {
+    return { boundary: null, error: `Boundary has ${vertices} points; simplify it to ${MAX_VERTICES} or fewer` }
+  }
+
+  return { boundary: { type: 'MultiPolygon', coordinates } }
+}
+
+/**
+ * HOAs whose boundary covers a point, most specific (smallest) first, so a
+ * subdivision wins over the master-planned community around it
+ * @param {Object} params - { lat, lng, limit, columns }
+ * @returns {Promise<{hoas: Array<Object>, error?: string}>}
+ */
+export async function findHOAsContainingPoint({ lat, lng, limit = 5, columns = '*' }) {
+  const supabase = createServiceClient()
+
+  const { data, error } = await supabase
+    .rpc('hoas_containing_point', { p_lat: lat, p_lng: lng })
+    .select(columns)
+    .limit(limit)
+
+  if (error) {
+    console.error('❌ [BOUNDARY] Query failed:', error.message)
+    return { hoas: [], error: error.message }
+  }
+
+  return { hoas: (data || []).map(({ location, boundary_geom: boundaryGeom, ...hoa }) => hoa) }
+}
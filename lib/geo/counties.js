@@ -0,0 +1,52 @@
+/**
+ * ZIP to County Lookup
+ * Resolves ZIP codes to counties (FIPS code, name, state) from the bundled
+ * crosswalk in data/zip-counties.json, built by data/build-zip-counties.mjs
+ * from Census ZCTA/county relationships and GeoNames postal codes.
+ *
+ * A ZIP that crosses county lines lists every county it touches, largest
+ * share first. Shares are null when the crosswalk was built without the
+ * Census relationship file - the county holding the ZCTA's internal point
+ * leads then (the USPS county for ZIPs without one).
+ *
+ * Server-only: the data file is ~800KB, keep it out of client components.
+ */
+
+import crosswalk from './data/zip-counties.json'
+
+function toCounty(entry, single) {
+  const [fips, share] = entry.split(':')
+  const [name, state] = crosswalk.counties[fips]
+
+  return {
+    fips,
+    name,
+    state,
+    share: single ? 1 : share === undefined ? null : Number(share)
+  }
+}
+
+function zip5(zip) {
+  const match = String(zip || '').match(/^\s*(\d{5})/)
+  return match ? match[1] : null
+}
+
+/**
+ * Every county a ZIP falls in, primary county first
+ * @returns {Array<{fips: string, name: string, state: string, share: number|null}>}
+ */
+export function getCountiesForZip(zip) {
+  const entries = crosswalk.zips[zip5(zip)]
+  if (!entries) return []
+
+  const members = entries.split(',')
+  return members.map(entry => toCounty(entry, members.length === 1))
+}
+
+/**
+ * Primary county for a ZIP ("33139" -> Miami-Dade County, 12086)
+ * @returns {{fips: string, name: string, state: string, share: number|null}|null}
+ */
+export function getCountyFromZip(zip) {
+  return getCountiesForZip(zip)[0] || null
+}
@@ -0,0 +1,94 @@
+/**
+ * Writes a migration that refreshes hoa_profiles.county from zip-counties.json
+ *
+ *   node lib/geo/data/build-county-backfill.mjs
+ *
+ * Run after build-zip-counties.mjs so existing profiles carry the same
+ * primary county new profiles get from lib/geo/counties.js. Applied
+ * migrations are never edited: each run writes the next numbered migration
+ * (NNN_hoa_county_refresh.sql) next to 013_hoa_county.sql.
+ *
+ * Only ZIPs that cross county lines are listed - a rebuild can reorder their
+ * counties, while a single-county ZIP keeps the county 013 or the analysis
+ * gave it.
+ */
+
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs'
+
+const CROSSWALK = new URL('./zip-counties.json', import.meta.url)
+const MIGRATIONS = new URL('../../../supabase/migrations/', import.meta.url)
+
+const ZIPS_PER_LINE = 8
+
+function quote(value) {
+  return `'${value.replace(/'/g, "''")}'`
+}
+
+function nextMigration() {
+  const numbers = readdirSync(MIGRATIONS)
+    .map(file => file.match(/^(\d{3})_.*\.sql$/))
+    .filter(Boolean)
+    .map(([, number]) => Number(number))
+  const number = String(Math.max(0, ...numbers) + 1).padStart(3, '0')
+  return new URL(`${number}_hoa_county_refresh.sql`, MIGRATIONS)
+}
+
+function build() {
+  const { counties, zips } = JSON.parse(readFileSync(CROSSWALK, 'utf8'))
+
+  const backfill = Object.entries(zips)
+    .filter(([, value]) => value.includes(','))
+    .map(([zip, value]) => [zip, value.split(',')[0].split(':')[0]])
+    .sort(([a], [b]) => a.localeCompare(b))
+
+  const used = [...new Set(backfill.map(([, fips]) => fips))].sort()
+  const nameRows = used.map(fips => `  (${quote(fips)}, ${quote(counties[fips][0])})`)
+
+  const zipRows = []
+  for (let i = 0; i < backfill.length; i += ZIPS_PER_LINE) {
+    zipRows.push('  ' + backfill.slice(i, i + ZIPS_PER_LINE)
+      .map(([zip, fips]) => `(${quote(zip)}, ${quote(fips)})`)
+      .join(', '))
+  }
+
+  const sql = `-- Refresh the primary county on HOA profiles
+-- Generated by lib/geo/data/build-county-backfill.mjs from a rebuilt
+-- lib/geo/data/zip-counties.json.
+-- Profiles in ZIPs that cross county lines get the primary county the
+-- crosswalk now gives them, the one lib/geo/counties.js assigns new profiles.
+
+CREATE TEMP TABLE zip_county_refresh (
+  zip_code TEXT PRIMARY KEY,
+  county_fips TEXT NOT NULL
+);
+
+CREATE TEMP TABLE county_names (
+  county_fips TEXT PRIMARY KEY,
+  county TEXT NOT NULL
+);
+
+INSERT INTO county_names (county_fips, county) VALUES
+${nameRows.join(',\n')};
+
+INSERT INTO zip_county_refresh (zip_code, county_fips) VALUES
+${zipRows.join(',\n')};
+
+UPDATE hoa_profiles h
+SET county = n.county,
+    county_fips = r.county_fips
+FROM zip_county_refresh r
+JOIN county_names n ON n.county_fips = r.county_fips
+WHERE LEFT(TRIM(h.zip_code), 5) = r.zip_code
+  AND h.county_fips IS DISTINCT FROM r.county_fips;
+
+DROP TABLE zip_county_refresh;
+DROP TABLE county_names;
+`
+
+  const migration = nextMigration()
+  writeFileSync(migration, sql)
+
+  console.log(`✅ ${backfill.length} multi-county ZIPs, ${used.length} counties -> ${migration.pathname}`)
+}
+
+build()
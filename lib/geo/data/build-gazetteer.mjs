@@ -0,0 +1,130 @@
+/**
+ * Builds gazetteer.json, the bundled ZIP centroid and place-name gazetteer
+ *
+ *   node lib/geo/data/build-gazetteer.mjs \
+ *     --zips US.txt \
+ *     [--zcta-centroids 2021_Gaz_zcta_national.txt]
+ *
+ * Inputs:
+ *   --zips            GeoNames US postal codes (tab separated, CC BY 4.0).
+ *                     Gives each ZIP's USPS place name and state, and a
+ *                     centroid for ZIPs without a ZCTA (PO boxes, unique ZIPs).
+ *   --zcta-centroids  Census Gazetteer ZCTA file (tab separated, GEOID /
+ *                     INTPTLAT / INTPTLONG). Its internal points replace the
+ *                     GeoNames centroids where a ZCTA exists.
+ *
+ * Output:
+ *   places  [name, state, lat, lng] - a place's centroid is the mean of its
+ *           ZIP centroids (ZCTA-backed ZIPs only, when it has any)
+ *   zips    { zip: [lat, lng, place index] }
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs'
+
+const OUTPUT = new URL('./gazetteer.json', import.meta.url)
+
+// 50 states and DC; GeoNames also lists Marshall Islands etc.
+const STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID',
+  'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO',
+  'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA',
+  'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+])
+
+// GeoNames accuracy 4 is a ZIP centroid; 1 is a rough estimate we don't keep
+const GEONAMES_CENTROID = '4'
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1]
+  }
+  return args
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000
+}
+
+function readGeoNames(path) {
+  const zips = {}
+
+  for (const line of readFileSync(path, 'utf8').trim().split('\n')) {
+    const cols = line.split('\t')
+    const [zip, place, state] = [cols[1], cols[2], cols[4]]
+    if (!STATES.has(state) || zips[zip]) continue
+
+    zips[zip] = {
+      place,
+      state,
+      lat: Number(cols[9]),
+      lng: Number(cols[10]),
+      centroid: cols[11] === GEONAMES_CENTROID
+    }
+  }
+
+  return zips
+}
+
+function readZctaCentroids(path) {
+  const centroids = {}
+
+  const [header, ...rows] = readFileSync(path, 'utf8').trim().split(/\r?\n/)
+  const col = Object.fromEntries(header.split('\t').map((name, i) => [name.trim(), i]))
+
+  for (const row of rows) {
+    const cols = row.split('\t')
+    centroids[cols[col.GEOID]] = {
+      lat: Number(cols[col.INTPTLAT]),
+      lng: Number(cols[col.INTPTLONG])
+    }
+  }
+
+  return centroids
+}
+
+function build(args) {
+  if (!args.zips) throw new Error('--zips is required')
+
+  const geonames = readGeoNames(args.zips)
+  const zctas = args['zcta-centroids'] ? readZctaCentroids(args['zcta-centroids']) : {}
+
+  // Group ZIP centroids by place
+  const places = new Map()
+  for (const [zip, entry] of Object.entries(geonames).sort(([a], [b]) => a.localeCompare(b))) {
+    const zcta = zctas[zip]
+    if (!zcta && !entry.centroid) continue
+
+    const key = `${entry.state}|${entry.place}`
+    if (!places.has(key)) places.set(key, { name: entry.place, state: entry.state, zips: [] })
+    places.get(key).zips.push({ zip, ...(zcta || entry), zcta: !!zcta })
+  }
+
+  const output = {
+    sources: [
+      args['zcta-centroids'] ? 'U.S. Census Bureau Gazetteer ZCTA internal points' : null,
+      'GeoNames US postal codes (CC BY 4.0)'
+    ].filter(Boolean),
+    places: [],
+    zips: {}
+  }
+
+  for (const place of places.values()) {
+    const index = output.places.length
+    const anchors = place.zips.some(z => z.zcta) ? place.zips.filter(z => z.zcta) : place.zips
+    const lat = anchors.reduce((sum, z) => sum + z.lat, 0) / anchors.length
+    const lng = anchors.reduce((sum, z) => sum + z.lng, 0) / anchors.length
+
+    output.places.push([place.name, place.state, round(lat), round(lng)])
+    for (const z of place.zips) {
+      output.zips[z.zip] = [round(z.lat), round(z.lng), index]
+    }
+  }
+
+  writeFileSync(OUTPUT, JSON.stringify(output))
+
+  const fromZcta = Object.keys(output.zips).filter(zip => zctas[zip]).length
+  console.log(`✅ ${Object.keys(output.zips).length} ZIPs (${fromZcta} ZCTA centroids), ${output.places.length} places -> ${OUTPUT.pathname}`)
+}
+
+build(parseArgs(process.argv.slice(2)))
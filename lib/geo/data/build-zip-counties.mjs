@@ -0,0 +1,241 @@
+/**
+ * Builds zip-counties.json, the bundled ZIP -> county crosswalk
+ *
+ *   node lib/geo/data/build-zip-counties.mjs \
+ *     --counties fips-counties.csv \
+ *     --zips US.txt \
+ *     [--zcta-rel zcta_county_rel_10.txt | --zcta-members state_county_zip.json] \
+ *     [--county-shapes counties-10m.json]
+ *
+ * Inputs:
+ *   --counties      County FIPS codes and names (state,statefp,countyfp,countyname)
+ *   --zips          GeoNames US postal codes (tab separated, CC BY 4.0). Gives
+ *                   the county USPS files each ZIP under, and covers PO box
+ *                   and unique ZIPs that have no ZCTA.
+ *   --zcta-rel      Census 2010 ZCTA to county relationship file. Splits
+ *                   multi-county ZIPs by housing units (land area when a
+ *                   ZCTA has none).
+ *   --zcta-members  ZCTA -> county memberships without shares, as
+ *                   {ST: {counties: {"Name County": {zip_codes: []}}}}. Used
+ *                   when the Census file isn't at hand; multi-county ZIPs
+ *                   then carry null shares.
+ *   --county-shapes Census county boundaries as TopoJSON (us-atlas
+ *                   counties-10m.json). Without shares, the county holding
+ *                   the ZCTA's internal point from gazetteer.json leads a
+ *                   multi-county ZIP; the USPS county leads when it has none.
+ *
+ * Output zips map to "fips" for single-county ZIPs and "fips:share,..."
+ * with the largest share first otherwise (":share" left off when unknown).
+ * Then run build-county-backfill.mjs to write the migration that moves
+ * existing profiles to the new primary counties.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs'
+
+const OUTPUT = new URL('./zip-counties.json', import.meta.url)
+const GAZETTEER = new URL('./gazetteer.json', import.meta.url)
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1]
+  }
+  return args
+}
+
+// "Doña Ana County" and "Dona Ana County" must match
+function nameKey(state, name) {
+  return `${state}|${name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()}`
+}
+
+function readCounties(path) {
+  const counties = {}
+  const byName = {}
+
+  const [, ...rows] = readFileSync(path, 'utf8').trim().split('\n')
+  for (const row of rows) {
+    const [state, statefp, countyfp, name] = row.split(',')
+    const fips = statefp + countyfp
+    counties[fips] = [name, state]
+    byName[nameKey(state, name)] = fips
+  }
+
+  return { counties, byName }
+}
+
+// USPS county for every ZIP GeoNames knows
+function readUspsCounties(path, counties) {
+  const stateFips = {}
+  for (const [fips, [, state]] of Object.entries(counties)) {
+    stateFips[state] = fips.slice(0, 2)
+  }
+
+  const usps = {}
+  for (const line of readFileSync(path, 'utf8').trim().split('\n')) {
+    const cols = line.split('\t')
+    const [zip, state, countyCode] = [cols[1], cols[4], cols[6]]
+    const fips = stateFips[state] && countyCode ? stateFips[state] + countyCode : null
+    if (fips && counties[fips]) usps[zip] = fips
+  }
+
+  return usps
+}
+
+// ZCTA -> [{ fips, share }] from the Census relationship file
+function readZctaRelationships(path) {
+  const zctas = {}
+
+  const [header, ...rows] = readFileSync(path, 'utf8').trim().split(/\r?\n/)
+  const col = Object.fromEntries(header.split(',').map((name, i) => [name, i]))
+
+  for (const row of rows) {
+    const cols = row.split(',')
+    const housing = Number(cols[col.ZHU])
+    const share = housing > 0
+      ? Number(cols[col.HUPT]) / housing
+      : Number(cols[col.AREALANDPT]) / (Number(cols[col.ZAREALAND]) || 1)
+
+    const zcta = cols[col.ZCTA5]
+    zctas[zcta] = zctas[zcta] || []
+    zctas[zcta].push({ fips: cols[col.GEOID], share })
+  }
+
+  return zctas
+}
+
+// ZCTA -> [{ fips, share: null }] from membership lists
+function readZctaMemberships(path, byName) {
+  const zctas = {}
+  const source = JSON.parse(readFileSync(path, 'utf8'))
+
+  for (const [state, { counties }] of Object.entries(source)) {
+    for (const [name, { zip_codes: zips }] of Object.entries(counties)) {
+      const fips = byName[nameKey(state, name)]
+      if (!fips) throw new Error(`No FIPS code for ${name}, ${state}`)
+
+      for (const zip of zips) {
+        zctas[zip] = zctas[zip] || []
+        zctas[zip].push({ fips, share: null })
+      }
+    }
+  }
+
+  return zctas
+}
+
+// TopoJSON counties -> [{ fips, rings }] with rings as [[lon, lat], ...]
+function readCountyShapes(path) {
+  const topology = JSON.parse(readFileSync(path, 'utf8'))
+  const { scale, translate } = topology.transform
+
+  const arcs = topology.arcs.map(arc => {
+    let x = 0
+    let y = 0
+    return arc.map(([dx, dy]) => {
+      x += dx
+      y += dy
+      return [x * scale[0] + translate[0], y * scale[1] + translate[1]]
+    })
+  })
+
+  // A negative index (~i) walks arc i backwards
+  const ring = indexes => indexes.flatMap(index =>
+    index < 0 ? [...arcs[~index]].reverse() : arcs[index]
+  )
+
+  return topology.objects.counties.geometries.map(({ id, type, arcs: parts }) => ({
+    fips: String(id).padStart(5, '0'),
+    rings: (type === 'Polygon' ? [parts] : parts || []).flat().map(ring)
+  }))
+}
+
+// Even-odd rule over every ring, so holes are left out
+function contains(rings, [lon, lat]) {
+  let inside = false
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i]
+      const [xj, yj] = ring[j]
+      if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+  }
+  return inside
+}
+
+// ZCTA -> county holding its internal point, for the ZCTAs in more than one
+function readInternalPointCounties(path, zctas) {
+  const shapes = readCountyShapes(path)
+  const { zips: points } = JSON.parse(readFileSync(GAZETTEER, 'utf8'))
+
+  const counties = {}
+  for (const [zcta, members] of Object.entries(zctas)) {
+    if (members.length < 2 || !points[zcta]) continue
+    const [lat, lon] = points[zcta]
+    const shape = shapes.find(({ fips, rings }) =>
+      members.some(member => member.fips === fips) && contains(rings, [lon, lat])
+    )
+    if (shape) counties[zcta] = shape.fips
+  }
+
+  return counties
+}
+
+function formatMember({ fips, share }) {
+  return share === null ? fips : `${fips}:${Math.round(share * 1000) / 1000}`
+}
+
+function build(args) {
+  if (!args.counties || !args.zips) {
+    throw new Error('--counties and --zips are required')
+  }
+
+  const { counties, byName } = readCounties(args.counties)
+  const usps = readUspsCounties(args.zips, counties)
+  const zctas = args['zcta-rel']
+    ? readZctaRelationships(args['zcta-rel'])
+    : args['zcta-members'] ? readZctaMemberships(args['zcta-members'], byName) : {}
+  const internal = args['county-shapes'] ? readInternalPointCounties(args['county-shapes'], zctas) : {}
+
+  const zips = {}
+  for (const zip of [...new Set([...Object.keys(usps), ...Object.keys(zctas)])].sort()) {
+    const members = (zctas[zip] || []).filter(member => counties[member.fips])
+
+    if (members.length === 0) {
+      zips[zip] = usps[zip]
+    } else if (members.length === 1) {
+      zips[zip] = members[0].fips
+    } else {
+      // Largest share first; without shares the county holding the
+      // internal point leads, then the USPS county
+      members.sort((a, b) =>
+        (b.share ?? 0) - (a.share ?? 0) ||
+        (b.fips === internal[zip]) - (a.fips === internal[zip]) ||
+        (b.fips === usps[zip]) - (a.fips === usps[zip]) ||
+        a.fips.localeCompare(b.fips)
+      )
+      zips[zip] = members.map(formatMember).join(',')
+    }
+  }
+
+  const used = new Set(Object.values(zips).flatMap(value => value.split(',').map(entry => entry.split(':')[0])))
+  const output = {
+    sources: [
+      'U.S. Census Bureau county FIPS codes',
+      args['zcta-rel'] ? 'U.S. Census Bureau 2010 ZCTA to County Relationship File' : 'U.S. Census Bureau 2010 ZCTA county memberships',
+      args['county-shapes'] && 'U.S. Census Bureau ZCTA internal points and cartographic county boundaries (us-atlas)',
+      'GeoNames US postal codes (CC BY 4.0)'
+    ].filter(Boolean),
+    weightedShares: !!args['zcta-rel'],
+    counties: Object.fromEntries(Object.entries(counties).filter(([fips]) => used.has(fips))),
+    zips
+  }
+
+  writeFileSync(OUTPUT, JSON.stringify(output))
+
+  const multi = Object.values(zips).filter(value => value.includes(',')).length
+  console.log(`✅ ${Object.keys(zips).length} ZIPs (${multi} multi-county), ${used.size} counties -> ${OUTPUT.pathname}`)
+}
+
+build(parseArgs(process.argv.slice(2)))
@@ -0,0 +1,112 @@
+/**
+ * Offline Gazetteer
+ * ZIP centroids and place (USPS city name) centroids for every US ZIP, from
+ * the bundled data/gazetteer.json (built by data/build-gazetteer.mjs from the
+ * Census ZCTA Gazetteer and GeoNames postal codes).
+ *
+ * Used when no geocoding service is available, so results are only as
+ * precise as a ZIP or city centroid - callers get the level back and must
+ * not treat it as the address itself.
+ *
+ * Server-only: the data file is ~2MB, keep it out of client components.
+ */
+
+import gazetteer from './data/gazetteer.json'
+
+// Leading abbreviations USPS spells out
+const ABBREVIATIONS = { st: 'saint', ste: 'sainte', ft: 'fort', mt: 'mount', pt: 'port' }
+
+let placeIndex = null
+
+/**
+ * Comparable form of a place name: "St. Petersburg" and "Saint Petersburg",
+ * "McIntosh" and "Mc Intosh" get the same key
+ */
+function placeKey(name) {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+
+  if (ABBREVIATIONS[words[0]]) words[0] = ABBREVIATIONS[words[0]]
+
+  return words.join('')
+}
+
+// "<state>|<placeKey>" -> place, and placeKey -> places in every state
+function getPlaceIndex() {
+  if (placeIndex) return placeIndex
+
+  placeIndex = { byState: new Map(), byName: new Map() }
+  gazetteer.places.forEach(([name, state, lat, lng]) => {
+    const place = { city: name, stateCode: state, lat, lng }
+    const key = placeKey(name)
+
+    placeIndex.byState.set(`${state}|${key}`, place)
+    placeIndex.byName.set(key, [...(placeIndex.byName.get(key) || []), place])
+  })
+
+  return placeIndex
+}
+
+/**
+ * Centroid of a ZIP code
+ * @returns {{zipCode: string, city: string, stateCode: string, lat: number, lng: number}|null}
+ */
+export function lookupZip(zip) {
+  const zipCode = String(zip || '').match(/^\s*(\d{5})/)?.[1]
+  const entry = zipCode && gazetteer.zips[zipCode]
+  if (!entry) return null
+
+  const [lat, lng, placeIdx] = entry
+  const [city, stateCode] = gazetteer.places[placeIdx]
+
+  return { zipCode, city, stateCode, lat, lng }
+}
+
+/**
+ * Centroid of a city. Without a state the name must be unique nationwide.
+ * @returns {{city: string, stateCode: string, lat: number, lng: number}|null}
+ */
+export function lookupPlace(city, stateCode) {
+  const key = placeKey(city)
+  if (!key) return null
+
+  const index = getPlaceIndex()
+  if (stateCode) {
+    return index.byState.get(`${stateCode}|${key}`) || null
+  }
+
+  const matches = index.byName.get(key) || []
+  return matches.length === 1 ? matches[0] : null
+}
+
+/**
+ * ZIP whose centroid is nearest the coordinates (equirectangular distance,
+ * fine at ZIP scale). Scans every ZIP, so cache the answer.
+ * @returns {{zipCode: string, city: string, stateCode: string, lat: number, lng: number, distanceMiles: number}|null}
+ */
+export function nearestZip(lat, lng) {
+  const cosLat = Math.cos(lat * Math.PI / 180)
+  let best = null
+  let bestDistance = Infinity
+
+  for (const [zipCode, [zipLat, zipLng]] of Object.entries(gazetteer.zips)) {
+    const dLat = zipLat - lat
+    const dLng = (zipLng - lng) * cosLat
+    const distance = dLat * dLat + dLng * dLng
+    if (distance < bestDistance) {
+      best = zipCode
+      bestDistance = distance
+    }
+  }
+
+  if (!best) return null
+
+  // 69 miles per degree
+  return { ...lookupZip(best), distanceMiles: Math.sqrt(bestDistance) * 69 }
+}
@@ -0,0 +1,55 @@
+/**
+ * Nearby HOAs
+ * HOAs within a radius of a point, nearest first. The nearby_hoas() RPC
+ * does the indexed PostGIS radius search; distances are then computed with
+ * calculateDistance so every caller reports miles the same way.
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+import { calculateDistance } from '@/lib/apis/geocoding'
+
+const METERS_PER_MILE = 1609.344
+
+export const DEFAULT_RADIUS_MILES = 0.5
+export const MAX_RADIUS_MILES = 25
+
+/**
+ * @param {Object} params - { lat, lng, radiusMiles, limit, columns, excludeBounded }
+ *   columns is a PostgREST select list (defaults to every column) and must
+ *   include coordinates; excludeBounded skips HOAs with a recorded boundary
+ * @returns {Promise<{hoas: Array<Object>, error?: string}>} hoas carry distanceMiles
+ */
+export async function findNearbyHOAs({
+  lat,
+  lng,
+  radiusMiles = DEFAULT_RADIUS_MILES,
+  limit = 50,
+  columns = '*',
+  excludeBounded = false
+}) {
+  const supabase = createServiceClient()
+
+  const { data, error } = await supabase
+    .rpc('nearby_hoas', {
+      p_lat: lat,
+      p_lng: lng,
+      p_radius_meters: Math.min(radiusMiles, MAX_RADIUS_MILES) * METERS_PER_MILE,
+      p_limit: limit,
+      p_exclude_bounded: excludeBounded
+    })
+    .select(columns)
+
+  if (error) {
+    console.error('❌ [NEARBY] Query failed:', error.message)
+    return { hoas: [], error: error.message }
+  }
+
+  const hoas = (data || [])
+    .map(({ location, boundary_geom: boundaryGeom, ...hoa }) => ({
+      ...hoa,
+      distanceMiles: calculateDistance(lat, lng, hoa.coordinates.lat, hoa.coordinates.lng)
+    }))
+    .sort((a, b) => a.distanceMiles - b.distanceMiles)
+
+  return { hoas }
+}
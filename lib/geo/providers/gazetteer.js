@@ -0,0 +1,162 @@
+/**
+ * Offline Gazetteer Geocoding Provider
+ * Last in the chain: ZIP and city centroids from the bundled gazetteer, for
+ * when Google and Nominatim are unavailable or find nothing.
+ *
+ * Results carry precision 'zip_centroid' | 'city_centroid' and a confidence
+ * below searchHOA's threshold - good enough for neighborhood context, not
+ * for matching an address to an HOA. Never cached: it's local, and a cached
+ * centroid would hide the real answer once the services are back.
+ */
+
+import { lookupZip, lookupPlace, nearestZip } from '@/lib/geo/gazetteer'
+import { getCountyFromZip } from '@/lib/geo/counties'
+import { getStateProfile, normalizeStateCode } from '@/lib/states'
+
+// A centroid is never an address match
+const CONFIDENCE = {
+  zip: 0.2,
+  city: 0.1
+}
+
+// Points further than this from any ZIP centroid are offshore or outside the US
+const MAX_REVERSE_MILES = 30
+
+/**
+ * Split a free-form address into street, city, state and ZIP
+ * Handles "123 Main St, Miami, FL 33139", "Miami Beach FL", "33139" and
+ * full state names; parts it can't find come back empty.
+ */
+function parseAddressString(address) {
+  const parts = address.split(',').map(s => s.trim()).filter(Boolean)
+  if (/^(usa?|united states( of america)?)$/i.test(parts[parts.length - 1] || '')) parts.pop()
+
+  // The last part holds the state and/or ZIP, sometimes the city too
+  let last = parts[parts.length - 1] || ''
+  let zipCode = ''
+  const zipMatch = last.match(/\b(\d{5})(?:-\d{4})?$/)
+  if (zipMatch) {
+    zipCode = zipMatch[1]
+    last = last.slice(0, zipMatch.index).trim()
+  }
+
+  const words = last.split(/\s+/).filter(Boolean)
+  let stateCode = null
+  for (let n = Math.min(words.length, 3); n >= 1 && !stateCode; n--) {
+    stateCode = normalizeStateCode(words.slice(-n).join(' '))
+    if (stateCode) words.splice(-n)
+  }
+
+  // Whatever is left of the last part is the city, else the part before it
+  const cityIndex = words.length ? parts.length - 1 : parts.length - 2
+  const city = words.length ? words.join(' ') : parts[cityIndex] || ''
+
+  return {
+    streetAddress: cityIndex > 0 ? parts[0] : '',
+    city,
+    stateCode,
+    zipCode
+  }
+}
+
+/**
+ * Place the address at its ZIP centroid, or its city centroid when there's
+ * no usable ZIP. Returns null rather than guessing when neither is found.
+ */
+function geocode(address) {
+  const parsed = parseAddressString(address)
+  console.log('🔄 [GAZETTEER] Parsed:', parsed)
+
+  // A ZIP that contradicts the state in the address is a typo; try the city
+  const zip = lookupZip(parsed.zipCode)
+  const zipMatches = zip && (!parsed.stateCode || parsed.stateCode === zip.stateCode)
+  const place = zipMatches ? null : lookupPlace(parsed.city, parsed.stateCode)
+
+  if (!zipMatches && !place) {
+    console.warn('⚠️ [GAZETTEER] No ZIP or city found in the gazetteer')
+    return null
+  }
+
+  const match = zipMatches ? zip : place
+  const zipCode = zipMatches ? zip.zipCode : ''
+  const streetMatch = parsed.streetAddress.match(/^(\d+[A-Za-z]?)\s+(.+)$/)
+
+  const result = {
+    formattedAddress: [parsed.streetAddress, match.city, `${match.stateCode} ${zipCode}`.trim()].filter(Boolean).join(', '),
+    lat: match.lat,
+    lng: match.lng,
+    streetNumber: streetMatch?.[1] || '',
+    street: streetMatch?.[2] || parsed.streetAddress,
+    streetAddress: parsed.streetAddress,
+    city: match.city,
+    county: (zipCode && getCountyFromZip(zipCode)?.name) || '',
+    state: getStateProfile(match.stateCode).name,
+    stateCode: match.stateCode,
+    country: 'United States',
+    countryCode: 'US',
+    zipCode,
+    neighborhood: '',
+    placeId: null,
+    precision: zipMatches ? 'zip_centroid' : 'city_centroid',
+    confidence: zipMatches ? CONFIDENCE.zip : CONFIDENCE.city,
+    source: 'gazetteer'
+  }
+
+  console.log('🔄 [GAZETTEER] Result:', {
+    city: result.city,
+    state: result.stateCode,
+    zipCode: result.zipCode,
+    precision: result.precision,
+    confidence: result.confidence
+  })
+
+  return result
+}
+
+/**
+ * Nearest ZIP centroid to the coordinates
+ */
+function reverse(lat, lng) {
+  const zip = nearestZip(lat, lng)
+  if (!zip || zip.distanceMiles > MAX_REVERSE_MILES) return null
+
+  return {
+    formattedAddress: `${zip.city}, ${zip.stateCode} ${zip.zipCode}`,
+    lat,
+    lng,
+    streetNumber: '',
+    street: '',
+    streetAddress: '',
+    city: zip.city,
+    county: getCountyFromZip(zip.zipCode)?.name || '',
+    state: getStateProfile(zip.stateCode).name,
+    stateCode: zip.stateCode,
+    country: 'United States',
+    countryCode: 'US',
+    zipCode: zip.zipCode,
+    neighborhood: '',
+    placeId: null,
+    precision: 'zip_centroid',
+    confidence: CONFIDENCE.zip,
+    source: 'gazetteer'
+  }
+}
+
+const gazetteer = {
+  name: 'gazetteer',
+  cacheable: false,
+
+  isAvailable() {
+    return true
+  },
+
+  async geocode(address) {
+    return geocode(address)
+  },
+
+  async reverse(lat, lng) {
+    return reverse(lat, lng)
+  }
+}
+
+export default gazetteer
@@ -0,0 +1,163 @@
+/**
+ * Google Maps Geocoding Provider
+ * First in the chain; skipped when GOOGLE_MAPS_API_KEY isn't set.
+ * Docs: https://developers.google.com/maps/documentation/geocoding
+ */
+
+import { logApiUsage } from '@/lib/supabase/server'
+import { fetchWithCassette } from '@/lib/http/cassette'
+
+const GOOGLE_GEOCODING_API = 'https://maps.googleapis.com/maps/api/geocode/json'
+
+// Higher confidence for more precise location types
+const LOCATION_TYPES = {
+  ROOFTOP: { precision: 'address', confidence: 1.0 },           // Precise location
+  RANGE_INTERPOLATED: { precision: 'address', confidence: 0.8 }, // Approximate location
+  GEOMETRIC_CENTER: { precision: 'area', confidence: 0.6 },      // Center of area
+  APPROXIMATE: { precision: 'area', confidence: 0.4 }            // Rough approximation
+}
+
+/**
+ * Parse address components from Google's response
+ */
+function parseAddressComponents(components) {
+  const parsed = {
+    streetNumber: '',
+    street: '',
+    city: '',
+    county: '',
+    state: '',
+    stateCode: '',
+    country: '',
+    countryCode: '',
+    zipCode: '',
+    neighborhood: ''
+  }
+
+  if (!components) return parsed
+
+  components.forEach(component => {
+    const types = component.types
+
+    if (types.includes('street_number')) {
+      parsed.streetNumber = component.long_name
+    }
+    if (types.includes('route')) {
+      parsed.street = component.long_name
+    }
+    if (types.includes('locality')) {
+      parsed.city = component.long_name
+    }
+    if (types.includes('administrative_area_level_2')) {
+      parsed.county = component.long_name
+    }
+    if (types.includes('administrative_area_level_1')) {
+      parsed.state = component.long_name
+      parsed.stateCode = component.short_name
+    }
+    if (types.includes('country')) {
+      parsed.country = component.long_name
+      parsed.countryCode = component.short_name
+    }
+    if (types.includes('postal_code')) {
+      parsed.zipCode = component.long_name
+    }
+    if (types.includes('neighborhood')) {
+      parsed.neighborhood = component.long_name
+    }
+    // Sometimes the city is stored as sublocality
+    if (types.includes('sublocality_level_1') && !parsed.city) {
+      parsed.city = component.long_name
+    }
+  })
+
+  // Build full street address
+  if (parsed.streetNumber && parsed.street) {
+    parsed.streetAddress = `${parsed.streetNumber} ${parsed.street}`
+  } else {
+    parsed.streetAddress = parsed.street
+  }
+
+  return parsed
+}
+
+/**
+ * One Geocoding API call; first result or null when there's none
+ */
+async function request(params) {
+  const url = new URL(GOOGLE_GEOCODING_API)
+  Object.entries(params).forEach(([name, value]) => url.searchParams.append(name, value))
+  url.searchParams.append('key', process.env.GOOGLE_MAPS_API_KEY)
+
+  const startTime = Date.now()
+
+  let response
+  try {
+    response = await fetchWithCassette('google_maps', url.toString())
+  } catch (error) {
+    await logApiUsage('google_maps', {
+      endpoint: '/geocode',
+      error_message: error.message,
+      status_code: 500
+    })
+    throw error
+  }
+
+  const responseTime = Date.now() - startTime
+  await logApiUsage('google_maps', {
+    endpoint: '/geocode',
+    response_time_ms: responseTime,
+    status_code: response.status
+  })
+
+  if (!response.ok) {
+    throw new Error(`Geocoding API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  console.log(`📊 [GEOCODING] Google status: ${data.status} (${responseTime}ms)`)
+
+  if (data.status === 'ZERO_RESULTS') return null
+  if (data.status !== 'OK') {
+    throw new Error(`Geocoding API status ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`)
+  }
+
+  return data.results?.[0] || null
+}
+
+function toResult(result) {
+  const { precision, confidence } = LOCATION_TYPES[result.geometry.location_type] ||
+    { precision: 'area', confidence: 0.5 }
+
+  return {
+    formattedAddress: result.formatted_address,
+    lat: result.geometry.location.lat,
+    lng: result.geometry.location.lng,
+    ...parseAddressComponents(result.address_components),
+    placeId: result.place_id,
+    precision,
+    confidence,
+    source: 'google'
+  }
+}
+
+const google = {
+  name: 'google',
+  cacheable: true,
+
+  isAvailable() {
+    return !!process.env.GOOGLE_MAPS_API_KEY
+  },
+
+  async geocode(address) {
+    const result = await request({ address, components: 'country:US' })
+    return result && toResult(result)
+  },
+
+  async reverse(lat, lng) {
+    const result = await request({ latlng: `${lat},${lng}` })
+    return result && toResult(result)
+  }
+}
+
+export default google
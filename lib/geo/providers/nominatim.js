@@ -0,0 +1,120 @@
+/**
+ * OpenStreetMap Nominatim Geocoding Provider
+ * Free, second in the chain. The usage policy allows one request per second
+ * per application, so the throttle is shared across server instances through
+ * check_rate_limit() rather than kept in module memory.
+ * Docs: https://nominatim.org/release-docs/latest/api/Overview/
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+import { fetchWithCassette } from '@/lib/http/cassette'
+import { normalizeStateCode } from '@/lib/states'
+
+const NOMINATIM_API = 'https://nominatim.openstreetmap.org'
+
+// Give up on Nominatim (the chain moves on) rather than queue behind others
+const MAX_THROTTLE_WAITS = 3
+
+/**
+ * Wait for this instance's turn at the one-request-per-second limit
+ * @returns {Promise<boolean>} false when the wait would be too long
+ */
+async function waitForSlot() {
+  for (let attempt = 0; attempt < MAX_THROTTLE_WAITS; attempt++) {
+    try {
+      const supabase = createServiceClient()
+      const { data, error } = await supabase.rpc('check_rate_limit', {
+        p_action: 'nominatim',
+        p_keys: ['global'],
+        p_limit: 1,
+        p_window_seconds: 1
+      })
+
+      if (error) throw error
+
+      const result = data?.[0]
+      if (!result || result.allowed) return true
+
+      await new Promise(resolve => setTimeout(resolve, result.retry_after_seconds * 1000))
+    } catch (error) {
+      // Don't stop geocoding because the limiter is unavailable
+      console.error('Nominatim throttle check failed:', error)
+      return true
+    }
+  }
+
+  return false
+}
+
+async function request(path, params) {
+  if (!await waitForSlot()) {
+    throw new Error('Nominatim throttled')
+  }
+
+  const url = new URL(`${NOMINATIM_API}${path}`)
+  Object.entries({ ...params, format: 'json', addressdetails: 1 })
+    .forEach(([name, value]) => url.searchParams.append(name, value))
+
+  const response = await fetchWithCassette('nominatim', url.toString(), {
+    headers: {
+      'User-Agent': 'HOAScout/1.0 (https://hoascout.com)',
+      'Accept': 'application/json'
+    }
+  })
+
+  if (!response.ok) {
+    throw new Error(`Nominatim HTTP error: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+function toResult(result) {
+  const address = result.address || {}
+  const stateCode = normalizeStateCode(address['ISO3166-2-lvl4']?.replace(/^US-/, '')) ||
+    normalizeStateCode(address.state) || ''
+  const street = address.road || ''
+  const streetAddress = address.house_number && street ? `${address.house_number} ${street}` : street
+
+  return {
+    formattedAddress: result.display_name,
+    lat: parseFloat(result.lat),
+    lng: parseFloat(result.lon),
+    streetNumber: address.house_number || '',
+    street,
+    streetAddress,
+    city: address.city || address.town || address.village || address.hamlet || address.municipality || '',
+    county: address.county || '',
+    state: address.state || '',
+    stateCode,
+    country: address.country || '',
+    countryCode: (address.country_code || '').toUpperCase(),
+    zipCode: (address.postcode || '').slice(0, 5),
+    neighborhood: address.neighbourhood || address.suburb || '',
+    placeId: `osm-${result.osm_type}-${result.osm_id}`,
+    precision: address.house_number ? 'address' : 'area',
+    confidence: address.house_number ? 0.8 : 0.5,
+    source: 'nominatim'
+  }
+}
+
+const nominatim = {
+  name: 'nominatim',
+  cacheable: true,
+
+  isAvailable() {
+    return true
+  },
+
+  async geocode(address) {
+    const results = await request('/search', { q: address, limit: 1, countrycodes: 'us' })
+    return results?.length ? toResult(results[0]) : null
+  },
+
+  async reverse(lat, lng) {
+    const result = await request('/reverse', { lat, lon: lng })
+    return result && !result.error ? toResult(result) : null
+  }
+}
+
+export default nominatim
@@ -0,0 +1,281 @@
+/**
+ * HTTP Cassettes
+ * Record/replay layer for outbound API calls (Claude, Perplexity, Yelp,
+ * Google Geocoding, Nominatim)
+ *
+ * HTTP_CASSETTE_MODE=record  - make real requests and save each
+ *                              request/response pair, with API keys scrubbed
+ * HTTP_CASSETTE_MODE=replay  - serve saved responses, never touch the network
+ * unset / off                - plain fetch
+ *
+ * Replay matches on method, URL and normalized body. HTTP_CASSETTE_MATCH=url
+ * also accepts the next unused recording for the same method + URL when no
+ * body matches; off by default, since every Claude or Perplexity call
+ * shares one URL and would get another call's response.
+ *
+ * Cassettes are JSON files in HTTP_CASSETTE_DIR (default lib/mocks/cassettes).
+ * Each analyzeHOA run uses its own cassette (hoa-<id>.json) so the exact
+ * inputs a report was built from can be replayed later; other calls go to
+ * HTTP_CASSETTE (default "default").
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { createHash } from 'node:crypto'
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+
+const DEFAULT_DIR = 'lib/mocks/cassettes'
+
+// Query parameters that carry credentials (request headers are never stored)
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token']
+const REDACTED = 'REDACTED'
+
+// Keys scrubbed from anything written to a cassette, in case a body echoes one
+const SECRET_ENV_VARS = ['ANTHROPIC_API_KEY', 'PERPLEXITY_API_KEY', 'YELP_API_KEY', 'GOOGLE_MAPS_API_KEY']
+
+// Values that change on every run and would stop bodies from matching
+const VOLATILE_PATTERNS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g, '<timestamp>'],
+  [/("?(?:responseTimeMs|response_time_ms)"?\s*:\s*)\d+/g, '$1<ms>'],
+  // Per-source timings in analysis results, e.g. searchTimings: { sunbiz: 812 }
+  [/("?searchTimings"?\s*:\s*\{)([^{}]*)\}/g, (match, open, fields) => `${open}${fields.replace(/(:\s*)\d+/g, '$1<ms>')}}`]
+]
+
+const cassetteScope = new AsyncLocalStorage()
+
+// Sessions for calls made outside withCassette(), keyed by cassette name
+const globalSessions = new Map()
+
+// Loaded cassette files, keyed by name
+const loadedCassettes = new Map()
+
+// Serializes writes so concurrent recordings don't clobber a file
+let writeQueue = Promise.resolve()
+
+export function getCassetteMode() {
+  const mode = (process.env.HTTP_CASSETTE_MODE || 'off').toLowerCase()
+  return mode === 'record' || mode === 'replay' ? mode : 'off'
+}
+
+/**
+ * Run fn with all outbound calls recorded to / replayed from the named cassette
+ * A no-op when cassettes are off.
+ */
+export function withCassette(name, fn) {
+  if (getCassetteMode() === 'off') {
+    return fn()
+  }
+
+  // Each recording replaces the previous one for this cassette
+  if (getCassetteMode() === 'record') {
+    loadedCassettes.set(name, Promise.resolve({ name, interactions: [] }))
+  }
+
+  return cassetteScope.run({ name, used: new Set() }, fn)
+}
+
+function currentSession() {
+  const scoped = cassetteScope.getStore()
+  if (scoped) return scoped
+
+  const name = process.env.HTTP_CASSETTE || 'default'
+  if (!globalSessions.has(name)) {
+    globalSessions.set(name, { name, used: new Set() })
+  }
+  return globalSessions.get(name)
+}
+
+function cassettePath(name) {
+  const dir = process.env.HTTP_CASSETTE_DIR || DEFAULT_DIR
+  return path.resolve(process.cwd(), dir, `${name.replace(/[^a-z0-9._-]/gi, '_')}.json`)
+}
+
+async function loadCassette(name) {
+  if (!loadedCassettes.has(name)) {
+    loadedCassettes.set(name, (async () => {
+      try {
+        return JSON.parse(await fs.readFile(cassettePath(name), 'utf8'))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+        return { name, interactions: [] }
+      }
+    })())
+  }
+  return loadedCassettes.get(name)
+}
+
+function scrubUrl(url) {
+  const parsed = new URL(url)
+  for (const param of [...parsed.searchParams.keys()]) {
+    if (SECRET_PARAMS.includes(param.toLowerCase())) {
+      parsed.searchParams.set(param, REDACTED)
+    }
+  }
+  return parsed.toString()
+}
+
+function scrubSecrets(text) {
+  if (!text) return text
+
+  let scrubbed = text
+  for (const name of SECRET_ENV_VARS) {
+    const secret = process.env[name]
+    if (secret && secret.length >= 8) {
+      scrubbed = scrubbed.split(secret).join(REDACTED)
+    }
+  }
+  return scrubbed
+}
+
+/**
+ * Stable JSON: object keys sorted so key order never affects matching
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]))
+  }
+  return value
+}
+
+function normalizeBody(body) {
+  if (!body) return ''
+
+  let normalized
+  try {
+    normalized = JSON.stringify(sortKeys(JSON.parse(body)))
+  } catch {
+    normalized = String(body)
+  }
+
+  for (const [pattern, replacement] of VOLATILE_PATTERNS) {
+    normalized = normalized.replace(pattern, replacement)
+  }
+  return normalized
+}
+
+// Hashed into a fixed-length lookup key; the scrubbed request body is stored
+// separately so recordings stay readable
+function requestKey(method, url, body) {
+  return createHash('sha256')
+    .update(`${method} ${scrubUrl(url)} ${normalizeBody(body)}`)
+    .digest('hex')
+}
+
+/**
+ * Find the recorded interaction for a request
+ * Needs an exact method + URL + body match unless HTTP_CASSETTE_MATCH=url,
+ * which falls back to the next unused interaction for the same method + URL
+ * for prompts that embed values differing between runs.
+ */
+function findInteraction(cassette, session, method, url, body) {
+  const key = requestKey(method, url, body)
+  const target = `${method} ${scrubUrl(url)}`
+  const interactions = cassette.interactions
+
+  const pick = (predicate) => {
+    const unused = interactions.findIndex((entry, idx) => !session.used.has(idx) && predicate(entry))
+    if (unused !== -1) return unused
+    return interactions.findIndex(predicate)
+  }
+
+  let index = pick(entry => entry.key === key)
+  if (index === -1 && process.env.HTTP_CASSETTE_MATCH === 'url') {
+    index = pick(entry => `${entry.request.method} ${entry.request.url}` === target)
+    if (index !== -1) {
+      console.warn(`⚠️ [CASSETTE] Body differs from recording, replaying by URL order: ${target}`)
+    }
+  }
+
+  if (index !== -1) session.used.add(index)
+  return index === -1 ? null : interactions[index]
+}
+
+function parseMaybeJson(text) {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+async function saveInteraction(name, interaction) {
+  const cassette = await loadCassette(name)
+  cassette.interactions.push(interaction)
+  cassette.recordedAt = new Date().toISOString()
+
+  writeQueue = writeQueue.then(async () => {
+    const file = cassettePath(name)
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    await fs.writeFile(file, JSON.stringify(cassette, null, 2) + '\n')
+  }).catch(error => {
+    console.error('❌ [CASSETTE] Failed to write cassette:', error.message)
+  })
+
+  return writeQueue
+}
+
+/**
+ * fetch() replacement for external API calls
+ *
+ * @param {string} service - Provider name stored with the interaction (claude, perplexity, ...)
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithCassette(service, url, init = {}) {
+  const mode = getCassetteMode()
+  if (mode === 'off') {
+    return fetch(url, init)
+  }
+
+  const session = currentSession()
+  const method = (init.method || 'GET').toUpperCase()
+  const body = typeof init.body === 'string' ? init.body : null
+
+  if (mode === 'replay') {
+    const cassette = await loadCassette(session.name)
+    const interaction = findInteraction(cassette, session, method, url, body)
+
+    if (!interaction) {
+      throw new Error(
+        `No recorded ${service} response for ${method} ${scrubUrl(url)} with this request body in cassette "${session.name}". ` +
+        'Record it with HTTP_CASSETTE_MODE=record, or set HTTP_CASSETTE_MATCH=url to replay by URL order.'
+      )
+    }
+
+    console.log(`📼 [CASSETTE] Replaying ${service} ${method} ${interaction.request.url}`)
+    const { status, statusText, headers, body: responseBody } = interaction.response
+    return new Response(
+      typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody),
+      { status, statusText, headers }
+    )
+  }
+
+  const response = await fetch(url, init)
+  const text = await response.text()
+  const headers = { 'content-type': response.headers.get('content-type') || 'application/json' }
+
+  console.log(`📼 [CASSETTE] Recording ${service} ${method} ${scrubUrl(url)} → ${response.status}`)
+  await saveInteraction(session.name, {
+    service,
+    key: requestKey(method, url, body),
+    request: {
+      method,
+      url: scrubUrl(url),
+      body: body ? parseMaybeJson(scrubSecrets(body)) : null
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: parseMaybeJson(scrubSecrets(text))
+    }
+  })
+
+  return new Response(text, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  })
+}
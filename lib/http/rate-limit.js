@@ -0,0 +1,120 @@
+/**
+ * Rate Limiting
+ * Sliding-window limits on the actions that cost money: search (creates HOA
+ * profiles and queues analyses), analyze and enrich. Each request counts
+ * against the client IP and against the signed-in user, or the anonymous
+ * session cookie for visitors without an account who sent one; any one key
+ * over its limit blocks the request.
+ *
+ * Limits are configurable per action as "<requests>/<seconds>", e.g.
+ * RATE_LIMIT_SEARCH=20/600, or "off" to disable. Windows are capped at a
+ * day because clean_expired_cache() prunes older events.
+ */
+
+import { NextResponse } from 'next/server'
+import { createServiceClient, hasRole } from '@/lib/supabase/server'
+import { getRequestMetadata } from '@/lib/http/request-meta'
+
+export const RATE_LIMITS = {
+  search: { limit: 20, windowSeconds: 10 * 60, noun: 'searches' },
+  analyze: { limit: 5, windowSeconds: 60 * 60, noun: 'analysis requests' },
+  enrich: { limit: 10, windowSeconds: 60 * 60, noun: 'enrichment requests' }
+}
+
+const MAX_WINDOW_SECONDS = 24 * 60 * 60
+
+/**
+ * Limit for an action with any RATE_LIMIT_<ACTION> override applied
+ * @returns {Object|null} { limit, windowSeconds, noun }, null when disabled
+ */
+export function getRateLimit(action) {
+  const defaults = RATE_LIMITS[action]
+  if (!defaults) {
+    throw new Error(`Unknown rate limit action: ${action}`)
+  }
+
+  const override = process.env[`RATE_LIMIT_${action.toUpperCase()}`]?.trim()
+  if (!override) return defaults
+  if (override === 'off') return null
+
+  const [limit, windowSeconds] = override.split('/').map(part => parseInt(part, 10))
+  if (!(limit > 0) || !(windowSeconds > 0)) {
+    console.warn(`⚠️ [RATE LIMIT] Ignoring invalid RATE_LIMIT_${action.toUpperCase()}="${override}"`)
+    return defaults
+  }
+
+  return { ...defaults, limit, windowSeconds: Math.min(windowSeconds, MAX_WINDOW_SECONDS) }
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+/**
+ * Count this request against the action's limit
+ *
+ * @param {string} action - 'search' | 'analyze' | 'enrich'
+ * @param {Object} context - { user, meta } (meta defaults to the current request's)
+ * @returns {Promise<Object>} { allowed } or { allowed: false, status: 429, error, retryAfter }
+ */
+export async function enforceRateLimit(action, { user = null, meta = null } = {}) {
+  const config = getRateLimit(action)
+  if (!config) return { allowed: true }
+
+  // Moderators and admins aren't limited
+  if (user && await hasRole(user, 'moderator')) {
+    return { allowed: true }
+  }
+
+  // A session id issued on this request is a fresh bucket every time for
+  // clients that drop cookies, so those count against the IP alone
+  const { ip, sessionId, newSession } = meta || await getRequestMetadata()
+  const keys = [
+    ip && `ip:${ip}`,
+    user ? `user:${user.id}` : !newSession && sessionId && `sid:${sessionId}`
+  ].filter(Boolean)
+
+  if (keys.length === 0) return { allowed: true }
+
+  try {
+    const supabase = createServiceClient()
+    const { data, error } = await supabase.rpc('check_rate_limit', {
+      p_action: action,
+      p_keys: keys,
+      p_limit: config.limit,
+      p_window_seconds: config.windowSeconds
+    })
+
+    if (error) throw error
+
+    const result = data?.[0]
+    if (!result || result.allowed) {
+      return { allowed: true }
+    }
+
+    console.warn(`🚦 [RATE LIMIT] ${action} blocked for ${result.blocked_key} (${config.limit}/${config.windowSeconds}s)`)
+
+    return {
+      allowed: false,
+      status: 429,
+      retryAfter: result.retry_after_seconds,
+      error: `Too many ${config.noun}. Please try again in ${formatWait(result.retry_after_seconds)}.`
+    }
+  } catch (error) {
+    // Don't block users because the limiter is unavailable
+    console.error('Rate limit check failed:', error)
+    return { allowed: true }
+  }
+}
+
+/**
+ * 429 response for a blocked route handler request
+ */
+export function rateLimitResponse(result) {
+  return NextResponse.json(
+    { success: false, error: result.error, retryAfter: result.retryAfter },
+    { status: 429, headers: { 'Retry-After': String(result.retryAfter) } }
+  )
+}
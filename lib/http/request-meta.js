@@ -0,0 +1,85 @@
+/**
+ * Request Metadata
+ * Client IP, user agent and referrer from the incoming request headers, plus
+ * an anonymous session cookie so visitors without an account can be told
+ * apart (and rate limited) even when they share an IP.
+ *
+ * Only usable inside a request: server actions, route handlers and
+ * server components (which can read but not set the session cookie).
+ */
+
+import { randomUUID } from 'node:crypto'
+import { isIP } from 'node:net'
+import { cookies, headers } from 'next/headers'
+
+export const SESSION_COOKIE = 'hoa_scout_sid'
+const SESSION_MAX_AGE = 60 * 60 * 24 * 365 // 1 year
+
+/**
+ * The address our own proxy saw: X-Forwarded-For entries before it are
+ * whatever the client sent, so count TRUSTED_PROXY_HOPS (default 1, the
+ * platform's edge) from the end, then fall back to X-Real-IP. Null when
+ * neither holds a valid address, e.g. in local development, so junk
+ * headers never reach the INET column.
+ */
+function clientIp(headerList) {
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS || '1', 10) || 1
+  const forwarded = headerList.get('x-forwarded-for')?.split(',') || []
+  const candidates = [
+    forwarded[forwarded.length - hops],
+    headerList.get('x-real-ip')
+  ]
+
+  for (const candidate of candidates) {
+    const ip = candidate?.trim()
+    if (ip && isIP(ip)) return ip
+  }
+
+  return null
+}
+
+/**
+ * Read the anonymous session id, issuing one when missing
+ * Setting fails in server components; the id is then only used for this
+ * request and the next action or route call issues the cookie.
+ * @returns {Promise<Object>} { sessionId, isNew }
+ */
+async function anonymousSession() {
+  const cookieStore = await cookies()
+  const existing = cookieStore.get(SESSION_COOKIE)?.value
+  if (existing) return { sessionId: existing, isNew: false }
+
+  const sessionId = randomUUID()
+  try {
+    cookieStore.set(SESSION_COOKIE, sessionId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: SESSION_MAX_AGE,
+      path: '/'
+    })
+  } catch (error) {
+    // Called from a server component
+  }
+
+  return { sessionId, isNew: true }
+}
+
+/**
+ * Metadata for the current request
+ * newSession is true when the request carried no session cookie and
+ * sessionId was just issued
+ * @returns {Promise<Object>} { ip, userAgent, referrer, sessionId, newSession }
+ */
+export async function getRequestMetadata() {
+  const headerList = await headers()
+  const { sessionId, isNew } = await anonymousSession()
+
+  return {
+    ip: clientIp(headerList),
+    userAgent: headerList.get('user-agent') || null,
+    referrer: headerList.get('referer') || null,
+    sessionId,
+    newSession: isNew
+  }
+}
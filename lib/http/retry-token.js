@@ -0,0 +1,60 @@
+/**
+ * Analysis Retry Tokens
+ * Short-lived HMAC tokens the report page hands to AnalysisPending so
+ * visitors without an account can retry a stuck analysis for that one HOA,
+ * without opening POST /api/hoa/[id]/analyze to arbitrary ids.
+ *
+ * Signed with ANALYSIS_RETRY_SECRET. Without it tokens are only issued in
+ * development (with a per-process secret); in production anonymous retries
+ * are then refused and only signed-in users can trigger analyses.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto'
+
+const TOKEN_TTL_SECONDS = 60 * 60
+
+let devSecret = null
+
+function getSecret() {
+  if (process.env.ANALYSIS_RETRY_SECRET) {
+    return process.env.ANALYSIS_RETRY_SECRET
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    return null
+  }
+
+  devSecret ||= randomBytes(32).toString('hex')
+  return devSecret
+}
+
+function sign(secret, hoaId, expiresAt) {
+  return createHmac('sha256', secret).update(`${hoaId}.${expiresAt}`).digest('base64url')
+}
+
+/**
+ * Issue a retry token for one HOA
+ * @returns {string|null} "<expiresAt>.<signature>", null when no secret is configured
+ */
+export function createRetryToken(hoaId) {
+  const secret = getSecret()
+  if (!secret) return null
+
+  const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+  return `${expiresAt}.${sign(secret, hoaId, expiresAt)}`
+}
+
+/**
+ * Check a token was issued for this HOA and hasn't expired
+ */
+export function verifyRetryToken(token, hoaId) {
+  const secret = getSecret()
+  if (!secret || typeof token !== 'string') return false
+
+  const [expiresAt, signature] = token.split('.')
+  if (!signature || !(Number(expiresAt) > Date.now() / 1000)) return false
+
+  const expected = Buffer.from(sign(secret, hoaId, expiresAt))
+  const actual = Buffer.from(signature)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
@@ -0,0 +1,295 @@
+/**
+ * Address Matching
+ * Which HOA a geocoded address belongs to. A recorded boundary settles it;
+ * otherwise nearby HOAs are ranked by distance, name similarity and the
+ * choices earlier users made at the same spot. searchHOA resolves the
+ * address itself only when the answer is unambiguous and asks the user to
+ * pick from the ranked candidates when it isn't. The search it paused is
+ * kept as a pending choice, so confirming the pick neither geocodes again
+ * nor counts as another search.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { createServiceClient } from '@/lib/supabase/server'
+import { extractHOAName, calculateDistance } from '@/lib/apis/geocoding'
+import { findHOAsContainingPoint } from '@/lib/geo/boundaries'
+import { findNearbyHOAs } from '@/lib/geo/nearby'
+import { nameSimilarity } from '@/lib/matching/names'
+
+// HOAs this close to the address are offered as candidates
+export const CANDIDATE_RADIUS_MILES = 0.5
+
+// An address this close to a known HOA's point is taken to be in it (~200 m)
+// when no other HOA is nearby
+const ADDRESS_MATCH_RADIUS_MILES = 0.125
+
+// Earlier choices this close count as the same address (a lot or building)
+const VOTE_RADIUS_METERS = 30
+
+// Distinct signed-in users who must agree before an address resolves
+// without asking
+const CONFIRMED_VOTES = 2
+
+const MAX_CANDIDATES = 5
+
+// How long a paused search waits for the user's pick
+const PENDING_CHOICE_TTL_SECONDS = 15 * 60
+const PENDING_CHOICE_NAMESPACE = 'address-choice'
+const NAME_MATCH_THRESHOLD = 0.6
+
+/**
+ * 0-1 ranking score: closeness counts most, then a name that matches what
+ * the user typed or the geocoded neighborhood, then earlier choices
+ */
+function scoreCandidate({ distanceMiles, nameSimilarity: similarity, votes }) {
+  const proximity = distanceMiles === null ? 0 : Math.max(0, 1 - distanceMiles / CANDIDATE_RADIUS_MILES)
+  return 0.5 * proximity + 0.3 * similarity + 0.2 * Math.min(votes / CONFIRMED_VOTES, 1)
+}
+
+function matchReasonFor({ distanceMiles, nameSimilarity: similarity, votes }) {
+  if (votes > 0) return 'chosen'
+  if (distanceMiles !== null && distanceMiles <= ADDRESS_MATCH_RADIUS_MILES) return 'adjacent'
+  if (similarity >= NAME_MATCH_THRESHOLD) return 'name'
+  return 'nearby'
+}
+
+/**
+ * Choices recorded at this spot, per HOA
+ * @returns {Promise<Map<string, Object>>} hoa id → { votes, userVotes }, distinct
+ *   voters and the signed-in ones among them
+ */
+async function getVotes(supabase, lat, lng) {
+  const { data, error } = await supabase.rpc('address_match_votes', {
+    p_lat: lat,
+    p_lng: lng,
+    p_radius_meters: VOTE_RADIUS_METERS
+  })
+
+  if (error) {
+    // Ranking still works on distance and name alone
+    console.error('❌ [MATCH] Vote lookup failed:', error.message)
+    return new Map()
+  }
+
+  return new Map((data || []).map(row => [
+    row.hoa_id,
+    { votes: Number(row.votes), userVotes: Number(row.user_votes) }
+  ]))
+}
+
+/**
+ * Rank the HOAs an address could belong to
+ *
+ * @param {Object} params - { location: geocodeAddress result, query: what the user typed }
+ * @returns {Promise<{candidates: Array<Object>, match: Object|null}>}
+ *   candidates are { hoa, distanceMiles, nameSimilarity, votes, userVotes, matchReason, score },
+ *   best first; match is the candidate the address resolves to without asking
+ *   (its matchReason 'boundary', 'confirmed' or 'adjacent'), or null
+ */
+export async function findHOACandidates({ location, query }) {
+  const { lat, lng } = location
+
+  const { hoas: containing } = await findHOAsContainingPoint({ lat, lng, limit: 1 })
+  if (containing.length) {
+    const hoa = containing[0]
+    const candidate = {
+      hoa,
+      distanceMiles: hoa.coordinates ? calculateDistance(lat, lng, hoa.coordinates.lat, hoa.coordinates.lng) : null,
+      nameSimilarity: 0,
+      votes: 0,
+      userVotes: 0,
+      matchReason: 'boundary',
+      score: 1
+    }
+    return { candidates: [candidate], match: candidate }
+  }
+
+  const supabase = createServiceClient()
+  const [{ hoas: nearby }, votes] = await Promise.all([
+    // HOAs with a boundary are known not to contain the address
+    findNearbyHOAs({ lat, lng, radiusMiles: CANDIDATE_RADIUS_MILES, limit: 10, excludeBounded: true }),
+    getVotes(supabase, lat, lng)
+  ])
+
+  const pool = new Map(nearby.map(hoa => [hoa.id, hoa]))
+
+  // HOAs people chose here before stay candidates even if their point is
+  // farther away (a large community filed under its clubhouse address)
+  const votedIds = [...votes.keys()].filter(id => !pool.has(id))
+  if (votedIds.length) {
+    const { data } = await supabase
+      .from('hoa_profiles')
+      .select('*')
+      .in('id', votedIds)
+
+    for (const { location: point, boundary_geom: boundaryGeom, ...hoa } of data || []) {
+      if (hoa.boundary) continue
+      pool.set(hoa.id, {
+        ...hoa,
+        distanceMiles: hoa.coordinates ? calculateDistance(lat, lng, hoa.coordinates.lat, hoa.coordinates.lng) : null
+      })
+    }
+  }
+
+  const names = [extractHOAName(query || ''), location.neighborhood].filter(Boolean)
+
+  const candidates = [...pool.values()]
+    .map(({ distanceMiles, ...hoa }) => {
+      const candidate = {
+        hoa,
+        distanceMiles,
+        nameSimilarity: Math.max(0, ...names.flatMap(name =>
+          [hoa.hoa_name, ...(hoa.aliases || [])].map(hoaName => nameSimilarity(hoaName, name))
+        )),
+        votes: votes.get(hoa.id)?.votes || 0,
+        userVotes: votes.get(hoa.id)?.userVotes || 0
+      }
+      return { ...candidate, matchReason: matchReasonFor(candidate), score: scoreCandidate(candidate) }
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES)
+
+  return { candidates, match: pickMatch(candidates) }
+}
+
+/**
+ * The candidate to use without asking, if the choice is clear
+ */
+function pickMatch(candidates) {
+  // Enough signed-in users picked the same HOA here, and clearly more than
+  // picked any other; anonymous picks only help the ranking
+  const [mostVoted, runnerUp] = [...candidates].sort((a, b) => b.userVotes - a.userVotes)
+  if (mostVoted?.userVotes >= CONFIRMED_VOTES && mostVoted.userVotes >= 2 * (runnerUp?.userVotes || 0)) {
+    return { ...mostVoted, matchReason: 'confirmed' }
+  }
+
+  // A single HOA right next to the address and nothing else around
+  const [only] = candidates
+  if (candidates.length === 1 && only.distanceMiles !== null && only.distanceMiles <= ADDRESS_MATCH_RADIUS_MILES) {
+    return only
+  }
+
+  return null
+}
+
+/**
+ * What the chooser shows for a candidate
+ */
+export function summarizeCandidate(candidate) {
+  const { hoa } = candidate
+  return {
+    id: hoa.id,
+    name: hoa.hoa_name,
+    address: hoa.address,
+    city: hoa.city,
+    state: hoa.state,
+    zipCode: hoa.zip_code,
+    managementCompany: hoa.management_company || null,
+    overallScore: hoa.overall_score,
+    distanceMiles: candidate.distanceMiles === null ? null : Math.round(candidate.distanceMiles * 100) / 100,
+    nameSimilarity: Math.round(candidate.nameSimilarity * 100) / 100,
+    votes: candidate.votes,
+    matchReason: candidate.matchReason
+  }
+}
+
+/**
+ * Remember which HOA the user picked for an address
+ *
+ * @param {Object} params - { hoaId, location, address, candidateIds, userId, sessionId }
+ */
+export async function recordMatchChoice({ hoaId, location, address, candidateIds, userId, sessionId }) {
+  const supabase = createServiceClient()
+
+  const { error } = await supabase
+    .from('address_match_choices')
+    .insert({
+      hoa_id: hoaId,
+      search_address: location.formattedAddress || address,
+      lat: location.lat,
+      lng: location.lng,
+      candidate_ids: candidateIds,
+      user_id: userId || null,
+      session_id: sessionId || null
+    })
+
+  if (error) {
+    // The search itself already succeeded
+    console.error('❌ [MATCH] Failed to record choice:', error.message)
+  }
+}
+
+/**
+ * Keep a search that is waiting for the user to pick an HOA
+ * Stored in the cache table under a random id, tied to the user or
+ * anonymous session that searched.
+ *
+ * @param {Object} params - { address, location, candidateIds, userId, sessionId }
+ * @returns {Promise<string|null>} the choice id, null when it couldn't be stored
+ */
+export async function savePendingChoice({ address, location, candidateIds, userId, sessionId }) {
+  const supabase = createServiceClient()
+  const choiceId = randomUUID()
+  const now = new Date()
+
+  const { error } = await supabase
+    .from('cache')
+    .insert({
+      key: `${PENDING_CHOICE_NAMESPACE}:${choiceId}`,
+      namespace: PENDING_CHOICE_NAMESPACE,
+      data: { address, location, candidateIds, userId: userId || null, sessionId: sessionId || null },
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + PENDING_CHOICE_TTL_SECONDS * 1000).toISOString()
+    })
+
+  if (error) {
+    console.error('❌ [MATCH] Failed to store pending choice:', error.message)
+    return null
+  }
+
+  return choiceId
+}
+
+/**
+ * Claim a pending choice; each can be confirmed once
+ *
+ * @param {string} choiceId - From savePendingChoice
+ * @param {Object} owner - { userId, sessionId } of the confirming request
+ * @returns {Promise<Object|null>} { address, location, candidateIds }, null when
+ *   unknown, expired or started by someone else
+ */
+export async function takePendingChoice(choiceId, { userId, sessionId }) {
+  if (typeof choiceId !== 'string' || !choiceId) return null
+
+  const supabase = createServiceClient()
+  const key = `${PENDING_CHOICE_NAMESPACE}:${choiceId}`
+
+  const { data: row, error } = await supabase
+    .from('cache')
+    .select('data, expires_at')
+    .eq('key', key)
+    .maybeSingle()
+
+  if (error) {
+    console.error('❌ [MATCH] Failed to read pending choice:', error.message)
+    return null
+  }
+
+  const pending = row?.data
+  const isOwner = pending && (
+    (pending.userId && pending.userId === userId) ||
+    (pending.sessionId && pending.sessionId === sessionId)
+  )
+  if (!isOwner || new Date(row.expires_at) <= new Date()) return null
+
+  // Whoever deletes it first confirms; a second submit finds nothing
+  const { data: claimed } = await supabase
+    .from('cache')
+    .delete()
+    .eq('key', key)
+    .select('key')
+
+  if (!claimed?.length) return null
+
+  return { address: pending.address, location: pending.location, candidateIds: pending.candidateIds }
+}
@@ -0,0 +1,191 @@
+/**
+ * HOA Duplicate Detection
+ * Scores pairs of hoa_profiles rows that may be the same association and
+ * suggests which one to keep. hoa_duplicate_candidates() finds the pairs
+ * worth looking at (same registry filing, same name key, or close points);
+ * the score here decides which are shown to admins for merging.
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+import { calculateDistance } from '@/lib/apis/geocoding'
+import { nameSimilarity, isPlaceholderName, normalizeCompanyName } from '@/lib/matching/names'
+
+// Pairs scoring at least this are suggested for merging
+export const SUGGEST_THRESHOLD = 0.6
+
+// ...and at least this are labelled likely duplicates
+export const LIKELY_THRESHOLD = 0.85
+
+// Points farther apart than this count against a match
+const DUPLICATE_RADIUS_MILES = 1
+
+// Candidate pairs within this distance are looked up by location
+const CANDIDATE_RADIUS_METERS = 804.672
+
+// One signal alone (a shared point, say) never makes a likely duplicate
+const SINGLE_SIGNAL_CAP = 0.7
+
+const WEIGHTS = { name: 0.5, location: 0.35, managementCompany: 0.15 }
+
+const HOA_COLUMNS = 'id, hoa_name, aliases, address, city, state, zip_code, coordinates, management_company, sunbiz_document_number, overall_score, data_completeness, created_at, last_updated'
+
+/**
+ * How alike two HOA names are, counting each one's aliases. Placeholders
+ * ("HOA at 4512 Palm Ct") say nothing about the association, so a pair
+ * involving one has no name signal.
+ * @returns {number|null}
+ */
+function nameSignal(a, b) {
+  const names = (hoa) => [hoa.hoa_name, ...(hoa.aliases || [])].filter(name => !isPlaceholderName(name))
+  const left = names(a)
+  const right = names(b)
+  if (!left.length || !right.length) return null
+
+  return Math.max(...left.flatMap(x => right.map(y => nameSimilarity(x, y))))
+}
+
+/**
+ * @returns {{score: number|null, distanceMiles: number|null}}
+ */
+function locationSignal(a, b) {
+  if (!a.coordinates || !b.coordinates) return { score: null, distanceMiles: null }
+
+  const distanceMiles = calculateDistance(a.coordinates.lat, a.coordinates.lng, b.coordinates.lat, b.coordinates.lng)
+  return { score: Math.max(0, 1 - distanceMiles / DUPLICATE_RADIUS_MILES), distanceMiles }
+}
+
+/**
+ * Only agreement counts: HOAs often switch management companies
+ * @returns {number|null}
+ */
+function managementSignal(a, b) {
+  const left = normalizeCompanyName(a.management_company)
+  const right = normalizeCompanyName(b.management_company)
+  if (!left || !right || left === 'unknown' || right === 'unknown') return null
+  return left === right ? 1 : null
+}
+
+/**
+ * Score how likely two HOA rows are the same association
+ *
+ * @param {Object} a - hoa_profiles row with at least HOA_COLUMNS
+ * @param {Object} b
+ * @returns {Object} { score: 0-1, reasons: [string], signals: { name, distanceMiles, documentNumber, managementCompany } }
+ */
+export function scoreDuplicatePair(a, b) {
+  const name = nameSignal(a, b)
+  const location = locationSignal(a, b)
+  const managementCompany = managementSignal(a, b)
+  const signals = {
+    name,
+    distanceMiles: location.distanceMiles,
+    documentNumber: null,
+    managementCompany
+  }
+
+  // A registry filing number identifies the corporation outright
+  if (a.sunbiz_document_number && b.sunbiz_document_number) {
+    const same = a.sunbiz_document_number === b.sunbiz_document_number
+    signals.documentNumber = same
+    return same
+      ? { score: 1, reasons: [`Same registry filing (${a.sunbiz_document_number})`], signals }
+      : { score: 0, reasons: ['Different registry filings'], signals }
+  }
+
+  const present = [
+    ['name', name],
+    ['location', location.score],
+    ['managementCompany', managementCompany]
+  ].filter(([, value]) => value !== null)
+
+  if (!present.length) return { score: 0, reasons: [], signals }
+
+  const totalWeight = present.reduce((sum, [key]) => sum + WEIGHTS[key], 0)
+  let score = present.reduce((sum, [key, value]) => sum + WEIGHTS[key] * value, 0) / totalWeight
+  if (present.length === 1) score = Math.min(score, SINGLE_SIGNAL_CAP)
+
+  const reasons = []
+  if (name !== null && name >= 0.6) reasons.push(`Names ${Math.round(name * 100)}% similar`)
+  if (location.distanceMiles !== null && location.distanceMiles <= 0.25) {
+    reasons.push(location.distanceMiles < 0.1
+      ? `${Math.round(location.distanceMiles * 5280)} ft apart`
+      : `${location.distanceMiles.toFixed(2)} mi apart`)
+  }
+  if (managementCompany) reasons.push(`Both managed by ${a.management_company}`)
+  if (name === null) reasons.push('Placeholder name')
+
+  return { score: Math.round(score * 1000) / 1000, reasons, signals }
+}
+
+/**
+ * Which of two duplicates to keep: a real name over a placeholder, then a
+ * registry filing, a finished analysis, more complete data, and finally the
+ * older row
+ * @returns {{survivor: Object, duplicate: Object}}
+ */
+export function chooseSurvivor(a, b) {
+  const rank = (hoa) => [
+    isPlaceholderName(hoa.hoa_name) ? 0 : 1,
+    hoa.sunbiz_document_number ? 1 : 0,
+    hoa.overall_score !== null && hoa.overall_score !== undefined ? 1 : 0,
+    hoa.data_completeness || 0,
+    -new Date(hoa.created_at).getTime()
+  ]
+
+  const left = rank(a)
+  const right = rank(b)
+  const i = left.findIndex((value, index) => value !== right[index])
+  const keepA = i === -1 || left[i] > right[i]
+
+  return keepA ? { survivor: a, duplicate: b } : { survivor: b, duplicate: a }
+}
+
+/**
+ * Likely duplicate pairs for admins to merge or dismiss, best first
+ *
+ * @param {Object} options - { limit, threshold }
+ * @returns {Promise<{suggestions: Array<Object>, error?: string}>}
+ *   each { survivor, duplicate, score, likely, evidence, reasons, signals }
+ */
+export async function findDuplicateSuggestions({ limit = 50, threshold = SUGGEST_THRESHOLD } = {}) {
+  const supabase = createServiceClient()
+
+  const { data: pairs, error } = await supabase.rpc('hoa_duplicate_candidates', {
+    p_radius_meters: CANDIDATE_RADIUS_METERS,
+    p_limit: limit * 3
+  })
+
+  if (error) {
+    console.error('❌ [DEDUPE] Candidate query failed:', error.message)
+    return { suggestions: [], error: error.message }
+  }
+
+  if (!pairs?.length) return { suggestions: [] }
+
+  const ids = [...new Set(pairs.flatMap(pair => [pair.hoa_id, pair.other_id]))]
+  const { data: hoas, error: hoaError } = await supabase
+    .from('hoa_profiles')
+    .select(HOA_COLUMNS)
+    .in('id', ids)
+
+  if (hoaError) {
+    console.error('❌ [DEDUPE] Failed to load HOAs:', hoaError.message)
+    return { suggestions: [], error: hoaError.message }
+  }
+
+  const byId = new Map(hoas.map(hoa => [hoa.id, hoa]))
+
+  const suggestions = pairs
+    .filter(pair => byId.has(pair.hoa_id) && byId.has(pair.other_id))
+    .map(pair => {
+      const a = byId.get(pair.hoa_id)
+      const b = byId.get(pair.other_id)
+      const { score, reasons, signals } = scoreDuplicatePair(a, b)
+      return { ...chooseSurvivor(a, b), score, likely: score >= LIKELY_THRESHOLD, evidence: pair.evidence, reasons, signals }
+    })
+    .filter(suggestion => suggestion.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+
+  return { suggestions }
+}
@@ -0,0 +1,121 @@
+/**
+ * HOA Name Matching
+ * "Palm Isles Homeowners Association, Inc." and "PALM ISLES HOA" are the
+ * same association. Names are compared after dropping the legal and
+ * association words every HOA name carries, so only the distinctive part
+ * (usually the subdivision) counts.
+ */
+
+// Words that say "this is an HOA" rather than which one
+const GENERIC_WORDS = new Set([
+  'a', 'and', 'at', 'of', 'the',
+  'hoa', 'poa', 'coa', 'homeowners', 'homeowner', 'owners', 'owner', 'home', 'homes',
+  'property', 'properties', 'association', 'associations', 'assn', 'assoc',
+  'community', 'communities', 'master', 'maintenance', 'condominium', 'condominiums', 'condo', 'condos',
+  'inc', 'incorporated', 'llc', 'corp', 'corporation', 'co', 'company', 'nonprofit', 'not', 'for', 'profit'
+])
+
+const ABBREVIATIONS = {
+  '&': 'and',
+  ste: 'saint',
+  st: 'saint',
+  mt: 'mount',
+  ft: 'fort',
+  pt: 'point',
+  vlg: 'village',
+  vill: 'village',
+  est: 'estates',
+  ests: 'estates',
+  lks: 'lakes',
+  hts: 'heights',
+  cc: 'country club'
+}
+
+/**
+ * Lowercased words of a name with accents, punctuation and abbreviations
+ * dealt with. Generic words are kept; see nameTokens.
+ */
+function words(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' & ')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9&]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .flatMap(word => (ABBREVIATIONS[word] || word).split(' '))
+}
+
+/**
+ * The distinctive words of an HOA name, in order
+ * @returns {Array<string>} e.g. ['palm', 'isles'] for "Palm Isles HOA, Inc."
+ */
+export function nameTokens(name) {
+  const all = words(name)
+  const distinctive = all.filter(word => !GENERIC_WORDS.has(word))
+  // "The Homeowners Association" has nothing distinctive; keep what there is
+  return distinctive.length ? distinctive : all
+}
+
+/**
+ * Canonical form for comparing and grouping HOA names
+ */
+export function normalizeHOAName(name) {
+  return nameTokens(name).join(' ')
+}
+
+/**
+ * Whether a name is searchHOA's stand-in ("HOA at 4512 Palm Ct") rather
+ * than anything the association is called
+ */
+export function isPlaceholderName(name) {
+  return !name || /^HOA at /i.test(name.trim())
+}
+
+const COMPANY_SUFFIXES = new Set(['the', 'inc', 'incorporated', 'llc', 'llp', 'corp', 'corporation', 'co', 'company', 'ltd'])
+
+/**
+ * Canonical form of a management company name: "The Castle Group, Inc."
+ * and "CASTLE GROUP" compare equal
+ */
+export function normalizeCompanyName(name) {
+  return words(name).filter(word => !COMPANY_SUFFIXES.has(word)).join(' ')
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '')
+  const grams = new Map()
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2)
+    grams.set(gram, (grams.get(gram) || 0) + 1)
+  }
+  return grams
+}
+
+/**
+ * Similarity of two HOA names from 0 to 1: the Dice coefficient of the
+ * character pairs in their normalized forms, which tolerates typos and
+ * word-order changes
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeHOAName(a)
+  const right = normalizeHOAName(b)
+  if (!left || !right) return 0
+  if (left === right) return 1
+
+  const leftGrams = bigrams(left)
+  const rightGrams = bigrams(right)
+  let overlap = 0
+  let total = 0
+
+  for (const [gram, count] of leftGrams) {
+    overlap += Math.min(count, rightGrams.get(gram) || 0)
+    total += count
+  }
+  for (const count of rightGrams.values()) total += count
+
+  return total ? (2 * overlap) / total : 0
+}
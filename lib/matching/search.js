@@ -0,0 +1,104 @@
+/**
+ * HOA Name Search
+ * Ranked, typo-tolerant search over HOA names, aliases, subdivision and
+ * registry names and management companies. search_hoas() does the indexed
+ * trigram match and ranking; this module adds the spans of each result
+ * that matched, for the autocomplete to highlight.
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+
+const MAX_QUERY_LENGTH = 100
+
+// A misspelled query word highlights the prefix it shares with a word in
+// the text when that prefix is at least this long
+const MIN_PREFIX_MATCH = 4
+
+function foldCase(text) {
+  // NFD + stripping marks keeps one character per character for Latin text
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+function mergeSpans(spans) {
+  const merged = []
+  for (const [start, end] of spans.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1]
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end)
+    } else {
+      merged.push([start, end])
+    }
+  }
+  return merged
+}
+
+/**
+ * Where the query matches a piece of text: every occurrence of each query
+ * word, or for a misspelled word the prefix it shares with a word in the
+ * text ("Pointe" highlights "Point")
+ *
+ * @returns {Array<[number, number]>} [start, end) offsets into text, sorted and non-overlapping
+ */
+export function findMatchSpans(text, query) {
+  if (!text || !query) return []
+
+  const folded = foldCase(text)
+  if (folded.length !== text.length) return []
+
+  const spans = []
+  const queryWords = foldCase(query).split(/[^a-z0-9]+/).filter(word => word.length >= 2)
+  const textWords = [...folded.matchAll(/[a-z0-9]+/g)]
+
+  for (const word of queryWords) {
+    let found = false
+    for (let index = folded.indexOf(word); index !== -1; index = folded.indexOf(word, index + word.length)) {
+      spans.push([index, index + word.length])
+      found = true
+    }
+    if (found) continue
+
+    for (const match of textWords) {
+      let shared = 0
+      while (shared < word.length && shared < match[0].length && word[shared] === match[0][shared]) shared++
+      if (shared >= Math.min(MIN_PREFIX_MATCH, word.length)) {
+        spans.push([match.index, match.index + shared])
+      }
+    }
+  }
+
+  return mergeSpans(spans)
+}
+
+/**
+ * @param {Object} params - { query, limit }
+ * @returns {Promise<{results: Array<Object>, error?: string}>} best first; each
+ *   { id, hoa_name, city, state, zip_code, management_company, matchedField,
+ *   matchedText, score, highlights: { name, matched } }
+ */
+export async function searchHOAsByName({ query, limit = 10 }) {
+  const normalized = foldCase(String(query || '')).replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH)
+  const supabase = createServiceClient()
+
+  const { data, error } = await supabase.rpc('search_hoas', {
+    p_query: normalized,
+    p_limit: limit
+  })
+
+  if (error) {
+    console.error('❌ [SEARCH] Name search failed:', error.message)
+    return { results: [], error: error.message }
+  }
+
+  const results = (data || []).map(({ matched_field: matchedField, matched_text: matchedText, score, ...hoa }) => ({
+    ...hoa,
+    matchedField,
+    matchedText,
+    score: Math.round(score * 1000) / 1000,
+    highlights: {
+      name: findMatchSpans(hoa.hoa_name, normalized),
+      matched: matchedField === 'name' ? [] : findMatchSpans(matchedText, normalized)
+    }
+  }))
+
+  return { results }
+}
@@ -0,0 +1,192 @@
+/**
+ * Mock Claude
+ * Stands in for claudeRequest. Responses are built from the prompt itself so
+ * they track the data: the HOA analysis turns the COMPUTED SCORES factors
+ * into flags, so a troubled fixture gets red flags and a healthy one green.
+ */
+
+export const MOCK_CLAUDE_MODEL = 'mock-claude'
+
+// Dimension lines from formatScoringForPrompt: "financialHealth: 4.5/10 (verified)"
+const DIMENSION_LINE = /^(\w+): ([\d.]+)\/10 \((\w+)\)$/
+// Factor lines: "  - Reserves underfunded (35% funded): -1.5"
+const FACTOR_LINE = /^\s+- (.+?)(?: \((.+)\))?: ([+-]?[\d.]+)$/
+// Source lines from formatCitationsForPrompt: "[2] https://... — Florida SunBiz, retrieved 2025-03-01"
+const SOURCE_LINE = /^\[(\d+)\] \S+ — (.+), retrieved /
+
+const DIMENSION_LABELS = {
+  financialHealth: 'financial health',
+  restrictiveness: 'restrictiveness',
+  managementQuality: 'management quality',
+  communitySentiment: 'community sentiment',
+  legalHistory: 'legal history'
+}
+
+// Which source sections back each dimension's flags
+const DIMENSION_SOURCES = {
+  financialHealth: ['Financial records'],
+  legalHistory: ['Financial records'],
+  restrictiveness: ['Rules & CC&Rs'],
+  communitySentiment: ['Community reviews'],
+  managementQuality: ['HOA records', 'Florida SunBiz']
+}
+
+/**
+ * Mock claudeRequest - same return shape as the real one
+ */
+export async function mockClaudeRequest(messages, options = {}) {
+  const prompt = messages[0]?.content || ''
+  const task = options.task || 'text'
+
+  console.log(`🧪 [MOCK CLAUDE] ${task}`)
+
+  let text
+  if (task === 'hoa_analysis') {
+    text = JSON.stringify(buildAnalysis(prompt), null, 2)
+  } else if (task === 'feedback_summary') {
+    text = JSON.stringify({
+      sentiment: 'mixed',
+      summary: 'Residents report a mix of positive and negative experiences.',
+      positiveThemes: ['Community amenities'],
+      negativeThemes: ['Communication from the board'],
+      concernLevel: 'moderate'
+    })
+  } else if (task === 'neighborhood_vibe') {
+    text = 'Suburban Florida neighborhood with everyday conveniences a short drive away and a relaxed, residential feel.'
+  } else {
+    text = 'Mock response.'
+  }
+
+  return {
+    text,
+    model: MOCK_CLAUDE_MODEL,
+    stopReason: 'end_turn',
+    tokensUsed: 0,
+    costEstimate: 0
+  }
+}
+
+function parseFactors(prompt) {
+  const section = prompt.split('COMPUTED SCORES')[1] || ''
+  const factors = []
+  let dimension = null
+
+  for (const line of section.split('\n')) {
+    const dimensionMatch = line.match(DIMENSION_LINE)
+    if (dimensionMatch) {
+      dimension = dimensionMatch[1]
+      continue
+    }
+
+    const factorMatch = line.match(FACTOR_LINE)
+    if (factorMatch && dimension) {
+      factors.push({
+        dimension,
+        label: factorMatch[1],
+        detail: factorMatch[2] || null,
+        impact: parseFloat(factorMatch[3])
+      })
+    }
+  }
+
+  return factors
+}
+
+function parseSources(prompt) {
+  const section = prompt.split('SOURCES')[1] || ''
+  return section.split('\n')
+    .map(line => line.match(SOURCE_LINE))
+    .filter(Boolean)
+    .map(match => ({ index: parseInt(match[1], 10), label: match[2] }))
+}
+
+function toFlag(factor, severity, sources) {
+  const dimensionLabel = DIMENSION_LABELS[factor.dimension] || factor.dimension
+  const labels = DIMENSION_SOURCES[factor.dimension] || []
+  return {
+    title: factor.label,
+    description: `${factor.label}${factor.detail ? ` (${factor.detail})` : ''} affects this HOA's ${dimensionLabel}.`,
+    severity,
+    source: 'Mock data',
+    citations: sources.filter(source => labels.includes(source.label)).map(source => source.index)
+  }
+}
+
+function buildAnalysis(prompt) {
+  const name = prompt.match(/^Name: (.+)$/m)?.[1] || 'This HOA'
+  const fee = parseFloat(prompt.match(/^Monthly Fee: \$([\d.]+)/m)?.[1]) || null
+  const verifiedCount = (prompt.match(/\(Verified: true\)/g) || []).length +
+    (prompt.includes('PUBLIC RECORDS DATA (Confidence: high)') ? 1 : 0)
+
+  // Restrictiveness factors are concerns when they add to the score,
+  // every other dimension is a concern when it subtracts
+  const sources = parseSources(prompt)
+  const factors = parseFactors(prompt)
+    .filter(f => f.impact !== 0)
+    .map(f => ({ ...f, effect: f.dimension === 'restrictiveness' ? -f.impact : f.impact }))
+
+  // Strict rules are a preference question, so they never become red flags
+  const isSerious = (f) => f.effect <= -1.5 && f.dimension !== 'restrictiveness'
+  const redFlags = factors.filter(isSerious).map(f => toFlag(f, 'high', sources))
+  const yellowFlags = factors.filter(f => f.effect < 0 && !isSerious(f)).map(f => toFlag(f, 'moderate', sources))
+  const greenFlags = factors.filter(f => f.effect > 0).slice(0, 5).map(f => toFlag(f, 'positive', sources))
+
+  const tone = redFlags.length > 0 ? 'has serious issues worth investigating' :
+               yellowFlags.length > greenFlags.length ? 'has some concerns to review' :
+               'appears well run'
+
+  return {
+    oneSentenceSummary: `${name} ${tone} based on the available records.`,
+    redFlags,
+    yellowFlags,
+    greenFlags,
+    financialAnalysis: {
+      monthlyFee: fee,
+      feeAssessment: fee ? `$${fee}/month is within the typical Florida range.` : 'Fee not verified.',
+      reserveFundStatus: 'unknown',
+      specialAssessmentRisk: 'unknown',
+      budgetTransparency: 'unknown',
+      financialTrend: 'unknown'
+    },
+    rulesHighlight: {
+      mostRestrictive: factors.filter(f => f.dimension === 'restrictiveness' && f.impact > 0).map(f => f.label).slice(0, 3),
+      leastRestrictive: factors.filter(f => f.dimension === 'restrictiveness' && f.impact < 0).map(f => f.label),
+      dealBreakers: []
+    },
+    managementInsights: {
+      responsiveness: 'Unknown from mock data',
+      transparency: 'Unknown from mock data',
+      competence: 'Unknown from mock data',
+      boardDynamics: 'unknown'
+    },
+    communitySentiment: {
+      overallMood: 'unknown',
+      commonComplaints: [],
+      commonPraise: [],
+      turnoverIndicator: 'unknown'
+    },
+    questionsToAsk: [
+      'What is the current reserve fund balance and percent funded?',
+      'Are any special assessments planned?',
+      'Is there any pending litigation?',
+      'What are the rental and pet restrictions?',
+      'When was the last reserve study completed?'
+    ],
+    documentsToRequest: [
+      'CC&Rs and bylaws',
+      'Current budget and reserve study',
+      'Last 12 months of board meeting minutes'
+    ],
+    neighborhoodContext: null,
+    buyerConsiderations: {
+      bestSuitedFor: 'Buyers comfortable with the restrictions listed above',
+      notIdealFor: 'Buyers who need flexibility the rules do not allow',
+      hiddenCosts: 'Special assessments and insurance increases'
+    },
+    dataQuality: {
+      completeness: Math.min(100, verifiedCount * 25),
+      confidence: verifiedCount >= 3 ? 'high' : verifiedCount >= 2 ? 'moderate' : 'low',
+      missingData: []
+    }
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * Mock Fixtures
+ * Canned Florida HOAs used when USE_MOCK_DATA=true
+ *
+ * The HOAs, companies, people and URLs are fictional. Each one exercises a
+ * different data-quality path through the analysis pipeline:
+ *   cypress-hollow  - everything found and verified, healthy
+ *   pelican-pointe  - verified but troubled (low reserves, assessments, lawsuit)
+ *   sable-palm      - 55+, SunBiz and rules only, two reviews, no financials
+ *   coral-key       - corporation inactive, annual report overdue, STRs allowed
+ *   indigo-bay      - nothing found; only area management companies
+ */
+
+export const MOCK_HOAS = [
+  {
+    key: 'cypress-hollow',
+    name: 'Cypress Hollow Homeowners Association',
+    keywords: ['cypress hollow'],
+    street: '17400 Cypress Hollow Dr',
+    city: 'Tampa',
+    county: 'Hillsborough',
+    zip: '33647',
+    lat: 28.1392,
+    lng: -82.3541,
+    // Businesses per Yelp category within a mile
+    neighborhood: { restaurants: 14, parks: 4, grocery: 3, coffee: 5, bars: 3, shopping: 2, gyms: 3, medical: 6, pharmacy: 2, beaches: 0, golf: 1 },
+
+    info: {
+      subdivisionName: 'Cypress Hollow',
+      managementCompany: 'Bayshore Community Management',
+      contactInfo: {
+        phone: '(813) 555-0142',
+        email: 'board@cypresshollow.example.org',
+        website: 'https://cypresshollow.example.org',
+        address: 'PO Box 46310, Tampa, FL 33647'
+      },
+      monthlyFee: '$185',
+      hoaExists: true,
+      yearEstablished: 2004,
+      totalUnits: 412,
+      amenities: ['pool', 'clubhouse', 'playground', 'tennis courts'],
+      masterAssociation: null,
+      sunbiz: { status: 'Active', registeredAgent: 'Bayshore Community Management', documentNumber: 'N04000012345' },
+      is55Plus: false,
+      foundOnline: true
+    },
+    sunbiz: {
+      found: true,
+      corporationName: 'CYPRESS HOLLOW HOMEOWNERS ASSOCIATION, INC.',
+      documentNumber: 'N04000012345',
+      status: 'Active',
+      filingDate: '2004-03-18',
+      lastAnnualReport: 'CURRENT_YEAR-02-11',
+      registeredAgent: { name: 'Bayshore Community Management', address: '4100 W Kennedy Blvd, Tampa, FL 33609' },
+      principalAddress: '17400 Cypress Hollow Dr, Tampa, FL 33647',
+      mailingAddress: 'PO Box 46310, Tampa, FL 33647',
+      officers: [
+        { name: 'Dana Whitfield', title: 'President' },
+        { name: 'Marcus Lee', title: 'Treasurer' },
+        { name: 'Priya Raman', title: 'Secretary' }
+      ],
+      feiNumber: null
+    },
+    financials: {
+      foundFinancials: true,
+      monthlyFee: '$185',
+      quarterlyFee: '$555',
+      annualFee: null,
+      specialAssessments: [],
+      reserveFundPercent: 78,
+      lastReserveStudy: 'LAST_YEAR',
+      feeHistory: [
+        { year: 2021, amount: '$165' },
+        { year: 2022, amount: '$170' },
+        { year: 2023, amount: '$175' },
+        { year: 2024, amount: '$180' },
+        { year: 2025, amount: '$185' }
+      ],
+      financialHealth: 'healthy',
+      lawsuits: [],
+      delinquencyRate: 2
+    },
+    rules: {
+      foundRules: true,
+      rentalRestrictions: { shortTermAllowed: false, minLeaseTerm: '7 months', rentalCapPercent: null, ownerOccupiedRequired: null },
+      petRestrictions: { allowed: true, maxNumber: 3, weightLimit: null, breedRestrictions: null },
+      parkingRules: { guestParking: 'Driveway and overflow lot by the clubhouse', rvBoatAllowed: false, garageRequired: false },
+      exteriorModifications: { approvalRequired: true, commonRestrictions: ['paint colors', 'fences'] },
+      notableRules: ['Trash cans must be stored out of street view'],
+      recentRuleChanges: [],
+      ccrsAvailableOnline: true
+    },
+    reviews: {
+      overallSentiment: 'positive',
+      reviewCount: 23,
+      averageRating: 4.2,
+      commonComplaints: ['Slow ARC approvals'],
+      commonPraise: ['Well-kept common areas', 'Responsive management', 'Friendly neighbors'],
+      redditMentions: 2,
+      googleReviewRating: 4.3,
+      bbbRating: 'A',
+      bbbComplaints: 1,
+      newsArticles: [],
+      neighborhoodApps: { nextdoor: true, sentiment: 'positive' },
+      foundOnline: true
+    }
+  },
+
+  {
+    key: 'pelican-pointe',
+    name: 'Pelican Pointe Property Owners Association',
+    keywords: ['pelican pointe', 'pelican point'],
+    street: '2200 Pelican Pointe Blvd',
+    city: 'Cape Coral',
+    county: 'Lee',
+    zip: '33914',
+    lat: 26.5631,
+    lng: -82.0018,
+    neighborhood: { restaurants: 6, parks: 2, grocery: 1, coffee: 1, bars: 2, shopping: 1, gyms: 1, medical: 2, pharmacy: 1, beaches: 1, golf: 2 },
+
+    info: {
+      subdivisionName: 'Pelican Pointe',
+      managementCompany: 'Gulfside Association Services',
+      contactInfo: {
+        phone: '(239) 555-0188',
+        email: null,
+        website: 'https://gulfside-associations.example.org/pelican-pointe',
+        address: null
+      },
+      monthlyFee: '$640',
+      hoaExists: true,
+      yearEstablished: 1998,
+      totalUnits: 186,
+      amenities: ['pool', 'marina', 'boat ramp'],
+      masterAssociation: null,
+      sunbiz: { status: 'Active', registeredAgent: 'Gulfside Association Services', documentNumber: 'N98000004411' },
+      is55Plus: false,
+      foundOnline: true
+    },
+    sunbiz: {
+      found: true,
+      corporationName: 'PELICAN POINTE PROPERTY OWNERS ASSOCIATION, INC.',
+      documentNumber: 'N98000004411',
+      status: 'Active',
+      filingDate: '1998-07-02',
+      lastAnnualReport: 'CURRENT_YEAR-04-28',
+      registeredAgent: { name: 'Gulfside Association Services', address: '1520 Cape Coral Pkwy E, Cape Coral, FL 33904' },
+      principalAddress: '2200 Pelican Pointe Blvd, Cape Coral, FL 33914',
+      mailingAddress: null,
+      officers: [
+        { name: 'Robert Kessler', title: 'President' },
+        { name: 'Angela Ortiz', title: 'Treasurer' }
+      ],
+      feiNumber: null
+    },
+    financials: {
+      foundFinancials: true,
+      monthlyFee: '$640',
+      quarterlyFee: null,
+      annualFee: null,
+      specialAssessments: [
+        { year: 'LAST_YEAR', amount: '$8,500', reason: 'Seawall and dock repairs after hurricane damage' },
+        { year: 'CURRENT_YEAR', amount: '$2,200', reason: 'Roof replacement on clubhouse' }
+      ],
+      reserveFundPercent: 28,
+      lastReserveStudy: '2017',
+      feeHistory: [
+        { year: 2021, amount: '$455' },
+        { year: 2023, amount: '$560' },
+        { year: 2025, amount: '$640' }
+      ],
+      financialHealth: 'concerning',
+      lawsuits: [{ year: 'LAST_YEAR', description: 'Owners sued the association over assessment allocation for seawall repairs' }],
+      delinquencyRate: 11
+    },
+    rules: {
+      foundRules: true,
+      rentalRestrictions: { shortTermAllowed: false, minLeaseTerm: '12 months', rentalCapPercent: 20, ownerOccupiedRequired: null },
+      petRestrictions: { allowed: true, maxNumber: 1, weightLimit: '25 lbs', breedRestrictions: ['pit bull', 'rottweiler'] },
+      parkingRules: { guestParking: 'Limited to 48 hours', rvBoatAllowed: false, garageRequired: true },
+      exteriorModifications: { approvalRequired: true, commonRestrictions: ['hurricane shutters', 'dock modifications', 'paint colors', 'landscaping'] },
+      notableRules: ['Boats must be registered with the association', 'No trucks parked overnight'],
+      recentRuleChanges: ['Rental cap lowered from 30% to 20%'],
+      ccrsAvailableOnline: false
+    },
+    reviews: {
+      overallSentiment: 'negative',
+      reviewCount: 17,
+      averageRating: 2.1,
+      commonComplaints: ['Repeated special assessments', 'Board meetings are contentious', 'Slow response to repair requests'],
+      commonPraise: ['Waterfront location'],
+      redditMentions: 5,
+      googleReviewRating: 2.3,
+      bbbRating: 'C',
+      bbbComplaints: 9,
+      newsArticles: [{ title: 'Cape Coral owners face second assessment in two years', summary: 'Residents of a waterfront community question how seawall repairs were funded.', year: 'LAST_YEAR' }],
+      neighborhoodApps: { nextdoor: true, sentiment: 'negative' },
+      foundOnline: true
+    }
+  },
+
+  {
+    key: 'sable-palm',
+    name: 'Sable Palm Village Association',
+    keywords: ['sable palm'],
+    street: '8600 SW Sable Palm Way',
+    city: 'Ocala',
+    county: 'Marion',
+    zip: '34481',
+    lat: 29.1045,
+    lng: -82.2641,
+    neighborhood: { restaurants: 4, parks: 1, grocery: 1, coffee: 1, bars: 0, shopping: 1, gyms: 1, medical: 3, pharmacy: 1, beaches: 0, golf: 2 },
+
+    info: {
+      subdivisionName: 'Sable Palm Village',
+      managementCompany: null,
+      contactInfo: { phone: null, email: null, website: null, address: null },
+      monthlyFee: null,
+      hoaExists: true,
+      yearEstablished: null,
+      totalUnits: null,
+      amenities: [],
+      masterAssociation: null,
+      sunbiz: { status: null, registeredAgent: null, documentNumber: null },
+      is55Plus: true,
+      foundOnline: true
+    },
+    sunbiz: {
+      found: true,
+      corporationName: 'SABLE PALM VILLAGE ASSOCIATION, INC.',
+      documentNumber: 'N11000007789',
+      status: 'Active',
+      filingDate: '2011-09-14',
+      lastAnnualReport: 'CURRENT_YEAR-03-30',
+      registeredAgent: { name: 'Harold Brennan', address: '8600 SW Sable Palm Way, Ocala, FL 34481' },
+      principalAddress: '8600 SW Sable Palm Way, Ocala, FL 34481',
+      mailingAddress: null,
+      officers: [{ name: 'Harold Brennan', title: 'President' }],
+      feiNumber: null
+    },
+    financials: null,
+    rules: {
+      foundRules: true,
+      rentalRestrictions: { shortTermAllowed: false, minLeaseTerm: '12 months', rentalCapPercent: null, ownerOccupiedRequired: null },
+      petRestrictions: { allowed: true, maxNumber: 2, weightLimit: '40 lbs', breedRestrictions: null },
+      parkingRules: { guestParking: null, rvBoatAllowed: false, garageRequired: null },
+      exteriorModifications: { approvalRequired: true, commonRestrictions: [] },
+      notableRules: ['At least one resident per household must be 55 or older'],
+      recentRuleChanges: [],
+      ccrsAvailableOnline: false
+    },
+    reviews: {
+      overallSentiment: 'positive',
+      reviewCount: 2,
+      averageRating: 4.5,
+      commonComplaints: [],
+      commonPraise: ['Quiet', 'Active social calendar'],
+      redditMentions: 0,
+      googleReviewRating: null,
+      bbbRating: null,
+      bbbComplaints: null,
+      newsArticles: [],
+      neighborhoodApps: null,
+      foundOnline: true
+    }
+  },
+
+  {
+    key: 'coral-key',
+    name: 'Coral Key Estates Homeowners Association',
+    keywords: ['coral key'],
+    street: '1450 NE Coral Key Ct',
+    city: 'Homestead',
+    county: 'Miami-Dade',
+    zip: '33033',
+    lat: 25.4787,
+    lng: -80.4396,
+    neighborhood: { restaurants: 9, parks: 2, grocery: 2, coffee: 2, bars: 1, shopping: 1, gyms: 2, medical: 3, pharmacy: 2, beaches: 0, golf: 0 },
+
+    info: {
+      subdivisionName: 'Coral Key Estates',
+      managementCompany: null,
+      contactInfo: { phone: null, email: null, website: null, address: null },
+      monthlyFee: '$95',
+      hoaExists: true,
+      yearEstablished: 2006,
+      totalUnits: 64,
+      amenities: [],
+      masterAssociation: null,
+      sunbiz: { status: null, registeredAgent: null, documentNumber: null },
+      is55Plus: false,
+      foundOnline: true
+    },
+    sunbiz: {
+      found: true,
+      corporationName: 'CORAL KEY ESTATES HOMEOWNERS ASSOCIATION, INC.',
+      documentNumber: 'N06000002231',
+      status: 'Inactive',
+      filingDate: '2006-01-23',
+      lastAnnualReport: '2021-05-01',
+      registeredAgent: { name: 'Luis Ferreira', address: '1450 NE Coral Key Ct, Homestead, FL 33033' },
+      principalAddress: '1450 NE Coral Key Ct, Homestead, FL 33033',
+      mailingAddress: null,
+      officers: [],
+      feiNumber: null
+    },
+    financials: {
+      foundFinancials: true,
+      monthlyFee: '$95',
+      quarterlyFee: null,
+      annualFee: null,
+      specialAssessments: [],
+      reserveFundPercent: null,
+      lastReserveStudy: null,
+      feeHistory: [],
+      financialHealth: 'unknown',
+      lawsuits: [],
+      delinquencyRate: null
+    },
+    rules: {
+      foundRules: true,
+      rentalRestrictions: { shortTermAllowed: true, minLeaseTerm: null, rentalCapPercent: null, ownerOccupiedRequired: null },
+      petRestrictions: { allowed: true, maxNumber: null, weightLimit: null, breedRestrictions: null },
+      parkingRules: { guestParking: null, rvBoatAllowed: true, garageRequired: false },
+      exteriorModifications: { approvalRequired: false, commonRestrictions: [] },
+      notableRules: [],
+      recentRuleChanges: [],
+      ccrsAvailableOnline: false
+    },
+    reviews: null
+  },
+
+  {
+    key: 'indigo-bay',
+    name: 'Indigo Bay HOA',
+    keywords: ['indigo bay'],
+    street: '5100 Indigo Bay Cir',
+    city: 'Jacksonville',
+    county: 'Duval',
+    zip: '32256',
+    lat: 30.2031,
+    lng: -81.5514,
+    neighborhood: { restaurants: 11, parks: 2, grocery: 2, coffee: 3, bars: 2, shopping: 2, gyms: 2, medical: 4, pharmacy: 2, beaches: 0, golf: 0 },
+
+    info: null,
+    sunbiz: null,
+    financials: null,
+    rules: null,
+    reviews: null
+  }
+]
+
+// Management companies returned by the ZIP code fallback search
+export const MOCK_AREA_COMPANIES = [
+  { name: 'Bayshore Community Management', phone: '(813) 555-0100', website: 'https://bayshore-cm.example.org', servesArea: true },
+  { name: 'Gulfside Association Services', phone: '(239) 555-0101', website: 'https://gulfside-associations.example.org', servesArea: true },
+  { name: 'First Coast HOA Partners', phone: '(904) 555-0102', website: null, servesArea: true }
+]
+
+function normalize(value) {
+  return (value || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Find the canned HOA for a search
+ * Matches on name keywords first (HOA name, street or address), then ZIP code
+ */
+export function findMockHOA({ name, address, zip } = {}) {
+  const haystack = normalize(`${name || ''} ${address || ''}`)
+
+  const byKeyword = MOCK_HOAS.find(hoa => hoa.keywords.some(keyword => haystack.includes(keyword)))
+  if (byKeyword) return byKeyword
+
+  const zipCode = zip || (address || '').match(/\b(\d{5})(?:-\d{4})?\b/)?.[1]
+  return MOCK_HOAS.find(hoa => hoa.zip === zipCode) || null
+}
+
+/**
+ * Resolve CURRENT_YEAR / LAST_YEAR placeholders so fixtures don't age
+ */
+export function resolveFixture(value, currentYear = new Date().getFullYear()) {
+  if (value === null || value === undefined) return value
+
+  return JSON.parse(
+    JSON.stringify(value)
+      .replace(/"CURRENT_YEAR"/g, String(currentYear))
+      .replace(/"LAST_YEAR"/g, String(currentYear - 1))
+      .replace(/CURRENT_YEAR/g, String(currentYear))
+      .replace(/LAST_YEAR/g, String(currentYear - 1))
+  )
+}
+
+/**
+ * Citation URLs for a canned HOA search
+ */
+export function mockCitations(hoa, searchType) {
+  return [`https://records.example.org/fl/${hoa.key}/${searchType}`]
+}
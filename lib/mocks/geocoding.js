@@ -0,0 +1,71 @@
+/**
+ * Mock Geocoding
+ * Resolves addresses against the fixture HOAs (by street/name or ZIP code)
+ * in place of the geocoding provider chain
+ */
+
+import { MOCK_HOAS, findMockHOA } from './fixtures'
+
+/**
+ * Mock geocodeAddress - same shape as lib/apis/geocoding.js
+ * Returns null when the address doesn't match a fixture
+ */
+export function mockGeocodeAddress(address) {
+  const hoa = findMockHOA({ address })
+  console.log(`🧪 [MOCK GEOCODING] "${address}":`, hoa?.key || 'no fixture')
+
+  if (!hoa) return null
+
+  // Keep the caller's house number so different homes in the same
+  // community get distinct (but nearby) results
+  const streetAddress = address.split(',')[0].trim()
+  const matchedStreet = hoa.keywords.some(keyword => streetAddress.toLowerCase().includes(keyword))
+
+  return {
+    formattedAddress: `${matchedStreet ? streetAddress : hoa.street}, ${hoa.city}, FL ${hoa.zip}, USA`,
+    lat: hoa.lat,
+    lng: hoa.lng,
+    streetNumber: (matchedStreet ? streetAddress : hoa.street).match(/^\d+/)?.[0] || '',
+    street: (matchedStreet ? streetAddress : hoa.street).replace(/^\d+\s+/, ''),
+    streetAddress: matchedStreet ? streetAddress : hoa.street,
+    city: hoa.city,
+    county: `${hoa.county} County`,
+    state: 'Florida',
+    stateCode: 'FL',
+    country: 'United States',
+    countryCode: 'US',
+    zipCode: hoa.zip,
+    neighborhood: '',
+    placeId: `mock-${hoa.key}`,
+    precision: matchedStreet ? 'address' : 'area',
+    confidence: matchedStreet ? 1.0 : 0.6,
+    source: 'mock'
+  }
+}
+
+/**
+ * Mock reverseGeocode - nearest fixture to the coordinates
+ */
+export function mockReverseGeocode(lat, lng) {
+  const nearest = [...MOCK_HOAS].sort((a, b) =>
+    Math.hypot(a.lat - lat, a.lng - lng) - Math.hypot(b.lat - lat, b.lng - lng)
+  )[0]
+
+  return {
+    formattedAddress: `${nearest.street}, ${nearest.city}, FL ${nearest.zip}, USA`,
+    lat,
+    lng,
+    streetAddress: nearest.street,
+    city: nearest.city,
+    county: `${nearest.county} County`,
+    state: 'Florida',
+    stateCode: 'FL',
+    country: 'United States',
+    countryCode: 'US',
+    zipCode: nearest.zip,
+    placeId: `mock-${nearest.key}`,
+    precision: 'area',
+    confidence: 0.6,
+    source: 'mock'
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Mock Mode
+ * USE_MOCK_DATA=true swaps every external provider - Claude, Perplexity,
+ * Yelp and geocoding - for fixture-backed implementations, so the
+ * search → analyze → report flow runs without network access or API keys.
+ * Supabase is still required (a local `supabase start` works).
+ */
+
+export function isMockMode() {
+  return process.env.USE_MOCK_DATA === 'true'
+}
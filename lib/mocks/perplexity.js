@@ -0,0 +1,129 @@
+/**
+ * Mock Perplexity Searches
+ * Same signatures and return shapes as lib/apis/perplexity.js, backed by fixtures
+ */
+
+import { findMockHOA, resolveFixture, mockCitations, MOCK_AREA_COMPANIES } from './fixtures'
+
+const notFound = () => ({ success: true, foundInfo: false, sources: [], responseTimeMs: 0 })
+
+export async function searchHOAInfo(hoaName, city, state, zip, streetAddress = null) {
+  const hoa = findMockHOA({ name: hoaName, address: streetAddress, zip })
+  console.log(`🧪 [MOCK PERPLEXITY] HOA info for "${hoaName}":`, hoa?.key || 'no fixture')
+
+  if (!hoa?.info) {
+    return {
+      ...notFound(),
+      contactInfo: {},
+      sunbiz: {},
+      amenities: [],
+      county: hoa?.county || null
+    }
+  }
+
+  return {
+    success: true,
+    ...resolveFixture(hoa.info),
+    foundInfo: true,
+    sources: mockCitations(hoa, 'hoa_info'),
+    responseTimeMs: 0,
+    county: hoa.county,
+    searchStrategy: { primaryTerm: hoaName, allTerms: [hoaName] }
+  }
+}
+
+export async function searchManagementCompaniesByZip(zip, city, state) {
+  const hoa = findMockHOA({ zip })
+  console.log(`🧪 [MOCK PERPLEXITY] Management companies for ${zip}`)
+
+  return {
+    success: true,
+    foundInfo: true,
+    companies: MOCK_AREA_COMPANIES,
+    commonSubdivisions: hoa ? [hoa.name] : [],
+    masterCommunities: [],
+    sources: [`https://records.example.org/fl/zip/${zip}`],
+    responseTimeMs: 0,
+    county: hoa?.county || null
+  }
+}
+
+export async function searchStateRegistry(hoaName, city, state) {
+  const hoa = findMockHOA({ name: hoaName })
+  console.log(`🧪 [MOCK PERPLEXITY] ${state || 'FL'} registry for "${hoaName}":`, hoa?.sunbiz ? hoa.key : 'not found')
+
+  if (!hoa?.sunbiz) {
+    return { ...notFound(), found: false }
+  }
+
+  return {
+    success: true,
+    foundInfo: true,
+    ...resolveFixture(hoa.sunbiz),
+    sources: mockCitations(hoa, 'sunbiz'),
+    responseTimeMs: 0
+  }
+}
+
+export async function searchHOAFinancials(hoaName, managementCompany, city, state, zip) {
+  const hoa = findMockHOA({ name: hoaName, zip })
+  console.log(`🧪 [MOCK PERPLEXITY] Financials for "${hoaName}":`, hoa?.financials ? hoa.key : 'not found')
+
+  if (!hoa?.financials) {
+    return { ...notFound(), foundFinancials: false }
+  }
+
+  return {
+    success: true,
+    foundInfo: true,
+    ...resolveFixture(hoa.financials),
+    sources: mockCitations(hoa, 'financials'),
+    responseTimeMs: 0
+  }
+}
+
+export async function searchHOARules(hoaName, subdivisionName, city, state) {
+  const hoa = findMockHOA({ name: `${hoaName} ${subdivisionName || ''}` })
+  console.log(`🧪 [MOCK PERPLEXITY] Rules for "${subdivisionName || hoaName}":`, hoa?.rules ? hoa.key : 'not found')
+
+  if (!hoa?.rules) {
+    return { ...notFound(), foundRules: false }
+  }
+
+  return {
+    success: true,
+    foundInfo: true,
+    ...resolveFixture(hoa.rules),
+    sources: mockCitations(hoa, 'rules'),
+    responseTimeMs: 0
+  }
+}
+
+export async function searchHOAReviews(hoaName, managementCompany, city, state) {
+  const hoa = findMockHOA({ name: hoaName })
+  console.log(`🧪 [MOCK PERPLEXITY] Reviews for "${hoaName}":`, hoa?.reviews ? hoa.key : 'not found')
+
+  if (!hoa?.reviews) {
+    return { ...notFound(), sentiment: 'unknown', reviewCount: 0 }
+  }
+
+  const reviews = resolveFixture(hoa.reviews)
+
+  return {
+    success: true,
+    foundInfo: true,
+    sentiment: reviews.overallSentiment,
+    reviewCount: reviews.reviewCount,
+    averageRating: reviews.averageRating,
+    commonComplaints: reviews.commonComplaints,
+    commonPraise: reviews.commonPraise,
+    redditMentions: reviews.redditMentions,
+    googleReviewRating: reviews.googleReviewRating,
+    bbbRating: reviews.bbbRating,
+    bbbComplaints: reviews.bbbComplaints,
+    newsArticles: reviews.newsArticles,
+    neighborhoodApps: reviews.neighborhoodApps,
+    sources: mockCitations(hoa, 'reviews'),
+    responseTimeMs: 0
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Mock Yelp
+ * Stands in for yelpRequest with deterministic businesses around the nearest
+ * fixture HOA. Counts per category come from the fixture's `neighborhood`.
+ */
+
+import { MOCK_HOAS } from './fixtures'
+import { calculateDistance } from '@/lib/apis/geocoding'
+
+// Used when the search point isn't near any fixture
+const DEFAULT_COUNTS = { restaurants: 8, parks: 2, grocery: 2, coffee: 2, bars: 1, shopping: 1, gyms: 1, medical: 3, pharmacy: 1, beaches: 0, golf: 1 }
+
+// Yelp category alias → neighborhood key
+const CATEGORY_KEYS = {
+  restaurants: 'restaurants',
+  parks: 'parks',
+  grocery: 'grocery',
+  coffee: 'coffee',
+  bars: 'bars',
+  shoppingcenters: 'shopping',
+  gyms: 'gyms',
+  'physicians,hospitals,urgent_care': 'medical',
+  pharmacy: 'pharmacy',
+  beaches: 'beaches',
+  golf: 'golf'
+}
+
+const NAME_PREFIXES = ['Palmetto', 'Seaside', 'Sunshine', 'Mangrove', 'Gulf Breeze', 'Osprey', 'Coquina', 'Tarpon']
+
+/**
+ * Small deterministic PRNG so the same location always yields the same businesses
+ */
+function seededRandom(seed) {
+  let state = 0
+  for (const char of seed) state = (state * 31 + char.charCodeAt(0)) >>> 0
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0
+    return state / 4294967296
+  }
+}
+
+function nearestFixture(lat, lng) {
+  let nearest = null
+  for (const hoa of MOCK_HOAS) {
+    const distance = calculateDistance(lat, lng, hoa.lat, hoa.lng)
+    if (distance <= 5 && (!nearest || distance < nearest.distance)) {
+      nearest = { hoa, distance }
+    }
+  }
+  return nearest?.hoa || null
+}
+
+/**
+ * Mock yelpRequest - same response shape as the Yelp Fusion API
+ */
+export async function mockYelpRequest(endpoint, params = {}) {
+  console.log(`🧪 [MOCK YELP] ${endpoint}`, params.categories || params.term || '')
+
+  if (endpoint.endsWith('/reviews')) {
+    return { reviews: [], total: 0 }
+  }
+
+  // Business name searches (searchBusiness) have no location to anchor to
+  if (!params.categories || params.latitude === undefined) {
+    return { businesses: [], total: 0 }
+  }
+
+  const lat = Number(params.latitude)
+  const lng = Number(params.longitude)
+  const fixture = nearestFixture(lat, lng)
+  const key = CATEGORY_KEYS[params.categories] || params.categories
+  const count = (fixture?.neighborhood || DEFAULT_COUNTS)[key] ?? 0
+  const random = seededRandom(`${fixture?.key || `${lat.toFixed(2)},${lng.toFixed(2)}`}:${key}`)
+  const radius = Number(params.radius) || 1609
+  const title = key.charAt(0).toUpperCase() + key.slice(1)
+
+  const businesses = Array.from({ length: count }, (_, idx) => {
+    const name = `${NAME_PREFIXES[Math.floor(random() * NAME_PREFIXES.length)]} ${title} ${idx + 1}`
+    const id = `mock-${key}-${idx + 1}`
+    return {
+      id,
+      name,
+      rating: Math.round((3 + random() * 2) * 2) / 2,
+      review_count: Math.floor(5 + random() * 400),
+      price: ['$', '$$', '$$$'][Math.floor(random() * 3)],
+      distance: Math.round(100 + random() * (radius - 100)),
+      categories: [{ alias: key, title }],
+      url: `https://www.yelp.example.org/biz/${id}`,
+      image_url: null,
+      phone: '',
+      coordinates: { latitude: lat, longitude: lng },
+      location: { address1: null, city: fixture?.city || null, state: 'FL', zip_code: fixture?.zip || null }
+    }
+  })
+
+  return { businesses, total: count }
+}
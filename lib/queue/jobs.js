@@ -0,0 +1,71 @@
+/**
+ * Processing Queue - Job Helpers
+ * Enqueue background jobs into processing_queue for the worker to pick up
+ */
+
+import { createServiceClient } from '@/lib/supabase/server'
+
+export const JOB_TYPES = {
+  ANALYZE_HOA: 'analyze_hoa',
+  REFRESH_DATA: 'refresh_data',
+  UPDATE_NEIGHBORHOOD: 'update_neighborhood'
+}
+
+/**
+ * Add a job to the processing queue
+ * Only one open (pending/processing) job per HOA and job type is allowed,
+ * so enqueueing an HOA that is already queued returns the existing job.
+ *
+ * @param {string} jobType - One of JOB_TYPES
+ * @param {Object} payload - Job payload (should include hoaId)
+ * @param {Object} options - { runAfter: Date, maxRetries: number, priority: number }
+ */
+export async function enqueueJob(jobType, payload = {}, options = {}) {
+  const supabase = createServiceClient()
+
+  const row = {
+    job_type: jobType,
+    status: 'pending',
+    payload,
+    run_after: (options.runAfter || new Date()).toISOString()
+  }
+
+  if (options.maxRetries !== undefined) {
+    row.max_retries = options.maxRetries
+  }
+
+  // Higher priority jobs are claimed first (default 0)
+  if (options.priority !== undefined) {
+    row.priority = options.priority
+  }
+
+  const { data: job, error } = await supabase
+    .from('processing_queue')
+    .insert(row)
+    .select()
+    .single()
+
+  if (!error) {
+    console.log(`📥 [QUEUE] Enqueued ${jobType} job ${job.id}`)
+    return { success: true, job, deduplicated: false }
+  }
+
+  // 23505 = unique_violation on the open-job index
+  if (error.code === '23505' && payload.hoaId) {
+    const { data: existing } = await supabase
+      .from('processing_queue')
+      .select('*')
+      .eq('job_type', jobType)
+      .eq('payload->>hoaId', payload.hoaId)
+      .in('status', ['pending', 'processing'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    console.log(`📥 [QUEUE] ${jobType} already queued for HOA ${payload.hoaId}`)
+    return { success: true, job: existing, deduplicated: true }
+  }
+
+  console.error(`❌ [QUEUE] Failed to enqueue ${jobType}:`, error)
+  return { success: false, error: error.message }
+}
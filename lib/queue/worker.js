@@ -0,0 +1,226 @@
+/**
+ * Processing Queue - Worker
+ * Claims jobs from processing_queue, runs them, and records the outcome.
+ * Failed jobs are retried with exponential backoff until max_retries is reached.
+ */
+
+import { hostname } from 'os'
+import { randomUUID } from 'crypto'
+import { after } from 'next/server'
+import { createServiceClient } from '@/lib/supabase/server'
+import { analyzeHOA } from '@/app/actions/analyze-hoa'
+import { fetchNeighborhoodForAddress } from '@/app/actions/fetch-neighborhood'
+import { JOB_TYPES } from './jobs'
+
+// A job still 'processing' after this long is assumed abandoned and reclaimed
+const LOCK_TIMEOUT_SECONDS = 15 * 60
+
+const BASE_RETRY_DELAY_SECONDS = 30
+const MAX_RETRY_DELAY_SECONDS = 60 * 60
+
+const JOB_HANDLERS = {
+  [JOB_TYPES.ANALYZE_HOA]: runAnalysisJob,
+  [JOB_TYPES.REFRESH_DATA]: runAnalysisJob,
+  [JOB_TYPES.UPDATE_NEIGHBORHOOD]: runNeighborhoodJob
+}
+
+/**
+ * Generate an identifier for this worker process
+ */
+function createWorkerId() {
+  return `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`
+}
+
+/**
+ * Error that should fail the job immediately instead of retrying
+ */
+function permanentError(message) {
+  const error = new Error(message)
+  error.retryable = false
+  return error
+}
+
+/**
+ * Exponential backoff with jitter: 30s, 60s, 120s, ... capped at one hour
+ */
+function getRetryDelaySeconds(retryCount) {
+  const delay = Math.min(BASE_RETRY_DELAY_SECONDS * 2 ** retryCount, MAX_RETRY_DELAY_SECONDS)
+  const jitter = Math.random() * BASE_RETRY_DELAY_SECONDS
+  return Math.round(delay + jitter)
+}
+
+/**
+ * analyze_hoa / refresh_data: run the full analysis pipeline
+ */
+async function runAnalysisJob(job) {
+  const hoaId = job.payload?.hoaId
+  if (!hoaId) {
+    throw permanentError('Job payload is missing hoaId')
+  }
+
+  // Refreshes exist to pick up new information, so skip cached searches
+  const result = await analyzeHOA(hoaId, { refresh: job.job_type === JOB_TYPES.REFRESH_DATA })
+
+  if (!result.success) {
+    throw new Error(result.error || 'Analysis failed')
+  }
+
+  // Another run holds the HOA's lease; its own job owns the outcome
+  if (result.attached) {
+    return { hoaId, attachedToRun: result.runId }
+  }
+
+  return {
+    hoaId,
+    runId: result.runId,
+    overallScore: result.analysis?.overallScore ?? null,
+    dataCompleteness: result.dataCompleteness
+  }
+}
+
+/**
+ * update_neighborhood: refresh Yelp neighborhood context for an HOA
+ */
+async function runNeighborhoodJob(job) {
+  const payload = job.payload || {}
+  let { lat, lng, city, state } = payload
+
+  if ((!lat || !lng) && payload.hoaId) {
+    const supabase = createServiceClient()
+    const { data: hoa } = await supabase
+      .from('hoa_profiles')
+      .select('coordinates, city, state')
+      .eq('id', payload.hoaId)
+      .single()
+
+    lat = hoa?.coordinates?.lat
+    lng = hoa?.coordinates?.lng
+    city = city || hoa?.city
+    state = state || hoa?.state
+  }
+
+  if (!lat || !lng) {
+    throw permanentError('No coordinates available for neighborhood update')
+  }
+
+  const result = await fetchNeighborhoodForAddress(lat, lng, city, state, payload.hoaId || null)
+
+  if (!result.success) {
+    throw new Error(result.error || 'Neighborhood update failed')
+  }
+
+  return { hoaId: payload.hoaId || null, cached: !!result.cached }
+}
+
+/**
+ * Run a single claimed job and write the outcome back to its row
+ */
+async function runJob(supabase, job, workerId) {
+  const startTime = Date.now()
+  console.log(`⚙️ [WORKER] Running ${job.job_type} job ${job.id} (attempt ${job.retry_count + 1})`)
+
+  try {
+    const handler = JOB_HANDLERS[job.job_type]
+    if (!handler) {
+      throw permanentError(`Unknown job type: ${job.job_type}`)
+    }
+
+    const result = await handler(job)
+
+    await supabase
+      .from('processing_queue')
+      .update({
+        status: 'completed',
+        result,
+        error: null,
+        completed_at: new Date().toISOString(),
+        locked_by: null,
+        locked_at: null
+      })
+      .eq('id', job.id)
+      .eq('locked_by', workerId)
+
+    console.log(`✅ [WORKER] Job ${job.id} completed in ${Date.now() - startTime}ms`)
+    return { id: job.id, jobType: job.job_type, status: 'completed' }
+  } catch (error) {
+    const canRetry = error.retryable !== false && job.retry_count < job.max_retries
+    const now = new Date()
+
+    const update = {
+      error: error.message,
+      last_error_at: now.toISOString(),
+      locked_by: null,
+      locked_at: null
+    }
+
+    if (canRetry) {
+      const delaySeconds = getRetryDelaySeconds(job.retry_count)
+      update.status = 'pending'
+      update.retry_count = job.retry_count + 1
+      update.run_after = new Date(now.getTime() + delaySeconds * 1000).toISOString()
+      console.warn(`⚠️ [WORKER] Job ${job.id} failed, retrying in ${delaySeconds}s:`, error.message)
+    } else {
+      update.status = 'failed'
+      update.completed_at = now.toISOString()
+      console.error(`❌ [WORKER] Job ${job.id} failed permanently:`, error.message)
+    }
+
+    await supabase
+      .from('processing_queue')
+      .update(update)
+      .eq('id', job.id)
+      .eq('locked_by', workerId)
+
+    return { id: job.id, jobType: job.job_type, status: update.status, error: error.message }
+  }
+}
+
+/**
+ * Drain the processing queue
+ * Claims one job at a time so a long analysis doesn't hold locks on jobs
+ * that another worker could be running.
+ *
+ * @param {Object} options - { limit: max jobs to run, workerId }
+ */
+export async function processQueue({ limit = 1, workerId = createWorkerId() } = {}) {
+  const supabase = createServiceClient()
+  const results = []
+
+  for (let i = 0; i < limit; i++) {
+    const { data: jobs, error } = await supabase.rpc('claim_processing_jobs', {
+      p_worker_id: workerId,
+      p_limit: 1,
+      p_lock_timeout_seconds: LOCK_TIMEOUT_SECONDS
+    })
+
+    if (error) {
+      console.error('❌ [WORKER] Failed to claim jobs:', error)
+      break
+    }
+
+    if (!jobs || jobs.length === 0) {
+      break
+    }
+
+    results.push(await runJob(supabase, jobs[0], workerId))
+  }
+
+  return { workerId, processed: results.length, results }
+}
+
+/**
+ * Run the worker once the current response has been sent
+ * Must be called from a server action or route handler, not a server
+ * component: the analysis reads the request's cookies, which Next forbids
+ * in after() work spawned from one.
+ * Jobs that don't finish here are picked up by the scheduled worker route.
+ */
+export function drainQueueAfterResponse(options = {}) {
+  after(async () => {
+    try {
+      await processQueue(options)
+    } catch (error) {
+      console.error('❌ [WORKER] Background drain error:', error)
+    }
+  })
+}
@@ -0,0 +1,81 @@
+/**
+ * Arizona State Profile
+ */
+
+import { overdueAnnualReport } from './rules'
+
+const arizona = {
+  code: 'AZ',
+  name: 'Arizona',
+
+  statutes: [
+    { citation: 'A.R.S. 33-1801 et seq.', name: 'Planned Communities Act' },
+    { citation: 'A.R.S. 33-1201 et seq.', name: 'Arizona Condominium Act' }
+  ],
+
+  disclosure: {
+    document: 'resale disclosure statement',
+    citation: 'A.R.S. 33-1806'
+  },
+
+  context: [
+    'The Arizona Planned Communities Act (A.R.S. 33-1801 et seq.) governs HOAs',
+    'Sellers must provide a resale disclosure from the HOA, and its fees are capped by statute (A.R.S. 33-1806)',
+    'HOAs must make records available within 10 business days of request (A.R.S. 33-1805)',
+    'HOAs can only foreclose on assessments a year delinquent or over $1,200, never for fines (A.R.S. 33-1807)',
+    'Owners can petition the Arizona Department of Real Estate over HOA disputes',
+    'Heat and water use shape landscaping rules (xeriscape, turf limits)'
+  ],
+
+  registry: {
+    name: 'Arizona Corporation Commission (eCorp)',
+    shortName: 'AZ Corp Commission',
+    site: 'ecorp.azcc.gov',
+    agency: 'Arizona Corporation Commission',
+    documentNumber: 'Arizona Corporation Commission entity ID',
+    annualReports: true
+  },
+
+  managerLicensing: null,
+
+  managementCompanies: [
+    'FirstService Residential',
+    'Associa Arizona',
+    'AAM (Associated Asset Management)',
+    'City Property Management Company',
+    'Vision Community Management',
+    'HOAMCO',
+    'Cadden Community Management',
+    'Trestle Management Group',
+    'Brown Community Management'
+  ],
+
+  countyRecords: [
+    'Assessor for subdivision info',
+    'Recorder for recorded CC&Rs and plats'
+  ],
+
+  reviewSources: {
+    subreddit: 'arizona',
+    regulator: 'Arizona Department of Real Estate HOA dispute petitions'
+  },
+
+  typicalRules: {
+    rental: 'Arizona HOAs may restrict leasing but limit the fees and tenant information they can require',
+    pets: 'Typical Arizona HOA allows pets with some restrictions',
+    parking: 'Most Arizona HOAs restrict RV/boat parking',
+    exterior: 'Arizona HOAs typically require approval for exterior and landscaping changes',
+    lawNotes: [
+      'The Arizona Planned Communities Act governs HOAs',
+      'HOAs must make records available within 10 business days of request',
+      'Rental restrictions may apply - verify with HOA'
+    ]
+  },
+
+  redFlagRules: [
+    // Due yearly on the incorporation anniversary; allow a few months' slack
+    overdueAnnualReport({ maxAgeMonths: 15, citation: 'A.R.S. 10-11622' })
+  ]
+}
+
+export default arizona
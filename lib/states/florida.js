@@ -0,0 +1,114 @@
+/**
+ * Florida State Profile
+ */
+
+import { overdueAnnualReport } from './rules'
+
+/**
+ * Rental amendments bind buyers who take title after they pass
+ */
+function recentRentalAmendment(hoaData) {
+  if (!hoaData.rulesData?.verified) return null
+
+  const change = (hoaData.rulesData.data?.recentRuleChanges || [])
+    .find(rule => /\b(rent|rental|rentals|lease|leasing)\b/i.test(rule))
+  if (!change) return null
+
+  return {
+    title: 'Recent Rental Amendment',
+    description: `The association recently changed its rental rules ("${change}"). Rental amendments apply to owners who acquire title after they pass (Fla. Stat. 720.306(1)(h)), so this one will bind you even if current owners are exempt.`,
+    severity: 'moderate',
+    source: 'Fla. Stat. 720.306(1)(h)'
+  }
+}
+
+const florida = {
+  code: 'FL',
+  name: 'Florida',
+
+  statutes: [
+    { citation: 'Fla. Stat. ch. 720', name: "Homeowners' Associations Act" },
+    { citation: 'Fla. Stat. ch. 718', name: 'Condominium Act' },
+    { citation: 'Fla. Stat. ch. 617', name: 'Florida Not For Profit Corporation Act' }
+  ],
+
+  disclosure: {
+    document: 'HOA disclosure summary',
+    citation: 'Fla. Stat. 720.401'
+  },
+
+  // Prompt fragment for the analyst system prompt
+  context: [
+    "Florida Statute 720 governs HOAs (Homeowners' Associations Act)",
+    'Florida has mandatory reserve fund requirements (post-Surfside reforms)',
+    'Florida HOAs must provide governing documents within 10 days of request',
+    'Hurricane preparedness is critical for Florida properties',
+    'Many Florida communities are 55+ age-restricted',
+    'Florida has strict condo/HOA disclosure requirements for buyers'
+  ],
+
+  registry: {
+    name: 'Florida SunBiz',
+    shortName: 'SunBiz',
+    site: 'sunbiz.org',
+    agency: 'Florida Division of Corporations',
+    documentNumber: 'Florida document number (e.g., N12345678)',
+    annualReports: true
+  },
+
+  managerLicensing: {
+    name: 'Florida DBPR',
+    site: 'myfloridalicense.com',
+    license: 'Community Association Manager licenses'
+  },
+
+  // Largest management companies in the state
+  managementCompanies: [
+    'FirstService Residential',
+    'Associa',
+    'Sentry Management',
+    'Castle Group',
+    'Leland Management',
+    'Vesta Property Services',
+    'KW Property Management',
+    'Seacrest Services',
+    'Campbell Property Management',
+    'Greenacre Properties',
+    'Sterling Property Services',
+    'RealManage',
+    'Beacon Community Management',
+    'Alliant Property Management',
+    'Trident Association Management'
+  ],
+
+  countyRecords: [
+    'Property Appraiser for subdivision info',
+    'Clerk for recorded HOA documents/covenants'
+  ],
+
+  reviewSources: {
+    subreddit: 'florida',
+    regulator: 'Florida CAM complaints (DBPR)'
+  },
+
+  // Notes for the typical-rules fallback when no rules are found
+  typicalRules: {
+    rental: 'Florida law requires HOAs to disclose rental restrictions',
+    pets: 'Typical Florida HOA allows pets with some restrictions',
+    parking: 'Most Florida HOAs restrict RV/boat parking',
+    exterior: 'Florida HOAs typically require approval for exterior changes',
+    lawNotes: [
+      'Florida Statute 720 governs HOAs',
+      'HOAs must provide governing documents within 10 days of request',
+      'Rental restrictions may apply - verify with HOA'
+    ]
+  },
+
+  redFlagRules: [
+    // Not-for-profit annual reports are due between January 1 and May 1
+    overdueAnnualReport({ deadline: { month: 5, day: 1 }, citation: 'Fla. Stat. 617.1622' }),
+    recentRentalAmendment
+  ]
+}
+
+export default florida
@@ -0,0 +1,127 @@
+/**
+ * State Profiles
+ * Everything state-specific the pipeline needs - governing statutes and
+ * disclosure rules, the corporate registry to search, county offices,
+ * red-flag rules and prompt fragments - lives in one profile per state.
+ * The pipeline picks the profile from the HOA's state, so supporting a new
+ * state means adding a profile here, not editing prompts.
+ *
+ * States without a profile get a generic one (supported: false) so the
+ * pipeline still runs, just without state-specific context.
+ *
+ * The registry search keeps the storage key "sunbiz" (data.sunbiz, the
+ * progress step, citation section and provenance source) whatever the
+ * state, so reports stored before multi-state support still read; display
+ * text comes from profile.registry.name.
+ */
+
+import florida from './florida'
+import texas from './texas'
+import arizona from './arizona'
+import northCarolina from './north-carolina'
+
+export { evaluateStateRules } from './rules'
+
+// HOAs without a state are Florida - all data before multi-state support was
+export const DEFAULT_STATE_CODE = 'FL'
+
+const PROFILES = Object.fromEntries(
+  [florida, texas, arizona, northCarolina].map(profile => [profile.code, profile])
+)
+
+export const SUPPORTED_STATES = Object.values(PROFILES).map(({ code, name }) => ({ code, name }))
+
+const STATE_NAMES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+}
+
+const CODES_BY_NAME = Object.fromEntries(
+  Object.entries(STATE_NAMES).map(([code, name]) => [name.toLowerCase(), code])
+)
+
+/**
+ * Two-letter code for "FL", "fl" or "Florida"
+ * @returns {string|null} null when the state isn't recognized
+ */
+export function normalizeStateCode(state) {
+  if (!state) return null
+
+  const value = String(state).trim()
+  const upper = value.toUpperCase()
+  if (STATE_NAMES[upper]) return upper
+
+  return CODES_BY_NAME[value.toLowerCase()] || null
+}
+
+/**
+ * Profile for states we have no specific knowledge of
+ */
+function genericProfile(code) {
+  const name = STATE_NAMES[code] || code
+
+  return {
+    code,
+    name,
+    supported: false,
+    statutes: [],
+    disclosure: { document: 'HOA resale disclosure', citation: null },
+    context: [
+      `HOA Scout has no ${name}-specific legal context - note where state law may change the picture`,
+      'Check the state HOA statute for records access, resale disclosure and foreclosure rules'
+    ],
+    registry: {
+      name: `${name} Secretary of State`,
+      shortName: `${code} SOS`,
+      site: null,
+      agency: `${name} Secretary of State`,
+      documentNumber: 'State corporation filing number',
+      annualReports: false
+    },
+    managerLicensing: null,
+    managementCompanies: ['FirstService Residential', 'Associa', 'RealManage'],
+    countyRecords: [
+      'Assessor for subdivision info',
+      'Recorder for recorded HOA documents/covenants'
+    ],
+    reviewSources: { subreddit: null, regulator: null },
+    typicalRules: {
+      rental: 'Rental restrictions vary by community',
+      pets: 'Typical HOA allows pets with some restrictions',
+      parking: 'Most HOAs restrict RV/boat parking',
+      exterior: 'HOAs typically require approval for exterior changes',
+      lawNotes: ['Rental restrictions may apply - verify with HOA']
+    },
+    redFlagRules: []
+  }
+}
+
+/**
+ * Profile for an HOA's state ("FL", "Texas", ...)
+ * Missing states get Florida; unknown or unsupported ones the generic profile.
+ */
+export function getStateProfile(state) {
+  const code = state ? normalizeStateCode(state) : DEFAULT_STATE_CODE
+
+  if (code && PROFILES[code]) {
+    return { ...PROFILES[code], supported: true }
+  }
+
+  return genericProfile(code || String(state).trim().toUpperCase())
+}
+
+/**
+ * Whether we have a profile for this state
+ */
+export function isSupportedState(state) {
+  return !!PROFILES[normalizeStateCode(state)]
+}
@@ -0,0 +1,76 @@
+/**
+ * North Carolina State Profile
+ */
+
+const northCarolina = {
+  code: 'NC',
+  name: 'North Carolina',
+
+  statutes: [
+    { citation: 'N.C.G.S. ch. 47F', name: 'North Carolina Planned Community Act' },
+    { citation: 'N.C.G.S. ch. 47C', name: 'North Carolina Condominium Act' }
+  ],
+
+  disclosure: {
+    document: 'resale statement',
+    citation: 'N.C.G.S. 47F-3-102'
+  },
+
+  context: [
+    'The North Carolina Planned Community Act (Chapter 47F) governs HOAs created after January 1, 1999; older communities are covered only in part',
+    'Condominiums fall under the North Carolina Condominium Act (Chapter 47C)',
+    'Budgets are ratified unless a majority of owners rejects them (47F-3-103)',
+    'Unpaid assessments become a lien the HOA can foreclose, but not for fines alone (47F-3-116)',
+    'Hurricane and flood exposure matters for coastal properties'
+  ],
+
+  registry: {
+    name: 'North Carolina Secretary of State',
+    shortName: 'NC SOS',
+    site: 'sosnc.gov',
+    agency: 'North Carolina Secretary of State',
+    documentNumber: 'North Carolina SOSID',
+    // Nonprofit corporations don't file annual reports in North Carolina
+    annualReports: false
+  },
+
+  managerLicensing: null,
+
+  managementCompanies: [
+    'FirstService Residential',
+    'Associa HRW',
+    'CAMS (Community Association Management Services)',
+    'Hawthorne Management Company',
+    'Kuester Management Group',
+    'William Douglas Management',
+    'Omega Association Management',
+    'Cedar Management Group',
+    'Sentry Management'
+  ],
+
+  countyRecords: [
+    'Tax Assessor for subdivision info',
+    'Register of Deeds for recorded declarations and amendments'
+  ],
+
+  reviewSources: {
+    subreddit: 'NorthCarolina',
+    regulator: null
+  },
+
+  typicalRules: {
+    rental: 'North Carolina HOAs may restrict leasing if the declaration allows it',
+    pets: 'Typical North Carolina HOA allows pets with some restrictions',
+    parking: 'Most North Carolina HOAs restrict RV/boat parking',
+    exterior: 'North Carolina HOAs typically require architectural approval for exterior changes',
+    lawNotes: [
+      'The North Carolina Planned Community Act (Chapter 47F) governs HOAs',
+      'Communities created before 1999 are only partly covered by 47F',
+      'Rental restrictions may apply - verify with HOA'
+    ]
+  },
+
+  redFlagRules: []
+}
+
+export default northCarolina
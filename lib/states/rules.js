@@ -0,0 +1,81 @@
+/**
+ * State Red-Flag Rules
+ * Deterministic checks run over the gathered data for the HOA's state.
+ * Their flags are added alongside Claude's, so a filing or statutory
+ * problem the data plainly shows is flagged whatever the model writes.
+ *
+ * A rule is (hoaData, profile) => flag | null, with the same flag shape
+ * as the analysis ({ title, description, severity, source }).
+ */
+
+const INACTIVE_STATUS = /inactive|dissolved|revoked|forfeit|withdrawn/i
+
+function registryRecord(hoaData) {
+  return hoaData.publicRecords?.data?.sunbiz || {}
+}
+
+/**
+ * Corporation is not active with the state registry (every state)
+ */
+export function inactiveRegistration(hoaData, profile) {
+  const { status } = registryRecord(hoaData)
+  if (!status || !INACTIVE_STATUS.test(status)) return null
+
+  return {
+    title: 'Association Not in Good Standing',
+    description: `${profile.registry.name} lists the association as ${status}. Until it is reinstated it may be unable to enforce covenants, collect assessments or keep its insurance in force.`,
+    severity: 'high',
+    source: profile.registry.name
+  }
+}
+
+/**
+ * Annual report missing for the current filing cycle
+ *
+ * @param {Object} cycle - { deadline: { month, day } } for a fixed yearly due
+ *   date, or { maxAgeMonths } when it runs from the incorporation anniversary
+ * @param {string} citation - Statute requiring the report
+ */
+export function overdueAnnualReport({ deadline, maxAgeMonths, citation }) {
+  return (hoaData, profile) => {
+    const { lastAnnualReport, status } = registryRecord(hoaData)
+    const filed = lastAnnualReport ? new Date(lastAnnualReport) : null
+    if (!filed || Number.isNaN(filed.getTime()) || INACTIVE_STATUS.test(status || '')) return null
+
+    const now = new Date()
+    let overdue
+    if (deadline) {
+      const thisYearsDeadline = new Date(now.getFullYear(), deadline.month - 1, deadline.day)
+      const cycleYear = now > thisYearsDeadline ? now.getFullYear() : now.getFullYear() - 1
+      overdue = filed.getFullYear() < cycleYear
+    } else {
+      const cutoff = new Date(now)
+      cutoff.setMonth(cutoff.getMonth() - maxAgeMonths)
+      overdue = filed < cutoff
+    }
+    if (!overdue) return null
+
+    return {
+      title: 'Annual Report Overdue',
+      description: `The last annual report on ${profile.registry.name} was filed ${lastAnnualReport}. Associations that miss it (${citation}) can be administratively dissolved - ask the board to confirm the filing is current.`,
+      severity: 'moderate',
+      source: profile.registry.name
+    }
+  }
+}
+
+/**
+ * Run the shared and state-specific rules
+ * @returns {Object} { redFlags, yellowFlags }
+ */
+export function evaluateStateRules(profile, hoaData) {
+  const flags = [inactiveRegistration, ...profile.redFlagRules]
+    .map(rule => rule(hoaData, profile))
+    .filter(Boolean)
+    .map(flag => ({ ...flag, citations: [], sources: [], stateRule: true }))
+
+  return {
+    redFlags: flags.filter(flag => ['high', 'critical'].includes(flag.severity)),
+    yellowFlags: flags.filter(flag => ['moderate', 'low'].includes(flag.severity))
+  }
+}
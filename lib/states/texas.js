@@ -0,0 +1,97 @@
+/**
+ * Texas State Profile
+ */
+
+/**
+ * Texas associations must record who manages them with the county
+ */
+function unidentifiedManager(hoaData) {
+  const manager = hoaData.publicRecords?.data?.managementCompany?.name
+  if (manager && manager !== 'Unknown') return null
+
+  return {
+    title: 'Management Not Identified',
+    description: 'We could not find who manages this association. Texas associations must record a management certificate naming the association and its manager with the county clerk (Tex. Prop. Code 209.004) - pull it from the county real property records.',
+    severity: 'low',
+    source: 'Tex. Prop. Code 209.004'
+  }
+}
+
+const texas = {
+  code: 'TX',
+  name: 'Texas',
+
+  statutes: [
+    { citation: 'Tex. Prop. Code ch. 209', name: 'Texas Residential Property Owners Protection Act' },
+    { citation: 'Tex. Prop. Code ch. 207', name: 'Disclosure of Information by Property Owners\' Associations' },
+    { citation: 'Tex. Prop. Code ch. 82', name: 'Uniform Condominium Act' }
+  ],
+
+  disclosure: {
+    document: 'resale certificate',
+    citation: 'Tex. Prop. Code 207.003'
+  },
+
+  context: [
+    'Texas Property Code Chapter 209 (Residential Property Owners Protection Act) governs HOAs',
+    'Texas HOAs must record a management certificate and their dedicatory instruments in the county real property records',
+    'HOAs must respond to owner records requests within 10 business days (Prop. Code 209.005)',
+    'Sellers provide a resale certificate from the HOA (Prop. Code 207.003)',
+    'Texas has no statewide reserve funding mandate - check the governing documents',
+    'HOAs may foreclose for unpaid assessments but not for fines alone (Prop. Code 209.009)',
+    'Hail, flood and hurricane exposure drive insurance costs in much of Texas'
+  ],
+
+  registry: {
+    name: 'Texas Secretary of State (SOSDirect)',
+    shortName: 'Texas SOS',
+    site: 'direct.sos.state.tx.us',
+    agency: 'Texas Secretary of State',
+    documentNumber: 'Texas SOS file number (e.g., 0801234567)',
+    // Nonprofits only file periodic reports when the Secretary asks
+    annualReports: false
+  },
+
+  managerLicensing: null,
+
+  managementCompanies: [
+    'FirstService Residential',
+    'Associa',
+    'RealManage',
+    'Spectrum Association Management',
+    'Goodwin & Company',
+    'Crest Management',
+    'Chaparral Management Company',
+    'Essex Association Management',
+    'SBB Management Company',
+    'Inframark'
+  ],
+
+  countyRecords: [
+    'Appraisal District for subdivision info',
+    'County Clerk real property records for dedicatory instruments and the management certificate'
+  ],
+
+  reviewSources: {
+    subreddit: 'texas',
+    regulator: null
+  },
+
+  typicalRules: {
+    rental: 'Texas HOAs may restrict leasing through their dedicatory instruments',
+    pets: 'Typical Texas HOA allows pets with some restrictions',
+    parking: 'Most Texas HOAs restrict RV/boat and street parking',
+    exterior: 'Texas HOAs typically require architectural approval for exterior changes',
+    lawNotes: [
+      'Texas Property Code Chapter 209 governs HOAs',
+      'HOAs must respond to records requests within 10 business days',
+      'Rental restrictions may apply - verify with HOA'
+    ]
+  },
+
+  redFlagRules: [
+    unidentifiedManager
+  ]
+}
+
+export default texas
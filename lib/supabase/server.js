@@ -5,6 +5,7 @@
 
 import { createServerClient } from '@supabase/ssr'
 import { cookies } from 'next/headers'
+import { currentLedger, recordSpend } from '@/lib/analysis/budget'
 
 /**
  * Create authenticated Supabase client that respects RLS
@@ -97,6 +98,58 @@ export async function requireAuth() {
   return user
 }
 
+// Ranked lowest to highest; a higher role satisfies checks for lower ones.
+// Must match role_rank() in supabase/migrations/009_user_roles.sql
+export const ROLES = ['buyer', 'agent', 'moderator', 'admin']
+
+/**
+ * Get a user's role from user_roles (users without a row are buyers)
+ */
+export async function getUserRole(user) {
+  if (!user) return null
+
+  const supabase = await createClient()
+  const { data, error } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error fetching user role:', error)
+    return 'buyer'
+  }
+
+  return data?.role || 'buyer'
+}
+
+/**
+ * Check whether a user holds a role or a higher one
+ */
+export async function hasRole(user, role) {
+  const required = ROLES.indexOf(role)
+  if (required === -1) {
+    throw new Error(`Unknown role: ${role}`)
+  }
+
+  const userRole = await getUserRole(user)
+  return !!userRole && ROLES.indexOf(userRole) >= required
+}
+
+/**
+ * Require a signed-in user with at least the given role or throw error
+ * Use in server actions, e.g. requireRole('admin')
+ */
+export async function requireRole(role) {
+  const user = await requireAuth()
+
+  if (!(await hasRole(user, role))) {
+    throw new Error('Insufficient permissions')
+  }
+
+  return user
+}
+
 /**
  * Check if current request is authenticated
  */
@@ -193,53 +246,115 @@ export async function batchInsert(table, records, options = {}) {
   return results
 }
 
+/**
+ * Count a cache lookup ('hit', 'miss' or 'bypass') for cache_stats
+ */
+async function recordCacheEvent(supabase, namespace, event, key = null) {
+  const { error } = await supabase.rpc('record_cache_event', {
+    p_namespace: namespace,
+    p_event: event,
+    p_key: key
+  })
+
+  if (error) {
+    console.warn('⚠️ [CACHE] Failed to record cache event:', error.message)
+  }
+}
+
 /**
  * Cache helper for expensive operations
+ * Cache failures never fail the caller: a broken read falls through to
+ * fetchFn and a broken write just isn't cached.
+ *
+ * @param {string} key - Cache key, "<namespace>:<...>"
+ * @param {Function} fetchFn - Produces fresh data on a miss
+ * @param {number} ttlSeconds - How long fresh data stays cached
+ * @param {Object} options - { namespace, bypass, shouldCache }
+ *   bypass skips the read but still stores the fresh result (forced refresh);
+ *   shouldCache(data) decides whether a result is worth storing
  */
-export async function getCachedData(key, fetchFn, ttlSeconds = 3600) {
+export async function getCachedData(key, fetchFn, ttlSeconds = 3600, options = {}) {
+  const {
+    namespace = key.split(':')[0],
+    bypass = false,
+    shouldCache = () => true
+  } = options
   const supabase = createServiceClient()
 
   // Try to get from cache
-  const { data: cached } = await supabase
-    .from('cache')
-    .select('data, expires_at')
-    .eq('key', key)
-    .single()
+  if (!bypass) {
+    const { data: cached, error } = await supabase
+      .from('cache')
+      .select('data, expires_at')
+      .eq('key', key)
+      .maybeSingle()
 
-  // Return cached data if still valid
-  if (cached && new Date(cached.expires_at) > new Date()) {
-    return cached.data
+    if (error) {
+      console.warn('⚠️ [CACHE] Read failed:', error.message)
+    }
+
+    // Return cached data if still valid
+    if (cached && new Date(cached.expires_at) > new Date()) {
+      await recordCacheEvent(supabase, namespace, 'hit', key)
+      return cached.data
+    }
   }
 
+  await recordCacheEvent(supabase, namespace, bypass ? 'bypass' : 'miss')
+
   // Fetch fresh data
   const freshData = await fetchFn()
 
+  if (!shouldCache(freshData)) {
+    return freshData
+  }
+
   // Store in cache
-  await supabase
+  const now = new Date()
+  const { error } = await supabase
     .from('cache')
     .upsert({
       key,
+      namespace,
       data: freshData,
-      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      hit_count: 0,
+      last_hit_at: null
     })
 
+  if (error) {
+    console.warn('⚠️ [CACHE] Write failed:', error.message)
+  }
+
   return freshData
 }
 
 /**
- * Log API usage for monitoring and rate limiting
+ * Log API usage for monitoring, rate limiting and cost tracking
+ * Calls made during an analysis run are attributed to it (run_id / hoa_id)
+ * and their cost counts against the run's budget.
  */
 export async function logApiUsage(apiName, details = {}) {
   const user = await getCurrentUser()
   const supabase = createServiceClient()
+  const ledger = currentLedger()
+
+  recordSpend(details.cost_estimate)
 
   try {
-    await supabase.from('api_usage').insert({
+    const { error } = await supabase.from('api_usage').insert({
       user_id: user?.id,
       api_name: apiName,
+      run_id: ledger?.runId || null,
+      hoa_id: ledger?.hoaId || null,
       ...details,
       timestamp: new Date().toISOString()
     })
+
+    if (error) {
+      console.error('Failed to log API usage:', error.message)
+    }
   } catch (error) {
     // Don't throw on logging errors
     console.error('Failed to log API usage:', error)
@@ -251,7 +366,7 @@ export async function logApiUsage(apiName, details = {}) {
  */
 export async function checkRateLimit(apiName, limitPerHour = 100) {
   const user = await getCurrentUser()
-  if (!user) return true // No limits for anonymous users (or implement IP-based limiting)
+  if (!user) return true // Anonymous traffic is limited per IP/session at the entry points (lib/http/rate-limit.js)
 
   const supabase = createServiceClient()
   const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString()
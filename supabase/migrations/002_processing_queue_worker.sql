@@ -0,0 +1,83 @@
+-- Processing queue worker support
+-- Adds locking, scheduling and atomic job claiming so multiple workers can
+-- drain processing_queue without taking the same row twice
+
+-- Locking and scheduling columns
+ALTER TABLE processing_queue
+  ADD COLUMN IF NOT EXISTS locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS run_after TIMESTAMPTZ DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+
+UPDATE processing_queue SET run_after = created_at WHERE run_after IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_processing_queue_claim
+  ON processing_queue(status, run_after, created_at);
+
+-- Jobs queued before the worker existed were never picked up. Keep only the
+-- newest open job per HOA and job type so the unique index below can be built.
+UPDATE processing_queue q
+SET
+  status = 'failed',
+  error = 'Superseded by a newer job for the same HOA',
+  completed_at = NOW()
+WHERE q.status IN ('pending', 'processing')
+  AND EXISTS (
+    SELECT 1 FROM processing_queue newer
+    WHERE newer.job_type = q.job_type
+      AND newer.payload->>'hoaId' = q.payload->>'hoaId'
+      AND newer.status IN ('pending', 'processing')
+      AND (newer.created_at, newer.id) > (q.created_at, q.id)
+  );
+
+-- At most one open job per HOA and job type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_processing_queue_open_job
+  ON processing_queue(job_type, (payload->>'hoaId'))
+  WHERE status IN ('pending', 'processing');
+
+-- Claim jobs for a worker
+-- Pending jobs whose run_after has passed are claimed with SKIP LOCKED so
+-- concurrent workers never receive the same row. Jobs stuck in 'processing'
+-- past the lock timeout (worker crashed or was redeployed) count as a failed
+-- attempt and are either reclaimed or marked failed.
+CREATE OR REPLACE FUNCTION claim_processing_jobs(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 1,
+  p_lock_timeout_seconds INTEGER DEFAULT 900
+) RETURNS SETOF processing_queue AS $$
+BEGIN
+  -- Give up on abandoned jobs that have no retries left
+  UPDATE processing_queue
+  SET
+    status = 'failed',
+    error = COALESCE(error, 'Worker lock expired'),
+    completed_at = NOW(),
+    locked_by = NULL,
+    locked_at = NULL
+  WHERE status = 'processing'
+    AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds)
+    AND retry_count >= max_retries;
+
+  RETURN QUERY
+  UPDATE processing_queue q
+  SET
+    status = 'processing',
+    started_at = NOW(),
+    locked_by = p_worker_id,
+    locked_at = NOW(),
+    retry_count = CASE WHEN q.status = 'processing' THEN q.retry_count + 1 ELSE q.retry_count END
+  WHERE q.id IN (
+    SELECT id FROM processing_queue
+    WHERE (status = 'pending' AND run_after <= NOW())
+       OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+    ORDER BY run_after ASC, created_at ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the worker, running as the service role, claims jobs
+REVOKE EXECUTE ON FUNCTION claim_processing_jobs(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_processing_jobs(TEXT, INTEGER, INTEGER) TO service_role;
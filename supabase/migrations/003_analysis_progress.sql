@@ -0,0 +1,32 @@
+-- Per-step analysis progress
+-- analyzeHOA writes one row per pipeline step so the report page can show
+-- what is running, what failed and how long each step took
+
+CREATE TABLE IF NOT EXISTS hoa_analysis_steps (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hoa_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  run_id UUID NOT NULL,
+  step TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'skipped')),
+  detail TEXT,
+  error TEXT,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Only the latest run is kept per HOA
+  CONSTRAINT unique_hoa_analysis_step UNIQUE(hoa_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hoa_analysis_steps_hoa ON hoa_analysis_steps(hoa_id, updated_at DESC);
+
+ALTER TABLE hoa_analysis_steps ENABLE ROW LEVEL SECURITY;
+
+-- Progress is shown on public report pages
+CREATE POLICY "Analysis steps are publicly readable" ON hoa_analysis_steps
+  FOR SELECT USING (true);
+
+-- Only service role can write progress
+CREATE POLICY "Service role can manage analysis steps" ON hoa_analysis_steps
+  FOR ALL USING (auth.role() = 'service_role');
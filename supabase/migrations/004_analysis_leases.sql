@@ -0,0 +1,96 @@
+-- Analysis leases
+-- Single-flight guard: at most one analysis run per HOA at a time.
+-- A lease expires unless its holder keeps renewing it, so a crashed
+-- run never blocks the HOA for longer than the lease TTL.
+
+CREATE TABLE IF NOT EXISTS analysis_leases (
+  hoa_id UUID PRIMARY KEY REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  run_id UUID NOT NULL,
+  holder TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE analysis_leases ENABLE ROW LEVEL SECURITY;
+
+-- Only service role can access leases
+CREATE POLICY "Service role manages analysis leases" ON analysis_leases
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Acquire the lease for an HOA
+-- Succeeds when no lease exists or the current one has expired.
+-- Otherwise returns the current holder's lease with acquired = false.
+CREATE OR REPLACE FUNCTION acquire_analysis_lease(
+  p_hoa_id UUID,
+  p_run_id UUID,
+  p_holder TEXT,
+  p_ttl_seconds INTEGER DEFAULT 300
+) RETURNS TABLE (
+  acquired BOOLEAN,
+  run_id UUID,
+  holder TEXT,
+  acquired_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ
+) AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  INSERT INTO analysis_leases AS l (hoa_id, run_id, holder, acquired_at, heartbeat_at, expires_at)
+  VALUES (p_hoa_id, p_run_id, p_holder, NOW(), NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (hoa_id) DO UPDATE SET
+    run_id = EXCLUDED.run_id,
+    holder = EXCLUDED.holder,
+    acquired_at = EXCLUDED.acquired_at,
+    heartbeat_at = EXCLUDED.heartbeat_at,
+    expires_at = EXCLUDED.expires_at
+  WHERE l.expires_at < NOW()
+  RETURNING TRUE, l.run_id, l.holder, l.acquired_at, l.expires_at;
+
+  IF NOT FOUND THEN
+    RETURN QUERY
+    SELECT FALSE, l.run_id, l.holder, l.acquired_at, l.expires_at
+    FROM analysis_leases l
+    WHERE l.hoa_id = p_hoa_id;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Extend a lease that is still held by the given run
+-- Returns false when the lease was lost (expired and taken by another run)
+CREATE OR REPLACE FUNCTION renew_analysis_lease(
+  p_hoa_id UUID,
+  p_run_id UUID,
+  p_ttl_seconds INTEGER DEFAULT 300
+) RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE analysis_leases
+  SET
+    heartbeat_at = NOW(),
+    expires_at = NOW() + make_interval(secs => p_ttl_seconds)
+  WHERE hoa_id = p_hoa_id AND run_id = p_run_id;
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Release a lease held by the given run
+CREATE OR REPLACE FUNCTION release_analysis_lease(
+  p_hoa_id UUID,
+  p_run_id UUID
+) RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM analysis_leases
+  WHERE hoa_id = p_hoa_id AND run_id = p_run_id;
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Leases are taken by the analysis runner with the service role only
+REVOKE EXECUTE ON FUNCTION acquire_analysis_lease(UUID, UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION renew_analysis_lease(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_analysis_lease(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION acquire_analysis_lease(UUID, UUID, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION renew_analysis_lease(UUID, UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_analysis_lease(UUID, UUID) TO service_role;
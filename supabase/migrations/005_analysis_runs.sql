@@ -0,0 +1,74 @@
+-- Analysis history
+-- Every analyzeHOA run is snapshotted here so past reports can be compared.
+-- The run id is the same id used by the analysis lease and progress steps.
+
+CREATE TABLE IF NOT EXISTS hoa_analysis_runs (
+  id UUID PRIMARY KEY,
+  hoa_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+
+  -- Data gathered for the run (public records, feedback, financials, rules, Yelp)
+  inputs JSONB,
+
+  -- Claude output and the values we compare between runs
+  ai_output JSONB,
+  overall_score NUMERIC,
+  scores JSONB,
+  red_flags JSONB DEFAULT '[]'::JSONB,
+  yellow_flags JSONB DEFAULT '[]'::JSONB,
+  green_flags JSONB DEFAULT '[]'::JSONB,
+  monthly_fee NUMERIC,
+  data_completeness NUMERIC,
+
+  -- Provenance
+  model_id TEXT,
+  prompt_version TEXT,
+  is_fallback BOOLEAN DEFAULT false,
+  tokens_used INTEGER,
+  cost_estimate NUMERIC,
+
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_hoa_analysis_runs_hoa ON hoa_analysis_runs(hoa_id, started_at DESC);
+
+ALTER TABLE hoa_analysis_runs ENABLE ROW LEVEL SECURITY;
+
+-- Completed runs back the public "what changed" view
+CREATE POLICY "Completed analysis runs are publicly readable" ON hoa_analysis_runs
+  FOR SELECT USING (status = 'completed');
+
+-- Only service role can write analysis runs
+CREATE POLICY "Service role can manage analysis runs" ON hoa_analysis_runs
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Seed history with the analysis currently stored on each profile so the
+-- next run already has something to compare against
+INSERT INTO hoa_analysis_runs (
+  id, hoa_id, status, started_at, completed_at, ai_output, overall_score, scores,
+  red_flags, yellow_flags, green_flags, monthly_fee, data_completeness, prompt_version
+)
+SELECT
+  uuid_generate_v4(),
+  id,
+  'completed',
+  last_updated,
+  last_updated,
+  ai_analysis,
+  overall_score,
+  COALESCE(ai_analysis->'scores', jsonb_build_object(
+    'financialHealth', financial_health_score,
+    'restrictiveness', restrictiveness_score,
+    'managementQuality', management_quality_score,
+    'communitySentiment', community_sentiment_score
+  )),
+  COALESCE(red_flags, '[]'::JSONB),
+  COALESCE(yellow_flags, '[]'::JSONB),
+  COALESCE(green_flags, '[]'::JSONB),
+  monthly_fee,
+  data_completeness,
+  'legacy'
+FROM hoa_profiles
+WHERE overall_score IS NOT NULL;
@@ -0,0 +1,8 @@
+-- Field provenance
+-- Every candidate value for monthly fee, management company, unit count and
+-- contact info, with the source, time and confidence it was observed at.
+-- Shape: { "<field>": [{ "value", "source", "observedAt", "confidence" }] }
+-- monthly_fee / management_company / total_units hold the resolved values.
+
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS field_provenance JSONB DEFAULT '{}'::JSONB;
@@ -0,0 +1,38 @@
+-- API usage ledger
+-- api_usage rows are attributed to the analysis run that made them and
+-- carry per-model token counts, so a run's cost can be added up exactly.
+-- Also fixes Perplexity logging: 'perplexity' wasn't an allowed api_name
+-- and search_type didn't exist, so those inserts were being rejected.
+
+ALTER TABLE api_usage DROP CONSTRAINT IF EXISTS api_usage_api_name_check;
+ALTER TABLE api_usage ADD CONSTRAINT api_usage_api_name_check
+  CHECK (api_name IN ('yelp', 'claude', 'google_maps', 'reddit', 'perplexity'));
+
+ALTER TABLE api_usage
+  ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES hoa_analysis_runs(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS hoa_id UUID REFERENCES hoa_profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS search_type TEXT,
+  ADD COLUMN IF NOT EXISTS model TEXT,
+  ADD COLUMN IF NOT EXISTS input_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS output_tokens INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_run ON api_usage(run_id) WHERE run_id IS NOT NULL;
+
+-- Budget outcome per run; cost_estimate now covers every API, not just Claude
+ALTER TABLE hoa_analysis_runs
+  ADD COLUMN IF NOT EXISTS budget_usd NUMERIC,
+  ADD COLUMN IF NOT EXISTS skipped_for_budget JSONB DEFAULT '[]'::JSONB;
+
+-- Total cost per run and API, from the ledger
+CREATE OR REPLACE VIEW analysis_run_costs AS
+SELECT
+  run_id,
+  hoa_id,
+  api_name,
+  COUNT(*) AS api_calls,
+  SUM(COALESCE(input_tokens, 0)) AS input_tokens,
+  SUM(COALESCE(output_tokens, 0)) AS output_tokens,
+  SUM(COALESCE(cost_estimate, 0)) AS cost_usd
+FROM api_usage
+WHERE run_id IS NOT NULL
+GROUP BY run_id, hoa_id, api_name;
@@ -0,0 +1,74 @@
+-- Admin console support
+-- Queue priority and cancellation, plus a daily api_usage rollup for the
+-- usage dashboard.
+
+-- Higher priority jobs are claimed first
+ALTER TABLE processing_queue
+  ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+
+-- Operators can cancel pending jobs
+ALTER TABLE processing_queue DROP CONSTRAINT IF EXISTS processing_queue_status_check;
+ALTER TABLE processing_queue ADD CONSTRAINT processing_queue_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled'));
+
+DROP INDEX IF EXISTS idx_processing_queue_claim;
+CREATE INDEX IF NOT EXISTS idx_processing_queue_claim
+  ON processing_queue(status, priority DESC, run_after, created_at);
+
+-- Same as 002, ordered by priority first. Still service role only.
+CREATE OR REPLACE FUNCTION claim_processing_jobs(
+  p_worker_id TEXT,
+  p_limit INTEGER DEFAULT 1,
+  p_lock_timeout_seconds INTEGER DEFAULT 900
+) RETURNS SETOF processing_queue AS $$
+BEGIN
+  -- Give up on abandoned jobs that have no retries left
+  UPDATE processing_queue
+  SET
+    status = 'failed',
+    error = COALESCE(error, 'Worker lock expired'),
+    completed_at = NOW(),
+    locked_by = NULL,
+    locked_at = NULL
+  WHERE status = 'processing'
+    AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds)
+    AND retry_count >= max_retries;
+
+  RETURN QUERY
+  UPDATE processing_queue q
+  SET
+    status = 'processing',
+    started_at = NOW(),
+    locked_by = p_worker_id,
+    locked_at = NOW(),
+    retry_count = CASE WHEN q.status = 'processing' THEN q.retry_count + 1 ELSE q.retry_count END
+  WHERE q.id IN (
+    SELECT id FROM processing_queue
+    WHERE (status = 'pending' AND run_after <= NOW())
+       OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+    ORDER BY priority DESC, run_after ASC, created_at ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION claim_processing_jobs(TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_processing_jobs(TEXT, INTEGER, INTEGER) TO service_role;
+
+-- API usage per day, provider and status code. security_invoker keeps
+-- api_usage RLS in force, so only the service role sees every row.
+CREATE OR REPLACE VIEW api_usage_daily WITH (security_invoker = true) AS
+SELECT
+  date_trunc('day', timestamp)::DATE AS day,
+  api_name,
+  status_code,
+  COUNT(*) AS calls,
+  SUM(COALESCE(tokens_used, 0)) AS tokens,
+  SUM(COALESCE(cost_estimate, 0)) AS cost_usd,
+  ROUND(AVG(response_time_ms)) AS avg_response_ms
+FROM api_usage
+GROUP BY 1, 2, 3;
+
+ALTER VIEW analysis_run_costs SET (security_invoker = true);
@@ -0,0 +1,69 @@
+-- User roles
+-- One role per user. Users without a row are buyers. Roles are ranked
+-- (buyer < agent < moderator < admin) and a higher role satisfies a check
+-- for a lower one, so a moderator check also admits admins.
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'buyer'
+    CHECK (role IN ('buyer', 'agent', 'moderator', 'admin')),
+  granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+-- Rank of a role name, 0 for unknown names
+CREATE OR REPLACE FUNCTION role_rank(p_role TEXT) RETURNS INTEGER AS $$
+  SELECT CASE p_role
+    WHEN 'buyer' THEN 1
+    WHEN 'agent' THEN 2
+    WHEN 'moderator' THEN 3
+    WHEN 'admin' THEN 4
+    ELSE 0
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether the signed-in user holds p_role or a higher one. SECURITY DEFINER
+-- so policies on user_roles itself can call it without recursing into RLS.
+CREATE OR REPLACE FUNCTION has_role(p_role TEXT) RETURNS BOOLEAN AS $$
+  SELECT role_rank(COALESCE(
+    (SELECT role FROM user_roles WHERE user_id = auth.uid()),
+    'buyer'
+  )) >= role_rank(p_role)
+  AND auth.uid() IS NOT NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own role; nobody can grant themselves one
+CREATE POLICY "Users can view own role" ON user_roles
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage roles" ON user_roles
+  FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Service role can manage roles" ON user_roles
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Moderators correct HOA records; inserts stay with the service role
+CREATE POLICY "Moderators can update HOA profiles" ON hoa_profiles
+  FOR UPDATE USING (has_role('moderator')) WITH CHECK (has_role('moderator'));
+
+-- Operators see the queue, usage and every analysis run
+CREATE POLICY "Admins can manage processing queue" ON processing_queue
+  FOR ALL USING (has_role('admin')) WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Admins can view all API usage" ON api_usage
+  FOR SELECT USING (has_role('admin'));
+
+CREATE POLICY "Admins can view all analysis runs" ON hoa_analysis_runs
+  FOR SELECT USING (has_role('admin'));
+
+CREATE POLICY "Moderators can view searches" ON user_searches
+  FOR SELECT USING (has_role('moderator'));
+
+-- Grant the first admin from the SQL editor, e.g.
+--   INSERT INTO user_roles (user_id, role)
+--   SELECT id, 'admin' FROM auth.users WHERE email = 'you@example.com'
+--   ON CONFLICT (user_id) DO UPDATE SET role = EXCLUDED.role;
@@ -0,0 +1,89 @@
+-- Rate limiting for search, analyze and enrich
+-- Sliding-window log: one row per allowed request per key (IP, anonymous
+-- session cookie or user). A request is allowed while every key has fewer
+-- than p_limit rows in the last p_window_seconds.
+
+CREATE TABLE IF NOT EXISTS rate_limit_events (
+  id BIGSERIAL PRIMARY KEY,
+  action TEXT NOT NULL,
+  key TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_events_key
+  ON rate_limit_events(action, key, created_at DESC);
+
+ALTER TABLE rate_limit_events ENABLE ROW LEVEL SECURITY;
+
+-- Only service role can read or write rate limit events
+CREATE POLICY "Service role manages rate limit events" ON rate_limit_events
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Check and record one request. Returns allowed = false with the blocking
+-- key and seconds until its oldest event leaves the window; nothing is
+-- recorded for blocked requests, so retrying doesn't extend the block.
+CREATE OR REPLACE FUNCTION check_rate_limit(
+  p_action TEXT,
+  p_keys TEXT[],
+  p_limit INTEGER,
+  p_window_seconds INTEGER
+) RETURNS TABLE (allowed BOOLEAN, blocked_key TEXT, retry_after_seconds INTEGER) AS $$
+DECLARE
+  v_key TEXT;
+  v_count INTEGER;
+  v_oldest TIMESTAMPTZ;
+  v_window_start TIMESTAMPTZ := NOW() - make_interval(secs => p_window_seconds);
+BEGIN
+  -- Serialize concurrent checks for the same keys
+  FOREACH v_key IN ARRAY p_keys LOOP
+    PERFORM pg_advisory_xact_lock(hashtext(p_action || ':' || v_key));
+  END LOOP;
+
+  FOREACH v_key IN ARRAY p_keys LOOP
+    -- Events older than the window no longer count
+    DELETE FROM rate_limit_events
+    WHERE action = p_action AND key = v_key AND created_at < v_window_start;
+
+    SELECT COUNT(*), MIN(created_at) INTO v_count, v_oldest
+    FROM rate_limit_events
+    WHERE action = p_action AND key = v_key;
+
+    IF v_count >= p_limit THEN
+      RETURN QUERY SELECT
+        false,
+        v_key,
+        GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_oldest + make_interval(secs => p_window_seconds) - NOW())))::INTEGER);
+      RETURN;
+    END IF;
+  END LOOP;
+
+  INSERT INTO rate_limit_events (action, key)
+  SELECT p_action, unnest(p_keys);
+
+  RETURN QUERY SELECT true, NULL::TEXT, 0;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Called by the server with the service role; clients could otherwise
+-- fill or probe other keys' buckets
+REVOKE EXECUTE ON FUNCTION check_rate_limit(TEXT, TEXT[], INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION check_rate_limit(TEXT, TEXT[], INTEGER, INTEGER) TO service_role;
+
+-- Keys that stop sending requests are only pruned here
+CREATE INDEX IF NOT EXISTS idx_rate_limit_events_created ON rate_limit_events(created_at);
+
+CREATE OR REPLACE FUNCTION clean_expired_cache() RETURNS void AS $$
+BEGIN
+  DELETE FROM neighborhood_context
+  WHERE expires_at < NOW();
+
+  DELETE FROM rate_limit_events
+  WHERE created_at < NOW() - INTERVAL '1 day';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Anonymous session cookie alongside the IP and user agent captured per search
+ALTER TABLE user_searches
+  ADD COLUMN IF NOT EXISTS session_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_searches_ip ON user_searches(ip_address, search_timestamp DESC);
@@ -0,0 +1,35 @@
+-- Analysis triggers
+-- Who asked for each analysis through POST /api/hoa/[id]/analyze or the
+-- admin console, and what happened: queued, deduplicated onto an open job,
+-- or refused by the cooldown / fresh-report checks.
+
+CREATE TABLE IF NOT EXISTS analysis_triggers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hoa_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  -- How the caller was authorized
+  via TEXT NOT NULL CHECK (via IN ('session', 'retry_token', 'admin')),
+  forced BOOLEAN NOT NULL DEFAULT false,
+  outcome TEXT NOT NULL CHECK (outcome IN ('queued', 'deduplicated', 'cooldown', 'fresh', 'failed')),
+  job_id UUID REFERENCES processing_queue(id) ON DELETE SET NULL,
+
+  ip_address INET,
+  user_agent TEXT,
+  session_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_triggers_hoa ON analysis_triggers(hoa_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analysis_triggers_user ON analysis_triggers(user_id, created_at DESC);
+
+ALTER TABLE analysis_triggers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own analysis triggers" ON analysis_triggers
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view analysis triggers" ON analysis_triggers
+  FOR SELECT USING (has_role('admin'));
+
+CREATE POLICY "Service role can manage analysis triggers" ON analysis_triggers
+  FOR ALL USING (auth.role() = 'service_role');
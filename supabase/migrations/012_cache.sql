@@ -0,0 +1,85 @@
+-- Generic TTL cache
+-- Backs getCachedData() in lib/supabase/server.js, which caches the
+-- Perplexity searches by normalized arguments. Keys are "<namespace>:<...>".
+-- cache_stats counts hits, misses and forced refreshes per namespace per day.
+
+CREATE TABLE IF NOT EXISTS cache (
+  key TEXT PRIMARY KEY,
+  namespace TEXT NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_cache_expires ON cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_cache_namespace ON cache(namespace);
+
+CREATE TABLE IF NOT EXISTS cache_stats (
+  namespace TEXT NOT NULL,
+  day DATE NOT NULL DEFAULT CURRENT_DATE,
+  hits BIGINT NOT NULL DEFAULT 0,
+  misses BIGINT NOT NULL DEFAULT 0,
+  bypasses BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (namespace, day)
+);
+
+ALTER TABLE cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cache_stats ENABLE ROW LEVEL SECURITY;
+
+-- Only service role can access the cache
+CREATE POLICY "Service role manages cache" ON cache
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role manages cache stats" ON cache_stats
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Admins can view cache stats" ON cache_stats
+  FOR SELECT USING (has_role('admin'));
+
+-- Count a lookup: p_event is 'hit', 'miss' or 'bypass'. Hits also bump
+-- the entry's own counter.
+CREATE OR REPLACE FUNCTION record_cache_event(
+  p_namespace TEXT,
+  p_event TEXT,
+  p_key TEXT DEFAULT NULL
+) RETURNS void AS $$
+BEGIN
+  INSERT INTO cache_stats (namespace, day, hits, misses, bypasses)
+  VALUES (
+    p_namespace,
+    CURRENT_DATE,
+    (p_event = 'hit')::INTEGER,
+    (p_event = 'miss')::INTEGER,
+    (p_event = 'bypass')::INTEGER
+  )
+  ON CONFLICT (namespace, day) DO UPDATE SET
+    hits = cache_stats.hits + EXCLUDED.hits,
+    misses = cache_stats.misses + EXCLUDED.misses,
+    bypasses = cache_stats.bypasses + EXCLUDED.bypasses;
+
+  IF p_event = 'hit' AND p_key IS NOT NULL THEN
+    UPDATE cache
+    SET hit_count = hit_count + 1, last_hit_at = NOW()
+    WHERE key = p_key;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Stats are recorded by the server with the service role only
+REVOKE EXECUTE ON FUNCTION record_cache_event(TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_cache_event(TEXT, TEXT, TEXT) TO service_role;
+
+CREATE OR REPLACE FUNCTION clean_expired_cache() RETURNS void AS $$
+BEGIN
+  DELETE FROM neighborhood_context
+  WHERE expires_at < NOW();
+
+  DELETE FROM rate_limit_events
+  WHERE created_at < NOW() - INTERVAL '1 day';
+
+  DELETE FROM cache
+  WHERE expires_at < NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
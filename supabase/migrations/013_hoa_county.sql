@@ -0,0 +1,1184 @@
+-- County on HOA profiles
+-- hoa_profiles.county / county_fips hold the primary county for the HOA's
+-- ZIP from the bundled crosswalk (lib/geo/counties.js). New profiles get them
+-- on creation; this backfills existing rows in the supported states (FL, TX,
+-- AZ, NC) - rows elsewhere pick theirs up on their next analysis.
+--
+-- The ZIP list below is generated from lib/geo/data/zip-counties.json.
+
+ALTER TABLE hoa_profiles ADD COLUMN IF NOT EXISTS county TEXT;
+ALTER TABLE hoa_profiles ADD COLUMN IF NOT EXISTS county_fips TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_hoa_county ON hoa_profiles(county_fips);
+
+CREATE TEMP TABLE zip_county_backfill (
+  zip_code TEXT PRIMARY KEY,
+  county_fips TEXT NOT NULL
+);
+
+CREATE TEMP TABLE county_names (
+  county_fips TEXT PRIMARY KEY,
+  county TEXT NOT NULL
+);
+
+INSERT INTO county_names (county_fips, county) VALUES
+  ('04001', 'Apache County'),
+  ('04003', 'Cochise County'),
+  ('04005', 'Coconino County'),
+  ('04007', 'Gila County'),
+  ('04009', 'Graham County'),
+  ('04011', 'Greenlee County'),
+  ('04012', 'La Paz County'),
+  ('04013', 'Maricopa County'),
+  ('04015', 'Mohave County'),
+  ('04017', 'Navajo County'),
+  ('04019', 'Pima County'),
+  ('04021', 'Pinal County'),
+  ('04023', 'Santa Cruz County'),
+  ('04025', 'Yavapai County'),
+  ('04027', 'Yuma County'),
+  ('12001', 'Alachua County'),
+  ('12003', 'Baker County'),
+  ('12005', 'Bay County'),
+  ('12007', 'Bradford County'),
+  ('12009', 'Brevard County'),
+  ('12011', 'Broward County'),
+  ('12013', 'Calhoun County'),
+  ('12015', 'Charlotte County'),
+  ('12017', 'Citrus County'),
+  ('12019', 'Clay County'),
+  ('12021', 'Collier County'),
+  ('12023', 'Columbia County'),
+  ('12027', 'DeSoto County'),
+  ('12029', 'Dixie County'),
+  ('12031', 'Duval County'),
+  ('12033', 'Escambia County'),
+  ('12035', 'Flagler County'),
+  ('12037', 'Franklin County'),
+  ('12039', 'Gadsden County'),
+  ('12041', 'Gilchrist County'),
+  ('12043', 'Glades County'),
+  ('12045', 'Gulf County'),
+  ('12047', 'Hamilton County'),
+  ('12049', 'Hardee County'),
+  ('12051', 'Hendry County'),
+  ('12053', 'Hernando County'),
+  ('12055', 'Highlands County'),
+  ('12057', 'Hillsborough County'),
+  ('12059', 'Holmes County'),
+  ('12061', 'Indian River County'),
+  ('12063', 'Jackson County'),
+  ('12065', 'Jefferson County'),
+  ('12067', 'Lafayette County'),
+  ('12069', 'Lake County'),
+  ('12071', 'Lee County'),
+  ('12073', 'Leon County'),
+  ('12075', 'Levy County'),
+  ('12077', 'Liberty County'),
+  ('12079', 'Madison County'),
+  ('12081', 'Manatee County'),
+  ('12083', 'Marion County'),
+  ('12085', 'Martin County'),
+  ('12086', 'Miami-Dade County'),
+  ('12087', 'Monroe County'),
+  ('12089', 'Nassau County'),
+  ('12091', 'Okaloosa County'),
+  ('12093', 'Okeechobee County'),
+  ('12095', 'Orange County'),
+  ('12097', 'Osceola County'),
+  ('12099', 'Palm Beach County'),
+  ('12101', 'Pasco County'),
+  ('12103', 'Pinellas County'),
+  ('12105', 'Polk County'),
+  ('12107', 'Putnam County'),
+  ('12109', 'St. Johns County'),
+  ('12111', 'St. Lucie County'),
+  ('12113', 'Santa Rosa County'),
+  ('12115', 'Sarasota County'),
+  ('12117', 'Seminole County'),
+  ('12119', 'Sumter County'),
+  ('12121', 'Suwannee County'),
+  ('12123', 'Taylor County'),
+  ('12125', 'Union County'),
+  ('12127', 'Volusia County'),
+  ('12129', 'Wakulla County'),
+  ('12131', 'Walton County'),
+  ('12133', 'Washington County'),
+  ('37001', 'Alamance County'),
+  ('37003', 'Alexander County'),
+  ('37005', 'Alleghany County'),
+  ('37007', 'Anson County'),
+  ('37009', 'Ashe County'),
+  ('37011', 'Avery County'),
+  ('37013', 'Beaufort County'),
+  ('37015', 'Bertie County'),
+  ('37017', 'Bladen County'),
+  ('37019', 'Brunswick County'),
+  ('37021', 'Buncombe County'),
+  ('37023', 'Burke County'),
+  ('37025', 'Cabarrus County'),
+  ('37027', 'Caldwell County'),
+  ('37029', 'Camden County'),
+  ('37031', 'Carteret County'),
+  ('37033', 'Caswell County'),
+  ('37035', 'Catawba County'),
+  ('37037', 'Chatham County'),
+  ('37039', 'Cherokee County'),
+  ('37041', 'Chowan County'),
+  ('37043', 'Clay County'),
+  ('37045', 'Cleveland County'),
+  ('37047', 'Columbus County'),
+  ('37049', 'Craven County'),
+  ('37051', 'Cumberland County'),
+  ('37053', 'Currituck County'),
+  ('37055', 'Dare County'),
+  ('37057', 'Davidson County'),
+  ('37059', 'Davie County'),
+  ('37061', 'Duplin County'),
+  ('37063', 'Durham County'),
+  ('37065', 'Edgecombe County'),
+  ('37067', 'Forsyth County'),
+  ('37069', 'Franklin County'),
+  ('37071', 'Gaston County'),
+  ('37073', 'Gates County'),
+  ('37075', 'Graham County'),
+  ('37077', 'Granville County'),
+  ('37079', 'Greene County'),
+  ('37081', 'Guilford County'),
+  ('37083', 'Halifax County'),
+  ('37085', 'Harnett County'),
+  ('37087', 'Haywood County'),
+  ('37089', 'Henderson County'),
+  ('37091', 'Hertford County'),
+  ('37093', 'Hoke County'),
+  ('37095', 'Hyde County'),
+  ('37097', 'Iredell County'),
+  ('37099', 'Jackson County'),
+  ('37101', 'Johnston County'),
+  ('37103', 'Jones County'),
+  ('37105', 'Lee County'),
+  ('37107', 'Lenoir County'),
+  ('37109', 'Lincoln County'),
+  ('37111', 'McDowell County'),
+  ('37113', 'Macon County'),
+  ('37115', 'Madison County'),
+  ('37117', 'Martin County'),
+  ('37119', 'Mecklenburg County'),
+  ('37121', 'Mitchell County'),
+  ('37123', 'Montgomery County'),
+  ('37125', 'Moore County'),
+  ('37127', 'Nash County'),
+  ('37129', 'New Hanover County'),
+  ('37131', 'Northampton County'),
+  ('37133', 'Onslow County'),
+  ('37135', 'Orange County'),
+  ('37137', 'Pamlico County'),
+  ('37139', 'Pasquotank County'),
+  ('37141', 'Pender County'),
+  ('37143', 'Perquimans County'),
+  ('37145', 'Person County'),
+  ('37147', 'Pitt County'),
+  ('37149', 'Polk County'),
+  ('37151', 'Randolph County'),
+  ('37153', 'Richmond County'),
+  ('37155', 'Robeson County'),
+  ('37157', 'Rockingham County'),
+  ('37159', 'Rowan County'),
+  ('37161', 'Rutherford County'),
+  ('37163', 'Sampson County'),
+  ('37165', 'Scotland County'),
+  ('37167', 'Stanly County'),
+  ('37169', 'Stokes County'),
+  ('37171', 'Surry County'),
+  ('37173', 'Swain County'),
+  ('37175', 'Transylvania County'),
+  ('37177', 'Tyrrell County'),
+  ('37179', 'Union County'),
+  ('37181', 'Vance County'),
+  ('37183', 'Wake County'),
+  ('37185', 'Warren County'),
+  ('37187', 'Washington County'),
+  ('37189', 'Watauga County'),
+  ('37191', 'Wayne County'),
+  ('37193', 'Wilkes County'),
+  ('37195', 'Wilson County'),
+  ('37197', 'Yadkin County'),
+  ('37199', 'Yancey County'),
+  ('48001', 'Anderson County'),
+  ('48003', 'Andrews County'),
+  ('48005', 'Angelina County'),
+  ('48007', 'Aransas County'),
+  ('48009', 'Archer County'),
+  ('48011', 'Armstrong County'),
+  ('48013', 'Atascosa County'),
+  ('48015', 'Austin County'),
+  ('48017', 'Bailey County'),
+  ('48019', 'Bandera County'),
+  ('48021', 'Bastrop County'),
+  ('48023', 'Baylor County'),
+  ('48025', 'Bee County'),
+  ('48027', 'Bell County'),
+  ('48029', 'Bexar County'),
+  ('48031', 'Blanco County'),
+  ('48033', 'Borden County'),
+  ('48035', 'Bosque County'),
+  ('48037', 'Bowie County'),
+  ('48039', 'Brazoria County'),
+  ('48041', 'Brazos County'),
+  ('48043', 'Brewster County'),
+  ('48045', 'Briscoe County'),
+  ('48047', 'Brooks County'),
+  ('48049', 'Brown County'),
+  ('48051', 'Burleson County'),
+  ('48053', 'Burnet County'),
+  ('48055', 'Caldwell County'),
+  ('48057', 'Calhoun County'),
+  ('48059', 'Callahan County'),
+  ('48061', 'Cameron County'),
+  ('48063', 'Camp County'),
+  ('48065', 'Carson County'),
+  ('48067', 'Cass County'),
+  ('48069', 'Castro County'),
+  ('48071', 'Chambers County'),
+  ('48073', 'Cherokee County'),
+  ('48075', 'Childress County'),
+  ('48077', 'Clay County'),
+  ('48079', 'Cochran County'),
+  ('48081', 'Coke County'),
+  ('48083', 'Coleman County'),
+  ('48085', 'Collin County'),
+  ('48087', 'Collingsworth County'),
+  ('48089', 'Colorado County'),
+  ('48091', 'Comal County'),
+  ('48093', 'Comanche County'),
+  ('48095', 'Concho County'),
+  ('48097', 'Cooke County'),
+  ('48099', 'Coryell County'),
+  ('48101', 'Cottle County'),
+  ('48103', 'Crane County'),
+  ('48105', 'Crockett County'),
+  ('48107', 'Crosby County'),
+  ('48109', 'Culberson County'),
+  ('48111', 'Dallam County'),
+  ('48113', 'Dallas County'),
+  ('48115', 'Dawson County'),
+  ('48117', 'Deaf Smith County'),
+  ('48119', 'Delta County'),
+  ('48121', 'Denton County'),
+  ('48123', 'DeWitt County'),
+  ('48125', 'Dickens County'),
+  ('48127', 'Dimmit County'),
+  ('48129', 'Donley County'),
+  ('48131', 'Duval County'),
+  ('48133', 'Eastland County'),
+  ('48135', 'Ector County'),
+  ('48137', 'Edwards County'),
+  ('48139', 'Ellis County'),
+  ('48141', 'El Paso County'),
+  ('48143', 'Erath County'),
+  ('48145', 'Falls County'),
+  ('48147', 'Fannin County'),
+  ('48149', 'Fayette County'),
+  ('48151', 'Fisher County'),
+  ('48153', 'Floyd County'),
+  ('48155', 'Foard County'),
+  ('48157', 'Fort Bend County'),
+  ('48159', 'Franklin County'),
+  ('48161', 'Freestone County'),
+  ('48163', 'Frio County'),
+  ('48165', 'Gaines County'),
+  ('48167', 'Galveston County'),
+  ('48169', 'Garza County'),
+  ('48171', 'Gillespie County'),
+  ('48173', 'Glasscock County'),
+  ('48175', 'Goliad County'),
+  ('48177', 'Gonzales County'),
+  ('48179', 'Gray County'),
+  ('48181', 'Grayson County'),
+  ('48183', 'Gregg County'),
+  ('48185', 'Grimes County'),
+  ('48187', 'Guadalupe County'),
+  ('48189', 'Hale County'),
+  ('48191', 'Hall County'),
+  ('48193', 'Hamilton County'),
+  ('48195', 'Hansford County'),
+  ('48197', 'Hardeman County'),
+  ('48199', 'Hardin County'),
+  ('48201', 'Harris County'),
+  ('48203', 'Harrison County'),
+  ('48205', 'Hartley County'),
+  ('48207', 'Haskell County'),
+  ('48209', 'Hays County'),
+  ('48211', 'Hemphill County'),
+  ('48213', 'Henderson County'),
+  ('48215', 'Hidalgo County'),
+  ('48217', 'Hill County'),
+  ('48219', 'Hockley County'),
+  ('48221', 'Hood County'),
+  ('48223', 'Hopkins County'),
+  ('48225', 'Houston County'),
+  ('48227', 'Howard County'),
+  ('48229', 'Hudspeth County'),
+  ('48231', 'Hunt County'),
+  ('48233', 'Hutchinson County'),
+  ('48235', 'Irion County'),
+  ('48237', 'Jack County'),
+  ('48239', 'Jackson County'),
+  ('48241', 'Jasper County'),
+  ('48243', 'Jeff Davis County'),
+  ('48245', 'Jefferson County'),
+  ('48247', 'Jim Hogg County'),
+  ('48249', 'Jim Wells County'),
+  ('48251', 'Johnson County'),
+  ('48253', 'Jones County'),
+  ('48255', 'Karnes County'),
+  ('48257', 'Kaufman County'),
+  ('48259', 'Kendall County'),
+  ('48261', 'Kenedy County'),
+  ('48263', 'Kent County'),
+  ('48265', 'Kerr County'),
+  ('48267', 'Kimble County'),
+  ('48269', 'King County'),
+  ('48271', 'Kinney County'),
+  ('48273', 'Kleberg County'),
+  ('48275', 'Knox County'),
+  ('48277', 'Lamar County'),
+  ('48279', 'Lamb County'),
+  ('48281', 'Lampasas County'),
+  ('48283', 'La Salle County'),
+  ('48285', 'Lavaca County'),
+  ('48287', 'Lee County'),
+  ('48289', 'Leon County'),
+  ('48291', 'Liberty County'),
+  ('48293', 'Limestone County'),
+  ('48295', 'Lipscomb County'),
+  ('48297', 'Live Oak County'),
+  ('48299', 'Llano County'),
+  ('48301', 'Loving County'),
+  ('48303', 'Lubbock County'),
+  ('48305', 'Lynn County'),
+  ('48307', 'McCulloch County'),
+  ('48309', 'McLennan County'),
+  ('48311', 'McMullen County'),
+  ('48313', 'Madison County'),
+  ('48315', 'Marion County'),
+  ('48317', 'Martin County'),
+  ('48319', 'Mason County'),
+  ('48321', 'Matagorda County'),
+  ('48323', 'Maverick County'),
+  ('48325', 'Medina County'),
+  ('48327', 'Menard County'),
+  ('48329', 'Midland County'),
+  ('48331', 'Milam County'),
+  ('48333', 'Mills County'),
+  ('48335', 'Mitchell County'),
+  ('48337', 'Montague County'),
+  ('48339', 'Montgomery County'),
+  ('48341', 'Moore County'),
+  ('48343', 'Morris County'),
+  ('48345', 'Motley County'),
+  ('48347', 'Nacogdoches County'),
+  ('48349', 'Navarro County'),
+  ('48351', 'Newton County'),
+  ('48353', 'Nolan County'),
+  ('48355', 'Nueces County'),
+  ('48357', 'Ochiltree County'),
+  ('48359', 'Oldham County'),
+  ('48361', 'Orange County'),
+  ('48363', 'Palo Pinto County'),
+  ('48365', 'Panola County'),
+  ('48367', 'Parker County'),
+  ('48369', 'Parmer County'),
+  ('48371', 'Pecos County'),
+  ('48373', 'Polk County'),
+  ('48375', 'Potter County'),
+  ('48377', 'Presidio County'),
+  ('48379', 'Rains County'),
+  ('48381', 'Randall County'),
+  ('48383', 'Reagan County'),
+  ('48385', 'Real County'),
+  ('48387', 'Red River County'),
+  ('48389', 'Reeves County'),
+  ('48391', 'Refugio County'),
+  ('48393', 'Roberts County'),
+  ('48395', 'Robertson County'),
+  ('48397', 'Rockwall County'),
+  ('48399', 'Runnels County'),
+  ('48401', 'Rusk County'),
+  ('48403', 'Sabine County'),
+  ('48405', 'San Augustine County'),
+  ('48407', 'San Jacinto County'),
+  ('48409', 'San Patricio County'),
+  ('48411', 'San Saba County'),
+  ('48413', 'Schleicher County'),
+  ('48415', 'Scurry County'),
+  ('48417', 'Shackelford County'),
+  ('48419', 'Shelby County'),
+  ('48421', 'Sherman County'),
+  ('48423', 'Smith County'),
+  ('48425', 'Somervell County'),
+  ('48427', 'Starr County'),
+  ('48429', 'Stephens County'),
+  ('48431', 'Sterling County'),
+  ('48433', 'Stonewall County'),
+  ('48435', 'Sutton County'),
+  ('48437', 'Swisher County'),
+  ('48439', 'Tarrant County'),
+  ('48441', 'Taylor County'),
+  ('48443', 'Terrell County'),
+  ('48445', 'Terry County'),
+  ('48447', 'Throckmorton County'),
+  ('48449', 'Titus County'),
+  ('48451', 'Tom Green County'),
+  ('48453', 'Travis County'),
+  ('48455', 'Trinity County'),
+  ('48457', 'Tyler County'),
+  ('48459', 'Upshur County'),
+  ('48461', 'Upton County'),
+  ('48463', 'Uvalde County'),
+  ('48465', 'Val Verde County'),
+  ('48467', 'Van Zandt County'),
+  ('48469', 'Victoria County'),
+  ('48471', 'Walker County'),
+  ('48473', 'Waller County'),
+  ('48475', 'Ward County'),
+  ('48477', 'Washington County'),
+  ('48479', 'Webb County'),
+  ('48481', 'Wharton County'),
+  ('48483', 'Wheeler County'),
+  ('48485', 'Wichita County'),
+  ('48487', 'Wilbarger County'),
+  ('48489', 'Willacy County'),
+  ('48491', 'Williamson County'),
+  ('48493', 'Wilson County'),
+  ('48495', 'Winkler County'),
+  ('48497', 'Wise County'),
+  ('48499', 'Wood County'),
+  ('48501', 'Yoakum County'),
+  ('48503', 'Young County'),
+  ('48505', 'Zapata County'),
+  ('48507', 'Zavala County');
+
+INSERT INTO zip_county_backfill (zip_code, county_fips) VALUES
+  ('27006', '37059'), ('27007', '37171'), ('27009', '37067'), ('27010', '37067'), ('27011', '37197'), ('27012', '37067'), ('27013', '37159'), ('27014', '37059'),
+  ('27016', '37169'), ('27017', '37171'), ('27018', '37197'), ('27019', '37169'), ('27020', '37197'), ('27021', '37169'), ('27022', '37169'), ('27023', '37067'),
+  ('27024', '37171'), ('27025', '37157'), ('27027', '37157'), ('27028', '37059'), ('27030', '37171'), ('27031', '37171'), ('27040', '37067'), ('27041', '37171'),
+  ('27042', '37169'), ('27043', '37169'), ('27045', '37067'), ('27046', '37169'), ('27047', '37171'), ('27048', '37157'), ('27049', '37171'), ('27050', '37067'),
+  ('27051', '37067'), ('27052', '37169'), ('27053', '37171'), ('27054', '37159'), ('27055', '37197'), ('27094', '37067'), ('27098', '37067'), ('27099', '37067'),
+  ('27101', '37067'), ('27102', '37067'), ('27103', '37067'), ('27104', '37067'), ('27105', '37067'), ('27106', '37067'), ('27107', '37067'), ('27108', '37067'),
+  ('27109', '37067'), ('27110', '37067'), ('27111', '37067'), ('27113', '37067'), ('27114', '37067'), ('27115', '37067'), ('27116', '37067'), ('27117', '37067'),
+  ('27120', '37067'), ('27127', '37067'), ('27130', '37067'), ('27150', '37067'), ('27152', '37067'), ('27155', '37067'), ('27157', '37067'), ('27198', '37067'),
+  ('27199', '37067'), ('27201', '37001'), ('27202', '37001'), ('27203', '37151'), ('27204', '37151'), ('27205', '37151'), ('27207', '37037'), ('27208', '37037'),
+  ('27209', '37123'), ('27212', '37033'), ('27213', '37037'), ('27214', '37081'), ('27215', '37001'), ('27216', '37001'), ('27217', '37001'), ('27228', '37037'),
+  ('27229', '37123'), ('27230', '37151'), ('27231', '37135'), ('27233', '37081'), ('27235', '37081'), ('27237', '37105'), ('27239', '37057'), ('27242', '37125'),
+  ('27243', '37135'), ('27244', '37001'), ('27247', '37123'), ('27248', '37151'), ('27249', '37081'), ('27252', '37037'), ('27253', '37001'), ('27256', '37037'),
+  ('27258', '37001'), ('27259', '37125'), ('27260', '37081'), ('27261', '37081'), ('27262', '37081'), ('27263', '37081'), ('27264', '37081'), ('27265', '37081'),
+  ('27268', '37081'), ('27278', '37135'), ('27281', '37125'), ('27282', '37081'), ('27283', '37081'), ('27284', '37067'), ('27285', '37067'), ('27288', '37157'),
+  ('27289', '37157'), ('27291', '37033'), ('27292', '37057'), ('27293', '37057'), ('27294', '37057'), ('27295', '37057'), ('27298', '37151'), ('27299', '37057'),
+  ('27301', '37081'), ('27302', '37001'), ('27305', '37033'), ('27306', '37123'), ('27310', '37081'), ('27311', '37033'), ('27312', '37037'), ('27313', '37081'),
+  ('27314', '37033'), ('27315', '37033'), ('27316', '37151'), ('27317', '37151'), ('27320', '37157'), ('27323', '37157'), ('27325', '37125'), ('27326', '37157'),
+  ('27330', '37105'), ('27331', '37105'), ('27332', '37105'), ('27340', '37001'), ('27341', '37151'), ('27342', '37081'), ('27343', '37145'), ('27344', '37037'),
+  ('27349', '37001'), ('27350', '37151'), ('27351', '37057'), ('27355', '37151'), ('27356', '37123'), ('27357', '37081'), ('27358', '37081'), ('27359', '37001'),
+  ('27360', '37057'), ('27361', '37057'), ('27370', '37151'), ('27371', '37123'), ('27373', '37057'), ('27374', '37057'), ('27375', '37157'), ('27376', '37125'),
+  ('27377', '37081'), ('27379', '37033'), ('27401', '37081'), ('27402', '37081'), ('27403', '37081'), ('27404', '37081'), ('27405', '37081'), ('27406', '37081'),
+  ('27407', '37081'), ('27408', '37081'), ('27409', '37081'), ('27410', '37081'), ('27411', '37081'), ('27412', '37081'), ('27413', '37081'), ('27415', '37081'),
+  ('27416', '37081'), ('27417', '37081'), ('27419', '37081'), ('27420', '37081'), ('27425', '37081'), ('27427', '37081'), ('27429', '37081'), ('27435', '37081'),
+  ('27438', '37081'), ('27455', '37081'), ('27495', '37081'), ('27497', '37081'), ('27498', '37081'), ('27499', '37081'), ('27501', '37085'), ('27502', '37183'),
+  ('27503', '37063'), ('27504', '37101'), ('27505', '37105'), ('27506', '37085'), ('27507', '37077'), ('27508', '37069'), ('27509', '37077'), ('27510', '37135'),
+  ('27511', '37183'), ('27512', '37183'), ('27513', '37183'), ('27514', '37135'), ('27515', '37135'), ('27516', '37135'), ('27517', '37135'), ('27518', '37183'),
+  ('27519', '37183'), ('27520', '37101'), ('27521', '37085'), ('27522', '37077'), ('27523', '37183'), ('27524', '37101'), ('27525', '37069'), ('27526', '37183'),
+  ('27527', '37101'), ('27528', '37077'), ('27529', '37183'), ('27530', '37191'), ('27531', '37191'), ('27532', '37191'), ('27533', '37191'), ('27534', '37191'),
+  ('27536', '37181'), ('27537', '37181'), ('27539', '37183'), ('27540', '37183'), ('27541', '37145'), ('27542', '37101'), ('27543', '37085'), ('27544', '37181'),
+  ('27545', '37183'), ('27546', '37085'), ('27549', '37069'), ('27551', '37185'), ('27552', '37085'), ('27553', '37181'), ('27555', '37101'), ('27556', '37181'),
+  ('27557', '37101'), ('27559', '37037'), ('27560', '37183'), ('27562', '37183'), ('27563', '37185'), ('27565', '37077'), ('27568', '37101'), ('27569', '37101'),
+  ('27570', '37185'), ('27571', '37183'), ('27572', '37063'), ('27573', '37145'), ('27574', '37145'), ('27576', '37101'), ('27577', '37101'), ('27581', '37077'),
+  ('27582', '37077'), ('27583', '37145'), ('27584', '37181'), ('27586', '37185'), ('27587', '37183'), ('27588', '37183'), ('27589', '37185'), ('27591', '37183'),
+  ('27592', '37183'), ('27593', '37101'), ('27594', '37185'), ('27596', '37069'), ('27597', '37183'), ('27599', '37135'), ('27601', '37183'), ('27602', '37183'),
+  ('27603', '37183'), ('27604', '37183'), ('27605', '37183'), ('27606', '37183'), ('27607', '37183'), ('27608', '37183'), ('27609', '37183'), ('27610', '37183'),
+  ('27611', '37183'), ('27612', '37183'), ('27613', '37183'), ('27614', '37183'), ('27615', '37183'), ('27616', '37183'), ('27617', '37183'), ('27619', '37183'),
+  ('27620', '37183'), ('27621', '37183'), ('27622', '37183'), ('27623', '37183'), ('27624', '37183'), ('27625', '37183'), ('27626', '37183'), ('27627', '37183'),
+  ('27628', '37183'), ('27629', '37183'), ('27634', '37183'), ('27635', '37183'), ('27636', '37183'), ('27640', '37183'), ('27650', '37183'), ('27656', '37183'),
+  ('27658', '37183'), ('27661', '37183'), ('27668', '37183'), ('27675', '37183'), ('27676', '37183'), ('27690', '37183'), ('27695', '37183'), ('27697', '37183'),
+  ('27698', '37183'), ('27699', '37183'), ('27701', '37063'), ('27702', '37063'), ('27703', '37063'), ('27704', '37063'), ('27705', '37063'), ('27706', '37063'),
+  ('27707', '37063'), ('27708', '37063'), ('27709', '37063'), ('27710', '37063'), ('27711', '37063'), ('27712', '37063'), ('27713', '37063'), ('27715', '37063'),
+  ('27717', '37063'), ('27722', '37063'), ('27801', '37065'), ('27802', '37065'), ('27803', '37127'), ('27804', '37127'), ('27805', '37015'), ('27806', '37013'),
+  ('27807', '37127'), ('27808', '37013'), ('27809', '37065'), ('27810', '37013'), ('27811', '37147'), ('27812', '37147'), ('27813', '37195'), ('27814', '37013'),
+  ('27815', '37127'), ('27816', '37127'), ('27817', '37013'), ('27818', '37091'), ('27819', '37065'), ('27820', '37131'), ('27821', '37013'), ('27822', '37195'),
+  ('27823', '37083'), ('27824', '37095'), ('27825', '37117'), ('27826', '37095'), ('27827', '37147'), ('27828', '37147'), ('27829', '37147'), ('27830', '37191'),
+  ('27831', '37131'), ('27832', '37131'), ('27833', '37147'), ('27834', '37147'), ('27835', '37147'), ('27836', '37147'), ('27837', '37147'), ('27839', '37083'),
+  ('27840', '37117'), ('27841', '37117'), ('27842', '37131'), ('27843', '37083'), ('27844', '37083'), ('27845', '37131'), ('27846', '37117'), ('27847', '37015'),
+  ('27849', '37015'), ('27850', '37083'), ('27851', '37195'), ('27852', '37065'), ('27853', '37131'), ('27855', '37091'), ('27856', '37127'), ('27857', '37117'),
+  ('27858', '37147'), ('27860', '37013'), ('27861', '37117'), ('27862', '37131'), ('27863', '37191'), ('27864', '37065'), ('27865', '37013'), ('27866', '37131'),
+  ('27867', '37131'), ('27868', '37127'), ('27869', '37131'), ('27870', '37083'), ('27871', '37117'), ('27872', '37015'), ('27873', '37195'), ('27874', '37083'),
+  ('27875', '37095'), ('27876', '37131'), ('27877', '37131'), ('27878', '37127'), ('27879', '37147'), ('27880', '37195'), ('27881', '37065'), ('27882', '37127'),
+  ('27883', '37195'), ('27884', '37147'), ('27885', '37095'), ('27886', '37065'), ('27887', '37083'), ('27888', '37079'), ('27889', '37013'), ('27890', '37083'),
+  ('27891', '37127'), ('27892', '37117'), ('27893', '37195'), ('27894', '37195'), ('27895', '37195'), ('27896', '37195'), ('27897', '37131'), ('27906', '37139'),
+  ('27907', '37139'), ('27909', '37139'), ('27910', '37091'), ('27915', '37055'), ('27916', '37053'), ('27917', '37053'), ('27919', '37143'), ('27920', '37055'),
+  ('27921', '37029'), ('27922', '37091'), ('27923', '37053'), ('27924', '37015'), ('27925', '37177'), ('27926', '37073'), ('27927', '37053'), ('27928', '37187'),
+  ('27929', '37053'), ('27930', '37143'), ('27932', '37041'), ('27935', '37073'), ('27936', '37055'), ('27937', '37073'), ('27938', '37073'), ('27939', '37053'),
+  ('27941', '37053'), ('27942', '37091'), ('27943', '37055'), ('27944', '37143'), ('27946', '37073'), ('27947', '37053'), ('27948', '37055'), ('27949', '37055'),
+  ('27950', '37053'), ('27953', '37055'), ('27954', '37055'), ('27956', '37053'), ('27957', '37015'), ('27958', '37053'), ('27959', '37055'), ('27960', '37095'),
+  ('27962', '37187'), ('27964', '37053'), ('27965', '37053'), ('27966', '37053'), ('27967', '37015'), ('27968', '37055'), ('27969', '37073'), ('27970', '37187'),
+  ('27972', '37055'), ('27973', '37053'), ('27974', '37029'), ('27976', '37029'), ('27978', '37055'), ('27979', '37073'), ('27980', '37041'), ('27981', '37055'),
+  ('27982', '37055'), ('27983', '37015'), ('27985', '37143'), ('27986', '37091'), ('28001', '37167'), ('28002', '37167'), ('28006', '37071'), ('28007', '37007'),
+  ('28009', '37167'), ('28010', '37097'), ('28012', '37071'), ('28016', '37071'), ('28017', '37045'), ('28018', '37161'), ('28019', '37161'), ('28020', '37045'),
+  ('28021', '37071'), ('28023', '37159'), ('28024', '37161'), ('28025', '37025'), ('28026', '37025'), ('28027', '37025'), ('28031', '37119'), ('28032', '37071'),
+  ('28033', '37109'), ('28034', '37071'), ('28035', '37071'), ('28036', '37119'), ('28037', '37109'), ('28038', '37045'), ('28039', '37159'), ('28040', '37161'),
+  ('28041', '37159'), ('28042', '37045'), ('28043', '37161'), ('28052', '37071'), ('28053', '37071'), ('28054', '37071'), ('28055', '37071'), ('28056', '37071'),
+  ('28070', '37119'), ('28071', '37159'), ('28072', '37159'), ('28073', '37045'), ('28074', '37161'), ('28075', '37025'), ('28076', '37161'), ('28077', '37071'),
+  ('28078', '37119'), ('28079', '37179'), ('28080', '37109'), ('28081', '37025'), ('28082', '37025'), ('28083', '37025'), ('28086', '37045'), ('28088', '37159'),
+  ('28089', '37045'), ('28090', '37045'), ('28091', '37007'), ('28092', '37109'), ('28093', '37109'), ('28097', '37167'), ('28098', '37071'), ('28101', '37071'),
+  ('28102', '37007'), ('28103', '37179'), ('28104', '37119'), ('28105', '37119'), ('28106', '37119'), ('28107', '37025'), ('28108', '37179'), ('28109', '37167'),
+  ('28110', '37179'), ('28111', '37179'), ('28112', '37179'), ('28114', '37045'), ('28115', '37097'), ('28117', '37097'), ('28119', '37007'), ('28120', '37071'),
+  ('28123', '37097'), ('28124', '37025'), ('28125', '37159'), ('28126', '37119'), ('28127', '37167'), ('28128', '37167'), ('28129', '37167'), ('28130', '37119'),
+  ('28133', '37007'), ('28134', '37119'), ('28135', '37007'), ('28136', '37045'), ('28137', '37167'), ('28138', '37159'), ('28139', '37161'), ('28144', '37159'),
+  ('28145', '37159'), ('28146', '37159'), ('28147', '37159'), ('28150', '37045'), ('28151', '37045'), ('28152', '37045'), ('28159', '37159'), ('28160', '37161'),
+  ('28163', '37167'), ('28164', '37071'), ('28166', '37097'), ('28167', '37161'), ('28168', '37109'), ('28169', '37045'), ('28170', '37007'), ('28173', '37179'),
+  ('28174', '37179'), ('28201', '37119'), ('28202', '37119'), ('28203', '37119'), ('28204', '37119'), ('28205', '37119'), ('28206', '37119'), ('28207', '37119'),
+  ('28208', '37119'), ('28209', '37119'), ('28210', '37119'), ('28211', '37119'), ('28212', '37119'), ('28213', '37119'), ('28214', '37119'), ('28215', '37119'),
+  ('28216', '37119'), ('28217', '37119'), ('28218', '37119'), ('28219', '37119'), ('28220', '37119'), ('28221', '37119'), ('28222', '37119'), ('28223', '37119'),
+  ('28224', '37119'), ('28226', '37119'), ('28227', '37119'), ('28228', '37119'), ('28229', '37119'), ('28230', '37119'), ('28231', '37119'), ('28232', '37119'),
+  ('28233', '37119'), ('28234', '37119'), ('28235', '37119'), ('28236', '37119'), ('28237', '37119'), ('28241', '37119'), ('28242', '37119'), ('28243', '37119'),
+  ('28244', '37119'), ('28246', '37119'), ('28247', '37119'), ('28250', '37119'), ('28253', '37119'), ('28254', '37119'), ('28255', '37119'), ('28256', '37119'),
+  ('28258', '37119'), ('28260', '37119'), ('28262', '37119'), ('28263', '37119'), ('28265', '37119'), ('28266', '37119'), ('28269', '37119'), ('28270', '37119'),
+  ('28271', '37155'), ('28272', '37119'), ('28273', '37119'), ('28274', '37119'), ('28275', '37119'), ('28277', '37119'), ('28278', '37119'), ('28280', '37119'),
+  ('28281', '37119'), ('28282', '37119'), ('28284', '37119'), ('28285', '37119'), ('28287', '37119'), ('28288', '37119'), ('28289', '37119'), ('28290', '37119'),
+  ('28296', '37119'), ('28297', '37119'), ('28299', '37119'), ('28301', '37051'), ('28302', '37051'), ('28303', '37051'), ('28304', '37051'), ('28305', '37051'),
+  ('28306', '37051'), ('28307', '37051'), ('28308', '37051'), ('28309', '37051'), ('28310', '37051'), ('28311', '37051'), ('28312', '37051'), ('28314', '37051'),
+  ('28315', '37125'), ('28318', '37163'), ('28319', '37155'), ('28320', '37017'), ('28323', '37085'), ('28325', '37061'), ('28326', '37125'), ('28327', '37125'),
+  ('28328', '37163'), ('28329', '37163'), ('28330', '37153'), ('28331', '37051'), ('28332', '37017'), ('28333', '37191'), ('28334', '37085'), ('28335', '37085'),
+  ('28337', '37017'), ('28338', '37153'), ('28339', '37085'), ('28340', '37155'), ('28341', '37061'), ('28342', '37051'), ('28343', '37165'), ('28344', '37051'),
+  ('28345', '37153'), ('28347', '37153'), ('28348', '37051'), ('28349', '37061'), ('28350', '37125'), ('28351', '37165'), ('28352', '37165'), ('28353', '37165'),
+  ('28355', '37105'), ('28356', '37051'), ('28357', '37155'), ('28358', '37155'), ('28359', '37155'), ('28360', '37155'), ('28362', '37155'), ('28363', '37153'),
+  ('28364', '37155'), ('28365', '37191'), ('28366', '37163'), ('28367', '37153'), ('28368', '37085'), ('28369', '37155'), ('28370', '37125'), ('28371', '37155'),
+  ('28372', '37155'), ('28373', '37125'), ('28374', '37125'), ('28375', '37155'), ('28376', '37093'), ('28377', '37155'), ('28378', '37155'), ('28379', '37153'),
+  ('28380', '37153'), ('28382', '37163'), ('28383', '37155'), ('28384', '37155'), ('28385', '37163'), ('28386', '37155'), ('28387', '37125'), ('28388', '37125'),
+  ('28390', '37051'), ('28391', '37051'), ('28392', '37017'), ('28393', '37163'), ('28394', '37125'), ('28395', '37051'), ('28396', '37165'), ('28398', '37061'),
+  ('28399', '37017'), ('28401', '37129'), ('28402', '37129'), ('28403', '37129'), ('28404', '37019'), ('28405', '37129'), ('28406', '37129'), ('28407', '37129'),
+  ('28408', '37129'), ('28409', '37129'), ('28410', '37129'), ('28411', '37129'), ('28412', '37129'), ('28420', '37019'), ('28421', '37141'), ('28422', '37019'),
+  ('28423', '37047'), ('28424', '37047'), ('28425', '37141'), ('28428', '37129'), ('28429', '37129'), ('28430', '37047'), ('28431', '37047'), ('28432', '37047'),
+  ('28433', '37017'), ('28434', '37017'), ('28435', '37141'), ('28436', '37047'), ('28438', '37047'), ('28439', '37047'), ('28441', '37163'), ('28442', '37047'),
+  ('28443', '37141'), ('28444', '37163'), ('28445', '37133'), ('28447', '37163'), ('28448', '37017'), ('28449', '37129'), ('28450', '37047'), ('28451', '37019'),
+  ('28452', '37019'), ('28453', '37061'), ('28454', '37141'), ('28455', '37047'), ('28456', '37047'), ('28457', '37141'), ('28458', '37061'), ('28459', '37019'),
+  ('28460', '37133'), ('28461', '37019'), ('28462', '37019'), ('28463', '37047'), ('28464', '37061'), ('28465', '37019'), ('28466', '37061'), ('28467', '37019'),
+  ('28468', '37019'), ('28469', '37019'), ('28470', '37019'), ('28472', '37047'), ('28478', '37141'), ('28479', '37019'), ('28480', '37129'), ('28501', '37107'),
+  ('28502', '37107'), ('28503', '37107'), ('28504', '37107'), ('28508', '37061'), ('28509', '37137'), ('28510', '37137'), ('28511', '37031'), ('28512', '37031'),
+  ('28513', '37147'), ('28515', '37137'), ('28516', '37031'), ('28518', '37061'), ('28519', '37049'), ('28520', '37031'), ('28521', '37061'), ('28522', '37103'),
+  ('28523', '37049'), ('28524', '37031'), ('28525', '37107'), ('28526', '37049'), ('28527', '37049'), ('28528', '37031'), ('28529', '37137'), ('28530', '37147'),
+  ('28531', '37031'), ('28532', '37049'), ('28533', '37049'), ('28537', '37137'), ('28538', '37079'), ('28539', '37133'), ('28540', '37133'), ('28541', '37133'),
+  ('28542', '37133'), ('28543', '37133'), ('28544', '37133'), ('28545', '37133'), ('28546', '37133'), ('28547', '37133'), ('28551', '37107'), ('28552', '37137'),
+  ('28553', '37031'), ('28554', '37079'), ('28555', '37103'), ('28556', '37137'), ('28557', '37031'), ('28560', '37049'), ('28561', '37049'), ('28562', '37049'),
+  ('28563', '37049'), ('28564', '37049'), ('28570', '37031'), ('28571', '37137'), ('28572', '37107'), ('28573', '37103'), ('28574', '37133'), ('28575', '37031'),
+  ('28577', '37031'), ('28578', '37191'), ('28579', '37031'), ('28580', '37079'), ('28581', '37031'), ('28582', '37031'), ('28583', '37137'), ('28584', '37133'),
+  ('28585', '37103'), ('28586', '37049'), ('28587', '37137'), ('28589', '37031'), ('28590', '37147'), ('28594', '37031'), ('28601', '37035'), ('28602', '37035'),
+  ('28603', '37035'), ('28604', '37011'), ('28605', '37189'), ('28606', '37193'), ('28607', '37189'), ('28608', '37189'), ('28609', '37035'), ('28610', '37035'),
+  ('28611', '37027'), ('28612', '37023'), ('28613', '37035'), ('28615', '37009'), ('28616', '37011'), ('28617', '37009'), ('28618', '37189'), ('28619', '37023'),
+  ('28621', '37171'), ('28622', '37011'), ('28623', '37005'), ('28624', '37193'), ('28625', '37097'), ('28626', '37009'), ('28627', '37005'), ('28628', '37023'),
+  ('28629', '37009'), ('28630', '37027'), ('28631', '37009'), ('28633', '37027'), ('28634', '37097'), ('28635', '37193'), ('28636', '37003'), ('28637', '37023'),
+  ('28638', '37027'), ('28640', '37009'), ('28641', '37023'), ('28642', '37197'), ('28643', '37009'), ('28644', '37009'), ('28645', '37027'), ('28646', '37011'),
+  ('28647', '37011'), ('28649', '37193'), ('28650', '37035'), ('28651', '37193'), ('28652', '37011'), ('28653', '37011'), ('28654', '37193'), ('28655', '37023'),
+  ('28656', '37193'), ('28657', '37011'), ('28658', '37035'), ('28659', '37193'), ('28660', '37097'), ('28661', '37027'), ('28662', '37011'), ('28663', '37005'),
+  ('28664', '37011'), ('28665', '37193'), ('28666', '37023'), ('28667', '37027'), ('28668', '37005'), ('28669', '37193'), ('28670', '37193'), ('28671', '37023'),
+  ('28672', '37009'), ('28673', '37035'), ('28675', '37005'), ('28676', '37171'), ('28677', '37097'), ('28678', '37003'), ('28679', '37189'), ('28680', '37023'),
+  ('28681', '37003'), ('28682', '37035'), ('28683', '37193'), ('28684', '37009'), ('28685', '37193'), ('28687', '37097'), ('28688', '37097'), ('28689', '37097'),
+  ('28690', '37023'), ('28691', '37189'), ('28692', '37189'), ('28693', '37009'), ('28694', '37009'), ('28697', '37193'), ('28698', '37189'), ('28699', '37097'),
+  ('28701', '37021'), ('28702', '37173'), ('28704', '37021'), ('28705', '37121'), ('28707', '37099'), ('28708', '37175'), ('28709', '37021'), ('28710', '37089'),
+  ('28711', '37021'), ('28712', '37175'), ('28713', '37173'), ('28714', '37199'), ('28715', '37021'), ('28716', '37087'), ('28717', '37099'), ('28718', '37175'),
+  ('28719', '37173'), ('28720', '37161'), ('28721', '37087'), ('28722', '37149'), ('28723', '37099'), ('28724', '37089'), ('28725', '37099'), ('28726', '37089'),
+  ('28727', '37089'), ('28728', '37021'), ('28729', '37089'), ('28730', '37021'), ('28731', '37089'), ('28732', '37089'), ('28733', '37075'), ('28734', '37113'),
+  ('28735', '37089'), ('28736', '37099'), ('28737', '37111'), ('28738', '37087'), ('28739', '37089'), ('28740', '37199'), ('28741', '37113'), ('28742', '37089'),
+  ('28743', '37115'), ('28744', '37113'), ('28745', '37087'), ('28746', '37161'), ('28747', '37175'), ('28748', '37021'), ('28749', '37111'), ('28750', '37149'),
+  ('28751', '37087'), ('28752', '37111'), ('28753', '37115'), ('28754', '37115'), ('28755', '37199'), ('28756', '37149'), ('28757', '37021'), ('28758', '37089'),
+  ('28759', '37021'), ('28760', '37089'), ('28761', '37111'), ('28762', '37111'), ('28763', '37113'), ('28765', '37121'), ('28766', '37175'), ('28768', '37175'),
+  ('28770', '37021'), ('28771', '37075'), ('28772', '37175'), ('28773', '37149'), ('28774', '37175'), ('28775', '37113'), ('28776', '37021'), ('28777', '37121'),
+  ('28778', '37021'), ('28779', '37099'), ('28781', '37039'), ('28782', '37149'), ('28783', '37099'), ('28784', '37089'), ('28785', '37087'), ('28786', '37087'),
+  ('28787', '37021'), ('28788', '37099'), ('28789', '37099'), ('28790', '37089'), ('28791', '37089'), ('28792', '37089'), ('28793', '37089'), ('28801', '37021'),
+  ('28802', '37021'), ('28803', '37021'), ('28804', '37021'), ('28805', '37021'), ('28806', '37021'), ('28810', '37021'), ('28813', '37021'), ('28814', '37021'),
+  ('28815', '37021'), ('28816', '37021'), ('28901', '37039'), ('28902', '37043'), ('28903', '37039'), ('28904', '37043'), ('28905', '37039'), ('28906', '37039'),
+  ('28909', '37043'), ('32003', '12019'), ('32004', '12109'), ('32006', '12019'), ('32007', '12107'), ('32008', '12121'), ('32009', '12089'), ('32011', '12089'),
+  ('32013', '12067'), ('32024', '12023'), ('32025', '12023'), ('32026', '12007'), ('32030', '12019'), ('32033', '12109'), ('32034', '12089'), ('32035', '12089'),
+  ('32038', '12023'), ('32040', '12003'), ('32041', '12089'), ('32042', '12007'), ('32043', '12019'), ('32044', '12007'), ('32046', '12089'), ('32050', '12019'),
+  ('32052', '12047'), ('32053', '12047'), ('32054', '12125'), ('32055', '12023'), ('32056', '12023'), ('32058', '12007'), ('32059', '12079'), ('32060', '12121'),
+  ('32061', '12023'), ('32062', '12121'), ('32063', '12003'), ('32064', '12121'), ('32065', '12019'), ('32066', '12067'), ('32067', '12019'), ('32068', '12019'),
+  ('32071', '12121'), ('32072', '12003'), ('32073', '12019'), ('32079', '12019'), ('32080', '12109'), ('32081', '12109'), ('32082', '12109'), ('32083', '12125'),
+  ('32084', '12109'), ('32085', '12109'), ('32086', '12109'), ('32087', '12003'), ('32091', '12007'), ('32092', '12109'), ('32094', '12121'), ('32095', '12109'),
+  ('32096', '12047'), ('32097', '12089'), ('32099', '12031'), ('32102', '12069'), ('32105', '12127'), ('32110', '12035'), ('32111', '12083'), ('32112', '12107'),
+  ('32113', '12083'), ('32114', '12127'), ('32115', '12127'), ('32116', '12127'), ('32117', '12127'), ('32118', '12127'), ('32119', '12127'), ('32120', '12127'),
+  ('32121', '12127'), ('32122', '12127'), ('32123', '12127'), ('32124', '12127'), ('32125', '12127'), ('32126', '12127'), ('32127', '12127'), ('32128', '12127'),
+  ('32129', '12127'), ('32130', '12127'), ('32131', '12107'), ('32132', '12127'), ('32133', '12083'), ('32134', '12083'), ('32135', '12035'), ('32136', '12035'),
+  ('32137', '12035'), ('32138', '12107'), ('32139', '12107'), ('32140', '12107'), ('32141', '12127'), ('32142', '12035'), ('32143', '12035'), ('32145', '12109'),
+  ('32147', '12107'), ('32148', '12107'), ('32149', '12107'), ('32157', '12107'), ('32158', '12069'), ('32159', '12069'), ('32160', '12019'), ('32162', '12119'),
+  ('32163', '12119'), ('32164', '12035'), ('32168', '12127'), ('32169', '12127'), ('32170', '12127'), ('32173', '12127'), ('32174', '12127'), ('32175', '12127'),
+  ('32176', '12127'), ('32177', '12107'), ('32178', '12107'), ('32179', '12083'), ('32180', '12127'), ('32181', '12107'), ('32182', '12083'), ('32183', '12083'),
+  ('32185', '12107'), ('32187', '12107'), ('32189', '12107'), ('32190', '12127'), ('32192', '12083'), ('32193', '12107'), ('32195', '12083'), ('32198', '12127'),
+  ('32201', '12031'), ('32202', '12031'), ('32203', '12031'), ('32204', '12031'), ('32205', '12031'), ('32206', '12031'), ('32207', '12031'), ('32208', '12031'),
+  ('32209', '12031'), ('32210', '12031'), ('32211', '12031'), ('32212', '12031'), ('32214', '12031'), ('32216', '12031'), ('32217', '12031'), ('32218', '12031'),
+  ('32219', '12031'), ('32220', '12031'), ('32221', '12031'), ('32222', '12031'), ('32223', '12031'), ('32224', '12031'), ('32225', '12031'), ('32226', '12031'),
+  ('32227', '12031'), ('32228', '12031'), ('32229', '12031'), ('32231', '12031'), ('32232', '12031'), ('32233', '12031'), ('32234', '12031'), ('32235', '12031'),
+  ('32236', '12031'), ('32237', '12031'), ('32238', '12031'), ('32239', '12031'), ('32240', '12031'), ('32241', '12031'), ('32244', '12031'), ('32245', '12031'),
+  ('32246', '12031'), ('32247', '12031'), ('32250', '12031'), ('32254', '12031'), ('32255', '12031'), ('32256', '12031'), ('32257', '12031'), ('32258', '12031'),
+  ('32259', '12109'), ('32260', '12109'), ('32266', '12031'), ('32277', '12031'), ('32301', '12073'), ('32302', '12073'), ('32303', '12073'), ('32304', '12073'),
+  ('32305', '12073'), ('32306', '12073'), ('32307', '12073'), ('32308', '12073'), ('32309', '12073'), ('32310', '12073'), ('32311', '12073'), ('32312', '12073'),
+  ('32313', '12073'), ('32314', '12073'), ('32315', '12073'), ('32316', '12073'), ('32317', '12073'), ('32318', '12037'), ('32320', '12037'), ('32321', '12077'),
+  ('32322', '12037'), ('32323', '12037'), ('32324', '12039'), ('32326', '12129'), ('32327', '12129'), ('32328', '12037'), ('32329', '12037'), ('32330', '12039'),
+  ('32331', '12079'), ('32332', '12039'), ('32333', '12039'), ('32334', '12077'), ('32335', '12077'), ('32336', '12065'), ('32337', '12065'), ('32340', '12079'),
+  ('32341', '12079'), ('32343', '12039'), ('32344', '12065'), ('32345', '12065'), ('32346', '12129'), ('32347', '12123'), ('32348', '12123'), ('32350', '12079'),
+  ('32351', '12039'), ('32352', '12039'), ('32353', '12039'), ('32355', '12129'), ('32356', '12123'), ('32357', '12123'), ('32358', '12129'), ('32359', '12123'),
+  ('32360', '12077'), ('32361', '12065'), ('32362', '12073'), ('32395', '12073'), ('32399', '12073'), ('32401', '12005'), ('32402', '12005'), ('32403', '12005'),
+  ('32404', '12005'), ('32405', '12005'), ('32406', '12005'), ('32407', '12005'), ('32408', '12005'), ('32409', '12005'), ('32410', '12005'), ('32411', '12005'),
+  ('32412', '12005'), ('32413', '12005'), ('32417', '12005'), ('32420', '12063'), ('32421', '12013'), ('32422', '12131'), ('32423', '12063'), ('32424', '12013'),
+  ('32425', '12059'), ('32426', '12063'), ('32427', '12133'), ('32428', '12133'), ('32430', '12013'), ('32431', '12063'), ('32432', '12063'), ('32433', '12131'),
+  ('32434', '12131'), ('32435', '12131'), ('32437', '12133'), ('32438', '12005'), ('32439', '12131'), ('32440', '12063'), ('32442', '12063'), ('32443', '12063'),
+  ('32444', '12005'), ('32445', '12063'), ('32446', '12063'), ('32447', '12063'), ('32448', '12063'), ('32449', '12013'), ('32452', '12059'), ('32455', '12059'),
+  ('32456', '12045'), ('32457', '12045'), ('32459', '12131'), ('32460', '12063'), ('32461', '12131'), ('32462', '12133'), ('32463', '12133'), ('32464', '12059'),
+  ('32465', '12045'), ('32466', '12005'), ('32501', '12033'), ('32502', '12033'), ('32503', '12033'), ('32504', '12033'), ('32505', '12033'), ('32506', '12033'),
+  ('32507', '12033'), ('32508', '12033'), ('32509', '12033'), ('32511', '12033'), ('32512', '12033'), ('32513', '12033'), ('32514', '12033'), ('32516', '12033'),
+  ('32520', '12033'), ('32521', '12033'), ('32522', '12033'), ('32523', '12033'), ('32524', '12033'), ('32526', '12033'), ('32530', '12113'), ('32531', '12091'),
+  ('32533', '12033'), ('32534', '12033'), ('32535', '12033'), ('32536', '12091'), ('32537', '12091'), ('32538', '12131'), ('32539', '12091'), ('32540', '12091'),
+  ('32541', '12091'), ('32542', '12091'), ('32544', '12091'), ('32547', '12091'), ('32548', '12091'), ('32549', '12091'), ('32550', '12131'), ('32559', '12033'),
+  ('32560', '12033'), ('32561', '12113'), ('32562', '12113'), ('32563', '12113'), ('32564', '12091'), ('32565', '12113'), ('32566', '12113'), ('32567', '12091'),
+  ('32568', '12033'), ('32569', '12091'), ('32570', '12113'), ('32571', '12113'), ('32572', '12113'), ('32577', '12033'), ('32578', '12091'), ('32579', '12091'),
+  ('32580', '12091'), ('32583', '12113'), ('32588', '12091'), ('32591', '12033'), ('32601', '12001'), ('32602', '12001'), ('32603', '12001'), ('32604', '12001'),
+  ('32605', '12001'), ('32606', '12001'), ('32607', '12001'), ('32608', '12001'), ('32609', '12001'), ('32610', '12001'), ('32611', '12001'), ('32612', '12001'),
+  ('32614', '12001'), ('32615', '12001'), ('32616', '12001'), ('32617', '12083'), ('32618', '12001'), ('32619', '12041'), ('32621', '12075'), ('32622', '12007'),
+  ('32625', '12075'), ('32626', '12075'), ('32627', '12001'), ('32628', '12029'), ('32631', '12001'), ('32633', '12001'), ('32634', '12083'), ('32635', '12001'),
+  ('32639', '12075'), ('32640', '12001'), ('32641', '12001'), ('32643', '12001'), ('32644', '12075'), ('32648', '12029'), ('32653', '12001'), ('32654', '12001'),
+  ('32655', '12001'), ('32656', '12019'), ('32658', '12001'), ('32662', '12001'), ('32663', '12083'), ('32664', '12083'), ('32666', '12107'), ('32667', '12001'),
+  ('32668', '12075'), ('32669', '12001'), ('32680', '12029'), ('32681', '12083'), ('32683', '12075'), ('32686', '12083'), ('32692', '12029'), ('32693', '12041'),
+  ('32694', '12001'), ('32696', '12075'), ('32697', '12125'), ('32701', '12117'), ('32702', '12069'), ('32703', '12095'), ('32704', '12095'), ('32706', '12127'),
+  ('32707', '12117'), ('32708', '12117'), ('32709', '12095'), ('32710', '12095'), ('32712', '12095'), ('32713', '12127'), ('32714', '12117'), ('32715', '12117'),
+  ('32716', '12117'), ('32718', '12117'), ('32719', '12117'), ('32720', '12127'), ('32721', '12127'), ('32722', '12127'), ('32723', '12127'), ('32724', '12127'),
+  ('32725', '12127'), ('32726', '12069'), ('32727', '12069'), ('32728', '12127'), ('32730', '12117'), ('32732', '12117'), ('32733', '12117'), ('32735', '12069'),
+  ('32736', '12069'), ('32738', '12127'), ('32739', '12127'), ('32744', '12127'), ('32745', '12127'), ('32746', '12117'), ('32747', '12117'), ('32750', '12117'),
+  ('32751', '12095'), ('32752', '12117'), ('32753', '12065'), ('32754', '12009'), ('32756', '12069'), ('32757', '12069'), ('32759', '12127'), ('32762', '12117'),
+  ('32763', '12127'), ('32764', '12127'), ('32765', '12117'), ('32766', '12117'), ('32767', '12069'), ('32768', '12095'), ('32771', '12117'), ('32772', '12117'),
+  ('32773', '12117'), ('32774', '12127'), ('32775', '12009'), ('32776', '12069'), ('32777', '12095'), ('32778', '12069'), ('32779', '12117'), ('32780', '12009'),
+  ('32781', '12009'), ('32783', '12009'), ('32784', '12069'), ('32789', '12095'), ('32790', '12095'), ('32791', '12117'), ('32792', '12095'), ('32793', '12095'),
+  ('32794', '12095'), ('32795', '12117'), ('32796', '12009'), ('32798', '12095'), ('32799', '12117'), ('32801', '12095'), ('32802', '12095'), ('32803', '12095'),
+  ('32804', '12095'), ('32805', '12095'), ('32806', '12095'), ('32807', '12095'), ('32808', '12095'), ('32809', '12095'), ('32810', '12095'), ('32811', '12095'),
+  ('32812', '12095'), ('32814', '12095'), ('32815', '12009'), ('32816', '12095'), ('32817', '12095'), ('32818', '12095'), ('32819', '12095'), ('32820', '12095'),
+  ('32821', '12095'), ('32822', '12095'), ('32824', '12095'), ('32825', '12095'), ('32826', '12095'), ('32827', '12095'), ('32828', '12095'), ('32829', '12095'),
+  ('32830', '12095'), ('32831', '12095'), ('32832', '12095'), ('32833', '12095'), ('32834', '12095'), ('32835', '12095'), ('32836', '12095'), ('32837', '12095'),
+  ('32839', '12095'), ('32853', '12095'), ('32854', '12095'), ('32855', '12095'), ('32856', '12095'), ('32857', '12095'), ('32858', '12095'), ('32859', '12095'),
+  ('32860', '12095'), ('32861', '12095'), ('32862', '12095'), ('32867', '12095'), ('32868', '12095'), ('32869', '12095'), ('32872', '12095'), ('32877', '12095'),
+  ('32878', '12095'), ('32885', '12095'), ('32886', '12095'), ('32887', '12095'), ('32891', '12095'), ('32896', '12095'), ('32897', '12095'), ('32899', '12009'),
+  ('32901', '12009'), ('32902', '12009'), ('32903', '12009'), ('32904', '12009'), ('32905', '12009'), ('32906', '12009'), ('32907', '12009'), ('32908', '12009'),
+  ('32909', '12009'), ('32910', '12009'), ('32911', '12009'), ('32912', '12009'), ('32919', '12009'), ('32920', '12009'), ('32922', '12009'), ('32923', '12009'),
+  ('32924', '12009'), ('32925', '12009'), ('32926', '12009'), ('32927', '12009'), ('32931', '12009'), ('32932', '12009'), ('32934', '12009'), ('32935', '12009'),
+  ('32936', '12009'), ('32937', '12009'), ('32940', '12009'), ('32941', '12009'), ('32948', '12061'), ('32949', '12009'), ('32950', '12009'), ('32951', '12009'),
+  ('32952', '12009'), ('32953', '12009'), ('32954', '12009'), ('32955', '12009'), ('32956', '12009'), ('32957', '12061'), ('32958', '12061'), ('32959', '12009'),
+  ('32960', '12061'), ('32961', '12061'), ('32962', '12061'), ('32963', '12061'), ('32964', '12061'), ('32965', '12061'), ('32966', '12061'), ('32967', '12061'),
+  ('32968', '12061'), ('32969', '12061'), ('32970', '12061'), ('32971', '12061'), ('32976', '12009'), ('32978', '12061'), ('33001', '12087'), ('33002', '12086'),
+  ('33004', '12011'), ('33008', '12011'), ('33009', '12011'), ('33010', '12086'), ('33011', '12086'), ('33012', '12086'), ('33013', '12086'), ('33014', '12086'),
+  ('33015', '12086'), ('33016', '12086'), ('33017', '12086'), ('33018', '12086'), ('33019', '12011'), ('33020', '12011'), ('33021', '12011'), ('33022', '12011'),
+  ('33023', '12011'), ('33024', '12011'), ('33025', '12011'), ('33026', '12011'), ('33027', '12011'), ('33028', '12011'), ('33029', '12011'), ('33030', '12086'),
+  ('33031', '12086'), ('33032', '12086'), ('33033', '12086'), ('33034', '12086'), ('33035', '12086'), ('33036', '12087'), ('33037', '12087'), ('33039', '12086'),
+  ('33040', '12087'), ('33041', '12087'), ('33042', '12087'), ('33043', '12087'), ('33045', '12087'), ('33050', '12087'), ('33051', '12087'), ('33052', '12087'),
+  ('33054', '12086'), ('33055', '12086'), ('33056', '12086'), ('33060', '12011'), ('33061', '12011'), ('33062', '12011'), ('33063', '12011'), ('33064', '12011'),
+  ('33065', '12011'), ('33066', '12011'), ('33067', '12011'), ('33068', '12011'), ('33069', '12011'), ('33070', '12087'), ('33071', '12011'), ('33072', '12011'),
+  ('33073', '12011'), ('33074', '12011'), ('33075', '12011'), ('33076', '12011'), ('33077', '12011'), ('33081', '12011'), ('33082', '12011'), ('33083', '12011'),
+  ('33084', '12011'), ('33090', '12086'), ('33092', '12086'), ('33093', '12011'), ('33097', '12011'), ('33101', '12086'), ('33102', '12086'), ('33106', '12086'),
+  ('33109', '12086'), ('33111', '12086'), ('33112', '12107'), ('33114', '12086'), ('33116', '12086'), ('33119', '12086'), ('33122', '12086'), ('33124', '12086'),
+  ('33125', '12086'), ('33126', '12086'), ('33127', '12086'), ('33128', '12086'), ('33129', '12086'), ('33130', '12086'), ('33131', '12086'), ('33132', '12086'),
+  ('33133', '12086'), ('33134', '12086'), ('33135', '12086'), ('33136', '12086'), ('33137', '12086'), ('33138', '12086'), ('33139', '12086'), ('33140', '12086'),
+  ('33141', '12086'), ('33142', '12086'), ('33143', '12086'), ('33144', '12086'), ('33145', '12086'), ('33146', '12086'), ('33147', '12086'), ('33149', '12086'),
+  ('33150', '12086'), ('33151', '12086'), ('33152', '12086'), ('33153', '12086'), ('33154', '12086'), ('33155', '12086'), ('33156', '12086'), ('33157', '12086'),
+  ('33158', '12086'), ('33160', '12086'), ('33161', '12086'), ('33162', '12086'), ('33163', '12086'), ('33164', '12086'), ('33165', '12086'), ('33166', '12086'),
+  ('33167', '12086'), ('33168', '12086'), ('33169', '12086'), ('33170', '12086'), ('33172', '12086'), ('33173', '12086'), ('33174', '12086'), ('33175', '12086'),
+  ('33176', '12086'), ('33177', '12086'), ('33178', '12086'), ('33179', '12086'), ('33180', '12086'), ('33181', '12086'), ('33182', '12086'), ('33183', '12086'),
+  ('33184', '12086'), ('33185', '12086'), ('33186', '12086'), ('33187', '12086'), ('33188', '12086'), ('33189', '12086'), ('33190', '12086'), ('33191', '12086'),
+  ('33192', '12086'), ('33193', '12086'), ('33194', '12086'), ('33195', '12086'), ('33196', '12086'), ('33197', '12086'), ('33198', '12086'), ('33199', '12086'),
+  ('33206', '12086'), ('33222', '12086'), ('33231', '12086'), ('33233', '12086'), ('33234', '12086'), ('33238', '12086'), ('33239', '12086'), ('33242', '12086'),
+  ('33243', '12086'), ('33245', '12086'), ('33247', '12086'), ('33255', '12086'), ('33256', '12086'), ('33257', '12086'), ('33261', '12086'), ('33265', '12086'),
+  ('33266', '12086'), ('33269', '12086'), ('33280', '12086'), ('33283', '12086'), ('33296', '12086'), ('33299', '12086'), ('33301', '12011'), ('33302', '12011'),
+  ('33303', '12011'), ('33304', '12011'), ('33305', '12011'), ('33306', '12011'), ('33307', '12011'), ('33308', '12011'), ('33309', '12011'), ('33310', '12011'),
+  ('33311', '12011'), ('33312', '12011'), ('33313', '12011'), ('33314', '12011'), ('33315', '12011'), ('33316', '12011'), ('33317', '12011'), ('33318', '12011'),
+  ('33319', '12011'), ('33320', '12011'), ('33321', '12011'), ('33322', '12011'), ('33323', '12011'), ('33324', '12011'), ('33325', '12011'), ('33326', '12011'),
+  ('33327', '12011'), ('33328', '12011'), ('33329', '12011'), ('33330', '12011'), ('33331', '12011'), ('33332', '12011'), ('33334', '12011'), ('33335', '12011'),
+  ('33336', '12011'), ('33337', '12011'), ('33338', '12011'), ('33339', '12011'), ('33340', '12011'), ('33345', '12011'), ('33346', '12011'), ('33348', '12011'),
+  ('33349', '12011'), ('33351', '12011'), ('33355', '12011'), ('33359', '12011'), ('33388', '12011'), ('33394', '12011'), ('33401', '12099'), ('33402', '12099'),
+  ('33403', '12099'), ('33404', '12099'), ('33405', '12099'), ('33406', '12099'), ('33407', '12099'), ('33408', '12099'), ('33409', '12099'), ('33410', '12099'),
+  ('33411', '12099'), ('33412', '12099'), ('33413', '12099'), ('33414', '12099'), ('33415', '12099'), ('33416', '12099'), ('33417', '12099'), ('33418', '12099'),
+  ('33419', '12099'), ('33420', '12099'), ('33421', '12099'), ('33422', '12099'), ('33424', '12099'), ('33425', '12099'), ('33426', '12099'), ('33427', '12099'),
+  ('33428', '12099'), ('33429', '12099'), ('33430', '12099'), ('33431', '12099'), ('33432', '12099'), ('33433', '12099'), ('33434', '12099'), ('33435', '12099'),
+  ('33436', '12099'), ('33437', '12099'), ('33438', '12099'), ('33440', '12051'), ('33441', '12011'), ('33442', '12011'), ('33443', '12011'), ('33444', '12099'),
+  ('33445', '12099'), ('33446', '12099'), ('33448', '12099'), ('33449', '12099'), ('33454', '12099'), ('33455', '12085'), ('33458', '12099'), ('33459', '12099'),
+  ('33460', '12099'), ('33461', '12099'), ('33462', '12099'), ('33463', '12099'), ('33464', '12099'), ('33465', '12099'), ('33466', '12099'), ('33467', '12099'),
+  ('33468', '12099'), ('33469', '12099'), ('33470', '12099'), ('33471', '12043'), ('33472', '12099'), ('33473', '12099'), ('33474', '12099'), ('33475', '12085'),
+  ('33476', '12099'), ('33477', '12099'), ('33478', '12099'), ('33480', '12099'), ('33481', '12099'), ('33482', '12099'), ('33483', '12099'), ('33484', '12099'),
+  ('33486', '12099'), ('33487', '12099'), ('33488', '12099'), ('33493', '12099'), ('33496', '12099'), ('33497', '12099'), ('33498', '12099'), ('33499', '12099'),
+  ('33503', '12057'), ('33508', '12057'), ('33509', '12057'), ('33510', '12057'), ('33511', '12057'), ('33513', '12119'), ('33514', '12119'), ('33521', '12119'),
+  ('33523', '12101'), ('33524', '12101'), ('33525', '12101'), ('33526', '12101'), ('33527', '12057'), ('33530', '12057'), ('33534', '12057'), ('33537', '12101'),
+  ('33538', '12119'), ('33539', '12101'), ('33540', '12101'), ('33541', '12101'), ('33542', '12101'), ('33543', '12101'), ('33544', '12101'), ('33545', '12101'),
+  ('33547', '12057'), ('33548', '12057'), ('33549', '12057'), ('33550', '12057'), ('33556', '12057'), ('33558', '12057'), ('33559', '12101'), ('33563', '12057'),
+  ('33564', '12057'), ('33565', '12057'), ('33566', '12057'), ('33567', '12057'), ('33568', '12057'), ('33569', '12057'), ('33570', '12057'), ('33571', '12057'),
+  ('33572', '12057'), ('33573', '12057'), ('33574', '12101'), ('33575', '12057'), ('33576', '12101'), ('33578', '12057'), ('33579', '12057'), ('33583', '12057'),
+  ('33584', '12057'), ('33585', '12119'), ('33586', '12057'), ('33587', '12057'), ('33592', '12057'), ('33593', '12101'), ('33594', '12057'), ('33595', '12057'),
+  ('33596', '12057'), ('33597', '12119'), ('33598', '12057'), ('33601', '12057'), ('33602', '12057'), ('33603', '12057'), ('33604', '12057'), ('33605', '12057'),
+  ('33606', '12057'), ('33607', '12057'), ('33608', '12057'), ('33609', '12057'), ('33610', '12057'), ('33611', '12057'), ('33612', '12057'), ('33613', '12057'),
+  ('33614', '12057'), ('33615', '12057'), ('33616', '12057'), ('33617', '12057'), ('33618', '12057'), ('33619', '12057'), ('33620', '12057'), ('33621', '12057'),
+  ('33622', '12057'), ('33623', '12057'), ('33624', '12057'), ('33625', '12057'), ('33626', '12057'), ('33629', '12057'), ('33630', '12057'), ('33631', '12057'),
+  ('33633', '12057'), ('33634', '12057'), ('33635', '12057'), ('33637', '12057'), ('33646', '12057'), ('33647', '12057'), ('33650', '12057'), ('33655', '12057'),
+  ('33660', '12057'), ('33661', '12057'), ('33662', '12057'), ('33663', '12057'), ('33664', '12057'), ('33672', '12057'), ('33673', '12057'), ('33674', '12057'),
+  ('33675', '12057'), ('33677', '12057'), ('33679', '12057'), ('33680', '12057'), ('33681', '12057'), ('33682', '12057'), ('33684', '12057'), ('33685', '12057'),
+  ('33686', '12057'), ('33687', '12057'), ('33688', '12057'), ('33689', '12057'), ('33694', '12057'), ('33701', '12103'), ('33702', '12103'), ('33703', '12103'),
+  ('33704', '12103'), ('33705', '12103'), ('33706', '12103'), ('33707', '12103'), ('33708', '12103'), ('33709', '12103'), ('33710', '12103'), ('33711', '12103'),
+  ('33712', '12103'), ('33713', '12103'), ('33714', '12103'), ('33715', '12103'), ('33716', '12103'), ('33729', '12103'), ('33730', '12103'), ('33731', '12103'),
+  ('33732', '12103'), ('33733', '12103'), ('33734', '12103'), ('33736', '12103'), ('33737', '12103'), ('33738', '12103'), ('33740', '12103'), ('33741', '12103'),
+  ('33742', '12103'), ('33743', '12103'), ('33744', '12103'), ('33747', '12103'), ('33755', '12103'), ('33756', '12103'), ('33757', '12103'), ('33758', '12103'),
+  ('33759', '12103'), ('33760', '12103'), ('33761', '12103'), ('33762', '12103'), ('33763', '12103'), ('33764', '12103'), ('33765', '12103'), ('33766', '12103'),
+  ('33767', '12103'), ('33769', '12103'), ('33770', '12103'), ('33771', '12103'), ('33772', '12103'), ('33773', '12103'), ('33774', '12103'), ('33775', '12103'),
+  ('33776', '12103'), ('33777', '12103'), ('33778', '12103'), ('33779', '12103'), ('33780', '12103'), ('33781', '12103'), ('33782', '12103'), ('33784', '12103'),
+  ('33785', '12103'), ('33786', '12103'), ('33801', '12105'), ('33802', '12105'), ('33803', '12105'), ('33804', '12105'), ('33805', '12105'), ('33806', '12105'),
+  ('33807', '12105'), ('33809', '12105'), ('33810', '12105'), ('33811', '12105'), ('33812', '12105'), ('33813', '12105'), ('33815', '12105'), ('33820', '12105'),
+  ('33823', '12105'), ('33825', '12055'), ('33826', '12055'), ('33827', '12105'), ('33830', '12105'), ('33831', '12105'), ('33834', '12049'), ('33835', '12105'),
+  ('33836', '12105'), ('33837', '12105'), ('33838', '12105'), ('33839', '12105'), ('33840', '12105'), ('33841', '12105'), ('33843', '12105'), ('33844', '12105'),
+  ('33845', '12105'), ('33846', '12105'), ('33847', '12105'), ('33848', '12097'), ('33849', '12105'), ('33850', '12105'), ('33851', '12105'), ('33852', '12055'),
+  ('33853', '12105'), ('33854', '12105'), ('33855', '12105'), ('33856', '12105'), ('33857', '12055'), ('33858', '12105'), ('33859', '12105'), ('33860', '12105'),
+  ('33862', '12055'), ('33863', '12105'), ('33865', '12049'), ('33867', '12105'), ('33868', '12105'), ('33870', '12055'), ('33871', '12055'), ('33872', '12055'),
+  ('33873', '12049'), ('33875', '12055'), ('33876', '12055'), ('33877', '12105'), ('33880', '12105'), ('33881', '12105'), ('33882', '12105'), ('33883', '12105'),
+  ('33884', '12105'), ('33885', '12105'), ('33888', '12105'), ('33890', '12049'), ('33896', '12105'), ('33897', '12105'), ('33898', '12105'), ('33901', '12071'),
+  ('33902', '12071'), ('33903', '12071'), ('33904', '12071'), ('33905', '12071'), ('33906', '12071'), ('33907', '12071'), ('33908', '12071'), ('33909', '12071'),
+  ('33910', '12071'), ('33911', '12071'), ('33912', '12071'), ('33913', '12071'), ('33914', '12071'), ('33915', '12071'), ('33916', '12071'), ('33917', '12071'),
+  ('33918', '12071'), ('33919', '12071'), ('33920', '12071'), ('33921', '12071'), ('33922', '12071'), ('33924', '12071'), ('33927', '12015'), ('33928', '12071'),
+  ('33929', '12071'), ('33930', '12051'), ('33931', '12071'), ('33932', '12071'), ('33935', '12051'), ('33936', '12071'), ('33938', '12015'), ('33944', '12043'),
+  ('33945', '12071'), ('33946', '12015'), ('33947', '12015'), ('33948', '12015'), ('33949', '12015'), ('33950', '12015'), ('33951', '12015'), ('33952', '12015'),
+  ('33953', '12015'), ('33954', '12015'), ('33955', '12015'), ('33956', '12071'), ('33957', '12071'), ('33960', '12055'), ('33965', '12071'), ('33966', '12071'),
+  ('33967', '12071'), ('33970', '12071'), ('33971', '12071'), ('33972', '12071'), ('33973', '12071'), ('33974', '12071'), ('33975', '12051'), ('33976', '12071'),
+  ('33980', '12015'), ('33981', '12015'), ('33982', '12015'), ('33983', '12015'), ('33990', '12071'), ('33991', '12071'), ('33993', '12071'), ('33994', '12071'),
+  ('34101', '12021'), ('34102', '12021'), ('34103', '12021'), ('34104', '12021'), ('34105', '12021'), ('34106', '12021'), ('34107', '12021'), ('34108', '12021'),
+  ('34109', '12021'), ('34110', '12021'), ('34112', '12021'), ('34113', '12021'), ('34114', '12021'), ('34116', '12021'), ('34117', '12021'), ('34119', '12021'),
+  ('34120', '12021'), ('34133', '12071'), ('34134', '12071'), ('34135', '12071'), ('34136', '12071'), ('34137', '12021'), ('34138', '12021'), ('34139', '12021'),
+  ('34140', '12021'), ('34141', '12021'), ('34142', '12021'), ('34143', '12021'), ('34145', '12021'), ('34146', '12021'), ('34201', '12081'), ('34202', '12081'),
+  ('34203', '12081'), ('34204', '12081'), ('34205', '12081'), ('34206', '12081'), ('34207', '12081'), ('34208', '12081'), ('34209', '12081'), ('34210', '12081'),
+  ('34211', '12081'), ('34212', '12081'), ('34215', '12081'), ('34216', '12081'), ('34217', '12081'), ('34218', '12081'), ('34219', '12081'), ('34220', '12081'),
+  ('34221', '12081'), ('34222', '12081'), ('34223', '12115'), ('34224', '12115'), ('34228', '12081'), ('34229', '12115'), ('34230', '12115'), ('34231', '12115'),
+  ('34232', '12115'), ('34233', '12115'), ('34234', '12115'), ('34235', '12115'), ('34236', '12115'), ('34237', '12115'), ('34238', '12115'), ('34239', '12115'),
+  ('34240', '12115'), ('34241', '12115'), ('34242', '12115'), ('34243', '12081'), ('34249', '12115'), ('34250', '12081'), ('34251', '12081'), ('34260', '12081'),
+  ('34264', '12081'), ('34265', '12027'), ('34266', '12027'), ('34267', '12027'), ('34268', '12027'), ('34269', '12027'), ('34270', '12081'), ('34272', '12115'),
+  ('34274', '12115'), ('34275', '12115'), ('34276', '12115'), ('34277', '12115'), ('34278', '12115'), ('34280', '12081'), ('34281', '12081'), ('34282', '12081'),
+  ('34284', '12115'), ('34285', '12115'), ('34286', '12115'), ('34287', '12115'), ('34288', '12115'), ('34289', '12115'), ('34290', '12115'), ('34291', '12115'),
+  ('34292', '12115'), ('34293', '12115'), ('34295', '12115'), ('34420', '12083'), ('34421', '12083'), ('34423', '12017'), ('34428', '12017'), ('34429', '12017'),
+  ('34430', '12083'), ('34431', '12083'), ('34432', '12083'), ('34433', '12017'), ('34434', '12017'), ('34436', '12017'), ('34441', '12017'), ('34442', '12017'),
+  ('34445', '12017'), ('34446', '12017'), ('34447', '12017'), ('34448', '12017'), ('34449', '12075'), ('34450', '12017'), ('34451', '12017'), ('34452', '12017'),
+  ('34453', '12017'), ('34460', '12017'), ('34461', '12017'), ('34464', '12017'), ('34465', '12017'), ('34470', '12083'), ('34471', '12083'), ('34472', '12083'),
+  ('34473', '12083'), ('34474', '12083'), ('34475', '12083'), ('34476', '12083'), ('34477', '12083'), ('34478', '12083'), ('34479', '12083'), ('34480', '12083'),
+  ('34481', '12083'), ('34482', '12083'), ('34483', '12083'), ('34484', '12119'), ('34487', '12017'), ('34488', '12083'), ('34489', '12083'), ('34491', '12083'),
+  ('34492', '12083'), ('34498', '12075'), ('34601', '12053'), ('34602', '12053'), ('34603', '12053'), ('34604', '12053'), ('34605', '12053'), ('34606', '12053'),
+  ('34607', '12053'), ('34608', '12053'), ('34609', '12053'), ('34610', '12101'), ('34611', '12053'), ('34613', '12053'), ('34614', '12053'), ('34636', '12053'),
+  ('34637', '12101'), ('34638', '12101'), ('34639', '12101'), ('34652', '12101'), ('34653', '12101'), ('34654', '12101'), ('34655', '12101'), ('34656', '12101'),
+  ('34660', '12103'), ('34661', '12053'), ('34667', '12101'), ('34668', '12101'), ('34669', '12101'), ('34673', '12101'), ('34674', '12101'), ('34677', '12103'),
+  ('34679', '12101'), ('34680', '12101'), ('34681', '12103'), ('34682', '12103'), ('34683', '12103'), ('34684', '12103'), ('34685', '12103'), ('34688', '12103'),
+  ('34689', '12103'), ('34690', '12101'), ('34691', '12101'), ('34692', '12101'), ('34695', '12103'), ('34697', '12103'), ('34698', '12103'), ('34705', '12069'),
+  ('34711', '12069'), ('34712', '12069'), ('34713', '12069'), ('34714', '12105'), ('34715', '12069'), ('34729', '12069'), ('34731', '12069'), ('34734', '12095'),
+  ('34736', '12069'), ('34737', '12069'), ('34739', '12097'), ('34740', '12095'), ('34741', '12097'), ('34742', '12097'), ('34743', '12097'), ('34744', '12097'),
+  ('34745', '12097'), ('34746', '12097'), ('34747', '12097'), ('34748', '12069'), ('34749', '12069'), ('34753', '12069'), ('34755', '12069'), ('34756', '12069'),
+  ('34758', '12097'), ('34759', '12105'), ('34760', '12095'), ('34761', '12095'), ('34762', '12069'), ('34769', '12097'), ('34770', '12097'), ('34771', '12097'),
+  ('34772', '12097'), ('34773', '12097'), ('34777', '12095'), ('34778', '12095'), ('34785', '12119'), ('34786', '12095'), ('34787', '12095'), ('34788', '12069'),
+  ('34789', '12069'), ('34797', '12069'), ('34945', '12111'), ('34946', '12111'), ('34947', '12111'), ('34948', '12111'), ('34949', '12111'), ('34950', '12111'),
+  ('34951', '12111'), ('34952', '12111'), ('34953', '12111'), ('34954', '12111'), ('34956', '12085'), ('34957', '12085'), ('34958', '12085'), ('34972', '12093'),
+  ('34973', '12093'), ('34974', '12093'), ('34979', '12111'), ('34981', '12111'), ('34982', '12111'), ('34983', '12111'), ('34984', '12111'), ('34985', '12111'),
+  ('34986', '12111'), ('34987', '12111'), ('34988', '12111'), ('34990', '12085'), ('34991', '12085'), ('34992', '12085'), ('34994', '12085'), ('34995', '12085'),
+  ('34996', '12085'), ('34997', '12085'), ('73301', '48453'), ('73344', '48453'), ('73960', '48421'), ('75001', '48113'), ('75002', '48085'), ('75006', '48113'),
+  ('75007', '48121'), ('75009', '48085'), ('75010', '48121'), ('75011', '48113'), ('75013', '48085'), ('75014', '48113'), ('75015', '48113'), ('75016', '48113'),
+  ('75017', '48113'), ('75019', '48113'), ('75020', '48181'), ('75021', '48181'), ('75022', '48121'), ('75023', '48085'), ('75024', '48085'), ('75025', '48085'),
+  ('75026', '48085'), ('75027', '48121'), ('75028', '48121'), ('75029', '48121'), ('75030', '48113'), ('75032', '48397'), ('75033', '48085'), ('75034', '48085'),
+  ('75035', '48085'), ('75036', '48085'), ('75038', '48113'), ('75039', '48113'), ('75040', '48113'), ('75041', '48113'), ('75042', '48113'), ('75043', '48113'),
+  ('75044', '48113'), ('75045', '48113'), ('75046', '48113'), ('75047', '48113'), ('75048', '48113'), ('75049', '48113'), ('75050', '48113'), ('75051', '48113'),
+  ('75052', '48113'), ('75053', '48113'), ('75054', '48113'), ('75056', '48121'), ('75057', '48121'), ('75058', '48181'), ('75059', '48113'), ('75060', '48113'),
+  ('75061', '48113'), ('75062', '48113'), ('75063', '48113'), ('75064', '48113'), ('75065', '48121'), ('75067', '48121'), ('75068', '48121'), ('75069', '48085'),
+  ('75070', '48085'), ('75071', '48085'), ('75072', '48085'), ('75074', '48085'), ('75075', '48085'), ('75076', '48181'), ('75077', '48121'), ('75078', '48085'),
+  ('75080', '48113'), ('75081', '48113'), ('75082', '48113'), ('75083', '48113'), ('75085', '48113'), ('75086', '48085'), ('75087', '48397'), ('75088', '48113'),
+  ('75089', '48113'), ('75090', '48181'), ('75091', '48181'), ('75092', '48181'), ('75093', '48085'), ('75094', '48085'), ('75097', '48085'), ('75098', '48113'),
+  ('75099', '48113'), ('75101', '48139'), ('75102', '48349'), ('75103', '48467'), ('75104', '48113'), ('75105', '48349'), ('75106', '48113'), ('75109', '48349'),
+  ('75110', '48349'), ('75114', '48257'), ('75115', '48113'), ('75116', '48113'), ('75117', '48467'), ('75118', '48257'), ('75119', '48139'), ('75120', '48139'),
+  ('75121', '48085'), ('75123', '48113'), ('75124', '48213'), ('75125', '48139'), ('75126', '48257'), ('75127', '48467'), ('75132', '48397'), ('75134', '48113'),
+  ('75135', '48231'), ('75137', '48113'), ('75138', '48113'), ('75140', '48467'), ('75141', '48113'), ('75142', '48257'), ('75143', '48213'), ('75144', '48349'),
+  ('75146', '48113'), ('75147', '48257'), ('75148', '48213'), ('75149', '48113'), ('75150', '48113'), ('75151', '48349'), ('75152', '48139'), ('75153', '48349'),
+  ('75154', '48139'), ('75155', '48349'), ('75156', '48213'), ('75157', '48257'), ('75158', '48257'), ('75159', '48113'), ('75160', '48257'), ('75161', '48257'),
+  ('75163', '48213'), ('75164', '48085'), ('75165', '48139'), ('75166', '48085'), ('75167', '48139'), ('75168', '48139'), ('75169', '48467'), ('75172', '48113'),
+  ('75173', '48085'), ('75180', '48113'), ('75181', '48113'), ('75182', '48113'), ('75185', '48113'), ('75187', '48113'), ('75189', '48397'), ('75201', '48113'),
+  ('75202', '48113'), ('75203', '48113'), ('75204', '48113'), ('75205', '48113'), ('75206', '48113'), ('75207', '48113'), ('75208', '48113'), ('75209', '48113'),
+  ('75210', '48113'), ('75211', '48113'), ('75212', '48113'), ('75214', '48113'), ('75215', '48113'), ('75216', '48113'), ('75217', '48113'), ('75218', '48113'),
+  ('75219', '48113'), ('75220', '48113'), ('75221', '48113'), ('75222', '48113'), ('75223', '48113'), ('75224', '48113'), ('75225', '48113'), ('75226', '48113'),
+  ('75227', '48113'), ('75228', '48113'), ('75229', '48113'), ('75230', '48113'), ('75231', '48113'), ('75232', '48113'), ('75233', '48113'), ('75234', '48113'),
+  ('75235', '48113'), ('75236', '48113'), ('75237', '48113'), ('75238', '48113'), ('75240', '48113'), ('75241', '48113'), ('75242', '48113'), ('75243', '48113'),
+  ('75244', '48113'), ('75246', '48113'), ('75247', '48113'), ('75248', '48113'), ('75249', '48113'), ('75250', '48113'), ('75251', '48113'), ('75252', '48113'),
+  ('75253', '48113'), ('75254', '48113'), ('75260', '48113'), ('75261', '48113'), ('75262', '48113'), ('75263', '48113'), ('75264', '48113'), ('75265', '48113'),
+  ('75266', '48113'), ('75267', '48113'), ('75270', '48113'), ('75275', '48113'), ('75277', '48113'), ('75283', '48113'), ('75284', '48113'), ('75285', '48113'),
+  ('75287', '48113'), ('75301', '48113'), ('75303', '48113'), ('75312', '48113'), ('75313', '48113'), ('75315', '48113'), ('75320', '48113'), ('75326', '48113'),
+  ('75336', '48113'), ('75339', '48113'), ('75342', '48113'), ('75354', '48113'), ('75355', '48113'), ('75356', '48113'), ('75357', '48113'), ('75358', '48113'),
+  ('75359', '48113'), ('75360', '48113'), ('75367', '48113'), ('75368', '48113'), ('75370', '48113'), ('75371', '48113'), ('75372', '48113'), ('75373', '48113'),
+  ('75374', '48113'), ('75376', '48113'), ('75378', '48113'), ('75379', '48113'), ('75380', '48113'), ('75381', '48113'), ('75382', '48113'), ('75389', '48113'),
+  ('75390', '48113'), ('75391', '48113'), ('75392', '48113'), ('75393', '48113'), ('75394', '48113'), ('75395', '48113'), ('75397', '48113'), ('75398', '48113'),
+  ('75401', '48231'), ('75402', '48231'), ('75403', '48231'), ('75404', '48231'), ('75407', '48085'), ('75409', '48085'), ('75410', '48379'), ('75411', '48277'),
+  ('75412', '48387'), ('75413', '48147'), ('75414', '48181'), ('75415', '48119'), ('75416', '48277'), ('75417', '48387'), ('75418', '48147'), ('75420', '48223'),
+  ('75421', '48277'), ('75422', '48231'), ('75423', '48231'), ('75424', '48085'), ('75425', '48277'), ('75426', '48387'), ('75428', '48231'), ('75429', '48231'),
+  ('75431', '48223'), ('75432', '48119'), ('75433', '48223'), ('75434', '48277'), ('75435', '48277'), ('75436', '48387'), ('75437', '48223'), ('75438', '48147'),
+  ('75439', '48147'), ('75440', '48379'), ('75441', '48119'), ('75442', '48085'), ('75443', '48147'), ('75444', '48499'), ('75446', '48147'), ('75447', '48147'),
+  ('75448', '48119'), ('75449', '48147'), ('75450', '48119'), ('75451', '48063'), ('75452', '48147'), ('75453', '48231'), ('75454', '48085'), ('75455', '48449'),
+  ('75456', '48449'), ('75457', '48159'), ('75458', '48231'), ('75459', '48181'), ('75460', '48277'), ('75461', '48277'), ('75462', '48277'), ('75468', '48277'),
+  ('75469', '48119'), ('75470', '48277'), ('75471', '48223'), ('75472', '48379'), ('75473', '48277'), ('75474', '48231'), ('75475', '48147'), ('75476', '48147'),
+  ('75477', '48277'), ('75478', '48223'), ('75479', '48147'), ('75480', '48159'), ('75481', '48223'), ('75482', '48223'), ('75483', '48223'), ('75485', '48085'),
+  ('75486', '48277'), ('75487', '48159'), ('75488', '48147'), ('75489', '48181'), ('75490', '48147'), ('75491', '48181'), ('75492', '48147'), ('75493', '48449'),
+  ('75494', '48499'), ('75495', '48181'), ('75496', '48231'), ('75497', '48499'), ('75501', '48037'), ('75503', '48037'), ('75504', '48037'), ('75505', '48037'),
+  ('75507', '48037'), ('75550', '48387'), ('75551', '48067'), ('75554', '48387'), ('75555', '48067'), ('75556', '48067'), ('75558', '48449'), ('75559', '48037'),
+  ('75560', '48067'), ('75561', '48037'), ('75562', '48067'), ('75563', '48067'), ('75564', '48315'), ('75565', '48067'), ('75566', '48067'), ('75567', '48037'),
+  ('75568', '48343'), ('75569', '48037'), ('75570', '48037'), ('75571', '48343'), ('75572', '48067'), ('75573', '48037'), ('75574', '48037'), ('75599', '48037'),
+  ('75601', '48183'), ('75602', '48183'), ('75603', '48183'), ('75604', '48183'), ('75605', '48183'), ('75606', '48183'), ('75607', '48183'), ('75608', '48183'),
+  ('75615', '48183'), ('75630', '48067'), ('75631', '48365'), ('75633', '48365'), ('75636', '48343'), ('75637', '48365'), ('75638', '48343'), ('75639', '48365'),
+  ('75640', '48459'), ('75641', '48183'), ('75642', '48203'), ('75643', '48365'), ('75644', '48459'), ('75645', '48459'), ('75647', '48183'), ('75650', '48203'),
+  ('75651', '48203'), ('75652', '48401'), ('75653', '48401'), ('75654', '48401'), ('75656', '48067'), ('75657', '48315'), ('75658', '48401'), ('75659', '48203'),
+  ('75660', '48183'), ('75661', '48203'), ('75662', '48183'), ('75663', '48183'), ('75666', '48401'), ('75667', '48401'), ('75668', '48343'), ('75669', '48365'),
+  ('75670', '48203'), ('75671', '48203'), ('75672', '48203'), ('75680', '48401'), ('75681', '48401'), ('75682', '48401'), ('75683', '48459'), ('75684', '48401'),
+  ('75685', '48365'), ('75686', '48063'), ('75687', '48401'), ('75688', '48203'), ('75689', '48401'), ('75691', '48401'), ('75692', '48203'), ('75693', '48183'),
+  ('75694', '48203'), ('75701', '48423'), ('75702', '48423'), ('75703', '48423'), ('75704', '48423'), ('75705', '48423'), ('75706', '48423'), ('75707', '48423'),
+  ('75708', '48423'), ('75709', '48423'), ('75710', '48423'), ('75711', '48423'), ('75712', '48423'), ('75713', '48423'), ('75750', '48423'), ('75751', '48213'),
+  ('75752', '48213'), ('75754', '48467'), ('75755', '48459'), ('75756', '48213'), ('75757', '48423'), ('75758', '48213'), ('75759', '48073'), ('75760', '48347'),
+  ('75762', '48423'), ('75763', '48001'), ('75764', '48073'), ('75765', '48499'), ('75766', '48073'), ('75770', '48213'), ('75771', '48423'), ('75772', '48073'),
+  ('75773', '48499'), ('75778', '48213'), ('75779', '48001'), ('75780', '48073'), ('75782', '48213'), ('75783', '48499'), ('75784', '48073'), ('75785', '48073'),
+  ('75788', '48347'), ('75789', '48423'), ('75790', '48467'), ('75791', '48423'), ('75792', '48423'), ('75797', '48459'), ('75798', '48423'), ('75799', '48423'),
+  ('75801', '48001'), ('75802', '48001'), ('75803', '48001'), ('75831', '48289'), ('75832', '48001'), ('75833', '48289'), ('75834', '48455'), ('75835', '48225'),
+  ('75838', '48161'), ('75839', '48001'), ('75840', '48161'), ('75844', '48225'), ('75845', '48455'), ('75846', '48289'), ('75847', '48225'), ('75848', '48161'),
+  ('75849', '48225'), ('75850', '48289'), ('75851', '48225'), ('75852', '48313'), ('75853', '48001'), ('75855', '48289'), ('75856', '48455'), ('75858', '48225'),
+  ('75859', '48161'), ('75860', '48161'), ('75861', '48001'), ('75862', '48455'), ('75865', '48455'), ('75880', '48001'), ('75882', '48001'), ('75884', '48001'),
+  ('75886', '48001'), ('75901', '48005'), ('75902', '48005'), ('75903', '48005'), ('75904', '48005'), ('75915', '48005'), ('75925', '48073'), ('75926', '48455'),
+  ('75928', '48351'), ('75929', '48405'), ('75930', '48403'), ('75931', '48403'), ('75932', '48351'), ('75933', '48351'), ('75934', '48373'), ('75935', '48419'),
+  ('75936', '48457'), ('75937', '48347'), ('75938', '48457'), ('75939', '48373'), ('75941', '48005'), ('75942', '48457'), ('75943', '48347'), ('75944', '48347'),
+  ('75946', '48347'), ('75948', '48403'), ('75949', '48005'), ('75951', '48241'), ('75954', '48419'), ('75956', '48241'), ('75958', '48347'), ('75959', '48403'),
+  ('75960', '48373'), ('75961', '48347'), ('75962', '48347'), ('75963', '48347'), ('75964', '48347'), ('75965', '48347'), ('75966', '48351'), ('75968', '48403'),
+  ('75969', '48005'), ('75972', '48405'), ('75973', '48419'), ('75974', '48419'), ('75975', '48419'), ('75976', '48073'), ('75977', '48351'), ('75978', '48347'),
+  ('75979', '48457'), ('75980', '48005'), ('75990', '48457'), ('76001', '48439'), ('76002', '48439'), ('76003', '48439'), ('76004', '48439'), ('76005', '48439'),
+  ('76006', '48439'), ('76007', '48439'), ('76008', '48367'), ('76009', '48251'), ('76010', '48439'), ('76011', '48439'), ('76012', '48439'), ('76013', '48439'),
+  ('76014', '48439'), ('76015', '48439'), ('76016', '48439'), ('76017', '48439'), ('76018', '48439'), ('76019', '48439'), ('76020', '48439'), ('76021', '48439'),
+  ('76022', '48439'), ('76023', '48497'), ('76028', '48251'), ('76031', '48251'), ('76033', '48251'), ('76034', '48439'), ('76035', '48221'), ('76036', '48439'),
+  ('76039', '48439'), ('76040', '48439'), ('76041', '48139'), ('76043', '48425'), ('76044', '48251'), ('76048', '48221'), ('76049', '48221'), ('76050', '48251'),
+  ('76051', '48439'), ('76052', '48439'), ('76053', '48439'), ('76054', '48439'), ('76055', '48217'), ('76058', '48251'), ('76059', '48251'), ('76060', '48439'),
+  ('76061', '48251'), ('76063', '48439'), ('76064', '48139'), ('76065', '48139'), ('76066', '48367'), ('76067', '48363'), ('76068', '48363'), ('76070', '48425'),
+  ('76071', '48497'), ('76073', '48497'), ('76077', '48425'), ('76078', '48497'), ('76082', '48367'), ('76084', '48251'), ('76085', '48367'), ('76086', '48367'),
+  ('76087', '48367'), ('76088', '48367'), ('76092', '48439'), ('76093', '48251'), ('76094', '48439'), ('76095', '48439'), ('76096', '48439'), ('76097', '48251'),
+  ('76098', '48367'), ('76099', '48439'), ('76101', '48439'), ('76102', '48439'), ('76103', '48439'), ('76104', '48439'), ('76105', '48439'), ('76106', '48439'),
+  ('76107', '48439'), ('76108', '48439'), ('76109', '48439'), ('76110', '48439'), ('76111', '48439'), ('76112', '48439'), ('76113', '48439'), ('76114', '48439'),
+  ('76115', '48439'), ('76116', '48439'), ('76117', '48439'), ('76118', '48439'), ('76119', '48439'), ('76120', '48439'), ('76121', '48439'), ('76122', '48439'),
+  ('76123', '48439'), ('76124', '48439'), ('76126', '48439'), ('76127', '48439'), ('76129', '48439'), ('76130', '48439'), ('76131', '48439'), ('76132', '48439'),
+  ('76133', '48439'), ('76134', '48439'), ('76135', '48439'), ('76136', '48439'), ('76137', '48439'), ('76140', '48439'), ('76147', '48439'), ('76148', '48439'),
+  ('76150', '48439'), ('76155', '48439'), ('76161', '48439'), ('76162', '48439'), ('76163', '48439'), ('76164', '48439'), ('76166', '48439'), ('76177', '48439'),
+  ('76179', '48439'), ('76180', '48439'), ('76181', '48439'), ('76182', '48439'), ('76185', '48439'), ('76190', '48439'), ('76191', '48439'), ('76192', '48439'),
+  ('76193', '48439'), ('76195', '48439'), ('76196', '48439'), ('76197', '48439'), ('76198', '48439'), ('76199', '48439'), ('76201', '48121'), ('76202', '48121'),
+  ('76203', '48121'), ('76204', '48121'), ('76205', '48121'), ('76206', '48121'), ('76207', '48121'), ('76208', '48121'), ('76209', '48121'), ('76210', '48121'),
+  ('76225', '48497'), ('76226', '48121'), ('76227', '48121'), ('76228', '48077'), ('76230', '48337'), ('76233', '48181'), ('76234', '48497'), ('76238', '48097'),
+  ('76239', '48337'), ('76240', '48097'), ('76241', '48097'), ('76244', '48439'), ('76245', '48181'), ('76246', '48497'), ('76247', '48121'), ('76248', '48439'),
+  ('76249', '48121'), ('76250', '48097'), ('76251', '48337'), ('76252', '48097'), ('76253', '48097'), ('76255', '48337'), ('76258', '48121'), ('76259', '48121'),
+  ('76261', '48337'), ('76262', '48121'), ('76263', '48097'), ('76264', '48181'), ('76265', '48337'), ('76266', '48121'), ('76267', '48497'), ('76268', '48181'),
+  ('76270', '48337'), ('76271', '48181'), ('76272', '48097'), ('76273', '48181'), ('76301', '48485'), ('76302', '48485'), ('76305', '48485'), ('76306', '48485'),
+  ('76307', '48485'), ('76308', '48485'), ('76309', '48485'), ('76310', '48485'), ('76311', '48485'), ('76351', '48009'), ('76352', '48077'), ('76354', '48485'),
+  ('76357', '48077'), ('76360', '48485'), ('76363', '48275'), ('76364', '48487'), ('76365', '48077'), ('76366', '48009'), ('76367', '48485'), ('76369', '48485'),
+  ('76370', '48009'), ('76371', '48275'), ('76372', '48503'), ('76373', '48487'), ('76374', '48503'), ('76377', '48077'), ('76379', '48009'), ('76380', '48023'),
+  ('76384', '48487'), ('76385', '48487'), ('76388', '48207'), ('76389', '48009'), ('76401', '48143'), ('76402', '48143'), ('76424', '48429'), ('76426', '48497'),
+  ('76427', '48237'), ('76429', '48429'), ('76430', '48417'), ('76431', '48497'), ('76432', '48049'), ('76433', '48143'), ('76435', '48133'), ('76436', '48193'),
+  ('76437', '48133'), ('76439', '48367'), ('76442', '48093'), ('76443', '48059'), ('76444', '48093'), ('76445', '48133'), ('76446', '48143'), ('76448', '48133'),
+  ('76449', '48363'), ('76450', '48503'), ('76452', '48093'), ('76453', '48363'), ('76454', '48133'), ('76455', '48093'), ('76457', '48193'), ('76458', '48237'),
+  ('76459', '48237'), ('76460', '48503'), ('76461', '48143'), ('76462', '48221'), ('76463', '48363'), ('76464', '48417'), ('76465', '48143'), ('76466', '48133'),
+  ('76467', '48221'), ('76468', '48093'), ('76469', '48059'), ('76470', '48133'), ('76471', '48133'), ('76472', '48363'), ('76474', '48093'), ('76475', '48363'),
+  ('76476', '48221'), ('76481', '48503'), ('76483', '48447'), ('76484', '48363'), ('76485', '48367'), ('76486', '48237'), ('76487', '48367'), ('76490', '48367'),
+  ('76491', '48447'), ('76501', '48027'), ('76502', '48027'), ('76503', '48027'), ('76504', '48027'), ('76508', '48027'), ('76511', '48027'), ('76513', '48027'),
+  ('76518', '48331'), ('76519', '48331'), ('76520', '48331'), ('76522', '48099'), ('76523', '48331'), ('76524', '48309'), ('76525', '48099'), ('76526', '48099'),
+  ('76527', '48491'), ('76528', '48099'), ('76530', '48491'), ('76531', '48193'), ('76533', '48027'), ('76534', '48027'), ('76537', '48491'), ('76538', '48099'),
+  ('76539', '48281'), ('76540', '48027'), ('76541', '48027'), ('76542', '48027'), ('76543', '48027'), ('76544', '48027'), ('76547', '48027'), ('76548', '48027'),
+  ('76549', '48027'), ('76550', '48281'), ('76554', '48027'), ('76556', '48331'), ('76557', '48309'), ('76558', '48099'), ('76559', '48027'), ('76561', '48099'),
+  ('76564', '48027'), ('76565', '48193'), ('76566', '48099'), ('76567', '48331'), ('76569', '48027'), ('76570', '48145'), ('76571', '48027'), ('76573', '48491'),
+  ('76574', '48491'), ('76577', '48331'), ('76578', '48491'), ('76579', '48027'), ('76596', '48099'), ('76597', '48099'), ('76598', '48099'), ('76599', '48099'),
+  ('76621', '48217'), ('76622', '48217'), ('76623', '48139'), ('76624', '48309'), ('76626', '48349'), ('76627', '48217'), ('76628', '48217'), ('76629', '48395'),
+  ('76630', '48309'), ('76631', '48217'), ('76632', '48145'), ('76633', '48309'), ('76634', '48035'), ('76635', '48293'), ('76636', '48217'), ('76637', '48035'),
+  ('76638', '48309'), ('76639', '48349'), ('76640', '48309'), ('76641', '48349'), ('76642', '48293'), ('76643', '48309'), ('76644', '48035'), ('76645', '48217'),
+  ('76648', '48217'), ('76649', '48035'), ('76650', '48217'), ('76651', '48139'), ('76652', '48035'), ('76653', '48293'), ('76654', '48309'), ('76655', '48309'),
+  ('76656', '48145'), ('76657', '48309'), ('76660', '48217'), ('76661', '48145'), ('76664', '48309'), ('76665', '48035'), ('76666', '48217'), ('76667', '48293'),
+  ('76670', '48139'), ('76671', '48035'), ('76673', '48217'), ('76676', '48217'), ('76678', '48293'), ('76679', '48349'), ('76680', '48145'), ('76681', '48349'),
+  ('76682', '48309'), ('76684', '48309'), ('76685', '48145'), ('76686', '48293'), ('76687', '48293'), ('76689', '48035'), ('76690', '48035'), ('76691', '48309'),
+  ('76692', '48217'), ('76693', '48161'), ('76701', '48309'), ('76702', '48309'), ('76703', '48309'), ('76704', '48309'), ('76705', '48309'), ('76706', '48309'),
+  ('76707', '48309'), ('76708', '48309'), ('76710', '48309'), ('76711', '48309'), ('76712', '48309'), ('76714', '48309'), ('76715', '48309'), ('76716', '48309'),
+  ('76797', '48309'), ('76798', '48309'), ('76799', '48309'), ('76801', '48049'), ('76802', '48049'), ('76803', '48049'), ('76804', '48049'), ('76820', '48319'),
+  ('76821', '48399'), ('76823', '48049'), ('76824', '48411'), ('76825', '48307'), ('76827', '48049'), ('76828', '48083'), ('76831', '48299'), ('76832', '48411'),
+  ('76834', '48083'), ('76836', '48307'), ('76837', '48095'), ('76841', '48327'), ('76842', '48319'), ('76844', '48333'), ('76845', '48083'), ('76848', '48327'),
+  ('76849', '48267'), ('76852', '48307'), ('76853', '48281'), ('76854', '48267'), ('76855', '48095'), ('76856', '48319'), ('76857', '48049'), ('76858', '48307'),
+  ('76859', '48327'), ('76861', '48399'), ('76862', '48095'), ('76864', '48333'), ('76865', '48399'), ('76866', '48095'), ('76869', '48319'), ('76870', '48333'),
+  ('76871', '48411'), ('76872', '48307'), ('76873', '48083'), ('76874', '48267'), ('76875', '48399'), ('76877', '48411'), ('76878', '48083'), ('76880', '48333'),
+  ('76882', '48083'), ('76883', '48137'), ('76884', '48083'), ('76885', '48299'), ('76886', '48451'), ('76887', '48307'), ('76888', '48083'), ('76890', '48049'),
+  ('76901', '48451'), ('76902', '48451'), ('76903', '48451'), ('76904', '48451'), ('76905', '48451'), ('76906', '48451'), ('76908', '48451'), ('76909', '48451'),
+  ('76930', '48235'), ('76932', '48383'), ('76933', '48081'), ('76934', '48451'), ('76935', '48451'), ('76936', '48413'), ('76937', '48451'), ('76939', '48451'),
+  ('76940', '48451'), ('76941', '48235'), ('76943', '48105'), ('76945', '48081'), ('76949', '48081'), ('76950', '48435'), ('76951', '48431'), ('76953', '48081'),
+  ('76955', '48451'), ('76957', '48451'), ('76958', '48451'), ('77001', '48201'), ('77002', '48201'), ('77003', '48201'), ('77004', '48201'), ('77005', '48201'),
+  ('77006', '48201'), ('77007', '48201'), ('77008', '48201'), ('77009', '48201'), ('77010', '48201'), ('77011', '48201'), ('77012', '48201'), ('77013', '48201'),
+  ('77014', '48201'), ('77015', '48201'), ('77016', '48201'), ('77017', '48201'), ('77018', '48201'), ('77019', '48201'), ('77020', '48201'), ('77021', '48201'),
+  ('77022', '48201'), ('77023', '48201'), ('77024', '48201'), ('77025', '48201'), ('77026', '48201'), ('77027', '48201'), ('77028', '48201'), ('77029', '48201'),
+  ('77030', '48201'), ('77031', '48201'), ('77032', '48201'), ('77033', '48201'), ('77034', '48201'), ('77035', '48201'), ('77036', '48201'), ('77037', '48201'),
+  ('77038', '48201'), ('77039', '48201'), ('77040', '48201'), ('77041', '48201'), ('77042', '48201'), ('77043', '48201'), ('77044', '48201'), ('77045', '48201'),
+  ('77046', '48201'), ('77047', '48201'), ('77048', '48201'), ('77049', '48201'), ('77050', '48201'), ('77051', '48201'), ('77052', '48201'), ('77053', '48201'),
+  ('77054', '48201'), ('77055', '48201'), ('77056', '48201'), ('77057', '48201'), ('77058', '48201'), ('77059', '48201'), ('77060', '48201'), ('77061', '48201'),
+  ('77062', '48201'), ('77063', '48201'), ('77064', '48201'), ('77065', '48201'), ('77066', '48201'), ('77067', '48201'), ('77068', '48201'), ('77069', '48201'),
+  ('77070', '48201'), ('77071', '48201'), ('77072', '48201'), ('77073', '48201'), ('77074', '48201'), ('77075', '48201'), ('77076', '48201'), ('77077', '48201'),
+  ('77078', '48201'), ('77079', '48201'), ('77080', '48201'), ('77081', '48201'), ('77082', '48201'), ('77083', '48201'), ('77084', '48201'), ('77085', '48201'),
+  ('77086', '48201'), ('77087', '48201'), ('77088', '48201'), ('77089', '48201'), ('77090', '48201'), ('77091', '48201'), ('77092', '48201'), ('77093', '48201'),
+  ('77094', '48201'), ('77095', '48201'), ('77096', '48201'), ('77098', '48201'), ('77099', '48201'), ('77201', '48201'), ('77202', '48201'), ('77203', '48201'),
+  ('77204', '48201'), ('77205', '48201'), ('77206', '48201'), ('77207', '48201'), ('77208', '48201'), ('77209', '48201'), ('77210', '48201'), ('77212', '48201'),
+  ('77213', '48201'), ('77215', '48201'), ('77216', '48201'), ('77217', '48201'), ('77218', '48201'), ('77219', '48201'), ('77220', '48201'), ('77221', '48201'),
+  ('77222', '48201'), ('77223', '48201'), ('77224', '48201'), ('77225', '48201'), ('77226', '48201'), ('77227', '48201'), ('77228', '48201'), ('77229', '48201'),
+  ('77230', '48201'), ('77231', '48201'), ('77233', '48201'), ('77234', '48201'), ('77235', '48201'), ('77236', '48201'), ('77237', '48201'), ('77238', '48201'),
+  ('77240', '48201'), ('77241', '48201'), ('77242', '48201'), ('77243', '48201'), ('77244', '48201'), ('77245', '48201'), ('77248', '48201'), ('77249', '48201'),
+  ('77251', '48201'), ('77252', '48201'), ('77253', '48201'), ('77254', '48201'), ('77255', '48201'), ('77256', '48201'), ('77257', '48201'), ('77258', '48201'),
+  ('77259', '48201'), ('77261', '48201'), ('77262', '48201'), ('77263', '48201'), ('77265', '48201'), ('77266', '48201'), ('77267', '48201'), ('77268', '48201'),
+  ('77269', '48201'), ('77270', '48201'), ('77271', '48201'), ('77272', '48201'), ('77273', '48201'), ('77274', '48201'), ('77275', '48201'), ('77277', '48201'),
+  ('77279', '48201'), ('77280', '48201'), ('77282', '48201'), ('77284', '48201'), ('77287', '48201'), ('77288', '48201'), ('77289', '48201'), ('77290', '48201'),
+  ('77291', '48201'), ('77292', '48201'), ('77293', '48201'), ('77297', '48201'), ('77299', '48201'), ('77301', '48339'), ('77302', '48339'), ('77303', '48339'),
+  ('77304', '48339'), ('77305', '48339'), ('77306', '48339'), ('77315', '48201'), ('77316', '48339'), ('77318', '48339'), ('77320', '48471'), ('77325', '48201'),
+  ('77326', '48373'), ('77327', '48291'), ('77328', '48291'), ('77331', '48407'), ('77332', '48373'), ('77333', '48339'), ('77334', '48471'), ('77335', '48373'),
+  ('77336', '48201'), ('77337', '48201'), ('77338', '48201'), ('77339', '48201'), ('77340', '48471'), ('77341', '48471'), ('77342', '48471'), ('77343', '48471'),
+  ('77344', '48471'), ('77345', '48201'), ('77346', '48201'), ('77347', '48201'), ('77348', '48471'), ('77349', '48471'), ('77350', '48373'), ('77351', '48373'),
+  ('77353', '48339'), ('77354', '48339'), ('77355', '48339'), ('77356', '48339'), ('77357', '48339'), ('77358', '48471'), ('77359', '48407'), ('77360', '48373'),
+  ('77362', '48339'), ('77363', '48185'), ('77364', '48407'), ('77365', '48339'), ('77367', '48471'), ('77368', '48291'), ('77369', '48291'), ('77371', '48407'),
+  ('77372', '48339'), ('77373', '48201'), ('77374', '48199'), ('77375', '48201'), ('77376', '48199'), ('77377', '48201'), ('77378', '48339'), ('77379', '48201'),
+  ('77380', '48339'), ('77381', '48339'), ('77382', '48339'), ('77383', '48201'), ('77384', '48339'), ('77385', '48339'), ('77386', '48339'), ('77387', '48339'),
+  ('77388', '48201'), ('77389', '48201'), ('77391', '48201'), ('77393', '48339'), ('77396', '48201'), ('77399', '48373'), ('77401', '48201'), ('77402', '48201'),
+  ('77404', '48321'), ('77406', '48157'), ('77407', '48157'), ('77410', '48201'), ('77411', '48201'), ('77412', '48089'), ('77413', '48201'), ('77414', '48321'),
+  ('77415', '48321'), ('77417', '48157'), ('77418', '48015'), ('77419', '48321'), ('77420', '48481'), ('77422', '48039'), ('77423', '48473'), ('77426', '48477'),
+  ('77428', '48321'), ('77429', '48201'), ('77430', '48039'), ('77431', '48039'), ('77432', '48481'), ('77433', '48201'), ('77434', '48089'), ('77435', '48481'),
+  ('77436', '48481'), ('77437', '48481'), ('77440', '48321'), ('77441', '48157'), ('77442', '48089'), ('77443', '48481'), ('77444', '48157'), ('77445', '48473'),
+  ('77446', '48473'), ('77447', '48201'), ('77448', '48481'), ('77449', '48201'), ('77450', '48201'), ('77451', '48157'), ('77452', '48015'), ('77453', '48481'),
+  ('77454', '48481'), ('77455', '48481'), ('77456', '48321'), ('77457', '48321'), ('77458', '48321'), ('77459', '48157'), ('77460', '48089'), ('77461', '48157'),
+  ('77463', '48039'), ('77464', '48157'), ('77465', '48321'), ('77466', '48473'), ('77467', '48481'), ('77468', '48321'), ('77469', '48157'), ('77470', '48089'),
+  ('77471', '48157'), ('77473', '48015'), ('77474', '48015'), ('77475', '48089'), ('77476', '48157'), ('77477', '48157'), ('77478', '48157'), ('77479', '48157'),
+  ('77480', '48039'), ('77481', '48157'), ('77482', '48321'), ('77483', '48321'), ('77484', '48473'), ('77485', '48015'), ('77486', '48039'), ('77487', '48157'),
+  ('77488', '48481'), ('77489', '48157'), ('77491', '48201'), ('77492', '48201'), ('77493', '48201'), ('77494', '48201'), ('77496', '48157'), ('77497', '48157'),
+  ('77498', '48157'), ('77501', '48201'), ('77502', '48201'), ('77503', '48201'), ('77504', '48201'), ('77505', '48201'), ('77506', '48201'), ('77507', '48201'),
+  ('77508', '48201'), ('77510', '48167'), ('77511', '48039'), ('77512', '48039'), ('77514', '48071'), ('77515', '48039'), ('77516', '48039'), ('77517', '48167'),
+  ('77518', '48167'), ('77519', '48199'), ('77520', '48201'), ('77521', '48201'), ('77522', '48201'), ('77523', '48071'), ('77530', '48201'), ('77531', '48039'),
+  ('77532', '48201'), ('77533', '48291'), ('77534', '48039'), ('77535', '48291'), ('77536', '48201'), ('77538', '48291'), ('77539', '48167'), ('77541', '48039'),
+  ('77542', '48039'), ('77545', '48157'), ('77546', '48167'), ('77547', '48201'), ('77549', '48167'), ('77550', '48167'), ('77551', '48167'), ('77552', '48167'),
+  ('77553', '48167'), ('77554', '48167'), ('77555', '48167'), ('77560', '48071'), ('77561', '48291'), ('77562', '48201'), ('77563', '48167'), ('77564', '48291'),
+  ('77565', '48167'), ('77566', '48039'), ('77568', '48167'), ('77571', '48201'), ('77572', '48201'), ('77573', '48167'), ('77574', '48167'), ('77575', '48291'),
+  ('77577', '48039'), ('77578', '48039'), ('77580', '48071'), ('77581', '48039'), ('77582', '48291'), ('77583', '48039'), ('77584', '48039'), ('77585', '48199'),
+  ('77586', '48201'), ('77587', '48201'), ('77588', '48039'), ('77590', '48167'), ('77591', '48167'), ('77592', '48167'), ('77597', '48071'), ('77598', '48201'),
+  ('77611', '48361'), ('77612', '48241'), ('77613', '48245'), ('77614', '48351'), ('77615', '48241'), ('77616', '48457'), ('77617', '48167'), ('77619', '48245'),
+  ('77622', '48245'), ('77623', '48167'), ('77624', '48457'), ('77625', '48199'), ('77626', '48361'), ('77627', '48245'), ('77629', '48245'), ('77630', '48361'),
+  ('77631', '48361'), ('77632', '48361'), ('77639', '48361'), ('77640', '48245'), ('77641', '48245'), ('77642', '48245'), ('77643', '48245'), ('77650', '48167'),
+  ('77651', '48245'), ('77655', '48245'), ('77656', '48199'), ('77657', '48199'), ('77659', '48199'), ('77660', '48457'), ('77661', '48071'), ('77662', '48361'),
+  ('77663', '48199'), ('77664', '48457'), ('77665', '48071'), ('77670', '48361'), ('77701', '48245'), ('77702', '48245'), ('77703', '48245'), ('77704', '48245'),
+  ('77705', '48245'), ('77706', '48245'), ('77707', '48245'), ('77708', '48245'), ('77710', '48245'), ('77713', '48245'), ('77720', '48245'), ('77725', '48245'),
+  ('77726', '48245'), ('77801', '48041'), ('77802', '48041'), ('77803', '48041'), ('77805', '48041'), ('77806', '48041'), ('77807', '48041'), ('77808', '48041'),
+  ('77830', '48185'), ('77831', '48185'), ('77833', '48477'), ('77834', '48477'), ('77835', '48477'), ('77836', '48051'), ('77837', '48395'), ('77838', '48051'),
+  ('77840', '48041'), ('77841', '48041'), ('77842', '48041'), ('77843', '48041'), ('77844', '48041'), ('77845', '48041'), ('77850', '48289'), ('77852', '48051'),
+  ('77853', '48287'), ('77855', '48289'), ('77856', '48395'), ('77857', '48331'), ('77859', '48395'), ('77861', '48185'), ('77862', '48041'), ('77863', '48051'),
+  ('77864', '48313'), ('77865', '48289'), ('77866', '48041'), ('77867', '48395'), ('77868', '48185'), ('77870', '48395'), ('77871', '48289'), ('77872', '48313'),
+  ('77873', '48185'), ('77875', '48185'), ('77876', '48185'), ('77878', '48051'), ('77879', '48051'), ('77880', '48477'), ('77881', '48041'), ('77882', '48395'),
+  ('77901', '48469'), ('77902', '48469'), ('77903', '48469'), ('77904', '48469'), ('77905', '48469'), ('77950', '48391'), ('77951', '48469'), ('77954', '48123'),
+  ('77957', '48239'), ('77960', '48175'), ('77961', '48239'), ('77962', '48239'), ('77963', '48175'), ('77964', '48285'), ('77967', '48123'), ('77968', '48469'),
+  ('77969', '48239'), ('77970', '48239'), ('77971', '48239'), ('77973', '48469'), ('77974', '48123'), ('77975', '48285'), ('77976', '48469'), ('77977', '48469'),
+  ('77978', '48057'), ('77979', '48057'), ('77982', '48057'), ('77983', '48057'), ('77984', '48285'), ('77986', '48285'), ('77987', '48285'), ('77988', '48469'),
+  ('77989', '48123'), ('77990', '48391'), ('77991', '48239'), ('77993', '48175'), ('77994', '48123'), ('77995', '48285'), ('78001', '48283'), ('78002', '48029'),
+  ('78003', '48019'), ('78004', '48259'), ('78005', '48163'), ('78006', '48259'), ('78007', '48311'), ('78008', '48013'), ('78009', '48325'), ('78010', '48265'),
+  ('78011', '48013'), ('78012', '48013'), ('78013', '48259'), ('78014', '48283'), ('78015', '48029'), ('78016', '48325'), ('78017', '48163'), ('78019', '48283'),
+  ('78021', '48283'), ('78022', '48297'), ('78023', '48029'), ('78024', '48265'), ('78025', '48265'), ('78026', '48013'), ('78027', '48259'), ('78028', '48265'),
+  ('78029', '48265'), ('78039', '48325'), ('78040', '48479'), ('78041', '48479'), ('78042', '48479'), ('78043', '48479'), ('78044', '48479'), ('78045', '48479'),
+  ('78046', '48479'), ('78050', '48013'), ('78052', '48013'), ('78054', '48029'), ('78055', '48019'), ('78056', '48325'), ('78057', '48163'), ('78058', '48265'),
+  ('78059', '48325'), ('78060', '48297'), ('78061', '48163'), ('78062', '48013'), ('78063', '48019'), ('78064', '48013'), ('78065', '48013'), ('78066', '48325'),
+  ('78067', '48505'), ('78069', '48029'), ('78070', '48091'), ('78071', '48297'), ('78072', '48311'), ('78073', '48029'), ('78074', '48259'), ('78075', '48297'),
+  ('78076', '48505'), ('78101', '48029'), ('78102', '48025'), ('78104', '48025'), ('78107', '48175'), ('78108', '48187'), ('78109', '48029'), ('78111', '48255'),
+  ('78112', '48029'), ('78113', '48255'), ('78114', '48493'), ('78115', '48187'), ('78116', '48255'), ('78117', '48255'), ('78118', '48255'), ('78119', '48255'),
+  ('78121', '48493'), ('78122', '48177'), ('78123', '48187'), ('78124', '48187'), ('78125', '48025'), ('78130', '48091'), ('78131', '48091'), ('78132', '48091'),
+  ('78133', '48091'), ('78135', '48091'), ('78140', '48177'), ('78141', '48123'), ('78142', '48025'), ('78143', '48493'), ('78144', '48255'), ('78145', '48025'),
+  ('78146', '48025'), ('78147', '48493'), ('78148', '48029'), ('78150', '48029'), ('78151', '48255'), ('78152', '48029'), ('78154', '48187'), ('78155', '48187'),
+  ('78156', '48187'), ('78159', '48177'), ('78160', '48493'), ('78161', '48493'), ('78162', '48025'), ('78163', '48091'), ('78164', '48123'), ('78201', '48029'),
+  ('78202', '48029'), ('78203', '48029'), ('78204', '48029'), ('78205', '48029'), ('78206', '48029'), ('78207', '48029'), ('78208', '48029'), ('78209', '48029'),
+  ('78210', '48029'), ('78211', '48029'), ('78212', '48029'), ('78213', '48029'), ('78214', '48029'), ('78215', '48029'), ('78216', '48029'), ('78217', '48029'),
+  ('78218', '48029'), ('78219', '48029'), ('78220', '48029'), ('78221', '48029'), ('78222', '48029'), ('78223', '48029'), ('78224', '48029'), ('78225', '48029'),
+  ('78226', '48029'), ('78227', '48029'), ('78228', '48029'), ('78229', '48029'), ('78230', '48029'), ('78231', '48029'), ('78232', '48029'), ('78233', '48029'),
+  ('78234', '48029'), ('78235', '48029'), ('78236', '48029'), ('78237', '48029'), ('78238', '48029'), ('78239', '48029'), ('78240', '48029'), ('78241', '48029'),
+  ('78242', '48029'), ('78243', '48029'), ('78244', '48029'), ('78245', '48029'), ('78246', '48029'), ('78247', '48029'), ('78248', '48029'), ('78249', '48029'),
+  ('78250', '48029'), ('78251', '48029'), ('78252', '48029'), ('78253', '48029'), ('78254', '48029'), ('78255', '48029'), ('78256', '48029'), ('78257', '48029'),
+  ('78258', '48029'), ('78259', '48029'), ('78260', '48029'), ('78261', '48029'), ('78263', '48029'), ('78264', '48029'), ('78265', '48029'), ('78266', '48091'),
+  ('78268', '48029'), ('78269', '48029'), ('78270', '48029'), ('78278', '48029'), ('78279', '48029'), ('78280', '48029'), ('78283', '48029'), ('78284', '48029'),
+  ('78285', '48029'), ('78288', '48029'), ('78289', '48029'), ('78291', '48029'), ('78292', '48029'), ('78293', '48029'), ('78294', '48029'), ('78295', '48029'),
+  ('78296', '48029'), ('78297', '48029'), ('78298', '48029'), ('78299', '48029'), ('78330', '48355'), ('78332', '48249'), ('78333', '48249'), ('78335', '48355'),
+  ('78336', '48409'), ('78338', '48261'), ('78339', '48355'), ('78340', '48391'), ('78341', '48131'), ('78342', '48249'), ('78343', '48355'), ('78344', '48479'),
+  ('78347', '48355'), ('78349', '48131'), ('78350', '48297'), ('78351', '48355'), ('78352', '48409'), ('78353', '48047'), ('78355', '48047'), ('78357', '48131'),
+  ('78358', '48007'), ('78359', '48409'), ('78360', '48247'), ('78361', '48247'), ('78362', '48409'), ('78363', '48273'), ('78364', '48273'), ('78368', '48409'),
+  ('78369', '48479'), ('78370', '48409'), ('78371', '48479'), ('78372', '48249'), ('78373', '48355'), ('78374', '48409'), ('78375', '48249'), ('78376', '48131'),
+  ('78377', '48391'), ('78379', '48273'), ('78380', '48355'), ('78381', '48007'), ('78382', '48007'), ('78383', '48249'), ('78384', '48131'), ('78385', '48261'),
+  ('78387', '48409'), ('78389', '48025'), ('78390', '48409'), ('78391', '48025'), ('78393', '48391'), ('78401', '48355'), ('78402', '48355'), ('78403', '48355'),
+  ('78404', '48355'), ('78405', '48355'), ('78406', '48355'), ('78407', '48355'), ('78408', '48355'), ('78409', '48355'), ('78410', '48355'), ('78411', '48355'),
+  ('78412', '48355'), ('78413', '48355'), ('78414', '48355'), ('78415', '48355'), ('78416', '48355'), ('78417', '48355'), ('78418', '48355'), ('78419', '48355'),
+  ('78426', '48355'), ('78427', '48355'), ('78460', '48355'), ('78463', '48355'), ('78465', '48355'), ('78466', '48355'), ('78467', '48355'), ('78468', '48355'),
+  ('78469', '48355'), ('78472', '48355'), ('78480', '48355'), ('78501', '48215'), ('78502', '48215'), ('78503', '48215'), ('78504', '48215'), ('78505', '48215'),
+  ('78516', '48215'), ('78520', '48061'), ('78521', '48061'), ('78522', '48061'), ('78523', '48061'), ('78526', '48061'), ('78535', '48061'), ('78536', '48427'),
+  ('78537', '48215'), ('78538', '48215'), ('78539', '48215'), ('78540', '48215'), ('78541', '48215'), ('78542', '48215'), ('78543', '48215'), ('78545', '48427'),
+  ('78547', '48427'), ('78548', '48427'), ('78549', '48215'), ('78550', '48061'), ('78551', '48061'), ('78552', '48061'), ('78553', '48061'), ('78557', '48215'),
+  ('78558', '48215'), ('78559', '48061'), ('78560', '48215'), ('78561', '48489'), ('78562', '48215'), ('78563', '48215'), ('78564', '48505'), ('78565', '48215'),
+  ('78566', '48061'), ('78567', '48061'), ('78568', '48061'), ('78569', '48489'), ('78570', '48215'), ('78572', '48215'), ('78573', '48215'), ('78574', '48215'),
+  ('78575', '48061'), ('78576', '48215'), ('78577', '48215'), ('78578', '48061'), ('78579', '48215'), ('78580', '48489'), ('78582', '48427'), ('78583', '48061'),
+  ('78584', '48427'), ('78585', '48427'), ('78586', '48061'), ('78588', '48427'), ('78589', '48215'), ('78590', '48489'), ('78591', '48427'), ('78592', '48061'),
+  ('78593', '48061'), ('78594', '48489'), ('78595', '48215'), ('78596', '48215'), ('78597', '48061'), ('78598', '48489'), ('78599', '48215'), ('78602', '48021'),
+  ('78604', '48177'), ('78605', '48053'), ('78606', '48031'), ('78607', '48299'), ('78608', '48053'), ('78609', '48299'), ('78610', '48209'), ('78611', '48053'),
+  ('78612', '48021'), ('78613', '48491'), ('78614', '48177'), ('78615', '48491'), ('78616', '48055'), ('78617', '48453'), ('78618', '48171'), ('78619', '48209'),
+  ('78620', '48209'), ('78621', '48021'), ('78622', '48055'), ('78623', '48091'), ('78624', '48171'), ('78626', '48491'), ('78627', '48491'), ('78628', '48491'),
+  ('78629', '48177'), ('78630', '48491'), ('78631', '48171'), ('78632', '48177'), ('78633', '48491'), ('78634', '48491'), ('78635', '48031'), ('78636', '48031'),
+  ('78638', '48187'), ('78639', '48299'), ('78640', '48209'), ('78641', '48491'), ('78642', '48491'), ('78643', '48299'), ('78644', '48055'), ('78645', '48453'),
+  ('78646', '48491'), ('78648', '48055'), ('78650', '48021'), ('78651', '48453'), ('78652', '48453'), ('78653', '48453'), ('78654', '48053'), ('78655', '48055'),
+  ('78656', '48055'), ('78657', '48299'), ('78658', '48177'), ('78659', '48021'), ('78660', '48453'), ('78661', '48055'), ('78662', '48021'), ('78663', '48031'),
+  ('78664', '48491'), ('78665', '48491'), ('78666', '48209'), ('78667', '48209'), ('78669', '48453'), ('78670', '48187'), ('78671', '48171'), ('78672', '48299'),
+  ('78673', '48491'), ('78674', '48491'), ('78675', '48171'), ('78676', '48209'), ('78677', '48177'), ('78680', '48491'), ('78681', '48491'), ('78682', '48491'),
+  ('78683', '48491'), ('78691', '48453'), ('78701', '48453'), ('78702', '48453'), ('78703', '48453'), ('78704', '48453'), ('78705', '48453'), ('78708', '48453'),
+  ('78709', '48453'), ('78710', '48453'), ('78711', '48453'), ('78712', '48453'), ('78713', '48453'), ('78714', '48453'), ('78715', '48453'), ('78716', '48453'),
+  ('78717', '48491'), ('78718', '48453'), ('78719', '48453'), ('78720', '48453'), ('78721', '48453'), ('78722', '48453'), ('78723', '48453'), ('78724', '48453'),
+  ('78725', '48453'), ('78726', '48453'), ('78727', '48453'), ('78728', '48453'), ('78729', '48491'), ('78730', '48453'), ('78731', '48453'), ('78732', '48453'),
+  ('78733', '48453'), ('78734', '48453'), ('78735', '48453'), ('78736', '48453'), ('78737', '48453'), ('78738', '48453'), ('78739', '48453'), ('78741', '48453'),
+  ('78742', '48453'), ('78744', '48453'), ('78745', '48453'), ('78746', '48453'), ('78747', '48453'), ('78748', '48453'), ('78749', '48453'), ('78750', '48453'),
+  ('78751', '48453'), ('78752', '48453'), ('78753', '48453'), ('78754', '48453'), ('78755', '48453'), ('78756', '48453'), ('78757', '48453'), ('78758', '48453'),
+  ('78759', '48453'), ('78760', '48453'), ('78761', '48453'), ('78762', '48453'), ('78763', '48453'), ('78764', '48453'), ('78765', '48453'), ('78766', '48453'),
+  ('78767', '48453'), ('78768', '48453'), ('78769', '48453'), ('78772', '48453'), ('78773', '48453'), ('78774', '48453'), ('78778', '48453'), ('78779', '48453'),
+  ('78783', '48453'), ('78799', '48453'), ('78801', '48463'), ('78802', '48463'), ('78827', '48127'), ('78828', '48137'), ('78829', '48507'), ('78830', '48127'),
+  ('78832', '48271'), ('78833', '48385'), ('78834', '48127'), ('78836', '48127'), ('78837', '48465'), ('78838', '48463'), ('78839', '48507'), ('78840', '48465'),
+  ('78841', '48465'), ('78842', '48465'), ('78843', '48465'), ('78847', '48465'), ('78850', '48325'), ('78851', '48443'), ('78852', '48323'), ('78853', '48323'),
+  ('78860', '48323'), ('78861', '48325'), ('78870', '48463'), ('78871', '48465'), ('78872', '48507'), ('78873', '48385'), ('78877', '48323'), ('78879', '48385'),
+  ('78880', '48137'), ('78881', '48463'), ('78883', '48019'), ('78884', '48463'), ('78885', '48019'), ('78886', '48325'), ('78931', '48015'), ('78932', '48149'),
+  ('78933', '48015'), ('78934', '48089'), ('78935', '48089'), ('78938', '48149'), ('78940', '48149'), ('78941', '48149'), ('78942', '48287'), ('78943', '48089'),
+  ('78944', '48015'), ('78945', '48149'), ('78946', '48149'), ('78947', '48287'), ('78948', '48287'), ('78949', '48149'), ('78950', '48015'), ('78951', '48089'),
+  ('78952', '48149'), ('78953', '48021'), ('78954', '48149'), ('78956', '48149'), ('78957', '48021'), ('78959', '48177'), ('78960', '48149'), ('78961', '48149'),
+  ('78962', '48089'), ('78963', '48149'), ('79001', '48359'), ('79002', '48179'), ('79003', '48483'), ('79005', '48295'), ('79007', '48233'), ('79008', '48233'),
+  ('79009', '48369'), ('79010', '48359'), ('79011', '48483'), ('79012', '48375'), ('79013', '48341'), ('79014', '48211'), ('79015', '48381'), ('79016', '48381'),
+  ('79018', '48205'), ('79019', '48011'), ('79021', '48189'), ('79022', '48111'), ('79024', '48295'), ('79025', '48117'), ('79027', '48069'), ('79029', '48341'),
+  ('79031', '48279'), ('79032', '48189'), ('79033', '48357'), ('79034', '48295'), ('79035', '48369'), ('79036', '48233'), ('79039', '48065'), ('79040', '48195'),
+  ('79041', '48189'), ('79042', '48437'), ('79043', '48069'), ('79044', '48205'), ('79045', '48117'), ('79046', '48295'), ('79051', '48111'), ('79052', '48437'),
+  ('79053', '48369'), ('79054', '48179'), ('79056', '48295'), ('79057', '48179'), ('79058', '48341'), ('79059', '48393'), ('79061', '48483'), ('79062', '48195'),
+  ('79063', '48069'), ('79064', '48279'), ('79065', '48179'), ('79066', '48179'), ('79068', '48065'), ('79070', '48357'), ('79072', '48189'), ('79073', '48189'),
+  ('79077', '48087'), ('79078', '48233'), ('79079', '48483'), ('79080', '48065'), ('79081', '48195'), ('79082', '48279'), ('79083', '48233'), ('79084', '48421'),
+  ('79085', '48069'), ('79086', '48341'), ('79087', '48111'), ('79088', '48437'), ('79091', '48381'), ('79092', '48359'), ('79093', '48357'), ('79094', '48011'),
+  ('79095', '48087'), ('79096', '48483'), ('79097', '48065'), ('79098', '48359'), ('79101', '48375'), ('79102', '48375'), ('79103', '48375'), ('79104', '48375'),
+  ('79105', '48341'), ('79106', '48375'), ('79107', '48375'), ('79108', '48375'), ('79109', '48381'), ('79110', '48381'), ('79111', '48375'), ('79114', '48381'),
+  ('79116', '48375'), ('79117', '48375'), ('79118', '48381'), ('79119', '48381'), ('79120', '48375'), ('79121', '48381'), ('79124', '48375'), ('79159', '48375'),
+  ('79166', '48375'), ('79168', '48375'), ('79172', '48375'), ('79174', '48375'), ('79178', '48375'), ('79185', '48375'), ('79189', '48375'), ('79201', '48075'),
+  ('79220', '48125'), ('79221', '48153'), ('79223', '48101'), ('79225', '48197'), ('79226', '48129'), ('79227', '48155'), ('79229', '48125'), ('79230', '48087'),
+  ('79231', '48153'), ('79233', '48191'), ('79234', '48345'), ('79235', '48153'), ('79236', '48269'), ('79237', '48129'), ('79239', '48191'), ('79240', '48129'),
+  ('79241', '48153'), ('79243', '48125'), ('79244', '48345'), ('79245', '48191'), ('79247', '48487'), ('79248', '48101'), ('79250', '48189'), ('79251', '48087'),
+  ('79252', '48197'), ('79255', '48045'), ('79256', '48345'), ('79257', '48045'), ('79258', '48153'), ('79259', '48075'), ('79261', '48191'), ('79311', '48189'),
+  ('79312', '48279'), ('79313', '48219'), ('79314', '48079'), ('79316', '48445'), ('79322', '48107'), ('79323', '48501'), ('79324', '48017'), ('79325', '48369'),
+  ('79326', '48279'), ('79329', '48303'), ('79330', '48169'), ('79331', '48115'), ('79336', '48219'), ('79338', '48219'), ('79339', '48279'), ('79342', '48165'),
+  ('79343', '48107'), ('79344', '48017'), ('79345', '48445'), ('79346', '48079'), ('79347', '48017'), ('79350', '48303'), ('79351', '48305'), ('79353', '48219'),
+  ('79355', '48501'), ('79356', '48169'), ('79357', '48107'), ('79358', '48219'), ('79359', '48165'), ('79360', '48165'), ('79363', '48303'), ('79364', '48303'),
+  ('79366', '48303'), ('79367', '48219'), ('79369', '48279'), ('79370', '48125'), ('79371', '48279'), ('79372', '48219'), ('79373', '48305'), ('79376', '48501'),
+  ('79377', '48115'), ('79378', '48445'), ('79379', '48079'), ('79380', '48219'), ('79381', '48305'), ('79382', '48303'), ('79383', '48305'), ('79401', '48303'),
+  ('79402', '48303'), ('79403', '48303'), ('79404', '48303'), ('79406', '48303'), ('79407', '48303'), ('79408', '48303'), ('79409', '48303'), ('79410', '48303'),
+  ('79411', '48303'), ('79412', '48303'), ('79413', '48303'), ('79414', '48303'), ('79415', '48303'), ('79416', '48303'), ('79423', '48303'), ('79424', '48303'),
+  ('79430', '48303'), ('79452', '48303'), ('79453', '48303'), ('79457', '48303'), ('79464', '48303'), ('79490', '48303'), ('79491', '48303'), ('79493', '48303'),
+  ('79499', '48303'), ('79501', '48253'), ('79502', '48433'), ('79503', '48253'), ('79504', '48059'), ('79505', '48275'), ('79506', '48353'), ('79508', '48441'),
+  ('79510', '48059'), ('79511', '48227'), ('79512', '48335'), ('79516', '48415'), ('79517', '48415'), ('79518', '48263'), ('79519', '48083'), ('79520', '48253'),
+  ('79521', '48207'), ('79525', '48253'), ('79526', '48415'), ('79527', '48415'), ('79528', '48263'), ('79529', '48275'), ('79530', '48441'), ('79532', '48335'),
+  ('79533', '48253'), ('79534', '48151'), ('79535', '48353'), ('79536', '48441'), ('79537', '48353'), ('79538', '48083'), ('79539', '48207'), ('79540', '48433'),
+  ('79541', '48441'), ('79543', '48151'), ('79544', '48207'), ('79545', '48353'), ('79546', '48151'), ('79547', '48207'), ('79548', '48207'), ('79549', '48415'),
+  ('79550', '48415'), ('79553', '48253'), ('79556', '48353'), ('79560', '48151'), ('79561', '48441'), ('79562', '48441'), ('79563', '48441'), ('79565', '48335'),
+  ('79566', '48399'), ('79567', '48399'), ('79601', '48441'), ('79602', '48441'), ('79603', '48441'), ('79604', '48441'), ('79605', '48441'), ('79606', '48441'),
+  ('79607', '48441'), ('79608', '48441'), ('79697', '48441'), ('79698', '48441'), ('79699', '48441'), ('79701', '48329'), ('79702', '48329'), ('79703', '48329'),
+  ('79704', '48329'), ('79705', '48329'), ('79706', '48329'), ('79707', '48329'), ('79708', '48329'), ('79710', '48329'), ('79711', '48329'), ('79712', '48329'),
+  ('79713', '48115'), ('79714', '48003'), ('79718', '48389'), ('79719', '48475'), ('79720', '48227'), ('79721', '48227'), ('79730', '48371'), ('79731', '48103'),
+  ('79733', '48227'), ('79734', '48243'), ('79735', '48371'), ('79738', '48033'), ('79739', '48173'), ('79740', '48371'), ('79741', '48135'), ('79742', '48475'),
+  ('79743', '48371'), ('79744', '48371'), ('79745', '48495'), ('79748', '48227'), ('79749', '48317'), ('79752', '48461'), ('79754', '48301'), ('79755', '48461'),
+  ('79756', '48475'), ('79758', '48135'), ('79759', '48135'), ('79760', '48135'), ('79761', '48135'), ('79762', '48135'), ('79763', '48135'), ('79764', '48135'),
+  ('79765', '48135'), ('79766', '48135'), ('79768', '48135'), ('79769', '48135'), ('79770', '48389'), ('79772', '48389'), ('79776', '48135'), ('79777', '48475'),
+  ('79778', '48461'), ('79780', '48389'), ('79781', '48371'), ('79782', '48317'), ('79783', '48317'), ('79785', '48389'), ('79786', '48389'), ('79788', '48475'),
+  ('79789', '48495'), ('79821', '48141'), ('79830', '48043'), ('79831', '48043'), ('79832', '48043'), ('79834', '48043'), ('79835', '48141'), ('79836', '48141'),
+  ('79837', '48229'), ('79838', '48141'), ('79839', '48229'), ('79842', '48043'), ('79843', '48377'), ('79845', '48377'), ('79846', '48377'), ('79847', '48229'),
+  ('79848', '48443'), ('79849', '48141'), ('79851', '48229'), ('79852', '48043'), ('79853', '48141'), ('79854', '48243'), ('79855', '48109'), ('79901', '48141'),
+  ('79902', '48141'), ('79903', '48141'), ('79904', '48141'), ('79905', '48141'), ('79906', '48141'), ('79907', '48141'), ('79908', '48141'), ('79910', '48141'),
+  ('79911', '48141'), ('79912', '48141'), ('79913', '48141'), ('79914', '48141'), ('79915', '48141'), ('79916', '48141'), ('79917', '48141'), ('79918', '48141'),
+  ('79920', '48141'), ('79922', '48141'), ('79923', '48141'), ('79924', '48141'), ('79925', '48141'), ('79926', '48141'), ('79927', '48141'), ('79928', '48141'),
+  ('79929', '48141'), ('79930', '48141'), ('79931', '48141'), ('79932', '48141'), ('79934', '48141'), ('79935', '48141'), ('79936', '48141'), ('79937', '48141'),
+  ('79938', '48141'), ('79940', '48141'), ('79941', '48141'), ('79942', '48105'), ('79943', '48141'), ('79944', '48141'), ('79945', '48141'), ('79946', '48141'),
+  ('79947', '48141'), ('79948', '48141'), ('79949', '48141'), ('79950', '48141'), ('79951', '48141'), ('79952', '48141'), ('79953', '48141'), ('79954', '48141'),
+  ('79955', '48141'), ('79958', '48141'), ('79960', '48141'), ('79961', '48141'), ('79968', '48141'), ('79976', '48141'), ('79978', '48141'), ('79980', '48141'),
+  ('79990', '48141'), ('79995', '48141'), ('79996', '48141'), ('79997', '48141'), ('79998', '48141'), ('79999', '48141'), ('85001', '04013'), ('85002', '04013'),
+  ('85003', '04013'), ('85004', '04013'), ('85005', '04013'), ('85006', '04013'), ('85007', '04013'), ('85008', '04013'), ('85009', '04013'), ('85010', '04013'),
+  ('85011', '04013'), ('85012', '04013'), ('85013', '04013'), ('85014', '04013'), ('85015', '04013'), ('85016', '04013'), ('85017', '04013'), ('85018', '04013'),
+  ('85019', '04013'), ('85020', '04013'), ('85021', '04013'), ('85022', '04013'), ('85023', '04013'), ('85024', '04013'), ('85025', '04013'), ('85026', '04013'),
+  ('85027', '04013'), ('85028', '04013'), ('85029', '04013'), ('85030', '04013'), ('85031', '04013'), ('85032', '04013'), ('85033', '04013'), ('85034', '04013'),
+  ('85035', '04013'), ('85036', '04013'), ('85037', '04013'), ('85038', '04013'), ('85039', '04013'), ('85040', '04013'), ('85041', '04013'), ('85042', '04013'),
+  ('85043', '04013'), ('85044', '04013'), ('85045', '04013'), ('85046', '04013'), ('85048', '04013'), ('85050', '04013'), ('85051', '04013'), ('85053', '04013'),
+  ('85054', '04013'), ('85060', '04013'), ('85061', '04013'), ('85062', '04013'), ('85063', '04013'), ('85064', '04013'), ('85065', '04013'), ('85066', '04013'),
+  ('85067', '04013'), ('85068', '04013'), ('85069', '04013'), ('85070', '04013'), ('85071', '04013'), ('85072', '04013'), ('85073', '04013'), ('85074', '04013'),
+  ('85075', '04013'), ('85076', '04013'), ('85078', '04013'), ('85079', '04013'), ('85080', '04013'), ('85082', '04013'), ('85083', '04013'), ('85085', '04013'),
+  ('85086', '04013'), ('85087', '04013'), ('85097', '04013'), ('85098', '04013'), ('85117', '04021'), ('85118', '04021'), ('85119', '04021'), ('85120', '04021'),
+  ('85121', '04021'), ('85122', '04021'), ('85123', '04021'), ('85127', '04013'), ('85128', '04021'), ('85130', '04021'), ('85131', '04021'), ('85132', '04021'),
+  ('85135', '04007'), ('85137', '04021'), ('85138', '04021'), ('85139', '04021'), ('85140', '04021'), ('85141', '04021'), ('85142', '04013'), ('85143', '04021'),
+  ('85144', '04021'), ('85145', '04021'), ('85147', '04021'), ('85172', '04021'), ('85173', '04021'), ('85178', '04021'), ('85190', '04013'), ('85191', '04021'),
+  ('85192', '04007'), ('85193', '04021'), ('85194', '04021'), ('85201', '04013'), ('85202', '04013'), ('85203', '04013'), ('85204', '04013'), ('85205', '04013'),
+  ('85206', '04013'), ('85207', '04013'), ('85208', '04013'), ('85209', '04013'), ('85210', '04013'), ('85211', '04013'), ('85212', '04013'), ('85213', '04013'),
+  ('85214', '04013'), ('85215', '04013'), ('85216', '04013'), ('85224', '04013'), ('85225', '04013'), ('85226', '04013'), ('85233', '04013'), ('85234', '04013'),
+  ('85236', '04013'), ('85244', '04013'), ('85246', '04013'), ('85248', '04013'), ('85249', '04013'), ('85250', '04013'), ('85251', '04013'), ('85252', '04013'),
+  ('85253', '04013'), ('85254', '04013'), ('85255', '04013'), ('85256', '04013'), ('85257', '04013'), ('85258', '04013'), ('85259', '04013'), ('85260', '04013'),
+  ('85261', '04013'), ('85262', '04013'), ('85263', '04013'), ('85264', '04013'), ('85266', '04013'), ('85267', '04013'), ('85268', '04013'), ('85269', '04013'),
+  ('85271', '04013'), ('85274', '04013'), ('85275', '04013'), ('85277', '04013'), ('85280', '04013'), ('85281', '04013'), ('85282', '04013'), ('85283', '04013'),
+  ('85284', '04013'), ('85285', '04013'), ('85286', '04013'), ('85287', '04013'), ('85288', '04013'), ('85295', '04013'), ('85296', '04013'), ('85297', '04013'),
+  ('85298', '04013'), ('85299', '04013'), ('85301', '04013'), ('85302', '04013'), ('85303', '04013'), ('85304', '04013'), ('85305', '04013'), ('85306', '04013'),
+  ('85307', '04013'), ('85308', '04013'), ('85309', '04013'), ('85310', '04013'), ('85311', '04013'), ('85312', '04013'), ('85318', '04013'), ('85320', '04013'),
+  ('85321', '04019'), ('85322', '04013'), ('85323', '04013'), ('85324', '04025'), ('85325', '04012'), ('85326', '04013'), ('85327', '04013'), ('85328', '04012'),
+  ('85329', '04013'), ('85331', '04013'), ('85332', '04025'), ('85333', '04027'), ('85334', '04012'), ('85335', '04013'), ('85336', '04027'), ('85337', '04013'),
+  ('85338', '04013'), ('85339', '04013'), ('85340', '04013'), ('85341', '04019'), ('85342', '04013'), ('85343', '04013'), ('85344', '04012'), ('85345', '04013'),
+  ('85346', '04012'), ('85347', '04027'), ('85348', '04012'), ('85349', '04027'), ('85350', '04027'), ('85351', '04013'), ('85352', '04027'), ('85353', '04013'),
+  ('85354', '04013'), ('85355', '04013'), ('85356', '04027'), ('85357', '04012'), ('85358', '04013'), ('85359', '04012'), ('85360', '04015'), ('85361', '04013'),
+  ('85362', '04025'), ('85363', '04013'), ('85364', '04027'), ('85365', '04027'), ('85366', '04027'), ('85367', '04027'), ('85369', '04027'), ('85371', '04012'),
+  ('85372', '04013'), ('85373', '04013'), ('85374', '04013'), ('85375', '04013'), ('85376', '04013'), ('85377', '04013'), ('85378', '04013'), ('85379', '04013'),
+  ('85380', '04013'), ('85381', '04013'), ('85382', '04013'), ('85383', '04013'), ('85385', '04013'), ('85387', '04013'), ('85388', '04013'), ('85390', '04013'),
+  ('85392', '04013'), ('85395', '04013'), ('85396', '04013'), ('85501', '04007'), ('85502', '04007'), ('85530', '04009'), ('85531', '04009'), ('85532', '04007'),
+  ('85533', '04011'), ('85534', '04011'), ('85535', '04009'), ('85536', '04009'), ('85539', '04007'), ('85540', '04011'), ('85541', '04007'), ('85542', '04007'),
+  ('85543', '04009'), ('85544', '04007'), ('85545', '04007'), ('85546', '04009'), ('85547', '04007'), ('85548', '04009'), ('85550', '04007'), ('85551', '04009'),
+  ('85552', '04009'), ('85553', '04007'), ('85554', '04007'), ('85601', '04019'), ('85602', '04003'), ('85603', '04003'), ('85605', '04003'), ('85606', '04003'),
+  ('85607', '04003'), ('85608', '04003'), ('85609', '04003'), ('85610', '04003'), ('85611', '04023'), ('85613', '04003'), ('85614', '04019'), ('85615', '04003'),
+  ('85616', '04003'), ('85617', '04003'), ('85618', '04021'), ('85619', '04019'), ('85620', '04003'), ('85621', '04023'), ('85622', '04019'), ('85623', '04021'),
+  ('85624', '04023'), ('85625', '04003'), ('85626', '04003'), ('85627', '04003'), ('85628', '04023'), ('85629', '04019'), ('85630', '04003'), ('85631', '04021'),
+  ('85632', '04003'), ('85633', '04019'), ('85634', '04019'), ('85635', '04003'), ('85636', '04003'), ('85637', '04023'), ('85638', '04003'), ('85639', '04019'),
+  ('85640', '04023'), ('85641', '04019'), ('85643', '04003'), ('85644', '04003'), ('85645', '04023'), ('85646', '04023'), ('85648', '04023'), ('85650', '04003'),
+  ('85652', '04019'), ('85653', '04019'), ('85654', '04019'), ('85655', '04003'), ('85658', '04021'), ('85662', '04023'), ('85670', '04003'), ('85671', '04003'),
+  ('85701', '04019'), ('85702', '04019'), ('85703', '04019'), ('85704', '04019'), ('85705', '04019'), ('85706', '04019'), ('85707', '04019'), ('85708', '04019'),
+  ('85709', '04019'), ('85710', '04019'), ('85711', '04019'), ('85712', '04019'), ('85713', '04019'), ('85714', '04019'), ('85715', '04019'), ('85716', '04019'),
+  ('85717', '04019'), ('85718', '04019'), ('85719', '04019'), ('85720', '04019'), ('85721', '04019'), ('85722', '04019'), ('85723', '04019'), ('85724', '04019'),
+  ('85725', '04019'), ('85726', '04019'), ('85728', '04019'), ('85730', '04019'), ('85731', '04019'), ('85732', '04019'), ('85733', '04019'), ('85734', '04019'),
+  ('85735', '04019'), ('85736', '04019'), ('85737', '04019'), ('85738', '04019'), ('85739', '04019'), ('85740', '04019'), ('85741', '04019'), ('85742', '04019'),
+  ('85743', '04019'), ('85744', '04019'), ('85745', '04019'), ('85746', '04019'), ('85747', '04019'), ('85748', '04019'), ('85749', '04019'), ('85750', '04019'),
+  ('85751', '04019'), ('85752', '04019'), ('85754', '04019'), ('85755', '04019'), ('85756', '04019'), ('85757', '04019'), ('85775', '04019'), ('85901', '04017'),
+  ('85902', '04017'), ('85911', '04017'), ('85912', '04017'), ('85920', '04001'), ('85922', '04011'), ('85923', '04017'), ('85924', '04001'), ('85925', '04001'),
+  ('85926', '04017'), ('85927', '04001'), ('85928', '04017'), ('85929', '04017'), ('85930', '04001'), ('85931', '04005'), ('85932', '04001'), ('85933', '04017'),
+  ('85934', '04017'), ('85935', '04017'), ('85936', '04001'), ('85937', '04017'), ('85938', '04001'), ('85939', '04017'), ('85940', '04001'), ('85941', '04017'),
+  ('85942', '04017'), ('86001', '04005'), ('86002', '04005'), ('86003', '04005'), ('86004', '04005'), ('86005', '04005'), ('86011', '04005'), ('86015', '04005'),
+  ('86016', '04005'), ('86017', '04005'), ('86018', '04005'), ('86020', '04005'), ('86021', '04015'), ('86022', '04005'), ('86023', '04005'), ('86024', '04005'),
+  ('86025', '04017'), ('86028', '04001'), ('86029', '04017'), ('86030', '04017'), ('86031', '04017'), ('86032', '04017'), ('86033', '04017'), ('86034', '04017'),
+  ('86035', '04005'), ('86036', '04005'), ('86038', '04005'), ('86039', '04017'), ('86040', '04005'), ('86042', '04017'), ('86043', '04017'), ('86044', '04005'),
+  ('86045', '04005'), ('86046', '04005'), ('86047', '04017'), ('86052', '04005'), ('86053', '04005'), ('86054', '04017'), ('86301', '04025'), ('86302', '04025'),
+  ('86303', '04025'), ('86304', '04025'), ('86305', '04025'), ('86312', '04025'), ('86313', '04025'), ('86314', '04025'), ('86315', '04025'), ('86320', '04025'),
+  ('86321', '04025'), ('86322', '04025'), ('86323', '04025'), ('86324', '04025'), ('86325', '04025'), ('86326', '04025'), ('86327', '04025'), ('86329', '04025'),
+  ('86331', '04025'), ('86332', '04025'), ('86333', '04025'), ('86334', '04025'), ('86335', '04025'), ('86336', '04005'), ('86337', '04025'), ('86338', '04025'),
+  ('86339', '04005'), ('86340', '04025'), ('86341', '04025'), ('86342', '04025'), ('86343', '04025'), ('86351', '04025'), ('86401', '04015'), ('86402', '04015'),
+  ('86403', '04015'), ('86404', '04015'), ('86405', '04015'), ('86406', '04015'), ('86409', '04015'), ('86411', '04015'), ('86412', '04015'), ('86413', '04015'),
+  ('86426', '04015'), ('86427', '04015'), ('86429', '04015'), ('86430', '04015'), ('86431', '04015'), ('86432', '04015'), ('86433', '04015'), ('86434', '04015'),
+  ('86435', '04005'), ('86436', '04015'), ('86437', '04015'), ('86438', '04015'), ('86439', '04015'), ('86440', '04015'), ('86441', '04015'), ('86442', '04015'),
+  ('86443', '04015'), ('86444', '04015'), ('86445', '04015'), ('86446', '04015'), ('86502', '04001'), ('86503', '04001'), ('86504', '04001'), ('86505', '04001'),
+  ('86506', '04001'), ('86507', '04001'), ('86508', '04001'), ('86510', '04017'), ('86511', '04001'), ('86512', '04001'), ('86514', '04001'), ('86515', '04001'),
+  ('86520', '04017'), ('86535', '04001'), ('86538', '04001'), ('86540', '04001'), ('86544', '04001'), ('86545', '04001'), ('86547', '04001'), ('86556', '04001'),
+  ('88510', '48141'), ('88511', '48141'), ('88512', '48141'), ('88513', '48141'), ('88514', '48141'), ('88515', '48141'), ('88517', '48141'), ('88518', '48141'),
+  ('88519', '48141'), ('88520', '48141'), ('88521', '48141'), ('88523', '48141'), ('88524', '48141'), ('88525', '48141'), ('88526', '48141'), ('88527', '48141'),
+  ('88528', '48141'), ('88529', '48141'), ('88530', '48141'), ('88531', '48141'), ('88532', '48141'), ('88533', '48141'), ('88534', '48141'), ('88535', '48141'),
+  ('88536', '48141'), ('88538', '48141'), ('88539', '48141'), ('88540', '48141'), ('88541', '48141'), ('88542', '48141'), ('88543', '48141'), ('88544', '48141'),
+  ('88545', '48141'), ('88546', '48141'), ('88547', '48141'), ('88548', '48141'), ('88549', '48141'), ('88550', '48141'), ('88553', '48141'), ('88554', '48141'),
+  ('88555', '48141'), ('88556', '48141'), ('88557', '48141'), ('88558', '48141'), ('88559', '48141'), ('88560', '48141'), ('88561', '48141'), ('88562', '48141'),
+  ('88563', '48141'), ('88565', '48141'), ('88566', '48141'), ('88567', '48141'), ('88568', '48141'), ('88569', '48141'), ('88570', '48141'), ('88571', '48141'),
+  ('88572', '48141'), ('88573', '48141'), ('88574', '48141'), ('88575', '48141'), ('88576', '48141'), ('88577', '48141'), ('88578', '48141'), ('88579', '48141'),
+  ('88580', '48141'), ('88581', '48141'), ('88582', '48141'), ('88583', '48141'), ('88584', '48141'), ('88585', '48141'), ('88586', '48141'), ('88587', '48141'),
+  ('88588', '48141'), ('88589', '48141'), ('88590', '48141'), ('88595', '48141');
+
+UPDATE hoa_profiles h
+SET county = n.county,
+    county_fips = b.county_fips
+FROM zip_county_backfill b
+JOIN county_names n ON n.county_fips = b.county_fips
+WHERE h.county IS NULL
+  AND LEFT(TRIM(h.zip_code), 5) = b.zip_code;
+
+DROP TABLE zip_county_backfill;
+DROP TABLE county_names;
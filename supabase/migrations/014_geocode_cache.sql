@@ -0,0 +1,77 @@
+-- Geocode cache
+-- Answers from the geocoding provider chain (lib/apis/geocoding.js), keyed
+-- by normalized address ("address:<...>") or coordinates rounded to ~1m
+-- ("latlng:<lat>,<lng>"). Only Google and Nominatim answers are stored; the
+-- offline gazetteer's centroids are recomputed each time.
+-- Lookups count towards cache_stats under the "geocode" namespace.
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  key TEXT PRIMARY KEY,
+  query TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  result JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_geocode_cache_expires ON geocode_cache(expires_at);
+
+ALTER TABLE geocode_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role manages geocode cache" ON geocode_cache
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Hits on geocode lookups bump the geocode_cache entry instead of cache
+CREATE OR REPLACE FUNCTION record_cache_event(
+  p_namespace TEXT,
+  p_event TEXT,
+  p_key TEXT DEFAULT NULL
+) RETURNS void AS $$
+BEGIN
+  INSERT INTO cache_stats (namespace, day, hits, misses, bypasses)
+  VALUES (
+    p_namespace,
+    CURRENT_DATE,
+    (p_event = 'hit')::INTEGER,
+    (p_event = 'miss')::INTEGER,
+    (p_event = 'bypass')::INTEGER
+  )
+  ON CONFLICT (namespace, day) DO UPDATE SET
+    hits = cache_stats.hits + EXCLUDED.hits,
+    misses = cache_stats.misses + EXCLUDED.misses,
+    bypasses = cache_stats.bypasses + EXCLUDED.bypasses;
+
+  IF p_event = 'hit' AND p_key IS NOT NULL THEN
+    IF p_namespace = 'geocode' THEN
+      UPDATE geocode_cache
+      SET hit_count = hit_count + 1, last_hit_at = NOW()
+      WHERE key = p_key;
+    ELSE
+      UPDATE cache
+      SET hit_count = hit_count + 1, last_hit_at = NOW()
+      WHERE key = p_key;
+    END IF;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION record_cache_event(TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_cache_event(TEXT, TEXT, TEXT) TO service_role;
+
+CREATE OR REPLACE FUNCTION clean_expired_cache() RETURNS void AS $$
+BEGIN
+  DELETE FROM neighborhood_context
+  WHERE expires_at < NOW();
+
+  DELETE FROM rate_limit_events
+  WHERE created_at < NOW() - INTERVAL '1 day';
+
+  DELETE FROM cache
+  WHERE expires_at < NOW();
+
+  DELETE FROM geocode_cache
+  WHERE expires_at < NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
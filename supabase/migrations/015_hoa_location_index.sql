@@ -0,0 +1,37 @@
+-- Spatial index on HOA locations
+-- hoa_profiles.coordinates stays the {lat, lng} JSONB the app writes; a
+-- generated PostGIS geography column mirrors it and carries the index.
+-- nearby_hoas() backs GET /api/hoa/nearby and the address match in
+-- searchHOA (lib/geo/nearby.js).
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS location GEOGRAPHY(Point, 4326)
+  GENERATED ALWAYS AS (
+    CASE
+      WHEN jsonb_typeof(coordinates->'lat') = 'number'
+       AND jsonb_typeof(coordinates->'lng') = 'number'
+      THEN ST_SetSRID(
+        ST_MakePoint((coordinates->>'lng')::DOUBLE PRECISION, (coordinates->>'lat')::DOUBLE PRECISION),
+        4326
+      )::GEOGRAPHY
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_hoa_location_gist ON hoa_profiles USING GIST (location);
+
+-- HOAs within p_radius_meters of a point, nearest first
+CREATE OR REPLACE FUNCTION nearby_hoas(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_radius_meters DOUBLE PRECISION,
+  p_limit INTEGER DEFAULT 50
+) RETURNS SETOF hoa_profiles AS $$
+  SELECT h.*
+  FROM hoa_profiles h
+  WHERE h.location IS NOT NULL
+    AND ST_DWithin(h.location, ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::GEOGRAPHY, p_radius_meters)
+  ORDER BY h.location <-> ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::GEOGRAPHY
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,64 @@
+-- HOA boundary polygons
+-- hoa_profiles.boundary holds a GeoJSON MultiPolygon imported from plat or
+-- parcel data (normalized by lib/geo/boundaries.js). A generated, validated
+-- PostGIS geometry mirrors it and carries the index, so overlapping parcels
+-- are unioned and self-intersecting outlines repaired on write.
+-- searchHOA resolves an address inside a boundary to that HOA and only falls
+-- back to proximity (among HOAs without a boundary) when none covers it.
+
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS boundary JSONB,
+  ADD COLUMN IF NOT EXISTS boundary_source TEXT,
+  ADD COLUMN IF NOT EXISTS boundary_updated_at TIMESTAMPTZ;
+
+ALTER TABLE hoa_profiles
+  DROP CONSTRAINT IF EXISTS hoa_profiles_boundary_type;
+
+ALTER TABLE hoa_profiles
+  ADD CONSTRAINT hoa_profiles_boundary_type
+  CHECK (boundary IS NULL OR boundary->>'type' IN ('Polygon', 'MultiPolygon'));
+
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS boundary_geom GEOMETRY(MultiPolygon, 4326)
+  GENERATED ALWAYS AS (
+    CASE
+      WHEN boundary IS NOT NULL
+      THEN ST_Multi(ST_CollectionExtract(ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(boundary::TEXT), 4326)), 3))
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_hoa_boundary_gist ON hoa_profiles USING GIST (boundary_geom);
+
+-- HOAs whose boundary covers a point. Smallest first so a subdivision wins
+-- over the master-planned community around it; id breaks ties so the same
+-- address always resolves to the same HOA.
+CREATE OR REPLACE FUNCTION hoas_containing_point(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION
+) RETURNS SETOF hoa_profiles AS $$
+  SELECT h.*
+  FROM hoa_profiles h
+  WHERE h.boundary_geom IS NOT NULL
+    AND ST_Covers(h.boundary_geom, ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326))
+  ORDER BY ST_Area(h.boundary_geom::GEOGRAPHY), h.id;
+$$ LANGUAGE sql STABLE;
+
+-- nearby_hoas() gains p_exclude_bounded: once no boundary covers an address,
+-- HOAs that do have one are known not to contain it
+DROP FUNCTION IF EXISTS nearby_hoas(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER);
+
+CREATE OR REPLACE FUNCTION nearby_hoas(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_radius_meters DOUBLE PRECISION,
+  p_limit INTEGER DEFAULT 50,
+  p_exclude_bounded BOOLEAN DEFAULT FALSE
+) RETURNS SETOF hoa_profiles AS $$
+  SELECT h.*
+  FROM hoa_profiles h
+  WHERE h.location IS NOT NULL
+    AND (NOT p_exclude_bounded OR h.boundary_geom IS NULL)
+    AND ST_DWithin(h.location, ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::GEOGRAPHY, p_radius_meters)
+  ORDER BY h.location <-> ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::GEOGRAPHY
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,51 @@
+-- Address match choices
+-- When an address could belong to several HOAs, search asks the user to
+-- pick one (lib/matching/address-match.js). Each pick is kept here, and
+-- later searches at or next to the same spot rank the HOAs people chose
+-- higher, resolving the address outright once enough of them agree.
+-- Picking "none of these" creates a new HOA, which is recorded as the choice.
+
+CREATE TABLE IF NOT EXISTS address_match_choices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  hoa_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  search_address TEXT NOT NULL,
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL,
+  location GEOGRAPHY(Point, 4326)
+    GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(lng, lat), 4326)::GEOGRAPHY) STORED,
+
+  -- What the user was shown, for judging the ranking later
+  candidate_ids UUID[] NOT NULL DEFAULT '{}',
+
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  session_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_address_match_choices_location ON address_match_choices USING GIST (location);
+CREATE INDEX IF NOT EXISTS idx_address_match_choices_hoa ON address_match_choices(hoa_id);
+
+ALTER TABLE address_match_choices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view address match choices" ON address_match_choices
+  FOR SELECT USING (has_role('admin'));
+
+CREATE POLICY "Service role can manage address match choices" ON address_match_choices
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Choices within p_radius_meters of a point, one vote per user (or anonymous
+-- session) per HOA. user_votes counts signed-in users only: anonymous
+-- sessions are free to mint, so only they may settle a match.
+CREATE OR REPLACE FUNCTION address_match_votes(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_radius_meters DOUBLE PRECISION
+) RETURNS TABLE (hoa_id UUID, votes BIGINT, user_votes BIGINT) AS $$
+  SELECT c.hoa_id,
+    COUNT(DISTINCT COALESCE(c.user_id::TEXT, c.session_id, c.id::TEXT)) AS votes,
+    COUNT(DISTINCT c.user_id) AS user_votes
+  FROM address_match_choices c
+  WHERE ST_DWithin(c.location, ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)::GEOGRAPHY, p_radius_meters)
+  GROUP BY c.hoa_id
+  ORDER BY votes DESC;
+$$ LANGUAGE sql STABLE;
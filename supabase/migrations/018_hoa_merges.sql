@@ -0,0 +1,217 @@
+-- HOA duplicate resolution
+-- The same association ends up in hoa_profiles more than once: a
+-- placeholder from searchHOA ("HOA at 4512 Palm Ct"), a name guessed from
+-- the query, and the registry's real name. lib/matching/dedupe.js scores
+-- the pairs hoa_duplicate_candidates() turns up, and an admin merges them
+-- with merge_hoa_profiles(), which keeps the duplicate's names as aliases
+-- of the surviving record.
+
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}';
+
+-- Corporation filing number from the state registry (SunBiz in Florida)
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS sunbiz_document_number TEXT
+  GENERATED ALWAYS AS (
+    NULLIF(UPPER(BTRIM(public_records->'data'->'sunbiz'->>'documentNumber')), '')
+  ) STORED;
+
+-- Rough name key for finding candidate pairs; the real comparison is
+-- nameSimilarity() in lib/matching/names.js
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS name_key TEXT
+  GENERATED ALWAYS AS (
+    NULLIF(BTRIM(REGEXP_REPLACE(REGEXP_REPLACE(REGEXP_REPLACE(
+      LOWER(hoa_name),
+      '[^a-z0-9]+', ' ', 'g'),
+      '\m(the|of|at|and|a|hoa|poa|coa|homeowners?|owners?|homes?|property|properties|associations?|assn|assoc|communit(y|ies)|master|maintenance|condominiums?|condos?|inc|incorporated|llc|corp|corporation)\M', ' ', 'g'),
+      '\s+', ' ', 'g')), '')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_hoa_sunbiz_document ON hoa_profiles(sunbiz_document_number)
+  WHERE sunbiz_document_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_hoa_name_key ON hoa_profiles(state, name_key)
+  WHERE name_key IS NOT NULL;
+
+-- Every merge, so links to a merged report can follow it to the survivor
+CREATE TABLE IF NOT EXISTS hoa_merges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  survivor_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  merged_id UUID NOT NULL,
+  merged_name TEXT NOT NULL,
+  score NUMERIC,
+  -- The merged row as it was, minus generated columns
+  snapshot JSONB NOT NULL,
+  merged_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hoa_merges_merged ON hoa_merges(merged_id);
+CREATE INDEX IF NOT EXISTS idx_hoa_merges_survivor ON hoa_merges(survivor_id);
+
+-- Pairs an admin marked as distinct HOAs; hoa_id < other_id
+CREATE TABLE IF NOT EXISTS hoa_duplicate_dismissals (
+  hoa_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  other_id UUID NOT NULL REFERENCES hoa_profiles(id) ON DELETE CASCADE,
+  dismissed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (hoa_id, other_id),
+  CHECK (hoa_id < other_id)
+);
+
+ALTER TABLE hoa_merges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hoa_duplicate_dismissals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view HOA merges" ON hoa_merges
+  FOR SELECT USING (has_role('admin'));
+
+CREATE POLICY "Service role can manage HOA merges" ON hoa_merges
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Admins can view duplicate dismissals" ON hoa_duplicate_dismissals
+  FOR SELECT USING (has_role('admin'));
+
+CREATE POLICY "Service role can manage duplicate dismissals" ON hoa_duplicate_dismissals
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Pairs worth scoring, strongest evidence first: the same registry filing,
+-- the same name key in the same state, then points within p_radius_meters
+-- (nearest first). Dismissed pairs are left out.
+CREATE OR REPLACE FUNCTION hoa_duplicate_candidates(
+  p_radius_meters DOUBLE PRECISION DEFAULT 804.672,
+  p_limit INTEGER DEFAULT 500
+) RETURNS TABLE (hoa_id UUID, other_id UUID, evidence TEXT) AS $$
+  SELECT best.hoa_id, best.other_id, best.evidence
+  FROM (
+    SELECT DISTINCT ON (pairs.hoa_id, pairs.other_id) pairs.*
+    FROM (
+      SELECT a.id, b.id, 'document_number', 1, 0::DOUBLE PRECISION
+      FROM hoa_profiles a
+      JOIN hoa_profiles b ON b.sunbiz_document_number = a.sunbiz_document_number AND a.id < b.id
+
+      UNION ALL
+
+      SELECT a.id, b.id, 'name', 2, 0
+      FROM hoa_profiles a
+      JOIN hoa_profiles b ON b.state = a.state AND b.name_key = a.name_key AND a.id < b.id
+
+      UNION ALL
+
+      SELECT a.id, b.id, 'location', 3, ST_Distance(a.location, b.location)
+      FROM hoa_profiles a
+      JOIN hoa_profiles b ON ST_DWithin(a.location, b.location, p_radius_meters) AND a.id < b.id
+    ) AS pairs(hoa_id, other_id, evidence, strength, distance)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM hoa_duplicate_dismissals d
+      WHERE d.hoa_id = pairs.hoa_id AND d.other_id = pairs.other_id
+    )
+    ORDER BY pairs.hoa_id, pairs.other_id, pairs.strength, pairs.distance
+  ) AS best
+  ORDER BY best.strength, best.distance
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Fold p_duplicate into p_survivor in one transaction: re-point searches,
+-- saved reports, neighborhood data, address match choices, analysis run
+-- history, analysis requests and API usage, fill the survivor's gaps from
+-- the duplicate, keep its names as aliases, record the merge and delete
+-- the duplicate
+CREATE OR REPLACE FUNCTION merge_hoa_profiles(
+  p_survivor UUID,
+  p_duplicate UUID,
+  p_merged_by UUID DEFAULT NULL,
+  p_score NUMERIC DEFAULT NULL
+) RETURNS hoa_profiles AS $$
+DECLARE
+  v_survivor hoa_profiles;
+  v_duplicate hoa_profiles;
+BEGIN
+  IF p_survivor = p_duplicate THEN
+    RAISE EXCEPTION 'Cannot merge an HOA into itself';
+  END IF;
+
+  SELECT * INTO v_survivor FROM hoa_profiles WHERE id = p_survivor FOR UPDATE;
+  SELECT * INTO v_duplicate FROM hoa_profiles WHERE id = p_duplicate FOR UPDATE;
+
+  IF v_survivor.id IS NULL OR v_duplicate.id IS NULL THEN
+    RAISE EXCEPTION 'HOA not found';
+  END IF;
+
+  UPDATE user_searches SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+
+  -- Users who saved both keep their entry for the survivor
+  DELETE FROM saved_reports d
+  WHERE d.hoa_id = p_duplicate
+    AND EXISTS (SELECT 1 FROM saved_reports s WHERE s.hoa_id = p_survivor AND s.user_id = d.user_id);
+  UPDATE saved_reports SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+
+  UPDATE neighborhood_context SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+  UPDATE address_match_choices SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+
+  -- Run history, request log and cost attribution follow the survivor
+  UPDATE hoa_analysis_runs SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+  UPDATE analysis_triggers SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+  UPDATE api_usage SET hoa_id = p_survivor WHERE hoa_id = p_duplicate;
+
+  -- Step progress is one row per step; keep the duplicate's only when the
+  -- survivor has none of its own
+  UPDATE hoa_analysis_steps SET hoa_id = p_survivor
+  WHERE hoa_id = p_duplicate
+    AND NOT EXISTS (SELECT 1 FROM hoa_analysis_steps WHERE hoa_id = p_survivor);
+  UPDATE hoa_merges SET survivor_id = p_survivor WHERE survivor_id = p_duplicate;
+
+  UPDATE processing_queue SET status = 'cancelled'
+  WHERE status = 'pending' AND payload->>'hoaId' = p_duplicate::TEXT;
+
+  INSERT INTO hoa_merges (survivor_id, merged_id, merged_name, score, snapshot, merged_by)
+  VALUES (
+    p_survivor,
+    p_duplicate,
+    v_duplicate.hoa_name,
+    p_score,
+    to_jsonb(v_duplicate) - 'location' - 'boundary_geom' - 'sunbiz_document_number' - 'name_key',
+    p_merged_by
+  );
+
+  -- Before the survivor update: it may take the duplicate's name
+  DELETE FROM hoa_profiles WHERE id = p_duplicate;
+
+  UPDATE hoa_profiles SET
+    -- A real name replaces a searchHOA placeholder
+    hoa_name = CASE
+      WHEN hoa_name LIKE 'HOA at %' AND v_duplicate.hoa_name NOT LIKE 'HOA at %' THEN v_duplicate.hoa_name
+      ELSE hoa_name
+    END,
+    aliases = ARRAY(
+      SELECT DISTINCT alias
+      FROM UNNEST(v_survivor.aliases || v_duplicate.aliases || ARRAY[v_survivor.hoa_name, v_duplicate.hoa_name]) AS alias
+      WHERE alias NOT LIKE 'HOA at %'
+        AND alias <> CASE
+          WHEN v_survivor.hoa_name LIKE 'HOA at %' AND v_duplicate.hoa_name NOT LIKE 'HOA at %' THEN v_duplicate.hoa_name
+          ELSE v_survivor.hoa_name
+        END
+      ORDER BY alias
+    ),
+    address = COALESCE(address, v_duplicate.address),
+    coordinates = COALESCE(coordinates, v_duplicate.coordinates),
+    county = COALESCE(county, v_duplicate.county),
+    county_fips = COALESCE(county_fips, v_duplicate.county_fips),
+    management_company = COALESCE(management_company, v_duplicate.management_company),
+    monthly_fee = COALESCE(monthly_fee, v_duplicate.monthly_fee),
+    total_units = COALESCE(total_units, v_duplicate.total_units),
+    year_established = COALESCE(year_established, v_duplicate.year_established),
+    public_records = COALESCE(public_records, v_duplicate.public_records),
+    boundary = COALESCE(boundary, v_duplicate.boundary),
+    boundary_source = CASE WHEN boundary IS NULL THEN v_duplicate.boundary_source ELSE boundary_source END,
+    boundary_updated_at = CASE WHEN boundary IS NULL THEN v_duplicate.boundary_updated_at ELSE boundary_updated_at END
+  WHERE id = p_survivor
+  RETURNING * INTO v_survivor;
+
+  RETURN v_survivor;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Merging deletes a profile: only the admin console, through the service
+-- role, may call it
+REVOKE EXECUTE ON FUNCTION merge_hoa_profiles(UUID, UUID, UUID, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_hoa_profiles(UUID, UUID, UUID, NUMERIC) TO service_role;
@@ -0,0 +1,86 @@
+-- Ranked HOA name search
+-- GET /api/hoa/search matches the query against an HOA's name, aliases,
+-- subdivision name, registry corporation name and management company,
+-- tolerating typos ("Sunset Pointe" finds "Sunset Point HOA"). A generated
+-- search_text column holds all of them, lowercased, behind a trigram index;
+-- search_hoas() ranks the rows it finds by their best matching field.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- concat_ws and array_to_string are only STABLE, which generated columns
+-- don't accept; with these argument types the result never changes
+CREATE OR REPLACE FUNCTION hoa_search_text(
+  p_name TEXT,
+  p_aliases TEXT[],
+  p_subdivision TEXT,
+  p_corporation TEXT,
+  p_management_company TEXT
+) RETURNS TEXT AS $$
+  SELECT LOWER(CONCAT_WS(' | ', p_name, ARRAY_TO_STRING(p_aliases, ' | '), p_subdivision, p_corporation, p_management_company));
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+ALTER TABLE hoa_profiles
+  ADD COLUMN IF NOT EXISTS search_text TEXT
+  GENERATED ALWAYS AS (
+    hoa_search_text(
+      hoa_name,
+      aliases,
+      public_records->'data'->>'subdivisionName',
+      public_records->'data'->'sunbiz'->>'corporationName',
+      management_company
+    )
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_hoa_search_text_trgm ON hoa_profiles USING GIN (search_text gin_trgm_ops);
+
+-- HOAs matching p_query, best first. A field containing the query scores
+-- 1; otherwise its trigram word similarity does. Fields are weighted so a
+-- name match outranks the same text in a management company. The query is
+-- matched literally: % and _ are escaped before LIKE.
+CREATE OR REPLACE FUNCTION search_hoas(
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 10
+) RETURNS TABLE (
+  id UUID,
+  hoa_name TEXT,
+  city TEXT,
+  state TEXT,
+  zip_code TEXT,
+  management_company TEXT,
+  matched_field TEXT,
+  matched_text TEXT,
+  score REAL
+) AS $$
+  WITH params AS (
+    SELECT
+      LOWER(BTRIM(p_query)) AS q,
+      '%' || REPLACE(REPLACE(REPLACE(LOWER(BTRIM(p_query)), '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern
+  )
+  SELECT h.id, h.hoa_name, h.city, h.state, h.zip_code, h.management_company,
+    best.field, best.text, best.score::REAL
+  FROM params
+  JOIN hoa_profiles h
+    ON h.search_text LIKE params.pattern OR params.q <% h.search_text
+  CROSS JOIN LATERAL (
+    SELECT fields.field, fields.text,
+      fields.weight * CASE
+        WHEN LOWER(fields.text) LIKE params.pattern THEN 1
+        ELSE word_similarity(params.q, LOWER(fields.text))
+      END AS score
+    FROM (
+      VALUES
+        ('name', h.hoa_name, 1.0::REAL),
+        ('subdivision', h.public_records->'data'->>'subdivisionName', 0.9),
+        ('corporation', h.public_records->'data'->'sunbiz'->>'corporationName', 0.9),
+        ('management_company', h.management_company, 0.6)
+      UNION ALL
+      SELECT 'alias', alias, 0.95::REAL FROM UNNEST(h.aliases) AS alias
+    ) AS fields(field, text, weight)
+    WHERE fields.text IS NOT NULL AND fields.text <> ''
+    ORDER BY score DESC, fields.weight DESC
+    LIMIT 1
+  ) AS best
+  ORDER BY best.score DESC, (LOWER(h.hoa_name) LIKE LTRIM(params.pattern, '%')) DESC, LENGTH(h.hoa_name), h.hoa_name
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.4;
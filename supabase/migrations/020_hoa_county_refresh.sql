@@ -0,0 +1,4005 @@
+-- Refresh the primary county on HOA profiles
+-- Generated by lib/geo/data/build-county-backfill.mjs from a rebuilt
+-- lib/geo/data/zip-counties.json.
+-- Profiles in ZIPs that cross county lines get the primary county the
+-- crosswalk now gives them, the one lib/geo/counties.js assigns new profiles.
+
+CREATE TEMP TABLE zip_county_refresh (
+  zip_code TEXT PRIMARY KEY,
+  county_fips TEXT NOT NULL
+);
+
+CREATE TEMP TABLE county_names (
+  county_fips TEXT PRIMARY KEY,
+  county TEXT NOT NULL
+);
+
+INSERT INTO county_names (county_fips, county) VALUES
+  ('01001', 'Autauga County'),
+  ('01003', 'Baldwin County'),
+  ('01005', 'Barbour County'),
+  ('01007', 'Bibb County'),
+  ('01009', 'Blount County'),
+  ('01011', 'Bullock County'),
+  ('01013', 'Butler County'),
+  ('01015', 'Calhoun County'),
+  ('01017', 'Chambers County'),
+  ('01021', 'Chilton County'),
+  ('01023', 'Choctaw County'),
+  ('01025', 'Clarke County'),
+  ('01027', 'Clay County'),
+  ('01029', 'Cleburne County'),
+  ('01031', 'Coffee County'),
+  ('01035', 'Conecuh County'),
+  ('01037', 'Coosa County'),
+  ('01039', 'Covington County'),
+  ('01041', 'Crenshaw County'),
+  ('01043', 'Cullman County'),
+  ('01045', 'Dale County'),
+  ('01047', 'Dallas County'),
+  ('01049', 'DeKalb County'),
+  ('01051', 'Elmore County'),
+  ('01053', 'Escambia County'),
+  ('01055', 'Etowah County'),
+  ('01057', 'Fayette County'),
+  ('01059', 'Franklin County'),
+  ('01061', 'Geneva County'),
+  ('01063', 'Greene County'),
+  ('01065', 'Hale County'),
+  ('01067', 'Henry County'),
+  ('01069', 'Houston County'),
+  ('01071', 'Jackson County'),
+  ('01073', 'Jefferson County'),
+  ('01075', 'Lamar County'),
+  ('01077', 'Lauderdale County'),
+  ('01079', 'Lawrence County'),
+  ('01081', 'Lee County'),
+  ('01083', 'Limestone County'),
+  ('01085', 'Lowndes County'),
+  ('01087', 'Macon County'),
+  ('01089', 'Madison County'),
+  ('01091', 'Marengo County'),
+  ('01093', 'Marion County'),
+  ('01095', 'Marshall County'),
+  ('01097', 'Mobile County'),
+  ('01099', 'Monroe County'),
+  ('01101', 'Montgomery County'),
+  ('01103', 'Morgan County'),
+  ('01105', 'Perry County'),
+  ('01107', 'Pickens County'),
+  ('01109', 'Pike County'),
+  ('01111', 'Randolph County'),
+  ('01113', 'Russell County'),
+  ('01115', 'St. Clair County'),
+  ('01117', 'Shelby County'),
+  ('01119', 'Sumter County'),
+  ('01121', 'Talladega County'),
+  ('01123', 'Tallapoosa County'),
+  ('01125', 'Tuscaloosa County'),
+  ('01127', 'Walker County'),
+  ('01129', 'Washington County'),
+  ('01131', 'Wilcox County'),
+  ('01133', 'Winston County'),
+  ('02050', 'Bethel Census Area'),
+  ('02105', 'Hoonah-Angoon Census Area'),
+  ('02130', 'Ketchikan Gateway Borough'),
+  ('02164', 'Lake and Peninsula Borough'),
+  ('02170', 'Matanuska-Susitna Borough'),
+  ('02240', 'Southeast Fairbanks Census Area'),
+  ('02261', 'Valdez-Cordova Census Area'),
+  ('02290', 'Yukon-Koyukuk Census Area'),
+  ('04001', 'Apache County'),
+  ('04003', 'Cochise County'),
+  ('04005', 'Coconino County'),
+  ('04007', 'Gila County'),
+  ('04009', 'Graham County'),
+  ('04011', 'Greenlee County'),
+  ('04013', 'Maricopa County'),
+  ('04015', 'Mohave County'),
+  ('04017', 'Navajo County'),
+  ('04019', 'Pima County'),
+  ('04021', 'Pinal County'),
+  ('04023', 'Santa Cruz County'),
+  ('04025', 'Yavapai County'),
+  ('05001', 'Arkansas County'),
+  ('05003', 'Ashley County'),
+  ('05005', 'Baxter County'),
+  ('05007', 'Benton County'),
+  ('05009', 'Boone County'),
+  ('05011', 'Bradley County'),
+  ('05015', 'Carroll County'),
+  ('05017', 'Chicot County'),
+  ('05019', 'Clark County'),
+  ('05021', 'Clay County'),
+  ('05023', 'Cleburne County'),
+  ('05025', 'Cleveland County'),
+  ('05027', 'Columbia County'),
+  ('05029', 'Conway County'),
+  ('05031', 'Craighead County'),
+  ('05033', 'Crawford County'),
+  ('05035', 'Crittenden County'),
+  ('05037', 'Cross County'),
+  ('05039', 'Dallas County'),
+  ('05041', 'Desha County'),
+  ('05043', 'Drew County'),
+  ('05045', 'Faulkner County'),
+  ('05047', 'Franklin County'),
+  ('05049', 'Fulton County'),
+  ('05051', 'Garland County'),
+  ('05053', 'Grant County'),
+  ('05055', 'Greene County'),
+  ('05057', 'Hempstead County'),
+  ('05059', 'Hot Spring County'),
+  ('05061', 'Howard County'),
+  ('05063', 'Independence County'),
+  ('05065', 'Izard County'),
+  ('05067', 'Jackson County'),
+  ('05069', 'Jefferson County'),
+  ('05071', 'Johnson County'),
+  ('05073', 'Lafayette County'),
+  ('05075', 'Lawrence County'),
+  ('05077', 'Lee County'),
+  ('05079', 'Lincoln County'),
+  ('05083', 'Logan County'),
+  ('05085', 'Lonoke County'),
+  ('05087', 'Madison County'),
+  ('05089', 'Marion County'),
+  ('05095', 'Monroe County'),
+  ('05099', 'Nevada County'),
+  ('05101', 'Newton County'),
+  ('05103', 'Ouachita County'),
+  ('05105', 'Perry County'),
+  ('05107', 'Phillips County'),
+  ('05109', 'Pike County'),
+  ('05111', 'Poinsett County'),
+  ('05113', 'Polk County'),
+  ('05115', 'Pope County'),
+  ('05117', 'Prairie County'),
+  ('05119', 'Pulaski County'),
+  ('05121', 'Randolph County'),
+  ('05123', 'St. Francis County'),
+  ('05125', 'Saline County'),
+  ('05129', 'Searcy County'),
+  ('05131', 'Sebastian County'),
+  ('05133', 'Sevier County'),
+  ('05135', 'Sharp County'),
+  ('05137', 'Stone County'),
+  ('05139', 'Union County'),
+  ('05141', 'Van Buren County'),
+  ('05143', 'Washington County'),
+  ('05145', 'White County'),
+  ('05147', 'Woodruff County'),
+  ('05149', 'Yell County'),
+  ('06001', 'Alameda County'),
+  ('06003', 'Alpine County'),
+  ('06005', 'Amador County'),
+  ('06007', 'Butte County'),
+  ('06011', 'Colusa County'),
+  ('06013', 'Contra Costa County'),
+  ('06017', 'El Dorado County'),
+  ('06019', 'Fresno County'),
+  ('06021', 'Glenn County'),
+  ('06023', 'Humboldt County'),
+  ('06029', 'Kern County'),
+  ('06031', 'Kings County'),
+  ('06035', 'Lassen County'),
+  ('06037', 'Los Angeles County'),
+  ('06039', 'Madera County'),
+  ('06043', 'Mariposa County'),
+  ('06045', 'Mendocino County'),
+  ('06047', 'Merced County'),
+  ('06049', 'Modoc County'),
+  ('06051', 'Mono County'),
+  ('06053', 'Monterey County'),
+  ('06055', 'Napa County'),
+  ('06057', 'Nevada County'),
+  ('06059', 'Orange County'),
+  ('06061', 'Placer County'),
+  ('06063', 'Plumas County'),
+  ('06065', 'Riverside County'),
+  ('06067', 'Sacramento County'),
+  ('06069', 'San Benito County'),
+  ('06071', 'San Bernardino County'),
+  ('06073', 'San Diego County'),
+  ('06077', 'San Joaquin County'),
+  ('06079', 'San Luis Obispo County'),
+  ('06081', 'San Mateo County'),
+  ('06083', 'Santa Barbara County'),
+  ('06085', 'Santa Clara County'),
+  ('06087', 'Santa Cruz County'),
+  ('06089', 'Shasta County'),
+  ('06091', 'Sierra County'),
+  ('06093', 'Siskiyou County'),
+  ('06095', 'Solano County'),
+  ('06097', 'Sonoma County'),
+  ('06099', 'Stanislaus County'),
+  ('06101', 'Sutter County'),
+  ('06103', 'Tehama County'),
+  ('06107', 'Tulare County'),
+  ('06109', 'Tuolumne County'),
+  ('06111', 'Ventura County'),
+  ('06113', 'Yolo County'),
+  ('06115', 'Yuba County'),
+  ('08001', 'Adams County'),
+  ('08003', 'Alamosa County'),
+  ('08005', 'Arapahoe County'),
+  ('08007', 'Archuleta County'),
+  ('08009', 'Baca County'),
+  ('08011', 'Bent County'),
+  ('08013', 'Boulder County'),
+  ('08014', 'Broomfield County'),
+  ('08015', 'Chaffee County'),
+  ('08019', 'Clear Creek County'),
+  ('08023', 'Costilla County'),
+  ('08025', 'Crowley County'),
+  ('08027', 'Custer County'),
+  ('08031', 'Denver County'),
+  ('08033', 'Dolores County'),
+  ('08035', 'Douglas County'),
+  ('08037', 'Eagle County'),
+  ('08039', 'Elbert County'),
+  ('08041', 'El Paso County'),
+  ('08045', 'Garfield County'),
+  ('08047', 'Gilpin County'),
+  ('08051', 'Gunnison County'),
+  ('08059', 'Jefferson County'),
+  ('08063', 'Kit Carson County'),
+  ('08067', 'La Plata County'),
+  ('08069', 'Larimer County'),
+  ('08071', 'Las Animas County'),
+  ('08073', 'Lincoln County'),
+  ('08075', 'Logan County'),
+  ('08079', 'Mineral County'),
+  ('08081', 'Moffat County'),
+  ('08083', 'Montezuma County'),
+  ('08085', 'Montrose County'),
+  ('08087', 'Morgan County'),
+  ('08089', 'Otero County'),
+  ('08091', 'Ouray County'),
+  ('08093', 'Park County'),
+  ('08095', 'Phillips County'),
+  ('08097', 'Pitkin County'),
+  ('08099', 'Prowers County'),
+  ('08101', 'Pueblo County'),
+  ('08103', 'Rio Blanco County'),
+  ('08105', 'Rio Grande County'),
+  ('08107', 'Routt County'),
+  ('08109', 'Saguache County'),
+  ('08113', 'San Miguel County'),
+  ('08119', 'Teller County'),
+  ('08123', 'Weld County'),
+  ('08125', 'Yuma County'),
+  ('09001', 'Fairfield County'),
+  ('09003', 'Hartford County'),
+  ('09005', 'Litchfield County'),
+  ('09009', 'New Haven County'),
+  ('09011', 'New London County'),
+  ('09013', 'Tolland County'),
+  ('09015', 'Windham County'),
+  ('10001', 'Kent County'),
+  ('10005', 'Sussex County'),
+  ('12001', 'Alachua County'),
+  ('12005', 'Bay County'),
+  ('12007', 'Bradford County'),
+  ('12009', 'Brevard County'),
+  ('12015', 'Charlotte County'),
+  ('12019', 'Clay County'),
+  ('12021', 'Collier County'),
+  ('12023', 'Columbia County'),
+  ('12027', 'DeSoto County'),
+  ('12029', 'Dixie County'),
+  ('12031', 'Duval County'),
+  ('12033', 'Escambia County'),
+  ('12035', 'Flagler County'),
+  ('12041', 'Gilchrist County'),
+  ('12043', 'Glades County'),
+  ('12045', 'Gulf County'),
+  ('12049', 'Hardee County'),
+  ('12051', 'Hendry County'),
+  ('12055', 'Highlands County'),
+  ('12057', 'Hillsborough County'),
+  ('12059', 'Holmes County'),
+  ('12061', 'Indian River County'),
+  ('12063', 'Jackson County'),
+  ('12069', 'Lake County'),
+  ('12071', 'Lee County'),
+  ('12075', 'Levy County'),
+  ('12077', 'Liberty County'),
+  ('12079', 'Madison County'),
+  ('12081', 'Manatee County'),
+  ('12083', 'Marion County'),
+  ('12085', 'Martin County'),
+  ('12086', 'Miami-Dade County'),
+  ('12091', 'Okaloosa County'),
+  ('12093', 'Okeechobee County'),
+  ('12095', 'Orange County'),
+  ('12097', 'Osceola County'),
+  ('12099', 'Palm Beach County'),
+  ('12101', 'Pasco County'),
+  ('12105', 'Polk County'),
+  ('12107', 'Putnam County'),
+  ('12111', 'St. Lucie County'),
+  ('12115', 'Sarasota County'),
+  ('12119', 'Sumter County'),
+  ('12121', 'Suwannee County'),
+  ('12123', 'Taylor County'),
+  ('12125', 'Union County'),
+  ('12127', 'Volusia County'),
+  ('12129', 'Wakulla County'),
+  ('12131', 'Walton County'),
+  ('12133', 'Washington County'),
+  ('13001', 'Appling County'),
+  ('13003', 'Atkinson County'),
+  ('13005', 'Bacon County'),
+  ('13009', 'Baldwin County'),
+  ('13011', 'Banks County'),
+  ('13013', 'Barrow County'),
+  ('13015', 'Bartow County'),
+  ('13017', 'Ben Hill County'),
+  ('13019', 'Berrien County'),
+  ('13021', 'Bibb County'),
+  ('13023', 'Bleckley County'),
+  ('13025', 'Brantley County'),
+  ('13027', 'Brooks County'),
+  ('13029', 'Bryan County'),
+  ('13031', 'Bulloch County'),
+  ('13033', 'Burke County'),
+  ('13035', 'Butts County'),
+  ('13037', 'Calhoun County'),
+  ('13043', 'Candler County'),
+  ('13045', 'Carroll County'),
+  ('13047', 'Catoosa County'),
+  ('13049', 'Charlton County'),
+  ('13051', 'Chatham County'),
+  ('13053', 'Chattahoochee County'),
+  ('13055', 'Chattooga County'),
+  ('13057', 'Cherokee County'),
+  ('13059', 'Clarke County'),
+  ('13061', 'Clay County'),
+  ('13063', 'Clayton County'),
+  ('13065', 'Clinch County'),
+  ('13067', 'Cobb County'),
+  ('13069', 'Coffee County'),
+  ('13071', 'Colquitt County'),
+  ('13073', 'Columbia County'),
+  ('13075', 'Cook County'),
+  ('13077', 'Coweta County'),
+  ('13079', 'Crawford County'),
+  ('13081', 'Crisp County'),
+  ('13083', 'Dade County'),
+  ('13085', 'Dawson County'),
+  ('13087', 'Decatur County'),
+  ('13089', 'DeKalb County'),
+  ('13091', 'Dodge County'),
+  ('13093', 'Dooly County'),
+  ('13095', 'Dougherty County'),
+  ('13097', 'Douglas County'),
+  ('13099', 'Early County'),
+  ('13101', 'Echols County'),
+  ('13105', 'Elbert County'),
+  ('13107', 'Emanuel County'),
+  ('13109', 'Evans County'),
+  ('13111', 'Fannin County'),
+  ('13113', 'Fayette County'),
+  ('13115', 'Floyd County'),
+  ('13117', 'Forsyth County'),
+  ('13119', 'Franklin County'),
+  ('13121', 'Fulton County'),
+  ('13123', 'Gilmer County'),
+  ('13125', 'Glascock County'),
+  ('13129', 'Gordon County'),
+  ('13131', 'Grady County'),
+  ('13133', 'Greene County'),
+  ('13135', 'Gwinnett County'),
+  ('13137', 'Habersham County'),
+  ('13139', 'Hall County'),
+  ('13141', 'Hancock County'),
+  ('13143', 'Haralson County'),
+  ('13145', 'Harris County'),
+  ('13147', 'Hart County'),
+  ('13149', 'Heard County'),
+  ('13151', 'Henry County'),
+  ('13153', 'Houston County'),
+  ('13155', 'Irwin County'),
+  ('13157', 'Jackson County'),
+  ('13159', 'Jasper County'),
+  ('13161', 'Jeff Davis County'),
+  ('13163', 'Jefferson County'),
+  ('13165', 'Jenkins County'),
+  ('13167', 'Johnson County'),
+  ('13169', 'Jones County'),
+  ('13171', 'Lamar County'),
+  ('13173', 'Lanier County'),
+  ('13175', 'Laurens County'),
+  ('13177', 'Lee County'),
+  ('13179', 'Liberty County'),
+  ('13181', 'Lincoln County'),
+  ('13185', 'Lowndes County'),
+  ('13187', 'Lumpkin County'),
+  ('13189', 'McDuffie County'),
+  ('13193', 'Macon County'),
+  ('13195', 'Madison County'),
+  ('13197', 'Marion County'),
+  ('13199', 'Meriwether County'),
+  ('13201', 'Miller County'),
+  ('13205', 'Mitchell County'),
+  ('13207', 'Monroe County'),
+  ('13211', 'Morgan County'),
+  ('13215', 'Muscogee County'),
+  ('13217', 'Newton County'),
+  ('13219', 'Oconee County'),
+  ('13221', 'Oglethorpe County'),
+  ('13223', 'Paulding County'),
+  ('13225', 'Peach County'),
+  ('13227', 'Pickens County'),
+  ('13229', 'Pierce County'),
+  ('13231', 'Pike County'),
+  ('13233', 'Polk County'),
+  ('13235', 'Pulaski County'),
+  ('13239', 'Quitman County'),
+  ('13241', 'Rabun County'),
+  ('13243', 'Randolph County'),
+  ('13245', 'Richmond County'),
+  ('13247', 'Rockdale County'),
+  ('13249', 'Schley County'),
+  ('13251', 'Screven County'),
+  ('13253', 'Seminole County'),
+  ('13255', 'Spalding County'),
+  ('13257', 'Stephens County'),
+  ('13259', 'Stewart County'),
+  ('13261', 'Sumter County'),
+  ('13263', 'Talbot County'),
+  ('13265', 'Taliaferro County'),
+  ('13267', 'Tattnall County'),
+  ('13269', 'Taylor County'),
+  ('13271', 'Telfair County'),
+  ('13273', 'Terrell County'),
+  ('13275', 'Thomas County'),
+  ('13277', 'Tift County'),
+  ('13279', 'Toombs County'),
+  ('13281', 'Towns County'),
+  ('13283', 'Treutlen County'),
+  ('13285', 'Troup County'),
+  ('13287', 'Turner County'),
+  ('13289', 'Twiggs County'),
+  ('13291', 'Union County'),
+  ('13293', 'Upson County'),
+  ('13295', 'Walker County'),
+  ('13297', 'Walton County'),
+  ('13299', 'Ware County'),
+  ('13301', 'Warren County'),
+  ('13303', 'Washington County'),
+  ('13305', 'Wayne County'),
+  ('13309', 'Wheeler County'),
+  ('13311', 'White County'),
+  ('13313', 'Whitfield County'),
+  ('13315', 'Wilcox County'),
+  ('13317', 'Wilkes County'),
+  ('13319', 'Wilkinson County'),
+  ('13321', 'Worth County'),
+  ('16001', 'Ada County'),
+  ('16005', 'Bannock County'),
+  ('16007', 'Bear Lake County'),
+  ('16009', 'Benewah County'),
+  ('16011', 'Bingham County'),
+  ('16015', 'Boise County'),
+  ('16017', 'Bonner County'),
+  ('16019', 'Bonneville County'),
+  ('16023', 'Butte County'),
+  ('16027', 'Canyon County'),
+  ('16029', 'Caribou County'),
+  ('16031', 'Cassia County'),
+  ('16035', 'Clearwater County'),
+  ('16037', 'Custer County'),
+  ('16039', 'Elmore County'),
+  ('16043', 'Fremont County'),
+  ('16045', 'Gem County'),
+  ('16047', 'Gooding County'),
+  ('16049', 'Idaho County'),
+  ('16051', 'Jefferson County'),
+  ('16053', 'Jerome County'),
+  ('16055', 'Kootenai County'),
+  ('16057', 'Latah County'),
+  ('16059', 'Lemhi County'),
+  ('16063', 'Lincoln County'),
+  ('16065', 'Madison County'),
+  ('16067', 'Minidoka County'),
+  ('16069', 'Nez Perce County'),
+  ('16073', 'Owyhee County'),
+  ('16075', 'Payette County'),
+  ('16077', 'Power County'),
+  ('16083', 'Twin Falls County'),
+  ('16085', 'Valley County'),
+  ('17001', 'Adams County'),
+  ('17003', 'Alexander County'),
+  ('17005', 'Bond County'),
+  ('17007', 'Boone County'),
+  ('17009', 'Brown County'),
+  ('17011', 'Bureau County'),
+  ('17015', 'Carroll County'),
+  ('17017', 'Cass County'),
+  ('17019', 'Champaign County'),
+  ('17021', 'Christian County'),
+  ('17023', 'Clark County'),
+  ('17025', 'Clay County'),
+  ('17027', 'Clinton County'),
+  ('17029', 'Coles County'),
+  ('17031', 'Cook County'),
+  ('17033', 'Crawford County'),
+  ('17035', 'Cumberland County'),
+  ('17037', 'DeKalb County'),
+  ('17039', 'De Witt County'),
+  ('17041', 'Douglas County'),
+  ('17043', 'DuPage County'),
+  ('17045', 'Edgar County'),
+  ('17047', 'Edwards County'),
+  ('17049', 'Effingham County'),
+  ('17051', 'Fayette County'),
+  ('17053', 'Ford County'),
+  ('17055', 'Franklin County'),
+  ('17057', 'Fulton County'),
+  ('17059', 'Gallatin County'),
+  ('17061', 'Greene County'),
+  ('17063', 'Grundy County'),
+  ('17067', 'Hancock County'),
+  ('17069', 'Hardin County'),
+  ('17073', 'Henry County'),
+  ('17075', 'Iroquois County'),
+  ('17077', 'Jackson County'),
+  ('17079', 'Jasper County'),
+  ('17081', 'Jefferson County'),
+  ('17083', 'Jersey County'),
+  ('17085', 'Jo Daviess County'),
+  ('17087', 'Johnson County'),
+  ('17089', 'Kane County'),
+  ('17091', 'Kankakee County'),
+  ('17093', 'Kendall County'),
+  ('17095', 'Knox County'),
+  ('17097', 'Lake County'),
+  ('17099', 'LaSalle County'),
+  ('17101', 'Lawrence County'),
+  ('17103', 'Lee County'),
+  ('17105', 'Livingston County'),
+  ('17107', 'Logan County'),
+  ('17109', 'McDonough County'),
+  ('17111', 'McHenry County'),
+  ('17113', 'McLean County'),
+  ('17115', 'Macon County'),
+  ('17117', 'Macoupin County'),
+  ('17119', 'Madison County'),
+  ('17121', 'Marion County'),
+  ('17123', 'Marshall County'),
+  ('17125', 'Mason County'),
+  ('17127', 'Massac County'),
+  ('17129', 'Menard County'),
+  ('17131', 'Mercer County'),
+  ('17133', 'Monroe County'),
+  ('17135', 'Montgomery County'),
+  ('17137', 'Morgan County'),
+  ('17139', 'Moultrie County'),
+  ('17141', 'Ogle County'),
+  ('17143', 'Peoria County'),
+  ('17145', 'Perry County'),
+  ('17147', 'Piatt County'),
+  ('17149', 'Pike County'),
+  ('17151', 'Pope County'),
+  ('17153', 'Pulaski County'),
+  ('17155', 'Putnam County'),
+  ('17157', 'Randolph County'),
+  ('17159', 'Richland County'),
+  ('17161', 'Rock Island County'),
+  ('17163', 'St. Clair County'),
+  ('17165', 'Saline County'),
+  ('17167', 'Sangamon County'),
+  ('17171', 'Scott County'),
+  ('17173', 'Shelby County'),
+  ('17175', 'Stark County'),
+  ('17177', 'Stephenson County'),
+  ('17179', 'Tazewell County'),
+  ('17181', 'Union County'),
+  ('17183', 'Vermilion County'),
+  ('17185', 'Wabash County'),
+  ('17187', 'Warren County'),
+  ('17189', 'Washington County'),
+  ('17191', 'Wayne County'),
+  ('17193', 'White County'),
+  ('17195', 'Whiteside County'),
+  ('17197', 'Will County'),
+  ('17199', 'Williamson County'),
+  ('17201', 'Winnebago County'),
+  ('17203', 'Woodford County'),
+  ('18001', 'Adams County'),
+  ('18003', 'Allen County'),
+  ('18005', 'Bartholomew County'),
+  ('18007', 'Benton County'),
+  ('18009', 'Blackford County'),
+  ('18011', 'Boone County'),
+  ('18013', 'Brown County'),
+  ('18015', 'Carroll County'),
+  ('18017', 'Cass County'),
+  ('18019', 'Clark County'),
+  ('18021', 'Clay County'),
+  ('18023', 'Clinton County'),
+  ('18025', 'Crawford County'),
+  ('18027', 'Daviess County'),
+  ('18029', 'Dearborn County'),
+  ('18031', 'Decatur County'),
+  ('18033', 'DeKalb County'),
+  ('18035', 'Delaware County'),
+  ('18037', 'Dubois County'),
+  ('18039', 'Elkhart County'),
+  ('18041', 'Fayette County'),
+  ('18043', 'Floyd County'),
+  ('18045', 'Fountain County'),
+  ('18047', 'Franklin County'),
+  ('18049', 'Fulton County'),
+  ('18051', 'Gibson County'),
+  ('18053', 'Grant County'),
+  ('18055', 'Greene County'),
+  ('18057', 'Hamilton County'),
+  ('18059', 'Hancock County'),
+  ('18061', 'Harrison County'),
+  ('18063', 'Hendricks County'),
+  ('18065', 'Henry County'),
+  ('18067', 'Howard County'),
+  ('18069', 'Huntington County'),
+  ('18071', 'Jackson County'),
+  ('18073', 'Jasper County'),
+  ('18075', 'Jay County'),
+  ('18077', 'Jefferson County'),
+  ('18079', 'Jennings County'),
+  ('18081', 'Johnson County'),
+  ('18083', 'Knox County'),
+  ('18085', 'Kosciusko County'),
+  ('18087', 'LaGrange County'),
+  ('18089', 'Lake County'),
+  ('18091', 'LaPorte County'),
+  ('18093', 'Lawrence County'),
+  ('18095', 'Madison County'),
+  ('18097', 'Marion County'),
+  ('18099', 'Marshall County'),
+  ('18101', 'Martin County'),
+  ('18103', 'Miami County'),
+  ('18105', 'Monroe County'),
+  ('18107', 'Montgomery County'),
+  ('18109', 'Morgan County'),
+  ('18111', 'Newton County'),
+  ('18113', 'Noble County'),
+  ('18115', 'Ohio County'),
+  ('18117', 'Orange County'),
+  ('18119', 'Owen County'),
+  ('18121', 'Parke County'),
+  ('18125', 'Pike County'),
+  ('18127', 'Porter County'),
+  ('18129', 'Posey County'),
+  ('18131', 'Pulaski County'),
+  ('18133', 'Putnam County'),
+  ('18135', 'Randolph County'),
+  ('18137', 'Ripley County'),
+  ('18139', 'Rush County'),
+  ('18141', 'St. Joseph County'),
+  ('18143', 'Scott County'),
+  ('18145', 'Shelby County'),
+  ('18147', 'Spencer County'),
+  ('18149', 'Starke County'),
+  ('18151', 'Steuben County'),
+  ('18153', 'Sullivan County'),
+  ('18155', 'Switzerland County'),
+  ('18157', 'Tippecanoe County'),
+  ('18159', 'Tipton County'),
+  ('18161', 'Union County'),
+  ('18163', 'Vanderburgh County'),
+  ('18165', 'Vermillion County'),
+  ('18167', 'Vigo County'),
+  ('18169', 'Wabash County'),
+  ('18171', 'Warren County'),
+  ('18173', 'Warrick County'),
+  ('18175', 'Washington County'),
+  ('18177', 'Wayne County'),
+  ('18179', 'Wells County'),
+  ('18181', 'White County'),
+  ('18183', 'Whitley County'),
+  ('19001', 'Adair County'),
+  ('19003', 'Adams County'),
+  ('19005', 'Allamakee County'),
+  ('19007', 'Appanoose County'),
+  ('19009', 'Audubon County'),
+  ('19011', 'Benton County'),
+  ('19013', 'Black Hawk County'),
+  ('19015', 'Boone County'),
+  ('19017', 'Bremer County'),
+  ('19019', 'Buchanan County'),
+  ('19021', 'Buena Vista County'),
+  ('19023', 'Butler County'),
+  ('19025', 'Calhoun County'),
+  ('19027', 'Carroll County'),
+  ('19029', 'Cass County'),
+  ('19031', 'Cedar County'),
+  ('19033', 'Cerro Gordo County'),
+  ('19035', 'Cherokee County'),
+  ('19037', 'Chickasaw County'),
+  ('19039', 'Clarke County'),
+  ('19041', 'Clay County'),
+  ('19043', 'Clayton County'),
+  ('19045', 'Clinton County'),
+  ('19047', 'Crawford County'),
+  ('19049', 'Dallas County'),
+  ('19051', 'Davis County'),
+  ('19053', 'Decatur County'),
+  ('19055', 'Delaware County'),
+  ('19057', 'Des Moines County'),
+  ('19059', 'Dickinson County'),
+  ('19061', 'Dubuque County'),
+  ('19063', 'Emmet County'),
+  ('19065', 'Fayette County'),
+  ('19067', 'Floyd County'),
+  ('19069', 'Franklin County'),
+  ('19071', 'Fremont County'),
+  ('19073', 'Greene County'),
+  ('19075', 'Grundy County'),
+  ('19077', 'Guthrie County'),
+  ('19079', 'Hamilton County'),
+  ('19081', 'Hancock County'),
+  ('19083', 'Hardin County'),
+  ('19085', 'Harrison County'),
+  ('19087', 'Henry County'),
+  ('19089', 'Howard County'),
+  ('19091', 'Humboldt County'),
+  ('19093', 'Ida County'),
+  ('19095', 'Iowa County'),
+  ('19097', 'Jackson County'),
+  ('19099', 'Jasper County'),
+  ('19101', 'Jefferson County'),
+  ('19103', 'Johnson County'),
+  ('19105', 'Jones County'),
+  ('19107', 'Keokuk County'),
+  ('19109', 'Kossuth County'),
+  ('19111', 'Lee County'),
+  ('19113', 'Linn County'),
+  ('19115', 'Louisa County'),
+  ('19117', 'Lucas County'),
+  ('19119', 'Lyon County'),
+  ('19121', 'Madison County'),
+  ('19123', 'Mahaska County'),
+  ('19125', 'Marion County'),
+  ('19127', 'Marshall County'),
+  ('19129', 'Mills County'),
+  ('19131', 'Mitchell County'),
+  ('19133', 'Monona County'),
+  ('19135', 'Monroe County'),
+  ('19137', 'Montgomery County'),
+  ('19139', 'Muscatine County'),
+  ('19141', 'O''Brien County'),
+  ('19143', 'Osceola County'),
+  ('19145', 'Page County'),
+  ('19147', 'Palo Alto County'),
+  ('19149', 'Plymouth County'),
+  ('19151', 'Pocahontas County'),
+  ('19153', 'Polk County'),
+  ('19155', 'Pottawattamie County'),
+  ('19157', 'Poweshiek County'),
+  ('19159', 'Ringgold County'),
+  ('19161', 'Sac County'),
+  ('19163', 'Scott County'),
+  ('19165', 'Shelby County'),
+  ('19167', 'Sioux County'),
+  ('19169', 'Story County'),
+  ('19171', 'Tama County'),
+  ('19173', 'Taylor County'),
+  ('19175', 'Union County'),
+  ('19177', 'Van Buren County'),
+  ('19179', 'Wapello County'),
+  ('19181', 'Warren County'),
+  ('19183', 'Washington County'),
+  ('19185', 'Wayne County'),
+  ('19187', 'Webster County'),
+  ('19189', 'Winnebago County'),
+  ('19191', 'Winneshiek County'),
+  ('19193', 'Woodbury County'),
+  ('19195', 'Worth County'),
+  ('19197', 'Wright County'),
+  ('20001', 'Allen County'),
+  ('20003', 'Anderson County'),
+  ('20005', 'Atchison County'),
+  ('20007', 'Barber County'),
+  ('20009', 'Barton County'),
+  ('20011', 'Bourbon County'),
+  ('20013', 'Brown County'),
+  ('20015', 'Butler County'),
+  ('20019', 'Chautauqua County'),
+  ('20021', 'Cherokee County'),
+  ('20025', 'Clark County'),
+  ('20027', 'Clay County'),
+  ('20029', 'Cloud County'),
+  ('20031', 'Coffey County'),
+  ('20033', 'Comanche County'),
+  ('20035', 'Cowley County'),
+  ('20037', 'Crawford County'),
+  ('20039', 'Decatur County'),
+  ('20041', 'Dickinson County'),
+  ('20045', 'Douglas County'),
+  ('20047', 'Edwards County'),
+  ('20049', 'Elk County'),
+  ('20051', 'Ellis County'),
+  ('20053', 'Ellsworth County'),
+  ('20055', 'Finney County'),
+  ('20057', 'Ford County'),
+  ('20059', 'Franklin County'),
+  ('20061', 'Geary County'),
+  ('20063', 'Gove County'),
+  ('20065', 'Graham County'),
+  ('20067', 'Grant County'),
+  ('20069', 'Gray County'),
+  ('20073', 'Greenwood County'),
+  ('20075', 'Hamilton County'),
+  ('20077', 'Harper County'),
+  ('20079', 'Harvey County'),
+  ('20081', 'Haskell County'),
+  ('20085', 'Jackson County'),
+  ('20087', 'Jefferson County'),
+  ('20089', 'Jewell County'),
+  ('20091', 'Johnson County'),
+  ('20093', 'Kearny County'),
+  ('20095', 'Kingman County'),
+  ('20097', 'Kiowa County'),
+  ('20099', 'Labette County'),
+  ('20101', 'Lane County'),
+  ('20103', 'Leavenworth County'),
+  ('20105', 'Lincoln County'),
+  ('20107', 'Linn County'),
+  ('20109', 'Logan County'),
+  ('20111', 'Lyon County'),
+  ('20113', 'McPherson County'),
+  ('20115', 'Marion County'),
+  ('20117', 'Marshall County'),
+  ('20119', 'Meade County'),
+  ('20121', 'Miami County'),
+  ('20123', 'Mitchell County'),
+  ('20125', 'Montgomery County'),
+  ('20127', 'Morris County'),
+  ('20129', 'Morton County'),
+  ('20131', 'Nemaha County'),
+  ('20133', 'Neosho County'),
+  ('20135', 'Ness County'),
+  ('20137', 'Norton County'),
+  ('20139', 'Osage County'),
+  ('20141', 'Osborne County'),
+  ('20143', 'Ottawa County'),
+  ('20145', 'Pawnee County'),
+  ('20147', 'Phillips County'),
+  ('20149', 'Pottawatomie County'),
+  ('20151', 'Pratt County'),
+  ('20153', 'Rawlins County'),
+  ('20155', 'Reno County'),
+  ('20157', 'Republic County'),
+  ('20159', 'Rice County'),
+  ('20161', 'Riley County'),
+  ('20163', 'Rooks County'),
+  ('20165', 'Rush County'),
+  ('20167', 'Russell County'),
+  ('20169', 'Saline County'),
+  ('20171', 'Scott County'),
+  ('20173', 'Sedgwick County'),
+  ('20175', 'Seward County'),
+  ('20177', 'Shawnee County'),
+  ('20179', 'Sheridan County'),
+  ('20181', 'Sherman County'),
+  ('20183', 'Smith County'),
+  ('20185', 'Stafford County'),
+  ('20187', 'Stanton County'),
+  ('20189', 'Stevens County'),
+  ('20191', 'Sumner County'),
+  ('20193', 'Thomas County'),
+  ('20195', 'Trego County'),
+  ('20197', 'Wabaunsee County'),
+  ('20199', 'Wallace County'),
+  ('20201', 'Washington County'),
+  ('20203', 'Wichita County'),
+  ('20205', 'Wilson County'),
+  ('20207', 'Woodson County'),
+  ('20209', 'Wyandotte County'),
+  ('21001', 'Adair County'),
+  ('21009', 'Barren County'),
+  ('21011', 'Bath County'),
+  ('21013', 'Bell County'),
+  ('21015', 'Boone County'),
+  ('21017', 'Bourbon County'),
+  ('21019', 'Boyd County'),
+  ('21021', 'Boyle County'),
+  ('21023', 'Bracken County'),
+  ('21025', 'Breathitt County'),
+  ('21027', 'Breckinridge County'),
+  ('21029', 'Bullitt County'),
+  ('21031', 'Butler County'),
+  ('21033', 'Caldwell County'),
+  ('21035', 'Calloway County'),
+  ('21037', 'Campbell County'),
+  ('21039', 'Carlisle County'),
+  ('21041', 'Carroll County'),
+  ('21043', 'Carter County'),
+  ('21045', 'Casey County'),
+  ('21047', 'Christian County'),
+  ('21051', 'Clay County'),
+  ('21053', 'Clinton County'),
+  ('21055', 'Crittenden County'),
+  ('21057', 'Cumberland County'),
+  ('21059', 'Daviess County'),
+  ('21061', 'Edmonson County'),
+  ('21065', 'Estill County'),
+  ('21067', 'Fayette County'),
+  ('21069', 'Fleming County'),
+  ('21071', 'Floyd County'),
+  ('21073', 'Franklin County'),
+  ('21077', 'Gallatin County'),
+  ('21079', 'Garrard County'),
+  ('21081', 'Grant County'),
+  ('21083', 'Graves County'),
+  ('21085', 'Grayson County'),
+  ('21087', 'Green County'),
+  ('21089', 'Greenup County'),
+  ('21091', 'Hancock County'),
+  ('21093', 'Hardin County'),
+  ('21095', 'Harlan County'),
+  ('21097', 'Harrison County'),
+  ('21099', 'Hart County'),
+  ('21101', 'Henderson County'),
+  ('21103', 'Henry County'),
+  ('21105', 'Hickman County'),
+  ('21107', 'Hopkins County'),
+  ('21109', 'Jackson County'),
+  ('21111', 'Jefferson County'),
+  ('21113', 'Jessamine County'),
+  ('21115', 'Johnson County'),
+  ('21117', 'Kenton County'),
+  ('21119', 'Knott County'),
+  ('21121', 'Knox County'),
+  ('21123', 'Larue County'),
+  ('21125', 'Laurel County'),
+  ('21127', 'Lawrence County'),
+  ('21129', 'Lee County'),
+  ('21131', 'Leslie County'),
+  ('21133', 'Letcher County'),
+  ('21135', 'Lewis County'),
+  ('21137', 'Lincoln County'),
+  ('21139', 'Livingston County'),
+  ('21141', 'Logan County'),
+  ('21143', 'Lyon County'),
+  ('21145', 'McCracken County'),
+  ('21149', 'McLean County'),
+  ('21151', 'Madison County'),
+  ('21155', 'Marion County'),
+  ('21157', 'Marshall County'),
+  ('21161', 'Mason County'),
+  ('21163', 'Meade County'),
+  ('21165', 'Menifee County'),
+  ('21167', 'Mercer County'),
+  ('21169', 'Metcalfe County'),
+  ('21171', 'Monroe County'),
+  ('21173', 'Montgomery County'),
+  ('21175', 'Morgan County'),
+  ('21177', 'Muhlenberg County'),
+  ('21179', 'Nelson County'),
+  ('21181', 'Nicholas County'),
+  ('21183', 'Ohio County'),
+  ('21185', 'Oldham County'),
+  ('21187', 'Owen County'),
+  ('21189', 'Owsley County'),
+  ('21191', 'Pendleton County'),
+  ('21193', 'Perry County'),
+  ('21197', 'Powell County'),
+  ('21199', 'Pulaski County'),
+  ('21201', 'Robertson County'),
+  ('21203', 'Rockcastle County'),
+  ('21205', 'Rowan County'),
+  ('21207', 'Russell County'),
+  ('21209', 'Scott County'),
+  ('21211', 'Shelby County'),
+  ('21213', 'Simpson County'),
+  ('21215', 'Spencer County'),
+  ('21217', 'Taylor County'),
+  ('21219', 'Todd County'),
+  ('21223', 'Trimble County'),
+  ('21225', 'Union County'),
+  ('21227', 'Warren County'),
+  ('21229', 'Washington County'),
+  ('21231', 'Wayne County'),
+  ('21233', 'Webster County'),
+  ('21235', 'Whitley County'),
+  ('21237', 'Wolfe County'),
+  ('21239', 'Woodford County'),
+  ('22001', 'Acadia Parish'),
+  ('22003', 'Allen Parish'),
+  ('22005', 'Ascension Parish'),
+  ('22007', 'Assumption Parish'),
+  ('22009', 'Avoyelles Parish'),
+  ('22011', 'Beauregard Parish'),
+  ('22013', 'Bienville Parish'),
+  ('22015', 'Bossier Parish'),
+  ('22017', 'Caddo Parish'),
+  ('22019', 'Calcasieu Parish'),
+  ('22021', 'Caldwell Parish'),
+  ('22023', 'Cameron Parish'),
+  ('22025', 'Catahoula Parish'),
+  ('22027', 'Claiborne Parish'),
+  ('22031', 'De Soto Parish'),
+  ('22033', 'East Baton Rouge Parish'),
+  ('22037', 'East Feliciana Parish'),
+  ('22039', 'Evangeline Parish'),
+  ('22043', 'Grant Parish'),
+  ('22045', 'Iberia Parish'),
+  ('22047', 'Iberville Parish'),
+  ('22049', 'Jackson Parish'),
+  ('22053', 'Jefferson Davis Parish'),
+  ('22055', 'Lafayette Parish'),
+  ('22057', 'Lafourche Parish'),
+  ('22059', 'La Salle Parish'),
+  ('22061', 'Lincoln Parish'),
+  ('22063', 'Livingston Parish'),
+  ('22067', 'Morehouse Parish'),
+  ('22069', 'Natchitoches Parish'),
+  ('22079', 'Rapides Parish'),
+  ('22081', 'Red River Parish'),
+  ('22083', 'Richland Parish'),
+  ('22085', 'Sabine Parish'),
+  ('22089', 'St. Charles Parish'),
+  ('22091', 'St. Helena Parish'),
+  ('22093', 'St. James Parish'),
+  ('22095', 'St. John the Baptist Parish'),
+  ('22097', 'St. Landry Parish'),
+  ('22099', 'St. Martin Parish'),
+  ('22101', 'St. Mary Parish'),
+  ('22103', 'St. Tammany Parish'),
+  ('22105', 'Tangipahoa Parish'),
+  ('22109', 'Terrebonne Parish'),
+  ('22111', 'Union Parish'),
+  ('22113', 'Vermilion Parish'),
+  ('22115', 'Vernon Parish'),
+  ('22117', 'Washington Parish'),
+  ('22119', 'Webster Parish'),
+  ('22121', 'West Baton Rouge Parish'),
+  ('22123', 'West Carroll Parish'),
+  ('22127', 'Winn Parish'),
+  ('23003', 'Aroostook County'),
+  ('23009', 'Hancock County'),
+  ('23011', 'Kennebec County'),
+  ('23017', 'Oxford County'),
+  ('23019', 'Penobscot County'),
+  ('23021', 'Piscataquis County'),
+  ('23027', 'Waldo County'),
+  ('23029', 'Washington County'),
+  ('24001', 'Allegany County'),
+  ('24003', 'Anne Arundel County'),
+  ('24005', 'Baltimore County'),
+  ('24009', 'Calvert County'),
+  ('24011', 'Caroline County'),
+  ('24013', 'Carroll County'),
+  ('24015', 'Cecil County'),
+  ('24017', 'Charles County'),
+  ('24021', 'Frederick County'),
+  ('24023', 'Garrett County'),
+  ('24025', 'Harford County'),
+  ('24027', 'Howard County'),
+  ('24029', 'Kent County'),
+  ('24031', 'Montgomery County'),
+  ('24033', 'Prince George''s County'),
+  ('24035', 'Queen Anne''s County'),
+  ('24037', 'St. Mary''s County'),
+  ('24039', 'Somerset County'),
+  ('24043', 'Washington County'),
+  ('24045', 'Wicomico County'),
+  ('24047', 'Worcester County'),
+  ('24510', 'Baltimore city'),
+  ('25001', 'Barnstable County'),
+  ('25009', 'Essex County'),
+  ('25011', 'Franklin County'),
+  ('25013', 'Hampden County'),
+  ('25015', 'Hampshire County'),
+  ('25017', 'Middlesex County'),
+  ('25021', 'Norfolk County'),
+  ('25025', 'Suffolk County'),
+  ('25027', 'Worcester County'),
+  ('26001', 'Alcona County'),
+  ('26003', 'Alger County'),
+  ('26005', 'Allegan County'),
+  ('26007', 'Alpena County'),
+  ('26009', 'Antrim County'),
+  ('26011', 'Arenac County'),
+  ('26013', 'Baraga County'),
+  ('26015', 'Barry County'),
+  ('26017', 'Bay County'),
+  ('26019', 'Benzie County'),
+  ('26021', 'Berrien County'),
+  ('26023', 'Branch County'),
+  ('26025', 'Calhoun County'),
+  ('26027', 'Cass County'),
+  ('26029', 'Charlevoix County'),
+  ('26031', 'Cheboygan County'),
+  ('26033', 'Chippewa County'),
+  ('26035', 'Clare County'),
+  ('26037', 'Clinton County'),
+  ('26039', 'Crawford County'),
+  ('26041', 'Delta County'),
+  ('26043', 'Dickinson County'),
+  ('26045', 'Eaton County'),
+  ('26047', 'Emmet County'),
+  ('26049', 'Genesee County'),
+  ('26051', 'Gladwin County'),
+  ('26053', 'Gogebic County'),
+  ('26055', 'Grand Traverse County'),
+  ('26057', 'Gratiot County'),
+  ('26059', 'Hillsdale County'),
+  ('26061', 'Houghton County'),
+  ('26063', 'Huron County'),
+  ('26065', 'Ingham County'),
+  ('26067', 'Ionia County'),
+  ('26069', 'Iosco County'),
+  ('26073', 'Isabella County'),
+  ('26075', 'Jackson County'),
+  ('26077', 'Kalamazoo County'),
+  ('26079', 'Kalkaska County'),
+  ('26081', 'Kent County'),
+  ('26083', 'Keweenaw County'),
+  ('26085', 'Lake County'),
+  ('26087', 'Lapeer County'),
+  ('26089', 'Leelanau County'),
+  ('26091', 'Lenawee County'),
+  ('26093', 'Livingston County'),
+  ('26095', 'Luce County'),
+  ('26101', 'Manistee County'),
+  ('26103', 'Marquette County'),
+  ('26107', 'Mecosta County'),
+  ('26109', 'Menominee County'),
+  ('26111', 'Midland County'),
+  ('26115', 'Monroe County'),
+  ('26117', 'Montcalm County'),
+  ('26119', 'Montmorency County'),
+  ('26121', 'Muskegon County'),
+  ('26123', 'Newaygo County'),
+  ('26125', 'Oakland County'),
+  ('26127', 'Oceana County'),
+  ('26129', 'Ogemaw County'),
+  ('26133', 'Osceola County'),
+  ('26135', 'Oscoda County'),
+  ('26137', 'Otsego County'),
+  ('26139', 'Ottawa County'),
+  ('26141', 'Presque Isle County'),
+  ('26143', 'Roscommon County'),
+  ('26145', 'Saginaw County'),
+  ('26147', 'St. Clair County'),
+  ('26149', 'St. Joseph County'),
+  ('26151', 'Sanilac County'),
+  ('26153', 'Schoolcraft County'),
+  ('26155', 'Shiawassee County'),
+  ('26157', 'Tuscola County'),
+  ('26159', 'Van Buren County'),
+  ('26161', 'Washtenaw County'),
+  ('26163', 'Wayne County'),
+  ('26165', 'Wexford County'),
+  ('27001', 'Aitkin County'),
+  ('27003', 'Anoka County'),
+  ('27005', 'Becker County'),
+  ('27007', 'Beltrami County'),
+  ('27009', 'Benton County'),
+  ('27011', 'Big Stone County'),
+  ('27013', 'Blue Earth County'),
+  ('27015', 'Brown County'),
+  ('27017', 'Carlton County'),
+  ('27019', 'Carver County'),
+  ('27021', 'Cass County'),
+  ('27023', 'Chippewa County'),
+  ('27025', 'Chisago County'),
+  ('27027', 'Clay County'),
+  ('27029', 'Clearwater County'),
+  ('27033', 'Cottonwood County'),
+  ('27035', 'Crow Wing County'),
+  ('27037', 'Dakota County'),
+  ('27039', 'Dodge County'),
+  ('27041', 'Douglas County'),
+  ('27043', 'Faribault County'),
+  ('27045', 'Fillmore County'),
+  ('27049', 'Goodhue County'),
+  ('27051', 'Grant County'),
+  ('27053', 'Hennepin County'),
+  ('27055', 'Houston County'),
+  ('27057', 'Hubbard County'),
+  ('27059', 'Isanti County'),
+  ('27061', 'Itasca County'),
+  ('27063', 'Jackson County'),
+  ('27065', 'Kanabec County'),
+  ('27067', 'Kandiyohi County'),
+  ('27069', 'Kittson County'),
+  ('27071', 'Koochiching County'),
+  ('27073', 'Lac qui Parle County'),
+  ('27075', 'Lake County'),
+  ('27077', 'Lake of the Woods County'),
+  ('27079', 'Le Sueur County'),
+  ('27081', 'Lincoln County'),
+  ('27083', 'Lyon County'),
+  ('27085', 'McLeod County'),
+  ('27087', 'Mahnomen County'),
+  ('27089', 'Marshall County'),
+  ('27091', 'Martin County'),
+  ('27093', 'Meeker County'),
+  ('27095', 'Mille Lacs County'),
+  ('27097', 'Morrison County'),
+  ('27099', 'Mower County'),
+  ('27101', 'Murray County'),
+  ('27103', 'Nicollet County'),
+  ('27105', 'Nobles County'),
+  ('27107', 'Norman County'),
+  ('27109', 'Olmsted County'),
+  ('27111', 'Otter Tail County'),
+  ('27113', 'Pennington County'),
+  ('27115', 'Pine County'),
+  ('27117', 'Pipestone County'),
+  ('27119', 'Polk County'),
+  ('27121', 'Pope County'),
+  ('27123', 'Ramsey County'),
+  ('27125', 'Red Lake County'),
+  ('27127', 'Redwood County'),
+  ('27129', 'Renville County'),
+  ('27131', 'Rice County'),
+  ('27133', 'Rock County'),
+  ('27135', 'Roseau County'),
+  ('27137', 'St. Louis County'),
+  ('27139', 'Scott County'),
+  ('27141', 'Sherburne County'),
+  ('27143', 'Sibley County'),
+  ('27145', 'Stearns County'),
+  ('27147', 'Steele County'),
+  ('27149', 'Stevens County'),
+  ('27151', 'Swift County'),
+  ('27153', 'Todd County'),
+  ('27155', 'Traverse County'),
+  ('27157', 'Wabasha County'),
+  ('27159', 'Wadena County'),
+  ('27161', 'Waseca County'),
+  ('27163', 'Washington County'),
+  ('27165', 'Watonwan County'),
+  ('27167', 'Wilkin County'),
+  ('27169', 'Winona County'),
+  ('27171', 'Wright County'),
+  ('27173', 'Yellow Medicine County'),
+  ('28001', 'Adams County'),
+  ('28003', 'Alcorn County'),
+  ('28005', 'Amite County'),
+  ('28007', 'Attala County'),
+  ('28009', 'Benton County'),
+  ('28011', 'Bolivar County'),
+  ('28013', 'Calhoun County'),
+  ('28015', 'Carroll County'),
+  ('28017', 'Chickasaw County'),
+  ('28019', 'Choctaw County'),
+  ('28021', 'Claiborne County'),
+  ('28023', 'Clarke County'),
+  ('28025', 'Clay County'),
+  ('28027', 'Coahoma County'),
+  ('28029', 'Copiah County'),
+  ('28031', 'Covington County'),
+  ('28033', 'DeSoto County'),
+  ('28035', 'Forrest County'),
+  ('28037', 'Franklin County'),
+  ('28039', 'George County'),
+  ('28041', 'Greene County'),
+  ('28043', 'Grenada County'),
+  ('28047', 'Harrison County'),
+  ('28049', 'Hinds County'),
+  ('28051', 'Holmes County'),
+  ('28053', 'Humphreys County'),
+  ('28057', 'Itawamba County'),
+  ('28059', 'Jackson County'),
+  ('28061', 'Jasper County'),
+  ('28063', 'Jefferson County'),
+  ('28065', 'Jefferson Davis County'),
+  ('28067', 'Jones County'),
+  ('28069', 'Kemper County'),
+  ('28073', 'Lamar County'),
+  ('28075', 'Lauderdale County'),
+  ('28077', 'Lawrence County'),
+  ('28079', 'Leake County'),
+  ('28081', 'Lee County'),
+  ('28083', 'Leflore County'),
+  ('28085', 'Lincoln County'),
+  ('28087', 'Lowndes County'),
+  ('28089', 'Madison County'),
+  ('28091', 'Marion County'),
+  ('28093', 'Marshall County'),
+  ('28095', 'Monroe County'),
+  ('28097', 'Montgomery County'),
+  ('28099', 'Neshoba County'),
+  ('28101', 'Newton County'),
+  ('28103', 'Noxubee County'),
+  ('28105', 'Oktibbeha County'),
+  ('28107', 'Panola County'),
+  ('28109', 'Pearl River County'),
+  ('28111', 'Perry County'),
+  ('28113', 'Pike County'),
+  ('28115', 'Pontotoc County'),
+  ('28117', 'Prentiss County'),
+  ('28119', 'Quitman County'),
+  ('28121', 'Rankin County'),
+  ('28123', 'Scott County'),
+  ('28125', 'Sharkey County'),
+  ('28127', 'Simpson County'),
+  ('28129', 'Smith County'),
+  ('28131', 'Stone County'),
+  ('28133', 'Sunflower County'),
+  ('28135', 'Tallahatchie County'),
+  ('28137', 'Tate County'),
+  ('28139', 'Tippah County'),
+  ('28141', 'Tishomingo County'),
+  ('28143', 'Tunica County'),
+  ('28145', 'Union County'),
+  ('28147', 'Walthall County'),
+  ('28149', 'Warren County'),
+  ('28151', 'Washington County'),
+  ('28153', 'Wayne County'),
+  ('28155', 'Webster County'),
+  ('28157', 'Wilkinson County'),
+  ('28159', 'Winston County'),
+  ('28161', 'Yalobusha County'),
+  ('28163', 'Yazoo County'),
+  ('29001', 'Adair County'),
+  ('29003', 'Andrew County'),
+  ('29005', 'Atchison County'),
+  ('29007', 'Audrain County'),
+  ('29009', 'Barry County'),
+  ('29011', 'Barton County'),
+  ('29013', 'Bates County'),
+  ('29015', 'Benton County'),
+  ('29017', 'Bollinger County'),
+  ('29019', 'Boone County'),
+  ('29021', 'Buchanan County'),
+  ('29023', 'Butler County'),
+  ('29025', 'Caldwell County'),
+  ('29029', 'Camden County'),
+  ('29031', 'Cape Girardeau County'),
+  ('29033', 'Carroll County'),
+  ('29035', 'Carter County'),
+  ('29037', 'Cass County'),
+  ('29039', 'Cedar County'),
+  ('29041', 'Chariton County'),
+  ('29043', 'Christian County'),
+  ('29045', 'Clark County'),
+  ('29047', 'Clay County'),
+  ('29049', 'Clinton County'),
+  ('29051', 'Cole County'),
+  ('29053', 'Cooper County'),
+  ('29055', 'Crawford County'),
+  ('29057', 'Dade County'),
+  ('29059', 'Dallas County'),
+  ('29061', 'Daviess County'),
+  ('29063', 'DeKalb County'),
+  ('29065', 'Dent County'),
+  ('29067', 'Douglas County'),
+  ('29069', 'Dunklin County'),
+  ('29071', 'Franklin County'),
+  ('29073', 'Gasconade County'),
+  ('29075', 'Gentry County'),
+  ('29077', 'Greene County'),
+  ('29079', 'Grundy County'),
+  ('29081', 'Harrison County'),
+  ('29083', 'Henry County'),
+  ('29085', 'Hickory County'),
+  ('29089', 'Howard County'),
+  ('29091', 'Howell County'),
+  ('29093', 'Iron County'),
+  ('29095', 'Jackson County'),
+  ('29097', 'Jasper County'),
+  ('29099', 'Jefferson County'),
+  ('29101', 'Johnson County'),
+  ('29103', 'Knox County'),
+  ('29105', 'Laclede County'),
+  ('29107', 'Lafayette County'),
+  ('29109', 'Lawrence County'),
+  ('29111', 'Lewis County'),
+  ('29113', 'Lincoln County'),
+  ('29115', 'Linn County'),
+  ('29117', 'Livingston County'),
+  ('29119', 'McDonald County'),
+  ('29121', 'Macon County'),
+  ('29123', 'Madison County'),
+  ('29125', 'Maries County'),
+  ('29127', 'Marion County'),
+  ('29131', 'Miller County'),
+  ('29133', 'Mississippi County'),
+  ('29135', 'Moniteau County'),
+  ('29137', 'Monroe County'),
+  ('29139', 'Montgomery County'),
+  ('29141', 'Morgan County'),
+  ('29143', 'New Madrid County'),
+  ('29145', 'Newton County'),
+  ('29147', 'Nodaway County'),
+  ('29149', 'Oregon County'),
+  ('29151', 'Osage County'),
+  ('29153', 'Ozark County'),
+  ('29155', 'Pemiscot County'),
+  ('29157', 'Perry County'),
+  ('29159', 'Pettis County'),
+  ('29161', 'Phelps County'),
+  ('29163', 'Pike County'),
+  ('29165', 'Platte County'),
+  ('29167', 'Polk County'),
+  ('29169', 'Pulaski County'),
+  ('29171', 'Putnam County'),
+  ('29173', 'Ralls County'),
+  ('29175', 'Randolph County'),
+  ('29177', 'Ray County'),
+  ('29179', 'Reynolds County'),
+  ('29181', 'Ripley County'),
+  ('29183', 'St. Charles County'),
+  ('29185', 'St. Clair County'),
+  ('29186', 'Ste. Genevieve County'),
+  ('29187', 'St. Francois County'),
+  ('29189', 'St. Louis County'),
+  ('29195', 'Saline County'),
+  ('29197', 'Schuyler County'),
+  ('29199', 'Scotland County'),
+  ('29201', 'Scott County'),
+  ('29203', 'Shannon County'),
+  ('29205', 'Shelby County'),
+  ('29207', 'Stoddard County'),
+  ('29209', 'Stone County'),
+  ('29211', 'Sullivan County'),
+  ('29213', 'Taney County'),
+  ('29215', 'Texas County'),
+  ('29217', 'Vernon County'),
+  ('29219', 'Warren County'),
+  ('29221', 'Washington County'),
+  ('29223', 'Wayne County'),
+  ('29225', 'Webster County'),
+  ('29227', 'Worth County'),
+  ('29229', 'Wright County'),
+  ('29510', 'St. Louis city'),
+  ('30001', 'Beaverhead County'),
+  ('30003', 'Big Horn County'),
+  ('30009', 'Carbon County'),
+  ('30013', 'Cascade County'),
+  ('30015', 'Chouteau County'),
+  ('30017', 'Custer County'),
+  ('30019', 'Daniels County'),
+  ('30021', 'Dawson County'),
+  ('30023', 'Deer Lodge County'),
+  ('30027', 'Fergus County'),
+  ('30029', 'Flathead County'),
+  ('30031', 'Gallatin County'),
+  ('30037', 'Golden Valley County'),
+  ('30039', 'Granite County'),
+  ('30043', 'Jefferson County'),
+  ('30045', 'Judith Basin County'),
+  ('30047', 'Lake County'),
+  ('30049', 'Lewis and Clark County'),
+  ('30051', 'Liberty County'),
+  ('30055', 'McCone County'),
+  ('30057', 'Madison County'),
+  ('30059', 'Meagher County'),
+  ('30061', 'Mineral County'),
+  ('30063', 'Missoula County'),
+  ('30065', 'Musselshell County'),
+  ('30067', 'Park County'),
+  ('30071', 'Phillips County'),
+  ('30073', 'Pondera County'),
+  ('30075', 'Powder River County'),
+  ('30077', 'Powell County'),
+  ('30079', 'Prairie County'),
+  ('30081', 'Ravalli County'),
+  ('30083', 'Richland County'),
+  ('30085', 'Roosevelt County'),
+  ('30087', 'Rosebud County'),
+  ('30091', 'Sheridan County'),
+  ('30093', 'Silver Bow County'),
+  ('30095', 'Stillwater County'),
+  ('30097', 'Sweet Grass County'),
+  ('30099', 'Teton County'),
+  ('30101', 'Toole County'),
+  ('30103', 'Treasure County'),
+  ('30107', 'Wheatland County'),
+  ('30111', 'Yellowstone County'),
+  ('31001', 'Adams County'),
+  ('31003', 'Antelope County'),
+  ('31009', 'Blaine County'),
+  ('31011', 'Boone County'),
+  ('31013', 'Box Butte County'),
+  ('31015', 'Boyd County'),
+  ('31017', 'Brown County'),
+  ('31019', 'Buffalo County'),
+  ('31021', 'Burt County'),
+  ('31023', 'Butler County'),
+  ('31025', 'Cass County'),
+  ('31027', 'Cedar County'),
+  ('31029', 'Chase County'),
+  ('31031', 'Cherry County'),
+  ('31033', 'Cheyenne County'),
+  ('31035', 'Clay County'),
+  ('31037', 'Colfax County'),
+  ('31039', 'Cuming County'),
+  ('31041', 'Custer County'),
+  ('31043', 'Dakota County'),
+  ('31045', 'Dawes County'),
+  ('31047', 'Dawson County'),
+  ('31049', 'Deuel County'),
+  ('31051', 'Dixon County'),
+  ('31053', 'Dodge County'),
+  ('31055', 'Douglas County'),
+  ('31057', 'Dundy County'),
+  ('31059', 'Fillmore County'),
+  ('31061', 'Franklin County'),
+  ('31063', 'Frontier County'),
+  ('31065', 'Furnas County'),
+  ('31067', 'Gage County'),
+  ('31069', 'Garden County'),
+  ('31071', 'Garfield County'),
+  ('31073', 'Gosper County'),
+  ('31075', 'Grant County'),
+  ('31077', 'Greeley County'),
+  ('31079', 'Hall County'),
+  ('31081', 'Hamilton County'),
+  ('31083', 'Harlan County'),
+  ('31085', 'Hayes County'),
+  ('31087', 'Hitchcock County'),
+  ('31089', 'Holt County'),
+  ('31091', 'Hooker County'),
+  ('31093', 'Howard County'),
+  ('31095', 'Jefferson County'),
+  ('31097', 'Johnson County'),
+  ('31099', 'Kearney County'),
+  ('31101', 'Keith County'),
+  ('31103', 'Keya Paha County'),
+  ('31105', 'Kimball County'),
+  ('31107', 'Knox County'),
+  ('31109', 'Lancaster County'),
+  ('31111', 'Lincoln County'),
+  ('31113', 'Logan County'),
+  ('31119', 'Madison County'),
+  ('31121', 'Merrick County'),
+  ('31123', 'Morrill County'),
+  ('31125', 'Nance County'),
+  ('31127', 'Nemaha County'),
+  ('31129', 'Nuckolls County'),
+  ('31133', 'Pawnee County'),
+  ('31135', 'Perkins County'),
+  ('31137', 'Phelps County'),
+  ('31139', 'Pierce County'),
+  ('31141', 'Platte County'),
+  ('31143', 'Polk County'),
+  ('31145', 'Red Willow County'),
+  ('31147', 'Richardson County'),
+  ('31149', 'Rock County'),
+  ('31151', 'Saline County'),
+  ('31153', 'Sarpy County'),
+  ('31155', 'Saunders County'),
+  ('31157', 'Scotts Bluff County'),
+  ('31161', 'Sheridan County'),
+  ('31163', 'Sherman County'),
+  ('31165', 'Sioux County'),
+  ('31169', 'Thayer County'),
+  ('31171', 'Thomas County'),
+  ('31173', 'Thurston County'),
+  ('31175', 'Valley County'),
+  ('31177', 'Washington County'),
+  ('31179', 'Wayne County'),
+  ('31181', 'Webster County'),
+  ('31185', 'York County'),
+  ('32001', 'Churchill County'),
+  ('32003', 'Clark County'),
+  ('32005', 'Douglas County'),
+  ('32007', 'Elko County'),
+  ('32009', 'Esmeralda County'),
+  ('32011', 'Eureka County'),
+  ('32013', 'Humboldt County'),
+  ('32015', 'Lander County'),
+  ('32017', 'Lincoln County'),
+  ('32019', 'Lyon County'),
+  ('32023', 'Nye County'),
+  ('32029', 'Storey County'),
+  ('32031', 'Washoe County'),
+  ('32033', 'White Pine County'),
+  ('32510', 'Carson City'),
+  ('33001', 'Belknap County'),
+  ('33003', 'Carroll County'),
+  ('33005', 'Cheshire County'),
+  ('33009', 'Grafton County'),
+  ('33011', 'Hillsborough County'),
+  ('33013', 'Merrimack County'),
+  ('33017', 'Strafford County'),
+  ('34001', 'Atlantic County'),
+  ('34007', 'Camden County'),
+  ('34009', 'Cape May County'),
+  ('34011', 'Cumberland County'),
+  ('34013', 'Essex County'),
+  ('34015', 'Gloucester County'),
+  ('34019', 'Hunterdon County'),
+  ('34021', 'Mercer County'),
+  ('34023', 'Middlesex County'),
+  ('34025', 'Monmouth County'),
+  ('34027', 'Morris County'),
+  ('34029', 'Ocean County'),
+  ('34031', 'Passaic County'),
+  ('34033', 'Salem County'),
+  ('34035', 'Somerset County'),
+  ('34037', 'Sussex County'),
+  ('34039', 'Union County'),
+  ('34041', 'Warren County'),
+  ('35003', 'Catron County'),
+  ('35005', 'Chaves County'),
+  ('35006', 'Cibola County'),
+  ('35009', 'Curry County'),
+  ('35013', 'Dona Ana County'),
+  ('35015', 'Eddy County'),
+  ('35019', 'Guadalupe County'),
+  ('35021', 'Harding County'),
+  ('35023', 'Hidalgo County'),
+  ('35027', 'Lincoln County'),
+  ('35031', 'McKinley County'),
+  ('35033', 'Mora County'),
+  ('35035', 'Otero County'),
+  ('35037', 'Quay County'),
+  ('35039', 'Rio Arriba County'),
+  ('35041', 'Roosevelt County'),
+  ('35043', 'Sandoval County'),
+  ('35045', 'San Juan County'),
+  ('35047', 'San Miguel County'),
+  ('35049', 'Santa Fe County'),
+  ('35051', 'Sierra County'),
+  ('35053', 'Socorro County'),
+  ('35055', 'Taos County'),
+  ('35057', 'Torrance County'),
+  ('35059', 'Union County'),
+  ('36001', 'Albany County'),
+  ('36003', 'Allegany County'),
+  ('36005', 'Bronx County'),
+  ('36007', 'Broome County'),
+  ('36009', 'Cattaraugus County'),
+  ('36011', 'Cayuga County'),
+  ('36013', 'Chautauqua County'),
+  ('36015', 'Chemung County'),
+  ('36017', 'Chenango County'),
+  ('36019', 'Clinton County'),
+  ('36021', 'Columbia County'),
+  ('36023', 'Cortland County'),
+  ('36025', 'Delaware County'),
+  ('36027', 'Dutchess County'),
+  ('36029', 'Erie County'),
+  ('36031', 'Essex County'),
+  ('36033', 'Franklin County'),
+  ('36035', 'Fulton County'),
+  ('36037', 'Genesee County'),
+  ('36039', 'Greene County'),
+  ('36041', 'Hamilton County'),
+  ('36043', 'Herkimer County'),
+  ('36045', 'Jefferson County'),
+  ('36049', 'Lewis County'),
+  ('36051', 'Livingston County'),
+  ('36053', 'Madison County'),
+  ('36055', 'Monroe County'),
+  ('36057', 'Montgomery County'),
+  ('36059', 'Nassau County'),
+  ('36063', 'Niagara County'),
+  ('36065', 'Oneida County'),
+  ('36067', 'Onondaga County'),
+  ('36069', 'Ontario County'),
+  ('36071', 'Orange County'),
+  ('36073', 'Orleans County'),
+  ('36075', 'Oswego County'),
+  ('36077', 'Otsego County'),
+  ('36079', 'Putnam County'),
+  ('36081', 'Queens County'),
+  ('36083', 'Rensselaer County'),
+  ('36089', 'St. Lawrence County'),
+  ('36091', 'Saratoga County'),
+  ('36093', 'Schenectady County'),
+  ('36095', 'Schoharie County'),
+  ('36097', 'Schuyler County'),
+  ('36101', 'Steuben County'),
+  ('36103', 'Suffolk County'),
+  ('36105', 'Sullivan County'),
+  ('36107', 'Tioga County'),
+  ('36109', 'Tompkins County'),
+  ('36111', 'Ulster County'),
+  ('36113', 'Warren County'),
+  ('36115', 'Washington County'),
+  ('36117', 'Wayne County'),
+  ('36119', 'Westchester County'),
+  ('36121', 'Wyoming County'),
+  ('36123', 'Yates County'),
+  ('37001', 'Alamance County'),
+  ('37003', 'Alexander County'),
+  ('37007', 'Anson County'),
+  ('37009', 'Ashe County'),
+  ('37011', 'Avery County'),
+  ('37013', 'Beaufort County'),
+  ('37015', 'Bertie County'),
+  ('37017', 'Bladen County'),
+  ('37021', 'Buncombe County'),
+  ('37023', 'Burke County'),
+  ('37025', 'Cabarrus County'),
+  ('37027', 'Caldwell County'),
+  ('37031', 'Carteret County'),
+  ('37033', 'Caswell County'),
+  ('37035', 'Catawba County'),
+  ('37037', 'Chatham County'),
+  ('37041', 'Chowan County'),
+  ('37043', 'Clay County'),
+  ('37045', 'Cleveland County'),
+  ('37047', 'Columbus County'),
+  ('37049', 'Craven County'),
+  ('37051', 'Cumberland County'),
+  ('37053', 'Currituck County'),
+  ('37057', 'Davidson County'),
+  ('37059', 'Davie County'),
+  ('37061', 'Duplin County'),
+  ('37063', 'Durham County'),
+  ('37065', 'Edgecombe County'),
+  ('37067', 'Forsyth County'),
+  ('37069', 'Franklin County'),
+  ('37071', 'Gaston County'),
+  ('37073', 'Gates County'),
+  ('37075', 'Graham County'),
+  ('37077', 'Granville County'),
+  ('37079', 'Greene County'),
+  ('37081', 'Guilford County'),
+  ('37083', 'Halifax County'),
+  ('37085', 'Harnett County'),
+  ('37087', 'Haywood County'),
+  ('37089', 'Henderson County'),
+  ('37091', 'Hertford County'),
+  ('37093', 'Hoke County'),
+  ('37095', 'Hyde County'),
+  ('37097', 'Iredell County'),
+  ('37099', 'Jackson County'),
+  ('37101', 'Johnston County'),
+  ('37103', 'Jones County'),
+  ('37105', 'Lee County'),
+  ('37107', 'Lenoir County'),
+  ('37109', 'Lincoln County'),
+  ('37111', 'McDowell County'),
+  ('37113', 'Macon County'),
+  ('37115', 'Madison County'),
+  ('37117', 'Martin County'),
+  ('37119', 'Mecklenburg County'),
+  ('37121', 'Mitchell County'),
+  ('37123', 'Montgomery County'),
+  ('37125', 'Moore County'),
+  ('37127', 'Nash County'),
+  ('37129', 'New Hanover County'),
+  ('37131', 'Northampton County'),
+  ('37133', 'Onslow County'),
+  ('37135', 'Orange County'),
+  ('37139', 'Pasquotank County'),
+  ('37141', 'Pender County'),
+  ('37143', 'Perquimans County'),
+  ('37145', 'Person County'),
+  ('37147', 'Pitt County'),
+  ('37149', 'Polk County'),
+  ('37151', 'Randolph County'),
+  ('37153', 'Richmond County'),
+  ('37155', 'Robeson County'),
+  ('37157', 'Rockingham County'),
+  ('37159', 'Rowan County'),
+  ('37161', 'Rutherford County'),
+  ('37163', 'Sampson County'),
+  ('37165', 'Scotland County'),
+  ('37167', 'Stanly County'),
+  ('37169', 'Stokes County'),
+  ('37171', 'Surry County'),
+  ('37173', 'Swain County'),
+  ('37175', 'Transylvania County'),
+  ('37179', 'Union County'),
+  ('37181', 'Vance County'),
+  ('37183', 'Wake County'),
+  ('37185', 'Warren County'),
+  ('37187', 'Washington County'),
+  ('37189', 'Watauga County'),
+  ('37191', 'Wayne County'),
+  ('37193', 'Wilkes County'),
+  ('37195', 'Wilson County'),
+  ('37197', 'Yadkin County'),
+  ('37199', 'Yancey County'),
+  ('38001', 'Adams County'),
+  ('38003', 'Barnes County'),
+  ('38005', 'Benson County'),
+  ('38007', 'Billings County'),
+  ('38009', 'Bottineau County'),
+  ('38011', 'Bowman County'),
+  ('38013', 'Burke County'),
+  ('38015', 'Burleigh County'),
+  ('38017', 'Cass County'),
+  ('38019', 'Cavalier County'),
+  ('38021', 'Dickey County'),
+  ('38023', 'Divide County'),
+  ('38025', 'Dunn County'),
+  ('38027', 'Eddy County'),
+  ('38029', 'Emmons County'),
+  ('38031', 'Foster County'),
+  ('38033', 'Golden Valley County'),
+  ('38035', 'Grand Forks County'),
+  ('38037', 'Grant County'),
+  ('38039', 'Griggs County'),
+  ('38041', 'Hettinger County'),
+  ('38043', 'Kidder County'),
+  ('38045', 'LaMoure County'),
+  ('38047', 'Logan County'),
+  ('38049', 'McHenry County'),
+  ('38051', 'McIntosh County'),
+  ('38053', 'McKenzie County'),
+  ('38055', 'McLean County'),
+  ('38057', 'Mercer County'),
+  ('38059', 'Morton County'),
+  ('38061', 'Mountrail County'),
+  ('38063', 'Nelson County'),
+  ('38067', 'Pembina County'),
+  ('38069', 'Pierce County'),
+  ('38071', 'Ramsey County'),
+  ('38075', 'Renville County'),
+  ('38077', 'Richland County'),
+  ('38079', 'Rolette County'),
+  ('38081', 'Sargent County'),
+  ('38083', 'Sheridan County'),
+  ('38085', 'Sioux County'),
+  ('38087', 'Slope County'),
+  ('38089', 'Stark County'),
+  ('38091', 'Steele County'),
+  ('38093', 'Stutsman County'),
+  ('38095', 'Towner County'),
+  ('38097', 'Traill County'),
+  ('38099', 'Walsh County'),
+  ('38101', 'Ward County'),
+  ('38103', 'Wells County'),
+  ('38105', 'Williams County'),
+  ('39001', 'Adams County'),
+  ('39003', 'Allen County'),
+  ('39005', 'Ashland County'),
+  ('39007', 'Ashtabula County'),
+  ('39009', 'Athens County'),
+  ('39011', 'Auglaize County'),
+  ('39013', 'Belmont County'),
+  ('39015', 'Brown County'),
+  ('39017', 'Butler County'),
+  ('39019', 'Carroll County'),
+  ('39021', 'Champaign County'),
+  ('39023', 'Clark County'),
+  ('39025', 'Clermont County'),
+  ('39027', 'Clinton County'),
+  ('39029', 'Columbiana County'),
+  ('39031', 'Coshocton County'),
+  ('39033', 'Crawford County'),
+  ('39035', 'Cuyahoga County'),
+  ('39037', 'Darke County'),
+  ('39039', 'Defiance County'),
+  ('39041', 'Delaware County'),
+  ('39043', 'Erie County'),
+  ('39045', 'Fairfield County'),
+  ('39047', 'Fayette County'),
+  ('39049', 'Franklin County'),
+  ('39051', 'Fulton County'),
+  ('39053', 'Gallia County'),
+  ('39055', 'Geauga County'),
+  ('39057', 'Greene County'),
+  ('39059', 'Guernsey County'),
+  ('39061', 'Hamilton County'),
+  ('39063', 'Hancock County'),
+  ('39065', 'Hardin County'),
+  ('39067', 'Harrison County'),
+  ('39069', 'Henry County'),
+  ('39071', 'Highland County'),
+  ('39073', 'Hocking County'),
+  ('39075', 'Holmes County'),
+  ('39077', 'Huron County'),
+  ('39079', 'Jackson County'),
+  ('39081', 'Jefferson County'),
+  ('39083', 'Knox County'),
+  ('39085', 'Lake County'),
+  ('39087', 'Lawrence County'),
+  ('39089', 'Licking County'),
+  ('39091', 'Logan County'),
+  ('39095', 'Lucas County'),
+  ('39097', 'Madison County'),
+  ('39099', 'Mahoning County'),
+  ('39101', 'Marion County'),
+  ('39103', 'Medina County'),
+  ('39105', 'Meigs County'),
+  ('39107', 'Mercer County'),
+  ('39109', 'Miami County'),
+  ('39111', 'Monroe County'),
+  ('39113', 'Montgomery County'),
+  ('39115', 'Morgan County'),
+  ('39117', 'Morrow County'),
+  ('39119', 'Muskingum County'),
+  ('39121', 'Noble County'),
+  ('39123', 'Ottawa County'),
+  ('39125', 'Paulding County'),
+  ('39127', 'Perry County'),
+  ('39129', 'Pickaway County'),
+  ('39131', 'Pike County'),
+  ('39133', 'Portage County'),
+  ('39135', 'Preble County'),
+  ('39137', 'Putnam County'),
+  ('39139', 'Richland County'),
+  ('39141', 'Ross County'),
+  ('39143', 'Sandusky County'),
+  ('39145', 'Scioto County'),
+  ('39147', 'Seneca County'),
+  ('39149', 'Shelby County'),
+  ('39151', 'Stark County'),
+  ('39153', 'Summit County'),
+  ('39155', 'Trumbull County'),
+  ('39157', 'Tuscarawas County'),
+  ('39159', 'Union County'),
+  ('39161', 'Van Wert County'),
+  ('39163', 'Vinton County'),
+  ('39165', 'Warren County'),
+  ('39167', 'Washington County'),
+  ('39169', 'Wayne County'),
+  ('39171', 'Williams County'),
+  ('39173', 'Wood County'),
+  ('39175', 'Wyandot County'),
+  ('40001', 'Adair County'),
+  ('40003', 'Alfalfa County'),
+  ('40005', 'Atoka County'),
+  ('40007', 'Beaver County'),
+  ('40009', 'Beckham County'),
+  ('40011', 'Blaine County'),
+  ('40013', 'Bryan County'),
+  ('40015', 'Caddo County'),
+  ('40017', 'Canadian County'),
+  ('40019', 'Carter County'),
+  ('40021', 'Cherokee County'),
+  ('40023', 'Choctaw County'),
+  ('40027', 'Cleveland County'),
+  ('40029', 'Coal County'),
+  ('40031', 'Comanche County'),
+  ('40033', 'Cotton County'),
+  ('40035', 'Craig County'),
+  ('40037', 'Creek County'),
+  ('40039', 'Custer County'),
+  ('40041', 'Delaware County'),
+  ('40043', 'Dewey County'),
+  ('40045', 'Ellis County'),
+  ('40047', 'Garfield County'),
+  ('40049', 'Garvin County'),
+  ('40051', 'Grady County'),
+  ('40053', 'Grant County'),
+  ('40055', 'Greer County'),
+  ('40061', 'Haskell County'),
+  ('40063', 'Hughes County'),
+  ('40065', 'Jackson County'),
+  ('40067', 'Jefferson County'),
+  ('40069', 'Johnston County'),
+  ('40071', 'Kay County'),
+  ('40073', 'Kingfisher County'),
+  ('40075', 'Kiowa County'),
+  ('40077', 'Latimer County'),
+  ('40079', 'Le Flore County'),
+  ('40081', 'Lincoln County'),
+  ('40083', 'Logan County'),
+  ('40087', 'McClain County'),
+  ('40089', 'McCurtain County'),
+  ('40091', 'McIntosh County'),
+  ('40093', 'Major County'),
+  ('40097', 'Mayes County'),
+  ('40099', 'Murray County'),
+  ('40101', 'Muskogee County'),
+  ('40103', 'Noble County'),
+  ('40105', 'Nowata County'),
+  ('40107', 'Okfuskee County'),
+  ('40109', 'Oklahoma County'),
+  ('40111', 'Okmulgee County'),
+  ('40113', 'Osage County'),
+  ('40115', 'Ottawa County'),
+  ('40117', 'Pawnee County'),
+  ('40119', 'Payne County'),
+  ('40121', 'Pittsburg County'),
+  ('40123', 'Pontotoc County'),
+  ('40125', 'Pottawatomie County'),
+  ('40127', 'Pushmataha County'),
+  ('40129', 'Roger Mills County'),
+  ('40131', 'Rogers County'),
+  ('40133', 'Seminole County'),
+  ('40135', 'Sequoyah County'),
+  ('40137', 'Stephens County'),
+  ('40139', 'Texas County'),
+  ('40143', 'Tulsa County'),
+  ('40145', 'Wagoner County'),
+  ('40147', 'Washington County'),
+  ('40149', 'Washita County'),
+  ('40151', 'Woods County'),
+  ('40153', 'Woodward County'),
+  ('41001', 'Baker County'),
+  ('41003', 'Benton County'),
+  ('41005', 'Clackamas County'),
+  ('41007', 'Clatsop County'),
+  ('41009', 'Columbia County'),
+  ('41011', 'Coos County'),
+  ('41013', 'Crook County'),
+  ('41015', 'Curry County'),
+  ('41017', 'Deschutes County'),
+  ('41023', 'Grant County'),
+  ('41025', 'Harney County'),
+  ('41027', 'Hood River County'),
+  ('41031', 'Jefferson County'),
+  ('41033', 'Josephine County'),
+  ('41035', 'Klamath County'),
+  ('41039', 'Lane County'),
+  ('41041', 'Lincoln County'),
+  ('41043', 'Linn County'),
+  ('41045', 'Malheur County'),
+  ('41047', 'Marion County'),
+  ('41049', 'Morrow County'),
+  ('41051', 'Multnomah County'),
+  ('41053', 'Polk County'),
+  ('41057', 'Tillamook County'),
+  ('41059', 'Umatilla County'),
+  ('41061', 'Union County'),
+  ('41065', 'Wasco County'),
+  ('41067', 'Washington County'),
+  ('41069', 'Wheeler County'),
+  ('41071', 'Yamhill County'),
+  ('42001', 'Adams County'),
+  ('42003', 'Allegheny County'),
+  ('42005', 'Armstrong County'),
+  ('42007', 'Beaver County'),
+  ('42009', 'Bedford County'),
+  ('42011', 'Berks County'),
+  ('42013', 'Blair County'),
+  ('42015', 'Bradford County'),
+  ('42017', 'Bucks County'),
+  ('42019', 'Butler County'),
+  ('42021', 'Cambria County'),
+  ('42023', 'Cameron County'),
+  ('42025', 'Carbon County'),
+  ('42027', 'Centre County'),
+  ('42029', 'Chester County'),
+  ('42031', 'Clarion County'),
+  ('42033', 'Clearfield County'),
+  ('42035', 'Clinton County'),
+  ('42037', 'Columbia County'),
+  ('42039', 'Crawford County'),
+  ('42041', 'Cumberland County'),
+  ('42043', 'Dauphin County'),
+  ('42045', 'Delaware County'),
+  ('42047', 'Elk County'),
+  ('42049', 'Erie County'),
+  ('42051', 'Fayette County'),
+  ('42053', 'Forest County'),
+  ('42055', 'Franklin County'),
+  ('42057', 'Fulton County'),
+  ('42059', 'Greene County'),
+  ('42061', 'Huntingdon County'),
+  ('42063', 'Indiana County'),
+  ('42065', 'Jefferson County'),
+  ('42067', 'Juniata County'),
+  ('42069', 'Lackawanna County'),
+  ('42071', 'Lancaster County'),
+  ('42073', 'Lawrence County'),
+  ('42075', 'Lebanon County'),
+  ('42077', 'Lehigh County'),
+  ('42079', 'Luzerne County'),
+  ('42081', 'Lycoming County'),
+  ('42083', 'McKean County'),
+  ('42085', 'Mercer County'),
+  ('42087', 'Mifflin County'),
+  ('42089', 'Monroe County'),
+  ('42091', 'Montgomery County'),
+  ('42093', 'Montour County'),
+  ('42095', 'Northampton County'),
+  ('42097', 'Northumberland County'),
+  ('42099', 'Perry County'),
+  ('42101', 'Philadelphia County'),
+  ('42103', 'Pike County'),
+  ('42105', 'Potter County'),
+  ('42107', 'Schuylkill County'),
+  ('42109', 'Snyder County'),
+  ('42111', 'Somerset County'),
+  ('42113', 'Sullivan County'),
+  ('42115', 'Susquehanna County'),
+  ('42117', 'Tioga County'),
+  ('42121', 'Venango County'),
+  ('42123', 'Warren County'),
+  ('42125', 'Washington County'),
+  ('42127', 'Wayne County'),
+  ('42129', 'Westmoreland County'),
+  ('42131', 'Wyoming County'),
+  ('42133', 'York County'),
+  ('44003', 'Kent County'),
+  ('44007', 'Providence County'),
+  ('45001', 'Abbeville County'),
+  ('45003', 'Aiken County'),
+  ('45005', 'Allendale County'),
+  ('45007', 'Anderson County'),
+  ('45009', 'Bamberg County'),
+  ('45011', 'Barnwell County'),
+  ('45013', 'Beaufort County'),
+  ('45015', 'Berkeley County'),
+  ('45017', 'Calhoun County'),
+  ('45019', 'Charleston County'),
+  ('45021', 'Cherokee County'),
+  ('45023', 'Chester County'),
+  ('45025', 'Chesterfield County'),
+  ('45027', 'Clarendon County'),
+  ('45029', 'Colleton County'),
+  ('45031', 'Darlington County'),
+  ('45033', 'Dillon County'),
+  ('45035', 'Dorchester County'),
+  ('45037', 'Edgefield County'),
+  ('45039', 'Fairfield County'),
+  ('45041', 'Florence County'),
+  ('45043', 'Georgetown County'),
+  ('45045', 'Greenville County'),
+  ('45047', 'Greenwood County'),
+  ('45049', 'Hampton County'),
+  ('45051', 'Horry County'),
+  ('45053', 'Jasper County'),
+  ('45055', 'Kershaw County'),
+  ('45057', 'Lancaster County'),
+  ('45059', 'Laurens County'),
+  ('45061', 'Lee County'),
+  ('45063', 'Lexington County'),
+  ('45065', 'McCormick County'),
+  ('45067', 'Marion County'),
+  ('45071', 'Newberry County'),
+  ('45073', 'Oconee County'),
+  ('45075', 'Orangeburg County'),
+  ('45077', 'Pickens County'),
+  ('45079', 'Richland County'),
+  ('45081', 'Saluda County'),
+  ('45083', 'Spartanburg County'),
+  ('45085', 'Sumter County'),
+  ('45087', 'Union County'),
+  ('45089', 'Williamsburg County'),
+  ('45091', 'York County'),
+  ('46003', 'Aurora County'),
+  ('46005', 'Beadle County'),
+  ('46007', 'Bennett County'),
+  ('46009', 'Bon Homme County'),
+  ('46011', 'Brookings County'),
+  ('46013', 'Brown County'),
+  ('46015', 'Brule County'),
+  ('46019', 'Butte County'),
+  ('46021', 'Campbell County'),
+  ('46023', 'Charles Mix County'),
+  ('46025', 'Clark County'),
+  ('46027', 'Clay County'),
+  ('46029', 'Codington County'),
+  ('46031', 'Corson County'),
+  ('46033', 'Custer County'),
+  ('46035', 'Davison County'),
+  ('46037', 'Day County'),
+  ('46039', 'Deuel County'),
+  ('46041', 'Dewey County'),
+  ('46043', 'Douglas County'),
+  ('46045', 'Edmunds County'),
+  ('46047', 'Fall River County'),
+  ('46049', 'Faulk County'),
+  ('46051', 'Grant County'),
+  ('46053', 'Gregory County'),
+  ('46055', 'Haakon County'),
+  ('46057', 'Hamlin County'),
+  ('46059', 'Hand County'),
+  ('46061', 'Hanson County'),
+  ('46063', 'Harding County'),
+  ('46065', 'Hughes County'),
+  ('46067', 'Hutchinson County'),
+  ('46071', 'Jackson County'),
+  ('46073', 'Jerauld County'),
+  ('46077', 'Kingsbury County'),
+  ('46079', 'Lake County'),
+  ('46081', 'Lawrence County'),
+  ('46083', 'Lincoln County'),
+  ('46085', 'Lyman County'),
+  ('46087', 'McCook County'),
+  ('46089', 'McPherson County'),
+  ('46091', 'Marshall County'),
+  ('46093', 'Meade County'),
+  ('46095', 'Mellette County'),
+  ('46097', 'Miner County'),
+  ('46099', 'Minnehaha County'),
+  ('46101', 'Moody County'),
+  ('46103', 'Pennington County'),
+  ('46105', 'Perkins County'),
+  ('46107', 'Potter County'),
+  ('46109', 'Roberts County'),
+  ('46111', 'Sanborn County'),
+  ('46115', 'Spink County'),
+  ('46117', 'Stanley County'),
+  ('46119', 'Sully County'),
+  ('46121', 'Todd County'),
+  ('46123', 'Tripp County'),
+  ('46125', 'Turner County'),
+  ('46127', 'Union County'),
+  ('46129', 'Walworth County'),
+  ('46135', 'Yankton County'),
+  ('46137', 'Ziebach County'),
+  ('47001', 'Anderson County'),
+  ('47003', 'Bedford County'),
+  ('47005', 'Benton County'),
+  ('47007', 'Bledsoe County'),
+  ('47009', 'Blount County'),
+  ('47011', 'Bradley County'),
+  ('47013', 'Campbell County'),
+  ('47015', 'Cannon County'),
+  ('47017', 'Carroll County'),
+  ('47019', 'Carter County'),
+  ('47021', 'Cheatham County'),
+  ('47023', 'Chester County'),
+  ('47025', 'Claiborne County'),
+  ('47027', 'Clay County'),
+  ('47029', 'Cocke County'),
+  ('47031', 'Coffee County'),
+  ('47033', 'Crockett County'),
+  ('47035', 'Cumberland County'),
+  ('47037', 'Davidson County'),
+  ('47039', 'Decatur County'),
+  ('47041', 'DeKalb County'),
+  ('47043', 'Dickson County'),
+  ('47045', 'Dyer County'),
+  ('47047', 'Fayette County'),
+  ('47049', 'Fentress County'),
+  ('47051', 'Franklin County'),
+  ('47053', 'Gibson County'),
+  ('47055', 'Giles County'),
+  ('47057', 'Grainger County'),
+  ('47059', 'Greene County'),
+  ('47061', 'Grundy County'),
+  ('47063', 'Hamblen County'),
+  ('47065', 'Hamilton County'),
+  ('47067', 'Hancock County'),
+  ('47069', 'Hardeman County'),
+  ('47071', 'Hardin County'),
+  ('47073', 'Hawkins County'),
+  ('47075', 'Haywood County'),
+  ('47077', 'Henderson County'),
+  ('47079', 'Henry County'),
+  ('47081', 'Hickman County'),
+  ('47083', 'Houston County'),
+  ('47085', 'Humphreys County'),
+  ('47087', 'Jackson County'),
+  ('47089', 'Jefferson County'),
+  ('47091', 'Johnson County'),
+  ('47093', 'Knox County'),
+  ('47095', 'Lake County'),
+  ('47097', 'Lauderdale County'),
+  ('47099', 'Lawrence County'),
+  ('47101', 'Lewis County'),
+  ('47103', 'Lincoln County'),
+  ('47105', 'Loudon County'),
+  ('47107', 'McMinn County'),
+  ('47109', 'McNairy County'),
+  ('47111', 'Macon County'),
+  ('47113', 'Madison County'),
+  ('47115', 'Marion County'),
+  ('47117', 'Marshall County'),
+  ('47119', 'Maury County'),
+  ('47121', 'Meigs County'),
+  ('47123', 'Monroe County'),
+  ('47125', 'Montgomery County'),
+  ('47129', 'Morgan County'),
+  ('47131', 'Obion County'),
+  ('47133', 'Overton County'),
+  ('47135', 'Perry County'),
+  ('47137', 'Pickett County'),
+  ('47139', 'Polk County'),
+  ('47141', 'Putnam County'),
+  ('47143', 'Rhea County'),
+  ('47145', 'Roane County'),
+  ('47147', 'Robertson County'),
+  ('47149', 'Rutherford County'),
+  ('47151', 'Scott County'),
+  ('47153', 'Sequatchie County'),
+  ('47155', 'Sevier County'),
+  ('47157', 'Shelby County'),
+  ('47159', 'Smith County'),
+  ('47161', 'Stewart County'),
+  ('47163', 'Sullivan County'),
+  ('47165', 'Sumner County'),
+  ('47167', 'Tipton County'),
+  ('47169', 'Trousdale County'),
+  ('47171', 'Unicoi County'),
+  ('47173', 'Union County'),
+  ('47177', 'Warren County'),
+  ('47179', 'Washington County'),
+  ('47181', 'Wayne County'),
+  ('47185', 'White County'),
+  ('47187', 'Williamson County'),
+  ('47189', 'Wilson County'),
+  ('48001', 'Anderson County'),
+  ('48005', 'Angelina County'),
+  ('48007', 'Aransas County'),
+  ('48009', 'Archer County'),
+  ('48013', 'Atascosa County'),
+  ('48015', 'Austin County'),
+  ('48017', 'Bailey County'),
+  ('48019', 'Bandera County'),
+  ('48021', 'Bastrop County'),
+  ('48023', 'Baylor County'),
+  ('48025', 'Bee County'),
+  ('48027', 'Bell County'),
+  ('48029', 'Bexar County'),
+  ('48031', 'Blanco County'),
+  ('48033', 'Borden County'),
+  ('48035', 'Bosque County'),
+  ('48039', 'Brazoria County'),
+  ('48041', 'Brazos County'),
+  ('48045', 'Briscoe County'),
+  ('48047', 'Brooks County'),
+  ('48049', 'Brown County'),
+  ('48051', 'Burleson County'),
+  ('48053', 'Burnet County'),
+  ('48055', 'Caldwell County'),
+  ('48057', 'Calhoun County'),
+  ('48059', 'Callahan County'),
+  ('48063', 'Camp County'),
+  ('48065', 'Carson County'),
+  ('48067', 'Cass County'),
+  ('48069', 'Castro County'),
+  ('48071', 'Chambers County'),
+  ('48073', 'Cherokee County'),
+  ('48075', 'Childress County'),
+  ('48077', 'Clay County'),
+  ('48079', 'Cochran County'),
+  ('48081', 'Coke County'),
+  ('48083', 'Coleman County'),
+  ('48085', 'Collin County'),
+  ('48089', 'Colorado County'),
+  ('48091', 'Comal County'),
+  ('48093', 'Comanche County'),
+  ('48095', 'Concho County'),
+  ('48097', 'Cooke County'),
+  ('48099', 'Coryell County'),
+  ('48101', 'Cottle County'),
+  ('48103', 'Crane County'),
+  ('48105', 'Crockett County'),
+  ('48107', 'Crosby County'),
+  ('48109', 'Culberson County'),
+  ('48111', 'Dallam County'),
+  ('48113', 'Dallas County'),
+  ('48115', 'Dawson County'),
+  ('48117', 'Deaf Smith County'),
+  ('48119', 'Delta County'),
+  ('48121', 'Denton County'),
+  ('48123', 'DeWitt County'),
+  ('48125', 'Dickens County'),
+  ('48129', 'Donley County'),
+  ('48131', 'Duval County'),
+  ('48133', 'Eastland County'),
+  ('48135', 'Ector County'),
+  ('48137', 'Edwards County'),
+  ('48139', 'Ellis County'),
+  ('48141', 'El Paso County'),
+  ('48143', 'Erath County'),
+  ('48145', 'Falls County'),
+  ('48147', 'Fannin County'),
+  ('48149', 'Fayette County'),
+  ('48151', 'Fisher County'),
+  ('48153', 'Floyd County'),
+  ('48155', 'Foard County'),
+  ('48157', 'Fort Bend County'),
+  ('48159', 'Franklin County'),
+  ('48161', 'Freestone County'),
+  ('48163', 'Frio County'),
+  ('48165', 'Gaines County'),
+  ('48167', 'Galveston County'),
+  ('48169', 'Garza County'),
+  ('48171', 'Gillespie County'),
+  ('48173', 'Glasscock County'),
+  ('48177', 'Gonzales County'),
+  ('48179', 'Gray County'),
+  ('48181', 'Grayson County'),
+  ('48183', 'Gregg County'),
+  ('48185', 'Grimes County'),
+  ('48187', 'Guadalupe County'),
+  ('48189', 'Hale County'),
+  ('48191', 'Hall County'),
+  ('48193', 'Hamilton County'),
+  ('48195', 'Hansford County'),
+  ('48197', 'Hardeman County'),
+  ('48199', 'Hardin County'),
+  ('48201', 'Harris County'),
+  ('48203', 'Harrison County'),
+  ('48205', 'Hartley County'),
+  ('48209', 'Hays County'),
+  ('48211', 'Hemphill County'),
+  ('48213', 'Henderson County'),
+  ('48217', 'Hill County'),
+  ('48219', 'Hockley County'),
+  ('48221', 'Hood County'),
+  ('48223', 'Hopkins County'),
+  ('48225', 'Houston County'),
+  ('48227', 'Howard County'),
+  ('48229', 'Hudspeth County'),
+  ('48231', 'Hunt County'),
+  ('48233', 'Hutchinson County'),
+  ('48237', 'Jack County'),
+  ('48241', 'Jasper County'),
+  ('48243', 'Jeff Davis County'),
+  ('48247', 'Jim Hogg County'),
+  ('48249', 'Jim Wells County'),
+  ('48251', 'Johnson County'),
+  ('48253', 'Jones County'),
+  ('48255', 'Karnes County'),
+  ('48257', 'Kaufman County'),
+  ('48259', 'Kendall County'),
+  ('48263', 'Kent County'),
+  ('48265', 'Kerr County'),
+  ('48267', 'Kimble County'),
+  ('48273', 'Kleberg County'),
+  ('48275', 'Knox County'),
+  ('48279', 'Lamb County'),
+  ('48281', 'Lampasas County'),
+  ('48283', 'La Salle County'),
+  ('48285', 'Lavaca County'),
+  ('48287', 'Lee County'),
+  ('48289', 'Leon County'),
+  ('48291', 'Liberty County'),
+  ('48293', 'Limestone County'),
+  ('48295', 'Lipscomb County'),
+  ('48297', 'Live Oak County'),
+  ('48299', 'Llano County'),
+  ('48303', 'Lubbock County'),
+  ('48307', 'McCulloch County'),
+  ('48309', 'McLennan County'),
+  ('48313', 'Madison County'),
+  ('48315', 'Marion County'),
+  ('48317', 'Martin County'),
+  ('48319', 'Mason County'),
+  ('48321', 'Matagorda County'),
+  ('48325', 'Medina County'),
+  ('48329', 'Midland County'),
+  ('48331', 'Milam County'),
+  ('48333', 'Mills County'),
+  ('48335', 'Mitchell County'),
+  ('48337', 'Montague County'),
+  ('48339', 'Montgomery County'),
+  ('48343', 'Morris County'),
+  ('48347', 'Nacogdoches County'),
+  ('48351', 'Newton County'),
+  ('48353', 'Nolan County'),
+  ('48355', 'Nueces County'),
+  ('48359', 'Oldham County'),
+  ('48361', 'Orange County'),
+  ('48363', 'Palo Pinto County'),
+  ('48365', 'Panola County'),
+  ('48367', 'Parker County'),
+  ('48369', 'Parmer County'),
+  ('48371', 'Pecos County'),
+  ('48375', 'Potter County'),
+  ('48379', 'Rains County'),
+  ('48381', 'Randall County'),
+  ('48383', 'Reagan County'),
+  ('48385', 'Real County'),
+  ('48387', 'Red River County'),
+  ('48389', 'Reeves County'),
+  ('48391', 'Refugio County'),
+  ('48393', 'Roberts County'),
+  ('48395', 'Robertson County'),
+  ('48397', 'Rockwall County'),
+  ('48399', 'Runnels County'),
+  ('48401', 'Rusk County'),
+  ('48403', 'Sabine County'),
+  ('48405', 'San Augustine County'),
+  ('48407', 'San Jacinto County'),
+  ('48409', 'San Patricio County'),
+  ('48411', 'San Saba County'),
+  ('48413', 'Schleicher County'),
+  ('48415', 'Scurry County'),
+  ('48417', 'Shackelford County'),
+  ('48419', 'Shelby County'),
+  ('48421', 'Sherman County'),
+  ('48425', 'Somervell County'),
+  ('48427', 'Starr County'),
+  ('48429', 'Stephens County'),
+  ('48435', 'Sutton County'),
+  ('48437', 'Swisher County'),
+  ('48439', 'Tarrant County'),
+  ('48441', 'Taylor County'),
+  ('48443', 'Terrell County'),
+  ('48445', 'Terry County'),
+  ('48449', 'Titus County'),
+  ('48451', 'Tom Green County'),
+  ('48453', 'Travis County'),
+  ('48455', 'Trinity County'),
+  ('48457', 'Tyler County'),
+  ('48459', 'Upshur County'),
+  ('48467', 'Van Zandt County'),
+  ('48469', 'Victoria County'),
+  ('48471', 'Walker County'),
+  ('48473', 'Waller County'),
+  ('48475', 'Ward County'),
+  ('48477', 'Washington County'),
+  ('48479', 'Webb County'),
+  ('48481', 'Wharton County'),
+  ('48483', 'Wheeler County'),
+  ('48485', 'Wichita County'),
+  ('48487', 'Wilbarger County'),
+  ('48489', 'Willacy County'),
+  ('48491', 'Williamson County'),
+  ('48493', 'Wilson County'),
+  ('48497', 'Wise County'),
+  ('48499', 'Wood County'),
+  ('48503', 'Young County'),
+  ('48507', 'Zavala County'),
+  ('49001', 'Beaver County'),
+  ('49007', 'Carbon County'),
+  ('49013', 'Duchesne County'),
+  ('49015', 'Emery County'),
+  ('49017', 'Garfield County'),
+  ('49019', 'Grand County'),
+  ('49021', 'Iron County'),
+  ('49023', 'Juab County'),
+  ('49025', 'Kane County'),
+  ('49027', 'Millard County'),
+  ('49035', 'Salt Lake County'),
+  ('49037', 'San Juan County'),
+  ('49039', 'Sanpete County'),
+  ('49041', 'Sevier County'),
+  ('49043', 'Summit County'),
+  ('49045', 'Tooele County'),
+  ('49047', 'Uintah County'),
+  ('49049', 'Utah County'),
+  ('49053', 'Washington County'),
+  ('49055', 'Wayne County'),
+  ('49057', 'Weber County'),
+  ('50001', 'Addison County'),
+  ('50003', 'Bennington County'),
+  ('50005', 'Caledonia County'),
+  ('50007', 'Chittenden County'),
+  ('50009', 'Essex County'),
+  ('50011', 'Franklin County'),
+  ('50015', 'Lamoille County'),
+  ('50017', 'Orange County'),
+  ('50019', 'Orleans County'),
+  ('50021', 'Rutland County'),
+  ('50023', 'Washington County'),
+  ('50025', 'Windham County'),
+  ('50027', 'Windsor County'),
+  ('51003', 'Albemarle County'),
+  ('51005', 'Alleghany County'),
+  ('51007', 'Amelia County'),
+  ('51009', 'Amherst County'),
+  ('51011', 'Appomattox County'),
+  ('51013', 'Arlington County'),
+  ('51015', 'Augusta County'),
+  ('51017', 'Bath County'),
+  ('51019', 'Bedford County'),
+  ('51021', 'Bland County'),
+  ('51023', 'Botetourt County'),
+  ('51025', 'Brunswick County'),
+  ('51027', 'Buchanan County'),
+  ('51029', 'Buckingham County'),
+  ('51031', 'Campbell County'),
+  ('51033', 'Caroline County'),
+  ('51035', 'Carroll County'),
+  ('51036', 'Charles City County'),
+  ('51037', 'Charlotte County'),
+  ('51041', 'Chesterfield County'),
+  ('51043', 'Clarke County'),
+  ('51045', 'Craig County'),
+  ('51047', 'Culpeper County'),
+  ('51049', 'Cumberland County'),
+  ('51051', 'Dickenson County'),
+  ('51053', 'Dinwiddie County'),
+  ('51057', 'Essex County'),
+  ('51059', 'Fairfax County'),
+  ('51061', 'Fauquier County'),
+  ('51063', 'Floyd County'),
+  ('51065', 'Fluvanna County'),
+  ('51067', 'Franklin County'),
+  ('51069', 'Frederick County'),
+  ('51071', 'Giles County'),
+  ('51073', 'Gloucester County'),
+  ('51075', 'Goochland County'),
+  ('51077', 'Grayson County'),
+  ('51079', 'Greene County'),
+  ('51081', 'Greensville County'),
+  ('51083', 'Halifax County'),
+  ('51085', 'Hanover County'),
+  ('51087', 'Henrico County'),
+  ('51089', 'Henry County'),
+  ('51095', 'James City County'),
+  ('51097', 'King and Queen County'),
+  ('51099', 'King George County'),
+  ('51101', 'King William County'),
+  ('51105', 'Lee County'),
+  ('51107', 'Loudoun County'),
+  ('51109', 'Louisa County'),
+  ('51111', 'Lunenburg County'),
+  ('51113', 'Madison County'),
+  ('51115', 'Mathews County'),
+  ('51117', 'Mecklenburg County'),
+  ('51121', 'Montgomery County'),
+  ('51125', 'Nelson County'),
+  ('51127', 'New Kent County'),
+  ('51133', 'Northumberland County'),
+  ('51135', 'Nottoway County'),
+  ('51137', 'Orange County'),
+  ('51139', 'Page County'),
+  ('51141', 'Patrick County'),
+  ('51143', 'Pittsylvania County'),
+  ('51145', 'Powhatan County'),
+  ('51147', 'Prince Edward County'),
+  ('51149', 'Prince George County'),
+  ('51153', 'Prince William County'),
+  ('51155', 'Pulaski County'),
+  ('51157', 'Rappahannock County'),
+  ('51159', 'Richmond County'),
+  ('51161', 'Roanoke County'),
+  ('51163', 'Rockbridge County'),
+  ('51165', 'Rockingham County'),
+  ('51167', 'Russell County'),
+  ('51169', 'Scott County'),
+  ('51171', 'Shenandoah County'),
+  ('51173', 'Smyth County'),
+  ('51175', 'Southampton County'),
+  ('51177', 'Spotsylvania County'),
+  ('51179', 'Stafford County'),
+  ('51181', 'Surry County'),
+  ('51183', 'Sussex County'),
+  ('51185', 'Tazewell County'),
+  ('51187', 'Warren County'),
+  ('51191', 'Washington County'),
+  ('51195', 'Wise County'),
+  ('51197', 'Wythe County'),
+  ('51199', 'York County'),
+  ('51510', 'Alexandria city'),
+  ('51530', 'Buena Vista city'),
+  ('51540', 'Charlottesville city'),
+  ('51550', 'Chesapeake city'),
+  ('51650', 'Hampton city'),
+  ('51680', 'Lynchburg city'),
+  ('51683', 'Manassas city'),
+  ('51700', 'Newport News city'),
+  ('51760', 'Richmond city'),
+  ('51770', 'Roanoke city'),
+  ('51790', 'Staunton city'),
+  ('51840', 'Winchester city'),
+  ('53001', 'Adams County'),
+  ('53003', 'Asotin County'),
+  ('53005', 'Benton County'),
+  ('53007', 'Chelan County'),
+  ('53009', 'Clallam County'),
+  ('53011', 'Clark County'),
+  ('53013', 'Columbia County'),
+  ('53015', 'Cowlitz County'),
+  ('53017', 'Douglas County'),
+  ('53019', 'Ferry County'),
+  ('53021', 'Franklin County'),
+  ('53023', 'Garfield County'),
+  ('53025', 'Grant County'),
+  ('53027', 'Grays Harbor County'),
+  ('53031', 'Jefferson County'),
+  ('53033', 'King County'),
+  ('53037', 'Kittitas County'),
+  ('53039', 'Klickitat County'),
+  ('53041', 'Lewis County'),
+  ('53043', 'Lincoln County'),
+  ('53045', 'Mason County'),
+  ('53047', 'Okanogan County'),
+  ('53049', 'Pacific County'),
+  ('53051', 'Pend Oreille County'),
+  ('53053', 'Pierce County'),
+  ('53057', 'Skagit County'),
+  ('53059', 'Skamania County'),
+  ('53061', 'Snohomish County'),
+  ('53063', 'Spokane County'),
+  ('53065', 'Stevens County'),
+  ('53067', 'Thurston County'),
+  ('53071', 'Walla Walla County'),
+  ('53073', 'Whatcom County'),
+  ('53075', 'Whitman County'),
+  ('53077', 'Yakima County'),
+  ('54001', 'Barbour County'),
+  ('54003', 'Berkeley County'),
+  ('54005', 'Boone County'),
+  ('54007', 'Braxton County'),
+  ('54011', 'Cabell County'),
+  ('54013', 'Calhoun County'),
+  ('54015', 'Clay County'),
+  ('54017', 'Doddridge County'),
+  ('54019', 'Fayette County'),
+  ('54021', 'Gilmer County'),
+  ('54023', 'Grant County'),
+  ('54025', 'Greenbrier County'),
+  ('54027', 'Hampshire County'),
+  ('54029', 'Hancock County'),
+  ('54031', 'Hardy County'),
+  ('54033', 'Harrison County'),
+  ('54035', 'Jackson County'),
+  ('54037', 'Jefferson County'),
+  ('54039', 'Kanawha County'),
+  ('54041', 'Lewis County'),
+  ('54043', 'Lincoln County'),
+  ('54045', 'Logan County'),
+  ('54047', 'McDowell County'),
+  ('54049', 'Marion County'),
+  ('54051', 'Marshall County'),
+  ('54053', 'Mason County'),
+  ('54055', 'Mercer County'),
+  ('54057', 'Mineral County'),
+  ('54059', 'Mingo County'),
+  ('54061', 'Monongalia County'),
+  ('54063', 'Monroe County'),
+  ('54065', 'Morgan County'),
+  ('54067', 'Nicholas County'),
+  ('54069', 'Ohio County'),
+  ('54073', 'Pleasants County'),
+  ('54077', 'Preston County'),
+  ('54079', 'Putnam County'),
+  ('54081', 'Raleigh County'),
+  ('54083', 'Randolph County'),
+  ('54085', 'Ritchie County'),
+  ('54089', 'Summers County'),
+  ('54091', 'Taylor County'),
+  ('54093', 'Tucker County'),
+  ('54097', 'Upshur County'),
+  ('54099', 'Wayne County'),
+  ('54101', 'Webster County'),
+  ('54103', 'Wetzel County'),
+  ('54105', 'Wirt County'),
+  ('54107', 'Wood County'),
+  ('55001', 'Adams County'),
+  ('55003', 'Ashland County'),
+  ('55005', 'Barron County'),
+  ('55007', 'Bayfield County'),
+  ('55009', 'Brown County'),
+  ('55011', 'Buffalo County'),
+  ('55013', 'Burnett County'),
+  ('55015', 'Calumet County'),
+  ('55017', 'Chippewa County'),
+  ('55019', 'Clark County'),
+  ('55021', 'Columbia County'),
+  ('55023', 'Crawford County'),
+  ('55025', 'Dane County'),
+  ('55027', 'Dodge County'),
+  ('55029', 'Door County'),
+  ('55031', 'Douglas County'),
+  ('55033', 'Dunn County'),
+  ('55035', 'Eau Claire County'),
+  ('55037', 'Florence County'),
+  ('55039', 'Fond du Lac County'),
+  ('55041', 'Forest County'),
+  ('55043', 'Grant County'),
+  ('55045', 'Green County'),
+  ('55047', 'Green Lake County'),
+  ('55049', 'Iowa County'),
+  ('55051', 'Iron County'),
+  ('55053', 'Jackson County'),
+  ('55055', 'Jefferson County'),
+  ('55057', 'Juneau County'),
+  ('55061', 'Kewaunee County'),
+  ('55063', 'La Crosse County'),
+  ('55065', 'Lafayette County'),
+  ('55067', 'Langlade County'),
+  ('55069', 'Lincoln County'),
+  ('55071', 'Manitowoc County'),
+  ('55073', 'Marathon County'),
+  ('55075', 'Marinette County'),
+  ('55077', 'Marquette County'),
+  ('55078', 'Menominee County'),
+  ('55079', 'Milwaukee County'),
+  ('55081', 'Monroe County'),
+  ('55083', 'Oconto County'),
+  ('55085', 'Oneida County'),
+  ('55087', 'Outagamie County'),
+  ('55089', 'Ozaukee County'),
+  ('55091', 'Pepin County'),
+  ('55093', 'Pierce County'),
+  ('55095', 'Polk County'),
+  ('55097', 'Portage County'),
+  ('55099', 'Price County'),
+  ('55101', 'Racine County'),
+  ('55103', 'Richland County'),
+  ('55105', 'Rock County'),
+  ('55107', 'Rusk County'),
+  ('55109', 'St. Croix County'),
+  ('55111', 'Sauk County'),
+  ('55113', 'Sawyer County'),
+  ('55115', 'Shawano County'),
+  ('55117', 'Sheboygan County'),
+  ('55119', 'Taylor County'),
+  ('55121', 'Trempealeau County'),
+  ('55123', 'Vernon County'),
+  ('55125', 'Vilas County'),
+  ('55127', 'Walworth County'),
+  ('55129', 'Washburn County'),
+  ('55131', 'Washington County'),
+  ('55133', 'Waukesha County'),
+  ('55135', 'Waupaca County'),
+  ('55137', 'Waushara County'),
+  ('55139', 'Winnebago County'),
+  ('55141', 'Wood County'),
+  ('56001', 'Albany County'),
+  ('56003', 'Big Horn County'),
+  ('56007', 'Carbon County'),
+  ('56009', 'Converse County'),
+  ('56011', 'Crook County'),
+  ('56013', 'Fremont County'),
+  ('56019', 'Johnson County'),
+  ('56021', 'Laramie County'),
+  ('56023', 'Lincoln County'),
+  ('56025', 'Natrona County'),
+  ('56027', 'Niobrara County'),
+  ('56029', 'Park County'),
+  ('56031', 'Platte County'),
+  ('56033', 'Sheridan County'),
+  ('56035', 'Sublette County'),
+  ('56037', 'Sweetwater County'),
+  ('56039', 'Teton County'),
+  ('56043', 'Washakie County'),
+  ('56045', 'Weston County'),
+  ('72001', 'Adjuntas Municipio'),
+  ('72003', 'Aguada Municipio'),
+  ('72007', 'Aguas Buenas Municipio'),
+  ('72009', 'Aibonito Municipio'),
+  ('72011', 'Anasco Municipio'),
+  ('72013', 'Arecibo Municipio'),
+  ('72017', 'Barceloneta Municipio'),
+  ('72019', 'Barranquitas Municipio'),
+  ('72021', 'Bayamon Municipio'),
+  ('72029', 'Canovanas Municipio'),
+  ('72031', 'Carolina Municipio'),
+  ('72033', 'Catano Municipio'),
+  ('72035', 'Cayey Municipio'),
+  ('72037', 'Ceiba Municipio'),
+  ('72039', 'Ciales Municipio'),
+  ('72043', 'Coamo Municipio'),
+  ('72047', 'Corozal Municipio'),
+  ('72051', 'Dorado Municipio'),
+  ('72055', 'Guanica Municipio'),
+  ('72057', 'Guayama Municipio'),
+  ('72059', 'Guayanilla Municipio'),
+  ('72061', 'Guaynabo Municipio'),
+  ('72063', 'Gurabo Municipio'),
+  ('72069', 'Humacao Municipio'),
+  ('72071', 'Isabela Municipio'),
+  ('72073', 'Jayuya Municipio'),
+  ('72075', 'Juana Diaz Municipio'),
+  ('72079', 'Lajas Municipio'),
+  ('72081', 'Lares Municipio'),
+  ('72091', 'Manati Municipio'),
+  ('72093', 'Maricao Municipio'),
+  ('72107', 'Orocovis Municipio'),
+  ('72111', 'Penuelas Municipio'),
+  ('72121', 'Sabana Grande Municipio'),
+  ('72143', 'Vega Alta Municipio');
+
+INSERT INTO zip_county_refresh (zip_code, county_fips) VALUES
+  ('00601', '72001'), ('00606', '72093'), ('00610', '72003'), ('00612', '72013'), ('00617', '72017'), ('00624', '72111'), ('00631', '72001'), ('00637', '72121'),
+  ('00638', '72039'), ('00641', '72001'), ('00646', '72051'), ('00647', '72055'), ('00650', '72013'), ('00664', '72073'), ('00667', '72079'), ('00669', '72081'),
+  ('00670', '72011'), ('00674', '72091'), ('00676', '72003'), ('00677', '72003'), ('00678', '72071'), ('00680', '72011'), ('00685', '72071'), ('00693', '72143'),
+  ('00698', '72059'), ('00703', '72007'), ('00704', '72057'), ('00705', '72009'), ('00715', '72075'), ('00719', '72047'), ('00720', '72043'), ('00725', '72007'),
+  ('00729', '72029'), ('00731', '72001'), ('00735', '72037'), ('00736', '72035'), ('00745', '72029'), ('00766', '72107'), ('00767', '72069'), ('00777', '72029'),
+  ('00778', '72063'), ('00780', '72075'), ('00794', '72019'), ('00924', '72031'), ('00926', '72061'), ('00934', '72021'), ('00949', '72033'), ('00953', '72047'),
+  ('00956', '72021'), ('00957', '72021'), ('00959', '72021'), ('00961', '72021'), ('00965', '72033'), ('00966', '72021'), ('00969', '72021'), ('00971', '72021'),
+  ('00976', '72031'), ('00987', '72031'), ('01002', '25015'), ('01011', '25013'), ('01039', '25011'), ('01050', '25015'), ('01082', '25015'), ('01434', '25027'),
+  ('01940', '25009'), ('02149', '25017'), ('02215', '25025'), ('02467', '25021'), ('02532', '25001'), ('02543', '25001'), ('02816', '44003'), ('02831', '44007'),
+  ('02861', '44007'), ('03103', '33011'), ('03104', '33011'), ('03220', '33001'), ('03225', '33001'), ('03254', '33003'), ('03276', '33013'), ('03458', '33011'),
+  ('03579', '23017'), ('03602', '33005'), ('03748', '33009'), ('03887', '33017'), ('04040', '23017'), ('04224', '23017'), ('04345', '23011'), ('04424', '23029'),
+  ('04429', '23009'), ('04451', '23019'), ('04459', '23003'), ('04460', '23019'), ('04462', '23021'), ('04497', '23003'), ('04622', '23029'), ('04732', '23003'),
+  ('04733', '23003'), ('04765', '23019'), ('04930', '23019'), ('04942', '23021'), ('04964', '23017'), ('04988', '23027'), ('05060', '50017'), ('05068', '50027'),
+  ('05069', '50017'), ('05143', '50027'), ('05148', '50025'), ('05155', '50025'), ('05253', '50003'), ('05363', '50025'), ('05444', '50015'), ('05461', '50007'),
+  ('05464', '50015'), ('05468', '50007'), ('05471', '50011'), ('05487', '50001'), ('05641', '50023'), ('05649', '50017'), ('05654', '50017'), ('05663', '50023'),
+  ('05669', '50023'), ('05676', '50023'), ('05733', '50021'), ('05760', '50001'), ('05767', '50027'), ('05778', '50001'), ('05824', '50009'), ('05837', '50009'),
+  ('05842', '50019'), ('05843', '50005'), ('06065', '09003'), ('06226', '09015'), ('06242', '09015'), ('06250', '09013'), ('06330', '09011'), ('06384', '09011'),
+  ('06415', '09011'), ('06420', '09011'), ('06451', '09009'), ('06708', '09009'), ('06776', '09005'), ('06784', '09001'), ('07043', '34013'), ('07060', '34039'),
+  ('07062', '34039'), ('07063', '34039'), ('07083', '34039'), ('07110', '34013'), ('07421', '34031'), ('07435', '34027'), ('07438', '34027'), ('07460', '34037'),
+  ('07721', '34023'), ('07735', '34025'), ('07747', '34023'), ('07821', '34037'), ('07830', '34019'), ('07840', '34041'), ('07849', '34027'), ('07860', '34037'),
+  ('07865', '34041'), ('07874', '34037'), ('07882', '34041'), ('07920', '34035'), ('07931', '34035'), ('07979', '34019'), ('08012', '34007'), ('08037', '34001'),
+  ('08081', '34007'), ('08085', '34015'), ('08087', '34029'), ('08094', '34015'), ('08215', '34001'), ('08270', '34009'), ('08302', '34011'), ('08318', '34033'),
+  ('08340', '34011'), ('08343', '34033'), ('08344', '34015'), ('08360', '34011'), ('08501', '34025'), ('08512', '34023'), ('08514', '34025'), ('08525', '34021'),
+  ('08528', '34035'), ('08530', '34019'), ('08540', '34021'), ('08558', '34035'), ('08610', '34021'), ('08620', '34021'), ('08691', '34021'), ('08724', '34029'),
+  ('08802', '34019'), ('08804', '34041'), ('08812', '34035'), ('08827', '34019'), ('08853', '34035'), ('08876', '34035'), ('10463', '36005'), ('10509', '36079'),
+  ('10537', '36079'), ('10541', '36079'), ('10588', '36119'), ('10940', '36071'), ('11001', '36059'), ('11003', '36059'), ('11040', '36059'), ('11370', '36081'),
+  ('11735', '36103'), ('12010', '36057'), ('12019', '36091'), ('12023', '36001'), ('12025', '36035'), ('12027', '36091'), ('12028', '36083'), ('12032', '36041'),
+  ('12036', '36095'), ('12043', '36095'), ('12046', '36001'), ('12053', '36093'), ('12057', '36115'), ('12062', '36083'), ('12064', '36095'), ('12066', '36095'),
+  ('12068', '36057'), ('12070', '36035'), ('12083', '36039'), ('12086', '36035'), ('12087', '36039'), ('12093', '36095'), ('12094', '36083'), ('12095', '36035'),
+  ('12118', '36091'), ('12120', '36001'), ('12122', '36095'), ('12134', '36041'), ('12137', '36093'), ('12143', '36001'), ('12154', '36083'), ('12155', '36077'),
+  ('12156', '36083'), ('12157', '36095'), ('12166', '36057'), ('12167', '36095'), ('12184', '36021'), ('12185', '36083'), ('12302', '36093'), ('12303', '36001'),
+  ('12304', '36093'), ('12306', '36093'), ('12309', '36093'), ('12406', '36111'), ('12430', '36039'), ('12441', '36025'), ('12455', '36025'), ('12458', '36111'),
+  ('12465', '36111'), ('12468', '36039'), ('12469', '36001'), ('12480', '36111'), ('12483', '36105'), ('12531', '36027'), ('12533', '36027'), ('12542', '36111'),
+  ('12546', '36027'), ('12566', '36111'), ('12567', '36027'), ('12571', '36027'), ('12582', '36027'), ('12583', '36027'), ('12586', '36071'), ('12589', '36111'),
+  ('12721', '36105'), ('12725', '36111'), ('12729', '36071'), ('12740', '36111'), ('12758', '36105'), ('12760', '36025'), ('12776', '36025'), ('12780', '36071'),
+  ('12785', '36105'), ('12804', '36113'), ('12808', '36113'), ('12828', '36115'), ('12835', '36091'), ('12836', '36113'), ('12844', '36113'), ('12847', '36041'),
+  ('12853', '36113'), ('12857', '36031'), ('12870', '36031'), ('12912', '36019'), ('12913', '36033'), ('12914', '36033'), ('12920', '36033'), ('12930', '36033'),
+  ('12944', '36031'), ('12955', '36019'), ('12972', '36019'), ('12980', '36033'), ('12981', '36019'), ('12983', '36033'), ('12986', '36033'), ('13021', '36011'),
+  ('13027', '36067'), ('13030', '36053'), ('13035', '36053'), ('13037', '36053'), ('13040', '36023'), ('13042', '36065'), ('13045', '36023'), ('13052', '36053'),
+  ('13053', '36109'), ('13072', '36053'), ('13073', '36109'), ('13074', '36075'), ('13077', '36023'), ('13080', '36067'), ('13082', '36053'), ('13083', '36075'),
+  ('13092', '36011'), ('13104', '36067'), ('13111', '36011'), ('13122', '36053'), ('13126', '36075'), ('13135', '36075'), ('13141', '36023'), ('13143', '36117'),
+  ('13146', '36117'), ('13152', '36067'), ('13156', '36011'), ('13158', '36023'), ('13159', '36067'), ('13166', '36011'), ('13304', '36065'), ('13309', '36065'),
+  ('13316', '36065'), ('13317', '36057'), ('13320', '36077'), ('13322', '36043'), ('13329', '36035'), ('13332', '36053'), ('13338', '36043'), ('13339', '36057'),
+  ('13357', '36043'), ('13361', '36043'), ('13367', '36049'), ('13402', '36053'), ('13411', '36077'), ('13413', '36065'), ('13421', '36053'), ('13425', '36065'),
+  ('13431', '36043'), ('13437', '36075'), ('13438', '36065'), ('13439', '36077'), ('13452', '36035'), ('13456', '36065'), ('13459', '36095'), ('13460', '36017'),
+  ('13470', '36035'), ('13471', '36065'), ('13480', '36065'), ('13485', '36053'), ('13489', '36049'), ('13491', '36043'), ('13502', '36065'), ('13601', '36045'),
+  ('13608', '36045'), ('13619', '36045'), ('13626', '36049'), ('13642', '36089'), ('13646', '36089'), ('13648', '36049'), ('13655', '36033'), ('13661', '36045'),
+  ('13665', '36049'), ('13679', '36045'), ('13682', '36045'), ('13730', '36017'), ('13733', '36017'), ('13736', '36107'), ('13746', '36007'), ('13754', '36007'),
+  ('13760', '36007'), ('13778', '36017'), ('13787', '36007'), ('13803', '36023'), ('13809', '36017'), ('13811', '36107'), ('13813', '36007'), ('13820', '36077'),
+  ('13825', '36077'), ('13835', '36107'), ('13838', '36025'), ('13841', '36017'), ('13843', '36077'), ('13849', '36077'), ('13862', '36007'), ('13864', '36107'),
+  ('14001', '36029'), ('14004', '36029'), ('14009', '36121'), ('14011', '36121'), ('14013', '36037'), ('14024', '36121'), ('14030', '36029'), ('14037', '36121'),
+  ('14040', '36037'), ('14054', '36037'), ('14058', '36037'), ('14060', '36009'), ('14065', '36009'), ('14070', '36009'), ('14081', '36029'), ('14105', '36063'),
+  ('14125', '36037'), ('14138', '36009'), ('14141', '36029'), ('14145', '36121'), ('14414', '36051'), ('14416', '36037'), ('14418', '36123'), ('14420', '36055'),
+  ('14422', '36037'), ('14433', '36117'), ('14437', '36051'), ('14450', '36055'), ('14456', '36069'), ('14464', '36055'), ('14466', '36069'), ('14470', '36073'),
+  ('14471', '36069'), ('14472', '36055'), ('14476', '36073'), ('14482', '36037'), ('14485', '36051'), ('14487', '36051'), ('14489', '36117'), ('14502', '36117'),
+  ('14512', '36069'), ('14513', '36117'), ('14519', '36117'), ('14522', '36117'), ('14525', '36037'), ('14532', '36069'), ('14533', '36051'), ('14534', '36055'),
+  ('14536', '36121'), ('14544', '36123'), ('14560', '36069'), ('14561', '36069'), ('14564', '36069'), ('14572', '36101'), ('14580', '36055'), ('14591', '36121'),
+  ('14726', '36009'), ('14727', '36003'), ('14735', '36003'), ('14738', '36009'), ('14747', '36013'), ('14770', '36003'), ('14803', '36003'), ('14804', '36003'),
+  ('14806', '36003'), ('14807', '36101'), ('14812', '36097'), ('14814', '36015'), ('14815', '36097'), ('14817', '36109'), ('14822', '36003'), ('14824', '36097'),
+  ('14830', '36101'), ('14836', '36051'), ('14837', '36123'), ('14840', '36101'), ('14841', '36097'), ('14843', '36101'), ('14846', '36051'), ('14859', '36107'),
+  ('14864', '36015'), ('14870', '36101'), ('14871', '36015'), ('14877', '36101'), ('14878', '36097'), ('14883', '36107'), ('14886', '36109'), ('14889', '36015'),
+  ('14892', '36107'), ('14897', '36003'), ('15003', '42007'), ('15005', '42007'), ('15012', '42129'), ('15017', '42003'), ('15025', '42003'), ('15026', '42007'),
+  ('15044', '42003'), ('15057', '42125'), ('15063', '42125'), ('15068', '42129'), ('15085', '42129'), ('15086', '42019'), ('15089', '42129'), ('15126', '42003'),
+  ('15129', '42003'), ('15131', '42003'), ('15137', '42003'), ('15143', '42003'), ('15146', '42003'), ('15241', '42003'), ('15322', '42059'), ('15329', '42125'),
+  ('15332', '42125'), ('15345', '42125'), ('15370', '42059'), ('15377', '42125'), ('15417', '42051'), ('15424', '42111'), ('15501', '42111'), ('15531', '42111'),
+  ('15533', '42009'), ('15534', '42009'), ('15545', '42009'), ('15557', '42111'), ('15559', '42009'), ('15610', '42129'), ('15613', '42129'), ('15618', '42005'),
+  ('15622', '42051'), ('15642', '42129'), ('15656', '42129'), ('15666', '42129'), ('15668', '42129'), ('15681', '42063'), ('15683', '42129'), ('15690', '42005'),
+  ('15714', '42021'), ('15717', '42063'), ('15724', '42063'), ('15732', '42063'), ('15742', '42063'), ('15757', '42033'), ('15767', '42065'), ('15774', '42063'),
+  ('15823', '42047'), ('15824', '42065'), ('15828', '42053'), ('15829', '42031'), ('15832', '42023'), ('15840', '42065'), ('15853', '42047'), ('15860', '42065'),
+  ('15864', '42065'), ('15870', '42047'), ('15905', '42021'), ('15944', '42129'), ('15946', '42021'), ('15954', '42063'), ('15957', '42063'), ('15961', '42063'),
+  ('15963', '42111'), ('16025', '42019'), ('16028', '42005'), ('16037', '42019'), ('16038', '42019'), ('16041', '42019'), ('16046', '42019'), ('16049', '42031'),
+  ('16051', '42019'), ('16055', '42019'), ('16057', '42019'), ('16059', '42019'), ('16063', '42019'), ('16110', '42039'), ('16117', '42073'), ('16120', '42073'),
+  ('16123', '42007'), ('16125', '42085'), ('16127', '42085'), ('16134', '42039'), ('16141', '42073'), ('16142', '42085'), ('16143', '42073'), ('16153', '42085'),
+  ('16156', '42073'), ('16157', '42073'), ('16159', '42085'), ('16217', '42053'), ('16222', '42005'), ('16224', '42031'), ('16229', '42005'), ('16232', '42031'),
+  ('16240', '42005'), ('16242', '42005'), ('16311', '42085'), ('16314', '42039'), ('16317', '42121'), ('16319', '42121'), ('16341', '42121'), ('16342', '42121'),
+  ('16347', '42123'), ('16351', '42123'), ('16353', '42053'), ('16354', '42121'), ('16362', '42121'), ('16364', '42121'), ('16373', '42121'), ('16401', '42049'),
+  ('16403', '42039'), ('16407', '42049'), ('16412', '42049'), ('16434', '42039'), ('16435', '42039'), ('16438', '42049'), ('16441', '42049'), ('16613', '42021'),
+  ('16625', '42009'), ('16627', '42033'), ('16636', '42021'), ('16639', '42021'), ('16641', '42021'), ('16646', '42021'), ('16655', '42009'), ('16657', '42061'),
+  ('16662', '42013'), ('16666', '42033'), ('16673', '42013'), ('16674', '42061'), ('16678', '42061'), ('16686', '42013'), ('16694', '42061'), ('16701', '42083'),
+  ('16720', '42105'), ('16735', '42083'), ('16743', '42083'), ('16748', '42105'), ('16822', '42035'), ('16841', '42027'), ('16845', '42027'), ('16860', '42033'),
+  ('16865', '42027'), ('16866', '42027'), ('16871', '42035'), ('16872', '42027'), ('16877', '42027'), ('16914', '42015'), ('16930', '42117'), ('16936', '42117'),
+  ('16938', '42117'), ('16943', '42105'), ('16947', '42015'), ('16950', '42117'), ('17002', '42061'), ('17011', '42041'), ('17017', '42097'), ('17019', '42133'),
+  ('17020', '42099'), ('17021', '42067'), ('17022', '42071'), ('17026', '42075'), ('17028', '42043'), ('17033', '42043'), ('17035', '42067'), ('17045', '42099'),
+  ('17053', '42099'), ('17055', '42041'), ('17062', '42099'), ('17063', '42087'), ('17066', '42061'), ('17067', '42075'), ('17070', '42133'), ('17073', '42075'),
+  ('17078', '42075'), ('17086', '42109'), ('17087', '42011'), ('17215', '42061'), ('17222', '42055'), ('17224', '42055'), ('17229', '42057'), ('17236', '42055'),
+  ('17240', '42041'), ('17243', '42061'), ('17257', '42041'), ('17264', '42061'), ('17301', '42133'), ('17307', '42001'), ('17316', '42001'), ('17324', '42041'),
+  ('17331', '42133'), ('17372', '42001'), ('17527', '42071'), ('17545', '42071'), ('17555', '42071'), ('17569', '42071'), ('17701', '42081'), ('17724', '42015'),
+  ('17727', '42081'), ('17729', '42105'), ('17737', '42081'), ('17740', '42081'), ('17745', '42035'), ('17756', '42081'), ('17758', '42113'), ('17765', '42117'),
+  ('17772', '42093'), ('17774', '42081'), ('17777', '42097'), ('17810', '42081'), ('17814', '42037'), ('17815', '42037'), ('17820', '42037'), ('17821', '42093'),
+  ('17824', '42037'), ('17841', '42087'), ('17846', '42037'), ('17847', '42097'), ('17853', '42109'), ('17870', '42109'), ('17878', '42037'), ('17889', '42109'),
+  ('17921', '42107'), ('17941', '42107'), ('17945', '42037'), ('17963', '42107'), ('17964', '42107'), ('17980', '42043'), ('17985', '42107'), ('18011', '42011'),
+  ('18015', '42095'), ('18017', '42095'), ('18018', '42077'), ('18031', '42077'), ('18032', '42077'), ('18036', '42077'), ('18041', '42091'), ('18054', '42091'),
+  ('18055', '42095'), ('18058', '42089'), ('18062', '42077'), ('18070', '42091'), ('18071', '42025'), ('18073', '42091'), ('18077', '42017'), ('18092', '42077'),
+  ('18109', '42077'), ('18201', '42079'), ('18202', '42079'), ('18210', '42025'), ('18211', '42107'), ('18216', '42025'), ('18237', '42107'), ('18240', '42025'),
+  ('18241', '42079'), ('18244', '42025'), ('18255', '42025'), ('18302', '42089'), ('18324', '42103'), ('18325', '42103'), ('18405', '42127'), ('18407', '42069'),
+  ('18414', '42069'), ('18419', '42131'), ('18421', '42115'), ('18424', '42069'), ('18428', '42103'), ('18436', '42127'), ('18444', '42069'), ('18445', '42127'),
+  ('18446', '42115'), ('18460', '42127'), ('18465', '42115'), ('18470', '42115'), ('18603', '42037'), ('18610', '42089'), ('18612', '42079'), ('18614', '42113'),
+  ('18615', '42131'), ('18618', '42079'), ('18623', '42015'), ('18630', '42115'), ('18635', '42079'), ('18636', '42131'), ('18641', '42079'), ('18655', '42079'),
+  ('18661', '42025'), ('18830', '42115'), ('18833', '42015'), ('18844', '42115'), ('18847', '42115'), ('18951', '42017'), ('18964', '42091'), ('18969', '42091'),
+  ('19003', '42091'), ('19006', '42091'), ('19010', '42045'), ('19040', '42091'), ('19041', '42045'), ('19073', '42045'), ('19083', '42045'), ('19085', '42045'),
+  ('19087', '42029'), ('19096', '42091'), ('19118', '42101'), ('19150', '42101'), ('19310', '42029'), ('19312', '42029'), ('19317', '42029'), ('19319', '42045'),
+  ('19342', '42045'), ('19344', '42029'), ('19362', '42029'), ('19363', '42029'), ('19382', '42029'), ('19440', '42091'), ('19460', '42029'), ('19464', '42091'),
+  ('19504', '42011'), ('19505', '42011'), ('19512', '42011'), ('19520', '42029'), ('19529', '42011'), ('19530', '42011'), ('19539', '42011'), ('19540', '42011'),
+  ('19543', '42011'), ('19551', '42011'), ('19938', '10001'), ('19950', '10005'), ('19952', '10001'), ('19963', '10005'), ('19977', '10001'), ('20106', '51157'),
+  ('20109', '51153'), ('20110', '51683'), ('20111', '51153'), ('20117', '51107'), ('20120', '51059'), ('20130', '51043'), ('20135', '51043'), ('20137', '51061'),
+  ('20181', '51153'), ('20184', '51107'), ('20186', '51061'), ('20601', '24017'), ('20607', '24033'), ('20613', '24033'), ('20622', '24017'), ('20659', '24037'),
+  ('20701', '24027'), ('20705', '24033'), ('20707', '24033'), ('20714', '24009'), ('20736', '24009'), ('20754', '24009'), ('20777', '24027'), ('20794', '24027'),
+  ('20833', '24031'), ('20842', '24031'), ('20871', '24031'), ('20903', '24031'), ('20904', '24031'), ('20912', '24031'), ('21013', '24005'), ('21043', '24027'),
+  ('21074', '24013'), ('21076', '24003'), ('21082', '24005'), ('21085', '24025'), ('21087', '24005'), ('21102', '24013'), ('21104', '24027'), ('21111', '24005'),
+  ('21136', '24005'), ('21155', '24005'), ('21161', '24025'), ('21163', '24005'), ('21206', '24510'), ('21207', '24005'), ('21208', '24005'), ('21209', '24005'),
+  ('21210', '24510'), ('21212', '24510'), ('21215', '24510'), ('21222', '24005'), ('21224', '24510'), ('21225', '24003'), ('21226', '24510'), ('21227', '24005'),
+  ('21228', '24005'), ('21229', '24510'), ('21234', '24005'), ('21236', '24005'), ('21237', '24005'), ('21239', '24510'), ('21521', '24023'), ('21532', '24023'),
+  ('21539', '24023'), ('21562', '24001'), ('21620', '24029'), ('21632', '24011'), ('21640', '24011'), ('21649', '24035'), ('21651', '24029'), ('21657', '24035'),
+  ('21719', '24043'), ('21757', '24021'), ('21758', '24021'), ('21769', '24021'), ('21771', '24021'), ('21776', '24013'), ('21780', '24021'), ('21783', '24043'),
+  ('21784', '24013'), ('21787', '24013'), ('21791', '24021'), ('21797', '24027'), ('21804', '24045'), ('21822', '24039'), ('21851', '24047'), ('21912', '24015'),
+  ('22030', '51059'), ('22031', '51059'), ('22032', '51059'), ('22042', '51059'), ('22044', '51059'), ('22046', '51059'), ('22066', '51059'), ('22101', '51059'),
+  ('22134', '51179'), ('22205', '51013'), ('22206', '51013'), ('22207', '51013'), ('22302', '51510'), ('22304', '51510'), ('22311', '51510'), ('22312', '51059'),
+  ('22406', '51179'), ('22408', '51177'), ('22435', '51133'), ('22437', '51097'), ('22473', '51133'), ('22482', '51133'), ('22485', '51099'), ('22504', '51057'),
+  ('22508', '51137'), ('22514', '51033'), ('22546', '51033'), ('22560', '51057'), ('22572', '51159'), ('22580', '51033'), ('22601', '51840'), ('22623', '51157'),
+  ('22630', '51187'), ('22642', '51061'), ('22645', '51069'), ('22654', '51069'), ('22655', '51069'), ('22657', '51171'), ('22663', '51043'), ('22701', '51047'),
+  ('22713', '51047'), ('22733', '51047'), ('22734', '51061'), ('22735', '51113'), ('22740', '51157'), ('22801', '51165'), ('22802', '51165'), ('22812', '51165'),
+  ('22815', '51165'), ('22827', '51165'), ('22835', '51139'), ('22841', '51165'), ('22844', '51171'), ('22849', '51139'), ('22853', '51165'), ('22901', '51003'),
+  ('22902', '51003'), ('22903', '51003'), ('22904', '51540'), ('22920', '51125'), ('22922', '51125'), ('22923', '51137'), ('22935', '51079'), ('22938', '51125'),
+  ('22940', '51003'), ('22942', '51109'), ('22947', '51003'), ('22958', '51125'), ('22960', '51137'), ('22967', '51125'), ('22968', '51079'), ('22969', '51125'),
+  ('22973', '51079'), ('22974', '51065'), ('22980', '51015'), ('23002', '51007'), ('23015', '51085'), ('23024', '51109'), ('23030', '51036'), ('23038', '51075'),
+  ('23040', '51049'), ('23047', '51085'), ('23050', '51115'), ('23059', '51085'), ('23065', '51075'), ('23069', '51085'), ('23083', '51007'), ('23084', '51065'),
+  ('23089', '51127'), ('23093', '51109'), ('23102', '51075'), ('23113', '51041'), ('23117', '51109'), ('23120', '51041'), ('23123', '51029'), ('23128', '51115'),
+  ('23139', '51145'), ('23140', '51127'), ('23146', '51085'), ('23148', '51097'), ('23149', '51073'), ('23160', '51145'), ('23177', '51097'), ('23181', '51101'),
+  ('23185', '51095'), ('23188', '51199'), ('23192', '51085'), ('23222', '51087'), ('23223', '51087'), ('23224', '51760'), ('23225', '51760'), ('23226', '51760'),
+  ('23227', '51087'), ('23230', '51087'), ('23231', '51087'), ('23233', '51087'), ('23234', '51041'), ('23235', '51041'), ('23238', '51075'), ('23321', '51550'),
+  ('23602', '51700'), ('23603', '51700'), ('23605', '51700'), ('23665', '51650'), ('23803', '51053'), ('23805', '51149'), ('23824', '51135'), ('23830', '51149'),
+  ('23833', '51053'), ('23834', '51041'), ('23837', '51175'), ('23842', '51149'), ('23847', '51081'), ('23850', '51053'), ('23851', '51175'), ('23856', '51025'),
+  ('23860', '51149'), ('23866', '51175'), ('23867', '51081'), ('23881', '51181'), ('23882', '51183'), ('23888', '51183'), ('23890', '51183'), ('23898', '51175'),
+  ('23901', '51049'), ('23919', '51117'), ('23920', '51025'), ('23922', '51135'), ('23923', '51037'), ('23924', '51117'), ('23934', '51147'), ('23936', '51029'),
+  ('23937', '51037'), ('23938', '51025'), ('23942', '51147'), ('23947', '51111'), ('23950', '51117'), ('23954', '51147'), ('23958', '51147'), ('23960', '51147'),
+  ('23962', '51037'), ('23963', '51037'), ('23964', '51037'), ('23966', '51147'), ('23970', '51117'), ('24012', '51161'), ('24014', '51161'), ('24015', '51770'),
+  ('24018', '51161'), ('24019', '51161'), ('24053', '51141'), ('24054', '51089'), ('24055', '51089'), ('24059', '51161'), ('24064', '51019'), ('24065', '51067'),
+  ('24066', '51023'), ('24070', '51045'), ('24079', '51063'), ('24084', '51155'), ('24085', '51023'), ('24087', '51121'), ('24088', '51067'), ('24091', '51063'),
+  ('24101', '51067'), ('24102', '51067'), ('24105', '51063'), ('24112', '51089'), ('24120', '51141'), ('24121', '51019'), ('24124', '51071'), ('24128', '51071'),
+  ('24137', '51067'), ('24138', '51121'), ('24139', '51143'), ('24141', '51121'), ('24149', '51121'), ('24153', '51161'), ('24162', '51121'), ('24165', '51141'),
+  ('24175', '51023'), ('24179', '51019'), ('24202', '51191'), ('24217', '51051'), ('24219', '51195'), ('24221', '51105'), ('24230', '51195'), ('24237', '51051'),
+  ('24244', '51169'), ('24256', '51051'), ('24258', '51169'), ('24260', '51167'), ('24273', '51195'), ('24283', '51195'), ('24312', '51035'), ('24313', '51197'),
+  ('24314', '51021'), ('24315', '51021'), ('24318', '51021'), ('24319', '51173'), ('24324', '51155'), ('24330', '51077'), ('24333', '51077'), ('24343', '51035'),
+  ('24347', '51155'), ('24350', '51035'), ('24352', '51035'), ('24368', '51197'), ('24370', '51173'), ('24378', '51077'), ('24380', '51063'), ('24401', '51790'),
+  ('24416', '51530'), ('24422', '51005'), ('24426', '51005'), ('24432', '51015'), ('24439', '51163'), ('24441', '51015'), ('24445', '51017'), ('24450', '51163'),
+  ('24459', '51015'), ('24472', '51015'), ('24482', '51015'), ('24483', '51163'), ('24484', '51017'), ('24486', '51015'), ('24487', '51017'), ('24501', '51031'),
+  ('24502', '51680'), ('24503', '51019'), ('24504', '51031'), ('24521', '51009'), ('24522', '51011'), ('24523', '51019'), ('24526', '51019'), ('24528', '51037'),
+  ('24530', '51143'), ('24538', '51011'), ('24540', '51143'), ('24541', '51143'), ('24550', '51031'), ('24551', '51019'), ('24553', '51029'), ('24557', '51143'),
+  ('24562', '51029'), ('24565', '51143'), ('24569', '51143'), ('24571', '51031'), ('24590', '51065'), ('24594', '51083'), ('24597', '51083'), ('24598', '51083'),
+  ('24599', '51029'), ('24604', '51185'), ('24607', '51027'), ('24609', '51185'), ('24622', '51027'), ('24639', '51027'), ('24649', '51167'), ('24736', '54055'),
+  ('24801', '54047'), ('24828', '54047'), ('24846', '54047'), ('24851', '54059'), ('24910', '54089'), ('24918', '54063'), ('24925', '54025'), ('24963', '54063'),
+  ('24970', '54025'), ('24976', '54063'), ('24981', '54089'), ('24986', '54025'), ('25003', '54039'), ('25036', '54019'), ('25043', '54015'), ('25045', '54039'),
+  ('25047', '54005'), ('25059', '54019'), ('25063', '54007'), ('25071', '54039'), ('25082', '54079'), ('25083', '54039'), ('25108', '54005'), ('25111', '54015'),
+  ('25123', '54053'), ('25124', '54079'), ('25125', '54015'), ('25136', '54019'), ('25143', '54039'), ('25164', '54015'), ('25177', '54039'), ('25202', '54043'),
+  ('25209', '54081'), ('25235', '54013'), ('25239', '54035'), ('25241', '54035'), ('25244', '54035'), ('25245', '54035'), ('25248', '54035'), ('25252', '54035'),
+  ('25264', '54035'), ('25267', '54021'), ('25422', '54065'), ('25427', '54003'), ('25430', '54037'), ('25434', '54027'), ('25443', '54037'), ('25504', '54011'),
+  ('25505', '54043'), ('25506', '54043'), ('25508', '54045'), ('25510', '54011'), ('25520', '54011'), ('25523', '54043'), ('25524', '54043'), ('25526', '54079'),
+  ('25529', '54005'), ('25534', '54099'), ('25541', '54011'), ('25565', '54043'), ('25650', '54045'), ('25674', '54059'), ('25701', '54011'), ('25704', '54099'),
+  ('25811', '54081'), ('25825', '54081'), ('25841', '54055'), ('25864', '54019'), ('25880', '54081'), ('25902', '54081'), ('25951', '54089'), ('25962', '54019'),
+  ('25976', '54089'), ('25979', '54089'), ('25981', '54025'), ('26003', '54069'), ('26055', '54051'), ('26062', '54029'), ('26137', '54013'), ('26141', '54013'),
+  ('26143', '54105'), ('26146', '54073'), ('26155', '54103'), ('26159', '54103'), ('26161', '54085'), ('26164', '54035'), ('26170', '54073'), ('26180', '54107'),
+  ('26184', '54107'), ('26201', '54097'), ('26208', '54101'), ('26224', '54097'), ('26238', '54001'), ('26250', '54001'), ('26261', '54025'), ('26263', '54083'),
+  ('26267', '54083'), ('26276', '54093'), ('26283', '54083'), ('26330', '54033'), ('26335', '54007'), ('26343', '54041'), ('26346', '54085'), ('26347', '54091'),
+  ('26354', '54091'), ('26374', '54077'), ('26376', '54007'), ('26377', '54103'), ('26378', '54041'), ('26384', '54021'), ('26405', '54001'), ('26412', '54041'),
+  ('26415', '54085'), ('26426', '54033'), ('26431', '54033'), ('26437', '54103'), ('26440', '54091'), ('26443', '54021'), ('26448', '54033'), ('26456', '54017'),
+  ('26542', '54077'), ('26554', '54049'), ('26562', '54103'), ('26570', '54061'), ('26582', '54049'), ('26585', '54049'), ('26588', '54049'), ('26591', '54049'),
+  ('26610', '54067'), ('26617', '54067'), ('26636', '54021'), ('26638', '54021'), ('26656', '54067'), ('26680', '54025'), ('26690', '54019'), ('26691', '54067'),
+  ('26710', '54057'), ('26717', '54057'), ('26726', '54057'), ('26743', '54057'), ('26755', '54027'), ('26763', '54027'), ('26847', '54023'), ('26851', '54031'),
+  ('26852', '54027'), ('26855', '54023'), ('27009', '37067'), ('27012', '37067'), ('27013', '37159'), ('27019', '37169'), ('27020', '37197'), ('27021', '37169'),
+  ('27025', '37157'), ('27028', '37059'), ('27030', '37171'), ('27041', '37171'), ('27043', '37169'), ('27045', '37067'), ('27050', '37067'), ('27052', '37169'),
+  ('27053', '37169'), ('27055', '37197'), ('27107', '37057'), ('27127', '37067'), ('27208', '37037'), ('27209', '37123'), ('27214', '37081'), ('27215', '37001'),
+  ('27217', '37001'), ('27233', '37151'), ('27239', '37057'), ('27244', '37001'), ('27249', '37081'), ('27260', '37081'), ('27262', '37081'), ('27263', '37151'),
+  ('27265', '37081'), ('27278', '37135'), ('27281', '37125'), ('27283', '37081'), ('27284', '37067'), ('27291', '37033'), ('27292', '37057'), ('27298', '37151'),
+  ('27302', '37001'), ('27305', '37033'), ('27306', '37123'), ('27311', '37033'), ('27312', '37037'), ('27313', '37081'), ('27317', '37151'), ('27320', '37157'),
+  ('27325', '37125'), ('27326', '37157'), ('27330', '37105'), ('27332', '37105'), ('27341', '37151'), ('27343', '37145'), ('27344', '37037'), ('27349', '37001'),
+  ('27355', '37151'), ('27356', '37123'), ('27357', '37157'), ('27358', '37081'), ('27360', '37057'), ('27371', '37123'), ('27501', '37085'), ('27502', '37183'),
+  ('27504', '37101'), ('27505', '37085'), ('27507', '37077'), ('27516', '37135'), ('27517', '37037'), ('27519', '37183'), ('27520', '37101'), ('27522', '37077'),
+  ('27523', '37037'), ('27524', '37101'), ('27525', '37069'), ('27526', '37085'), ('27529', '37183'), ('27537', '37181'), ('27540', '37183'), ('27541', '37145'),
+  ('27542', '37101'), ('27544', '37181'), ('27553', '37185'), ('27557', '37127'), ('27560', '37183'), ('27562', '37183'), ('27563', '37185'), ('27565', '37077'),
+  ('27569', '37101'), ('27572', '37145'), ('27583', '37145'), ('27587', '37183'), ('27589', '37185'), ('27591', '37183'), ('27592', '37183'), ('27596', '37069'),
+  ('27597', '37183'), ('27603', '37183'), ('27613', '37183'), ('27617', '37183'), ('27703', '37063'), ('27705', '37063'), ('27707', '37063'), ('27713', '37063'),
+  ('27803', '37127'), ('27805', '37015'), ('27807', '37127'), ('27809', '37065'), ('27810', '37013'), ('27812', '37147'), ('27816', '37069'), ('27822', '37195'),
+  ('27826', '37095'), ('27828', '37147'), ('27829', '37147'), ('27830', '37191'), ('27834', '37147'), ('27837', '37147'), ('27842', '37131'), ('27843', '37065'),
+  ('27844', '37083'), ('27850', '37083'), ('27852', '37065'), ('27855', '37091'), ('27860', '37013'), ('27863', '37191'), ('27871', '37117'), ('27878', '37127'),
+  ('27880', '37195'), ('27882', '37127'), ('27883', '37195'), ('27886', '37065'), ('27888', '37079'), ('27889', '37013'), ('27891', '37127'), ('27892', '37117'),
+  ('27896', '37195'), ('27897', '37131'), ('27909', '37139'), ('27910', '37091'), ('27919', '37143'), ('27924', '37015'), ('27928', '37187'), ('27946', '37073'),
+  ('27973', '37053'), ('27980', '37041'), ('28006', '37109'), ('28020', '37045'), ('28021', '37071'), ('28033', '37109'), ('28036', '37119'), ('28037', '37109'),
+  ('28040', '37161'), ('28071', '37159'), ('28078', '37119'), ('28081', '37025'), ('28083', '37025'), ('28086', '37045'), ('28090', '37045'), ('28092', '37109'),
+  ('28097', '37167'), ('28103', '37179'), ('28104', '37179'), ('28105', '37119'), ('28107', '37025'), ('28114', '37045'), ('28115', '37097'), ('28124', '37025'),
+  ('28125', '37159'), ('28127', '37167'), ('28133', '37007'), ('28137', '37167'), ('28138', '37159'), ('28139', '37161'), ('28150', '37045'), ('28164', '37071'),
+  ('28167', '37161'), ('28168', '37109'), ('28213', '37119'), ('28215', '37119'), ('28227', '37119'), ('28262', '37119'), ('28269', '37119'), ('28304', '37051'),
+  ('28306', '37051'), ('28312', '37051'), ('28315', '37125'), ('28318', '37163'), ('28320', '37017'), ('28326', '37085'), ('28334', '37163'), ('28341', '37163'),
+  ('28344', '37163'), ('28345', '37153'), ('28347', '37153'), ('28356', '37051'), ('28357', '37155'), ('28363', '37165'), ('28364', '37155'), ('28365', '37061'),
+  ('28366', '37163'), ('28371', '37155'), ('28377', '37093'), ('28382', '37163'), ('28384', '37155'), ('28386', '37155'), ('28390', '37085'), ('28393', '37163'),
+  ('28411', '37129'), ('28423', '37047'), ('28433', '37017'), ('28436', '37047'), ('28438', '37047'), ('28441', '37163'), ('28444', '37163'), ('28445', '37133'),
+  ('28447', '37163'), ('28448', '37017'), ('28453', '37061'), ('28454', '37133'), ('28456', '37047'), ('28458', '37061'), ('28466', '37061'), ('28478', '37141'),
+  ('28501', '37107'), ('28504', '37107'), ('28513', '37147'), ('28518', '37061'), ('28521', '37061'), ('28525', '37107'), ('28526', '37049'), ('28530', '37147'),
+  ('28538', '37079'), ('28551', '37107'), ('28555', '37133'), ('28560', '37049'), ('28562', '37049'), ('28572', '37107'), ('28573', '37103'), ('28574', '37133'),
+  ('28578', '37191'), ('28580', '37079'), ('28582', '37133'), ('28584', '37031'), ('28586', '37049'), ('28601', '37035'), ('28602', '37035'), ('28604', '37011'),
+  ('28605', '37189'), ('28606', '37193'), ('28611', '37027'), ('28612', '37023'), ('28618', '37189'), ('28621', '37171'), ('28625', '37097'), ('28630', '37027'),
+  ('28631', '37009'), ('28634', '37097'), ('28636', '37003'), ('28642', '37197'), ('28644', '37009'), ('28645', '37027'), ('28650', '37035'), ('28654', '37193'),
+  ('28655', '37023'), ('28657', '37011'), ('28667', '37027'), ('28673', '37035'), ('28676', '37171'), ('28678', '37003'), ('28679', '37189'), ('28683', '37171'),
+  ('28684', '37009'), ('28689', '37097'), ('28694', '37009'), ('28698', '37189'), ('28702', '37075'), ('28704', '37021'), ('28711', '37111'), ('28719', '37173'),
+  ('28732', '37089'), ('28739', '37089'), ('28740', '37199'), ('28741', '37113'), ('28742', '37089'), ('28743', '37115'), ('28747', '37175'), ('28748', '37021'),
+  ('28749', '37111'), ('28751', '37087'), ('28753', '37115'), ('28754', '37115'), ('28756', '37149'), ('28759', '37089'), ('28761', '37111'), ('28766', '37175'),
+  ('28771', '37075'), ('28773', '37149'), ('28774', '37175'), ('28777', '37121'), ('28781', '37113'), ('28786', '37087'), ('28787', '37021'), ('28789', '37099'),
+  ('28792', '37089'), ('28902', '37043'), ('29001', '45027'), ('29006', '45063'), ('29009', '45055'), ('29010', '45061'), ('29014', '45039'), ('29016', '45079'),
+  ('29018', '45075'), ('29020', '45055'), ('29030', '45017'), ('29031', '45087'), ('29032', '45055'), ('29036', '45063'), ('29037', '45071'), ('29040', '45085'),
+  ('29045', '45055'), ('29047', '45075'), ('29051', '45027'), ('29053', '45063'), ('29055', '45023'), ('29056', '45089'), ('29058', '45057'), ('29059', '45075'),
+  ('29063', '45079'), ('29067', '45055'), ('29069', '45031'), ('29070', '45063'), ('29075', '45071'), ('29078', '45055'), ('29080', '45061'), ('29081', '45009'),
+  ('29082', '45029'), ('29101', '45025'), ('29104', '45085'), ('29105', '45003'), ('29111', '45027'), ('29112', '45075'), ('29114', '45041'), ('29118', '45075'),
+  ('29125', '45027'), ('29127', '45071'), ('29128', '45085'), ('29129', '45003'), ('29130', '45039'), ('29135', '45017'), ('29137', '45003'), ('29138', '45081'),
+  ('29146', '45075'), ('29153', '45085'), ('29160', '45063'), ('29161', '45041'), ('29162', '45027'), ('29178', '45071'), ('29180', '45039'), ('29210', '45079'),
+  ('29212', '45063'), ('29307', '45083'), ('29322', '45083'), ('29323', '45083'), ('29330', '45021'), ('29332', '45059'), ('29335', '45083'), ('29355', '45071'),
+  ('29356', '45045'), ('29372', '45087'), ('29374', '45083'), ('29388', '45083'), ('29406', '45019'), ('29414', '45019'), ('29418', '45035'), ('29420', '45035'),
+  ('29426', '45019'), ('29432', '45075'), ('29436', '45015'), ('29438', '45019'), ('29450', '45015'), ('29456', '45019'), ('29470', '45019'), ('29472', '45035'),
+  ('29481', '45029'), ('29483', '45035'), ('29485', '45035'), ('29501', '45041'), ('29506', '45041'), ('29510', '45089'), ('29550', '45031'), ('29554', '45043'),
+  ('29555', '45041'), ('29560', '45041'), ('29565', '45033'), ('29574', '45067'), ('29576', '45043'), ('29581', '45051'), ('29592', '45067'), ('29593', '45031'),
+  ('29611', '45045'), ('29620', '45001'), ('29627', '45007'), ('29628', '45001'), ('29630', '45077'), ('29631', '45077'), ('29635', '45045'), ('29638', '45001'),
+  ('29642', '45007'), ('29643', '45073'), ('29644', '45059'), ('29646', '45047'), ('29649', '45047'), ('29650', '45045'), ('29651', '45045'), ('29653', '45047'),
+  ('29654', '45007'), ('29655', '45001'), ('29657', '45077'), ('29661', '45045'), ('29666', '45047'), ('29669', '45045'), ('29670', '45007'), ('29673', '45045'),
+  ('29678', '45073'), ('29689', '45007'), ('29692', '45059'), ('29702', '45021'), ('29704', '45091'), ('29706', '45023'), ('29707', '45057'), ('29712', '45023'),
+  ('29718', '45025'), ('29730', '45091'), ('29742', '45091'), ('29812', '45011'), ('29817', '45011'), ('29819', '45047'), ('29821', '45065'), ('29824', '45037'),
+  ('29832', '45037'), ('29835', '45065'), ('29836', '45005'), ('29838', '45037'), ('29843', '45009'), ('29845', '45065'), ('29847', '45037'), ('29848', '45065'),
+  ('29849', '45005'), ('29853', '45011'), ('29860', '45037'), ('29909', '45013'), ('29916', '45049'), ('29922', '45049'), ('29927', '45053'), ('29932', '45005'),
+  ('29934', '45053'), ('29944', '45049'), ('29945', '45013'), ('30004', '13121'), ('30005', '13121'), ('30011', '13013'), ('30012', '13247'), ('30013', '13247'),
+  ('30014', '13217'), ('30016', '13217'), ('30019', '13135'), ('30024', '13135'), ('30025', '13297'), ('30028', '13117'), ('30039', '13135'), ('30040', '13117'),
+  ('30052', '13297'), ('30054', '13217'), ('30055', '13217'), ('30056', '13159'), ('30058', '13089'), ('30075', '13121'), ('30084', '13089'), ('30087', '13089'),
+  ('30092', '13135'), ('30094', '13247'), ('30097', '13135'), ('30101', '13067'), ('30102', '13057'), ('30103', '13015'), ('30104', '13233'), ('30105', '13115'),
+  ('30106', '13067'), ('30107', '13057'), ('30108', '13045'), ('30110', '13143'), ('30113', '13143'), ('30125', '13233'), ('30127', '13067'), ('30134', '13097'),
+  ('30139', '13129'), ('30141', '13223'), ('30143', '13227'), ('30145', '13015'), ('30147', '13115'), ('30148', '13227'), ('30153', '13233'), ('30157', '13223'),
+  ('30161', '13115'), ('30165', '13115'), ('30168', '13067'), ('30170', '13045'), ('30171', '13015'), ('30173', '13115'), ('30175', '13227'), ('30178', '13015'),
+  ('30179', '13045'), ('30180', '13045'), ('30182', '13045'), ('30183', '13057'), ('30184', '13015'), ('30185', '13045'), ('30188', '13057'), ('30204', '13171'),
+  ('30205', '13113'), ('30215', '13113'), ('30217', '13149'), ('30220', '13077'), ('30224', '13255'), ('30228', '13151'), ('30230', '13285'), ('30233', '13035'),
+  ('30234', '13035'), ('30236', '13063'), ('30238', '13063'), ('30248', '13151'), ('30252', '13151'), ('30256', '13231'), ('30257', '13171'), ('30258', '13293'),
+  ('30263', '13077'), ('30268', '13121'), ('30273', '13063'), ('30276', '13077'), ('30281', '13151'), ('30285', '13293'), ('30288', '13089'), ('30292', '13231'),
+  ('30294', '13151'), ('30295', '13231'), ('30296', '13063'), ('30306', '13121'), ('30307', '13089'), ('30315', '13121'), ('30316', '13089'), ('30317', '13089'),
+  ('30319', '13089'), ('30324', '13121'), ('30337', '13063'), ('30338', '13089'), ('30339', '13067'), ('30340', '13089'), ('30349', '13121'), ('30350', '13121'),
+  ('30354', '13121'), ('30360', '13089'), ('30411', '13309'), ('30413', '13163'), ('30417', '13109'), ('30420', '13043'), ('30425', '13107'), ('30426', '13033'),
+  ('30427', '13267'), ('30428', '13309'), ('30434', '13163'), ('30436', '13279'), ('30439', '13043'), ('30441', '13033'), ('30442', '13165'), ('30446', '13251'),
+  ('30457', '13283'), ('30470', '13283'), ('30471', '13107'), ('30473', '13279'), ('30474', '13279'), ('30506', '13139'), ('30510', '13011'), ('30511', '13011'),
+  ('30512', '13291'), ('30513', '13111'), ('30517', '13157'), ('30518', '13135'), ('30519', '13135'), ('30520', '13147'), ('30521', '13119'), ('30522', '13123'),
+  ('30523', '13137'), ('30528', '13311'), ('30529', '13157'), ('30530', '13011'), ('30531', '13137'), ('30533', '13187'), ('30534', '13085'), ('30536', '13123'),
+  ('30538', '13257'), ('30543', '13139'), ('30548', '13157'), ('30553', '13119'), ('30554', '13139'), ('30557', '13257'), ('30558', '13011'), ('30560', '13111'),
+  ('30564', '13139'), ('30565', '13157'), ('30567', '13157'), ('30572', '13291'), ('30573', '13241'), ('30575', '13157'), ('30577', '13257'), ('30582', '13281'),
+  ('30601', '13059'), ('30605', '13059'), ('30606', '13059'), ('30607', '13157'), ('30619', '13221'), ('30620', '13013'), ('30621', '13219'), ('30622', '13219'),
+  ('30624', '13105'), ('30625', '13211'), ('30627', '13221'), ('30628', '13195'), ('30629', '13195'), ('30631', '13265'), ('30633', '13195'), ('30634', '13105'),
+  ('30635', '13105'), ('30641', '13297'), ('30646', '13195'), ('30650', '13211'), ('30656', '13297'), ('30660', '13317'), ('30662', '13119'), ('30666', '13013'),
+  ('30668', '13317'), ('30669', '13133'), ('30677', '13219'), ('30678', '13133'), ('30680', '13013'), ('30683', '13221'), ('30701', '13129'), ('30707', '13295'),
+  ('30710', '13313'), ('30721', '13313'), ('30731', '13055'), ('30733', '13129'), ('30734', '13129'), ('30735', '13129'), ('30736', '13047'), ('30738', '13083'),
+  ('30739', '13295'), ('30740', '13313'), ('30741', '13295'), ('30742', '13047'), ('30747', '13055'), ('30750', '13295'), ('30753', '13055'), ('30755', '13047'),
+  ('30802', '13073'), ('30805', '13033'), ('30810', '13125'), ('30813', '13073'), ('30814', '13073'), ('30815', '13245'), ('30816', '13033'), ('30817', '13181'),
+  ('30820', '13125'), ('30823', '13163'), ('30824', '13189'), ('30828', '13301'), ('30907', '13073'), ('30909', '13245'), ('31002', '13167'), ('31008', '13225'),
+  ('31012', '13091'), ('31014', '13023'), ('31015', '13081'), ('31016', '13079'), ('31017', '13319'), ('31020', '13289'), ('31022', '13175'), ('31023', '13091'),
+  ('31029', '13207'), ('31030', '13225'), ('31031', '13319'), ('31033', '13169'), ('31036', '13235'), ('31037', '13271'), ('31038', '13169'), ('31044', '13289'),
+  ('31045', '13141'), ('31046', '13207'), ('31049', '13167'), ('31052', '13021'), ('31058', '13269'), ('31060', '13271'), ('31061', '13009'), ('31063', '13193'),
+  ('31065', '13175'), ('31066', '13079'), ('31069', '13153'), ('31071', '13235'), ('31072', '13315'), ('31076', '13269'), ('31077', '13091'), ('31079', '13315'),
+  ('31082', '13303'), ('31083', '13271'), ('31087', '13141'), ('31089', '13303'), ('31091', '13093'), ('31092', '13093'), ('31096', '13167'), ('31097', '13293'),
+  ('31210', '13021'), ('31211', '13169'), ('31217', '13289'), ('31220', '13021'), ('31301', '13179'), ('31302', '13051'), ('31308', '13029'), ('31313', '13179'),
+  ('31321', '13031'), ('31323', '13179'), ('31503', '13299'), ('31510', '13005'), ('31513', '13001'), ('31518', '13001'), ('31519', '13069'), ('31537', '13049'),
+  ('31539', '13161'), ('31543', '13025'), ('31549', '13271'), ('31551', '13229'), ('31552', '13299'), ('31553', '13025'), ('31554', '13069'), ('31555', '13305'),
+  ('31557', '13229'), ('31566', '13025'), ('31602', '13185'), ('31624', '13003'), ('31626', '13275'), ('31630', '13065'), ('31631', '13101'), ('31632', '13185'),
+  ('31635', '13173'), ('31636', '13101'), ('31637', '13075'), ('31639', '13019'), ('31641', '13185'), ('31642', '13003'), ('31645', '13019'), ('31650', '13003'),
+  ('31701', '13095'), ('31705', '13095'), ('31707', '13095'), ('31711', '13193'), ('31714', '13287'), ('31720', '13027'), ('31721', '13095'), ('31730', '13205'),
+  ('31733', '13155'), ('31738', '13275'), ('31743', '13177'), ('31744', '13321'), ('31749', '13019'), ('31750', '13017'), ('31763', '13177'), ('31764', '13261'),
+  ('31765', '13205'), ('31771', '13071'), ('31773', '13275'), ('31775', '13277'), ('31778', '13027'), ('31779', '13205'), ('31780', '13261'), ('31783', '13287'),
+  ('31787', '13177'), ('31791', '13321'), ('31792', '13275'), ('31794', '13277'), ('31795', '13277'), ('31798', '13155'), ('31801', '13197'), ('31803', '13197'),
+  ('31805', '13053'), ('31806', '13249'), ('31808', '13145'), ('31812', '13263'), ('31816', '13199'), ('31820', '13215'), ('31822', '13145'), ('31825', '13259'),
+  ('31826', '13145'), ('31829', '13215'), ('31830', '13199'), ('31831', '13145'), ('31833', '13145'), ('31905', '13053'), ('32008', '12121'), ('32024', '12023'),
+  ('32043', '12019'), ('32054', '12125'), ('32058', '12007'), ('32073', '12019'), ('32083', '12125'), ('32091', '12007'), ('32094', '12121'), ('32096', '12023'),
+  ('32102', '12069'), ('32134', '12083'), ('32136', '12035'), ('32159', '12069'), ('32162', '12119'), ('32174', '12035'), ('32180', '12127'), ('32195', '12083'),
+  ('32224', '12031'), ('32234', '12031'), ('32321', '12077'), ('32327', '12129'), ('32331', '12079'), ('32336', '12123'), ('32346', '12129'), ('32358', '12129'),
+  ('32359', '12029'), ('32413', '12005'), ('32420', '12063'), ('32425', '12059'), ('32431', '12063'), ('32437', '12133'), ('32438', '12005'), ('32440', '12063'),
+  ('32442', '12063'), ('32455', '12131'), ('32456', '12045'), ('32462', '12133'), ('32464', '12059'), ('32466', '12005'), ('32531', '12091'), ('32539', '12091'),
+  ('32561', '12033'), ('32564', '12091'), ('32567', '12091'), ('32578', '12091'), ('32618', '12001'), ('32622', '12007'), ('32640', '12001'), ('32643', '12001'),
+  ('32656', '12019'), ('32666', '12107'), ('32667', '12001'), ('32668', '12075'), ('32669', '12001'), ('32693', '12041'), ('32696', '12075'), ('32702', '12069'),
+  ('32703', '12095'), ('32720', '12127'), ('32751', '12095'), ('32754', '12009'), ('32757', '12095'), ('32776', '12069'), ('32784', '12083'), ('32792', '12095'),
+  ('32948', '12061'), ('33034', '12086'), ('33438', '12085'), ('33440', '12051'), ('33458', '12099'), ('33469', '12085'), ('33478', '12099'), ('33523', '12101'),
+  ('33540', '12101'), ('33548', '12057'), ('33549', '12057'), ('33556', '12057'), ('33558', '12057'), ('33559', '12057'), ('33597', '12119'), ('33598', '12057'),
+  ('33810', '12105'), ('33825', '12055'), ('33834', '12049'), ('33896', '12105'), ('33917', '12071'), ('33921', '12071'), ('33935', '12051'), ('33936', '12051'),
+  ('33955', '12015'), ('33960', '12055'), ('34110', '12021'), ('34119', '12021'), ('34134', '12071'), ('34141', '12021'), ('34142', '12021'), ('34223', '12115'),
+  ('34224', '12015'), ('34228', '12081'), ('34243', '12081'), ('34251', '12081'), ('34266', '12027'), ('34431', '12083'), ('34449', '12075'), ('34714', '12069'),
+  ('34747', '12097'), ('34759', '12097'), ('34787', '12095'), ('34957', '12111'), ('34972', '12093'), ('34974', '12043'), ('34990', '12085'), ('34994', '12085'),
+  ('35006', '01073'), ('35010', '01123'), ('35016', '01095'), ('35019', '01043'), ('35022', '01073'), ('35033', '01043'), ('35034', '01007'), ('35035', '01007'),
+  ('35040', '01117'), ('35046', '01021'), ('35053', '01043'), ('35062', '01073'), ('35063', '01127'), ('35072', '01037'), ('35079', '01009'), ('35080', '01117'),
+  ('35087', '01103'), ('35089', '01037'), ('35094', '01073'), ('35096', '01121'), ('35098', '01043'), ('35111', '01125'), ('35115', '01117'), ('35121', '01009'),
+  ('35126', '01073'), ('35130', '01127'), ('35133', '01009'), ('35146', '01115'), ('35148', '01127'), ('35150', '01121'), ('35151', '01121'), ('35160', '01121'),
+  ('35172', '01009'), ('35173', '01073'), ('35175', '01095'), ('35178', '01117'), ('35179', '01043'), ('35180', '01073'), ('35188', '01007'), ('35216', '01073'),
+  ('35242', '01117'), ('35243', '01073'), ('35244', '01117'), ('35442', '01107'), ('35444', '01125'), ('35456', '01125'), ('35463', '01125'), ('35464', '01119'),
+  ('35466', '01107'), ('35469', '01063'), ('35474', '01065'), ('35480', '01125'), ('35503', '01127'), ('35540', '01133'), ('35541', '01133'), ('35546', '01125'),
+  ('35549', '01057'), ('35552', '01093'), ('35554', '01057'), ('35555', '01057'), ('35563', '01093'), ('35564', '01093'), ('35565', '01133'), ('35570', '01093'),
+  ('35571', '01059'), ('35574', '01075'), ('35576', '01075'), ('35578', '01127'), ('35579', '01127'), ('35581', '01059'), ('35593', '01059'), ('35594', '01093'),
+  ('35603', '01103'), ('35610', '01077'), ('35614', '01083'), ('35619', '01079'), ('35621', '01103'), ('35622', '01103'), ('35652', '01077'), ('35653', '01059'),
+  ('35654', '01059'), ('35672', '01079'), ('35673', '01079'), ('35739', '01083'), ('35748', '01089'), ('35749', '01089'), ('35754', '01103'), ('35755', '01095'),
+  ('35756', '01083'), ('35757', '01089'), ('35760', '01089'), ('35765', '01071'), ('35769', '01071'), ('35771', '01071'), ('35773', '01089'), ('35776', '01071'),
+  ('35901', '01055'), ('35903', '01055'), ('35905', '01055'), ('35951', '01095'), ('35952', '01055'), ('35954', '01055'), ('35957', '01095'), ('35961', '01049'),
+  ('35962', '01049'), ('35966', '01071'), ('35967', '01049'), ('35972', '01055'), ('35975', '01049'), ('35976', '01095'), ('35978', '01049'), ('35979', '01049'),
+  ('35980', '01009'), ('35984', '01049'), ('36005', '01011'), ('36006', '01001'), ('36009', '01041'), ('36010', '01109'), ('36022', '01051'), ('36026', '01037'),
+  ('36027', '01005'), ('36028', '01041'), ('36029', '01011'), ('36032', '01085'), ('36033', '01013'), ('36034', '01109'), ('36035', '01109'), ('36036', '01101'),
+  ('36037', '01013'), ('36041', '01041'), ('36042', '01013'), ('36043', '01085'), ('36046', '01041'), ('36047', '01085'), ('36049', '01041'), ('36051', '01001'),
+  ('36052', '01101'), ('36053', '01011'), ('36066', '01001'), ('36069', '01101'), ('36071', '01041'), ('36078', '01051'), ('36079', '01109'), ('36080', '01051'),
+  ('36081', '01109'), ('36089', '01011'), ('36091', '01021'), ('36203', '01121'), ('36207', '01015'), ('36255', '01027'), ('36256', '01123'), ('36258', '01027'),
+  ('36260', '01121'), ('36264', '01029'), ('36266', '01027'), ('36268', '01121'), ('36272', '01015'), ('36274', '01111'), ('36276', '01111'), ('36301', '01069'),
+  ('36303', '01069'), ('36305', '01069'), ('36311', '01045'), ('36316', '01061'), ('36317', '01067'), ('36318', '01061'), ('36319', '01067'), ('36322', '01045'),
+  ('36330', '01031'), ('36345', '01067'), ('36350', '01045'), ('36352', '01069'), ('36353', '01067'), ('36360', '01045'), ('36374', '01045'), ('36375', '01061'),
+  ('36401', '01035'), ('36420', '01039'), ('36421', '01039'), ('36426', '01053'), ('36432', '01035'), ('36442', '01039'), ('36453', '01031'), ('36456', '01013'),
+  ('36460', '01099'), ('36467', '01039'), ('36471', '01099'), ('36474', '01039'), ('36475', '01035'), ('36477', '01061'), ('36480', '01099'), ('36481', '01099'),
+  ('36483', '01039'), ('36502', '01053'), ('36513', '01097'), ('36522', '01097'), ('36558', '01129'), ('36562', '01003'), ('36701', '01047'), ('36703', '01047'),
+  ('36722', '01131'), ('36728', '01131'), ('36738', '01091'), ('36742', '01091'), ('36744', '01065'), ('36749', '01001'), ('36750', '01021'), ('36751', '01025'),
+  ('36753', '01131'), ('36758', '01001'), ('36759', '01047'), ('36761', '01047'), ('36765', '01105'), ('36768', '01131'), ('36769', '01131'), ('36773', '01047'),
+  ('36783', '01091'), ('36784', '01025'), ('36785', '01085'), ('36786', '01105'), ('36792', '01007'), ('36793', '01021'), ('36801', '01081'), ('36804', '01081'),
+  ('36830', '01081'), ('36832', '01081'), ('36850', '01123'), ('36852', '01017'), ('36854', '01017'), ('36860', '01113'), ('36866', '01087'), ('36867', '01113'),
+  ('36870', '01081'), ('36874', '01081'), ('36879', '01017'), ('36919', '01023'), ('36922', '01023'), ('37010', '47147'), ('37012', '47041'), ('37014', '47187'),
+  ('37015', '47021'), ('37016', '47189'), ('37018', '47031'), ('37020', '47149'), ('37022', '47165'), ('37025', '47081'), ('37027', '47187'), ('37031', '47165'),
+  ('37032', '47147'), ('37034', '47117'), ('37036', '47043'), ('37043', '47125'), ('37046', '47187'), ('37047', '47117'), ('37048', '47165'), ('37050', '47161'),
+  ('37051', '47043'), ('37055', '47043'), ('37057', '47169'), ('37060', '47149'), ('37062', '47187'), ('37064', '47187'), ('37072', '47037'), ('37074', '47169'),
+  ('37076', '47037'), ('37078', '47085'), ('37079', '47161'), ('37080', '47037'), ('37085', '47149'), ('37086', '47149'), ('37087', '47189'), ('37090', '47189'),
+  ('37091', '47117'), ('37095', '47041'), ('37096', '47135'), ('37101', '47085'), ('37110', '47177'), ('37118', '47149'), ('37122', '47189'), ('37135', '47187'),
+  ('37138', '47037'), ('37143', '47021'), ('37144', '47103'), ('37145', '47159'), ('37146', '47021'), ('37148', '47165'), ('37149', '47149'), ('37150', '47111'),
+  ('37153', '47149'), ('37160', '47003'), ('37166', '47041'), ('37174', '47119'), ('37175', '47083'), ('37178', '47083'), ('37181', '47043'), ('37183', '47003'),
+  ('37184', '47189'), ('37185', '47085'), ('37186', '47165'), ('37187', '47043'), ('37188', '47147'), ('37190', '47015'), ('37215', '47037'), ('37221', '47037'),
+  ('37306', '47051'), ('37308', '47065'), ('37309', '47107'), ('37310', '47011'), ('37311', '47011'), ('37321', '47143'), ('37322', '47121'), ('37323', '47011'),
+  ('37324', '47051'), ('37325', '47139'), ('37327', '47153'), ('37328', '47103'), ('37329', '47107'), ('37330', '47051'), ('37332', '47143'), ('37334', '47103'),
+  ('37335', '47103'), ('37336', '47121'), ('37337', '47143'), ('37338', '47007'), ('37353', '47011'), ('37354', '47123'), ('37356', '47115'), ('37357', '47177'),
+  ('37359', '47103'), ('37360', '47003'), ('37362', '47139'), ('37365', '47061'), ('37367', '47007'), ('37369', '47139'), ('37375', '47051'), ('37377', '47153'),
+  ('37379', '47065'), ('37381', '47143'), ('37388', '47051'), ('37397', '47115'), ('37398', '47051'), ('37405', '47065'), ('37419', '47115'), ('37601', '47179'),
+  ('37604', '47179'), ('37640', '47091'), ('37641', '47059'), ('37650', '47171'), ('37656', '47179'), ('37659', '47179'), ('37660', '47163'), ('37663', '47163'),
+  ('37681', '47179'), ('37686', '47163'), ('37694', '47019'), ('37705', '47001'), ('37709', '47057'), ('37711', '47073'), ('37715', '47025'), ('37721', '47093'),
+  ('37722', '47029'), ('37725', '47089'), ('37726', '47129'), ('37731', '47073'), ('37737', '47009'), ('37742', '47105'), ('37743', '47059'), ('37748', '47145'),
+  ('37752', '47025'), ('37754', '47001'), ('37764', '47155'), ('37769', '47001'), ('37771', '47105'), ('37772', '47105'), ('37774', '47105'), ('37779', '47173'),
+  ('37801', '47009'), ('37807', '47173'), ('37811', '47073'), ('37813', '47063'), ('37825', '47025'), ('37826', '47107'), ('37830', '47001'), ('37840', '47129'),
+  ('37846', '47105'), ('37847', '47013'), ('37848', '47057'), ('37849', '47093'), ('37852', '47151'), ('37853', '47009'), ('37854', '47035'), ('37857', '47073'),
+  ('37865', '47155'), ('37869', '47067'), ('37870', '47025'), ('37871', '47093'), ('37872', '47129'), ('37874', '47123'), ('37876', '47155'), ('37877', '47089'),
+  ('37879', '47025'), ('37880', '47121'), ('37881', '47057'), ('37885', '47123'), ('37888', '47057'), ('37890', '47089'), ('37891', '47063'), ('37920', '47093'),
+  ('37931', '47093'), ('38002', '47157'), ('38004', '47167'), ('38006', '47075'), ('38011', '47167'), ('38017', '47157'), ('38028', '47047'), ('38034', '47033'),
+  ('38037', '47075'), ('38039', '47069'), ('38040', '47097'), ('38042', '47069'), ('38044', '47069'), ('38049', '47047'), ('38053', '47157'), ('38059', '47045'),
+  ('38061', '47109'), ('38063', '47097'), ('38069', '47075'), ('38075', '47069'), ('38079', '47095'), ('38080', '47095'), ('38201', '47017'), ('38220', '47017'),
+  ('38224', '47079'), ('38233', '47131'), ('38240', '47131'), ('38242', '47079'), ('38257', '47131'), ('38259', '47045'), ('38305', '47113'), ('38310', '47109'),
+  ('38313', '47113'), ('38315', '47109'), ('38317', '47017'), ('38321', '47017'), ('38326', '47071'), ('38329', '47039'), ('38332', '47023'), ('38334', '47109'),
+  ('38340', '47023'), ('38341', '47005'), ('38343', '47053'), ('38351', '47077'), ('38352', '47023'), ('38355', '47113'), ('38356', '47113'), ('38357', '47109'),
+  ('38359', '47071'), ('38361', '47071'), ('38363', '47039'), ('38366', '47113'), ('38368', '47077'), ('38371', '47077'), ('38374', '47039'), ('38376', '47071'),
+  ('38380', '47039'), ('38390', '47017'), ('38392', '47113'), ('38401', '47119'), ('38425', '47181'), ('38449', '47103'), ('38451', '47119'), ('38453', '47103'),
+  ('38456', '47099'), ('38459', '47103'), ('38461', '47119'), ('38462', '47101'), ('38463', '47181'), ('38464', '47099'), ('38468', '47099'), ('38472', '47055'),
+  ('38474', '47119'), ('38475', '47071'), ('38476', '47119'), ('38483', '47099'), ('38485', '47181'), ('38486', '47099'), ('38487', '47119'), ('38501', '47141'),
+  ('38504', '47049'), ('38506', '47141'), ('38541', '47027'), ('38543', '47133'), ('38544', '47141'), ('38545', '47087'), ('38548', '47141'), ('38549', '47137'),
+  ('38551', '47027'), ('38556', '47049'), ('38559', '47185'), ('38564', '47087'), ('38567', '47159'), ('38568', '47133'), ('38569', '47159'), ('38572', '47035'),
+  ('38573', '47133'), ('38574', '47141'), ('38577', '47049'), ('38581', '47177'), ('38582', '47141'), ('38583', '47185'), ('38588', '47087'), ('38589', '47049'),
+  ('38603', '28009'), ('38606', '28107'), ('38610', '28139'), ('38611', '28093'), ('38614', '28027'), ('38618', '28137'), ('38619', '28107'), ('38621', '28107'),
+  ('38622', '28107'), ('38625', '28139'), ('38626', '28143'), ('38627', '28145'), ('38629', '28139'), ('38633', '28009'), ('38635', '28093'), ('38642', '28009'),
+  ('38643', '28119'), ('38645', '28027'), ('38650', '28145'), ('38654', '28033'), ('38659', '28093'), ('38663', '28139'), ('38665', '28137'), ('38670', '28119'),
+  ('38683', '28139'), ('38685', '28093'), ('38703', '28151'), ('38720', '28011'), ('38732', '28011'), ('38736', '28133'), ('38737', '28133'), ('38744', '28151'),
+  ('38748', '28151'), ('38753', '28133'), ('38754', '28053'), ('38759', '28011'), ('38761', '28133'), ('38762', '28011'), ('38769', '28011'), ('38773', '28011'),
+  ('38801', '28081'), ('38804', '28081'), ('38824', '28117'), ('38826', '28115'), ('38828', '28145'), ('38829', '28117'), ('38833', '28141'), ('38841', '28115'),
+  ('38843', '28057'), ('38846', '28003'), ('38847', '28057'), ('38849', '28081'), ('38850', '28017'), ('38852', '28141'), ('38856', '28117'), ('38858', '28057'),
+  ('38860', '28017'), ('38863', '28115'), ('38864', '28115'), ('38865', '28003'), ('38868', '28081'), ('38870', '28095'), ('38871', '28115'), ('38873', '28141'),
+  ('38878', '28013'), ('38901', '28043'), ('38914', '28013'), ('38916', '28013'), ('38922', '28161'), ('38924', '28051'), ('38925', '28097'), ('38927', '28135'),
+  ('38929', '28043'), ('38930', '28083'), ('38940', '28043'), ('38948', '28161'), ('38953', '28135'), ('38954', '28083'), ('38961', '28161'), ('38963', '28135'),
+  ('38964', '28119'), ('38965', '28161'), ('38967', '28097'), ('39038', '28053'), ('39042', '28121'), ('39044', '28127'), ('39051', '28079'), ('39057', '28101'),
+  ('39059', '28029'), ('39071', '28089'), ('39073', '28121'), ('39074', '28123'), ('39079', '28007'), ('39086', '28021'), ('39088', '28125'), ('39090', '28007'),
+  ('39092', '28123'), ('39094', '28123'), ('39095', '28051'), ('39096', '28063'), ('39108', '28007'), ('39111', '28127'), ('39114', '28127'), ('39117', '28123'),
+  ('39119', '28031'), ('39120', '28001'), ('39140', '28077'), ('39144', '28021'), ('39145', '28121'), ('39146', '28163'), ('39152', '28129'), ('39159', '28125'),
+  ('39160', '28007'), ('39168', '28129'), ('39170', '28049'), ('39174', '28089'), ('39175', '28049'), ('39176', '28015'), ('39183', '28149'), ('39189', '28079'),
+  ('39191', '28029'), ('39192', '28007'), ('39194', '28163'), ('39209', '28049'), ('39213', '28049'), ('39301', '28075'), ('39320', '28075'), ('39323', '28101'),
+  ('39325', '28075'), ('39326', '28069'), ('39330', '28023'), ('39332', '28101'), ('39335', '28075'), ('39336', '28101'), ('39337', '28101'), ('39338', '28061'),
+  ('39341', '28103'), ('39345', '28101'), ('39346', '28159'), ('39347', '28061'), ('39350', '28099'), ('39354', '28069'), ('39358', '28069'), ('39360', '28023'),
+  ('39361', '28103'), ('39362', '28041'), ('39365', '28099'), ('39366', '28023'), ('39367', '28153'), ('39401', '28035'), ('39402', '28073'), ('39421', '28065'),
+  ('39422', '28061'), ('39425', '28111'), ('39426', '28109'), ('39429', '28091'), ('39439', '28061'), ('39443', '28067'), ('39452', '28039'), ('39455', '28073'),
+  ('39456', '28041'), ('39464', '28067'), ('39465', '28035'), ('39466', '28109'), ('39470', '28109'), ('39474', '28065'), ('39475', '28073'), ('39476', '28111'),
+  ('39478', '28147'), ('39479', '28031'), ('39480', '28067'), ('39482', '28073'), ('39483', '28091'), ('39532', '28047'), ('39565', '28059'), ('39571', '28047'),
+  ('39573', '28131'), ('39574', '28047'), ('39577', '28131'), ('39601', '28085'), ('39631', '28157'), ('39633', '28157'), ('39638', '28005'), ('39641', '28077'),
+  ('39643', '28091'), ('39647', '28037'), ('39652', '28113'), ('39653', '28037'), ('39656', '28065'), ('39657', '28113'), ('39661', '28037'), ('39662', '28085'),
+  ('39663', '28077'), ('39664', '28005'), ('39665', '28077'), ('39666', '28113'), ('39667', '28147'), ('39668', '28063'), ('39740', '28087'), ('39743', '28087'),
+  ('39744', '28155'), ('39745', '28097'), ('39750', '28155'), ('39751', '28155'), ('39752', '28019'), ('39755', '28025'), ('39756', '28025'), ('39759', '28105'),
+  ('39767', '28155'), ('39769', '28105'), ('39773', '28025'), ('39776', '28017'), ('39813', '13099'), ('39823', '13099'), ('39824', '13061'), ('39825', '13087'),
+  ('39836', '13243'), ('39837', '13201'), ('39841', '13099'), ('39842', '13273'), ('39845', '13253'), ('39846', '13037'), ('39854', '13239'), ('39859', '13253'),
+  ('39861', '13099'), ('39862', '13037'), ('39867', '13239'), ('39877', '13273'), ('39886', '13243'), ('39897', '13131'), ('40003', '21211'), ('40006', '21223'),
+  ('40008', '21179'), ('40009', '21155'), ('40011', '21103'), ('40013', '21179'), ('40019', '21103'), ('40023', '21111'), ('40031', '21185'), ('40033', '21155'),
+  ('40037', '21155'), ('40045', '21223'), ('40046', '21215'), ('40047', '21029'), ('40051', '21179'), ('40052', '21155'), ('40055', '21185'), ('40057', '21103'),
+  ('40059', '21185'), ('40065', '21211'), ('40068', '21103'), ('40069', '21229'), ('40071', '21215'), ('40075', '21103'), ('40076', '21211'), ('40119', '21027'),
+  ('40121', '21093'), ('40142', '21163'), ('40150', '21029'), ('40157', '21163'), ('40175', '21163'), ('40176', '21027'), ('40177', '21029'), ('40229', '21111'),
+  ('40241', '21111'), ('40245', '21111'), ('40272', '21111'), ('40299', '21111'), ('40311', '21181'), ('40324', '21209'), ('40328', '21021'), ('40330', '21167'),
+  ('40334', '21011'), ('40336', '21065'), ('40346', '21165'), ('40347', '21239'), ('40351', '21205'), ('40353', '21173'), ('40360', '21011'), ('40361', '21017'),
+  ('40370', '21209'), ('40371', '21011'), ('40372', '21167'), ('40374', '21011'), ('40379', '21209'), ('40380', '21197'), ('40383', '21239'), ('40387', '21165'),
+  ('40390', '21113'), ('40403', '21151'), ('40409', '21203'), ('40419', '21137'), ('40422', '21021'), ('40437', '21137'), ('40440', '21021'), ('40442', '21045'),
+  ('40444', '21079'), ('40445', '21203'), ('40447', '21109'), ('40461', '21079'), ('40464', '21021'), ('40468', '21021'), ('40484', '21137'), ('40486', '21109'),
+  ('40489', '21137'), ('40511', '21067'), ('40515', '21067'), ('40516', '21067'), ('40601', '21073'), ('40701', '21235'), ('40734', '21121'), ('40741', '21125'),
+  ('40744', '21125'), ('40759', '21235'), ('40763', '21235'), ('40769', '21235'), ('40771', '21121'), ('40808', '21131'), ('40810', '21095'), ('40823', '21095'),
+  ('40840', '21131'), ('40874', '21131'), ('40906', '21121'), ('40913', '21013'), ('40940', '21235'), ('40962', '21051'), ('40972', '21051'), ('40983', '21189'),
+  ('40988', '21013'), ('41003', '21097'), ('41004', '21023'), ('41006', '21191'), ('41007', '21037'), ('41010', '21081'), ('41018', '21117'), ('41030', '21081'),
+  ('41031', '21097'), ('41033', '21191'), ('41035', '21081'), ('41039', '21069'), ('41040', '21191'), ('41042', '21015'), ('41043', '21023'), ('41044', '21161'),
+  ('41045', '21041'), ('41046', '21187'), ('41055', '21161'), ('41064', '21201'), ('41083', '21041'), ('41086', '21077'), ('41092', '21015'), ('41093', '21069'),
+  ('41094', '21015'), ('41097', '21081'), ('41098', '21187'), ('41101', '21019'), ('41102', '21019'), ('41129', '21019'), ('41132', '21043'), ('41141', '21135'),
+  ('41143', '21043'), ('41164', '21043'), ('41168', '21019'), ('41174', '21089'), ('41180', '21127'), ('41216', '21071'), ('41230', '21127'), ('41232', '21127'),
+  ('41254', '21115'), ('41265', '21115'), ('41301', '21237'), ('41311', '21129'), ('41314', '21189'), ('41332', '21175'), ('41339', '21025'), ('41360', '21237'),
+  ('41472', '21175'), ('41537', '21133'), ('41630', '21119'), ('41640', '21119'), ('41643', '21119'), ('41701', '21193'), ('41714', '21131'), ('41721', '21193'),
+  ('41722', '21119'), ('41723', '21193'), ('41731', '21193'), ('41739', '21193'), ('41759', '21119'), ('41773', '21119'), ('42021', '21039'), ('42025', '21157'),
+  ('42027', '21083'), ('42035', '21039'), ('42038', '21143'), ('42039', '21039'), ('42040', '21083'), ('42041', '21105'), ('42048', '21157'), ('42049', '21035'),
+  ('42053', '21145'), ('42054', '21035'), ('42064', '21055'), ('42066', '21083'), ('42069', '21083'), ('42071', '21035'), ('42078', '21139'), ('42082', '21083'),
+  ('42085', '21083'), ('42088', '21083'), ('42101', '21227'), ('42104', '21227'), ('42122', '21227'), ('42127', '21009'), ('42129', '21169'), ('42133', '21171'),
+  ('42134', '21213'), ('42154', '21169'), ('42160', '21061'), ('42166', '21169'), ('42167', '21171'), ('42170', '21227'), ('42171', '21227'), ('42202', '21141'),
+  ('42204', '21219'), ('42206', '21141'), ('42207', '21061'), ('42214', '21169'), ('42215', '21047'), ('42223', '47125'), ('42232', '21047'), ('42236', '21047'),
+  ('42256', '21141'), ('42265', '21141'), ('42266', '21047'), ('42274', '21227'), ('42275', '21031'), ('42301', '21059'), ('42320', '21183'), ('42327', '21149'),
+  ('42333', '21183'), ('42339', '21177'), ('42343', '21183'), ('42345', '21177'), ('42348', '21091'), ('42349', '21183'), ('42351', '21091'), ('42352', '21149'),
+  ('42361', '21183'), ('42366', '21059'), ('42368', '21091'), ('42372', '21149'), ('42376', '21059'), ('42378', '21059'), ('42404', '21233'), ('42406', '21101'),
+  ('42408', '21107'), ('42411', '21033'), ('42437', '21225'), ('42441', '21107'), ('42442', '21107'), ('42445', '21033'), ('42450', '21233'), ('42452', '21101'),
+  ('42453', '21107'), ('42456', '21233'), ('42459', '21225'), ('42462', '21225'), ('42464', '21107'), ('42518', '21231'), ('42528', '21045'), ('42539', '21045'),
+  ('42544', '21199'), ('42567', '21199'), ('42602', '21053'), ('42633', '21231'), ('42642', '21207'), ('42712', '21093'), ('42716', '21123'), ('42717', '21057'),
+  ('42718', '21217'), ('42721', '21085'), ('42728', '21001'), ('42729', '21099'), ('42731', '21057'), ('42733', '21217'), ('42743', '21087'), ('42746', '21099'),
+  ('42749', '21099'), ('42754', '21085'), ('42757', '21099'), ('42764', '21087'), ('42776', '21093'), ('42782', '21087'), ('42784', '21093'), ('43003', '39041'),
+  ('43006', '39075'), ('43011', '39083'), ('43015', '39041'), ('43016', '39049'), ('43017', '39049'), ('43019', '39083'), ('43026', '39049'), ('43029', '39097'),
+  ('43031', '39089'), ('43040', '39159'), ('43044', '39021'), ('43045', '39159'), ('43046', '39045'), ('43050', '39083'), ('43060', '39021'), ('43061', '39041'),
+  ('43062', '39089'), ('43064', '39097'), ('43065', '39041'), ('43068', '39049'), ('43074', '39041'), ('43076', '39127'), ('43078', '39021'), ('43080', '39089'),
+  ('43084', '39021'), ('43102', '39045'), ('43107', '39045'), ('43110', '39045'), ('43113', '39129'), ('43115', '39141'), ('43119', '39049'), ('43125', '39049'),
+  ('43135', '39073'), ('43137', '39049'), ('43138', '39073'), ('43140', '39097'), ('43143', '39097'), ('43145', '39129'), ('43146', '39129'), ('43147', '39045'),
+  ('43148', '39045'), ('43150', '39045'), ('43152', '39073'), ('43153', '39097'), ('43154', '39045'), ('43155', '39045'), ('43160', '39047'), ('43164', '39129'),
+  ('43302', '39101'), ('43310', '39065'), ('43314', '39101'), ('43315', '39117'), ('43316', '39175'), ('43318', '39091'), ('43319', '39091'), ('43331', '39091'),
+  ('43332', '39101'), ('43334', '39117'), ('43337', '39101'), ('43340', '39065'), ('43342', '39101'), ('43343', '39091'), ('43344', '39159'), ('43345', '39091'),
+  ('43347', '39091'), ('43356', '39101'), ('43357', '39091'), ('43358', '39091'), ('43406', '39173'), ('43410', '39143'), ('43412', '39095'), ('43416', '39123'),
+  ('43430', '39123'), ('43445', '39123'), ('43447', '39173'), ('43449', '39123'), ('43457', '39173'), ('43464', '39143'), ('43469', '39143'), ('43502', '39051'),
+  ('43506', '39171'), ('43511', '39173'), ('43512', '39039'), ('43516', '39069'), ('43517', '39171'), ('43521', '39051'), ('43522', '39173'), ('43526', '39039'),
+  ('43527', '39069'), ('43532', '39069'), ('43545', '39069'), ('43548', '39069'), ('43557', '39171'), ('43558', '39095'), ('43567', '39051'), ('43570', '39171'),
+  ('43605', '39095'), ('43716', '39111'), ('43724', '39121'), ('43728', '39115'), ('43731', '39115'), ('43732', '39059'), ('43739', '39127'), ('43740', '39089'),
+  ('43746', '39119'), ('43747', '39111'), ('43749', '39059'), ('43760', '39127'), ('43762', '39119'), ('43766', '39127'), ('43772', '39121'), ('43773', '39059'),
+  ('43777', '39119'), ('43778', '39059'), ('43780', '39121'), ('43787', '39115'), ('43788', '39121'), ('43804', '39075'), ('43812', '39031'), ('43821', '39119'),
+  ('43822', '39031'), ('43824', '39031'), ('43830', '39119'), ('43832', '39157'), ('43837', '39157'), ('43840', '39157'), ('43843', '39031'), ('43901', '39081'),
+  ('43903', '39019'), ('43907', '39067'), ('43908', '39081'), ('43910', '39081'), ('43917', '39081'), ('43930', '39081'), ('43942', '39013'), ('43943', '39081'),
+  ('43945', '39029'), ('43950', '39013'), ('43971', '39081'), ('43973', '39067'), ('43977', '39013'), ('43983', '39013'), ('43986', '39067'), ('43988', '39067'),
+  ('44022', '39035'), ('44024', '39055'), ('44041', '39007'), ('44057', '39085'), ('44060', '39085'), ('44062', '39055'), ('44064', '39055'), ('44076', '39007'),
+  ('44086', '39055'), ('44089', '39043'), ('44099', '39007'), ('44136', '39035'), ('44141', '39035'), ('44201', '39133'), ('44202', '39133'), ('44203', '39153'),
+  ('44214', '39169'), ('44216', '39153'), ('44217', '39169'), ('44224', '39153'), ('44230', '39169'), ('44231', '39133'), ('44234', '39133'), ('44235', '39103'),
+  ('44236', '39153'), ('44240', '39133'), ('44253', '39103'), ('44256', '39103'), ('44260', '39133'), ('44270', '39169'), ('44273', '39103'), ('44275', '39103'),
+  ('44278', '39153'), ('44280', '39103'), ('44281', '39103'), ('44287', '39169'), ('44312', '39153'), ('44321', '39153'), ('44333', '39153'), ('44408', '39029'),
+  ('44412', '39133'), ('44425', '39155'), ('44427', '39019'), ('44428', '39155'), ('44429', '39099'), ('44437', '39155'), ('44440', '39155'), ('44443', '39099'),
+  ('44444', '39155'), ('44449', '39099'), ('44454', '39099'), ('44460', '39029'), ('44481', '39155'), ('44490', '39029'), ('44491', '39155'), ('44504', '39099'),
+  ('44505', '39099'), ('44601', '39151'), ('44608', '39151'), ('44609', '39099'), ('44611', '39075'), ('44612', '39157'), ('44614', '39151'), ('44618', '39169'),
+  ('44621', '39157'), ('44624', '39157'), ('44625', '39019'), ('44626', '39151'), ('44627', '39075'), ('44628', '39075'), ('44632', '39151'), ('44634', '39029'),
+  ('44637', '39075'), ('44638', '39075'), ('44643', '39019'), ('44654', '39075'), ('44656', '39157'), ('44657', '39151'), ('44662', '39151'), ('44666', '39151'),
+  ('44675', '39019'), ('44676', '39169'), ('44681', '39157'), ('44683', '39157'), ('44685', '39153'), ('44688', '39151'), ('44689', '39075'), ('44691', '39169'),
+  ('44695', '39019'), ('44699', '39067'), ('44720', '39151'), ('44730', '39151'), ('44802', '39147'), ('44805', '39005'), ('44807', '39147'), ('44811', '39147'),
+  ('44813', '39139'), ('44817', '39173'), ('44818', '39147'), ('44822', '39139'), ('44824', '39043'), ('44826', '39077'), ('44827', '39033'), ('44830', '39147'),
+  ('44833', '39117'), ('44836', '39147'), ('44837', '39077'), ('44840', '39005'), ('44841', '39147'), ('44842', '39005'), ('44843', '39139'), ('44844', '39175'),
+  ('44846', '39043'), ('44847', '39077'), ('44849', '39175'), ('44851', '39077'), ('44857', '39077'), ('44859', '39005'), ('44864', '39005'), ('44865', '39139'),
+  ('44875', '39139'), ('44878', '39139'), ('44880', '39005'), ('44882', '39175'), ('44889', '39077'), ('44903', '39139'), ('44904', '39139'), ('45003', '39135'),
+  ('45005', '39165'), ('45013', '39017'), ('45042', '39017'), ('45044', '39017'), ('45050', '39017'), ('45053', '39017'), ('45064', '39135'), ('45066', '39165'),
+  ('45068', '39165'), ('45106', '39025'), ('45107', '39027'), ('45113', '39027'), ('45118', '39015'), ('45120', '39025'), ('45121', '39015'), ('45122', '39025'),
+  ('45123', '39071'), ('45130', '39015'), ('45133', '39071'), ('45135', '39071'), ('45140', '39025'), ('45142', '39071'), ('45144', '39001'), ('45147', '39061'),
+  ('45148', '39027'), ('45150', '39025'), ('45154', '39015'), ('45159', '39027'), ('45162', '39165'), ('45169', '39027'), ('45171', '39015'), ('45176', '39025'),
+  ('45241', '39061'), ('45244', '39061'), ('45246', '39061'), ('45249', '39061'), ('45255', '39061'), ('45304', '39037'), ('45306', '39149'), ('45308', '39037'),
+  ('45309', '39113'), ('45310', '39037'), ('45312', '39109'), ('45314', '39057'), ('45316', '39023'), ('45317', '39021'), ('45318', '39109'), ('45322', '39113'),
+  ('45324', '39057'), ('45327', '39113'), ('45334', '39149'), ('45335', '39057'), ('45337', '39109'), ('45342', '39113'), ('45344', '39023'), ('45347', '39135'),
+  ('45356', '39109'), ('45365', '39149'), ('45368', '39023'), ('45369', '39023'), ('45371', '39109'), ('45381', '39135'), ('45382', '39135'), ('45387', '39057'),
+  ('45424', '39113'), ('45431', '39057'), ('45432', '39057'), ('45433', '39057'), ('45440', '39057'), ('45458', '39113'), ('45459', '39113'), ('45502', '39023'),
+  ('45601', '39141'), ('45612', '39141'), ('45613', '39131'), ('45616', '39001'), ('45620', '39053'), ('45622', '39163'), ('45623', '39053'), ('45634', '39163'),
+  ('45638', '39087'), ('45644', '39141'), ('45647', '39163'), ('45648', '39145'), ('45654', '39163'), ('45656', '39079'), ('45657', '39145'), ('45660', '39001'),
+  ('45661', '39131'), ('45671', '39145'), ('45672', '39163'), ('45678', '39087'), ('45679', '39001'), ('45682', '39145'), ('45684', '39145'), ('45685', '39079'),
+  ('45686', '39053'), ('45688', '39087'), ('45690', '39131'), ('45697', '39001'), ('45710', '39105'), ('45711', '39009'), ('45715', '39115'), ('45723', '39009'),
+  ('45732', '39009'), ('45742', '39167'), ('45744', '39167'), ('45745', '39121'), ('45746', '39167'), ('45764', '39009'), ('45766', '39009'), ('45767', '39167'),
+  ('45776', '39105'), ('45786', '39167'), ('45789', '39167'), ('45806', '39003'), ('45810', '39065'), ('45813', '39125'), ('45817', '39003'), ('45821', '39125'),
+  ('45827', '39137'), ('45830', '39137'), ('45831', '39137'), ('45832', '39161'), ('45833', '39161'), ('45843', '39065'), ('45844', '39137'), ('45845', '39149'),
+  ('45846', '39107'), ('45849', '39125'), ('45850', '39003'), ('45856', '39137'), ('45862', '39107'), ('45865', '39011'), ('45867', '39063'), ('45869', '39011'),
+  ('45871', '39011'), ('45872', '39173'), ('45877', '39137'), ('45882', '39107'), ('45885', '39011'), ('45886', '39125'), ('45887', '39003'), ('45895', '39011'),
+  ('45896', '39011'), ('45898', '39161'), ('46001', '18095'), ('46012', '18095'), ('46017', '18095'), ('46031', '18057'), ('46035', '18023'), ('46036', '18095'),
+  ('46040', '18059'), ('46041', '18023'), ('46049', '18159'), ('46050', '18023'), ('46055', '18059'), ('46056', '18095'), ('46058', '18023'), ('46060', '18057'),
+  ('46064', '18095'), ('46065', '18023'), ('46069', '18057'), ('46076', '18159'), ('46077', '18011'), ('46106', '18081'), ('46112', '18063'), ('46113', '18097'),
+  ('46115', '18139'), ('46117', '18059'), ('46118', '18063'), ('46120', '18133'), ('46121', '18063'), ('46124', '18145'), ('46127', '18139'), ('46130', '18145'),
+  ('46131', '18081'), ('46133', '18139'), ('46135', '18133'), ('46140', '18059'), ('46147', '18011'), ('46148', '18139'), ('46150', '18139'), ('46151', '18109'),
+  ('46156', '18139'), ('46158', '18109'), ('46160', '18109'), ('46161', '18145'), ('46162', '18081'), ('46163', '18059'), ('46164', '18013'), ('46166', '18109'),
+  ('46173', '18139'), ('46175', '18133'), ('46180', '18109'), ('46181', '18081'), ('46182', '18145'), ('46186', '18059'), ('46229', '18097'), ('46231', '18063'),
+  ('46234', '18097'), ('46239', '18097'), ('46240', '18097'), ('46250', '18097'), ('46256', '18097'), ('46259', '18097'), ('46260', '18097'), ('46268', '18097'),
+  ('46278', '18097'), ('46307', '18089'), ('46310', '18073'), ('46341', '18127'), ('46342', '18089'), ('46348', '18091'), ('46360', '18091'), ('46366', '18149'),
+  ('46374', '18149'), ('46390', '18091'), ('46391', '18091'), ('46504', '18099'), ('46506', '18099'), ('46511', '18099'), ('46530', '18141'), ('46532', '18149'),
+  ('46536', '18141'), ('46539', '18085'), ('46540', '18039'), ('46542', '18085'), ('46543', '18039'), ('46550', '18039'), ('46552', '18141'), ('46554', '18141'),
+  ('46561', '18141'), ('46562', '18085'), ('46563', '18099'), ('46567', '18085'), ('46570', '18099'), ('46571', '18087'), ('46573', '18141'), ('46574', '18141'),
+  ('46702', '18069'), ('46705', '18033'), ('46706', '18033'), ('46710', '18113'), ('46714', '18179'), ('46723', '18183'), ('46725', '18183'), ('46732', '18113'),
+  ('46733', '18001'), ('46740', '18001'), ('46742', '18151'), ('46747', '18151'), ('46748', '18003'), ('46750', '18069'), ('46755', '18113'), ('46761', '18087'),
+  ('46763', '18113'), ('46764', '18183'), ('46767', '18113'), ('46770', '18179'), ('46773', '18003'), ('46776', '18151'), ('46777', '18179'), ('46783', '18069'),
+  ('46787', '18183'), ('46788', '18033'), ('46792', '18069'), ('46793', '18033'), ('46795', '18087'), ('46798', '18003'), ('46818', '18003'), ('46901', '18067'),
+  ('46902', '18067'), ('46910', '18049'), ('46911', '18103'), ('46919', '18103'), ('46923', '18015'), ('46926', '18103'), ('46928', '18053'), ('46929', '18015'),
+  ('46932', '18017'), ('46939', '18049'), ('46940', '18169'), ('46947', '18017'), ('46951', '18103'), ('46952', '18053'), ('46960', '18131'), ('46962', '18169'),
+  ('46968', '18131'), ('46970', '18103'), ('46974', '18169'), ('46978', '18017'), ('46979', '18067'), ('46982', '18085'), ('46985', '18131'), ('46989', '18053'),
+  ('46991', '18053'), ('46996', '18131'), ('47001', '18029'), ('47006', '18137'), ('47010', '18047'), ('47011', '18155'), ('47012', '18047'), ('47017', '18137'),
+  ('47018', '18029'), ('47031', '18137'), ('47040', '18115'), ('47041', '18137'), ('47043', '18155'), ('47060', '18029'), ('47102', '18143'), ('47106', '18019'),
+  ('47108', '18175'), ('47117', '18061'), ('47118', '18025'), ('47119', '18043'), ('47122', '18043'), ('47124', '18043'), ('47125', '18175'), ('47126', '18019'),
+  ('47136', '18061'), ('47137', '18025'), ('47138', '18077'), ('47140', '18025'), ('47147', '18019'), ('47150', '18043'), ('47164', '18061'), ('47165', '18175'),
+  ('47170', '18143'), ('47172', '18019'), ('47175', '18025'), ('47177', '18019'), ('47201', '18005'), ('47224', '18077'), ('47227', '18079'), ('47229', '18071'),
+  ('47230', '18077'), ('47231', '18077'), ('47232', '18079'), ('47235', '18071'), ('47240', '18031'), ('47244', '18005'), ('47250', '18077'), ('47264', '18071'),
+  ('47270', '18079'), ('47272', '18031'), ('47274', '18071'), ('47281', '18071'), ('47283', '18031'), ('47302', '18035'), ('47320', '18035'), ('47325', '18161'),
+  ('47326', '18075'), ('47327', '18177'), ('47331', '18041'), ('47334', '18035'), ('47336', '18009'), ('47346', '18177'), ('47352', '18065'), ('47353', '18161'),
+  ('47354', '18135'), ('47356', '18065'), ('47357', '18177'), ('47358', '18135'), ('47359', '18009'), ('47360', '18065'), ('47368', '18135'), ('47371', '18075'),
+  ('47373', '18075'), ('47374', '18177'), ('47380', '18135'), ('47384', '18065'), ('47390', '18135'), ('47393', '18177'), ('47401', '18105'), ('47403', '18105'),
+  ('47404', '18105'), ('47427', '18119'), ('47432', '18117'), ('47433', '18119'), ('47436', '18093'), ('47438', '18055'), ('47446', '18093'), ('47448', '18013'),
+  ('47452', '18117'), ('47456', '18119'), ('47459', '18055'), ('47460', '18119'), ('47462', '18093'), ('47468', '18105'), ('47470', '18093'), ('47471', '18055'),
+  ('47513', '18037'), ('47523', '18173'), ('47527', '18037'), ('47529', '18027'), ('47532', '18037'), ('47537', '18147'), ('47541', '18037'), ('47542', '18037'),
+  ('47553', '18101'), ('47561', '18083'), ('47562', '18027'), ('47564', '18125'), ('47577', '18147'), ('47578', '18083'), ('47588', '18147'), ('47590', '18125'),
+  ('47601', '18173'), ('47612', '18129'), ('47613', '18173'), ('47616', '18051'), ('47619', '18173'), ('47633', '18129'), ('47637', '18173'), ('47639', '18051'),
+  ('47640', '18051'), ('47660', '18051'), ('47712', '18163'), ('47725', '18163'), ('47802', '18167'), ('47833', '18021'), ('47834', '18021'), ('47837', '18121'),
+  ('47840', '18021'), ('47841', '18021'), ('47842', '18165'), ('47848', '18153'), ('47850', '18153'), ('47858', '18021'), ('47868', '18119'), ('47872', '18121'),
+  ('47874', '18121'), ('47906', '18157'), ('47917', '18171'), ('47918', '18045'), ('47920', '18157'), ('47921', '18007'), ('47922', '18111'), ('47923', '18181'),
+  ('47926', '18181'), ('47930', '18157'), ('47932', '18171'), ('47933', '18107'), ('47943', '18111'), ('47946', '18131'), ('47948', '18111'), ('47950', '18181'),
+  ('47952', '18045'), ('47954', '18107'), ('47955', '18107'), ('47957', '18131'), ('47959', '18181'), ('47960', '18181'), ('47967', '18107'), ('47968', '18107'),
+  ('47970', '18171'), ('47975', '18171'), ('47977', '18073'), ('47978', '18073'), ('47981', '18157'), ('47989', '18107'), ('47995', '18181'), ('48014', '26147'),
+  ('48032', '26147'), ('48041', '26147'), ('48097', '26147'), ('48111', '26163'), ('48134', '26163'), ('48137', '26093'), ('48158', '26161'), ('48160', '26115'),
+  ('48164', '26163'), ('48167', '26163'), ('48168', '26163'), ('48169', '26093'), ('48170', '26163'), ('48176', '26161'), ('48178', '26125'), ('48189', '26161'),
+  ('48191', '26161'), ('48236', '26163'), ('48306', '26125'), ('48371', '26125'), ('48380', '26125'), ('48415', '26145'), ('48416', '26151'), ('48418', '26155'),
+  ('48420', '26049'), ('48421', '26087'), ('48423', '26049'), ('48428', '26087'), ('48429', '26155'), ('48430', '26093'), ('48433', '26049'), ('48435', '26157'),
+  ('48436', '26049'), ('48438', '26049'), ('48439', '26049'), ('48441', '26063'), ('48442', '26125'), ('48444', '26087'), ('48449', '26155'), ('48451', '26049'),
+  ('48453', '26151'), ('48456', '26151'), ('48457', '26049'), ('48460', '26155'), ('48462', '26125'), ('48464', '26087'), ('48475', '26151'), ('48604', '26145'),
+  ('48610', '26051'), ('48612', '26051'), ('48613', '26017'), ('48614', '26145'), ('48615', '26057'), ('48616', '26145'), ('48617', '26035'), ('48618', '26111'),
+  ('48619', '26135'), ('48622', '26035'), ('48623', '26145'), ('48624', '26051'), ('48626', '26145'), ('48628', '26111'), ('48632', '26035'), ('48637', '26145'),
+  ('48642', '26111'), ('48647', '26135'), ('48649', '26145'), ('48650', '26017'), ('48652', '26051'), ('48653', '26143'), ('48654', '26129'), ('48658', '26011'),
+  ('48659', '26011'), ('48662', '26057'), ('48708', '26017'), ('48726', '26157'), ('48727', '26087'), ('48728', '26001'), ('48734', '26145'), ('48735', '26157'),
+  ('48737', '26001'), ('48738', '26001'), ('48739', '26069'), ('48744', '26157'), ('48745', '26001'), ('48746', '26157'), ('48747', '26017'), ('48750', '26069'),
+  ('48757', '26157'), ('48759', '26063'), ('48760', '26087'), ('48761', '26135'), ('48762', '26001'), ('48763', '26069'), ('48765', '26011'), ('48767', '26157'),
+  ('48807', '26057'), ('48809', '26067'), ('48811', '26117'), ('48813', '26045'), ('48815', '26067'), ('48821', '26045'), ('48823', '26065'), ('48827', '26045'),
+  ('48829', '26117'), ('48831', '26037'), ('48834', '26117'), ('48835', '26037'), ('48837', '26045'), ('48838', '26117'), ('48840', '26065'), ('48841', '26155'),
+  ('48845', '26067'), ('48848', '26155'), ('48849', '26067'), ('48850', '26117'), ('48858', '26073'), ('48861', '26045'), ('48866', '26037'), ('48872', '26155'),
+  ('48873', '26037'), ('48875', '26067'), ('48877', '26057'), ('48879', '26037'), ('48880', '26057'), ('48883', '26073'), ('48886', '26117'), ('48890', '26045'),
+  ('48892', '26065'), ('48897', '26015'), ('48906', '26037'), ('48911', '26065'), ('48917', '26045'), ('49009', '26077'), ('49010', '26005'), ('49011', '26025'),
+  ('49012', '26077'), ('49017', '26025'), ('49021', '26045'), ('49022', '26021'), ('49026', '26159'), ('49030', '26149'), ('49034', '26077'), ('49038', '26021'),
+  ('49040', '26149'), ('49042', '26149'), ('49045', '26159'), ('49047', '26027'), ('49052', '26077'), ('49055', '26159'), ('49056', '26159'), ('49060', '26015'),
+  ('49067', '26027'), ('49071', '26159'), ('49073', '26015'), ('49076', '26045'), ('49078', '26005'), ('49080', '26005'), ('49082', '26023'), ('49083', '26077'),
+  ('49087', '26077'), ('49090', '26159'), ('49092', '26025'), ('49093', '26149'), ('49094', '26023'), ('49097', '26077'), ('49098', '26021'), ('49099', '26149'),
+  ('49102', '26021'), ('49111', '26021'), ('49120', '26021'), ('49220', '26091'), ('49224', '26025'), ('49229', '26091'), ('49230', '26075'), ('49233', '26059'),
+  ('49236', '26091'), ('49237', '26075'), ('49238', '26091'), ('49240', '26075'), ('49245', '26025'), ('49246', '26075'), ('49247', '26091'), ('49249', '26059'),
+  ('49250', '26059'), ('49251', '26065'), ('49252', '26059'), ('49255', '26023'), ('49264', '26065'), ('49267', '26115'), ('49274', '26059'), ('49276', '26091'),
+  ('49284', '26075'), ('49285', '26065'), ('49287', '26091'), ('49288', '26059'), ('49303', '26121'), ('49305', '26107'), ('49307', '26107'), ('49309', '26123'),
+  ('49310', '26073'), ('49315', '26081'), ('49316', '26081'), ('49318', '26121'), ('49325', '26015'), ('49326', '26081'), ('49327', '26123'), ('49329', '26117'),
+  ('49330', '26081'), ('49331', '26081'), ('49333', '26015'), ('49336', '26107'), ('49337', '26123'), ('49338', '26123'), ('49340', '26107'), ('49343', '26117'),
+  ('49344', '26005'), ('49346', '26107'), ('49347', '26117'), ('49348', '26005'), ('49402', '26085'), ('49403', '26139'), ('49404', '26139'), ('49412', '26123'),
+  ('49415', '26121'), ('49418', '26081'), ('49421', '26127'), ('49423', '26005'), ('49425', '26121'), ('49426', '26139'), ('49434', '26139'), ('49437', '26121'),
+  ('49448', '26139'), ('49449', '26127'), ('49451', '26121'), ('49456', '26139'), ('49457', '26121'), ('49459', '26127'), ('49464', '26139'), ('49534', '26139'),
+  ('49544', '26081'), ('49601', '26165'), ('49612', '26009'), ('49613', '26101'), ('49620', '26055'), ('49625', '26101'), ('49630', '26089'), ('49631', '26133'),
+  ('49633', '26079'), ('49638', '26165'), ('49639', '26133'), ('49643', '26019'), ('49644', '26085'), ('49649', '26055'), ('49655', '26133'), ('49659', '26009'),
+  ('49660', '26101'), ('49663', '26165'), ('49665', '26133'), ('49668', '26165'), ('49676', '26079'), ('49677', '26133'), ('49679', '26133'), ('49680', '26079'),
+  ('49683', '26019'), ('49684', '26055'), ('49688', '26133'), ('49689', '26101'), ('49690', '26055'), ('49701', '26047'), ('49706', '26047'), ('49707', '26007'),
+  ('49712', '26029'), ('49713', '26029'), ('49716', '26047'), ('49718', '26047'), ('49720', '26029'), ('49727', '26029'), ('49729', '26009'), ('49730', '26009'),
+  ('49733', '26039'), ('49738', '26039'), ('49746', '26119'), ('49747', '26001'), ('49748', '26033'), ('49751', '26137'), ('49755', '26047'), ('49756', '26135'),
+  ('49765', '26031'), ('49769', '26047'), ('49770', '26047'), ('49774', '26033'), ('49776', '26141'), ('49780', '26033'), ('49793', '26033'), ('49795', '26137'),
+  ('49805', '26083'), ('49807', '26041'), ('49817', '26041'), ('49818', '26041'), ('49822', '26003'), ('49831', '26043'), ('49836', '26153'), ('49853', '26095'),
+  ('49854', '26153'), ('49855', '26103'), ('49861', '26013'), ('49873', '26109'), ('49878', '26041'), ('49879', '26103'), ('49880', '26041'), ('49883', '26153'),
+  ('49884', '26153'), ('49885', '26103'), ('49892', '26043'), ('49895', '26003'), ('49913', '26061'), ('49945', '26061'), ('49947', '26053'), ('49952', '26061'),
+  ('49958', '26013'), ('49965', '26061'), ('49967', '26061'), ('50002', '19077'), ('50006', '19083'), ('50014', '19169'), ('50020', '19029'), ('50022', '19029'),
+  ('50026', '19077'), ('50027', '19123'), ('50029', '19077'), ('50034', '19079'), ('50044', '19125'), ('50046', '19169'), ('50047', '19181'), ('50048', '19077'),
+  ('50049', '19117'), ('50055', '19169'), ('50058', '19077'), ('50061', '19121'), ('50068', '19117'), ('50070', '19121'), ('50071', '19197'), ('50072', '19121'),
+  ('50074', '19159'), ('50104', '19107'), ('50106', '19127'), ('50107', '19073'), ('50108', '19053'), ('50109', '19153'), ('50111', '19153'), ('50112', '19157'),
+  ('50123', '19185'), ('50124', '19169'), ('50126', '19083'), ('50128', '19077'), ('50133', '19159'), ('50134', '19169'), ('50136', '19107'), ('50139', '19181'),
+  ('50140', '19053'), ('50141', '19127'), ('50147', '19185'), ('50149', '19175'), ('50151', '19117'), ('50153', '19099'), ('50154', '19169'), ('50155', '19121'),
+  ('50156', '19015'), ('50158', '19127'), ('50161', '19153'), ('50164', '19001'), ('50169', '19153'), ('50170', '19099'), ('50174', '19039'), ('50206', '19083'),
+  ('50207', '19123'), ('50210', '19181'), ('50211', '19181'), ('50217', '19073'), ('50219', '19125'), ('50220', '19049'), ('50225', '19125'), ('50226', '19153'),
+  ('50228', '19099'), ('50229', '19181'), ('50230', '19083'), ('50233', '19049'), ('50234', '19127'), ('50235', '19073'), ('50237', '19153'), ('50238', '19117'),
+  ('50240', '19121'), ('50243', '19169'), ('50244', '19153'), ('50247', '19127'), ('50248', '19169'), ('50249', '19079'), ('50250', '19001'), ('50256', '19125'),
+  ('50257', '19121'), ('50258', '19083'), ('50261', '19121'), ('50264', '19053'), ('50266', '19049'), ('50268', '19107'), ('50271', '19079'), ('50276', '19049'),
+  ('50277', '19077'), ('50320', '19153'), ('50323', '19049'), ('50325', '19153'), ('50420', '19069'), ('50424', '19189'), ('50430', '19081'), ('50433', '19033'),
+  ('50434', '19195'), ('50436', '19189'), ('50444', '19195'), ('50446', '19195'), ('50447', '19081'), ('50449', '19081'), ('50450', '19189'), ('50457', '19033'),
+  ('50458', '19067'), ('50460', '19131'), ('50461', '19131'), ('50464', '19033'), ('50466', '19089'), ('50468', '19067'), ('50471', '19067'), ('50472', '19131'),
+  ('50475', '19069'), ('50479', '19033'), ('50480', '19109'), ('50482', '19033'), ('50483', '19109'), ('50484', '19081'), ('50510', '19021'), ('50514', '19063'),
+  ('50515', '19147'), ('50516', '19187'), ('50519', '19091'), ('50520', '19091'), ('50524', '19187'), ('50530', '19187'), ('50532', '19187'), ('50533', '19197'),
+  ('50538', '19025'), ('50539', '19109'), ('50540', '19151'), ('50541', '19151'), ('50542', '19197'), ('50548', '19091'), ('50554', '19151'), ('50558', '19091'),
+  ('50560', '19109'), ('50561', '19025'), ('50562', '19147'), ('50563', '19025'), ('50568', '19021'), ('50570', '19091'), ('50575', '19025'), ('50577', '19091'),
+  ('50578', '19063'), ('50581', '19151'), ('50585', '19041'), ('50586', '19025'), ('50591', '19091'), ('50597', '19147'), ('50598', '19109'), ('50599', '19197'),
+  ('50601', '19069'), ('50603', '19037'), ('50604', '19023'), ('50605', '19069'), ('50606', '19065'), ('50607', '19019'), ('50609', '19075'), ('50612', '19171'),
+  ('50613', '19013'), ('50616', '19067'), ('50621', '19075'), ('50625', '19023'), ('50627', '19083'), ('50628', '19089'), ('50629', '19065'), ('50630', '19037'),
+  ('50632', '19171'), ('50635', '19171'), ('50636', '19023'), ('50643', '19013'), ('50645', '19037'), ('50647', '19017'), ('50648', '19013'), ('50650', '19019'),
+  ('50651', '19013'), ('50654', '19055'), ('50658', '19037'), ('50660', '19023'), ('50662', '19065'), ('50665', '19023'), ('50666', '19017'), ('50669', '19075'),
+  ('50670', '19023'), ('50671', '19065'), ('50672', '19083'), ('50674', '19017'), ('50675', '19171'), ('50801', '19175'), ('50836', '19173'), ('50837', '19001'),
+  ('50840', '19173'), ('50841', '19003'), ('50843', '19029'), ('50845', '19159'), ('50851', '19003'), ('50853', '19029'), ('50857', '19003'), ('50859', '19003'),
+  ('50861', '19175'), ('50864', '19137'), ('51001', '19149'), ('51002', '19021'), ('51005', '19035'), ('51006', '19093'), ('51016', '19193'), ('51018', '19193'),
+  ('51019', '19193'), ('51020', '19093'), ('51022', '19141'), ('51023', '19167'), ('51025', '19093'), ('51026', '19193'), ('51027', '19167'), ('51028', '19149'),
+  ('51033', '19041'), ('51034', '19133'), ('51046', '19141'), ('51047', '19041'), ('51048', '19193'), ('51053', '19161'), ('51055', '19133'), ('51056', '19193'),
+  ('51058', '19141'), ('51060', '19133'), ('51061', '19035'), ('51108', '19149'), ('51109', '19149'), ('51201', '19167'), ('51232', '19143'), ('51235', '19119'),
+  ('51238', '19167'), ('51239', '19167'), ('51240', '19119'), ('51243', '19119'), ('51247', '19167'), ('51248', '19141'), ('51334', '19063'), ('51338', '19041'),
+  ('51342', '19147'), ('51345', '19143'), ('51346', '19141'), ('51358', '19147'), ('51360', '19059'), ('51364', '19059'), ('51366', '19041'), ('51431', '19093'),
+  ('51433', '19161'), ('51436', '19027'), ('51448', '19047'), ('51449', '19025'), ('51453', '19025'), ('51454', '19047'), ('51455', '19027'), ('51467', '19047'),
+  ('51503', '19155'), ('51521', '19155'), ('51523', '19133'), ('51527', '19165'), ('51529', '19085'), ('51531', '19165'), ('51532', '19137'), ('51533', '19137'),
+  ('51535', '19029'), ('51541', '19129'), ('51543', '19009'), ('51544', '19029'), ('51545', '19085'), ('51552', '19029'), ('51555', '19085'), ('51557', '19085'),
+  ('51558', '19133'), ('51559', '19155'), ('51565', '19165'), ('51566', '19137'), ('51570', '19165'), ('51571', '19129'), ('51577', '19155'), ('51601', '19145'),
+  ('51632', '19145'), ('51638', '19145'), ('51640', '19071'), ('51645', '19071'), ('51653', '19071'), ('52031', '19097'), ('52032', '19097'), ('52033', '19105'),
+  ('52035', '19043'), ('52037', '19045'), ('52040', '19055'), ('52042', '19043'), ('52050', '19055'), ('52052', '19043'), ('52053', '19061'), ('52054', '19097'),
+  ('52060', '19097'), ('52064', '19097'), ('52065', '19061'), ('52069', '19097'), ('52070', '19097'), ('52073', '19061'), ('52076', '19043'), ('52078', '19061'),
+  ('52079', '19097'), ('52101', '19191'), ('52132', '19191'), ('52133', '19191'), ('52136', '19089'), ('52140', '19005'), ('52141', '19065'), ('52144', '19191'),
+  ('52154', '19037'), ('52156', '19043'), ('52159', '19043'), ('52161', '19191'), ('52162', '19005'), ('52171', '19065'), ('52172', '19005'), ('52203', '19095'),
+  ('52205', '19105'), ('52207', '19097'), ('52208', '19011'), ('52213', '19113'), ('52215', '19171'), ('52216', '19031'), ('52218', '19113'), ('52221', '19157'),
+  ('52222', '19157'), ('52224', '19011'), ('52225', '19171'), ('52228', '19113'), ('52237', '19055'), ('52247', '19103'), ('52248', '19183'), ('52253', '19031'),
+  ('52301', '19095'), ('52305', '19105'), ('52306', '19031'), ('52309', '19097'), ('52310', '19105'), ('52316', '19095'), ('52318', '19011'), ('52320', '19105'),
+  ('52323', '19105'), ('52324', '19113'), ('52325', '19095'), ('52327', '19183'), ('52332', '19011'), ('52333', '19103'), ('52338', '19103'), ('52339', '19171'),
+  ('52347', '19095'), ('52351', '19011'), ('52352', '19113'), ('52355', '19107'), ('52356', '19183'), ('52358', '19031'), ('52404', '19113'), ('52533', '19101'),
+  ('52535', '19177'), ('52536', '19179'), ('52537', '19051'), ('52540', '19101'), ('52542', '19177'), ('52552', '19051'), ('52553', '19135'), ('52554', '19179'),
+  ('52561', '19123'), ('52563', '19107'), ('52567', '19101'), ('52569', '19135'), ('52570', '19177'), ('52571', '19007'), ('52572', '19007'), ('52573', '19177'),
+  ('52581', '19007'), ('52585', '19107'), ('52588', '19177'), ('52590', '19185'), ('52594', '19007'), ('52621', '19183'), ('52623', '19057'), ('52626', '19177'),
+  ('52630', '19111'), ('52635', '19101'), ('52640', '19115'), ('52641', '19087'), ('52644', '19087'), ('52645', '19087'), ('52646', '19057'), ('52649', '19087'),
+  ('52651', '19177'), ('52654', '19087'), ('52656', '19111'), ('52658', '19111'), ('52659', '19087'), ('52720', '19139'), ('52726', '19163'), ('52731', '19045'),
+  ('52739', '19139'), ('52747', '19031'), ('52754', '19139'), ('52755', '19103'), ('52760', '19139'), ('52761', '19139'), ('52765', '19163'), ('52769', '19163'),
+  ('52773', '19163'), ('52776', '19139'), ('52777', '19045'), ('52778', '19031'), ('53006', '55027'), ('53010', '55039'), ('53011', '55117'), ('53012', '55089'),
+  ('53013', '55117'), ('53014', '55015'), ('53015', '55071'), ('53017', '55131'), ('53020', '55117'), ('53021', '55089'), ('53027', '55131'), ('53029', '55133'),
+  ('53036', '55055'), ('53040', '55131'), ('53042', '55071'), ('53048', '55027'), ('53049', '55039'), ('53061', '55015'), ('53065', '55039'), ('53066', '55133'),
+  ('53075', '55117'), ('53079', '55039'), ('53090', '55131'), ('53091', '55027'), ('53095', '55131'), ('53105', '55101'), ('53114', '55127'), ('53118', '55133'),
+  ('53119', '55133'), ('53120', '55127'), ('53128', '55127'), ('53139', '55101'), ('53149', '55133'), ('53150', '55133'), ('53177', '55101'), ('53182', '55101'),
+  ('53190', '55127'), ('53217', '55079'), ('53225', '55079'), ('53403', '55101'), ('53504', '55065'), ('53508', '55025'), ('53516', '55065'), ('53517', '55025'),
+  ('53518', '55103'), ('53520', '55105'), ('53521', '55045'), ('53522', '55045'), ('53523', '55025'), ('53532', '55025'), ('53534', '55025'), ('53538', '55055'),
+  ('53543', '55049'), ('53544', '55049'), ('53554', '55043'), ('53555', '55021'), ('53556', '55103'), ('53559', '55025'), ('53560', '55025'), ('53561', '55111'),
+  ('53563', '55105'), ('53565', '55049'), ('53569', '55043'), ('53572', '55025'), ('53573', '55043'), ('53574', '55045'), ('53578', '55111'), ('53583', '55111'),
+  ('53585', '55127'), ('53588', '55111'), ('53589', '55025'), ('53594', '55055'), ('53805', '55043'), ('53807', '55043'), ('53811', '55043'), ('53818', '55043'),
+  ('53821', '55023'), ('53901', '55021'), ('53911', '55021'), ('53913', '55111'), ('53920', '55001'), ('53923', '55021'), ('53924', '55103'), ('53925', '55021'),
+  ('53926', '55047'), ('53929', '55057'), ('53932', '55021'), ('53937', '55111'), ('53941', '55111'), ('53944', '55057'), ('53946', '55047'), ('53949', '55077'),
+  ('53952', '55077'), ('53954', '55021'), ('53956', '55021'), ('53963', '55039'), ('53964', '55077'), ('53965', '55001'), ('53968', '55111'), ('54004', '55005'),
+  ('54005', '55095'), ('54007', '55109'), ('54013', '55109'), ('54017', '55109'), ('54020', '55095'), ('54022', '55093'), ('54026', '55095'), ('54103', '55041'),
+  ('54104', '55075'), ('54107', '55115'), ('54110', '55015'), ('54111', '55115'), ('54112', '55075'), ('54114', '55075'), ('54115', '55009'), ('54120', '55037'),
+  ('54124', '55083'), ('54125', '55075'), ('54126', '55009'), ('54130', '55087'), ('54137', '55115'), ('54139', '55083'), ('54150', '55078'), ('54151', '55075'),
+  ('54154', '55083'), ('54155', '55087'), ('54157', '55075'), ('54161', '55075'), ('54162', '55115'), ('54165', '55087'), ('54170', '55087'), ('54174', '55083'),
+  ('54175', '55083'), ('54180', '55009'), ('54201', '55061'), ('54205', '55061'), ('54208', '55009'), ('54213', '55029'), ('54217', '55061'), ('54313', '55009'),
+  ('54405', '55073'), ('54408', '55073'), ('54409', '55067'), ('54411', '55073'), ('54412', '55141'), ('54414', '55115'), ('54420', '55019'), ('54421', '55073'),
+  ('54422', '55019'), ('54425', '55019'), ('54427', '55073'), ('54428', '55067'), ('54433', '55119'), ('54435', '55069'), ('54443', '55097'), ('54449', '55141'),
+  ('54451', '55119'), ('54452', '55069'), ('54454', '55141'), ('54455', '55073'), ('54457', '55001'), ('54460', '55019'), ('54465', '55041'), ('54466', '55053'),
+  ('54470', '55119'), ('54473', '55097'), ('54475', '55141'), ('54479', '55019'), ('54480', '55119'), ('54486', '55115'), ('54487', '55069'), ('54488', '55019'),
+  ('54490', '55119'), ('54491', '55067'), ('54494', '55141'), ('54498', '55119'), ('54499', '55115'), ('54501', '55085'), ('54514', '55003'), ('54517', '55113'),
+  ('54521', '55125'), ('54530', '55107'), ('54538', '55125'), ('54540', '55125'), ('54542', '55041'), ('54545', '55125'), ('54548', '55085'), ('54552', '55099'),
+  ('54554', '55125'), ('54558', '55125'), ('54559', '55051'), ('54562', '55085'), ('54564', '55085'), ('54568', '55125'), ('54612', '55121'), ('54615', '55053'),
+  ('54616', '55121'), ('54618', '55057'), ('54619', '55081'), ('54623', '55063'), ('54624', '55123'), ('54627', '55121'), ('54628', '55023'), ('54634', '55123'),
+  ('54638', '55081'), ('54639', '55123'), ('54642', '55053'), ('54644', '55063'), ('54651', '55123'), ('54653', '55063'), ('54655', '55023'), ('54656', '55081'),
+  ('54658', '55123'), ('54659', '55053'), ('54661', '55121'), ('54664', '55103'), ('54666', '55053'), ('54667', '55123'), ('54701', '55035'), ('54703', '55035'),
+  ('54721', '55091'), ('54724', '55017'), ('54726', '55017'), ('54727', '55017'), ('54728', '55005'), ('54729', '55017'), ('54730', '55033'), ('54734', '55033'),
+  ('54736', '55091'), ('54737', '55033'), ('54738', '55121'), ('54739', '55033'), ('54740', '55093'), ('54741', '55035'), ('54745', '55017'), ('54746', '55019'),
+  ('54747', '55121'), ('54749', '55033'), ('54754', '55019'), ('54755', '55011'), ('54757', '55017'), ('54758', '55121'), ('54762', '55005'), ('54763', '55033'),
+  ('54766', '55119'), ('54767', '55093'), ('54768', '55017'), ('54769', '55091'), ('54770', '55121'), ('54771', '55019'), ('54801', '55129'), ('54806', '55003'),
+  ('54813', '55129'), ('54817', '55113'), ('54820', '55031'), ('54821', '55007'), ('54826', '55095'), ('54829', '55005'), ('54830', '55013'), ('54835', '55113'),
+  ('54837', '55095'), ('54838', '55031'), ('54840', '55013'), ('54843', '55113'), ('54853', '55095'), ('54856', '55007'), ('54859', '55129'), ('54868', '55005'),
+  ('54870', '55129'), ('54871', '55129'), ('54872', '55013'), ('54873', '55031'), ('54876', '55113'), ('54889', '55095'), ('54896', '55113'), ('54909', '55097'),
+  ('54914', '55087'), ('54915', '55015'), ('54921', '55097'), ('54922', '55135'), ('54923', '55137'), ('54929', '55135'), ('54930', '55137'), ('54940', '55139'),
+  ('54943', '55137'), ('54945', '55135'), ('54950', '55135'), ('54952', '55015'), ('54956', '55139'), ('54960', '55077'), ('54961', '55135'), ('54964', '55139'),
+  ('54965', '55137'), ('54966', '55137'), ('54968', '55047'), ('54971', '55039'), ('54977', '55135'), ('54979', '55039'), ('54981', '55135'), ('54982', '55137'),
+  ('54983', '55135'), ('54984', '55137'), ('54986', '55139'), ('55006', '27065'), ('55007', '27115'), ('55008', '27059'), ('55009', '27049'), ('55018', '27049'),
+  ('55025', '27163'), ('55027', '27049'), ('55030', '27115'), ('55033', '27037'), ('55037', '27115'), ('55038', '27163'), ('55041', '27157'), ('55044', '27037'),
+  ('55049', '27147'), ('55052', '27131'), ('55053', '27131'), ('55056', '27025'), ('55057', '27037'), ('55065', '27037'), ('55069', '27025'), ('55070', '27003'),
+  ('55072', '27115'), ('55073', '27163'), ('55079', '27059'), ('55080', '27059'), ('55088', '27131'), ('55089', '27049'), ('55092', '27003'), ('55110', '27123'),
+  ('55118', '27037'), ('55126', '27123'), ('55314', '27129'), ('55320', '27145'), ('55327', '27053'), ('55328', '27171'), ('55329', '27093'), ('55330', '27141'),
+  ('55331', '27053'), ('55332', '27129'), ('55333', '27129'), ('55334', '27143'), ('55335', '27143'), ('55336', '27085'), ('55339', '27019'), ('55341', '27171'),
+  ('55350', '27085'), ('55353', '27145'), ('55371', '27095'), ('55373', '27053'), ('55374', '27053'), ('55375', '27053'), ('55382', '27171'), ('55385', '27085'),
+  ('55387', '27019'), ('55388', '27019'), ('55389', '27093'), ('55395', '27085'), ('55397', '27019'), ('55398', '27141'), ('55418', '27053'), ('55421', '27003'),
+  ('55432', '27003'), ('55449', '27003'), ('55616', '27075'), ('55720', '27017'), ('55723', '27137'), ('55731', '27075'), ('55735', '27115'), ('55736', '27137'),
+  ('55746', '27137'), ('55748', '27001'), ('55749', '27017'), ('55752', '27001'), ('55756', '27115'), ('55767', '27017'), ('55771', '27137'), ('55781', '27061'),
+  ('55783', '27115'), ('55785', '27001'), ('55787', '27001'), ('55798', '27017'), ('55810', '27137'), ('55906', '27109'), ('55910', '27169'), ('55912', '27099'),
+  ('55917', '27147'), ('55923', '27109'), ('55924', '27039'), ('55932', '27157'), ('55940', '27039'), ('55943', '27055'), ('55944', '27039'), ('55946', '27049'),
+  ('55947', '27055'), ('55951', '27099'), ('55953', '27099'), ('55954', '27045'), ('55956', '27157'), ('55960', '27109'), ('55961', '27099'), ('55962', '27045'),
+  ('55963', '27109'), ('55964', '27157'), ('55971', '27045'), ('55972', '27169'), ('55974', '27055'), ('55975', '27045'), ('55976', '27109'), ('55979', '27169'),
+  ('55985', '27039'), ('55991', '27157'), ('56011', '27139'), ('56013', '27043'), ('56019', '27015'), ('56026', '27147'), ('56027', '27043'), ('56028', '27079'),
+  ('56044', '27143'), ('56048', '27161'), ('56052', '27079'), ('56054', '27103'), ('56058', '27079'), ('56062', '27165'), ('56063', '27013'), ('56068', '27013'),
+  ('56069', '27079'), ('56071', '27079'), ('56072', '27161'), ('56073', '27015'), ('56078', '27161'), ('56081', '27165'), ('56082', '27103'), ('56083', '27127'),
+  ('56085', '27015'), ('56087', '27015'), ('56088', '27091'), ('56093', '27161'), ('56096', '27079'), ('56097', '27043'), ('56098', '27043'), ('56101', '27033'),
+  ('56115', '27083'), ('56118', '27033'), ('56119', '27105'), ('56122', '27101'), ('56128', '27117'), ('56129', '27105'), ('56131', '27101'), ('56132', '27083'),
+  ('56137', '27063'), ('56141', '27101'), ('56144', '27133'), ('56147', '27133'), ('56149', '27081'), ('56152', '27127'), ('56158', '27133'), ('56159', '27033'),
+  ('56160', '27091'), ('56162', '27091'), ('56164', '27117'), ('56166', '27127'), ('56167', '27063'), ('56170', '27117'), ('56175', '27083'), ('56178', '27081'),
+  ('56180', '27127'), ('56183', '27033'), ('56186', '27117'), ('56187', '27105'), ('56207', '27149'), ('56208', '27151'), ('56209', '27067'), ('56211', '27155'),
+  ('56214', '27127'), ('56215', '27151'), ('56218', '27073'), ('56219', '27155'), ('56220', '27173'), ('56221', '27149'), ('56226', '27151'), ('56228', '27093'),
+  ('56229', '27083'), ('56236', '27155'), ('56240', '27011'), ('56241', '27173'), ('56244', '27149'), ('56248', '27051'), ('56252', '27151'), ('56258', '27083'),
+  ('56260', '27023'), ('56262', '27023'), ('56263', '27127'), ('56264', '27083'), ('56265', '27023'), ('56266', '27127'), ('56270', '27129'), ('56271', '27151'),
+  ('56274', '27051'), ('56276', '27073'), ('56278', '27011'), ('56280', '27173'), ('56282', '27067'), ('56283', '27127'), ('56284', '27129'), ('56289', '27067'),
+  ('56291', '27083'), ('56304', '27141'), ('56308', '27041'), ('56309', '27051'), ('56312', '27145'), ('56314', '27097'), ('56315', '27041'), ('56316', '27121'),
+  ('56318', '27153'), ('56319', '27041'), ('56323', '27121'), ('56326', '27041'), ('56327', '27121'), ('56329', '27009'), ('56330', '27095'), ('56331', '27145'),
+  ('56334', '27121'), ('56336', '27153'), ('56338', '27097'), ('56339', '27051'), ('56340', '27145'), ('56342', '27001'), ('56343', '27041'), ('56349', '27121'),
+  ('56353', '27095'), ('56357', '27009'), ('56358', '27065'), ('56360', '27153'), ('56361', '27111'), ('56362', '27145'), ('56364', '27097'), ('56367', '27009'),
+  ('56373', '27097'), ('56377', '27145'), ('56378', '27145'), ('56382', '27097'), ('56385', '27121'), ('56401', '27035'), ('56431', '27001'), ('56433', '27057'),
+  ('56434', '27153'), ('56435', '27021'), ('56437', '27153'), ('56443', '27097'), ('56446', '27153'), ('56448', '27035'), ('56449', '27035'), ('56450', '27035'),
+  ('56453', '27111'), ('56461', '27057'), ('56464', '27159'), ('56466', '27021'), ('56468', '27035'), ('56470', '27057'), ('56472', '27021'), ('56473', '27021'),
+  ('56474', '27021'), ('56477', '27159'), ('56479', '27159'), ('56481', '27159'), ('56482', '27159'), ('56501', '27005'), ('56514', '27027'), ('56516', '27087'),
+  ('56519', '27107'), ('56522', '27167'), ('56535', '27119'), ('56540', '27119'), ('56542', '27119'), ('56544', '27005'), ('56552', '27027'), ('56554', '27005'),
+  ('56557', '27087'), ('56560', '27027'), ('56565', '27167'), ('56572', '27111'), ('56579', '27167'), ('56583', '27155'), ('56585', '27027'), ('56589', '27087'),
+  ('56592', '27119'), ('56601', '27007'), ('56621', '27029'), ('56623', '27077'), ('56630', '27007'), ('56633', '27021'), ('56634', '27029'), ('56636', '27061'),
+  ('56639', '27071'), ('56644', '27029'), ('56649', '27071'), ('56651', '27087'), ('56652', '27029'), ('56661', '27061'), ('56669', '27071'), ('56671', '27029'),
+  ('56673', '27135'), ('56676', '27029'), ('56678', '27007'), ('56684', '27119'), ('56701', '27113'), ('56710', '27089'), ('56715', '27125'), ('56716', '27119'),
+  ('56725', '27113'), ('56727', '27007'), ('56732', '27069'), ('56735', '27069'), ('56736', '27119'), ('56742', '27125'), ('56744', '27089'), ('56748', '27125'),
+  ('56750', '27125'), ('56759', '27135'), ('56762', '27119'), ('57001', '46127'), ('57004', '46127'), ('57006', '46011'), ('57010', '46027'), ('57014', '46125'),
+  ('57022', '46101'), ('57026', '46011'), ('57029', '46067'), ('57030', '46099'), ('57031', '46135'), ('57034', '46083'), ('57035', '46099'), ('57037', '46135'),
+  ('57039', '46083'), ('57043', '46125'), ('57045', '46067'), ('57047', '46087'), ('57048', '46087'), ('57053', '46125'), ('57059', '46009'), ('57063', '46009'),
+  ('57064', '46083'), ('57068', '46099'), ('57070', '46125'), ('57071', '46011'), ('57072', '46135'), ('57073', '46027'), ('57076', '46079'), ('57078', '46135'),
+  ('57106', '46099'), ('57108', '46083'), ('57212', '46077'), ('57213', '46039'), ('57216', '46051'), ('57221', '46057'), ('57223', '46057'), ('57226', '46039'),
+  ('57227', '46109'), ('57234', '46057'), ('57235', '46029'), ('57238', '46039'), ('57242', '46057'), ('57243', '46029'), ('57248', '46057'), ('57252', '46051'),
+  ('57256', '46051'), ('57258', '46025'), ('57259', '46051'), ('57262', '46109'), ('57263', '46029'), ('57265', '46051'), ('57266', '46051'), ('57268', '46039'),
+  ('57270', '46091'), ('57271', '46025'), ('57272', '46029'), ('57273', '46037'), ('57274', '46037'), ('57301', '46035'), ('57311', '46061'), ('57312', '46073'),
+  ('57313', '46043'), ('57319', '46087'), ('57321', '46097'), ('57322', '46025'), ('57325', '46015'), ('57330', '46043'), ('57331', '46067'), ('57332', '46061'),
+  ('57334', '46035'), ('57340', '46061'), ('57348', '46005'), ('57353', '46077'), ('57355', '46015'), ('57359', '46111'), ('57363', '46035'), ('57366', '46067'),
+  ('57369', '46023'), ('57370', '46015'), ('57374', '46087'), ('57376', '46067'), ('57381', '46059'), ('57382', '46073'), ('57383', '46003'), ('57385', '46111'),
+  ('57424', '46115'), ('57428', '46045'), ('57432', '46013'), ('57434', '46115'), ('57435', '46049'), ('57437', '46089'), ('57442', '46107'), ('57448', '46089'),
+  ('57450', '46107'), ('57451', '46045'), ('57452', '46129'), ('57454', '46091'), ('57456', '46089'), ('57460', '46013'), ('57465', '46115'), ('57466', '46049'),
+  ('57467', '46059'), ('57469', '46115'), ('57470', '46059'), ('57473', '46049'), ('57475', '46107'), ('57476', '46115'), ('57481', '46013'), ('57501', '46065'),
+  ('57521', '46095'), ('57529', '46123'), ('57532', '46117'), ('57533', '46053'), ('57536', '46065'), ('57552', '46055'), ('57560', '46095'), ('57564', '46119'),
+  ('57566', '46121'), ('57567', '46055'), ('57576', '46085'), ('57577', '46071'), ('57580', '46123'), ('57601', '46041'), ('57625', '46041'), ('57626', '46093'),
+  ('57631', '46129'), ('57633', '46137'), ('57638', '46105'), ('57641', '46031'), ('57642', '46031'), ('57644', '46105'), ('57645', '46031'), ('57648', '46021'),
+  ('57649', '46105'), ('57656', '46041'), ('57657', '46031'), ('57660', '46031'), ('57701', '46103'), ('57702', '46103'), ('57706', '46093'), ('57716', '46007'),
+  ('57717', '46019'), ('57718', '46093'), ('57719', '46093'), ('57722', '46033'), ('57724', '46063'), ('57730', '46033'), ('57735', '46047'), ('57744', '46033'),
+  ('57747', '46047'), ('57748', '46093'), ('57751', '46103'), ('57752', '46007'), ('57758', '46093'), ('57760', '46019'), ('57761', '46093'), ('57767', '46103'),
+  ('57775', '46055'), ('57783', '46081'), ('57785', '46093'), ('57788', '46019'), ('57791', '46093'), ('57793', '46081'), ('58016', '38097'), ('58027', '38017'),
+  ('58031', '38017'), ('58035', '38097'), ('58038', '38097'), ('58046', '38091'), ('58047', '38017'), ('58048', '38017'), ('58049', '38003'), ('58051', '38017'),
+  ('58052', '38017'), ('58053', '38077'), ('58056', '38003'), ('58057', '38077'), ('58060', '38081'), ('58062', '38003'), ('58064', '38017'), ('58069', '38081'),
+  ('58071', '38003'), ('58212', '38063'), ('58225', '38067'), ('58227', '38067'), ('58229', '38099'), ('58231', '38099'), ('58233', '38099'), ('58240', '38091'),
+  ('58243', '38099'), ('58261', '38099'), ('58266', '38035'), ('58267', '38035'), ('58274', '38091'), ('58275', '38035'), ('58282', '38067'), ('58301', '38071'),
+  ('58321', '38071'), ('58325', '38071'), ('58329', '38079'), ('58332', '38005'), ('58338', '38071'), ('58341', '38103'), ('58344', '38063'), ('58345', '38071'),
+  ('58346', '38005'), ('58348', '38005'), ('58351', '38005'), ('58352', '38019'), ('58356', '38027'), ('58363', '38095'), ('58367', '38079'), ('58368', '38069'),
+  ('58372', '38095'), ('58374', '38027'), ('58377', '38071'), ('58380', '38063'), ('58381', '38027'), ('58384', '38009'), ('58385', '38069'), ('58386', '38005'),
+  ('58413', '38051'), ('58418', '38103'), ('58421', '38031'), ('58423', '38103'), ('58429', '38003'), ('58433', '38045'), ('58439', '38021'), ('58440', '38051'),
+  ('58442', '38047'), ('58445', '38031'), ('58454', '38045'), ('58455', '38093'), ('58456', '38021'), ('58458', '38045'), ('58460', '38047'), ('58461', '38003'),
+  ('58464', '38027'), ('58466', '38045'), ('58467', '38093'), ('58472', '38093'), ('58474', '38021'), ('58475', '38043'), ('58481', '38003'), ('58483', '38093'),
+  ('58484', '38039'), ('58486', '38103'), ('58490', '38045'), ('58492', '38003'), ('58495', '38051'), ('58497', '38093'), ('58520', '38059'), ('58523', '38057'),
+  ('58524', '38029'), ('58532', '38015'), ('58535', '38059'), ('58545', '38057'), ('58549', '38029'), ('58554', '38059'), ('58559', '38055'), ('58562', '38037'),
+  ('58563', '38059'), ('58570', '38085'), ('58571', '38057'), ('58579', '38015'), ('58601', '38089'), ('58620', '38087'), ('58622', '38007'), ('58623', '38011'),
+  ('58625', '38025'), ('58630', '38089'), ('58631', '38059'), ('58634', '38053'), ('58636', '38025'), ('58638', '38059'), ('58642', '38025'), ('58643', '38011'),
+  ('58645', '38007'), ('58646', '38041'), ('58647', '38087'), ('58649', '38001'), ('58650', '38041'), ('58651', '38011'), ('58652', '38089'), ('58653', '38011'),
+  ('58654', '38033'), ('58656', '38089'), ('58710', '38049'), ('58716', '38055'), ('58718', '38101'), ('58721', '38013'), ('58723', '38055'), ('58725', '38075'),
+  ('58731', '38049'), ('58734', '38101'), ('58735', '38101'), ('58736', '38049'), ('58740', '38075'), ('58746', '38101'), ('58748', '38009'), ('58750', '38009'),
+  ('58755', '38105'), ('58756', '38101'), ('58757', '38025'), ('58758', '38083'), ('58759', '38055'), ('58761', '38075'), ('58762', '38009'), ('58763', '38053'),
+  ('58768', '38101'), ('58770', '38061'), ('58771', '38061'), ('58773', '38013'), ('58778', '38055'), ('58779', '38101'), ('58782', '38075'), ('58784', '38061'),
+  ('58788', '38049'), ('58789', '38049'), ('58790', '38049'), ('58795', '38023'), ('58801', '38105'), ('58830', '38105'), ('58845', '38023'), ('58852', '38105'),
+  ('58854', '38053'), ('58856', '38105'), ('59001', '30095'), ('59003', '30075'), ('59010', '30103'), ('59015', '30111'), ('59019', '30095'), ('59024', '30111'),
+  ('59032', '30027'), ('59038', '30103'), ('59041', '30009'), ('59043', '30087'), ('59044', '30111'), ('59046', '30037'), ('59052', '30097'), ('59053', '30059'),
+  ('59054', '30087'), ('59057', '30095'), ('59064', '30003'), ('59069', '30097'), ('59072', '30065'), ('59078', '30107'), ('59086', '30067'), ('59101', '30111'),
+  ('59201', '30085'), ('59213', '30085'), ('59215', '30055'), ('59218', '30083'), ('59221', '30083'), ('59223', '30055'), ('59255', '30085'), ('59258', '30091'),
+  ('59259', '30021'), ('59260', '30019'), ('59261', '30071'), ('59262', '30083'), ('59270', '30083'), ('59275', '30091'), ('59301', '30017'), ('59326', '30079'),
+  ('59330', '30021'), ('59336', '30017'), ('59347', '30087'), ('59349', '30079'), ('59351', '30075'), ('59404', '30013'), ('59410', '30049'), ('59416', '30073'),
+  ('59418', '30045'), ('59421', '30013'), ('59424', '30027'), ('59425', '30073'), ('59430', '30027'), ('59440', '30015'), ('59443', '30013'), ('59444', '30101'),
+  ('59453', '30107'), ('59456', '30101'), ('59463', '30013'), ('59464', '30027'), ('59468', '30099'), ('59487', '30013'), ('59521', '30015'), ('59524', '30071'),
+  ('59531', '30051'), ('59601', '30049'), ('59635', '30043'), ('59701', '30093'), ('59711', '30023'), ('59715', '30031'), ('59716', '30057'), ('59721', '30043'),
+  ('59722', '30077'), ('59725', '30001'), ('59727', '30093'), ('59732', '30057'), ('59743', '30001'), ('59752', '30031'), ('59759', '30043'), ('59762', '30023'),
+  ('59820', '30061'), ('59821', '30047'), ('59825', '30039'), ('59833', '30081'), ('59845', '30047'), ('59847', '30063'), ('59868', '30063'), ('59911', '30047'),
+  ('59922', '30029'), ('60007', '17031'), ('60010', '17031'), ('60013', '17111'), ('60015', '17097'), ('60021', '17111'), ('60033', '17111'), ('60042', '17097'),
+  ('60050', '17111'), ('60051', '17111'), ('60074', '17031'), ('60081', '17111'), ('60089', '17097'), ('60102', '17111'), ('60103', '17043'), ('60120', '17031'),
+  ('60126', '17043'), ('60129', '17141'), ('60133', '17043'), ('60135', '17037'), ('60140', '17089'), ('60142', '17111'), ('60145', '17037'), ('60146', '17037'),
+  ('60151', '17089'), ('60152', '17111'), ('60172', '17043'), ('60174', '17089'), ('60178', '17037'), ('60184', '17043'), ('60185', '17043'), ('60401', '17197'),
+  ('60407', '17063'), ('60410', '17197'), ('60416', '17063'), ('60420', '17105'), ('60423', '17197'), ('60424', '17063'), ('60431', '17197'), ('60439', '17031'),
+  ('60440', '17197'), ('60447', '17093'), ('60450', '17063'), ('60466', '17031'), ('60467', '17031'), ('60468', '17197'), ('60470', '17099'), ('60471', '17031'),
+  ('60475', '17031'), ('60477', '17031'), ('60481', '17197'), ('60487', '17031'), ('60502', '17043'), ('60503', '17197'), ('60504', '17043'), ('60510', '17089'),
+  ('60511', '17089'), ('60518', '17099'), ('60521', '17043'), ('60527', '17043'), ('60530', '17103'), ('60531', '17099'), ('60537', '17099'), ('60538', '17089'),
+  ('60541', '17093'), ('60543', '17093'), ('60544', '17197'), ('60548', '17037'), ('60552', '17037'), ('60554', '17089'), ('60564', '17197'), ('60565', '17043'),
+  ('60585', '17197'), ('60586', '17197'), ('60917', '17091'), ('60919', '17053'), ('60921', '17105'), ('60922', '17091'), ('60929', '17105'), ('60936', '17053'),
+  ('60940', '17091'), ('60941', '17091'), ('60942', '17183'), ('60946', '17053'), ('60948', '17075'), ('60949', '17019'), ('60950', '17091'), ('60952', '17053'),
+  ('60957', '17053'), ('60959', '17053'), ('60960', '17183'), ('60961', '17091'), ('60964', '17091'), ('60968', '17075'), ('61006', '17103'), ('61007', '17141'),
+  ('61008', '17007'), ('61011', '17007'), ('61014', '17015'), ('61016', '17201'), ('61019', '17177'), ('61020', '17141'), ('61021', '17103'), ('61031', '17103'),
+  ('61038', '17007'), ('61039', '17177'), ('61044', '17177'), ('61047', '17141'), ('61048', '17177'), ('61051', '17015'), ('61053', '17015'), ('61062', '17177'),
+  ('61063', '17201'), ('61064', '17141'), ('61068', '17141'), ('61071', '17195'), ('61073', '17201'), ('61074', '17015'), ('61078', '17015'), ('61080', '17201'),
+  ('61081', '17195'), ('61084', '17141'), ('61087', '17085'), ('61102', '17201'), ('61107', '17201'), ('61109', '17201'), ('61111', '17201'), ('61114', '17201'),
+  ('61240', '17161'), ('61250', '17195'), ('61252', '17195'), ('61260', '17131'), ('61262', '17073'), ('61264', '17161'), ('61272', '17131'), ('61273', '17073'),
+  ('61277', '17195'), ('61279', '17131'), ('61281', '17131'), ('61283', '17195'), ('61330', '17011'), ('61334', '17099'), ('61336', '17155'), ('61342', '17099'),
+  ('61344', '17011'), ('61345', '17011'), ('61349', '17011'), ('61354', '17099'), ('61358', '17099'), ('61360', '17099'), ('61361', '17011'), ('61364', '17099'),
+  ('61376', '17011'), ('61377', '17099'), ('61401', '17095'), ('61410', '17095'), ('61412', '17131'), ('61414', '17095'), ('61415', '17057'), ('61420', '17109'),
+  ('61421', '17175'), ('61434', '17073'), ('61440', '17109'), ('61442', '17131'), ('61443', '17073'), ('61447', '17187'), ('61449', '17175'), ('61450', '17067'),
+  ('61451', '17143'), ('61453', '17187'), ('61459', '17057'), ('61462', '17187'), ('61465', '17131'), ('61474', '17095'), ('61475', '17109'), ('61476', '17131'),
+  ('61478', '17187'), ('61479', '17175'), ('61482', '17057'), ('61484', '17057'), ('61489', '17095'), ('61490', '17073'), ('61491', '17175'), ('61523', '17143'),
+  ('61526', '17143'), ('61529', '17143'), ('61530', '17203'), ('61531', '17057'), ('61533', '17143'), ('61537', '17123'), ('61544', '17057'), ('61546', '17179'),
+  ('61559', '17143'), ('61560', '17155'), ('61565', '17123'), ('61569', '17143'), ('61570', '17203'), ('61611', '17179'), ('61721', '17179'), ('61723', '17107'),
+  ('61725', '17203'), ('61726', '17113'), ('61729', '17203'), ('61731', '17113'), ('61732', '17113'), ('61733', '17179'), ('61738', '17203'), ('61739', '17105'),
+  ('61742', '17203'), ('61744', '17113'), ('61745', '17113'), ('61748', '17113'), ('61749', '17039'), ('61752', '17113'), ('61754', '17113'), ('61756', '17115'),
+  ('61760', '17203'), ('61810', '17183'), ('61818', '17147'), ('61830', '17147'), ('61842', '17039'), ('61843', '17019'), ('61845', '17019'), ('61849', '17019'),
+  ('61851', '17019'), ('61852', '17019'), ('61853', '17019'), ('61859', '17019'), ('61862', '17019'), ('61870', '17183'), ('61872', '17019'), ('61876', '17183'),
+  ('61882', '17039'), ('61884', '17147'), ('61910', '17041'), ('61911', '17041'), ('61913', '17147'), ('61914', '17139'), ('61917', '17045'), ('61925', '17115'),
+  ('61928', '17139'), ('61930', '17041'), ('61933', '17045'), ('61937', '17139'), ('61942', '17041'), ('61943', '17029'), ('61944', '17045'), ('61951', '17139'),
+  ('61956', '17041'), ('61957', '17173'), ('62002', '17119'), ('62012', '17083'), ('62019', '17005'), ('62032', '17135'), ('62035', '17119'), ('62044', '17061'),
+  ('62054', '17061'), ('62056', '17135'), ('62060', '17119'), ('62063', '17083'), ('62069', '17117'), ('62074', '17119'), ('62075', '17135'), ('62077', '17135'),
+  ('62079', '17117'), ('62080', '17051'), ('62082', '17061'), ('62083', '17021'), ('62086', '17005'), ('62088', '17117'), ('62201', '17163'), ('62234', '17119'),
+  ('62236', '17133'), ('62237', '17145'), ('62249', '17119'), ('62253', '17005'), ('62257', '17163'), ('62262', '17005'), ('62263', '17189'), ('62264', '17163'),
+  ('62265', '17027'), ('62268', '17189'), ('62272', '17157'), ('62275', '17005'), ('62277', '17157'), ('62278', '17157'), ('62280', '17077'), ('62293', '17027'),
+  ('62294', '17119'), ('62298', '17133'), ('62311', '17067'), ('62312', '17149'), ('62314', '17149'), ('62316', '17067'), ('62323', '17149'), ('62324', '17001'),
+  ('62326', '17109'), ('62330', '17067'), ('62343', '17149'), ('62346', '17001'), ('62349', '17001'), ('62351', '17001'), ('62353', '17009'), ('62355', '17149'),
+  ('62366', '17149'), ('62367', '17109'), ('62374', '17067'), ('62379', '17067'), ('62401', '17049'), ('62411', '17049'), ('62413', '17033'), ('62414', '17051'),
+  ('62420', '17023'), ('62421', '17159'), ('62422', '17173'), ('62423', '17023'), ('62424', '17049'), ('62425', '17159'), ('62426', '17025'), ('62427', '17033'),
+  ('62431', '17173'), ('62434', '17025'), ('62436', '17035'), ('62440', '17029'), ('62441', '17023'), ('62442', '17023'), ('62443', '17049'), ('62445', '17079'),
+  ('62447', '17035'), ('62448', '17079'), ('62449', '17033'), ('62450', '17159'), ('62458', '17051'), ('62460', '17101'), ('62461', '17049'), ('62462', '17035'),
+  ('62466', '17101'), ('62467', '17049'), ('62469', '17035'), ('62474', '17029'), ('62476', '17047'), ('62478', '17023'), ('62481', '17079'), ('62510', '17021'),
+  ('62512', '17107'), ('62513', '17021'), ('62534', '17173'), ('62538', '17021'), ('62539', '17167'), ('62543', '17107'), ('62545', '17167'), ('62546', '17021'),
+  ('62547', '17021'), ('62548', '17107'), ('62550', '17173'), ('62553', '17173'), ('62557', '17021'), ('62558', '17167'), ('62560', '17135'), ('62563', '17167'),
+  ('62572', '17135'), ('62611', '17017'), ('62612', '17017'), ('62613', '17129'), ('62621', '17171'), ('62627', '17017'), ('62628', '17137'), ('62630', '17117'),
+  ('62635', '17107'), ('62638', '17137'), ('62640', '17117'), ('62644', '17125'), ('62650', '17137'), ('62665', '17137'), ('62666', '17107'), ('62667', '17117'),
+  ('62668', '17137'), ('62670', '17167'), ('62671', '17107'), ('62673', '17129'), ('62677', '17167'), ('62682', '17125'), ('62690', '17117'), ('62692', '17137'),
+  ('62693', '17167'), ('62694', '17171'), ('62801', '17121'), ('62808', '17189'), ('62810', '17081'), ('62814', '17081'), ('62818', '17185'), ('62820', '17193'),
+  ('62824', '17025'), ('62830', '17081'), ('62831', '17189'), ('62832', '17145'), ('62833', '17191'), ('62835', '17193'), ('62838', '17051'), ('62844', '17193'),
+  ('62851', '17191'), ('62854', '17121'), ('62858', '17025'), ('62860', '17055'), ('62867', '17193'), ('62868', '17159'), ('62869', '17193'), ('62875', '17121'),
+  ('62877', '17189'), ('62882', '17121'), ('62883', '17081'), ('62887', '17193'), ('62889', '17081'), ('62890', '17055'), ('62892', '17121'), ('62893', '17081'),
+  ('62895', '17191'), ('62896', '17055'), ('62899', '17025'), ('62901', '17077'), ('62902', '17199'), ('62905', '17181'), ('62907', '17077'), ('62908', '17127'),
+  ('62910', '17127'), ('62912', '17087'), ('62916', '17077'), ('62917', '17165'), ('62922', '17199'), ('62923', '17087'), ('62924', '17077'), ('62926', '17181'),
+  ('62930', '17165'), ('62931', '17069'), ('62934', '17059'), ('62935', '17165'), ('62938', '17151'), ('62939', '17087'), ('62941', '17153'), ('62943', '17087'),
+  ('62946', '17165'), ('62947', '17151'), ('62952', '17181'), ('62956', '17153'), ('62957', '17003'), ('62958', '17199'), ('62960', '17127'), ('62972', '17087'),
+  ('62985', '17151'), ('62987', '17165'), ('62992', '17153'), ('63014', '29071'), ('63015', '29071'), ('63020', '29099'), ('63025', '29189'), ('63026', '29189'),
+  ('63028', '29099'), ('63036', '29187'), ('63041', '29071'), ('63049', '29099'), ('63068', '29071'), ('63069', '29189'), ('63072', '29071'), ('63080', '29071'),
+  ('63087', '29187'), ('63091', '29073'), ('63105', '29189'), ('63117', '29189'), ('63119', '29189'), ('63120', '29510'), ('63123', '29189'), ('63125', '29189'),
+  ('63130', '29189'), ('63133', '29189'), ('63136', '29189'), ('63137', '29189'), ('63143', '29189'), ('63333', '29139'), ('63334', '29163'), ('63343', '29113'),
+  ('63344', '29163'), ('63348', '29183'), ('63349', '29113'), ('63351', '29139'), ('63352', '29007'), ('63357', '29219'), ('63359', '29163'), ('63361', '29139'),
+  ('63363', '29139'), ('63381', '29219'), ('63382', '29007'), ('63383', '29219'), ('63384', '29139'), ('63390', '29219'), ('63401', '29127'), ('63432', '29199'),
+  ('63435', '29111'), ('63437', '29205'), ('63438', '29111'), ('63439', '29205'), ('63440', '29111'), ('63441', '29163'), ('63443', '29205'), ('63446', '29103'),
+  ('63450', '29205'), ('63454', '29127'), ('63456', '29137'), ('63459', '29173'), ('63462', '29173'), ('63468', '29205'), ('63469', '29205'), ('63471', '29127'),
+  ('63473', '29111'), ('63474', '29045'), ('63531', '29103'), ('63533', '29001'), ('63535', '29197'), ('63536', '29197'), ('63544', '29001'), ('63546', '29001'),
+  ('63547', '29103'), ('63549', '29121'), ('63557', '29115'), ('63558', '29121'), ('63559', '29001'), ('63560', '29211'), ('63563', '29199'), ('63566', '29115'),
+  ('63620', '29093'), ('63621', '29093'), ('63624', '29187'), ('63625', '29179'), ('63626', '29221'), ('63627', '29186'), ('63628', '29187'), ('63629', '29203'),
+  ('63630', '29221'), ('63631', '29221'), ('63636', '29093'), ('63638', '29179'), ('63640', '29187'), ('63645', '29123'), ('63648', '29221'), ('63650', '29093'),
+  ('63654', '29179'), ('63655', '29123'), ('63656', '29179'), ('63673', '29186'), ('63730', '29207'), ('63732', '29157'), ('63735', '29207'), ('63740', '29201'),
+  ('63764', '29017'), ('63766', '29031'), ('63770', '29031'), ('63771', '29201'), ('63775', '29157'), ('63780', '29201'), ('63785', '29031'), ('63801', '29201'),
+  ('63823', '29133'), ('63833', '29207'), ('63834', '29133'), ('63845', '29133'), ('63848', '29143'), ('63849', '29069'), ('63852', '29069'), ('63863', '29069'),
+  ('63870', '29143'), ('63873', '29143'), ('63877', '29155'), ('63901', '29023'), ('63935', '29181'), ('63937', '29035'), ('63941', '29035'), ('63942', '29181'),
+  ('63943', '29035'), ('63953', '29181'), ('63954', '29023'), ('63957', '29223'), ('63960', '29207'), ('63965', '29035'), ('63966', '29223'), ('63967', '29223'),
+  ('64011', '29107'), ('64017', '29177'), ('64020', '29107'), ('64024', '29047'), ('64034', '29095'), ('64035', '29177'), ('64048', '29047'), ('64061', '29101'),
+  ('64062', '29177'), ('64070', '29095'), ('64075', '29095'), ('64076', '29107'), ('64077', '29177'), ('64080', '29037'), ('64082', '29095'), ('64089', '29047'),
+  ('64093', '29101'), ('64118', '29047'), ('64147', '29095'), ('64427', '29003'), ('64428', '29147'), ('64429', '29049'), ('64430', '29063'), ('64439', '29165'),
+  ('64440', '29021'), ('64441', '29227'), ('64444', '29165'), ('64446', '29005'), ('64454', '29049'), ('64455', '29147'), ('64456', '29227'), ('64457', '29147'),
+  ('64463', '29075'), ('64465', '29049'), ('64471', '29081'), ('64474', '29063'), ('64475', '29147'), ('64479', '29147'), ('64484', '29021'), ('64486', '29227'),
+  ('64487', '29147'), ('64489', '29075'), ('64490', '29049'), ('64492', '29049'), ('64494', '29003'), ('64497', '29063'), ('64499', '29227'), ('64505', '29003'),
+  ('64506', '29021'), ('64624', '29025'), ('64625', '29025'), ('64628', '29115'), ('64630', '29211'), ('64631', '29115'), ('64632', '29081'), ('64635', '29117'),
+  ('64636', '29061'), ('64637', '29025'), ('64638', '29117'), ('64641', '29079'), ('64642', '29081'), ('64643', '29033'), ('64644', '29025'), ('64645', '29211'),
+  ('64646', '29211'), ('64648', '29061'), ('64649', '29025'), ('64657', '29061'), ('64658', '29041'), ('64667', '29171'), ('64668', '29033'), ('64670', '29061'),
+  ('64671', '29025'), ('64679', '29079'), ('64683', '29079'), ('64688', '29117'), ('64724', '29185'), ('64725', '29037'), ('64726', '29083'), ('64733', '29101'),
+  ('64735', '29083'), ('64739', '29037'), ('64740', '29083'), ('64742', '29037'), ('64744', '29039'), ('64747', '29037'), ('64748', '29011'), ('64752', '29013'),
+  ('64755', '29097'), ('64756', '29039'), ('64759', '29011'), ('64761', '29101'), ('64770', '29083'), ('64776', '29185'), ('64779', '29013'), ('64780', '29185'),
+  ('64783', '29217'), ('64784', '29217'), ('64788', '29083'), ('64804', '29145'), ('64832', '29097'), ('64840', '29145'), ('64842', '29145'), ('64843', '29119'),
+  ('64848', '29109'), ('64850', '29145'), ('64855', '29097'), ('64861', '29119'), ('64862', '29097'), ('64865', '29145'), ('64867', '29119'), ('64873', '29109'),
+  ('65001', '29125'), ('65011', '29141'), ('65013', '29125'), ('65014', '29073'), ('65017', '29131'), ('65018', '29135'), ('65023', '29051'), ('65025', '29135'),
+  ('65026', '29131'), ('65032', '29051'), ('65034', '29141'), ('65037', '29141'), ('65039', '29019'), ('65040', '29051'), ('65041', '29073'), ('65047', '29131'),
+  ('65049', '29029'), ('65051', '29151'), ('65058', '29125'), ('65061', '29073'), ('65062', '29151'), ('65065', '29029'), ('65066', '29073'), ('65069', '29139'),
+  ('65072', '29141'), ('65074', '29051'), ('65076', '29051'), ('65078', '29141'), ('65079', '29029'), ('65081', '29135'), ('65084', '29141'), ('65101', '29051'),
+  ('65201', '29019'), ('65202', '29019'), ('65230', '29089'), ('65240', '29019'), ('65243', '29175'), ('65254', '29089'), ('65256', '29019'), ('65257', '29175'),
+  ('65260', '29175'), ('65263', '29137'), ('65264', '29007'), ('65265', '29007'), ('65270', '29175'), ('65279', '29019'), ('65284', '29019'), ('65287', '29053'),
+  ('65321', '29195'), ('65326', '29015'), ('65327', '29195'), ('65332', '29159'), ('65333', '29159'), ('65335', '29159'), ('65336', '29101'), ('65340', '29195'),
+  ('65345', '29159'), ('65347', '29195'), ('65348', '29053'), ('65350', '29159'), ('65351', '29195'), ('65354', '29141'), ('65355', '29015'), ('65360', '29083'),
+  ('65401', '29161'), ('65438', '29203'), ('65440', '29065'), ('65441', '29055'), ('65449', '29055'), ('65452', '29169'), ('65453', '29055'), ('65459', '29125'),
+  ('65461', '29161'), ('65462', '29161'), ('65463', '29105'), ('65470', '29105'), ('65479', '29203'), ('65534', '29169'), ('65536', '29105'), ('65542', '29215'),
+  ('65543', '29229'), ('65548', '29091'), ('65550', '29161'), ('65552', '29215'), ('65556', '29169'), ('65559', '29161'), ('65560', '29065'), ('65565', '29055'),
+  ('65567', '29029'), ('65571', '29203'), ('65588', '29203'), ('65601', '29167'), ('65604', '29077'), ('65605', '29109'), ('65608', '29067'), ('65609', '29153'),
+  ('65610', '29043'), ('65611', '29209'), ('65612', '29077'), ('65614', '29213'), ('65616', '29213'), ('65617', '29167'), ('65619', '29077'), ('65622', '29059'),
+  ('65624', '29209'), ('65626', '29091'), ('65631', '29043'), ('65632', '29105'), ('65633', '29209'), ('65634', '29085'), ('65635', '29057'), ('65637', '29153'),
+  ('65638', '29067'), ('65640', '29167'), ('65644', '29059'), ('65646', '29057'), ('65647', '29009'), ('65648', '29077'), ('65649', '29039'), ('65650', '29085'),
+  ('65652', '29225'), ('65653', '29043'), ('65656', '29209'), ('65660', '29229'), ('65662', '29229'), ('65669', '29043'), ('65674', '29167'), ('65682', '29057'),
+  ('65685', '29059'), ('65689', '29215'), ('65692', '29149'), ('65702', '29067'), ('65704', '29229'), ('65705', '29109'), ('65708', '29009'), ('65711', '29229'),
+  ('65713', '29225'), ('65714', '29043'), ('65717', '29067'), ('65720', '29043'), ('65721', '29043'), ('65722', '29105'), ('65723', '29109'), ('65725', '29167'),
+  ('65729', '29153'), ('65733', '29213'), ('65735', '29085'), ('65737', '29209'), ('65738', '29077'), ('65742', '29077'), ('65745', '29009'), ('65746', '29225'),
+  ('65747', '29209'), ('65752', '29057'), ('65755', '29153'), ('65757', '29077'), ('65761', '29153'), ('65767', '29059'), ('65769', '29009'), ('65770', '29077'),
+  ('65772', '29009'), ('65774', '29085'), ('65775', '29091'), ('65779', '29085'), ('65781', '29077'), ('65785', '29039'), ('65786', '29029'), ('65788', '29091'),
+  ('65790', '29091'), ('65793', '29091'), ('66002', '20005'), ('66006', '20045'), ('66010', '20107'), ('66012', '20103'), ('66013', '20121'), ('66014', '20107'),
+  ('66015', '20003'), ('66021', '20091'), ('66025', '20045'), ('66026', '20121'), ('66033', '20003'), ('66039', '20003'), ('66040', '20107'), ('66041', '20005'),
+  ('66042', '20059'), ('66044', '20045'), ('66050', '20045'), ('66054', '20087'), ('66060', '20087'), ('66064', '20121'), ('66072', '20107'), ('66080', '20059'),
+  ('66083', '20121'), ('66086', '20103'), ('66088', '20087'), ('66092', '20059'), ('66093', '20003'), ('66094', '20013'), ('66095', '20059'), ('66097', '20087'),
+  ('66109', '20209'), ('66217', '20091'), ('66403', '20117'), ('66407', '20149'), ('66409', '20177'), ('66411', '20117'), ('66412', '20117'), ('66413', '20139'),
+  ('66416', '20085'), ('66419', '20085'), ('66422', '20149'), ('66424', '20013'), ('66427', '20117'), ('66431', '20197'), ('66432', '20149'), ('66436', '20085'),
+  ('66439', '20013'), ('66441', '20061'), ('66442', '20161'), ('66502', '20161'), ('66512', '20087'), ('66516', '20085'), ('66521', '20149'), ('66523', '20139'),
+  ('66524', '20139'), ('66528', '20139'), ('66532', '20013'), ('66534', '20131'), ('66536', '20149'), ('66540', '20085'), ('66541', '20117'), ('66544', '20117'),
+  ('66546', '20177'), ('66547', '20149'), ('66548', '20117'), ('66550', '20131'), ('66614', '20177'), ('66615', '20177'), ('66617', '20177'), ('66701', '20011'),
+  ('66711', '20037'), ('66716', '20011'), ('66720', '20133'), ('66724', '20037'), ('66736', '20205'), ('66738', '20011'), ('66746', '20037'), ('66748', '20001'),
+  ('66753', '20037'), ('66754', '20011'), ('66755', '20001'), ('66757', '20205'), ('66758', '20207'), ('66762', '20037'), ('66776', '20133'), ('66777', '20073'),
+  ('66780', '20037'), ('66781', '20021'), ('66801', '20111'), ('66834', '20197'), ('66838', '20127'), ('66840', '20015'), ('66846', '20127'), ('66849', '20061'),
+  ('66852', '20031'), ('66854', '20111'), ('66856', '20031'), ('66859', '20115'), ('66860', '20073'), ('66864', '20111'), ('66865', '20111'), ('66866', '20115'),
+  ('66868', '20111'), ('66871', '20031'), ('66872', '20127'), ('66901', '20029'), ('66933', '20201'), ('66937', '20201'), ('66938', '20029'), ('66939', '20157'),
+  ('66948', '20029'), ('66951', '20183'), ('66952', '20183'), ('66962', '20201'), ('67004', '20191'), ('67008', '20015'), ('67017', '20015'), ('67018', '20077'),
+  ('67020', '20079'), ('67024', '20019'), ('67025', '20173'), ('67026', '20173'), ('67028', '20151'), ('67029', '20033'), ('67031', '20191'), ('67035', '20095'),
+  ('67039', '20015'), ('67047', '20073'), ('67049', '20077'), ('67051', '20191'), ('67058', '20077'), ('67059', '20097'), ('67061', '20007'), ('67062', '20079'),
+  ('67065', '20151'), ('67068', '20095'), ('67072', '20015'), ('67106', '20191'), ('67107', '20113'), ('67108', '20173'), ('67110', '20191'), ('67114', '20079'),
+  ('67118', '20095'), ('67119', '20191'), ('67120', '20191'), ('67122', '20073'), ('67127', '20033'), ('67134', '20151'), ('67135', '20079'), ('67137', '20073'),
+  ('67146', '20035'), ('67147', '20173'), ('67151', '20079'), ('67154', '20015'), ('67155', '20033'), ('67159', '20095'), ('67335', '20125'), ('67336', '20021'),
+  ('67337', '20125'), ('67344', '20125'), ('67346', '20049'), ('67347', '20125'), ('67351', '20125'), ('67352', '20049'), ('67353', '20049'), ('67356', '20099'),
+  ('67357', '20099'), ('67401', '20169'), ('67410', '20041'), ('67418', '20105'), ('67420', '20123'), ('67425', '20169'), ('67427', '20159'), ('67428', '20113'),
+  ('67430', '20089'), ('67432', '20027'), ('67436', '20143'), ('67437', '20141'), ('67439', '20053'), ('67444', '20053'), ('67445', '20029'), ('67446', '20123'),
+  ('67447', '20027'), ('67448', '20169'), ('67449', '20127'), ('67450', '20053'), ('67452', '20123'), ('67456', '20113'), ('67458', '20027'), ('67464', '20113'),
+  ('67466', '20029'), ('67470', '20169'), ('67474', '20183'), ('67475', '20115'), ('67480', '20143'), ('67481', '20105'), ('67484', '20143'), ('67485', '20141'),
+  ('67487', '20027'), ('67490', '20053'), ('67491', '20113'), ('67502', '20155'), ('67511', '20165'), ('67518', '20135'), ('67519', '20047'), ('67521', '20135'),
+  ('67522', '20155'), ('67523', '20145'), ('67525', '20009'), ('67526', '20009'), ('67530', '20009'), ('67546', '20113'), ('67547', '20047'), ('67550', '20145'),
+  ('67556', '20165'), ('67557', '20185'), ('67559', '20165'), ('67563', '20047'), ('67565', '20165'), ('67567', '20009'), ('67570', '20155'), ('67572', '20135'),
+  ('67575', '20165'), ('67579', '20159'), ('67583', '20151'), ('67584', '20135'), ('67629', '20039'), ('67631', '20195'), ('67632', '20163'), ('67635', '20039'),
+  ('67637', '20051'), ('67640', '20051'), ('67645', '20137'), ('67646', '20147'), ('67647', '20147'), ('67648', '20167'), ('67649', '20141'), ('67651', '20141'),
+  ('67653', '20039'), ('67656', '20195'), ('67657', '20065'), ('67658', '20167'), ('67663', '20163'), ('67664', '20147'), ('67665', '20167'), ('67672', '20195'),
+  ('67673', '20141'), ('67701', '20193'), ('67732', '20193'), ('67734', '20193'), ('67737', '20063'), ('67738', '20063'), ('67739', '20153'), ('67741', '20181'),
+  ('67743', '20193'), ('67745', '20153'), ('67748', '20109'), ('67749', '20039'), ('67751', '20063'), ('67752', '20063'), ('67753', '20193'), ('67757', '20179'),
+  ('67761', '20199'), ('67764', '20109'), ('67834', '20057'), ('67835', '20069'), ('67837', '20081'), ('67838', '20093'), ('67839', '20101'), ('67841', '20069'),
+  ('67842', '20057'), ('67844', '20119'), ('67846', '20055'), ('67853', '20069'), ('67855', '20187'), ('67857', '20075'), ('67861', '20203'), ('67862', '20187'),
+  ('67863', '20203'), ('67865', '20025'), ('67867', '20069'), ('67869', '20119'), ('67870', '20081'), ('67871', '20171'), ('67876', '20057'), ('67877', '20081'),
+  ('67878', '20075'), ('67880', '20067'), ('67901', '20175'), ('67950', '20129'), ('67952', '20189'), ('67954', '20129'), ('68003', '31155'), ('68007', '31055'),
+  ('68017', '31155'), ('68020', '31021'), ('68025', '31053'), ('68029', '31177'), ('68031', '31053'), ('68036', '31023'), ('68044', '31053'), ('68045', '31021'),
+  ('68047', '31173'), ('68064', '31055'), ('68065', '31155'), ('68069', '31055'), ('68112', '31055'), ('68122', '31055'), ('68142', '31055'), ('68147', '31153'),
+  ('68152', '31055'), ('68157', '31153'), ('68301', '31067'), ('68307', '31025'), ('68316', '31185'), ('68317', '31109'), ('68322', '31169'), ('68325', '31169'),
+  ('68329', '31097'), ('68333', '31151'), ('68335', '31169'), ('68339', '31109'), ('68341', '31151'), ('68342', '31095'), ('68343', '31151'), ('68345', '31133'),
+  ('68347', '31025'), ('68351', '31059'), ('68354', '31059'), ('68358', '31109'), ('68359', '31151'), ('68366', '31025'), ('68367', '31185'), ('68371', '31185'),
+  ('68376', '31147'), ('68378', '31127'), ('68381', '31067'), ('68406', '31059'), ('68413', '31025'), ('68428', '31109'), ('68442', '31147'), ('68447', '31133'),
+  ('68453', '31151'), ('68462', '31109'), ('68465', '31151'), ('68601', '31141'), ('68628', '31121'), ('68629', '31037'), ('68631', '31141'), ('68633', '31053'),
+  ('68636', '31003'), ('68640', '31125'), ('68641', '31037'), ('68642', '31141'), ('68643', '31141'), ('68644', '31141'), ('68654', '31143'), ('68660', '31011'),
+  ('68662', '31143'), ('68663', '31121'), ('68665', '31077'), ('68701', '31119'), ('68719', '31015'), ('68726', '31003'), ('68729', '31107'), ('68730', '31107'),
+  ('68733', '31043'), ('68735', '31089'), ('68740', '31179'), ('68745', '31027'), ('68746', '31015'), ('68748', '31119'), ('68752', '31119'), ('68757', '31051'),
+  ('68758', '31119'), ('68759', '31149'), ('68764', '31003'), ('68769', '31139'), ('68770', '31051'), ('68771', '31027'), ('68777', '31015'), ('68781', '31003'),
+  ('68784', '31179'), ('68785', '31043'), ('68786', '31107'), ('68787', '31179'), ('68791', '31039'), ('68801', '31079'), ('68813', '31041'), ('68815', '31175'),
+  ('68817', '31163'), ('68818', '31081'), ('68823', '31071'), ('68824', '31079'), ('68828', '31041'), ('68832', '31079'), ('68833', '31009'), ('68834', '31047'),
+  ('68836', '31019'), ('68840', '31019'), ('68844', '31163'), ('68845', '31019'), ('68847', '31019'), ('68850', '31047'), ('68863', '31047'), ('68864', '31121'),
+  ('68866', '31019'), ('68869', '31019'), ('68872', '31093'), ('68876', '31019'), ('68878', '31047'), ('68882', '31077'), ('68883', '31079'), ('68901', '31001'),
+  ('68922', '31065'), ('68924', '31099'), ('68927', '31137'), ('68928', '31181'), ('68930', '31181'), ('68932', '31061'), ('68934', '31129'), ('68935', '31035'),
+  ('68936', '31065'), ('68937', '31073'), ('68941', '31035'), ('68942', '31181'), ('68944', '31035'), ('68948', '31065'), ('68949', '31137'), ('68956', '31001'),
+  ('68957', '31129'), ('68967', '31065'), ('68977', '31065'), ('68978', '31129'), ('68979', '31035'), ('68980', '31035'), ('68982', '31083'), ('69001', '31145'),
+  ('69022', '31065'), ('69024', '31087'), ('69025', '31063'), ('69028', '31063'), ('69029', '31063'), ('69030', '31057'), ('69034', '31145'), ('69038', '31063'),
+  ('69039', '31111'), ('69040', '31085'), ('69045', '31029'), ('69101', '31111'), ('69120', '31041'), ('69122', '31049'), ('69128', '31105'), ('69131', '31033'),
+  ('69134', '31135'), ('69138', '31047'), ('69145', '31105'), ('69146', '31101'), ('69147', '31069'), ('69148', '31069'), ('69149', '31033'), ('69152', '31091'),
+  ('69156', '31033'), ('69161', '31031'), ('69163', '31113'), ('69165', '31111'), ('69166', '31171'), ('69168', '31135'), ('69169', '31111'), ('69201', '31031'),
+  ('69210', '31017'), ('69212', '31031'), ('69216', '31031'), ('69217', '31017'), ('69220', '31103'), ('69301', '31013'), ('69333', '31075'), ('69334', '31123'),
+  ('69337', '31045'), ('69339', '31045'), ('69341', '31157'), ('69343', '31031'), ('69347', '31161'), ('69348', '31013'), ('69350', '31075'), ('69351', '31161'),
+  ('69354', '31045'), ('69357', '31165'), ('69358', '31165'), ('69361', '31165'), ('69366', '31075'), ('70030', '22089'), ('70068', '22095'), ('70090', '22093'),
+  ('70301', '22057'), ('70339', '22007'), ('70343', '22057'), ('70359', '22109'), ('70364', '22057'), ('70377', '22109'), ('70380', '22099'), ('70392', '22101'),
+  ('70403', '22105'), ('70422', '22105'), ('70427', '22117'), ('70431', '22103'), ('70433', '22103'), ('70435', '22103'), ('70437', '22103'), ('70443', '22105'),
+  ('70444', '22105'), ('70453', '22091'), ('70462', '22063'), ('70466', '22105'), ('70512', '22097'), ('70515', '22001'), ('70517', '22099'), ('70518', '22055'),
+  ('70520', '22055'), ('70525', '22001'), ('70526', '22001'), ('70528', '22045'), ('70529', '22055'), ('70532', '22053'), ('70533', '22113'), ('70535', '22001'),
+  ('70542', '22113'), ('70544', '22101'), ('70546', '22053'), ('70549', '22053'), ('70555', '22113'), ('70560', '22045'), ('70578', '22001'), ('70582', '22099'),
+  ('70583', '22055'), ('70586', '22039'), ('70592', '22055'), ('70607', '22023'), ('70630', '22023'), ('70633', '22019'), ('70634', '22011'), ('70637', '22003'),
+  ('70647', '22019'), ('70648', '22003'), ('70656', '22115'), ('70657', '22011'), ('70661', '22019'), ('70706', '22063'), ('70722', '22037'), ('70729', '22121'),
+  ('70739', '22033'), ('70744', '22063'), ('70748', '22037'), ('70750', '22097'), ('70757', '22047'), ('70764', '22047'), ('70774', '22005'), ('70777', '22037'),
+  ('70791', '22033'), ('71001', '22027'), ('71018', '22119'), ('71019', '22081'), ('71023', '22119'), ('71024', '22119'), ('71031', '22069'), ('71038', '22027'),
+  ('71039', '22119'), ('71046', '22031'), ('71051', '22015'), ('71052', '22031'), ('71055', '22119'), ('71065', '22085'), ('71067', '22015'), ('71068', '22013'),
+  ('71070', '22069'), ('71071', '22119'), ('71075', '22119'), ('71104', '22017'), ('71105', '22017'), ('71107', '22017'), ('71115', '22017'), ('71222', '22111'),
+  ('71227', '22061'), ('71229', '22067'), ('71232', '22083'), ('71234', '22111'), ('71235', '22061'), ('71237', '22123'), ('71238', '22049'), ('71251', '22049'),
+  ('71256', '22111'), ('71264', '22067'), ('71268', '22049'), ('71270', '22061'), ('71275', '22061'), ('71280', '22111'), ('71322', '22009'), ('71325', '22079'),
+  ('71326', '22025'), ('71328', '22079'), ('71343', '22025'), ('71351', '22009'), ('71356', '22097'), ('71360', '22079'), ('71362', '22009'), ('71367', '22039'),
+  ('71403', '22115'), ('71404', '22127'), ('71418', '22021'), ('71419', '22085'), ('71423', '22043'), ('71427', '22079'), ('71435', '22021'), ('71438', '22115'),
+  ('71439', '22115'), ('71441', '22021'), ('71447', '22079'), ('71450', '22069'), ('71454', '22043'), ('71455', '22069'), ('71457', '22069'), ('71463', '22003'),
+  ('71465', '22059'), ('71467', '22043'), ('71469', '22069'), ('71479', '22127'), ('71602', '05069'), ('71603', '05069'), ('71638', '05043'), ('71639', '05041'),
+  ('71642', '05003'), ('71644', '05079'), ('71646', '05003'), ('71655', '05043'), ('71660', '05025'), ('71661', '05003'), ('71663', '05017'), ('71667', '05079'),
+  ('71670', '05041'), ('71671', '05011'), ('71675', '05043'), ('71676', '05003'), ('71701', '05103'), ('71720', '05103'), ('71742', '05039'), ('71749', '05139'),
+  ('71753', '05027'), ('71762', '05139'), ('71763', '05039'), ('71764', '05103'), ('71770', '05027'), ('71827', '05073'), ('71833', '05061'), ('71835', '05099'),
+  ('71841', '05133'), ('71846', '05133'), ('71852', '05061'), ('71857', '05099'), ('71859', '05057'), ('71860', '05073'), ('71861', '05073'), ('71901', '05051'),
+  ('71909', '05051'), ('71913', '05051'), ('71921', '05019'), ('71923', '05019'), ('71933', '05051'), ('71943', '05109'), ('71953', '05113'), ('71959', '05061'),
+  ('71964', '05051'), ('71971', '05061'), ('71973', '05113'), ('72001', '05105'), ('72002', '05125'), ('72013', '05141'), ('72015', '05125'), ('72016', '05105'),
+  ('72020', '05067'), ('72021', '05095'), ('72023', '05085'), ('72024', '05085'), ('72025', '05105'), ('72030', '05029'), ('72031', '05141'), ('72036', '05147'),
+  ('72039', '05045'), ('72044', '05023'), ('72046', '05085'), ('72060', '05117'), ('72063', '05029'), ('72065', '05125'), ('72067', '05023'), ('72069', '05095'),
+  ('72073', '05001'), ('72076', '05119'), ('72079', '05069'), ('72080', '05029'), ('72084', '05039'), ('72087', '05125'), ('72088', '05141'), ('72101', '05147'),
+  ('72103', '05125'), ('72104', '05059'), ('72111', '05045'), ('72112', '05067'), ('72120', '05119'), ('72121', '05145'), ('72122', '05125'), ('72125', '05105'),
+  ('72126', '05105'), ('72131', '05023'), ('72132', '05069'), ('72137', '05145'), ('72142', '05085'), ('72143', '05145'), ('72150', '05053'), ('72153', '05141'),
+  ('72160', '05001'), ('72167', '05125'), ('72173', '05045'), ('72176', '05085'), ('72206', '05119'), ('72210', '05119'), ('72324', '05037'), ('72326', '05123'),
+  ('72328', '05041'), ('72331', '05035'), ('72335', '05123'), ('72338', '47167'), ('72346', '05123'), ('72347', '05037'), ('72348', '05123'), ('72354', '05111'),
+  ('72355', '05107'), ('72366', '05107'), ('72368', '05077'), ('72372', '05123'), ('72386', '05111'), ('72392', '05123'), ('72396', '05037'), ('72401', '05031'),
+  ('72416', '05031'), ('72425', '05055'), ('72434', '05121'), ('72436', '05055'), ('72450', '05055'), ('72459', '05135'), ('72461', '05021'), ('72466', '05075'),
+  ('72469', '05075'), ('72476', '05075'), ('72479', '05111'), ('72512', '05065'), ('72513', '05135'), ('72519', '05065'), ('72521', '05135'), ('72523', '05023'),
+  ('72529', '05049'), ('72530', '05023'), ('72531', '05049'), ('72532', '05135'), ('72534', '05063'), ('72538', '05049'), ('72542', '05135'), ('72550', '05063'),
+  ('72554', '05049'), ('72560', '05137'), ('72572', '05075'), ('72577', '05065'), ('72579', '05063'), ('72601', '05009'), ('72611', '05015'), ('72624', '05101'),
+  ('72632', '05015'), ('72633', '05089'), ('72638', '05015'), ('72644', '05009'), ('72645', '05129'), ('72650', '05129'), ('72653', '05005'), ('72675', '05129'),
+  ('72679', '05129'), ('72685', '05101'), ('72687', '05089'), ('72703', '05143'), ('72727', '05087'), ('72738', '05087'), ('72740', '05087'), ('72742', '05087'),
+  ('72752', '05087'), ('72756', '05007'), ('72761', '05007'), ('72762', '05143'), ('72764', '05143'), ('72773', '05087'), ('72821', '05047'), ('72823', '05115'),
+  ('72833', '05149'), ('72834', '05149'), ('72839', '05071'), ('72846', '05071'), ('72847', '05115'), ('72852', '05071'), ('72853', '05149'), ('72854', '05071'),
+  ('72855', '05083'), ('72856', '05101'), ('72857', '05149'), ('72927', '05083'), ('72933', '05047'), ('72943', '05083'), ('72944', '05131'), ('72947', '05033'),
+  ('72949', '05047'), ('72951', '05083'), ('72959', '05143'), ('73006', '40015'), ('73007', '40109'), ('73010', '40051'), ('73015', '40015'), ('73016', '40073'),
+  ('73017', '40015'), ('73020', '40109'), ('73021', '40149'), ('73025', '40083'), ('73027', '40119'), ('73028', '40083'), ('73030', '40099'), ('73034', '40109'),
+  ('73040', '40011'), ('73041', '40075'), ('73045', '40081'), ('73047', '40015'), ('73048', '40015'), ('73052', '40049'), ('73054', '40109'), ('73055', '40137'),
+  ('73056', '40047'), ('73057', '40049'), ('73059', '40051'), ('73061', '40117'), ('73062', '40075'), ('73063', '40083'), ('73072', '40027'), ('73073', '40103'),
+  ('73074', '40049'), ('73078', '40017'), ('73079', '40051'), ('73082', '40051'), ('73092', '40051'), ('73096', '40039'), ('73098', '40049'), ('73127', '40109'),
+  ('73128', '40109'), ('73135', '40109'), ('73139', '40109'), ('73149', '40109'), ('73150', '40109'), ('73159', '40109'), ('73169', '40109'), ('73179', '40109'),
+  ('73401', '40019'), ('73425', '40137'), ('73432', '40069'), ('73434', '40137'), ('73438', '40019'), ('73442', '40137'), ('73444', '40019'), ('73456', '40067'),
+  ('73461', '40069'), ('73463', '40019'), ('73481', '40019'), ('73526', '40065'), ('73528', '40033'), ('73529', '40137'), ('73532', '40065'), ('73533', '40137'),
+  ('73537', '40065'), ('73540', '40031'), ('73543', '40031'), ('73548', '40067'), ('73554', '40055'), ('73559', '40075'), ('73564', '40075'), ('73566', '40075'),
+  ('73572', '40033'), ('73601', '40039'), ('73626', '40149'), ('73644', '40009'), ('73646', '40011'), ('73647', '40149'), ('73650', '40129'), ('73654', '40043'),
+  ('73662', '40009'), ('73663', '40043'), ('73669', '40039'), ('73673', '40055'), ('73716', '40151'), ('73717', '40151'), ('73718', '40093'), ('73724', '40043'),
+  ('73726', '40003'), ('73729', '40093'), ('73739', '40003'), ('73754', '40047'), ('73755', '40011'), ('73757', '40103'), ('73758', '40053'), ('73761', '40053'),
+  ('73762', '40017'), ('73763', '40011'), ('73764', '40073'), ('73801', '40153'), ('73838', '40093'), ('73840', '40045'), ('73841', '40045'), ('73842', '40151'),
+  ('73844', '40007'), ('73848', '40007'), ('73851', '40045'), ('73859', '40043'), ('73860', '40151'), ('73949', '40139'), ('73950', '40007'), ('74003', '40113'),
+  ('74008', '40143'), ('74010', '40037'), ('74014', '40145'), ('74015', '40131'), ('74016', '40131'), ('74021', '40143'), ('74022', '40147'), ('74023', '40119'),
+  ('74030', '40037'), ('74032', '40119'), ('74036', '40131'), ('74038', '40037'), ('74044', '40037'), ('74045', '40117'), ('74047', '40111'), ('74050', '40037'),
+  ('74051', '40147'), ('74055', '40143'), ('74059', '40119'), ('74063', '40143'), ('74066', '40037'), ('74070', '40113'), ('74072', '40105'), ('74073', '40113'),
+  ('74075', '40119'), ('74079', '40081'), ('74080', '40131'), ('74081', '40117'), ('74083', '40105'), ('74085', '40119'), ('74106', '40143'), ('74108', '40143'),
+  ('74116', '40143'), ('74126', '40113'), ('74127', '40113'), ('74131', '40037'), ('74132', '40143'), ('74301', '40035'), ('74331', '40041'), ('74332', '40035'),
+  ('74333', '40035'), ('74337', '40097'), ('74338', '40041'), ('74344', '40041'), ('74347', '40041'), ('74349', '40035'), ('74352', '40097'), ('74354', '40115'),
+  ('74364', '40041'), ('74365', '40097'), ('74366', '40097'), ('74370', '40115'), ('74403', '40101'), ('74422', '40101'), ('74428', '40091'), ('74432', '40091'),
+  ('74434', '40101'), ('74435', '40135'), ('74436', '40101'), ('74437', '40111'), ('74445', '40111'), ('74452', '40021'), ('74455', '40101'), ('74457', '40021'),
+  ('74462', '40061'), ('74469', '40101'), ('74523', '40127'), ('74530', '40069'), ('74536', '40127'), ('74540', '40005'), ('74547', '40121'), ('74549', '40079'),
+  ('74553', '40121'), ('74560', '40121'), ('74561', '40121'), ('74563', '40077'), ('74570', '40063'), ('74571', '40079'), ('74572', '40029'), ('74574', '40127'),
+  ('74576', '40005'), ('74601', '40071'), ('74604', '40071'), ('74630', '40103'), ('74646', '40071'), ('74650', '40117'), ('74651', '40103'), ('74652', '40113'),
+  ('74653', '40071'), ('74727', '40023'), ('74728', '40089'), ('74729', '40013'), ('74735', '40023'), ('74748', '40069'), ('74754', '40089'), ('74760', '40127'),
+  ('74764', '40089'), ('74820', '40123'), ('74824', '40081'), ('74825', '40063'), ('74831', '40087'), ('74839', '40063'), ('74840', '40133'), ('74848', '40063'),
+  ('74849', '40133'), ('74851', '40125'), ('74852', '40125'), ('74854', '40133'), ('74855', '40081'), ('74856', '40069'), ('74857', '40027'), ('74859', '40107'),
+  ('74864', '40081'), ('74865', '40123'), ('74867', '40133'), ('74871', '40123'), ('74872', '40049'), ('74878', '40125'), ('74880', '40107'), ('74881', '40081'),
+  ('74883', '40063'), ('74884', '40133'), ('74931', '40001'), ('74941', '40061'), ('74944', '40061'), ('74948', '40135'), ('74957', '40079'), ('74960', '40001'),
+  ('74962', '40135'), ('74964', '40001'), ('74966', '40079'), ('75007', '48121'), ('75009', '48085'), ('75019', '48113'), ('75022', '48121'), ('75024', '48085'),
+  ('75028', '48121'), ('75034', '48085'), ('75044', '48113'), ('75048', '48113'), ('75050', '48113'), ('75051', '48113'), ('75052', '48113'), ('75054', '48113'),
+  ('75067', '48121'), ('75078', '48085'), ('75080', '48113'), ('75082', '48085'), ('75087', '48397'), ('75088', '48113'), ('75089', '48113'), ('75093', '48085'),
+  ('75098', '48085'), ('75104', '48113'), ('75119', '48139'), ('75124', '48213'), ('75125', '48139'), ('75143', '48257'), ('75146', '48113'), ('75147', '48467'),
+  ('75154', '48139'), ('75159', '48113'), ('75160', '48257'), ('75169', '48467'), ('75189', '48397'), ('75248', '48113'), ('75252', '48085'), ('75287', '48085'),
+  ('75410', '48499'), ('75423', '48231'), ('75424', '48085'), ('75428', '48231'), ('75431', '48223'), ('75435', '48387'), ('75436', '48387'), ('75440', '48379'),
+  ('75442', '48085'), ('75446', '48147'), ('75449', '48147'), ('75451', '48063'), ('75452', '48147'), ('75453', '48231'), ('75455', '48449'), ('75469', '48119'),
+  ('75471', '48223'), ('75472', '48379'), ('75474', '48231'), ('75478', '48223'), ('75481', '48223'), ('75487', '48159'), ('75490', '48147'), ('75491', '48181'),
+  ('75494', '48499'), ('75495', '48181'), ('75496', '48231'), ('75497', '48499'), ('75554', '48387'), ('75555', '48067'), ('75556', '48067'), ('75568', '48067'),
+  ('75571', '48343'), ('75601', '48183'), ('75602', '48203'), ('75603', '48183'), ('75604', '48183'), ('75605', '48183'), ('75630', '48315'), ('75638', '48343'),
+  ('75640', '48203'), ('75641', '48401'), ('75643', '48365'), ('75645', '48459'), ('75647', '48183'), ('75651', '48203'), ('75654', '48401'), ('75656', '48067'),
+  ('75657', '48315'), ('75662', '48183'), ('75668', '48343'), ('75669', '48365'), ('75683', '48459'), ('75684', '48401'), ('75686', '48063'), ('75691', '48401'),
+  ('75751', '48213'), ('75752', '48213'), ('75755', '48459'), ('75756', '48213'), ('75757', '48073'), ('75758', '48213'), ('75760', '48347'), ('75763', '48001'),
+  ('75765', '48499'), ('75773', '48499'), ('75778', '48213'), ('75784', '48401'), ('75789', '48073'), ('75790', '48467'), ('75831', '48289'), ('75838', '48161'),
+  ('75839', '48001'), ('75844', '48225'), ('75846', '48289'), ('75847', '48225'), ('75851', '48225'), ('75852', '48313'), ('75855', '48289'), ('75856', '48225'),
+  ('75859', '48161'), ('75862', '48455'), ('75904', '48005'), ('75930', '48405'), ('75931', '48241'), ('75933', '48351'), ('75935', '48419'), ('75936', '48457'),
+  ('75946', '48347'), ('75948', '48403'), ('75951', '48241'), ('75954', '48419'), ('75956', '48241'), ('75968', '48403'), ('75969', '48005'), ('75972', '48405'),
+  ('75974', '48419'), ('75975', '48419'), ('75980', '48005'), ('76008', '48367'), ('76020', '48367'), ('76023', '48497'), ('76028', '48251'), ('76033', '48251'),
+  ('76035', '48367'), ('76036', '48439'), ('76043', '48425'), ('76048', '48221'), ('76049', '48221'), ('76050', '48251'), ('76051', '48439'), ('76052', '48439'),
+  ('76063', '48439'), ('76066', '48367'), ('76067', '48363'), ('76070', '48425'), ('76071', '48497'), ('76078', '48497'), ('76082', '48367'), ('76084', '48251'),
+  ('76087', '48367'), ('76092', '48439'), ('76093', '48251'), ('76108', '48439'), ('76126', '48439'), ('76177', '48439'), ('76228', '48077'), ('76230', '48337'),
+  ('76233', '48181'), ('76234', '48497'), ('76239', '48337'), ('76249', '48121'), ('76258', '48121'), ('76259', '48121'), ('76261', '48337'), ('76262', '48121'),
+  ('76265', '48337'), ('76266', '48121'), ('76270', '48337'), ('76271', '48181'), ('76272', '48097'), ('76273', '48181'), ('76305', '48077'), ('76308', '48485'),
+  ('76310', '48009'), ('76360', '48485'), ('76365', '48077'), ('76372', '48503'), ('76374', '48503'), ('76380', '48023'), ('76384', '48487'), ('76389', '48009'),
+  ('76424', '48429'), ('76426', '48497'), ('76429', '48429'), ('76430', '48417'), ('76431', '48497'), ('76432', '48049'), ('76433', '48143'), ('76436', '48093'),
+  ('76437', '48133'), ('76442', '48093'), ('76443', '48059'), ('76445', '48133'), ('76446', '48143'), ('76450', '48503'), ('76453', '48363'), ('76454', '48133'),
+  ('76457', '48193'), ('76462', '48221'), ('76463', '48143'), ('76464', '48417'), ('76470', '48133'), ('76471', '48133'), ('76474', '48093'), ('76475', '48363'),
+  ('76481', '48503'), ('76486', '48237'), ('76487', '48367'), ('76511', '48027'), ('76519', '48331'), ('76522', '48099'), ('76524', '48145'), ('76525', '48193'),
+  ('76527', '48491'), ('76528', '48099'), ('76531', '48193'), ('76534', '48027'), ('76538', '48193'), ('76539', '48281'), ('76544', '48099'), ('76549', '48027'),
+  ('76550', '48281'), ('76557', '48027'), ('76566', '48099'), ('76567', '48331'), ('76569', '48027'), ('76570', '48145'), ('76577', '48331'), ('76579', '48027'),
+  ('76629', '48395'), ('76630', '48309'), ('76633', '48309'), ('76634', '48035'), ('76637', '48035'), ('76648', '48217'), ('76649', '48035'), ('76653', '48293'),
+  ('76655', '48309'), ('76657', '48309'), ('76664', '48293'), ('76667', '48293'), ('76670', '48139'), ('76673', '48217'), ('76682', '48145'), ('76687', '48293'),
+  ('76689', '48035'), ('76691', '48309'), ('76693', '48161'), ('76706', '48309'), ('76801', '48049'), ('76823', '48049'), ('76825', '48307'), ('76841', '48413'),
+  ('76842', '48319'), ('76844', '48333'), ('76853', '48281'), ('76854', '48267'), ('76857', '48049'), ('76858', '48095'), ('76861', '48399'), ('76869', '48319'),
+  ('76871', '48411'), ('76872', '48307'), ('76875', '48399'), ('76882', '48083'), ('76890', '48049'), ('76901', '48451'), ('76904', '48451'), ('76932', '48383'),
+  ('76933', '48081'), ('76935', '48413'), ('76943', '48105'), ('76945', '48081'), ('76950', '48435'), ('77053', '48157'), ('77083', '48201'), ('77085', '48201'),
+  ('77099', '48201'), ('77320', '48471'), ('77328', '48407'), ('77339', '48201'), ('77355', '48339'), ('77356', '48339'), ('77357', '48339'), ('77358', '48471'),
+  ('77363', '48185'), ('77365', '48339'), ('77369', '48291'), ('77371', '48407'), ('77372', '48339'), ('77378', '48339'), ('77423', '48473'), ('77426', '48477'),
+  ('77430', '48039'), ('77434', '48089'), ('77435', '48481'), ('77444', '48039'), ('77447', '48201'), ('77450', '48201'), ('77455', '48481'), ('77465', '48321'),
+  ('77477', '48157'), ('77480', '48039'), ('77484', '48201'), ('77485', '48015'), ('77489', '48157'), ('77493', '48201'), ('77494', '48157'), ('77511', '48039'),
+  ('77521', '48201'), ('77535', '48291'), ('77546', '48167'), ('77560', '48071'), ('77564', '48291'), ('77575', '48291'), ('77581', '48039'), ('77583', '48039'),
+  ('77584', '48039'), ('77612', '48241'), ('77632', '48361'), ('77656', '48199'), ('77662', '48361'), ('77663', '48199'), ('77665', '48071'), ('77807', '48041'),
+  ('77808', '48041'), ('77831', '48185'), ('77833', '48477'), ('77835', '48477'), ('77836', '48051'), ('77859', '48395'), ('77868', '48185'), ('77871', '48289'),
+  ('77873', '48339'), ('77905', '48469'), ('77950', '48007'), ('77954', '48123'), ('77964', '48285'), ('77974', '48123'), ('77979', '48057'), ('77984', '48285'),
+  ('77990', '48391'), ('77995', '48123'), ('78003', '48019'), ('78005', '48163'), ('78006', '48259'), ('78008', '48013'), ('78013', '48259'), ('78014', '48283'),
+  ('78015', '48029'), ('78017', '48163'), ('78019', '48479'), ('78021', '48283'), ('78023', '48029'), ('78024', '48265'), ('78028', '48265'), ('78039', '48325'),
+  ('78052', '48013'), ('78055', '48019'), ('78057', '48163'), ('78058', '48265'), ('78064', '48013'), ('78069', '48013'), ('78070', '48091'), ('78071', '48297'),
+  ('78073', '48029'), ('78075', '48297'), ('78101', '48029'), ('78102', '48025'), ('78108', '48187'), ('78112', '48029'), ('78113', '48493'), ('78114', '48493'),
+  ('78118', '48255'), ('78119', '48255'), ('78121', '48493'), ('78124', '48187'), ('78130', '48187'), ('78140', '48177'), ('78141', '48123'), ('78154', '48029'),
+  ('78164', '48123'), ('78223', '48029'), ('78253', '48029'), ('78264', '48029'), ('78266', '48091'), ('78332', '48249'), ('78336', '48409'), ('78355', '48047'),
+  ('78361', '48247'), ('78368', '48409'), ('78372', '48249'), ('78380', '48355'), ('78383', '48297'), ('78384', '48131'), ('78387', '48409'), ('78390', '48409'),
+  ('78418', '48273'), ('78545', '48427'), ('78569', '48489'), ('78580', '48489'), ('78606', '48031'), ('78610', '48209'), ('78612', '48021'), ('78613', '48491'),
+  ('78615', '48491'), ('78616', '48055'), ('78617', '48453'), ('78618', '48171'), ('78620', '48209'), ('78621', '48021'), ('78623', '48091'), ('78624', '48171'),
+  ('78629', '48177'), ('78631', '48267'), ('78632', '48177'), ('78634', '48491'), ('78639', '48299'), ('78640', '48209'), ('78641', '48453'), ('78642', '48491'),
+  ('78643', '48299'), ('78648', '48055'), ('78650', '48021'), ('78652', '48453'), ('78654', '48053'), ('78655', '48055'), ('78656', '48055'), ('78657', '48299'),
+  ('78659', '48021'), ('78662', '48021'), ('78663', '48031'), ('78664', '48491'), ('78666', '48209'), ('78669', '48053'), ('78671', '48171'), ('78676', '48209'),
+  ('78726', '48453'), ('78727', '48453'), ('78728', '48453'), ('78729', '48491'), ('78737', '48209'), ('78750', '48491'), ('78759', '48453'), ('78828', '48385'),
+  ('78833', '48385'), ('78839', '48507'), ('78879', '48385'), ('78880', '48137'), ('78884', '48019'), ('78885', '48019'), ('78886', '48325'), ('78932', '48477'),
+  ('78933', '48089'), ('78938', '48149'), ('78940', '48149'), ('78941', '48149'), ('78942', '48287'), ('78945', '48149'), ('78946', '48287'), ('78950', '48015'),
+  ('78953', '48021'), ('78954', '48149'), ('78956', '48149'), ('78957', '48021'), ('78959', '48177'), ('78962', '48089'), ('79001', '48359'), ('79005', '48295'),
+  ('79010', '48375'), ('79011', '48211'), ('79012', '48381'), ('79014', '48211'), ('79018', '48205'), ('79022', '48111'), ('79031', '48279'), ('79035', '48369'),
+  ('79036', '48065'), ('79039', '48065'), ('79040', '48195'), ('79041', '48189'), ('79042', '48437'), ('79043', '48069'), ('79045', '48117'), ('79052', '48437'),
+  ('79057', '48179'), ('79058', '48375'), ('79059', '48393'), ('79062', '48233'), ('79064', '48279'), ('79065', '48179'), ('79072', '48189'), ('79079', '48483'),
+  ('79080', '48233'), ('79081', '48195'), ('79083', '48233'), ('79086', '48421'), ('79088', '48437'), ('79092', '48359'), ('79098', '48117'), ('79103', '48381'),
+  ('79106', '48375'), ('79108', '48375'), ('79109', '48381'), ('79118', '48381'), ('79121', '48381'), ('79124', '48375'), ('79201', '48075'), ('79225', '48197'),
+  ('79226', '48129'), ('79227', '48155'), ('79230', '48075'), ('79235', '48153'), ('79245', '48191'), ('79248', '48101'), ('79250', '48189'), ('79252', '48197'),
+  ('79255', '48045'), ('79259', '48191'), ('79311', '48189'), ('79313', '48219'), ('79323', '48165'), ('79325', '48369'), ('79331', '48115'), ('79339', '48279'),
+  ('79343', '48107'), ('79345', '48445'), ('79346', '48079'), ('79347', '48017'), ('79351', '48115'), ('79356', '48169'), ('79358', '48219'), ('79359', '48165'),
+  ('79363', '48303'), ('79364', '48303'), ('79370', '48125'), ('79371', '48017'), ('79407', '48219'), ('79423', '48303'), ('79504', '48059'), ('79506', '48353'),
+  ('79510', '48059'), ('79511', '48227'), ('79512', '48335'), ('79517', '48033'), ('79519', '48083'), ('79520', '48253'), ('79526', '48415'), ('79527', '48415'),
+  ('79528', '48263'), ('79529', '48275'), ('79532', '48335'), ('79533', '48417'), ('79536', '48441'), ('79538', '48083'), ('79541', '48441'), ('79545', '48353'),
+  ('79546', '48151'), ('79549', '48415'), ('79553', '48253'), ('79556', '48353'), ('79560', '48151'), ('79561', '48353'), ('79566', '48441'), ('79567', '48399'),
+  ('79601', '48253'), ('79602', '48441'), ('79713', '48317'), ('79720', '48227'), ('79731', '48103'), ('79735', '48371'), ('79739', '48173'), ('79744', '48371'),
+  ('79748', '48227'), ('79756', '48475'), ('79765', '48329'), ('79766', '48135'), ('79772', '48389'), ('79781', '48443'), ('79782', '48317'), ('79837', '35035'),
+  ('79847', '48229'), ('79848', '48443'), ('79854', '48243'), ('79855', '48109'), ('79938', '48141'), ('80002', '08059'), ('80003', '08059'), ('80010', '08005'),
+  ('80011', '08001'), ('80012', '08005'), ('80014', '08005'), ('80016', '08005'), ('80020', '08014'), ('80021', '08059'), ('80023', '08001'), ('80027', '08013'),
+  ('80031', '08001'), ('80102', '08005'), ('80103', '08001'), ('80105', '08005'), ('80106', '08039'), ('80110', '08005'), ('80111', '08005'), ('80112', '08005'),
+  ('80120', '08005'), ('80123', '08059'), ('80128', '08059'), ('80129', '08035'), ('80133', '08041'), ('80135', '08035'), ('80136', '08001'), ('80137', '08005'),
+  ('80138', '08035'), ('80212', '08031'), ('80214', '08059'), ('80216', '08001'), ('80220', '08031'), ('80221', '08001'), ('80222', '08031'), ('80224', '08031'),
+  ('80226', '08059'), ('80227', '08059'), ('80231', '08005'), ('80232', '08059'), ('80234', '08001'), ('80235', '08059'), ('80236', '08031'), ('80237', '08031'),
+  ('80239', '08031'), ('80246', '08031'), ('80247', '08031'), ('80403', '08059'), ('80421', '08093'), ('80422', '08047'), ('80423', '08037'), ('80426', '08037'),
+  ('80439', '08019'), ('80449', '08093'), ('80463', '08107'), ('80470', '08059'), ('80503', '08013'), ('80504', '08123'), ('80513', '08069'), ('80516', '08123'),
+  ('80524', '08069'), ('80534', '08123'), ('80537', '08069'), ('80540', '08013'), ('80549', '08069'), ('80550', '08123'), ('80603', '08001'), ('80612', '08123'),
+  ('80642', '08123'), ('80643', '08123'), ('80649', '08123'), ('80654', '08087'), ('80701', '08087'), ('80723', '08087'), ('80731', '08095'), ('80733', '08087'),
+  ('80734', '08095'), ('80741', '08075'), ('80758', '08125'), ('80759', '08125'), ('80807', '08063'), ('80808', '08041'), ('80815', '08063'), ('80816', '08119'),
+  ('80818', '08073'), ('80819', '08041'), ('80821', '08073'), ('80827', '08093'), ('80828', '08073'), ('80831', '08041'), ('80832', '08039'), ('80833', '08073'),
+  ('80926', '08041'), ('81008', '08101'), ('81039', '08101'), ('81050', '08089'), ('81052', '08099'), ('81054', '08011'), ('81058', '08089'), ('81059', '08071'),
+  ('81063', '08025'), ('81064', '08009'), ('81069', '08101'), ('81084', '08009'), ('81092', '08011'), ('81101', '08003'), ('81122', '08067'), ('81125', '08109'),
+  ('81130', '08079'), ('81132', '08105'), ('81136', '08003'), ('81137', '08067'), ('81144', '08105'), ('81147', '08007'), ('81151', '08023'), ('81154', '08105'),
+  ('81201', '08015'), ('81220', '08051'), ('81230', '08109'), ('81248', '08109'), ('81253', '08027'), ('81301', '08067'), ('81323', '08033'), ('81324', '08033'),
+  ('81325', '08113'), ('81328', '08083'), ('81403', '08091'), ('81415', '08085'), ('81416', '08085'), ('81423', '08113'), ('81431', '08113'), ('81432', '08091'),
+  ('81434', '08051'), ('81621', '08037'), ('81623', '08097'), ('81625', '08081'), ('81630', '08045'), ('81637', '08037'), ('81641', '08103'), ('81650', '08103'),
+  ('81653', '08107'), ('82063', '08069'), ('82082', '56021'), ('82083', '56001'), ('82190', '56039'), ('82201', '56031'), ('82210', '56031'), ('82225', '56027'),
+  ('82301', '56007'), ('82329', '56007'), ('82401', '56043'), ('82421', '56003'), ('82423', '56003'), ('82435', '56029'), ('82604', '56025'), ('82620', '56025'),
+  ('82633', '56009'), ('82636', '56025'), ('82637', '56009'), ('82639', '56019'), ('82642', '56013'), ('82701', '56045'), ('82729', '56011'), ('82730', '56045'),
+  ('82801', '56033'), ('82831', '56033'), ('82832', '56033'), ('82925', '56035'), ('82930', '49043'), ('82932', '56037'), ('83001', '56039'), ('83111', '56023'),
+  ('83120', '56023'), ('83202', '16005'), ('83204', '16077'), ('83211', '16077'), ('83212', '16077'), ('83226', '16037'), ('83235', '16037'), ('83236', '16011'),
+  ('83241', '16029'), ('83253', '16059'), ('83254', '16007'), ('83255', '16023'), ('83274', '16011'), ('83276', '16029'), ('83285', '16019'), ('83301', '16083'),
+  ('83302', '16083'), ('83312', '16031'), ('83314', '16047'), ('83316', '16083'), ('83318', '16031'), ('83332', '16047'), ('83337', '16039'), ('83338', '16053'),
+  ('83342', '16031'), ('83344', '16031'), ('83347', '16067'), ('83350', '16067'), ('83352', '16063'), ('83401', '16019'), ('83402', '16019'), ('83434', '16051'),
+  ('83435', '16051'), ('83436', '16065'), ('83440', '16065'), ('83443', '16019'), ('83445', '16043'), ('83448', '16065'), ('83451', '16065'), ('83464', '16059'),
+  ('83524', '16069'), ('83535', '16069'), ('83536', '16049'), ('83537', '16057'), ('83541', '16069'), ('83544', '16035'), ('83548', '16069'), ('83555', '16069'),
+  ('83607', '16027'), ('83616', '16001'), ('83624', '16073'), ('83627', '16073'), ('83629', '16015'), ('83634', '16001'), ('83638', '16085'), ('83641', '16073'),
+  ('83654', '16049'), ('83657', '16045'), ('83660', '16027'), ('83661', '16075'), ('83669', '16001'), ('83670', '16045'), ('83687', '16027'), ('83702', '16001'),
+  ('83716', '16039'), ('83801', '16055'), ('83803', '16017'), ('83810', '16055'), ('83823', '16057'), ('83830', '16009'), ('83832', '16057'), ('83833', '16055'),
+  ('83861', '16009'), ('83864', '16017'), ('83869', '16017'), ('84020', '49035'), ('84022', '49045'), ('84034', '49045'), ('84036', '49043'), ('84052', '49013'),
+  ('84053', '49013'), ('84060', '49043'), ('84066', '49013'), ('84078', '49047'), ('84083', '49045'), ('84315', '49057'), ('84405', '49057'), ('84525', '49015'),
+  ('84526', '49007'), ('84531', '49037'), ('84532', '49019'), ('84533', '49037'), ('84536', '49037'), ('84540', '49019'), ('84604', '49049'), ('84628', '49023'),
+  ('84629', '49039'), ('84656', '49027'), ('84712', '49017'), ('84713', '49001'), ('84718', '49017'), ('84744', '49041'), ('84751', '49001'), ('84753', '49021'),
+  ('84756', '49021'), ('84757', '49053'), ('84762', '49025'), ('84775', '49055'), ('85120', '04021'), ('85139', '04013'), ('85142', '04021'), ('85192', '04021'),
+  ('85248', '04013'), ('85320', '04013'), ('85321', '04019'), ('85333', '04013'), ('85339', '04021'), ('85342', '04025'), ('85390', '04013'), ('85533', '04011'),
+  ('85539', '04007'), ('85542', '04009'), ('85545', '04013'), ('85602', '04003'), ('85611', '04023'), ('85634', '04019'), ('85637', '04023'), ('85643', '04009'),
+  ('85645', '04023'), ('85653', '04019'), ('85658', '04021'), ('85739', '04021'), ('85901', '04017'), ('85930', '04001'), ('85941', '04007'), ('86022', '04005'),
+  ('86030', '04005'), ('86033', '04017'), ('86034', '04017'), ('86044', '04005'), ('86047', '04017'), ('86054', '04017'), ('86320', '04005'), ('86336', '04025'),
+  ('86337', '04025'), ('86434', '04015'), ('86504', '04001'), ('86505', '04001'), ('86510', '04017'), ('86514', '04001'), ('86515', '35031'), ('86520', '04001'),
+  ('87006', '35053'), ('87011', '35053'), ('87013', '35031'), ('87014', '35006'), ('87015', '35049'), ('87026', '35006'), ('87035', '35057'), ('87036', '35057'),
+  ('87045', '35031'), ('87046', '35039'), ('87047', '35043'), ('87048', '35043'), ('87056', '35049'), ('87313', '35031'), ('87321', '35006'), ('87323', '35031'),
+  ('87325', '35031'), ('87327', '35031'), ('87328', '35045'), ('87412', '35039'), ('87419', '35045'), ('87521', '35039'), ('87522', '35049'), ('87531', '35039'),
+  ('87532', '35039'), ('87535', '35049'), ('87549', '35055'), ('87573', '35047'), ('87577', '35039'), ('87711', '35047'), ('87734', '35033'), ('87742', '35033'),
+  ('87745', '35047'), ('87746', '35047'), ('87825', '35053'), ('87829', '35003'), ('87936', '35013'), ('87943', '35051'), ('88040', '35023'), ('88045', '35023'),
+  ('88063', '35013'), ('88081', '35035'), ('88116', '35041'), ('88120', '35037'), ('88124', '35009'), ('88135', '35009'), ('88220', '35015'), ('88250', '35005'),
+  ('88253', '35005'), ('88301', '35027'), ('88318', '35027'), ('88321', '35057'), ('88339', '35005'), ('88344', '35035'), ('88401', '35037'), ('88410', '35059'),
+  ('88415', '35059'), ('88419', '35059'), ('88422', '35059'), ('88426', '35021'), ('88430', '35037'), ('88431', '35019'), ('89001', '32017'), ('89010', '32009'),
+  ('89019', '32003'), ('89049', '32023'), ('89060', '32023'), ('89061', '32023'), ('89124', '32003'), ('89310', '32015'), ('89316', '32011'), ('89317', '32033'),
+  ('89403', '32019'), ('89405', '32031'), ('89406', '32001'), ('89408', '32001'), ('89409', '32023'), ('89412', '32031'), ('89414', '32013'), ('89421', '41045'),
+  ('89434', '32029'), ('89439', '32031'), ('89442', '32031'), ('89444', '32019'), ('89445', '32013'), ('89521', '32029'), ('89705', '32005'), ('89706', '32510'),
+  ('89820', '32015'), ('89822', '32011'), ('89832', '32007'), ('90265', '06037'), ('90623', '06059'), ('90630', '06059'), ('90631', '06059'), ('90638', '06037'),
+  ('90740', '06059'), ('90815', '06037'), ('91304', '06037'), ('91307', '06037'), ('91311', '06037'), ('91361', '06111'), ('91362', '06111'), ('91759', '06037'),
+  ('91766', '06037'), ('92004', '06073'), ('92028', '06073'), ('92225', '06065'), ('92274', '06065'), ('92277', '06071'), ('92324', '06071'), ('92373', '06071'),
+  ('92397', '06037'), ('92399', '06071'), ('92509', '06065'), ('92530', '06065'), ('92672', '06073'), ('92880', '06065'), ('93001', '06111'), ('93013', '06083'),
+  ('93201', '06107'), ('93210', '06019'), ('93212', '06031'), ('93215', '06029'), ('93225', '06111'), ('93238', '06107'), ('93242', '06019'), ('93243', '06029'),
+  ('93252', '06111'), ('93254', '06083'), ('93426', '06053'), ('93451', '06053'), ('93454', '06083'), ('93458', '06083'), ('93461', '06079'), ('93514', '06051'),
+  ('93516', '06029'), ('93527', '06107'), ('93555', '06029'), ('93560', '06029'), ('93601', '06039'), ('93610', '06039'), ('93618', '06107'), ('93619', '06019'),
+  ('93620', '06047'), ('93622', '06019'), ('93623', '06043'), ('93626', '06039'), ('93631', '06107'), ('93633', '06107'), ('93646', '06107'), ('93653', '06039'),
+  ('93654', '06019'), ('93656', '06019'), ('93930', '06053'), ('94028', '06081'), ('94303', '06085'), ('94505', '06013'), ('94514', '06013'), ('94515', '06055'),
+  ('94550', '06001'), ('94551', '06001'), ('94571', '06095'), ('94588', '06013'), ('94589', '06095'), ('94611', '06001'), ('94706', '06001'), ('94707', '06001'),
+  ('94708', '06013'), ('94952', '06097'), ('95004', '06069'), ('95023', '06069'), ('95033', '06085'), ('95076', '06087'), ('95219', '06077'), ('95223', '06003'),
+  ('95230', '06099'), ('95311', '06043'), ('95321', '06109'), ('95329', '06109'), ('95360', '06099'), ('95361', '06099'), ('95369', '06047'), ('95377', '06077'),
+  ('95380', '06099'), ('95385', '06099'), ('95389', '06043'), ('95391', '06001'), ('95425', '06097'), ('95469', '06045'), ('95589', '06023'), ('95602', '06061'),
+  ('95612', '06113'), ('95615', '06067'), ('95618', '06113'), ('95620', '06095'), ('95626', '06067'), ('95629', '06005'), ('95632', '06067'), ('95641', '06067'),
+  ('95645', '06101'), ('95646', '06003'), ('95668', '06101'), ('95690', '06095'), ('95692', '06115'), ('95694', '06113'), ('95715', '06061'), ('95728', '06061'),
+  ('95837', '06067'), ('95901', '06115'), ('95912', '06011'), ('95914', '06007'), ('95922', '06115'), ('95930', '06007'), ('95941', '06007'), ('95948', '06007'),
+  ('95960', '06091'), ('95963', '06021'), ('95966', '06007'), ('95970', '06011'), ('95973', '06007'), ('95977', '06115'), ('95981', '06063'), ('96006', '06035'),
+  ('96022', '06103'), ('96025', '06093'), ('96056', '06035'), ('96059', '06103'), ('96075', '06103'), ('96076', '06089'), ('96105', '06091'), ('96110', '06049'),
+  ('96111', '06057'), ('96118', '06091'), ('96134', '06049'), ('96137', '06035'), ('96142', '06017'), ('96161', '06057'), ('97002', '41047'), ('97009', '41005'),
+  ('97014', '41027'), ('97016', '41009'), ('97019', '41051'), ('97032', '41047'), ('97034', '41005'), ('97035', '41005'), ('97056', '41009'), ('97062', '41067'),
+  ('97064', '41009'), ('97070', '41005'), ('97071', '41047'), ('97080', '41051'), ('97101', '41071'), ('97102', '41007'), ('97119', '41067'), ('97123', '41067'),
+  ('97131', '41057'), ('97132', '41071'), ('97133', '41067'), ('97140', '41067'), ('97202', '41051'), ('97206', '41051'), ('97210', '41051'), ('97219', '41051'),
+  ('97221', '41051'), ('97222', '41005'), ('97225', '41067'), ('97229', '41067'), ('97231', '41051'), ('97304', '41053'), ('97321', '41003'), ('97324', '41003'),
+  ('97326', '41041'), ('97333', '41003'), ('97346', '41047'), ('97347', '41071'), ('97350', '41043'), ('97352', '41047'), ('97358', '41047'), ('97360', '41043'),
+  ('97361', '41053'), ('97362', '41047'), ('97368', '41041'), ('97370', '41003'), ('97375', '41047'), ('97378', '41071'), ('97383', '41047'), ('97390', '41041'),
+  ('97396', '41071'), ('97413', '41039'), ('97424', '41039'), ('97446', '41043'), ('97448', '41039'), ('97450', '41015'), ('97456', '41003'), ('97459', '41011'),
+  ('97493', '41039'), ('97497', '41033'), ('97498', '41039'), ('97526', '41033'), ('97527', '41033'), ('97635', '06049'), ('97701', '41017'), ('97710', '41025'),
+  ('97731', '41035'), ('97739', '41017'), ('97751', '41013'), ('97754', '41013'), ('97756', '41017'), ('97758', '41025'), ('97759', '41031'), ('97760', '41017'),
+  ('97761', '41065'), ('97814', '41001'), ('97826', '41059'), ('97830', '41069'), ('97838', '41059'), ('97843', '41049'), ('97848', '41023'), ('97867', '41061'),
+  ('97869', '41023'), ('97877', '41023'), ('97880', '41059'), ('97907', '41001'), ('97910', '41045'), ('97913', '41045'), ('98022', '53033'), ('98047', '53033'),
+  ('98068', '53037'), ('98072', '53033'), ('98077', '53033'), ('98092', '53033'), ('98221', '53057'), ('98229', '53073'), ('98237', '53057'), ('98241', '53061'),
+  ('98283', '53073'), ('98284', '53057'), ('98292', '53061'), ('98304', '53053'), ('98329', '53053'), ('98331', '53031'), ('98354', '53053'), ('98382', '53009'),
+  ('98528', '53045'), ('98531', '53041'), ('98537', '53027'), ('98541', '53027'), ('98547', '53049'), ('98557', '53027'), ('98568', '53027'), ('98579', '53067'),
+  ('98601', '53011'), ('98605', '53059'), ('98616', '53059'), ('98621', '53049'), ('98632', '53015'), ('98638', '53049'), ('98671', '53011'), ('98672', '53039'),
+  ('98674', '53015'), ('98812', '53047'), ('98813', '53047'), ('98816', '53007'), ('98823', '53025'), ('98828', '53007'), ('98832', '53025'), ('98848', '53025'),
+  ('98857', '53025'), ('98862', '53047'), ('98901', '53077'), ('98930', '53077'), ('98937', '53077'), ('98944', '53005'), ('99004', '53063'), ('99006', '53063'),
+  ('99008', '53043'), ('99009', '53063'), ('99013', '53065'), ('99026', '53063'), ('99029', '53043'), ('99032', '53043'), ('99033', '53075'), ('99103', '53043'),
+  ('99110', '53065'), ('99115', '53017'), ('99116', '53047'), ('99122', '53043'), ('99128', '53075'), ('99133', '53017'), ('99141', '53019'), ('99155', '53047'),
+  ('99156', '53051'), ('99159', '53043'), ('99166', '53019'), ('99169', '53001'), ('99170', '53075'), ('99326', '53021'), ('99333', '53075'), ('99344', '53001'),
+  ('99347', '53023'), ('99348', '53071'), ('99350', '53005'), ('99359', '53013'), ('99361', '53071'), ('99362', '53071'), ('99371', '53001'), ('99403', '53003'),
+  ('99503', '02050'), ('99588', '02170'), ('99613', '02164'), ('99693', '02261'), ('99701', '02290'), ('99729', '02170'), ('99737', '02240'), ('99738', '02240'),
+  ('99760', '02290'), ('99780', '02240'), ('99827', '02105'), ('99901', '02130');
+
+UPDATE hoa_profiles h
+SET county = n.county,
+    county_fips = r.county_fips
+FROM zip_county_refresh r
+JOIN county_names n ON n.county_fips = r.county_fips
+WHERE LEFT(TRIM(h.zip_code), 5) = r.zip_code
+  AND h.county_fips IS DISTINCT FROM r.county_fips;
+
+DROP TABLE zip_county_refresh;
+DROP TABLE county_names;